@@ -12,6 +12,9 @@ require('dotenv').config({ path: '../.env' });
 async function seedData() {
   const { seedDefaultRoles } = require('./services/roleServices');
   await seedDefaultRoles();
+
+  const { runMigrations } = require('./services/migrationService');
+  await runMigrations();
   
   const { seedTestData } = require('./services/testDataService');
   await seedTestData();
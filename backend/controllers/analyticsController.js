@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Analytics controller module for burndown, cumulative flow and cycle time reports
+ * @module controllers/analyticsController
+ */
+
+const analyticsService = require('../services/analyticsService');
+
+/**
+ * Maps analytics errors to HTTP status codes
+ * @function analyticsErrorStatus
+ * @param {Error} err - Error thrown by the analytics service
+ * @returns {number} HTTP status code for the error
+ */
+function analyticsErrorStatus(err) {
+  if (err.message === 'You are not a member of this project') return 403;
+  if (err.message === 'Project not found' || err.message === 'Sprint not found') return 404;
+  if (
+    err.message === 'Invalid date range' ||
+    err.message === 'Date range cannot end before it starts' ||
+    err.message === 'Date range cannot exceed one year'
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Returns daily status counts, a burndown and per-member cycle and lead times
+ * @async
+ * @function getProjectAnalytics
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.from] - First day of the range (YYYY-MM-DD); defaults to the sprint start or 30 days ago
+ * @param {string} [req.query.to] - Last day of the range (YYYY-MM-DD); defaults to the sprint end or today
+ * @param {string} [req.query.sprint] - ID of a sprint to limit the report to
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the analytics report
+ * @throws {400} When the date range is invalid
+ * @throws {403} When user is not a project member
+ * @throws {404} When project or sprint is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getProjectAnalytics(req, res) {
+  const { projectId } = req.params;
+  const { from, to, sprint } = req.query;
+  const userId = req.user.userId;
+
+  try {
+    const analytics = await analyticsService.getProjectAnalytics(projectId, userId, { from, to, sprintId: sprint });
+    res.status(200).json(analytics);
+  } catch (err) {
+    res.status(analyticsErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  getProjectAnalytics
+};
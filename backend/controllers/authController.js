@@ -14,8 +14,9 @@ const authService = require('../services/authService');
  * @param {string} req.body.name - User's full name
  * @param {string} req.body.email - User's email address
  * @param {string} req.body.password - User's password
+ * @param {string} [req.body.invitationToken] - Token from the invitation email the user followed
  * @param {Object} res - Express response object
- * @returns {Promise<void>} JSON response with user data and success message
+ * @returns {Promise<void>} JSON response with user data, the projects joined by email invitation and success message
  * @throws {400} When name, email, or password is missing
  * @throws {400} When email format is invalid
  * @throws {400} When password doesn't meet security requirements
@@ -24,7 +25,7 @@ const authService = require('../services/authService');
  * @description Creates a new user account, validates input data, and sets authentication cookie
  */
 async function registerUser(req, res) {
-  const { name, email, password } = req.body;
+  const { name, email, password, invitationToken } = req.body;
 
   if (!name || !email || !password) {
     return res
@@ -33,10 +34,11 @@ async function registerUser(req, res) {
   }
 
   try {
-    const { user, token } = await authService.registerUser({
+    const { user, token, joinedProjects } = await authService.registerUser({
       name,
       email,
       password,
+      invitationToken,
     });
 
     // Set the JWT token cookie
@@ -54,6 +56,7 @@ async function registerUser(req, res) {
         name: user.name,
         email: user.email,
       },
+      joinedProjects,
     });
   } catch (err) {
     if (err.message === 'Email already registered') {
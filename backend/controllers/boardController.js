@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Board controller module for ordering tasks on a project's Kanban board
+ * @module controllers/boardController
+ */
+
+const boardService = require('../services/boardService');
+
+/**
+ * Puts the tasks of one board column in a new order
+ * @async
+ * @function reorderBoardColumn
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.status - Name of the workflow status the column shows
+ * @param {Array<string>} req.body.taskIds - IDs of the column's tasks in their new order
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the column's tasks and their ranks
+ * @throws {400} When the status is unknown or the IDs are not tasks of the column
+ * @throws {403} When user is not a project member or is a viewer
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function reorderBoardColumn(req, res) {
+  const { projectId } = req.params;
+  const userId = req.user.userId;
+  const { status, taskIds } = req.body;
+
+  try {
+    const tasks = await boardService.reorderBoardColumn(projectId, userId, status, taskIds);
+    res.status(200).json({ message: 'Board column reordered successfully', tasks });
+  } catch (err) {
+    if (
+      err.message === 'You are not a member of this project' ||
+      err.message === 'Viewers are not authorized to reorder tasks'
+    ) {
+      return res.status(403).json({ message: err.message });
+    }
+    if (err.message === 'Project not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (
+      err.message === 'Status is not part of this project\'s workflow' ||
+      err.message === 'Board order must list tasks of the column at most once'
+    ) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  reorderBoardColumn
+};
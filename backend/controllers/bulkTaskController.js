@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Bulk task controller module for applying one change set to many tasks at once
+ * @module controllers/bulkTaskController
+ */
+
+const bulkTaskService = require('../services/bulkTaskService');
+
+/**
+ * Maps bulk task errors to HTTP status codes
+ * @function bulkTaskErrorStatus
+ * @param {Error} err - Error thrown by the bulk task service
+ * @returns {number} HTTP status code for the error
+ */
+function bulkTaskErrorStatus(err) {
+  if (err.message === 'You are not a member of this project') return 403;
+  if (err.message === 'Project not found') return 404;
+  if (
+    err.message === 'Select at least one task' ||
+    err.message.startsWith('At most ') ||
+    err.message === 'No changes requested' ||
+    err.message === 'Archive and delete cannot be combined with other changes' ||
+    err.message === 'Assignees must be a list of member IDs' ||
+    err.message === 'Progress must be a workflow status' ||
+    err.message === 'Deadline shift must be a non-zero whole number of days' ||
+    err.message === 'Labels to add and remove must be lists of label IDs'
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Applies one change set to a list of tasks and reports the outcome for each
+ * @async
+ * @function bulkUpdateTasks
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.body - Request body
+ * @param {Array<string>} req.body.taskIds - IDs of the tasks to change
+ * @param {Object} req.body.changes - Assignees, progress, deadline shift, labels, archive or delete
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with a result per task and the succeeded and failed counts
+ * @throws {400} When the task list or change set is invalid
+ * @throws {403} When user is not a project member
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function bulkUpdateTasks(req, res) {
+  const { projectId } = req.params;
+  const { taskIds, changes } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const report = await bulkTaskService.bulkUpdateTasks(projectId, userId, taskIds, changes);
+    res.status(200).json(report);
+  } catch (err) {
+    res.status(bulkTaskErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  bulkUpdateTasks
+};
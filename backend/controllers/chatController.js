@@ -3,7 +3,9 @@
  * @module controllers/chatController
  */
 
+const Project = require('../models/project');
 const aiChatService = require('../services/aiChatService');
+const { PERMISSIONS, memberHasPermission } = require('../services/authorizationService');
 
 /**
  * Sends a message to the AI chatbot and returns the response
@@ -18,6 +20,8 @@ const aiChatService = require('../services/aiChatService');
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with AI response and usage information
  * @throws {400} When message is empty or conversation history format is invalid
+ * @throws {403} When user is not a project member or their role may not use the AI assistant
+ * @throws {404} When project is not found
  * @throws {500} When AI service fails or internal server error occurs
  * @description Processes user messages through AI service with project context and conversation history
  */
@@ -41,6 +45,20 @@ async function sendMessage(req, res) {
       });
     }
 
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    if (!(await memberHasPermission(project, req.user.userId, PERMISSIONS.USE_AI))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to use the AI assistant in this project'
+      });
+    }
+
     // Send message to AI service
     const response = await aiChatService.sendMessage(
       projectId, 
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Checklist controller module for adding, checking off, reordering and removing task checklist items
+ * @module controllers/checklistController
+ */
+
+const checklistService = require('../services/checklistService');
+
+/**
+ * Maps checklist errors to HTTP status codes
+ * @function checklistErrorStatus
+ * @param {Error} err - Error thrown by the checklist service
+ * @returns {number} HTTP status code for the error
+ */
+function checklistErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'Viewers are not authorized to edit checklists'
+  ) {
+    return 403;
+  }
+  if (
+    err.message === 'Project not found' ||
+    err.message === 'Task not found in this project' ||
+    err.message === 'Checklist item not found'
+  ) {
+    return 404;
+  }
+  if (
+    err.message === 'Checklist item text is required' ||
+    err.message === 'Checklist assignee is not part of this project' ||
+    err.message === 'Viewers cannot be assigned checklist items' ||
+    err.message === 'Checklist order must list every item exactly once'
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Adds an item to a task's checklist
+ * @async
+ * @function addChecklistItem
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.text - What needs to be done
+ * @param {string} [req.body.assignee] - ID of the member responsible for the item
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated checklist
+ * @throws {400} When the text is blank or the assignee cannot be assigned
+ * @throws {403} When user is not a project member or is a viewer
+ * @throws {404} When project or task is not found
+ * @throws {500} When internal server error occurs
+ */
+async function addChecklistItem(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+  const { text, assignee } = req.body;
+
+  try {
+    const checklist = await checklistService.addChecklistItem(projectId, taskId, userId, { text, assignee });
+    res.status(201).json({ message: 'Checklist item added successfully', checklist });
+  } catch (err) {
+    res.status(checklistErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Edits, checks off or reassigns a checklist item
+ * @async
+ * @function updateChecklistItem
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {string} req.params.itemId - ID of the checklist item
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.text] - New item text
+ * @param {boolean} [req.body.done] - Whether the item is finished
+ * @param {string|null} [req.body.assignee] - ID of the new assignee, or null to unassign the item
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated checklist
+ * @throws {400} When the text is blank or the assignee cannot be assigned
+ * @throws {403} When user is not a project member or is a viewer
+ * @throws {404} When project, task or item is not found
+ * @throws {500} When internal server error occurs
+ */
+async function updateChecklistItem(req, res) {
+  const { projectId, taskId, itemId } = req.params;
+  const userId = req.user.userId;
+  const { text, done, assignee } = req.body;
+
+  try {
+    const checklist = await checklistService.updateChecklistItem(
+      projectId,
+      taskId,
+      itemId,
+      userId,
+      { text, done, assignee }
+    );
+    res.status(200).json({ message: 'Checklist item updated successfully', checklist });
+  } catch (err) {
+    res.status(checklistErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Removes an item from a task's checklist
+ * @async
+ * @function deleteChecklistItem
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {string} req.params.itemId - ID of the checklist item
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated checklist
+ * @throws {403} When user is not a project member or is a viewer
+ * @throws {404} When project, task or item is not found
+ * @throws {500} When internal server error occurs
+ */
+async function deleteChecklistItem(req, res) {
+  const { projectId, taskId, itemId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const checklist = await checklistService.deleteChecklistItem(projectId, taskId, itemId, userId);
+    res.status(200).json({ message: 'Checklist item deleted successfully', checklist });
+  } catch (err) {
+    res.status(checklistErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Puts a task's checklist items in a new order
+ * @async
+ * @function reorderChecklist
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {Object} req.body - Request body
+ * @param {Array<string>} req.body.itemIds - IDs of every checklist item in their new order
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the reordered checklist
+ * @throws {400} When the IDs do not list each item exactly once
+ * @throws {403} When user is not a project member or is a viewer
+ * @throws {404} When project or task is not found
+ * @throws {500} When internal server error occurs
+ */
+async function reorderChecklist(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+  const { itemIds } = req.body;
+
+  try {
+    const checklist = await checklistService.reorderChecklist(projectId, taskId, userId, itemIds);
+    res.status(200).json({ message: 'Checklist reordered successfully', checklist });
+  } catch (err) {
+    res.status(checklistErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  reorderChecklist
+};
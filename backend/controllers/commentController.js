@@ -5,7 +5,7 @@
 
 const Comment = require('../models/comment');
 const Post = require('../models/post');
-const Like = require('../models/like');
+const { trashComment } = require('../services/trashService');
 
 /**
  * Creates a new comment on a post with optional parent comment for replies
@@ -33,14 +33,14 @@ const createComment = async (req, res) => {
     const userId = req.user.userId;
     
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || post.deletedAt) {
       return res.status(404).json({ message: 'Post not found' });
     }
     
     // Simple one-level nesting check
     if (parentCommentId) {
       const parentComment = await Comment.findById(parentCommentId);
-      if (!parentComment) {
+      if (!parentComment || parentComment.deletedAt) {
         return res.status(404).json({ message: 'Parent comment not found' });
       }
       if (parentComment.parentComment) {
@@ -65,7 +65,7 @@ const createComment = async (req, res) => {
 };
 
 /**
- * Deletes a comment and all its replies, along with associated likes
+ * Moves a comment and its replies to the project's trash
  * @async
  * @function deleteComment
  * @param {Object} req - Express request object
@@ -78,7 +78,7 @@ const createComment = async (req, res) => {
  * @throws {404} When comment is not found
  * @throws {403} When user is not authorized to delete the comment (not the author)
  * @throws {500} When internal server error occurs
- * @description Cascades deletion to all replies and associated likes, with author authorization check
+ * @description Only the author may delete a comment; administrators can restore it, with its replies and likes, from the trash
  */
 const deleteComment = async (req, res) => {
   try {
@@ -86,7 +86,8 @@ const deleteComment = async (req, res) => {
     const userId = req.user.userId;
 
     const comment = await Comment.findById(commentId);
-    if (!comment) {
+    // Comments on tasks are deleted through the task's own route
+    if (!comment || comment.deletedAt || !comment.post) {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
@@ -95,14 +96,12 @@ const deleteComment = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this comment' });
     }
 
-    // Delete all replies to this comment
-    await Comment.deleteMany({ parentComment: commentId });
-
-    // Delete associated likes
-    await Like.deleteMany({ targetType: 'Comment', targetId: commentId });
-
-    // Delete the comment
-    await Comment.findByIdAndDelete(commentId);
+    // The comment and its replies stay restorable until the trash is purged
+    const post = await Post.findById(comment.post).select('project');
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    await trashComment(comment, post.project, userId);
 
     res.json({ message: 'Comment deleted successfully' });
   } catch (error) {
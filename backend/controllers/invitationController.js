@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Invitation controller module for inviting people to a project by email
+ * @module controllers/invitationController
+ */
+
+const invitationService = require('../services/invitationService');
+
+/**
+ * Maps invitation errors to HTTP status codes
+ * @function invitationErrorStatus
+ * @param {Error} err - Error thrown by the invitation service
+ * @returns {number} HTTP status code for the error
+ */
+function invitationErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'Only project administrators can invite members by email'
+  ) {
+    return 403;
+  }
+  if (
+    err.message === 'Project not found' ||
+    err.message === 'Invitation not found' ||
+    err.message === 'This invitation is invalid or has already been used' ||
+    err.message === 'Role not found'
+  ) {
+    return 404;
+  }
+  if (
+    err.message === 'This person is already a member of this project' ||
+    err.message === 'Only pending invitations can be revoked'
+  ) {
+    return 409;
+  }
+  if (
+    err.message === 'Please provide a valid email address' ||
+    err.message === 'Invitations can only grant the developer or viewer role'
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Invites someone to a project by email address
+ * @async
+ * @function inviteByEmail
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Address to invite
+ * @param {string} [req.body.role] - Role granted on join: 'developer' or 'viewer'
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the pending invitation
+ * @throws {400} When the address or role is not valid
+ * @throws {403} When user is not a project member or not an administrator
+ * @throws {404} When project or role is not found
+ * @throws {409} When the address belongs to a project member
+ * @throws {500} When internal server error occurs
+ */
+async function inviteByEmail(req, res) {
+  const { projectId } = req.params;
+  const { email, role } = req.body || {};
+
+  try {
+    const invitation = await invitationService.inviteByEmail(projectId, req.user.userId, { email, role });
+
+    const message = invitation.emailSent
+      ? `Invitation sent to ${invitation.email}`
+      : `Invitation saved, but the email to ${invitation.email} could not be sent`;
+
+    res.status(201).json({ message, invitation });
+  } catch (err) {
+    res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Lists the pending email invitations of a project
+ * @async
+ * @function getInvitations
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the pending invitations, newest first
+ * @throws {403} When user is not a project member or not an administrator
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getInvitations(req, res) {
+  const { projectId } = req.params;
+
+  try {
+    const invitations = await invitationService.getInvitations(projectId, req.user.userId);
+    res.status(200).json({ invitations });
+  } catch (err) {
+    res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Revokes a pending email invitation
+ * @async
+ * @function revokeInvitation
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {string} req.params.invitationId - ID of the invitation
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the revoked invitation
+ * @throws {403} When user is not a project member or not an administrator
+ * @throws {404} When project or invitation is not found
+ * @throws {409} When the invitation was already accepted or revoked
+ * @throws {500} When internal server error occurs
+ */
+async function revokeInvitation(req, res) {
+  const { projectId, invitationId } = req.params;
+
+  try {
+    const invitation = await invitationService.revokeInvitation(projectId, invitationId, req.user.userId);
+    res.status(200).json({ message: 'Invitation revoked', invitation });
+  } catch (err) {
+    res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Shows the invitation behind an email token
+ * @async
+ * @function getInvitationDetails
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.token - Token from the invitation email
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the project, inviter and role of the invitation
+ * @throws {404} When the token does not belong to a pending invitation
+ * @throws {500} When internal server error occurs
+ */
+async function getInvitationDetails(req, res) {
+  try {
+    const invitation = await invitationService.getInvitationDetails(req.params.token);
+    res.status(200).json({ invitation });
+  } catch (err) {
+    res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Accepts an email invitation for the signed-in user
+ * @async
+ * @function acceptInvitation
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.token - Token from the invitation email
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the ID of the joined project
+ * @throws {404} When the token does not belong to a pending invitation or the project is gone
+ * @throws {500} When internal server error occurs
+ */
+async function acceptInvitation(req, res) {
+  try {
+    const projectId = await invitationService.acceptInvitation(req.params.token, req.user.userId);
+    res.status(200).json({ message: 'Invitation accepted', projectId });
+  } catch (err) {
+    res.status(invitationErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  inviteByEmail,
+  getInvitations,
+  revokeInvitation,
+  getInvitationDetails,
+  acceptInvitation
+};
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Invite link controller module for listing and revoking a project's invite links
+ * @module controllers/inviteLinkController
+ */
+
+const inviteLinkService = require('../services/inviteLinkService');
+
+/**
+ * Maps invite link errors to HTTP status codes
+ * @function inviteLinkErrorStatus
+ * @param {Error} err - Error thrown by the invite link service
+ * @returns {number} HTTP status code for the error
+ */
+function inviteLinkErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'Only project administrators can manage invite links'
+  ) {
+    return 403;
+  }
+  if (err.message === 'Project not found' || err.message === 'Invite link not found') {
+    return 404;
+  }
+  return 500;
+}
+
+/**
+ * Lists a project's invite links with their role, usage and status
+ * @async
+ * @function listInviteLinks
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the invite links, newest first
+ * @throws {403} When user is not a project member or not an administrator
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function listInviteLinks(req, res) {
+  const { projectId } = req.params;
+
+  try {
+    const inviteLinks = await inviteLinkService.listInviteLinks(projectId, req.user.userId);
+    res.status(200).json({ inviteLinks });
+  } catch (err) {
+    res.status(inviteLinkErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Revokes a single invite link without touching the project's other links
+ * @async
+ * @function revokeInviteLink
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {string} req.params.linkId - ID of the invite link
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the revoked link
+ * @throws {403} When user is not a project member or not an administrator
+ * @throws {404} When project or invite link is not found
+ * @throws {500} When internal server error occurs
+ */
+async function revokeInviteLink(req, res) {
+  const { projectId, linkId } = req.params;
+
+  try {
+    const inviteLink = await inviteLinkService.revokeInviteLink(projectId, linkId, req.user.userId);
+    res.status(200).json({ message: 'Invite link revoked', inviteLink });
+  } catch (err) {
+    res.status(inviteLinkErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  listInviteLinks,
+  revokeInviteLink
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Join request controller module for reviewing requests to join projects that require approval
+ * @module controllers/joinRequestController
+ */
+
+const joinRequestService = require('../services/joinRequestService');
+
+/**
+ * Maps join request errors to HTTP status codes
+ * @function joinRequestErrorStatus
+ * @param {Error} err - Error thrown by the join request service
+ * @returns {number} HTTP status code for the error
+ */
+function joinRequestErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'Only project administrators can review join requests' ||
+    err.message === 'Only administrators can grant or remove the administrator role' ||
+    err.message.startsWith('You cannot grant a permission')
+  ) {
+    return 403;
+  }
+  if (
+    err.message === 'Project not found' ||
+    err.message === 'Join request not found' ||
+    err.message === 'Role not found'
+  ) {
+    return 404;
+  }
+  if (err.message === 'This join request has already been reviewed') {
+    return 409;
+  }
+  if (
+    err.message === 'Invalid role' ||
+    err.message === 'A reason is required to reject a join request' ||
+    err.message.startsWith('Rejection reason must be at most')
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Lists the pending join requests of a project
+ * @async
+ * @function getJoinRequests
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the pending requests, oldest first
+ * @throws {403} When user is not a project member or not an administrator
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getJoinRequests(req, res) {
+  const { projectId } = req.params;
+
+  try {
+    const joinRequests = await joinRequestService.getJoinRequests(projectId, req.user.userId);
+    res.status(200).json({ joinRequests });
+  } catch (err) {
+    res.status(joinRequestErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Approves a join request and adds the requester to the project
+ * @async
+ * @function approveJoinRequest
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {string} req.params.requestId - ID of the join request
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.role] - Role to grant: 'administrator', 'developer', 'viewer' or the ID of a custom role
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the approved request
+ * @throws {400} When the role is not valid
+ * @throws {403} When user is not a project member or not an administrator, or may not grant the role
+ * @throws {404} When project, request or role is not found
+ * @throws {409} When the request was already reviewed
+ * @throws {500} When internal server error occurs
+ */
+async function approveJoinRequest(req, res) {
+  const { projectId, requestId } = req.params;
+  const { role } = req.body || {};
+
+  try {
+    const joinRequest = await joinRequestService.approveJoinRequest(projectId, requestId, req.user.userId, role);
+    res.status(200).json({ message: 'Join request approved', joinRequest });
+  } catch (err) {
+    res.status(joinRequestErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Rejects a join request with a reason
+ * @async
+ * @function rejectJoinRequest
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {string} req.params.requestId - ID of the join request
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reason - Why the request was rejected, shown to the requester
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the rejected request
+ * @throws {400} When the reason is missing or too long
+ * @throws {403} When user is not a project member or not an administrator
+ * @throws {404} When project or request is not found
+ * @throws {409} When the request was already reviewed
+ * @throws {500} When internal server error occurs
+ */
+async function rejectJoinRequest(req, res) {
+  const { projectId, requestId } = req.params;
+  const { reason } = req.body || {};
+
+  try {
+    const joinRequest = await joinRequestService.rejectJoinRequest(projectId, requestId, req.user.userId, reason);
+    res.status(200).json({ message: 'Join request rejected', joinRequest });
+  } catch (err) {
+    res.status(joinRequestErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Ownership controller module for transferring a project to another administrator
+ * @module controllers/ownershipController
+ */
+
+const ownershipService = require('../services/ownershipService');
+
+/**
+ * Maps ownership transfer errors to HTTP status codes
+ * @function ownershipErrorStatus
+ * @param {Error} err - Error thrown by the ownership service
+ * @returns {number} HTTP status code for the error
+ */
+function ownershipErrorStatus(err) {
+  if (
+    err.message === 'Only the project owner can transfer ownership' ||
+    err.message === 'Only administrators can become the project owner' ||
+    err.message === 'Only the project owner or the proposed owner can cancel the transfer'
+  ) {
+    return 403;
+  }
+  if (
+    err.message === 'Project not found' ||
+    err.message === 'There is no ownership transfer waiting for you' ||
+    err.message === 'There is no pending ownership transfer'
+  ) {
+    return 404;
+  }
+  if (
+    err.message === 'Choose the administrator who will become the owner' ||
+    err.message === 'You already own this project' ||
+    err.message === 'The new owner must be an administrator of this project'
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Proposes another administrator as the new project owner
+ * @async
+ * @function requestOwnershipTransfer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.newOwnerId - ID of the administrator who should take over
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the owner and the pending transfer
+ * @throws {400} When the new owner is missing, the current owner or not an administrator
+ * @throws {403} When user is not the project owner
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function requestOwnershipTransfer(req, res) {
+  const { projectId } = req.params;
+  const { newOwnerId } = req.body || {};
+
+  try {
+    const ownership = await ownershipService.requestOwnershipTransfer(projectId, req.user.userId, newOwnerId);
+    res.status(200).json({ message: 'Ownership transfer requested', ...ownership });
+  } catch (err) {
+    res.status(ownershipErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Accepts the ownership transfer waiting for the authenticated user
+ * @async
+ * @function acceptOwnershipTransfer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the new owner
+ * @throws {403} When user is no longer an administrator
+ * @throws {404} When project is not found or no transfer is waiting for the user
+ * @throws {500} When internal server error occurs
+ */
+async function acceptOwnershipTransfer(req, res) {
+  const { projectId } = req.params;
+
+  try {
+    const ownership = await ownershipService.acceptOwnershipTransfer(projectId, req.user.userId);
+    res.status(200).json({ message: 'You are now the project owner', ...ownership });
+  } catch (err) {
+    res.status(ownershipErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Cancels a pending transfer as the owner, or declines it as the proposed owner
+ * @async
+ * @function cancelOwnershipTransfer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the unchanged owner
+ * @throws {403} When user is neither the owner nor the proposed owner
+ * @throws {404} When project is not found or no transfer is pending
+ * @throws {500} When internal server error occurs
+ */
+async function cancelOwnershipTransfer(req, res) {
+  const { projectId } = req.params;
+
+  try {
+    const ownership = await ownershipService.cancelOwnershipTransfer(projectId, req.user.userId);
+    res.status(200).json({ message: 'Ownership transfer cancelled', ...ownership });
+  } catch (err) {
+    res.status(ownershipErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  requestOwnershipTransfer,
+  acceptOwnershipTransfer,
+  cancelOwnershipTransfer
+};
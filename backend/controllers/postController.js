@@ -8,6 +8,8 @@ const Comment = require('../models/comment');
 const Like = require('../models/like');
 const Project = require('../models/project');
 const Task = require('../models/tasks');
+const { trashPost } = require('../services/trashService');
+const { PERMISSIONS, hasPermission, memberHasPermission } = require('../services/authorizationService');
 
 /**
  * Helper function to extract task mentions from post content
@@ -57,17 +59,17 @@ const extractTaskMentions = (content, projectTasks) => {
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with array of posts including like/comment counts
  * @throws {500} When internal server error occurs
- * @description Fetches posts sorted by creation date with populated author, task mentions, and engagement data
+ * @description Fetches posts, pinned first and then by creation date, with populated author, task mentions, and engagement data
  */
 const getProjectPosts = async (req, res) => {
   try {
     const { projectId } = req.params;
     const userId = req.user.userId;
     
-    const posts = await Post.find({ project: projectId })
+    const posts = await Post.find({ project: projectId, deletedAt: null })
       .populate('author', 'name')
       .populate('mentionedTasks.task', 'taskName')
-      .sort({ createdAt: -1 });
+      .sort({ pinned: -1, createdAt: -1 });
     
     // Add like and comment information for each post
     const postsWithLikes = await Promise.all(posts.map(async (post) => {
@@ -75,7 +77,7 @@ const getProjectPosts = async (req, res) => {
       const userHasLiked = await Like.hasUserLiked(userId, 'Post', post._id);
       
       // Get comment count for this post
-      const commentsCount = await Comment.countDocuments({ post: post._id });
+      const commentsCount = await Comment.countDocuments({ post: post._id, deletedAt: null });
       
       return {
         ...post.toObject(),
@@ -108,6 +110,7 @@ const getProjectPosts = async (req, res) => {
  * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with created post data
+ * @throws {403} When user is not a project member or their role may not create posts
  * @throws {404} When project is not found
  * @throws {500} When internal server error occurs
  * @description Creates post with automatic task mention extraction and image handling
@@ -123,6 +126,9 @@ const createPost = async (req, res) => {
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
     }
+    if (!(await memberHasPermission(project, userId, PERMISSIONS.CREATE_POSTS))) {
+      return res.status(403).json({ message: 'You are not allowed to create posts in this project' });
+    }
     
     const mentionedTasks = extractTaskMentions(content, project.projectTasks);
     
@@ -176,11 +182,11 @@ const getPost = async (req, res) => {
       .populate('author', 'name')
       .populate('mentionedTasks.task', 'taskName');
     
-    if (!post) {
+    if (!post || post.deletedAt) {
       return res.status(404).json({ message: 'Post not found' });
     }
     
-    const comments = await Comment.find({ post: postId })
+    const comments = await Comment.find({ post: postId, deletedAt: null })
       .populate('author', 'name')
       .sort({ createdAt: 1 });
     
@@ -211,7 +217,7 @@ const togglePostLike = async (req, res) => {
     const userId = req.user.userId;
     
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || post.deletedAt) {
       return res.status(404).json({ message: 'Post not found' });
     }
     
@@ -261,7 +267,7 @@ const updatePost = async (req, res) => {
     const userId = req.user.userId;
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || post.deletedAt) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
@@ -307,7 +313,7 @@ const updatePost = async (req, res) => {
 };
 
 /**
- * Deletes a post and all associated comments and likes
+ * Moves a post and its comments to the project's trash
  * @async
  * @function deletePost
  * @param {Object} req - Express request object
@@ -320,7 +326,7 @@ const updatePost = async (req, res) => {
  * @throws {404} When post is not found
  * @throws {403} When user is not authorized to delete the post (not the author)
  * @throws {500} When internal server error occurs
- * @description Cascades deletion to all comments and likes with author authorization check
+ * @description Only the author may delete a post; administrators can restore it from the trash until it is purged
  */
 const deletePost = async (req, res) => {
   try {
@@ -328,7 +334,7 @@ const deletePost = async (req, res) => {
     const userId = req.user.userId;
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || post.deletedAt) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
@@ -337,12 +343,8 @@ const deletePost = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this post' });
     }
 
-    // Delete associated comments and likes
-    await Comment.deleteMany({ post: postId });
-    await Like.deleteMany({ targetType: 'Post', targetId: postId });
-
-    // Delete the post
-    await Post.findByIdAndDelete(postId);
+    // The post and its comments stay restorable until the trash is purged
+    await trashPost(post, userId);
 
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
@@ -350,11 +352,65 @@ const deletePost = async (req, res) => {
   }
 };
 
+/**
+ * Pins a post to the top of its project's feed, or unpins it
+ * @async
+ * @function pinPost
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.postId - ID of the post to pin
+ * @param {Object} req.body - Request body
+ * @param {boolean} req.body.pinned - Whether the post should be pinned
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated post
+ * @throws {400} When pinned is not a boolean
+ * @throws {404} When post is not found
+ * @throws {403} When user is not an administrator of the post's project
+ * @throws {500} When internal server error occurs
+ */
+const pinPost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { pinned } = req.body;
+    const userId = req.user.userId;
+
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json({ message: 'Pinned must be true or false' });
+    }
+
+    const post = await Post.findById(postId);
+    if (!post || post.deletedAt) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const project = await Project.findById(post.project).populate('projectMembers.role');
+    const member = project && project.projectMembers.find(
+      projectMember => projectMember.user.toString() === userId
+    );
+    if (!member || !hasPermission(member.role, PERMISSIONS.MODERATE_POSTS)) {
+      return res.status(403).json({ message: 'Only project administrators can pin posts' });
+    }
+
+    post.pinned = pinned;
+    await post.save();
+
+    await post.populate('author', 'name');
+    await post.populate('mentionedTasks.task', 'taskName');
+
+    res.json({ post });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   getProjectPosts,
   createPost,
   getPost,
   updatePost,
   deletePost,
-  togglePostLike
+  togglePostLike,
+  pinPost
 };
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Project activity controller module for the project-level activity log
+ * @module controllers/projectActivityController
+ */
+
+const projectActivityService = require('../services/projectActivityService');
+
+/**
+ * Lists the latest events of a project
+ * @async
+ * @function getProjectActivity
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the activity log, newest event first
+ * @throws {403} When user is not a project member
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getProjectActivity(req, res) {
+  const { projectId } = req.params;
+
+  try {
+    const activity = await projectActivityService.getProjectActivity(projectId, req.user.userId);
+    res.status(200).json({ activity });
+  } catch (err) {
+    if (err.message === 'Project not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'You are not a member of this project') {
+      return res.status(403).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  getProjectActivity
+};
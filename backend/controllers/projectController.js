@@ -6,6 +6,10 @@
 const Project = require('../models/project');
 const User = require('../models/user');
 const projectService = require('../services/projectService');
+const { getProjectWorkflow } = require('../services/workflowService');
+const { getProjectSprints } = require('../services/sprintService');
+const { getPendingOwner } = require('../services/ownershipService');
+const { PERMISSIONS, memberHasPermission } = require('../services/authorizationService');
 const PDFService = require('../services/pdfService');
 const pdfService = new PDFService();
 
@@ -17,16 +21,19 @@ const pdfService = new PDFService();
  * @param {Object} req.body - Request body
  * @param {string} req.body.projectName - Name of the project
  * @param {string} req.body.projectDescription - Description of the project
+ * @param {string} [req.body.templateId] - ID of a project template to copy the tasks of
+ * @param {string} [req.body.startDate] - Date the template's deadlines count from (ISO date string)
  * @param {Object} req.user - User object from authentication middleware
  * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with created project data
- * @throws {400} When project name or description is missing
+ * @throws {400} When project name or description is missing, or the start date is invalid
+ * @throws {404} When the template is not one of the user's project templates
  * @throws {500} When internal server error occurs
  * @description Creates a new project and automatically adds the creator as project owner with admin role
  */
 async function createProject(req, res) {
-  const { projectName, projectDescription } = req.body;
+  const { projectName, projectDescription, templateId, startDate } = req.body;
   const userId = req.user.userId;
 
   if (!projectName || !projectDescription) {
@@ -39,19 +46,92 @@ async function createProject(req, res) {
     const newProject = await projectService.createProject(
       userId,
       projectName,
-      projectDescription
+      projectDescription,
+      { templateId, startDate }
     );
 
     // Populate projectMembers.role and projectMembers.user for the response
     const populatedProject = await Project.findById(newProject._id)
       .populate({ path: 'projectMembers.user', select: 'name email' })
-      .populate({ path: 'projectMembers.role', select: 'roleName' });
+      .populate({ path: 'projectMembers.role', select: 'roleName project permissions' });
 
     res.status(201).json({
       message: 'Project created successfully',
       project: populatedProject,
     });
   } catch (err) {
+    if (err.message === 'Template not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'Invalid start date') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
+/**
+ * Creates a copy of a project owned by the authenticated user
+ * @async
+ * @function cloneProject
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project to copy
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.projectName] - Name of the copy
+ * @param {string} [req.body.projectDescription] - Description of the copy
+ * @param {number} [req.body.deadlineShiftDays] - Whole days to move every start date and deadline by
+ * @param {boolean} [req.body.resetProgress] - Put every task back in the first status
+ * @param {boolean} [req.body.clearAssignees] - Leave every task unassigned
+ * @param {boolean} [req.body.includePinnedPosts] - Copy the project's pinned posts
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the new project
+ * @throws {400} When the name or deadline shift is invalid
+ * @throws {403} When user is not a project administrator
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function cloneProject(req, res) {
+  const { projectId } = req.params;
+  const { projectName, projectDescription, deadlineShiftDays, resetProgress, clearAssignees, includePinnedPosts } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const newProject = await projectService.cloneProject(projectId, userId, {
+      projectName,
+      projectDescription,
+      deadlineShiftDays,
+      resetProgress,
+      clearAssignees,
+      includePinnedPosts
+    });
+
+    const populatedProject = await Project.findById(newProject._id)
+      .populate({ path: 'projectMembers.user', select: 'name email' })
+      .populate({ path: 'projectMembers.role', select: 'roleName project permissions' });
+
+    res.status(201).json({
+      message: 'Project cloned successfully',
+      project: populatedProject,
+    });
+  } catch (err) {
+    if (err.message === 'Project not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (
+      err.message === 'You are not a member of this project' ||
+      err.message === 'Only project administrators can clone the project'
+    ) {
+      return res.status(403).json({ message: err.message });
+    }
+    if (
+      err.message === 'Project name is required' ||
+      err.message === 'Deadline shift must be a whole number of days'
+    ) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: err.message });
   }
 }
@@ -97,7 +177,7 @@ async function getUserProjects(req, res) {
  * @param {Object} req.user - User object from authentication middleware
  * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
- * @returns {Promise<void>} JSON response with project details including members, tasks, and settings
+ * @returns {Promise<void>} JSON response with project details including members, tasks, sprints and settings
  * @throws {404} When project is not found
  * @throws {403} When user is not a project member
  * @throws {500} When internal server error occurs
@@ -115,14 +195,17 @@ async function getProjectById(req, res) {
       })
       .populate({
         path: 'projectMembers.role',
-        select: 'roleName',
+        select: 'roleName project permissions',
       })
       .populate({
         path: 'projectTasks',
-        select: 'taskName taskDescription taskDeadline taskCreator taskAssignee taskProgress',
+        // Archived tasks are listed separately
+        match: { archivedAt: null },
+        select: 'taskName taskDescription taskStartDate taskDeadline taskCreator taskAssignees taskWatchers taskProgress parentTask blockedBy priority labels estimate checklist recurrence nextOccurrence boardRank sprint',
         populate: [
           { path: 'taskCreator', select: 'name email' },
-          { path: 'taskAssignee', select: 'name email' }
+          { path: 'taskAssignees', select: 'name email' },
+          { path: 'taskWatchers', select: 'name email' }
         ]
       });
 
@@ -147,7 +230,11 @@ async function getProjectById(req, res) {
       members: project.projectMembers,
       tasks: project.projectTasks,
       settings: project.settings,
+      workflow: getProjectWorkflow(project),
+      labels: project.labels,
+      sprints: await getProjectSprints(projectId),
       projectOwner: project.projectOwner,
+      pendingOwnershipTransfer: getPendingOwner(project) ? project.pendingOwnershipTransfer : null,
       createdAt: project.createdAt
     });
   } catch (err) {
@@ -155,6 +242,46 @@ async function getProjectById(req, res) {
   }
 }
 
+/**
+ * Validates the fields required to create a task or subtask
+ * @function validateNewTaskFields
+ * @param {string} taskName - Name of the task
+ * @param {string} taskDescription - Description of the task
+ * @param {string} taskDeadline - Deadline for the task (ISO date string)
+ * @returns {string|null} Validation error message, or null when the fields are valid
+ */
+function validateNewTaskFields(taskName, taskDescription, taskDeadline) {
+  if (!taskName) return 'Task name required!';
+  if (!taskDescription) return 'Task description required!';
+  if (!taskDeadline) return 'Task deadline required!';
+
+  const deadlineDate = new Date(taskDeadline);
+  if (isNaN(deadlineDate)) return 'Invalid date format for deadline!';
+  if (deadlineDate < Date.now()) return 'Task deadline cannot be in the past!';
+
+  return null;
+}
+
+/**
+ * Checks whether an error comes from an invalid start date, priority, label, estimate, recurrence, sprint or assignee role
+ * @function isTaskAttributeError
+ * @param {Error} err - Error thrown by the project service
+ * @returns {boolean} True when the request should be rejected with 400
+ */
+function isTaskAttributeError(err) {
+  return (
+    err.message === 'Invalid priority' ||
+    err.message === 'Invalid start date' ||
+    err.message === 'Start date cannot be after the deadline' ||
+    err.message === 'Estimate must be a non-negative number' ||
+    err.message === 'Label not found in this project' ||
+    err.message === 'Sprint not found in this project' ||
+    err.message === 'Tasks cannot be added to a closed sprint' ||
+    err.message === 'Invalid assignee role' ||
+    err.message.startsWith('Invalid recurrence')
+  );
+}
+
 /**
  * Creates a new task within a project
  * @async
@@ -166,11 +293,19 @@ async function getProjectById(req, res) {
  * @param {string} req.body.taskName - Name of the task
  * @param {string} req.body.taskDescription - Description of the task
  * @param {string} req.body.taskDeadline - Deadline for the task (ISO date string)
+ * @param {string} [req.body.taskStartDate] - Day work on the task begins (ISO date string)
+ * @param {string} [req.body.priority] - Task priority (low, medium, high or urgent)
+ * @param {Array<string>} [req.body.labels] - IDs of project labels to attach
+ * @param {number} [req.body.estimate] - Story points or hours, depending on the project's estimate unit
+ * @param {Object} [req.body.recurrence] - Repeat rule with frequency (daily, weekly or monthly), interval and optional endDate
+ * @param {string} [req.body.sprint] - ID of an open sprint of the project to plan the task into
+ * @param {string} [req.body.assigneeRole] - Role whose members are assigned the task, as set by a task template
  * @param {Object} req.user - User object from authentication middleware
  * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with created task data
  * @throws {400} When required fields are missing or deadline is invalid/in the past
+ * @throws {400} When the start date, priority, labels, estimate, recurrence or sprint are invalid
  * @throws {403} When user is not a project member or lacks permission to create tasks
  * @throws {500} When internal server error occurs
  * @description Creates a new task in the specified project with validation for deadline and user permissions
@@ -178,31 +313,25 @@ async function getProjectById(req, res) {
 async function createTask(req, res) {
   const { projectId } = req.params;
   const userId = req.user.userId;
-  const { taskName, taskDescription, taskDeadline } = req.body;
+  const { taskName, taskDescription, taskDeadline, taskStartDate, priority, labels, estimate, recurrence, sprint, assigneeRole } = req.body;
 
-  if (!taskName) {
-    return res.status(400).json({ message: 'Task name required!' });
+  const validationError = validateNewTaskFields(taskName, taskDescription, taskDeadline);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
   }
 
-  if (!taskDescription) {
-    return res.status(400).json({ message: 'Task description required!' });
-  }
-
-  if (!taskDeadline) {
-    return res.status(400).json({ message: 'Task deadline required!' });
-  }
-  
   const deadlineDate = new Date(taskDeadline);
 
-  if (isNaN(deadlineDate)) {
-    return res.status(400).json({ message: 'Invalid date format for deadline!' });
-  }
-  if (deadlineDate < Date.now()) {
-    return res.status(400).json({ message: 'Task deadline cannot be in the past!' });
-  }
-
   try {
-    const newTask = await projectService.createTask(projectId, userId, taskName, taskDescription, deadlineDate);
+    const newTask = await projectService.createTask(
+      projectId,
+      userId,
+      taskName,
+      taskDescription,
+      deadlineDate,
+      null,
+      { taskStartDate, priority, labels, estimate, recurrence, sprint, assigneeRole }
+    );
 
     res.status(201).json({ 
       message: 'Task created successfully',
@@ -210,15 +339,329 @@ async function createTask(req, res) {
     });
   } catch(err) {
     if (err.message === 'You are not a member of this project' || 
-        err.message === 'Viewers are not authorized to create tasks') {
+        err.message === 'Your role does not allow creating tasks') {
+      return res.status(403).json({ message: err.message });
+    }
+    if (isTaskAttributeError(err)) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
+/**
+ * Creates a subtask under an existing task
+ * @async
+ * @function createSubtask
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the parent task
+ * @param {string} req.params.taskId - ID of the parent task
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.taskName - Name of the subtask
+ * @param {string} req.body.taskDescription - Description of the subtask
+ * @param {string} req.body.taskDeadline - Deadline for the subtask (ISO date string)
+ * @param {string} [req.body.taskStartDate] - Day work on the subtask begins (ISO date string)
+ * @param {string} [req.body.priority] - Subtask priority (low, medium, high or urgent)
+ * @param {Array<string>} [req.body.labels] - IDs of project labels to attach
+ * @param {number} [req.body.estimate] - Story points or hours, depending on the project's estimate unit
+ * @param {Object} [req.body.recurrence] - Repeat rule with frequency (daily, weekly or monthly), interval and optional endDate
+ * @param {string} [req.body.sprint] - ID of an open sprint of the project to plan the task into
+ * @param {string} [req.body.assigneeRole] - Role whose members are assigned the task, as set by a task template
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with created subtask data
+ * @throws {400} When required fields are missing or deadline is invalid/in the past
+ * @throws {400} When the start date, priority, labels, estimate, recurrence or sprint are invalid
+ * @throws {403} When user is not a project member or lacks permission to create tasks
+ * @throws {404} When the parent task is not part of the project
+ * @throws {500} When internal server error occurs
+ * @description Creates a task linked to its parent; the parent's progress is then rolled up from its subtasks
+ */
+async function createSubtask(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+  const { taskName, taskDescription, taskDeadline, taskStartDate, priority, labels, estimate, recurrence, sprint, assigneeRole } = req.body;
+
+  const validationError = validateNewTaskFields(taskName, taskDescription, taskDeadline);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const newTask = await projectService.createTask(
+      projectId,
+      userId,
+      taskName,
+      taskDescription,
+      new Date(taskDeadline),
+      taskId,
+      { taskStartDate, priority, labels, estimate, recurrence, sprint, assigneeRole }
+    );
+
+    res.status(201).json({
+      message: 'Subtask created successfully',
+      task: newTask
+    });
+  } catch (err) {
+    if (err.message === 'You are not a member of this project' ||
+        err.message === 'Your role does not allow creating tasks') {
+      return res.status(403).json({ message: err.message });
+    }
+    if (err.message === 'Project not found' || err.message === 'Parent task not found in this project') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (isTaskAttributeError(err)) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
+/**
+ * Lists the direct subtasks of a task
+ * @async
+ * @function getSubtasks
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the parent task
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the subtasks of the task
+ * @throws {403} When user is not a project member
+ * @throws {404} When project or task is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getSubtasks(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const subtasks = await projectService.getSubtasks(projectId, taskId, userId);
+    res.status(200).json({ subtasks });
+  } catch (err) {
+    if (err.message === 'You are not a member of this project') {
       return res.status(403).json({ message: err.message });
     }
+    if (err.message === 'Project not found' || err.message === 'Task not found in this project') {
+      return res.status(404).json({ message: err.message });
+    }
     res.status(500).json({ message: err.message });
   }
 }
 
 /**
- * Deletes a task from a project
+ * Maps task dependency errors to HTTP status codes
+ * @function dependencyErrorStatus
+ * @param {Error} err - Error thrown by the project service
+ * @returns {number} HTTP status code for the error
+ */
+function dependencyErrorStatus(err) {
+  if (err.message === 'You are not authorized to update this task') return 403;
+  if (
+    err.message === 'Project not found' ||
+    err.message === 'Task not found' ||
+    err.message === 'Task not found in this project' ||
+    err.message === 'Dependency not found'
+  ) {
+    return 404;
+  }
+  if (err.message === 'Dependency already exists') return 409;
+  if (
+    err.message === 'A task cannot block itself' ||
+    err.message === 'Adding this dependency would create a cycle'
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Records that another task blocks a task
+ * @async
+ * @function addTaskDependency
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the tasks
+ * @param {string} req.params.taskId - ID of the task that becomes blocked
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.blockerTaskId - ID of the task that must be completed first
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated task
+ * @throws {400} When blocker is missing, is the task itself, or would create a cycle
+ * @throws {403} When user is not the project owner or task creator
+ * @throws {404} When project or either task is not found
+ * @throws {409} When the dependency already exists
+ * @throws {500} When internal server error occurs
+ */
+async function addTaskDependency(req, res) {
+  const { projectId, taskId } = req.params;
+  const { blockerTaskId } = req.body;
+  const userId = req.user.userId;
+
+  if (!blockerTaskId) {
+    return res.status(400).json({ message: 'Blocking task is required.' });
+  }
+
+  try {
+    const task = await projectService.addTaskDependency(projectId, taskId, blockerTaskId, userId);
+    res.status(201).json({ message: 'Dependency added successfully', task });
+  } catch (err) {
+    res.status(dependencyErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Removes a blocking task from a task
+ * @async
+ * @function removeTaskDependency
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the tasks
+ * @param {string} req.params.taskId - ID of the blocked task
+ * @param {string} req.params.blockerTaskId - ID of the blocking task to remove
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated task
+ * @throws {403} When user is not the project owner or task creator
+ * @throws {404} When project, either task or the dependency is not found
+ * @throws {500} When internal server error occurs
+ */
+async function removeTaskDependency(req, res) {
+  const { projectId, taskId, blockerTaskId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const task = await projectService.removeTaskDependency(projectId, taskId, blockerTaskId, userId);
+    res.status(200).json({ message: 'Dependency removed successfully', task });
+  } catch (err) {
+    res.status(dependencyErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Maps task archive errors to HTTP status codes
+ * @function archiveErrorStatus
+ * @param {Error} err - Error thrown by the project service
+ * @returns {number} HTTP status code for the error
+ */
+function archiveErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'You are not authorized to archive this task'
+  ) {
+    return 403;
+  }
+  if (
+    err.message === 'Project not found' ||
+    err.message === 'Task not found' ||
+    err.message === 'Task not found in this project'
+  ) {
+    return 404;
+  }
+  if (
+    err.message === 'Task is already archived' ||
+    err.message === 'Task is not archived' ||
+    err.message === 'Unarchive the parent task first'
+  ) {
+    return 409;
+  }
+  return 500;
+}
+
+/**
+ * Archives a task and its subtasks
+ * @async
+ * @function archiveTask
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task to archive
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the archived task
+ * @throws {403} When user is not the project owner, the task creator or an administrator
+ * @throws {404} When project or task is not found
+ * @throws {409} When the task is already archived
+ * @throws {500} When internal server error occurs
+ */
+async function archiveTask(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const task = await projectService.archiveTask(projectId, taskId, userId);
+    res.status(200).json({ message: 'Task archived successfully', task });
+  } catch (err) {
+    res.status(archiveErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Restores an archived task and the subtasks archived with it
+ * @async
+ * @function unarchiveTask
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task to restore
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the restored task
+ * @throws {403} When user is not the project owner, the task creator or an administrator
+ * @throws {404} When project or task is not found
+ * @throws {409} When the task is not archived or its parent task still is
+ * @throws {500} When internal server error occurs
+ */
+async function unarchiveTask(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const task = await projectService.unarchiveTask(projectId, taskId, userId);
+    res.status(200).json({ message: 'Task restored successfully', task });
+  } catch (err) {
+    res.status(archiveErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Lists the archived tasks of a project
+ * @async
+ * @function getArchivedTasks
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the archived tasks
+ * @throws {403} When user is not a project member
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getArchivedTasks(req, res) {
+  const { projectId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const archive = await projectService.getArchivedTasks(projectId, userId);
+    res.status(200).json(archive);
+  } catch (err) {
+    res.status(archiveErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Permanently deletes an archived task from a project
  * @async
  * @function deleteTask
  * @param {Object} req - Express request object
@@ -230,8 +673,8 @@ async function createTask(req, res) {
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with deletion confirmation
  * @throws {400} When project is not found
- * @throws {500} When internal server error occurs or user lacks permission
- * @description Removes a task from the specified project with appropriate authorization checks
+ * @throws {500} When internal server error occurs, user is not an administrator, or the task is not archived
+ * @description Moves an archived task and its subtasks to the project's trash; only administrators may do this
  */
 async function deleteTask(req, res) {
   const { projectId, taskId } = req.params;
@@ -263,25 +706,55 @@ async function deleteTask(req, res) {
  * @param {string} [req.body.taskName] - Updated task name
  * @param {string} [req.body.taskDescription] - Updated task description
  * @param {string} [req.body.taskDeadline] - Updated task deadline (ISO date string)
+ * @param {string|null} [req.body.taskStartDate] - Updated start date (ISO date string), or null to clear it
  * @param {string} [req.body.taskProgress] - Updated task progress status
+ * @param {string} [req.body.priority] - Updated task priority
+ * @param {Array<string>} [req.body.labels] - IDs of project labels, replacing the current ones
+ * @param {number|null} [req.body.estimate] - Updated estimate, or null to clear it
+ * @param {Object|null} [req.body.recurrence] - Updated repeat rule, or null to stop the task repeating
+ * @param {string|null} [req.body.sprint] - ID of an open sprint of the project, or null to move the task to the backlog
+ * @param {boolean} [req.body.overrideBlockers] - Administrator override for open blocking tasks
  * @param {Object} req.user - User object from authentication middleware
  * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with updated task data
  * @throws {400} When no update fields are provided
+ * @throws {400} When the new status is not in the workflow or the move is not allowed
+ * @throws {400} When the start date, priority, labels, estimate, recurrence or sprint are invalid
+ * @throws {403} When a non-administrator tries to override blocking tasks
+ * @throws {404} When the project is not found or the task is not in it
+ * @throws {409} When the task is blocked by unfinished tasks or has open checklist items the project requires finished
  * @throws {500} When internal server error occurs or user lacks permission
  * @description Updates specified fields of a task with validation and authorization checks
  */
 async function updateTask(req, res) {
   const { projectId, taskId } = req.params;
   const userId = req.user.userId;
-  const { taskName, taskDescription, taskDeadline, taskProgress } = req.body;
+  const {
+    taskName,
+    taskDescription,
+    taskDeadline,
+    taskStartDate,
+    taskProgress,
+    priority,
+    labels,
+    estimate,
+    recurrence,
+    sprint,
+    overrideBlockers
+  } = req.body;
 
   if (
     taskName === undefined &&
     taskDescription === undefined &&
     taskDeadline === undefined &&
-    taskProgress === undefined
+    taskStartDate === undefined &&
+    taskProgress === undefined &&
+    priority === undefined &&
+    labels === undefined &&
+    estimate === undefined &&
+    recurrence === undefined &&
+    sprint === undefined
   ) {
     return res.status(400).json({ message: 'At least one field (name, description, deadline, or status) must be provided to update.' });
   }
@@ -291,17 +764,44 @@ async function updateTask(req, res) {
     if (taskName !== undefined) updates.taskName = taskName;
     if (taskDescription !== undefined) updates.taskDescription = taskDescription;
     if (taskDeadline !== undefined) updates.taskDeadline = taskDeadline;
+    if (taskStartDate !== undefined) updates.taskStartDate = taskStartDate;
     if (taskProgress !== undefined) updates.taskProgress = taskProgress;
+    if (priority !== undefined) updates.priority = priority;
+    if (labels !== undefined) updates.labels = labels;
+    if (estimate !== undefined) updates.estimate = estimate;
+    if (recurrence !== undefined) updates.recurrence = recurrence;
+    if (sprint !== undefined) updates.sprint = sprint;
+    if (overrideBlockers) updates.overrideBlockers = true;
 
     const updatedTask = await projectService.updateTask(projectId, taskId, userId, updates);
     res.status(200).json({ message: 'Task updated successfully', task: updatedTask });
   } catch (err) {
+    if (
+      err.message === 'Status is not part of this project\'s workflow' ||
+      err.message.startsWith('Cannot move a task from') ||
+      isTaskAttributeError(err)
+    ) {
+      return res.status(400).json({ message: err.message });
+    }
+    if (
+      err.message.startsWith('Task is blocked by unfinished tasks') ||
+      err.message.startsWith('Checklist has open items') ||
+      err.message === 'Archived tasks cannot be changed'
+    ) {
+      return res.status(409).json({ message: err.message });
+    }
+    if (err.message === 'Project not found' || err.message === 'Task not found in this project') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'Only project administrators can override task dependencies') {
+      return res.status(403).json({ message: err.message });
+    }
     res.status(500).json({ message: err.message });
   }
 }
 
 /**
- * Assigns a task to a specific project member
+ * Adds a project member to the assignees of a task
  * @async
  * @function assignTask
  * @param {Object} req - Express request object
@@ -313,8 +813,11 @@ async function updateTask(req, res) {
  * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with assignment confirmation and updated task data
+ * @throws {400} When the member is a viewer
+ * @throws {404} When the task is not in the project
+ * @throws {409} When the task is archived
  * @throws {500} When internal server error occurs or assignment fails
- * @description Assigns a task to a project member with appropriate validation and authorization
+ * @description Assigns a task to a project member with appropriate validation and authorization; existing assignees keep the task
  */
 async function assignTask(req, res) {
   const { projectId, taskId, memberId } = req.params;
@@ -325,10 +828,132 @@ async function assignTask(req, res) {
     const assignedTask = await projectService.assignTask(projectId, taskId, memberId, userId);
     res.status(200).json({ message: 'Task assigned successfully', task: assignedTask });
   } catch (err) {
+    if (err.message === 'Task not found in this project') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'Archived tasks cannot be changed') {
+      return res.status(409).json({ message: err.message });
+    }
+    if (err.message === 'Viewers cannot be assigned to tasks') {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: err.message});
   }
 }
 
+/**
+ * Replaces the assignees of a task
+ * @async
+ * @function updateTaskAssignees
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task to assign
+ * @param {Object} req.body - Request body
+ * @param {Array<string>} req.body.assignees - IDs of every member who should own the task
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the task and its populated assignees
+ * @throws {400} When the assignees are not a list, or include a non-member or viewer
+ * @throws {403} When user is not the project owner
+ * @throws {404} When the project is not found or the task is not in it
+ * @throws {500} When internal server error occurs
+ */
+async function updateTaskAssignees(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+  const { assignees } = req.body;
+
+  try {
+    const task = await projectService.updateTaskAssignees(projectId, taskId, assignees, userId);
+    res.status(200).json({ message: 'Task assignees updated successfully', task });
+  } catch (err) {
+    if (err.message === 'Project not found' || err.message === 'Task not found in this project') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'You are not authorized to update this task') {
+      return res.status(403).json({ message: err.message });
+    }
+    if (
+      err.message === 'Assignees must be a list of member IDs' ||
+      err.message === 'Member is not part of this project' ||
+      err.message === 'Viewers cannot be assigned to tasks'
+    ) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
+/**
+ * Adds the authenticated user to the watchers of a task
+ * @async
+ * @function watchTask
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task to watch
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the task and its populated watchers
+ * @throws {403} When user is not a project member
+ * @throws {404} When project or task is not found
+ * @throws {500} When internal server error occurs
+ */
+async function watchTask(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const task = await projectService.setTaskWatching(projectId, taskId, userId, true);
+    res.status(200).json({ message: 'You are now watching this task', task });
+  } catch (err) {
+    if (err.message === 'Project not found' || err.message === 'Task not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'You are not a member of this project') {
+      return res.status(403).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
+/**
+ * Removes the authenticated user from the watchers of a task
+ * @async
+ * @function unwatchTask
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task to stop watching
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the task and its populated watchers
+ * @throws {403} When user is not a project member
+ * @throws {404} When project or task is not found
+ * @throws {500} When internal server error occurs
+ */
+async function unwatchTask(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const task = await projectService.setTaskWatching(projectId, taskId, userId, false);
+    res.status(200).json({ message: 'You are no longer watching this task', task });
+  } catch (err) {
+    if (err.message === 'Project not found' || err.message === 'Task not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'You are not a member of this project') {
+      return res.status(403).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
 /**
  * Generates an invite link for a project
  * @async
@@ -336,25 +961,33 @@ async function assignTask(req, res) {
  * @param {Object} req - Express request object
  * @param {Object} req.params - URL parameters
  * @param {string} req.params.projectId - ID of the project to generate invite link for
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.name] - Label shown in the invite link list
+ * @param {string} [req.body.role='viewer'] - Role granted on join: 'developer' or 'viewer'
+ * @param {string} [req.body.expiresAt] - When the link stops working
+ * @param {number} [req.body.maxUses] - How many people may join with the link
  * @param {Object} req.user - User object from authentication middleware
  * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
- * @returns {Promise<void>} JSON response with generated invite link token
+ * @returns {Promise<void>} JSON response with the new invite link and its token
+ * @throws {400} When the name, role, expiry date or usage limit is invalid
  * @throws {404} When project is not found or user is not a project member
  * @throws {403} When user is not authorized to generate invite links (admin required)
+ * @throws {409} When joining by invite link is disabled for the project
  * @throws {500} When internal server error occurs
- * @description Creates a unique invite token that can be used to join the project
+ * @description Creates a new named invite token that can be used to join the project
  */
 async function generateInviteLink(req, res) {
   const { projectId } = req.params;
   const userId = req.user.userId;
+  const { name, role, expiresAt, maxUses } = req.body || {};
 
   try {
-    const inviteLink = await projectService.generateInviteLink(projectId, userId);
+    const inviteLink = await projectService.generateInviteLink(projectId, userId, { name, role, expiresAt, maxUses });
     
     res.status(201).json({
       message: 'Invite link generated successfully',
-      inviteLink: { token: inviteLink.token }
+      inviteLink
     });
   } catch (err) {
     if (err.message === 'Project not found' || err.message === 'You are not a member of this project') {
@@ -363,6 +996,19 @@ async function generateInviteLink(req, res) {
     if (err.message === 'Only project administrators can generate invite links') {
       return res.status(403).json({ message: err.message });
     }
+    if (err.message === 'Joining by invite link is disabled for this project') {
+      return res.status(409).json({ message: err.message });
+    }
+    if (
+      err.message === 'Invite link name must be text' ||
+      err.message.startsWith('Invite link name must be at most') ||
+      err.message === 'Invite links can only grant the developer or viewer role' ||
+      err.message === 'Invalid expiry date' ||
+      err.message === 'Expiry date must be in the future' ||
+      err.message.startsWith('Maximum uses must be a whole number')
+    ) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: err.message });
   }
 }
@@ -377,17 +1023,22 @@ async function generateInviteLink(req, res) {
  * @param {string} req.params.taskId - ID of the task to update progress for
  * @param {Object} req.body - Request body
  * @param {string} req.body.newProg - New progress value for the task
+ * @param {boolean} [req.body.overrideBlockers] - Administrator override for open blocking tasks
  * @param {Object} req.user - User object from authentication middleware
  * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with updated task data
  * @throws {400} When new progress value is missing
+ * @throws {400} When the new status is not in the workflow or the move is not allowed
+ * @throws {403} When a non-administrator tries to override blocking tasks
+ * @throws {404} When the project is not found or the task is not in it
+ * @throws {409} When the task is blocked by unfinished tasks or has open checklist items the project requires finished
  * @throws {500} When internal server error occurs or user lacks permission
  * @description Updates only the progress field of a task with validation and authorization
  */
 async function editTaskProgress(req, res) {
   const { projectId, taskId } = req.params;
-  const { newProg } = req.body;
+  const { newProg, overrideBlockers } = req.body;
 
   if (newProg === undefined) {
     return res.status(400).json({ message: 'New progress value is required.' });
@@ -398,14 +1049,48 @@ async function editTaskProgress(req, res) {
       projectId,
       taskId,
       req.user.userId,
-      newProg
+      newProg,
+      !!overrideBlockers
     );
     res.status(200).json({ message: 'Task progress updated successfully', task: updatedTask });
   } catch (err) {
+    if (
+      err.message === 'Status is not part of this project\'s workflow' ||
+      err.message.startsWith('Cannot move a task from')
+    ) {
+      return res.status(400).json({ message: err.message });
+    }
+    if (
+      err.message.startsWith('Task is blocked by unfinished tasks') ||
+      err.message.startsWith('Checklist has open items') ||
+      err.message === 'Archived tasks cannot be changed'
+    ) {
+      return res.status(409).json({ message: err.message });
+    }
+    if (err.message === 'Project not found' || err.message === 'Task not found in this project') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'Only project administrators can override task dependencies') {
+      return res.status(403).json({ message: err.message });
+    }
     res.status(500).json({ message: err.message });
   }
 }
 
+/**
+ * Tells whether an error means the invite link exists but can no longer be used
+ * @function isUnusableInviteLinkError
+ * @param {Error} err - Error thrown by the project service
+ * @returns {boolean} True for revoked, expired and used up links
+ */
+function isUnusableInviteLinkError(err) {
+  return (
+    err.message === 'This invite link has been revoked' ||
+    err.message === 'This invite link has expired' ||
+    err.message === 'This invite link has reached its usage limit'
+  );
+}
+
 /**
  * Allows a user to join a project using an invite link token
  * @async
@@ -416,11 +1101,15 @@ async function editTaskProgress(req, res) {
  * @param {Object} req.user - User object from authentication middleware
  * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
- * @returns {Promise<void>} JSON response with project join confirmation
+ * @returns {Promise<void>} JSON response with project join confirmation, or 202 when the request awaits approval
  * @throws {400} When invite token is missing
- * @throws {404} When invite link is invalid, expired, project not found, or role not found
+ * @throws {403} When the user's request to join was declined
+ * @throws {404} When invite link is invalid, project not found, or role not found
  * @throws {409} When user is already a member of the project
- * @description Validates invite token and adds user to project with appropriate role
+ * @throws {410} When invite link was revoked, has expired or reached its usage limit
+ * @throws {500} When internal server error occurs
+ * @description Validates invite token and adds user to project with the role the link grants, or sends a
+ * join request to the administrators when the project requires approval
  */
 async function joinProjectViaInvite(req, res) {
   const { token } = req.body;
@@ -432,6 +1121,13 @@ async function joinProjectViaInvite(req, res) {
 
   try {
     const result = await projectService.joinProjectViaInvite(token, userId);
+
+    if (result.status === 'pending') {
+      return res.status(202).json({
+        message: 'Your request to join has been sent to the project administrators',
+        project: result
+      });
+    }
     
     res.status(200).json({
       message: 'Successfully joined project',
@@ -446,6 +1142,13 @@ async function joinProjectViaInvite(req, res) {
     if (err.message === 'You are already a member of this project') {
       return res.status(409).json({ message: err.message });
     }
+    if (err.message === 'Your request to join this project was declined') {
+      return res.status(403).json({ message: err.message });
+    }
+    if (isUnusableInviteLinkError(err)) {
+      return res.status(410).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
   }
 }
 
@@ -456,10 +1159,13 @@ async function joinProjectViaInvite(req, res) {
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
  * @param {string} req.query.token - Invite token for the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with project details for preview
  * @throws {400} When invite token is missing
- * @throws {404} When invite link is invalid, expired, or project not found
+ * @throws {404} When invite link is invalid or project not found
+ * @throws {410} When invite link was revoked, has expired or reached its usage limit
  * @throws {500} When internal server error occurs
  * @description Allows users to preview project information before deciding to join via invite link
  */
@@ -471,7 +1177,7 @@ async function getProjectDetailsFromInvite(req, res) {
   }
 
   try {
-    const projectDetails = await projectService.getProjectDetailsFromInvite(token);
+    const projectDetails = await projectService.getProjectDetailsFromInvite(token, req.user.userId);
     
     res.status(200).json({
       message: 'Project details retrieved successfully',
@@ -482,6 +1188,9 @@ async function getProjectDetailsFromInvite(req, res) {
         err.message === 'Project not found') {
       return res.status(404).json({ message: err.message });
     }
+    if (isUnusableInviteLinkError(err)) {
+      return res.status(410).json({ message: err.message });
+    }
     res.status(500).json({ message: err.message });
   }
 }
@@ -519,6 +1228,8 @@ async function removeMember(req, res){
  * @param {Object} req - Express request object
  * @param {Object} req.params - URL parameters
  * @param {string} req.params.projectId - ID of the project to export
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.includeArchived] - 'true' to count archived tasks in the report
  * @param {Object} req.user - User object from authentication middleware
  * @param {string} req.user.userId - ID of the authenticated user
  * @param {Object} res - Express response object
@@ -540,19 +1251,17 @@ async function exportProjectSummary(req, res) {
       return res.status(404).json({ message: 'Project not found' });
     }
 
-    // Check if user is a project member
-    const isMember = project.projectMembers.some(
-      (member) => member.user && member.user.toString() === userId
-    );
-
-    if (!isMember) {
+    // Check that the user is a member whose role may export
+    if (!(await memberHasPermission(project, userId, PERMISSIONS.EXPORT_PDF))) {
       return res.status(403).json({ 
         message: 'Access denied: You are not authorized to export this project summary' 
       });
     }
 
     // Generate the PDF
-    const pdfBuffer = await pdfService.generateProjectSummaryPDF(projectId);
+    const pdfBuffer = await pdfService.generateProjectSummaryPDF(projectId, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
 
     // Set response headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
@@ -631,6 +1340,7 @@ async function updateProjectDetails(req, res) {
  * @returns {Promise<void>} JSON response with updated project data
  * @throws {404} When project is not found
  * @throws {403} When user is not authorized to update project settings (admin required)
+ * @throws {400} When the estimate unit or trash retention period is not supported
  * @throws {500} When internal server error occurs
  * @description Updates project configuration settings with admin authorization required
  */
@@ -652,6 +1362,95 @@ async function updateProjectSettings(req, res) {
     if (err.message === 'Only project administrators can update project settings') {
       return res.status(403).json({ message: err.message });
     }
+    if (
+      err.message === 'Invalid estimate unit' ||
+      err.message === 'Trash retention must be a whole number of days between 1 and 365'
+    ) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
+/**
+ * Replaces the task workflow of a project
+ * @async
+ * @function updateProjectWorkflow
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project to update
+ * @param {Object} req.body - Request body
+ * @param {Array<Object>} req.body.workflow - Ordered statuses with name, category, color and transitions
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the saved workflow
+ * @throws {400} When the workflow is invalid
+ * @throws {403} When user is not a project administrator
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function updateProjectWorkflow(req, res) {
+  const { projectId } = req.params;
+  const { workflow } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const savedWorkflow = await projectService.updateProjectWorkflow(projectId, userId, workflow);
+    res.status(200).json({ message: 'Workflow updated successfully', workflow: savedWorkflow });
+  } catch (err) {
+    if (err.message === 'Project not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'Only project administrators can update the workflow') {
+      return res.status(403).json({ message: err.message });
+    }
+    if (err.message.startsWith('Invalid workflow')) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
+/**
+ * Replaces the task labels of a project
+ * @async
+ * @function updateProjectLabels
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project to update
+ * @param {Object} req.body - Request body
+ * @param {Array<Object>} req.body.labels - Labels with name and color; existing labels keep their _id
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the saved labels
+ * @throws {400} When the labels are invalid
+ * @throws {403} When user is not a project member or is a viewer
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function updateProjectLabels(req, res) {
+  const { projectId } = req.params;
+  const { labels } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const savedLabels = await projectService.updateProjectLabels(projectId, userId, labels);
+    res.status(200).json({ message: 'Labels updated successfully', labels: savedLabels });
+  } catch (err) {
+    if (err.message === 'Project not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (
+      err.message === 'You are not a member of this project' ||
+      err.message === 'Viewers are not authorized to manage labels'
+    ) {
+      return res.status(403).json({ message: err.message });
+    }
+    if (err.message.startsWith('Invalid labels')) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: err.message });
   }
 }
@@ -778,12 +1577,23 @@ async function disableProjectInviteLinks(req, res) {
 module.exports = { 
   removeMember, 
   createProject, 
+  cloneProject,
   getUserProjects, 
   getProjectById, 
   createTask, 
+  createSubtask,
+  getSubtasks,
+  addTaskDependency,
+  removeTaskDependency,
+  archiveTask,
+  unarchiveTask,
+  getArchivedTasks,
   deleteTask, 
   updateTask, 
   assignTask, 
+  updateTaskAssignees,
+  watchTask,
+  unwatchTask,
   generateInviteLink, 
   joinProjectViaInvite, 
   editTaskProgress, 
@@ -791,6 +1601,8 @@ module.exports = {
   exportProjectSummary,
   updateProjectDetails,
   updateProjectSettings,
+  updateProjectWorkflow,
+  updateProjectLabels,
   leaveProject,
   deleteProject,
   disableProjectInviteLinks
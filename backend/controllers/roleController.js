@@ -1,8 +1,46 @@
+const mongoose = require('mongoose');
 const roleService = require('../services/roleServices');
+const { BUILT_IN_ROLE_NAMES } = require('../services/authorizationService');
+
+/**
+ * Maps role management errors to HTTP status codes
+ * @function roleErrorStatus
+ * @param {Error} err - Error thrown by the role service
+ * @returns {number} HTTP status code for the error
+ */
+function roleErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'You are not allowed to manage roles in this project' ||
+    err.message === 'Built-in roles cannot be changed' ||
+    err.message.startsWith('You cannot grant a permission')
+  ) {
+    return 403;
+  }
+  if (err.message === 'Project not found' || err.message === 'Role not found') {
+    return 404;
+  }
+  if (
+    err.message === 'A role with this name already exists' ||
+    err.message === 'Reassign the members who hold this role before deleting it'
+  ) {
+    return 409;
+  }
+  if (
+    err.message === 'Role name is required' ||
+    err.message.startsWith('Role name must be') ||
+    err.message === 'Permissions must be a list' ||
+    err.message.startsWith('Unknown permission')
+  ) {
+    return 400;
+  }
+  return 500;
+}
 
 /**
  * Assign role to a project member
  * @param {Object} req - Express request object: projectId, memberId in params, role in body
+ * (the name of a built-in role or the ID of a custom role)
  * @param {Object} res - response object: JSON
  * @returns {void}
  */
@@ -11,7 +49,7 @@ async function assignRole(req, res) {
   const { role } = req.body;
   const userId = req.user.userId;
 
-  if (!role || !['administrator', 'developer', 'viewer'].includes(role)) {
+  if (!role || (!BUILT_IN_ROLE_NAMES.includes(role) && !mongoose.Types.ObjectId.isValid(role))) {
     return res.status(400).json({ message: 'Invalid role.' });
   }
 
@@ -23,4 +61,92 @@ async function assignRole(req, res) {
   }
 }
 
-module.exports = { assignRole }; 
\ No newline at end of file
+/**
+ * Lists the roles of a project and the permissions a role can hold
+ * @async
+ * @function getProjectRoles
+ * @param {Object} req - Express request object: projectId in params
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the roles and the permission catalog
+ * @throws {403} When user is not a project member
+ * @throws {404} When project is not found
+ */
+async function getProjectRoles(req, res) {
+  try {
+    const result = await roleService.getProjectRoles(req.params.projectId, req.user.userId);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(roleErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Creates a custom role
+ * @async
+ * @function createRole
+ * @param {Object} req - Express request object: projectId in params, roleName and permissions in body
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the new role
+ * @throws {400} When the name or permissions are not valid
+ * @throws {403} When user is not a project member, may not manage roles or lacks a permission they grant
+ * @throws {404} When project is not found
+ * @throws {409} When the name is already taken
+ */
+async function createRole(req, res) {
+  const { roleName, permissions } = req.body;
+
+  try {
+    const role = await roleService.createRole(req.params.projectId, req.user.userId, { roleName, permissions });
+    res.status(201).json({ message: 'Role created', role });
+  } catch (err) {
+    res.status(roleErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Renames a custom role or changes its permissions
+ * @async
+ * @function updateRole
+ * @param {Object} req - Express request object: projectId and roleId in params, roleName and permissions in body
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated role
+ * @throws {400} When the name or permissions are not valid
+ * @throws {403} When user may not manage roles, the role is built in or user lacks a permission they add
+ * @throws {404} When project or role is not found
+ * @throws {409} When the name is already taken
+ */
+async function updateRole(req, res) {
+  const { projectId, roleId } = req.params;
+  const { roleName, permissions } = req.body;
+
+  try {
+    const role = await roleService.updateRole(projectId, roleId, req.user.userId, { roleName, permissions });
+    res.status(200).json({ message: 'Role updated', role });
+  } catch (err) {
+    res.status(roleErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Deletes a custom role
+ * @async
+ * @function deleteRole
+ * @param {Object} req - Express request object: projectId and roleId in params
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the deleted role
+ * @throws {403} When user may not manage roles or the role is built in
+ * @throws {404} When project or role is not found
+ * @throws {409} When members still hold the role
+ */
+async function deleteRole(req, res) {
+  const { projectId, roleId } = req.params;
+
+  try {
+    const role = await roleService.deleteRole(projectId, roleId, req.user.userId);
+    res.status(200).json({ message: 'Role deleted', role });
+  } catch (err) {
+    res.status(roleErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = { assignRole, getProjectRoles, createRole, updateRole, deleteRole };
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Sprint controller module for a project's sprints and milestones
+ * @module controllers/sprintController
+ */
+
+const sprintService = require('../services/sprintService');
+
+/**
+ * Maps sprint errors to HTTP status codes
+ * @function sprintErrorStatus
+ * @param {Error} err - Error thrown by the sprint service
+ * @returns {number} HTTP status code for the error
+ */
+function sprintErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'Only project administrators can manage sprints'
+  ) {
+    return 403;
+  }
+  if (err.message === 'Project not found' || err.message === 'Sprint not found') return 404;
+  if (
+    err.message === 'Only planned sprints can be started' ||
+    err.message === 'Only active sprints can be closed' ||
+    err.message === 'Another sprint is already active' ||
+    err.message === 'Closed sprints cannot be changed'
+  ) {
+    return 409;
+  }
+  if (
+    err.message === 'Sprint name is required' ||
+    err.message === 'Invalid sprint type' ||
+    err.message === 'Sprint start and end dates are required' ||
+    err.message === 'Invalid sprint dates' ||
+    err.message === 'Sprint cannot end before it starts' ||
+    err.message === 'Unfinished tasks can only move to another open sprint of this project'
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Lists the sprints and milestones of a project
+ * @async
+ * @function getSprints
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the project's sprints in date order
+ * @throws {403} When user is not a project member
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getSprints(req, res) {
+  const { projectId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const sprints = await sprintService.getSprints(projectId, userId);
+    res.status(200).json({ sprints });
+  } catch (err) {
+    res.status(sprintErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Plans a new sprint or milestone
+ * @async
+ * @function createSprint
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Name of the sprint
+ * @param {string} [req.body.kind] - 'sprint' (default) or 'milestone'
+ * @param {string} [req.body.goal] - What the sprint sets out to achieve
+ * @param {string} req.body.startDate - First day of the sprint (ISO date string)
+ * @param {string} req.body.endDate - Last day of the sprint (ISO date string)
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the created sprint
+ * @throws {400} When the name, kind or dates are invalid
+ * @throws {403} When user is not a member or not an administrator
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function createSprint(req, res) {
+  const { projectId } = req.params;
+  const userId = req.user.userId;
+  const { name, kind, goal, startDate, endDate } = req.body;
+
+  try {
+    const sprint = await sprintService.createSprint(projectId, userId, { name, kind, goal, startDate, endDate });
+    res.status(201).json({ message: 'Sprint created successfully', sprint });
+  } catch (err) {
+    res.status(sprintErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Changes the name, goal or dates of a sprint
+ * @async
+ * @function updateSprint
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {string} req.params.sprintId - ID of the sprint
+ * @param {Object} req.body - Fields to change: name, goal, startDate and endDate
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated sprint
+ * @throws {400} When the name or dates are invalid
+ * @throws {403} When user is not a member or not an administrator
+ * @throws {404} When project or sprint is not found
+ * @throws {409} When the sprint has closed
+ * @throws {500} When internal server error occurs
+ */
+async function updateSprint(req, res) {
+  const { projectId, sprintId } = req.params;
+  const userId = req.user.userId;
+  const { name, goal, startDate, endDate } = req.body;
+
+  try {
+    const sprint = await sprintService.updateSprint(projectId, sprintId, userId, { name, goal, startDate, endDate });
+    res.status(200).json({ message: 'Sprint updated successfully', sprint });
+  } catch (err) {
+    res.status(sprintErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Deletes a sprint, returning its tasks to the backlog
+ * @async
+ * @function deleteSprint
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {string} req.params.sprintId - ID of the sprint
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with deletion confirmation
+ * @throws {403} When user is not a member or not an administrator
+ * @throws {404} When project or sprint is not found
+ * @throws {500} When internal server error occurs
+ */
+async function deleteSprint(req, res) {
+  const { projectId, sprintId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    await sprintService.deleteSprint(projectId, sprintId, userId);
+    res.status(200).json({ message: 'Sprint deleted successfully' });
+  } catch (err) {
+    res.status(sprintErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Starts a planned sprint
+ * @async
+ * @function startSprint
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {string} req.params.sprintId - ID of the sprint
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the active sprint and its committed tasks
+ * @throws {403} When user is not a member or not an administrator
+ * @throws {404} When project or sprint is not found
+ * @throws {409} When the sprint is not planned or another sprint is active
+ * @throws {500} When internal server error occurs
+ */
+async function startSprint(req, res) {
+  const { projectId, sprintId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const sprint = await sprintService.startSprint(projectId, sprintId, userId);
+    res.status(200).json({ message: 'Sprint started', sprint });
+  } catch (err) {
+    res.status(sprintErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Closes an active sprint and carries its unfinished tasks forward
+ * @async
+ * @function closeSprint
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {string} req.params.sprintId - ID of the sprint
+ * @param {Object} req.body - Request body
+ * @param {string|null} [req.body.carryOverTo] - Open sprint that receives unfinished tasks; the backlog when empty
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the closed sprint and the number of tasks carried over
+ * @throws {400} When the target sprint is not another open sprint of the project
+ * @throws {403} When user is not a member or not an administrator
+ * @throws {404} When project or sprint is not found
+ * @throws {409} When the sprint is not active
+ * @throws {500} When internal server error occurs
+ */
+async function closeSprint(req, res) {
+  const { projectId, sprintId } = req.params;
+  const userId = req.user.userId;
+  const { carryOverTo } = req.body || {};
+
+  try {
+    const { sprint, carriedOver } = await sprintService.closeSprint(projectId, sprintId, userId, carryOverTo || null);
+    res.status(200).json({ message: 'Sprint closed', sprint, carriedOver });
+  } catch (err) {
+    res.status(sprintErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  getSprints,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  closeSprint
+};
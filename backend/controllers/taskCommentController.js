@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Task comment controller module for discussing tasks with comments, replies and likes
+ * @module controllers/taskCommentController
+ */
+
+const taskCommentService = require('../services/taskCommentService');
+
+/**
+ * Maps task comment errors to HTTP status codes
+ * @function taskCommentErrorStatus
+ * @param {Error} err - Error thrown by the task comment service
+ * @returns {number} HTTP status code for the error
+ */
+function taskCommentErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'Not authorized to delete this comment'
+  ) {
+    return 403;
+  }
+  if (
+    err.message === 'Project not found' ||
+    err.message === 'Task not found in this project' ||
+    err.message === 'Comment not found' ||
+    err.message === 'Parent comment not found'
+  ) {
+    return 404;
+  }
+  if (
+    err.message === 'Comment content is required' ||
+    err.message.startsWith('Comments cannot be longer than') ||
+    err.message === 'Cannot reply to nested comments'
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Lists the comments and replies on a task
+ * @async
+ * @function getTaskComments
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the task's comments, oldest first
+ * @throws {403} When user is not a project member
+ * @throws {404} When project or task is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getTaskComments(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const comments = await taskCommentService.getTaskComments(projectId, taskId, userId);
+    res.status(200).json({ comments });
+  } catch (err) {
+    res.status(taskCommentErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Comments on a task or replies to one of its comments
+ * @async
+ * @function addTaskComment
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.content - Content of the comment
+ * @param {string} [req.body.parentCommentId] - ID of parent comment if this is a reply
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the created comment
+ * @throws {400} When the content is blank or too long, or when replying to a reply
+ * @throws {403} When user is not a project member
+ * @throws {404} When project, task or parent comment is not found
+ * @throws {500} When internal server error occurs
+ */
+async function addTaskComment(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+  const { content, parentCommentId } = req.body;
+
+  try {
+    const comment = await taskCommentService.addTaskComment(projectId, taskId, userId, { content, parentCommentId });
+    res.status(201).json({ comment });
+  } catch (err) {
+    res.status(taskCommentErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Deletes a task comment and its replies
+ * @async
+ * @function deleteTaskComment
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {string} req.params.commentId - ID of the comment to delete
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with deletion confirmation
+ * @throws {403} When user is not a project member or not the comment's author
+ * @throws {404} When project, task or comment is not found
+ * @throws {500} When internal server error occurs
+ */
+async function deleteTaskComment(req, res) {
+  const { projectId, taskId, commentId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    await taskCommentService.deleteTaskComment(projectId, taskId, commentId, userId);
+    res.status(200).json({ message: 'Comment deleted successfully' });
+  } catch (err) {
+    res.status(taskCommentErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Toggles the user's like on a task comment
+ * @async
+ * @function toggleTaskCommentLike
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {string} req.params.commentId - ID of the comment to toggle like on
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with like action and updated counts
+ * @throws {403} When user is not a project member
+ * @throws {404} When project, task or comment is not found
+ * @throws {500} When internal server error occurs
+ */
+async function toggleTaskCommentLike(req, res) {
+  const { projectId, taskId, commentId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const result = await taskCommentService.toggleTaskCommentLike(projectId, taskId, commentId, userId);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(taskCommentErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  getTaskComments,
+  addTaskComment,
+  deleteTaskComment,
+  toggleTaskCommentLike
+};
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Task history controller module for the field-level change log of tasks
+ * @module controllers/taskHistoryController
+ */
+
+const taskHistoryService = require('../services/taskHistoryService');
+
+/**
+ * Lists every recorded change of a task
+ * @async
+ * @function getTaskHistory
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the task's history, newest change first
+ * @throws {403} When user is not a project member
+ * @throws {404} When project or task is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getTaskHistory(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const history = await taskHistoryService.getTaskHistory(projectId, taskId, userId);
+    res.status(200).json({ history });
+  } catch (err) {
+    if (err.message === 'Project not found' || err.message === 'Task not found in this project') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'You are not a member of this project') {
+      return res.status(403).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  getTaskHistory
+};
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Task import controller module for previewing and importing CSV or JSON backlogs
+ * @module controllers/taskImportController
+ */
+
+const taskImportService = require('../services/taskImportService');
+
+/**
+ * Maps task import errors to HTTP status codes
+ * @function taskImportErrorStatus
+ * @param {Error} err - Error thrown by the task import service
+ * @returns {number} HTTP status code for the error
+ */
+function taskImportErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'Only project administrators can import tasks'
+  ) {
+    return 403;
+  }
+  if (err.message === 'Project not found') {
+    return 404;
+  }
+  if (
+    err.message === 'Import format must be csv or json' ||
+    err.message === 'Date format must be DMY or MDY' ||
+    err.message === 'The file has no rows to import' ||
+    err.message === 'Column mapping must map task fields to columns' ||
+    err.message === 'Map a column to the task name and the deadline' ||
+    err.message.startsWith('Import is limited to') ||
+    err.message.startsWith('Invalid CSV:') ||
+    err.message.startsWith('Invalid JSON:') ||
+    err.message.startsWith('Unknown task field') ||
+    err.message.startsWith('Column "')
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Checks a CSV or JSON backlog row by row and, unless previewing, creates all of its tasks
+ * @async
+ * @function importTasks
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project to import into
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.format - 'csv' or 'json'
+ * @param {string} req.body.content - Text of the file
+ * @param {Object<string, string>} [req.body.mapping] - Column chosen for each task field
+ * @param {string} [req.body.dateFormat] - Order of day and month in dates like 03/04/2025: 'DMY' or 'MDY'
+ * @param {boolean} [req.body.dryRun] - Only check the rows
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with every row, its task and its errors
+ * @throws {400} When the file or mapping is invalid, or any row has errors on import
+ * @throws {403} When user is not a project administrator
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function importTasks(req, res) {
+  const { projectId } = req.params;
+  const { format, content, mapping, dateFormat, dryRun } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const result = await taskImportService.importTasks(projectId, userId, {
+      format,
+      content,
+      mapping,
+      dateFormat,
+      dryRun: dryRun === true
+    });
+
+    if (dryRun === true) {
+      return res.status(200).json(result);
+    }
+    if (result.invalid > 0) {
+      return res.status(400).json({
+        message: `Nothing was imported: ${result.invalid} row${result.invalid === 1 ? ' has' : 's have'} errors`,
+        ...result
+      });
+    }
+    res.status(201).json({
+      message: `${result.created.length} task${result.created.length === 1 ? '' : 's'} imported`,
+      ...result
+    });
+  } catch (err) {
+    res.status(taskImportErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  importTasks
+};
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Template controller module for saving, listing and deleting project and task templates
+ * @module controllers/templateController
+ */
+
+const templateService = require('../services/templateService');
+
+/**
+ * Maps template errors to HTTP status codes
+ * @function templateErrorStatus
+ * @param {Error} err - Error thrown by the template service
+ * @returns {number} HTTP status code for the error
+ */
+function templateErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'Only project administrators can manage templates'
+  ) {
+    return 403;
+  }
+  if (
+    err.message === 'Project not found' ||
+    err.message === 'Template not found' ||
+    err.message === 'Task not found' ||
+    err.message === 'Task not found in this project'
+  ) {
+    return 404;
+  }
+  if (
+    err.message === 'Template name must be between 1 and 100 characters' ||
+    err.message === 'Invalid start date' ||
+    err.message === 'The project has no tasks to save'
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Lists the project templates of the authenticated user
+ * @async
+ * @function getProjectTemplates
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the templates
+ * @throws {500} When internal server error occurs
+ */
+async function getProjectTemplates(req, res) {
+  const userId = req.user.userId;
+
+  try {
+    const templates = await templateService.getProjectTemplates(userId);
+    res.status(200).json({ templates });
+  } catch (err) {
+    res.status(templateErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Saves the tasks of a project as a project template
+ * @async
+ * @function saveProjectTemplate
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Name of the template
+ * @param {string} [req.body.description] - What the template is for
+ * @param {string} [req.body.startDate] - Date deadlines are measured from (ISO date string)
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the saved template
+ * @throws {400} When the name or start date is invalid, or the project has no tasks
+ * @throws {403} When user is not a project administrator
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function saveProjectTemplate(req, res) {
+  const { projectId } = req.params;
+  const { name, description, startDate } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const template = await templateService.saveProjectTemplate(projectId, userId, { name, description, startDate });
+    res.status(201).json({ message: 'Template saved successfully', template });
+  } catch (err) {
+    res.status(templateErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Lists the task templates of a project
+ * @async
+ * @function getTaskTemplates
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the templates
+ * @throws {403} When user is not a project member
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getTaskTemplates(req, res) {
+  const { projectId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const templates = await templateService.getTaskTemplates(projectId, userId);
+    res.status(200).json({ templates });
+  } catch (err) {
+    res.status(templateErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Saves one task as a task template of its project
+ * @async
+ * @function saveTaskTemplate
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {string} req.params.taskId - ID of the task
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.name] - Name of the template; defaults to the task name
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the saved template
+ * @throws {400} When the name is invalid
+ * @throws {403} When user is not a project administrator
+ * @throws {404} When project or task is not found
+ * @throws {500} When internal server error occurs
+ */
+async function saveTaskTemplate(req, res) {
+  const { projectId, taskId } = req.params;
+  const { name } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const template = await templateService.saveTaskTemplate(projectId, taskId, userId, name);
+    res.status(201).json({ message: 'Template saved successfully', template });
+  } catch (err) {
+    res.status(templateErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Deletes a template
+ * @async
+ * @function deleteTemplate
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.templateId - ID of the template
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON confirmation
+ * @throws {403} When user may not delete the task template
+ * @throws {404} When the template is not found
+ * @throws {500} When internal server error occurs
+ */
+async function deleteTemplate(req, res) {
+  const { templateId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    await templateService.deleteTemplate(templateId, userId);
+    res.status(200).json({ message: 'Template deleted successfully' });
+  } catch (err) {
+    res.status(templateErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  getProjectTemplates,
+  saveProjectTemplate,
+  getTaskTemplates,
+  saveTaskTemplate,
+  deleteTemplate
+};
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Time tracking controller module for task timers, time entries and weekly timesheets
+ * @module controllers/timeTrackingController
+ */
+
+const timeTrackingService = require('../services/timeTrackingService');
+
+/**
+ * Maps time tracking errors to HTTP status codes
+ * @function timeTrackingErrorStatus
+ * @param {Error} err - Error thrown by the time tracking service
+ * @returns {number} HTTP status code for the error
+ */
+function timeTrackingErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'Viewers are not authorized to track time' ||
+    err.message === 'You are not authorized to delete this time entry'
+  ) {
+    return 403;
+  }
+  if (
+    err.message === 'Project not found' ||
+    err.message === 'Task not found in this project' ||
+    err.message === 'Time entry not found' ||
+    err.message === 'No running timer on this task'
+  ) {
+    return 404;
+  }
+  if (err.message === 'You already have a running timer') return 409;
+  if (
+    err.message === 'Start and end times are required' ||
+    err.message === 'Invalid start or end time' ||
+    err.message === 'End time must be after start time' ||
+    err.message === 'Time entries cannot end in the future' ||
+    err.message === 'Invalid week start'
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Lists the time logged on a task
+ * @async
+ * @function getTaskTimeEntries
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the task's time entries and total minutes
+ * @throws {403} When user is not a project member
+ * @throws {404} When project or task is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getTaskTimeEntries(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const { entries, totalMinutes } = await timeTrackingService.getTaskTimeEntries(projectId, taskId, userId);
+    res.status(200).json({ entries, totalMinutes });
+  } catch (err) {
+    res.status(timeTrackingErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Starts a timer on a task for the authenticated user
+ * @async
+ * @function startTimer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.note] - Optional note describing the work
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the running time entry
+ * @throws {403} When user is not a project member or is a viewer
+ * @throws {404} When project or task is not found
+ * @throws {409} When user already has a running timer
+ * @throws {500} When internal server error occurs
+ */
+async function startTimer(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+  const { note } = req.body || {};
+
+  try {
+    const entry = await timeTrackingService.startTimer(projectId, taskId, userId, note);
+    res.status(201).json({ message: 'Timer started', entry });
+  } catch (err) {
+    res.status(timeTrackingErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Stops the authenticated user's running timer on a task
+ * @async
+ * @function stopTimer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the finished time entry
+ * @throws {403} When user is not a project member
+ * @throws {404} When project or task is not found, or no timer is running on the task
+ * @throws {500} When internal server error occurs
+ */
+async function stopTimer(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const entry = await timeTrackingService.stopTimer(projectId, taskId, userId);
+    res.status(200).json({ message: 'Timer stopped', entry });
+  } catch (err) {
+    res.status(timeTrackingErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Logs time on a task manually
+ * @async
+ * @function addTimeEntry
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.start - Start of the work (ISO date string)
+ * @param {string} req.body.end - End of the work (ISO date string)
+ * @param {string} [req.body.note] - Optional note describing the work
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the saved time entry
+ * @throws {400} When the start or end time is missing or invalid
+ * @throws {403} When user is not a project member or is a viewer
+ * @throws {404} When project or task is not found
+ * @throws {500} When internal server error occurs
+ */
+async function addTimeEntry(req, res) {
+  const { projectId, taskId } = req.params;
+  const userId = req.user.userId;
+  const { start, end, note } = req.body;
+
+  try {
+    const entry = await timeTrackingService.addTimeEntry(projectId, taskId, userId, { start, end, note });
+    res.status(201).json({ message: 'Time entry added successfully', entry });
+  } catch (err) {
+    res.status(timeTrackingErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Deletes a time entry from a task
+ * @async
+ * @function deleteTimeEntry
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project containing the task
+ * @param {string} req.params.taskId - ID of the task
+ * @param {string} req.params.entryId - ID of the time entry to delete
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with deletion confirmation
+ * @throws {403} When user is not a member, or neither logged the time nor owns the project
+ * @throws {404} When project, task or time entry is not found
+ * @throws {500} When internal server error occurs
+ */
+async function deleteTimeEntry(req, res) {
+  const { projectId, taskId, entryId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    await timeTrackingService.deleteTimeEntry(projectId, taskId, entryId, userId);
+    res.status(200).json({ message: 'Time entry deleted successfully' });
+  } catch (err) {
+    res.status(timeTrackingErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Returns the weekly timesheet of a project
+ * @async
+ * @function getWeeklyTimesheet
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.weekStart - First instant of the week (ISO date string)
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with minutes per member and day
+ * @throws {400} When the week start is missing or invalid
+ * @throws {403} When user is not a project member
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getWeeklyTimesheet(req, res) {
+  const { projectId } = req.params;
+  const { weekStart } = req.query;
+  const userId = req.user.userId;
+
+  try {
+    const timesheet = await timeTrackingService.getWeeklyTimesheet(projectId, userId, weekStart);
+    res.status(200).json(timesheet);
+  } catch (err) {
+    res.status(timeTrackingErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  getTaskTimeEntries,
+  startTimer,
+  stopTimer,
+  addTimeEntry,
+  deleteTimeEntry,
+  getWeeklyTimesheet
+};
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Trash controller module for listing and restoring deleted posts, comments and tasks
+ * @module controllers/trashController
+ */
+
+const trashService = require('../services/trashService');
+
+/**
+ * Maps trash errors to HTTP status codes
+ * @function trashErrorStatus
+ * @param {Error} err - Error thrown by the trash service
+ * @returns {number} HTTP status code for the error
+ */
+function trashErrorStatus(err) {
+  if (
+    err.message === 'You are not a member of this project' ||
+    err.message === 'Only project administrators can manage the trash'
+  ) {
+    return 403;
+  }
+  if (err.message === 'Project not found' || err.message === 'Trash item not found') return 404;
+  if (
+    err.message === 'Restore the post first' ||
+    err.message === 'Restore the parent comment first' ||
+    err.message === 'Restore the parent task first'
+  ) {
+    return 409;
+  }
+  return 500;
+}
+
+/**
+ * Lists the deleted items in a project's trash
+ * @async
+ * @function getTrash
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the trash entries and the retention period
+ * @throws {403} When user is not a project administrator
+ * @throws {404} When project is not found
+ * @throws {500} When internal server error occurs
+ */
+async function getTrash(req, res) {
+  const { projectId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const trash = await trashService.getTrash(projectId, userId);
+    res.status(200).json(trash);
+  } catch (err) {
+    res.status(trashErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+/**
+ * Restores a deleted item together with everything deleted along with it
+ * @async
+ * @function restoreTrashItem
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.projectId - ID of the project
+ * @param {string} req.params.trashItemId - ID of the trash entry
+ * @param {Object} req.user - User object from authentication middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the restored item's type and ID
+ * @throws {403} When user is not a project administrator
+ * @throws {404} When project or trash entry is not found
+ * @throws {409} When the item's post or parent is still in the trash
+ * @throws {500} When internal server error occurs
+ */
+async function restoreTrashItem(req, res) {
+  const { projectId, trashItemId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const restored = await trashService.restoreTrashItem(projectId, trashItemId, userId);
+    res.status(200).json({ message: 'Item restored successfully', ...restored });
+  } catch (err) {
+    res.status(trashErrorStatus(err)).json({ message: err.message });
+  }
+}
+
+module.exports = {
+  getTrash,
+  restoreTrashItem
+};
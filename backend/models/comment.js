@@ -8,11 +8,19 @@ const commentSchema = new mongoose.Schema({
     maxlength: 500
   },
   
-  // Relationships
+  // Relationships: a comment belongs to either a post or a task
   post: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post',
-    required: true
+    required: function () {
+      return !this.task;
+    },
+    default: null
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
   },
   author: {
     type: mongoose.Schema.Types.ObjectId,
@@ -31,6 +39,12 @@ const commentSchema = new mongoose.Schema({
   likesCount: {
     type: Number,
     default: 0
+  },
+
+  // Set while the comment is in the project's trash
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -38,5 +52,6 @@ const commentSchema = new mongoose.Schema({
 
 // Simple indexes
 commentSchema.index({ post: 1, createdAt: 1 });
+commentSchema.index({ task: 1, createdAt: 1 });
 
 module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
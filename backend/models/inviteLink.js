@@ -15,7 +15,41 @@ const inviteLinkSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 60,
+    default: 'Invite link'
+  },
+  // Role granted on join; links without one grant the viewer role
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Unlimited when not set
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
   }
-});
+}, { timestamps: true });
 
 module.exports = mongoose.model('InviteLink', inviteLinkSchema);
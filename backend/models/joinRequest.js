@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const joinRequestSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // The invite link the request came through and the role it offers; no role means viewer
+  inviteLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InviteLink',
+    default: null
+  },
+  requestedRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+
+  // Filled in when an administrator reviews the request
+  grantedRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+joinRequestSchema.index({ projectId: 1, status: 1, createdAt: 1 });
+joinRequestSchema.index({ projectId: 1, user: 1 });
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
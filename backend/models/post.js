@@ -55,6 +55,18 @@ const postSchema = new mongoose.Schema({
   commentsCount: {
     type: Number,
     default: 0
+  },
+
+  // Pinned posts are listed first and can be copied when the project is cloned
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+
+  // Set while the post is in the project's trash
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -9,6 +9,11 @@ const projectSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set while the owner waits for another administrator to accept ownership
+  pendingOwnershipTransfer: {
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    requestedAt: { type: Date, default: null }
+  },
   projectMembers: [
     {
       user: {
@@ -31,10 +36,37 @@ const projectSchema = new mongoose.Schema({
   projectPosts: [
     { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: false },
   ],
+  // Ordered task statuses; empty means the default To Do / In Progress / Completed workflow
+  workflow: [
+    {
+      _id: false,
+      name: { type: String, required: true },
+      category: { type: String, enum: ['todo', 'active', 'done'], required: true },
+      color: { type: String, required: true },
+      // Names of the statuses a task may move to from this one
+      transitions: [{ type: String }],
+      // Most tasks the status should hold at once; null means no limit
+      wipLimit: { type: Number, min: 1, default: null },
+    },
+  ],
+  // Labels that can be attached to the project's tasks
+  labels: [
+    {
+      name: { type: String, required: true },
+      color: { type: String, required: true },
+    },
+  ],
   // Project settings
   settings: {
     joinByLinkEnabled: { type: Boolean, default: true },
     pdfGenerationEnabled: { type: Boolean, default: true },
+    estimateUnit: { type: String, enum: ['points', 'hours'], default: 'points' },
+    // Tasks cannot move to a done status while checklist items are open
+    requireChecklistCompletion: { type: Boolean, default: false },
+    // People following an invite link wait for an administrator to approve them
+    requireJoinApproval: { type: Boolean, default: false },
+    // Days deleted posts, comments and tasks stay in the trash before they are purged
+    trashRetentionDays: { type: Number, min: 1, max: 365, default: 30 },
   },
 }, {
   timestamps: true // adds createdAt and updatedAt
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const projectActivitySchema = new mongoose.Schema({
+  // Relationships
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The other user the action concerns, e.g. the proposed owner
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  action: {
+    type: String,
+    enum: [
+      'ownership_transfer_requested',
+      'ownership_transfer_cancelled',
+      'ownership_transfer_declined',
+      'ownership_transferred'
+    ],
+    required: true
+  },
+  timestamp: { type: Date, default: Date.now }
+});
+
+projectActivitySchema.index({ project: 1, timestamp: -1 });
+
+module.exports = mongoose.model('ProjectActivity', projectActivitySchema);
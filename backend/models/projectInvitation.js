@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const projectInvitationSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  // Stored in lower case so registrations match whatever case the address is typed in
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  // Secret sent in the invitation email; cleared once the invitation is accepted or revoked
+  token: {
+    type: String,
+    default: null
+  },
+  // When the invitation email was last sent; null when sending failed
+  emailSentAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+projectInvitationSchema.index({ email: 1, status: 1 });
+projectInvitationSchema.index({ projectId: 1, status: 1 });
+projectInvitationSchema.index({ token: 1 }, { unique: true, partialFilterExpression: { token: { $type: 'string' } } });
+
+module.exports = mongoose.model('ProjectInvitation', projectInvitationSchema);
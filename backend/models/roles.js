@@ -1,7 +1,12 @@
 const mongoose = require('mongoose');
 
 const roleSchema = new mongoose.Schema({
-  roleName: { type: String, required: true, unique: true },
+  roleName: { type: String, required: true, trim: true },
+  // Custom roles belong to one project; the built-in roles have none
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+  permissions: [{ type: String }],
 });
 
+roleSchema.index({ project: 1, roleName: 1 }, { unique: true });
+
 module.exports = mongoose.models.Role || mongoose.model('Role', roleSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const sprintSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // Sprints are time-boxed iterations; milestones mark a target the tasks build towards
+  kind: { type: String, enum: ['sprint', 'milestone'], default: 'sprint' },
+  goal: { type: String, trim: true, maxlength: 500, default: '' },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  status: { type: String, enum: ['planned', 'active', 'closed'], default: 'planned' },
+  startedAt: { type: Date, default: null },
+  closedAt: { type: Date, default: null },
+  // Tasks in the sprint when it started, kept so the commitment survives later changes
+  committedTasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+  // Tasks that were done when the sprint closed
+  completedTasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+  // Sprint the unfinished tasks moved to on close; null when they went back to the backlog
+  carriedOverTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Sprint', default: null }
+}, {
+  timestamps: true
+});
+
+sprintSchema.index({ project: 1, startDate: 1 });
+
+module.exports = mongoose.model('Sprint', sprintSchema);
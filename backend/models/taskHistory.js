@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const taskHistorySchema = new mongoose.Schema({
+  // Relationships
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Name of the task field that changed, e.g. 'taskDeadline'
+  field: { type: String, required: true },
+  // Values as stored on the task: dates as ISO strings, references as ID strings
+  oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+  newValue: { type: mongoose.Schema.Types.Mixed, default: null },
+  timestamp: { type: Date, default: Date.now }
+});
+
+taskHistorySchema.index({ task: 1, timestamp: -1 });
+taskHistorySchema.index({ project: 1 });
+
+module.exports = mongoose.model('TaskHistory', taskHistorySchema);
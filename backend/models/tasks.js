@@ -4,20 +4,64 @@ const taskSchema = new mongoose.Schema(
   {
     taskName: { type: String, required: true },
     taskDescription: { type: String },
+    // Optional day work begins; the timeline draws tasks without one on their deadline only
+    taskStartDate: { type: Date, default: null },
     taskDeadline: { type: Date, default: Date.now, required: true },
     taskCreator: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    taskAssignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Members who share ownership of the work
+    taskAssignees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Members who follow the task without owning it
+    taskWatchers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Parent task for subtasks; top-level tasks have no parent
+    parentTask: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null },
+    // Sprint or milestone the task is planned for; null while it sits in the backlog
+    sprint: { type: mongoose.Schema.Types.ObjectId, ref: 'Sprint', default: null },
+    // Set while the task is archived; archived tasks are hidden from the project but keep their history
+    archivedAt: { type: Date, default: null },
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Set while a deleted task sits in the project's trash
+    deletedAt: { type: Date, default: null },
+    // Tasks that must be completed before this one can start
+    blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+    priority: { type: String, enum: ['low', 'medium', 'high', 'urgent'], default: 'medium' },
+    // IDs of labels defined on the task's project
+    labels: [{ type: mongoose.Schema.Types.ObjectId }],
+    // Story points or hours, depending on the project's estimate unit
+    estimate: { type: Number, min: 0, default: null },
+    // Repeat rule; the next occurrence is created when this one is completed or overdue
+    recurrence: {
+      type: new mongoose.Schema(
+        {
+          frequency: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+          interval: { type: Number, min: 1, default: 1 },
+          endDate: { type: Date, default: null }
+        },
+        { _id: false }
+      ),
+      default: null
+    },
+    // Small steps of the task, in the order they are shown
+    checklist: [
+      {
+        text: { type: String, required: true, trim: true },
+        done: { type: Boolean, default: false },
+        assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+      }
+    ],
+    // The occurrence created from this one, so a series is only extended once
+    nextOccurrence: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null },
+    // Name of a status from the project's workflow
     taskProgress: {
       type: String,
-      enum: ['To Do', 'In Progress', 'Completed'],
       default: 'To Do',
       required: true
     },
+    // Position within its board column; unranked tasks follow the ranked ones
+    boardRank: { type: Number, default: null },
     progressHistory: [
       {
         progress: {
-          type: String,
-          enum: ['To Do', 'In Progress', 'Completed']
+          type: String
         },
         updatedBy: {
           type: mongoose.Schema.Types.ObjectId,
@@ -35,4 +79,9 @@ const taskSchema = new mongoose.Schema(
   }
 );
 
+taskSchema.index({ parentTask: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ taskAssignees: 1 });
+taskSchema.index({ nextOccurrence: 1, taskDeadline: 1 });
+
 module.exports = mongoose.model('Task', taskSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// One task of a template; dates are stored as day offsets so the template fits any start date
+const templateTaskSchema = new mongoose.Schema({
+  taskName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  taskDescription: {
+    type: String,
+    default: ''
+  },
+
+  // Days after the start date; the start offset is null for tasks without a start date
+  startOffsetDays: {
+    type: Number,
+    default: null
+  },
+  deadlineOffsetDays: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Members holding this role are assigned when the template is used
+  assigneeRole: {
+    type: String,
+    enum: ['administrator', 'developer', null],
+    default: null
+  },
+
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  estimate: {
+    type: Number,
+    default: null
+  },
+
+  // Index of the parent task within the template; parents always come before their subtasks
+  parentIndex: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+const templateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+
+  // Project templates seed new projects; task templates prefill the create-task form of one project
+  kind: {
+    type: String,
+    enum: ['project', 'task'],
+    required: true
+  },
+
+  // Project the template was saved from; task templates are shared with its members
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  tasks: {
+    type: [templateTaskSchema],
+    default: []
+  }
+}, {
+  timestamps: true // adds createdAt and updatedAt
+});
+
+templateSchema.index({ createdBy: 1, kind: 1 });
+templateSchema.index({ project: 1, kind: 1 });
+
+module.exports = mongoose.model('Template', templateSchema);
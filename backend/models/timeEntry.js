@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const timeEntrySchema = new mongoose.Schema({
+  // Relationships
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  start: { type: Date, required: true },
+  // A running timer has no end yet
+  end: { type: Date, default: null },
+  // Whole minutes between start and end; 0 while the timer runs
+  duration: { type: Number, min: 0, default: 0 },
+  note: { type: String, maxlength: 500, default: '' }
+}, {
+  timestamps: true
+});
+
+timeEntrySchema.index({ task: 1, start: -1 });
+timeEntrySchema.index({ project: 1, start: 1 });
+timeEntrySchema.index({ user: 1, end: 1 });
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const trashItemSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+
+  // The deleted post, comment or task; replies, comments and subtasks deleted with it share its deletedAt
+  itemType: {
+    type: String,
+    enum: ['Post', 'Comment', 'Task'],
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'itemType'
+  },
+
+  // Post title, comment text or task name at the time of deletion
+  label: {
+    type: String,
+    default: ''
+  },
+
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+trashItemSchema.index({ project: 1, deletedAt: -1 });
+trashItemSchema.index({ item: 1 });
+
+module.exports = mongoose.model('TrashItem', trashItemSchema);
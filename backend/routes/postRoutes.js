@@ -11,6 +11,7 @@ router.get('/posts/:postId', verifyToken, postController.getPost);
 router.put('/posts/:postId', verifyToken, postController.updatePost);
 router.delete('/posts/:postId', verifyToken, postController.deletePost);
 router.post('/posts/:postId/like', verifyToken, postController.togglePostLike);
+router.put('/posts/:postId/pin', verifyToken, postController.pinPost);
 
 // Simple comment routes
 router.post('/posts/:postId/comments', verifyToken, commentController.createComment);
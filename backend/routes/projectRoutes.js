@@ -1,7 +1,23 @@
 const express = require('express');
-const { createProject, getUserProjects, getProjectById, createTask, deleteTask, updateTask, assignTask, generateInviteLink, joinProjectViaInvite, editTaskProgress, getProjectDetailsFromInvite, removeMember, exportProjectSummary, updateProjectDetails, updateProjectSettings, leaveProject, deleteProject, disableProjectInviteLinks } = require('../controllers/projectController');
+const { createProject, cloneProject, getUserProjects, getProjectById, createTask, archiveTask, unarchiveTask, getArchivedTasks, createSubtask, getSubtasks, addTaskDependency, removeTaskDependency, deleteTask, updateTask, assignTask, updateTaskAssignees, watchTask, unwatchTask, generateInviteLink, joinProjectViaInvite, editTaskProgress, getProjectDetailsFromInvite, removeMember, exportProjectSummary, updateProjectDetails, updateProjectSettings, updateProjectWorkflow, updateProjectLabels, leaveProject, deleteProject, disableProjectInviteLinks } = require('../controllers/projectController');
 const { verifyToken } = require('../middleware/auth');
 const roleController = require('../controllers/roleController');
+const timeTrackingController = require('../controllers/timeTrackingController');
+const checklistController = require('../controllers/checklistController');
+const taskHistoryController = require('../controllers/taskHistoryController');
+const taskCommentController = require('../controllers/taskCommentController');
+const boardController = require('../controllers/boardController');
+const sprintController = require('../controllers/sprintController');
+const analyticsController = require('../controllers/analyticsController');
+const trashController = require('../controllers/trashController');
+const bulkTaskController = require('../controllers/bulkTaskController');
+const taskImportController = require('../controllers/taskImportController');
+const templateController = require('../controllers/templateController');
+const inviteLinkController = require('../controllers/inviteLinkController');
+const joinRequestController = require('../controllers/joinRequestController');
+const invitationController = require('../controllers/invitationController');
+const ownershipController = require('../controllers/ownershipController');
+const projectActivityController = require('../controllers/projectActivityController');
 
 const router = express.Router();
 
@@ -9,23 +25,86 @@ const router = express.Router();
 router.use(verifyToken);
 
 router.post('/create', createProject);
+router.post('/:projectId/clone', cloneProject);
 router.get('/user-projects', getUserProjects);
+router.get('/templates', templateController.getProjectTemplates);
+router.delete('/templates/:templateId', templateController.deleteTemplate);
 router.get('/:projectId', verifyToken, getProjectById);
 router.post('/:projectId/task', createTask);
 router.delete('/:projectId/task/:taskId', deleteTask);
+router.get('/:projectId/tasks/archived', getArchivedTasks);
+router.post('/:projectId/tasks/bulk', bulkTaskController.bulkUpdateTasks);
+router.post('/:projectId/tasks/import', taskImportController.importTasks);
+router.get('/:projectId/templates', templateController.getTaskTemplates);
+router.post('/:projectId/templates', templateController.saveProjectTemplate);
+router.post('/:projectId/task/:taskId/template', templateController.saveTaskTemplate);
+router.post('/:projectId/task/:taskId/archive', archiveTask);
+router.post('/:projectId/task/:taskId/unarchive', unarchiveTask);
 router.put('/:projectId/task/:taskId', updateTask);
+router.get('/:projectId/task/:taskId/subtasks', getSubtasks);
+router.post('/:projectId/task/:taskId/subtasks', createSubtask);
+router.get('/:projectId/task/:taskId/history', taskHistoryController.getTaskHistory);
+router.post('/:projectId/task/:taskId/dependencies', addTaskDependency);
+router.delete('/:projectId/task/:taskId/dependencies/:blockerTaskId', removeTaskDependency);
+router.get('/:projectId/task/:taskId/time', timeTrackingController.getTaskTimeEntries);
+router.post('/:projectId/task/:taskId/time', timeTrackingController.addTimeEntry);
+router.post('/:projectId/task/:taskId/time/start', timeTrackingController.startTimer);
+router.post('/:projectId/task/:taskId/time/stop', timeTrackingController.stopTimer);
+router.delete('/:projectId/task/:taskId/time/:entryId', timeTrackingController.deleteTimeEntry);
+router.get('/:projectId/timesheet', timeTrackingController.getWeeklyTimesheet);
+router.get('/:projectId/analytics', analyticsController.getProjectAnalytics);
+router.get('/:projectId/trash', trashController.getTrash);
+router.post('/:projectId/trash/:trashItemId/restore', trashController.restoreTrashItem);
+router.put('/:projectId/board/order', boardController.reorderBoardColumn);
+router.get('/:projectId/sprints', sprintController.getSprints);
+router.post('/:projectId/sprints', sprintController.createSprint);
+router.put('/:projectId/sprints/:sprintId', sprintController.updateSprint);
+router.delete('/:projectId/sprints/:sprintId', sprintController.deleteSprint);
+router.post('/:projectId/sprints/:sprintId/start', sprintController.startSprint);
+router.post('/:projectId/sprints/:sprintId/close', sprintController.closeSprint);
+router.post('/:projectId/task/:taskId/checklist', checklistController.addChecklistItem);
+router.put('/:projectId/task/:taskId/checklist/order', checklistController.reorderChecklist);
+router.put('/:projectId/task/:taskId/checklist/:itemId', checklistController.updateChecklistItem);
+router.delete('/:projectId/task/:taskId/checklist/:itemId', checklistController.deleteChecklistItem);
+router.get('/:projectId/task/:taskId/comments', taskCommentController.getTaskComments);
+router.post('/:projectId/task/:taskId/comments', taskCommentController.addTaskComment);
+router.delete('/:projectId/task/:taskId/comments/:commentId', taskCommentController.deleteTaskComment);
+router.post('/:projectId/task/:taskId/comments/:commentId/like', taskCommentController.toggleTaskCommentLike);
 router.put('/:projectId/members/:memberId/role', roleController.assignRole);
+router.get('/:projectId/roles', roleController.getProjectRoles);
+router.post('/:projectId/roles', roleController.createRole);
+router.put('/:projectId/roles/:roleId', roleController.updateRole);
+router.delete('/:projectId/roles/:roleId', roleController.deleteRole);
 router.put('/:projectId/task/:taskId/assign/:memberId', assignTask);
+router.put('/:projectId/task/:taskId/assignees', updateTaskAssignees);
+router.post('/:projectId/task/:taskId/watch', watchTask);
+router.delete('/:projectId/task/:taskId/watch', unwatchTask);
 router.post('/:projectId/invite', generateInviteLink);
+router.get('/:projectId/invite-links', inviteLinkController.listInviteLinks);
+router.delete('/:projectId/invite-links/:linkId', inviteLinkController.revokeInviteLink);
+router.get('/:projectId/invitations', invitationController.getInvitations);
+router.post('/:projectId/invitations', invitationController.inviteByEmail);
+router.delete('/:projectId/invitations/:invitationId', invitationController.revokeInvitation);
+router.get('/invitations/:token', invitationController.getInvitationDetails);
+router.post('/invitations/:token/accept', invitationController.acceptInvitation);
 router.put('/:projectId/task/:taskId/progress', editTaskProgress);
 router.post('/join', joinProjectViaInvite);
+router.get('/:projectId/join-requests', joinRequestController.getJoinRequests);
+router.post('/:projectId/join-requests/:requestId/approve', joinRequestController.approveJoinRequest);
+router.post('/:projectId/join-requests/:requestId/reject', joinRequestController.rejectJoinRequest);
 router.get('/invite/details', getProjectDetailsFromInvite);
 router.post('/remove-member', removeMember);
+router.post('/:projectId/ownership-transfer', ownershipController.requestOwnershipTransfer);
+router.post('/:projectId/ownership-transfer/accept', ownershipController.acceptOwnershipTransfer);
+router.delete('/:projectId/ownership-transfer', ownershipController.cancelOwnershipTransfer);
+router.get('/:projectId/activity', projectActivityController.getProjectActivity);
 router.get('/:projectId/export-summary', exportProjectSummary);
 
 // Project settings routes
 router.put('/:projectId/details', updateProjectDetails);
 router.put('/:projectId/settings', updateProjectSettings);
+router.put('/:projectId/workflow', updateProjectWorkflow);
+router.put('/:projectId/labels', updateProjectLabels);
 router.post('/:projectId/leave', leaveProject);
 router.delete('/:projectId', deleteProject);
 router.post('/:projectId/disable-invite-links', disableProjectInviteLinks);
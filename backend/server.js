@@ -1,8 +1,38 @@
 // server.js
 const app = require('./app');
+const { generateOverdueOccurrences } = require('./services/projectService');
+const { purgeExpiredTrash } = require('./services/trashService');
 const port = 3000;
 
+// How often overdue recurring tasks are checked for their next occurrence
+const RECURRENCE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// How often the trash is checked for items past their project's retention period
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+async function runRecurrenceCheck() {
+  try {
+    await generateOverdueOccurrences();
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Error generating recurring tasks:', err.message);
+  }
+}
+
+async function runTrashPurge() {
+  try {
+    await purgeExpiredTrash();
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Error purging the trash:', err.message);
+  }
+}
+
 app.listen(port, () => {
   // eslint-disable-next-line no-console
   console.log(`App listening on port ${port}`);
+  runRecurrenceCheck();
+  setInterval(runRecurrenceCheck, RECURRENCE_CHECK_INTERVAL_MS);
+  runTrashPurge();
+  setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS);
 });
@@ -6,6 +6,14 @@
 const axios = require('axios');
 const Project = require('../models/project');
 const Task = require('../models/tasks');
+const Comment = require('../models/comment');
+const { getProjectWorkflow, isDoneStatus } = require('./workflowService');
+
+/**
+ * Most recent comment threads of a task included in the AI context
+ * @constant {number}
+ */
+const TASK_COMMENT_THREAD_LIMIT = 10;
 
 /**
  * Service class for managing AI chatbot interactions with project context
@@ -29,9 +37,9 @@ class AIChatService {
    * @async
    * @method getProjectContext
    * @param {string} projectId - ID of the project to get context for
-   * @returns {Promise<Object>} Object containing project details, members, and tasks
+   * @returns {Promise<Object>} Object containing project details, members, tasks and task comments
    * @throws {Error} When project is not found
-   * @description Fetches and populates project data including owner, members, roles, and tasks
+   * @description Fetches and populates project data including owner, members, roles, tasks and the comments on them
    */
   async getProjectContext(projectId) {
     // Fetch project details with populated references
@@ -50,23 +58,31 @@ class AIChatService {
           }
         ]
       })
-      .populate('projectTasks');
+      .populate({ path: 'projectTasks', match: { archivedAt: null } });
 
     if (!project) {
       throw new Error('Project not found');
     }
 
-    // Get all tasks for the project
-    const tasks = await Task.find({ _id: { $in: project.projectTasks } })
-      .populate('taskAssignee', 'name')
+    // Get the project's tasks; archived tasks stay out of the assistant's context
+    const tasks = await Task.find({ _id: { $in: project.projectTasks }, archivedAt: null })
+      .populate('taskAssignees', 'name')
+      .populate('taskWatchers', 'name')
       .populate('taskCreator', 'name');
 
+    // Discussion threads on the tasks, oldest first
+    const taskComments = await Comment.find({ task: { $in: project.projectTasks }, deletedAt: null })
+      .populate('author', 'name')
+      .sort({ createdAt: 1 });
+
     return {
       projectName: project.projectName,
       projectDescription: project.projectDescription,
       owner: project.projectOwner,
       members: project.projectMembers,
       tasks: tasks,
+      taskComments: taskComments || [],
+      workflow: getProjectWorkflow(project),
       createdAt: project.createdAt,
       updatedAt: project.updatedAt
     };
@@ -81,15 +97,19 @@ class AIChatService {
    * @param {Object} projectContext.owner - Project owner information
    * @param {Array} projectContext.members - Array of project members with roles
    * @param {Array} projectContext.tasks - Array of project tasks
+   * @param {Array} [projectContext.taskComments] - Comments on the project's tasks, oldest first
+   * @param {Array} [projectContext.workflow] - Ordered task statuses of the project
    * @returns {string} Formatted text string for AI consumption
    * @description Converts structured project data into natural language format for AI context
    */
   formatProjectContextForAI(projectContext) {
-    const { projectName, projectDescription, owner, members, tasks } = projectContext;
+    const { projectName, projectDescription, owner, members, tasks, taskComments = [] } = projectContext;
+    const workflow = getProjectWorkflow(projectContext);
     
     let context = `Project: ${projectName}\n`;
     context += `Description: ${projectDescription}\n`;
     context += `Owner: ${owner.name}\n`;
+    context += `Workflow: ${workflow.map(status => `${status.name} (${status.category})`).join(' -> ')}\n`;
     
     if (members && members.length > 0) {
       context += '\nTeam Members:\n';
@@ -97,29 +117,20 @@ class AIChatService {
         const roleName = member.role && member.role.roleName ? member.role.roleName : 'No role assigned';
         // Exclude viewers
         if (roleName.toLowerCase() !== 'viewer') {
-          context += `- ${member.user.name} - Role: ${roleName}\n`;
+          context += `- ${member.user.name} - Role: ${roleName}${this.formatMemberAssignments(member, tasks)}\n`;
         }
       });
     }
 
     if (tasks && tasks.length > 0) {
       context += '\nTasks:\n';
-      tasks.forEach(task => {
-        context += `- ${task.taskName}: ${task.taskDescription || 'No description'}\n`;
-        context += `  Status: ${task.taskProgress}\n`;
-        if (task.taskAssignee && task.taskAssignee.name) {
-          context += `  Assigned to: ${task.taskAssignee.name}\n`;
-        } else {
-          context += '  Assigned to: Not assigned\n';
-        }
-        if (task.taskDeadline) {
-          context += `  Due: ${new Date(task.taskDeadline).toLocaleDateString('en-AU', { 
-            timeZone: 'Australia/Sydney',
-            year: 'numeric', 
-            month: 'long', 
-            day: 'numeric' 
-          })}\n`;
-        }
+      // Subtasks are listed beneath their parent; tasks whose parent is missing are shown at the top level
+      const taskIds = new Set(tasks.filter(task => task._id).map(task => task._id.toString()));
+      const topLevelTasks = tasks.filter(
+        task => !task.parentTask || !taskIds.has(task.parentTask.toString())
+      );
+      topLevelTasks.forEach(task => {
+        context += this.formatTaskForAI(task, tasks, '', workflow, taskComments);
         context += '\n';
       });
     }
@@ -127,6 +138,112 @@ class AIChatService {
     return context;
   }
 
+  /**
+   * Summarises how many tasks a member owns, alone or shared with others
+   * @method formatMemberAssignments
+   * @param {Object} member - Project member with populated user
+   * @param {Array} tasks - Project tasks with populated assignees
+   * @returns {string} Text appended to the member's line, or an empty string when they own no tasks
+   */
+  formatMemberAssignments(member, tasks) {
+    if (!member.user || !member.user._id || !tasks) return '';
+    const memberId = member.user._id.toString();
+    const owned = tasks.filter(task => (task.taskAssignees || []).some(
+      assignee => assignee && (assignee._id || assignee).toString() === memberId
+    ));
+    if (owned.length === 0) return '';
+    const shared = owned.filter(task => task.taskAssignees.length > 1).length;
+    return ` - Assigned tasks: ${owned.length}${shared > 0 ? ` (${shared} shared)` : ''}`;
+  }
+
+  /**
+   * Formats a single task and, recursively, its subtasks for the AI context
+   * @method formatTaskForAI
+   * @param {Object} task - Task to format
+   * @param {Array} tasks - All project tasks, used to look up subtasks
+   * @param {string} indent - Leading whitespace for the current depth
+   * @param {Array} workflow - Ordered task statuses of the project
+   * @param {Array} [comments=[]] - Comments on the project's tasks, oldest first
+   * @returns {string} Formatted task text
+   */
+  formatTaskForAI(task, tasks, indent, workflow, comments = []) {
+    let text = `${indent}- ${task.taskName}: ${task.taskDescription || 'No description'}\n`;
+    text += `${indent}  Status: ${task.taskProgress}\n`;
+    const assigneeNames = (task.taskAssignees || []).map(assignee => assignee && assignee.name).filter(Boolean);
+    if (assigneeNames.length > 1) {
+      text += `${indent}  Assigned to: ${assigneeNames.join(', ')} (shared)\n`;
+    } else if (assigneeNames.length === 1) {
+      text += `${indent}  Assigned to: ${assigneeNames[0]}\n`;
+    } else {
+      text += `${indent}  Assigned to: Not assigned\n`;
+    }
+    const watcherNames = (task.taskWatchers || []).map(watcher => watcher && watcher.name).filter(Boolean);
+    if (watcherNames.length > 0) {
+      text += `${indent}  Watched by: ${watcherNames.join(', ')}\n`;
+    }
+    if (task.taskStartDate) {
+      text += `${indent}  Starts: ${new Date(task.taskStartDate).toLocaleDateString('en-AU', {
+        timeZone: 'Australia/Sydney',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      })}\n`;
+    }
+    if (task.taskDeadline) {
+      text += `${indent}  Due: ${new Date(task.taskDeadline).toLocaleDateString('en-AU', { 
+        timeZone: 'Australia/Sydney',
+        year: 'numeric', 
+        month: 'long', 
+        day: 'numeric' 
+      })}\n`;
+    }
+    text += this.formatTaskCommentsForAI(task, comments, indent);
+
+    const subtasks = task._id
+      ? tasks.filter(other => other.parentTask && other.parentTask.toString() === task._id.toString())
+      : [];
+    if (subtasks.length > 0) {
+      const completed = subtasks.filter(subtask => isDoneStatus(workflow, subtask.taskProgress)).length;
+      text += `${indent}  Subtasks (${completed}/${subtasks.length} completed):\n`;
+      subtasks.forEach(subtask => {
+        text += this.formatTaskForAI(subtask, tasks, `${indent}    `, workflow, comments);
+      });
+    }
+
+    return text;
+  }
+
+  /**
+   * Formats the latest comment threads of a task, replies beneath the comment they answer
+   * @method formatTaskCommentsForAI
+   * @param {Object} task - Task whose comments are formatted
+   * @param {Array} comments - Comments on the project's tasks, oldest first
+   * @param {string} indent - Leading whitespace for the task's depth
+   * @returns {string} Formatted comment text, or an empty string when the task has no comments
+   */
+  formatTaskCommentsForAI(task, comments, indent) {
+    if (!task._id || !comments || comments.length === 0) return '';
+    const taskId = task._id.toString();
+    const taskComments = comments.filter(comment => comment.task && comment.task.toString() === taskId);
+    const threads = taskComments.filter(comment => !comment.parentComment);
+    if (threads.length === 0) return '';
+
+    const shown = threads.slice(-TASK_COMMENT_THREAD_LIMIT);
+    const authorName = comment => (comment.author && comment.author.name) || 'Unknown user';
+    let text = shown.length < threads.length
+      ? `${indent}  Comments (latest ${shown.length} of ${threads.length} threads):\n`
+      : `${indent}  Comments:\n`;
+    shown.forEach(comment => {
+      text += `${indent}    - ${authorName(comment)}: ${comment.content}\n`;
+      taskComments
+        .filter(reply => reply.parentComment && reply.parentComment.toString() === comment._id.toString())
+        .forEach(reply => {
+          text += `${indent}      - Reply from ${authorName(reply)}: ${reply.content}\n`;
+        });
+    });
+    return text;
+  }
+
   /**
    * Sends a message to the AI service with project context
    * @async
@@ -155,7 +272,7 @@ CRITICAL: Keep responses very short and conversational - like a quick chat messa
 - Don't repeat information unless specifically asked
 - Be direct and casual in tone
 
-You have access to project data: metadata, team members, roles, and tasks with status/deadlines.
+You have access to project data: metadata, team members, roles, tasks with status/deadlines, and the team's comments on tasks.
 
 CURRENT DATE: ${new Date().toLocaleDateString('en-AU', { 
     timeZone: 'Australia/Sydney',
@@ -166,8 +283,10 @@ CURRENT DATE: ${new Date().toLocaleDateString('en-AU', {
   })} (${new Date().toLocaleDateString('en-AU', { timeZone: 'Australia/Sydney', year: 'numeric', month: '2-digit', day: '2-digit' }).split('/').reverse().join('-')})
 
 Task evaluation rules:
-- Overdue = status "In Progress"/"To Do" AND due date before today
-- Only "Completed" tasks are done, regardless of due date
+- Each status belongs to a category listed in the Workflow line: todo, active or done
+- Overdue = status not in the done category AND due date before today
+- Only tasks in a done status are done, regardless of due date
+- A parent task's status is rolled up from its subtasks; it is only done when every subtask is done
 
 PROJECT DATA:
 ${contextString}`;
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Analytics service module that rebuilds burndown, cumulative flow and cycle time data from task progress history
+ * @module services/analyticsService
+ */
+
+const Project = require('../models/project');
+const Sprint = require('../models/sprint');
+const Task = require('../models/tasks');
+const { getProjectWorkflow, getStatusCategory, getInitialStatus } = require('./workflowService');
+
+/**
+ * Milliseconds in one day
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Longest date range, in days, that one request may cover
+ * @constant {number}
+ */
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Days covered when no range or sprint is given
+ * @constant {number}
+ */
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Truncates a date to midnight UTC
+ * @function startOfDay
+ * @param {Date} date - Any instant
+ * @returns {Date} Midnight UTC of the same day
+ */
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Formats a day as YYYY-MM-DD
+ * @function formatDay
+ * @param {Date} day - Midnight UTC of the day
+ * @returns {string} The day's date string
+ */
+function formatDay(day) {
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Works out the days a report covers
+ * @function resolveRange
+ * @param {string} [from] - First day (YYYY-MM-DD)
+ * @param {string} [to] - Last day (YYYY-MM-DD)
+ * @param {Object|null} sprint - Sprint whose dates fill in a missing bound
+ * @returns {Object} First and last day as midnight UTC
+ * @throws {Error} When a bound is not a date, the range is reversed or it is longer than a year
+ */
+function resolveRange(from, to, sprint) {
+  const today = startOfDay(new Date());
+  let end = to ? new Date(to) : (sprint ? sprint.endDate : today);
+  let start = from ? new Date(from) : (sprint ? sprint.startDate : null);
+  if (isNaN(end) || (start && isNaN(start))) {
+    throw new Error('Invalid date range');
+  }
+  end = startOfDay(new Date(end));
+  start = start ? startOfDay(new Date(start)) : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (end < start) {
+    throw new Error('Date range cannot end before it starts');
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new Error('Date range cannot exceed one year');
+  }
+  return { start, end };
+}
+
+/**
+ * Returns the status a task was in at a moment
+ * @function getStatusAt
+ * @param {Object} task - Task with progressHistory in time order
+ * @param {Date} moment - Instant to look at
+ * @param {string} initialStatus - Status tasks start in before their first change
+ * @returns {string|null} Status name, or null when the task did not exist yet
+ */
+function getStatusAt(task, moment, initialStatus) {
+  if (task.createdAt && new Date(task.createdAt) > moment) return null;
+  let status = initialStatus;
+  for (const entry of task.progressHistory || []) {
+    if (new Date(entry.timestamp) > moment) break;
+    status = entry.progress;
+  }
+  return status;
+}
+
+/**
+ * Finds when a task was last completed and when work on it first started
+ * @function getCompletionTimes
+ * @param {Object} task - Task with progressHistory in time order
+ * @param {Array<Object>} workflow - Ordered workflow statuses
+ * @returns {Object|null} startedAt and doneAt dates, or null when the task is not done
+ * @description Work starts on the first move out of a 'todo' status; a task reopened and
+ * completed again counts from its latest completion
+ */
+function getCompletionTimes(task, workflow) {
+  const history = task.progressHistory || [];
+  if (history.length === 0) return null;
+  if (getStatusCategory(workflow, history[history.length - 1].progress) !== 'done') return null;
+
+  let doneAt = null;
+  let startedAt = null;
+  let wasDone = false;
+  history.forEach(entry => {
+    const category = getStatusCategory(workflow, entry.progress);
+    if (!startedAt && category !== 'todo') startedAt = new Date(entry.timestamp);
+    if (category === 'done' && !wasDone) doneAt = new Date(entry.timestamp);
+    wasDone = category === 'done';
+  });
+  return { startedAt, doneAt };
+}
+
+/**
+ * Averages a list of durations in days
+ * @function averageDays
+ * @param {Array<number>} durations - Durations in milliseconds
+ * @returns {number|null} Average in days to one decimal place, or null for an empty list
+ */
+function averageDays(durations) {
+  if (durations.length === 0) return null;
+  const average = durations.reduce((sum, ms) => sum + ms, 0) / durations.length / DAY_MS;
+  return Math.round(average * 10) / 10;
+}
+
+/**
+ * Rebuilds daily status counts, a burndown and per-member cycle and lead times for a project
+ * @async
+ * @function getProjectAnalytics
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user requesting the report
+ * @param {Object} [options] - Report options
+ * @param {string} [options.from] - First day of the range (YYYY-MM-DD)
+ * @param {string} [options.to] - Last day of the range (YYYY-MM-DD)
+ * @param {string} [options.sprintId] - Sprint to report on; its dates fill in a missing range bound
+ * @returns {Promise<Object>} Range, statuses, cumulative flow, burndown and member averages
+ * @throws {Error} When project is not found or user is not a member
+ * @throws {Error} When the sprint is not part of the project
+ * @throws {Error} When the date range is invalid
+ * @description Each day is measured at the end of that day (UTC). Days after today carry no
+ * actual values. Statuses that are no longer in the workflow are reported under their old name.
+ * Archived tasks are left out.
+ */
+async function getProjectAnalytics(projectId, userId, { from, to, sprintId } = {}) {
+  const project = await Project.findById(projectId).populate('projectMembers.user', 'name email');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  const isMember = project.projectMembers.some(
+    member => member.user && member.user._id.toString() === userId
+  );
+  if (!isMember) {
+    throw new Error('You are not a member of this project');
+  }
+
+  let sprint = null;
+  if (sprintId) {
+    sprint = await Sprint.findById(sprintId);
+    if (!sprint || sprint.project.toString() !== project._id.toString()) {
+      throw new Error('Sprint not found');
+    }
+  }
+  const { start, end } = resolveRange(from, to, sprint);
+
+  const workflow = getProjectWorkflow(project);
+  const initialStatus = getInitialStatus(workflow);
+
+  let tasks = (await Task.find({ _id: { $in: project.projectTasks }, archivedAt: null })
+    .select('taskName taskProgress progressHistory taskAssignees estimate sprint createdAt')
+    .populate('taskAssignees', 'name email')) || [];
+
+  // A sprint's scope is what it committed to plus anything planned into it since
+  if (sprint) {
+    const inScope = new Set([
+      ...(sprint.committedTasks || []),
+      ...(sprint.completedTasks || [])
+    ].map(id => id.toString()));
+    tasks = tasks.filter(task =>
+      inScope.has(task._id.toString()) || (task.sprint && task.sprint.toString() === sprint._id.toString())
+    );
+  }
+
+  const statuses = workflow.map(status => ({ name: status.name, category: status.category, color: status.color }));
+  const addStatus = (name) => {
+    if (name && !statuses.some(status => status.name === name)) {
+      statuses.push({ name, category: getStatusCategory(workflow, name), color: '#6c757d' });
+    }
+  };
+
+  const now = new Date();
+  const dayCount = Math.round((end - start) / DAY_MS) + 1;
+  const cumulativeFlow = [];
+  const burndown = [];
+  for (let index = 0; index < dayCount; index++) {
+    const day = new Date(start.getTime() + index * DAY_MS);
+    const date = formatDay(day);
+    if (day > now) {
+      cumulativeFlow.push({ date, counts: null });
+      burndown.push({ date, remaining: null, remainingEstimate: null });
+      continue;
+    }
+
+    const endOfDay = new Date(day.getTime() + DAY_MS - 1);
+    const counts = {};
+    let remaining = 0;
+    let remainingEstimate = 0;
+    tasks.forEach(task => {
+      const status = getStatusAt(task, endOfDay, initialStatus);
+      if (!status) return;
+      addStatus(status);
+      counts[status] = (counts[status] || 0) + 1;
+      if (getStatusCategory(workflow, status) !== 'done') {
+        remaining++;
+        remainingEstimate += task.estimate || 0;
+      }
+    });
+    cumulativeFlow.push({ date, counts });
+    burndown.push({ date, remaining, remainingEstimate });
+  }
+
+  // The ideal line runs from the first day's remaining work down to zero on the last day
+  const first = burndown[0];
+  burndown.forEach((point, index) => {
+    const share = dayCount > 1 ? 1 - index / (dayCount - 1) : 0;
+    point.ideal = first.remaining === null ? null : Math.round(first.remaining * share * 10) / 10;
+  });
+
+  // Every current member gets a row, even without completed tasks
+  const rows = new Map();
+  const addRow = (user) => {
+    const id = user ? user._id.toString() : null;
+    if (!rows.has(id)) {
+      rows.set(id, {
+        user: user ? { _id: id, name: user.name, email: user.email } : null,
+        completed: 0,
+        cycleTimes: [],
+        leadTimes: []
+      });
+    }
+    return rows.get(id);
+  };
+  project.projectMembers.forEach(member => {
+    if (member.user) addRow(member.user);
+  });
+
+  const rangeEnd = new Date(end.getTime() + DAY_MS);
+  const allCycleTimes = [];
+  const allLeadTimes = [];
+  tasks.forEach(task => {
+    const times = getCompletionTimes(task, workflow);
+    if (!times || !times.doneAt || times.doneAt < start || times.doneAt >= rangeEnd) return;
+
+    const leadTime = task.createdAt ? times.doneAt - new Date(task.createdAt) : null;
+    const cycleTime = times.startedAt ? times.doneAt - times.startedAt : null;
+    if (leadTime !== null) allLeadTimes.push(leadTime);
+    if (cycleTime !== null) allCycleTimes.push(cycleTime);
+
+    const assignees = (task.taskAssignees || []).filter(Boolean);
+    (assignees.length > 0 ? assignees : [null]).forEach(assignee => {
+      const row = addRow(assignee);
+      row.completed++;
+      if (leadTime !== null) row.leadTimes.push(leadTime);
+      if (cycleTime !== null) row.cycleTimes.push(cycleTime);
+    });
+  });
+
+  const members = [...rows.values()]
+    .map(row => ({
+      user: row.user,
+      completed: row.completed,
+      averageCycleDays: averageDays(row.cycleTimes),
+      averageLeadDays: averageDays(row.leadTimes)
+    }))
+    .sort((a, b) => b.completed - a.completed || ((a.user && a.user.name) || '').localeCompare((b.user && b.user.name) || ''));
+
+  return {
+    from: formatDay(start),
+    to: formatDay(end),
+    sprint: sprint
+      ? { _id: sprint._id, name: sprint.name, kind: sprint.kind, status: sprint.status }
+      : null,
+    statuses,
+    cumulativeFlow,
+    burndown,
+    members,
+    averageCycleDays: averageDays(allCycleTimes),
+    averageLeadDays: averageDays(allLeadTimes)
+  };
+}
+
+module.exports = {
+  getProjectAnalytics
+};
@@ -6,6 +6,7 @@
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const { acceptInvitation } = require('./invitationService');
 
 /**
  * Changes a user's password with current password verification
@@ -77,13 +78,15 @@ function checkValidEmail(email) {
  * @param {string} userData.name - User's full name
  * @param {string} userData.email - User's email address
  * @param {string} userData.password - User's password
- * @returns {Promise<Object>} Object containing user data and JWT token
+ * @param {string} [userData.invitationToken] - Token from an invitation email the user registered through
+ * @returns {Promise<Object>} Object containing user data, JWT token and the IDs of projects joined by invitation
  * @throws {Error} When password doesn't meet strength requirements
  * @throws {Error} When email format is invalid
  * @throws {Error} When email is already registered
- * @description Creates new user account with password hashing and automatic token generation
+ * @description Creates new user account with password hashing and automatic token generation, and accepts
+ * the invitation whose token came with the registration
  */
-async function registerUser({ name, email, password }) {
+async function registerUser({ name, email, password, invitationToken }) {
   checkPasswordStrength(password);
 
   checkValidEmail(email);
@@ -105,7 +108,17 @@ async function registerUser({ name, email, password }) {
     { expiresIn: '48h' }
   );
 
-  return { user: savedUser, token };
+  // A failure here should not undo the registration; the invitation stays pending
+  let joinedProjects = [];
+  if (invitationToken) {
+    try {
+      joinedProjects = [await acceptInvitation(invitationToken, savedUser._id)];
+    } catch {
+      joinedProjects = [];
+    }
+  }
+
+  return { user: savedUser, token, joinedProjects };
 }
 
 /**
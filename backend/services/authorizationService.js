@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Authorization service module, the one place that decides what a project role may do
+ * @module services/authorizationService
+ * @description Every project role carries a set of permissions. The built-in roles (administrator,
+ * developer, viewer) are shared by all projects and get their permissions from this module; custom
+ * roles belong to one project and store the permissions an administrator picked for them.
+ */
+
+const Role = require('../models/roles');
+
+/**
+ * Permissions a project role can hold
+ * @constant {Object<string, string>}
+ */
+const PERMISSIONS = {
+  CREATE_TASKS: 'create_tasks',
+  EDIT_ANY_TASK: 'edit_any_task',
+  ARCHIVE_ANY_TASK: 'archive_any_task',
+  OVERRIDE_DEPENDENCIES: 'override_dependencies',
+  DELETE_TASKS: 'delete_tasks',
+  WORK_ON_TASKS: 'work_on_tasks',
+  IMPORT_TASKS: 'import_tasks',
+  MANAGE_LABELS: 'manage_labels',
+  MANAGE_SPRINTS: 'manage_sprints',
+  MANAGE_TEMPLATES: 'manage_templates',
+  CREATE_POSTS: 'create_posts',
+  MODERATE_POSTS: 'moderate_posts',
+  EXPORT_PDF: 'export_pdf',
+  USE_AI: 'use_ai',
+  MANAGE_MEMBERS: 'manage_members',
+  MANAGE_ROLES: 'manage_roles',
+  MANAGE_PROJECT: 'manage_project',
+  DELETE_PROJECT: 'delete_project'
+};
+
+/**
+ * What each permission allows, in the order the role editor lists them
+ * @constant {Object[]}
+ */
+const PERMISSION_CATALOG = [
+  { key: PERMISSIONS.CREATE_TASKS, group: 'Tasks', label: 'Create tasks and subtasks' },
+  { key: PERMISSIONS.EDIT_ANY_TASK, group: 'Tasks', label: 'Edit, assign and update the progress of any task' },
+  { key: PERMISSIONS.ARCHIVE_ANY_TASK, group: 'Tasks', label: 'Archive and restore any task' },
+  { key: PERMISSIONS.OVERRIDE_DEPENDENCIES, group: 'Tasks', label: 'Complete tasks whose blockers are still open' },
+  { key: PERMISSIONS.DELETE_TASKS, group: 'Tasks', label: 'Permanently delete tasks and manage the trash' },
+  { key: PERMISSIONS.WORK_ON_TASKS, group: 'Tasks', label: 'Be assigned tasks, track time, edit checklists and reorder the board' },
+  { key: PERMISSIONS.IMPORT_TASKS, group: 'Tasks', label: 'Import tasks from CSV or JSON' },
+  { key: PERMISSIONS.MANAGE_LABELS, group: 'Planning', label: 'Manage labels' },
+  { key: PERMISSIONS.MANAGE_SPRINTS, group: 'Planning', label: 'Manage sprints' },
+  { key: PERMISSIONS.MANAGE_TEMPLATES, group: 'Planning', label: 'Manage templates' },
+  { key: PERMISSIONS.CREATE_POSTS, group: 'Communication', label: 'Create posts' },
+  { key: PERMISSIONS.MODERATE_POSTS, group: 'Communication', label: 'Pin posts' },
+  { key: PERMISSIONS.EXPORT_PDF, group: 'Reports', label: 'Export the project summary as PDF' },
+  { key: PERMISSIONS.USE_AI, group: 'Reports', label: 'Use the AI assistant' },
+  { key: PERMISSIONS.MANAGE_MEMBERS, group: 'Administration', label: 'Invite, approve and remove members and assign roles' },
+  { key: PERMISSIONS.MANAGE_ROLES, group: 'Administration', label: 'Create and edit custom roles' },
+  { key: PERMISSIONS.MANAGE_PROJECT, group: 'Administration', label: 'Edit project details, settings and workflow, and clone the project' },
+  { key: PERMISSIONS.DELETE_PROJECT, group: 'Administration', label: 'Delete the project' }
+];
+
+const ALL_PERMISSIONS = PERMISSION_CATALOG.map(permission => permission.key);
+
+/**
+ * Permissions of the built-in roles, matching what each role could do before roles were customisable
+ * @constant {Object<string, string[]>}
+ */
+const BUILT_IN_ROLE_PERMISSIONS = {
+  // Administrators leave other people's tasks to their creator and the project owner
+  administrator: ALL_PERMISSIONS.filter(permission => permission !== PERMISSIONS.EDIT_ANY_TASK),
+  developer: [
+    PERMISSIONS.CREATE_TASKS,
+    PERMISSIONS.WORK_ON_TASKS,
+    PERMISSIONS.MANAGE_LABELS,
+    PERMISSIONS.CREATE_POSTS,
+    PERMISSIONS.EXPORT_PDF,
+    PERMISSIONS.USE_AI
+  ],
+  viewer: [
+    PERMISSIONS.CREATE_POSTS,
+    PERMISSIONS.EXPORT_PDF,
+    PERMISSIONS.USE_AI
+  ]
+};
+
+const BUILT_IN_ROLE_NAMES = Object.keys(BUILT_IN_ROLE_PERMISSIONS);
+
+/**
+ * Built-in roles an invitation may grant; administrators are always promoted by hand
+ * @constant {string[]}
+ */
+const INVITABLE_ROLE_NAMES = ['developer', 'viewer'];
+
+/**
+ * Checks whether a role is one of the built-in roles shared by every project
+ * @function isBuiltInRole
+ * @param {Object} role - Role document
+ * @returns {boolean} True for administrator, developer and viewer
+ */
+function isBuiltInRole(role) {
+  return !!role && !role.project && BUILT_IN_ROLE_NAMES.includes(role.roleName);
+}
+
+/**
+ * Checks whether a role is the built-in administrator role
+ * @function isAdministratorRole
+ * @param {Object} role - Role document
+ * @returns {boolean} True for the administrator role
+ * @description Ownership and the "at least one administrator" rule are tied to this role, not to a
+ * set of permissions, so a custom role can never lock every administrator out of a project.
+ */
+function isAdministratorRole(role) {
+  return isBuiltInRole(role) && role.roleName === 'administrator';
+}
+
+/**
+ * Lists the permissions a role grants
+ * @function getRolePermissions
+ * @param {Object|null} role - Role document, or null for a member without a role
+ * @returns {string[]} Permission keys
+ */
+function getRolePermissions(role) {
+  if (!role) return [];
+  if (isBuiltInRole(role)) return BUILT_IN_ROLE_PERMISSIONS[role.roleName];
+  return (role.permissions || []).filter(permission => ALL_PERMISSIONS.includes(permission));
+}
+
+/**
+ * Checks whether a role grants a permission
+ * @function hasPermission
+ * @param {Object|null} role - Role document
+ * @param {string} permission - Permission key
+ * @returns {boolean} True when the role grants the permission
+ */
+function hasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+/**
+ * Finds a user's membership in a project
+ * @function findProjectMember
+ * @param {Object} project - Project document (members may or may not be populated)
+ * @param {string} userId - ID of the user
+ * @returns {Object|undefined} The member entry
+ */
+function findProjectMember(project, userId) {
+  return (project.projectMembers || []).find(
+    member => member.user && (member.user._id || member.user).toString() === userId.toString()
+  );
+}
+
+/**
+ * Loads the role of a project member unless it is already populated
+ * @async
+ * @function getMemberRole
+ * @param {Object} member - Project member entry
+ * @returns {Promise<Object|null>} The role document, or null when the member has none
+ */
+async function getMemberRole(member) {
+  if (!member || !member.role) return null;
+  if (member.role.roleName) return member.role;
+  return Role.findById(member.role);
+}
+
+/**
+ * Checks whether a user holds a permission in a project
+ * @async
+ * @function memberHasPermission
+ * @param {Object} project - Project document (member roles may or may not be populated)
+ * @param {string} userId - ID of the user
+ * @param {string} permission - Permission key
+ * @returns {Promise<boolean>} True when the user is a member whose role grants the permission
+ */
+async function memberHasPermission(project, userId, permission) {
+  const member = findProjectMember(project, userId);
+  if (!member) return false;
+  return hasPermission(await getMemberRole(member), permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_CATALOG,
+  BUILT_IN_ROLE_PERMISSIONS,
+  BUILT_IN_ROLE_NAMES,
+  INVITABLE_ROLE_NAMES,
+  isBuiltInRole,
+  isAdministratorRole,
+  getRolePermissions,
+  hasPermission,
+  findProjectMember,
+  getMemberRole,
+  memberHasPermission
+};
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Board service module for the order of tasks within the columns of a project's Kanban board
+ * @module services/boardService
+ */
+
+const Project = require('../models/project');
+const Task = require('../models/tasks');
+const { getProjectWorkflow, findStatus } = require('./workflowService');
+const { PERMISSIONS, hasPermission } = require('./authorizationService');
+
+/**
+ * Sorts tasks the way the board shows them: ranked tasks by rank, then unranked tasks in their original order
+ * @function compareBoardRank
+ * @param {Object} a - First task
+ * @param {Object} b - Second task
+ * @returns {number} Negative when a comes first, positive when b comes first, 0 to keep their order
+ */
+function compareBoardRank(a, b) {
+  const rankA = a.boardRank === null || a.boardRank === undefined ? Infinity : a.boardRank;
+  const rankB = b.boardRank === null || b.boardRank === undefined ? Infinity : b.boardRank;
+  if (rankA === rankB) return 0;
+  return rankA < rankB ? -1 : 1;
+}
+
+/**
+ * Puts the tasks of one board column in a new order
+ * @async
+ * @function reorderBoardColumn
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user reordering the column
+ * @param {string} status - Name of the workflow status the column shows
+ * @param {Array<string>} taskIds - IDs of tasks in the column in their new order; tasks left out keep their order after them
+ * @returns {Promise<Array<Object>>} Every task of the column with its new rank, in board order
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When user is a viewer
+ * @throws {Error} When the status is not part of the project's workflow
+ * @throws {Error} When the IDs are not unique tasks of the column
+ */
+async function reorderBoardColumn(projectId, userId, status, taskIds) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const member = project.projectMembers.find(
+    projectMember => projectMember.user.toString() === userId
+  );
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+  if (member.role && !hasPermission(member.role, PERMISSIONS.WORK_ON_TASKS)) {
+    throw new Error('Viewers are not authorized to reorder tasks');
+  }
+
+  if (!findStatus(getProjectWorkflow(project), status)) {
+    throw new Error('Status is not part of this project\'s workflow');
+  }
+
+  const columnTasks = (await Task.find({ _id: { $in: project.projectTasks }, taskProgress: status, archivedAt: null })) || [];
+  const requestedIds = Array.isArray(taskIds) ? taskIds.map(id => id.toString()) : null;
+  if (
+    !requestedIds ||
+    new Set(requestedIds).size !== requestedIds.length ||
+    requestedIds.some(id => !columnTasks.some(task => task._id.toString() === id))
+  ) {
+    throw new Error('Board order must list tasks of the column at most once');
+  }
+
+  const listed = requestedIds.map(id => columnTasks.find(task => task._id.toString() === id));
+  const unlisted = columnTasks
+    .filter(task => !requestedIds.includes(task._id.toString()))
+    .sort(compareBoardRank);
+  const ordered = [...listed, ...unlisted];
+
+  await Task.bulkWrite(ordered.map((task, index) => ({
+    updateOne: { filter: { _id: task._id }, update: { $set: { boardRank: index } } }
+  })));
+
+  return ordered.map((task, index) => ({ _id: task._id, boardRank: index }));
+}
+
+module.exports = {
+  reorderBoardColumn
+};
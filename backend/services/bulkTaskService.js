@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Bulk task service module that applies one change set to many tasks of a project at once
+ * @module services/bulkTaskService
+ */
+
+const Project = require('../models/project');
+const Task = require('../models/tasks');
+const projectService = require('./projectService');
+
+/**
+ * Most tasks one bulk request may change
+ * @constant {number}
+ */
+const MAX_BULK_TASKS = 100;
+
+/**
+ * Milliseconds in one day
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks a bulk change set and returns the changes it asks for
+ * @function normalizeBulkChanges
+ * @param {Object} changes - Requested changes
+ * @returns {Object} The changes with label additions and removals as lists of IDs
+ * @throws {Error} When no change is requested
+ * @throws {Error} When archive or delete is combined with other changes
+ * @throws {Error} When the assignees, deadline shift or labels are malformed
+ */
+function normalizeBulkChanges(changes) {
+  if (!changes || typeof changes !== 'object') {
+    throw new Error('No changes requested');
+  }
+
+  const normalized = {};
+  if (changes.taskAssignees !== undefined) {
+    if (!Array.isArray(changes.taskAssignees)) {
+      throw new Error('Assignees must be a list of member IDs');
+    }
+    normalized.taskAssignees = changes.taskAssignees;
+  }
+  if (changes.taskProgress !== undefined) {
+    if (typeof changes.taskProgress !== 'string' || !changes.taskProgress) {
+      throw new Error('Progress must be a workflow status');
+    }
+    normalized.taskProgress = changes.taskProgress;
+  }
+  if (changes.deadlineShiftDays !== undefined) {
+    if (!Number.isInteger(changes.deadlineShiftDays) || changes.deadlineShiftDays === 0) {
+      throw new Error('Deadline shift must be a non-zero whole number of days');
+    }
+    normalized.deadlineShiftDays = changes.deadlineShiftDays;
+  }
+  if (changes.labels !== undefined) {
+    const add = changes.labels && changes.labels.add !== undefined ? changes.labels.add : [];
+    const remove = changes.labels && changes.labels.remove !== undefined ? changes.labels.remove : [];
+    if (!Array.isArray(add) || !Array.isArray(remove)) {
+      throw new Error('Labels to add and remove must be lists of label IDs');
+    }
+    if (add.length > 0 || remove.length > 0) {
+      normalized.labels = { add: add.map(String), remove: remove.map(String) };
+    }
+  }
+  if (changes.archive === true) normalized.archive = true;
+  if (changes.delete === true) normalized.delete = true;
+
+  const changeCount = Object.keys(normalized).length;
+  if (changeCount === 0) {
+    throw new Error('No changes requested');
+  }
+  if ((normalized.archive || normalized.delete) && changeCount > 1) {
+    throw new Error('Archive and delete cannot be combined with other changes');
+  }
+  return normalized;
+}
+
+/**
+ * Applies the change set to one task through the same checks as the single-task endpoints
+ * @async
+ * @function applyChangesToTask
+ * @param {string} projectId - ID of the project containing the task
+ * @param {Object} task - Task as it was before the bulk request started
+ * @param {Object} changes - Normalized change set
+ * @param {string} userId - ID of the user making the changes
+ * @param {Array<string>} applied - Receives the name of each change once it is written, so a later failure can report what already took effect
+ * @returns {Promise<void>}
+ * @throws {Error} When the user may not make one of the changes to this task, or a change is invalid for it
+ */
+async function applyChangesToTask(projectId, task, changes, userId, applied) {
+  const taskId = task._id.toString();
+
+  if (changes.archive) {
+    await projectService.archiveTask(projectId, taskId, userId);
+    return;
+  }
+  if (changes.delete) {
+    await projectService.deleteTask(projectId, taskId, userId);
+    return;
+  }
+
+  const updates = {};
+  if (changes.deadlineShiftDays !== undefined) {
+    const shiftMs = changes.deadlineShiftDays * DAY_MS;
+    updates.taskDeadline = new Date(new Date(task.taskDeadline).getTime() + shiftMs);
+    // The start date moves with the deadline so the task keeps its length
+    if (task.taskStartDate) {
+      updates.taskStartDate = new Date(new Date(task.taskStartDate).getTime() + shiftMs);
+    }
+  }
+  if (changes.labels) {
+    const labelIds = (task.labels || []).map(String).filter(id => !changes.labels.remove.includes(id));
+    updates.labels = [...new Set([...labelIds, ...changes.labels.add])];
+  }
+  if (Object.keys(updates).length > 0) {
+    await projectService.updateTask(projectId, taskId, userId, updates);
+    if (changes.deadlineShiftDays !== undefined) applied.push('deadlineShiftDays');
+    if (changes.labels) applied.push('labels');
+  }
+
+  if (changes.taskAssignees !== undefined) {
+    await projectService.updateTaskAssignees(projectId, taskId, changes.taskAssignees, userId);
+    applied.push('taskAssignees');
+  }
+  if (changes.taskProgress !== undefined) {
+    await projectService.editTaskProgress(projectId, taskId, userId, changes.taskProgress);
+    applied.push('taskProgress');
+  }
+}
+
+/**
+ * Tells whether a task was archived or deleted by an earlier task of the same request
+ * @async
+ * @function wasCascaded
+ * @param {Object} task - Task as it was before the bulk request started
+ * @param {Object} changes - Normalized change set
+ * @returns {Promise<boolean>} True when a selected parent task already took this subtask with it
+ */
+async function wasCascaded(task, changes) {
+  if (!changes.archive && !changes.delete) return false;
+  const current = await Task.findById(task._id).select('archivedAt deletedAt');
+  if (changes.archive) {
+    return !task.archivedAt && Boolean(current && current.archivedAt);
+  }
+  return !task.deletedAt && (!current || Boolean(current.deletedAt));
+}
+
+/**
+ * Applies one change set to a list of tasks, checking permissions task by task
+ * @async
+ * @function bulkUpdateTasks
+ * @param {string} projectId - ID of the project containing the tasks
+ * @param {string} userId - ID of the user making the changes
+ * @param {Array<string>} taskIds - IDs of the tasks to change
+ * @param {Object} changes - Changes to apply to every task
+ * @param {Array<string>} [changes.taskAssignees] - Members who should own each task, replacing the current assignees
+ * @param {string} [changes.taskProgress] - Workflow status to move each task to
+ * @param {number} [changes.deadlineShiftDays] - Whole days to move each deadline and start date by; negative moves them earlier
+ * @param {Object} [changes.labels] - Label IDs to add to and remove from each task
+ * @param {boolean} [changes.archive] - Archive each task with its subtasks
+ * @param {boolean} [changes.delete] - Move each archived task to the trash
+ * @returns {Promise<Object>} A result per task and the number of tasks that succeeded and failed
+ * @throws {Error} When the task IDs are not a list of 1 to 100 IDs
+ * @throws {Error} When the change set is empty or malformed
+ * @throws {Error} When project is not found or user is not a member
+ * @description Every task goes through the same permission and validation checks as its single-task endpoint;
+ * a task that fails is reported with the reason and does not stop the others. Changes to one task are written
+ * one after another, so a task that fails part-way is reported as partial with the changes already applied
+ */
+async function bulkUpdateTasks(projectId, userId, taskIds, changes) {
+  if (!Array.isArray(taskIds) || taskIds.length === 0) {
+    throw new Error('Select at least one task');
+  }
+  const uniqueTaskIds = [...new Set(taskIds.map(String))];
+  if (uniqueTaskIds.length > MAX_BULK_TASKS) {
+    throw new Error(`At most ${MAX_BULK_TASKS} tasks can be changed at once`);
+  }
+  const normalized = normalizeBulkChanges(changes);
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  const isMember = project.projectMembers.some(
+    member => member.user && member.user.toString() === userId
+  );
+  if (!isMember) {
+    throw new Error('You are not a member of this project');
+  }
+
+  const projectTaskIds = new Set(project.projectTasks.map(id => id.toString()));
+  const validIds = uniqueTaskIds.filter(id => projectTaskIds.has(id));
+  const tasks = validIds.length > 0
+    ? (await Task.find({ _id: { $in: validIds } })
+      .select('taskName taskDeadline taskStartDate labels archivedAt deletedAt')) || []
+    : [];
+  const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+  const results = [];
+  for (const taskId of uniqueTaskIds) {
+    const task = tasksById.get(taskId);
+    if (!task || task.deletedAt) {
+      results.push({ taskId, taskName: null, success: false, message: 'Task not found in this project' });
+      continue;
+    }
+
+    const applied = [];
+    try {
+      if (!await wasCascaded(task, normalized)) {
+        await applyChangesToTask(projectId, task, normalized, userId, applied);
+      }
+      results.push({ taskId, taskName: task.taskName, success: true });
+    } catch (err) {
+      const result = { taskId, taskName: task.taskName, success: false, message: err.message };
+      if (applied.length > 0) {
+        result.partial = true;
+        result.appliedChanges = applied;
+      }
+      results.push(result);
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  return { results, succeeded, failed: results.length - succeeded };
+}
+
+module.exports = {
+  bulkUpdateTasks
+};
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Checklist service module for the ordered to-do items inside a task
+ * @module services/checklistService
+ */
+
+const Project = require('../models/project');
+const Task = require('../models/tasks');
+const { PERMISSIONS, hasPermission } = require('./authorizationService');
+
+/**
+ * Loads a task for a checklist change and checks that the user may edit it
+ * @async
+ * @function findChecklistTask
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task whose checklist changes
+ * @param {string} userId - ID of the user making the change
+ * @returns {Promise<Object>} The project with populated member roles and the task document
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When user is a viewer
+ * @throws {Error} When the task is not part of the project
+ */
+async function findChecklistTask(projectId, taskId, userId) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const member = project.projectMembers.find(
+    projectMember => projectMember.user.toString() === userId
+  );
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+  if (member.role && !hasPermission(member.role, PERMISSIONS.WORK_ON_TASKS)) {
+    throw new Error('Viewers are not authorized to edit checklists');
+  }
+
+  if (!project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found in this project');
+  }
+  const task = await Task.findById(taskId);
+  if (!task) {
+    throw new Error('Task not found in this project');
+  }
+
+  return { project, task };
+}
+
+/**
+ * Trims the text of a checklist item
+ * @function normalizeItemText
+ * @param {string} text - Requested item text
+ * @returns {string} The trimmed text
+ * @throws {Error} When the text is missing or blank
+ */
+function normalizeItemText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Checklist item text is required');
+  }
+  return text.trim();
+}
+
+/**
+ * Checks that a checklist item may be assigned to a member
+ * @function normalizeItemAssignee
+ * @param {Object} project - Project with populated member roles
+ * @param {string|null} assignee - ID of the member, or an empty value to unassign the item
+ * @returns {string|null} The member ID, or null when the item is unassigned
+ * @throws {Error} When the member is not part of the project or is a viewer
+ */
+function normalizeItemAssignee(project, assignee) {
+  if (!assignee) return null;
+
+  const member = project.projectMembers.find(
+    projectMember => projectMember.user.toString() === assignee.toString()
+  );
+  if (!member) {
+    throw new Error('Checklist assignee is not part of this project');
+  }
+  if (member.role && !hasPermission(member.role, PERMISSIONS.WORK_ON_TASKS)) {
+    throw new Error('Viewers cannot be assigned checklist items');
+  }
+  return assignee;
+}
+
+/**
+ * Finds an item on a task's checklist
+ * @function findChecklistItem
+ * @param {Object} task - Task document
+ * @param {string} itemId - ID of the checklist item
+ * @returns {Object} The checklist item subdocument
+ * @throws {Error} When the item is not on the task's checklist
+ */
+function findChecklistItem(task, itemId) {
+  const item = task.checklist.id(itemId);
+  if (!item) {
+    throw new Error('Checklist item not found');
+  }
+  return item;
+}
+
+/**
+ * Adds an item to the end of a task's checklist
+ * @async
+ * @function addChecklistItem
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} userId - ID of the user adding the item
+ * @param {Object} item - New checklist item
+ * @param {string} item.text - What needs to be done
+ * @param {string|null} [item.assignee] - ID of the member responsible for the item
+ * @returns {Promise<Array<Object>>} The task's updated checklist
+ * @throws {Error} When project is not found, user is not a member or is a viewer, or task is not in the project
+ * @throws {Error} When the text is blank or the assignee cannot be assigned
+ */
+async function addChecklistItem(projectId, taskId, userId, item) {
+  const { project, task } = await findChecklistTask(projectId, taskId, userId);
+
+  task.checklist.push({
+    text: normalizeItemText(item.text),
+    assignee: normalizeItemAssignee(project, item.assignee)
+  });
+  await task.save();
+  return task.checklist;
+}
+
+/**
+ * Edits, checks off or reassigns a checklist item
+ * @async
+ * @function updateChecklistItem
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} itemId - ID of the checklist item
+ * @param {string} userId - ID of the user making the change
+ * @param {Object} updates - Fields to change
+ * @param {string} [updates.text] - New item text
+ * @param {boolean} [updates.done] - Whether the item is finished
+ * @param {string|null} [updates.assignee] - ID of the new assignee, or null to unassign the item
+ * @returns {Promise<Array<Object>>} The task's updated checklist
+ * @throws {Error} When project is not found, user is not a member or is a viewer, or task is not in the project
+ * @throws {Error} When the item is not found
+ * @throws {Error} When the text is blank or the assignee cannot be assigned
+ */
+async function updateChecklistItem(projectId, taskId, itemId, userId, updates) {
+  const { project, task } = await findChecklistTask(projectId, taskId, userId);
+  const item = findChecklistItem(task, itemId);
+
+  if (updates.text !== undefined) item.text = normalizeItemText(updates.text);
+  if (updates.done !== undefined) item.done = !!updates.done;
+  if (updates.assignee !== undefined) item.assignee = normalizeItemAssignee(project, updates.assignee);
+
+  await task.save();
+  return task.checklist;
+}
+
+/**
+ * Removes an item from a task's checklist
+ * @async
+ * @function deleteChecklistItem
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} itemId - ID of the checklist item
+ * @param {string} userId - ID of the user removing the item
+ * @returns {Promise<Array<Object>>} The task's updated checklist
+ * @throws {Error} When project is not found, user is not a member or is a viewer, or task is not in the project
+ * @throws {Error} When the item is not found
+ */
+async function deleteChecklistItem(projectId, taskId, itemId, userId) {
+  const { task } = await findChecklistTask(projectId, taskId, userId);
+
+  findChecklistItem(task, itemId).deleteOne();
+  await task.save();
+  return task.checklist;
+}
+
+/**
+ * Puts a task's checklist items in a new order
+ * @async
+ * @function reorderChecklist
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} userId - ID of the user reordering the items
+ * @param {Array<string>} itemIds - IDs of every checklist item in their new order
+ * @returns {Promise<Array<Object>>} The task's reordered checklist
+ * @throws {Error} When project is not found, user is not a member or is a viewer, or task is not in the project
+ * @throws {Error} When the IDs do not list each item exactly once
+ */
+async function reorderChecklist(projectId, taskId, userId, itemIds) {
+  const { task } = await findChecklistTask(projectId, taskId, userId);
+
+  const ids = Array.isArray(itemIds) ? itemIds.map(String) : [];
+  if (ids.length !== task.checklist.length || new Set(ids).size !== ids.length) {
+    throw new Error('Checklist order must list every item exactly once');
+  }
+  const items = ids.map(id => task.checklist.id(id));
+  if (items.some(item => !item)) {
+    throw new Error('Checklist order must list every item exactly once');
+  }
+
+  task.checklist = items.map(item => item.toObject());
+  await task.save();
+  return task.checklist;
+}
+
+module.exports = {
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  reorderChecklist
+};
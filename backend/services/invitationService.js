@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Invitation service module for inviting people to a project by email address
+ * @module services/invitationService
+ */
+
+const crypto = require('crypto');
+const Project = require('../models/project');
+const User = require('../models/user');
+const Role = require('../models/roles');
+const ProjectInvitation = require('../models/projectInvitation');
+const mailService = require('./mailService');
+const { PERMISSIONS, INVITABLE_ROLE_NAMES, hasPermission } = require('./authorizationService');
+
+/**
+ * Base URL of the web app, used for the links in invitation emails
+ * @function getFrontendUrl
+ * @returns {string} URL without a trailing slash
+ */
+function getFrontendUrl() {
+  return (process.env.FRONTEND_URL || 'http://localhost:3001').replace(/\/+$/, '');
+}
+
+/**
+ * Trims, lower-cases and validates an email address
+ * @function normalizeEmail
+ * @param {string} email - Address as typed by the administrator
+ * @returns {string} The normalized address
+ * @throws {Error} When the address is missing or malformed
+ */
+function normalizeEmail(email) {
+  const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+    throw new Error('Please provide a valid email address');
+  }
+  return address;
+}
+
+/**
+ * Escapes the characters that have a meaning in regular expressions
+ * @function escapeRegExp
+ * @param {string} value - Text to match literally
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the summary of an invitation
+ * @function formatInvitation
+ * @param {Object} invitation - Invitation document
+ * @param {string} [roleName] - Role name when the role is not populated
+ * @returns {Object} Invitation details with the role name
+ */
+function formatInvitation(invitation, roleName) {
+  return {
+    _id: invitation._id,
+    email: invitation.email,
+    role: roleName || (invitation.role && invitation.role.roleName) || 'viewer',
+    status: invitation.status,
+    invitedBy: invitation.invitedBy && invitation.invitedBy.name ? invitation.invitedBy.name : null,
+    emailSentAt: invitation.emailSentAt || null,
+    acceptedAt: invitation.acceptedAt || null,
+    createdAt: invitation.createdAt
+  };
+}
+
+/**
+ * Loads a project and checks that the user administers it
+ * @async
+ * @function findInvitationProject
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user managing invitations
+ * @returns {Promise<Object>} The project with populated member roles
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When user is not an administrator
+ */
+async function findInvitationProject(projectId, userId) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  const member = project.projectMembers.find(m => m.user.toString() === userId);
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+  if (!hasPermission(member.role, PERMISSIONS.MANAGE_MEMBERS)) {
+    throw new Error('Only project administrators can invite members by email');
+  }
+  return project;
+}
+
+/**
+ * Sends an invitation email, reporting failure instead of throwing so the invitation is kept
+ * @async
+ * @function deliverInvitationEmail
+ * @param {Object} mail - Email to send, as accepted by mailService.sendMail
+ * @returns {Promise<boolean>} Whether the transport accepted the email
+ */
+async function deliverInvitationEmail(mail) {
+  try {
+    await mailService.sendMail(mail);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Invites someone to a project by email address
+ * @async
+ * @function inviteByEmail
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the administrator sending the invitation
+ * @param {Object} invitation - Invitation details
+ * @param {string} invitation.email - Address to invite
+ * @param {string} [invitation.role='viewer'] - Role granted on join: 'developer' or 'viewer'
+ * @returns {Promise<Object>} Summary of the invitation and whether the email was sent
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ * @throws {Error} When the address or role is not valid
+ * @throws {Error} When the address belongs to a project member
+ * @description Each address has at most one pending invitation per project, updated when the address
+ * is invited again. Every email carries a new single-use token, and only someone presenting it can
+ * accept: an address without an account registers through the link, an existing account signs in
+ * and accepts.
+ */
+async function inviteByEmail(projectId, userId, { email, role } = {}) {
+  const project = await findInvitationProject(projectId, userId);
+  const address = normalizeEmail(email);
+
+  const roleName = role || 'viewer';
+  if (!INVITABLE_ROLE_NAMES.includes(roleName)) {
+    throw new Error('Invitations can only grant the developer or viewer role');
+  }
+  const roleDoc = await Role.findOne({ roleName });
+  if (!roleDoc) {
+    throw new Error('Role not found');
+  }
+
+  const inviter = await User.findById(userId);
+  const existingUser = await User.findOne({ email: new RegExp(`^${escapeRegExp(address)}$`, 'i') });
+  if (existingUser) {
+    const isAlreadyMember = project.projectMembers.some(
+      member => member.user.toString() === existingUser._id.toString()
+    );
+    if (isAlreadyMember) {
+      throw new Error('This person is already a member of this project');
+    }
+  }
+
+  let invitation = await ProjectInvitation.findOne({ projectId: project._id, email: address, status: 'pending' });
+  if (invitation) {
+    invitation.role = roleDoc._id;
+    invitation.invitedBy = userId;
+  } else {
+    invitation = new ProjectInvitation({
+      projectId: project._id,
+      email: address,
+      role: roleDoc._id,
+      invitedBy: userId
+    });
+  }
+  // A new token per email, so a link from an earlier email stops working
+  invitation.token = crypto.randomBytes(32).toString('hex');
+
+  const actionUrl = existingUser
+    ? `${getFrontendUrl()}/invitations/${invitation.token}`
+    : `${getFrontendUrl()}/register?email=${encodeURIComponent(address)}&invitation=${invitation.token}`;
+
+  const emailSent = await deliverInvitationEmail({
+    to: address,
+    subject: `You're invited to ${project.projectName}`,
+    template: 'project-invitation',
+    data: {
+      projectName: project.projectName,
+      projectDescription: project.projectDescription,
+      inviterName: inviter ? inviter.name : 'A project administrator',
+      roleName,
+      hasAccount: !!existingUser,
+      actionUrl
+    }
+  });
+  if (emailSent) {
+    invitation.emailSentAt = new Date();
+  }
+  await invitation.save();
+
+  return { ...formatInvitation(invitation, roleName), emailSent };
+}
+
+/**
+ * Lists the pending invitations of a project, newest first
+ * @async
+ * @function getInvitations
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the administrator asking
+ * @returns {Promise<Object[]>} Pending invitation summaries
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ */
+async function getInvitations(projectId, userId) {
+  await findInvitationProject(projectId, userId);
+
+  const invitations = await ProjectInvitation.find({ projectId, status: 'pending' })
+    .populate('role', 'roleName')
+    .populate('invitedBy', 'name')
+    .sort({ createdAt: -1 });
+
+  return invitations.map(invitation => formatInvitation(invitation));
+}
+
+/**
+ * Revokes a pending invitation so its email link no longer joins the project
+ * @async
+ * @function revokeInvitation
+ * @param {string} projectId - ID of the project
+ * @param {string} invitationId - ID of the invitation
+ * @param {string} userId - ID of the administrator revoking the invitation
+ * @returns {Promise<Object>} Summary of the revoked invitation
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ * @throws {Error} When the invitation does not belong to the project
+ * @throws {Error} When the invitation was already accepted or revoked
+ */
+async function revokeInvitation(projectId, invitationId, userId) {
+  await findInvitationProject(projectId, userId);
+
+  const invitation = await ProjectInvitation.findOne({ _id: invitationId, projectId }).populate('role', 'roleName');
+  if (!invitation) {
+    throw new Error('Invitation not found');
+  }
+  if (invitation.status !== 'pending') {
+    throw new Error('Only pending invitations can be revoked');
+  }
+
+  invitation.status = 'revoked';
+  invitation.token = null;
+  await invitation.save();
+
+  return formatInvitation(invitation);
+}
+
+/**
+ * Loads the pending invitation an email token belongs to
+ * @async
+ * @function findInvitationByToken
+ * @param {string} token - Token from the invitation email
+ * @returns {Promise<Object>} The invitation with its project, role and inviter populated
+ * @throws {Error} When no pending invitation has the token
+ */
+async function findInvitationByToken(token) {
+  const invitation = typeof token === 'string' && token
+    ? await ProjectInvitation.findOne({ token, status: 'pending' })
+      .populate('projectId', 'projectName projectDescription')
+      .populate('role', 'roleName')
+      .populate('invitedBy', 'name')
+    : null;
+  if (!invitation || !invitation.projectId) {
+    throw new Error('This invitation is invalid or has already been used');
+  }
+  return invitation;
+}
+
+/**
+ * Describes the invitation behind an email token so the invitee can decide whether to accept it
+ * @async
+ * @function getInvitationDetails
+ * @param {string} token - Token from the invitation email
+ * @returns {Promise<Object>} Project name and description, inviter, role and invited address
+ * @throws {Error} When no pending invitation has the token
+ */
+async function getInvitationDetails(token) {
+  const invitation = await findInvitationByToken(token);
+  return {
+    projectId: invitation.projectId._id,
+    projectName: invitation.projectId.projectName,
+    projectDescription: invitation.projectId.projectDescription,
+    invitedBy: invitation.invitedBy && invitation.invitedBy.name ? invitation.invitedBy.name : null,
+    role: (invitation.role && invitation.role.roleName) || 'viewer',
+    email: invitation.email
+  };
+}
+
+/**
+ * Accepts an invitation, adding the user to its project with the invited role
+ * @async
+ * @function acceptInvitation
+ * @param {string} token - Token from the invitation email
+ * @param {string} userId - ID of the user accepting
+ * @returns {Promise<string>} ID of the project the user joined
+ * @throws {Error} When no pending invitation has the token
+ * @throws {Error} When the project no longer exists
+ * @description The token is the proof that the user received the email, so it is cleared once used
+ */
+async function acceptInvitation(token, userId) {
+  const invitation = await findInvitationByToken(token);
+
+  const project = await Project.findById(invitation.projectId._id);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const isAlreadyMember = project.projectMembers.some(member => member.user.toString() === userId.toString());
+  if (!isAlreadyMember) {
+    project.projectMembers.push({ user: userId, role: invitation.role._id });
+    await project.save();
+    await User.findByIdAndUpdate(userId, { $addToSet: { userProjects: project._id } });
+  }
+
+  invitation.status = 'accepted';
+  invitation.token = null;
+  invitation.acceptedBy = userId;
+  invitation.acceptedAt = new Date();
+  await invitation.save();
+
+  return project._id;
+}
+
+module.exports = {
+  normalizeEmail,
+  inviteByEmail,
+  getInvitations,
+  revokeInvitation,
+  getInvitationDetails,
+  acceptInvitation
+};
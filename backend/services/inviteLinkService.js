@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Invite link service module for named project invite links with expiry, usage limits and a role
+ * @module services/inviteLinkService
+ */
+
+const Project = require('../models/project');
+const InviteLink = require('../models/inviteLink');
+const { PERMISSIONS, INVITABLE_ROLE_NAMES, hasPermission } = require('./authorizationService');
+
+/**
+ * Highest usage limit an invite link may have
+ * @constant {number}
+ */
+const MAX_INVITE_LINK_USES = 1000;
+
+/**
+ * Longest allowed invite link name
+ * @constant {number}
+ */
+const MAX_INVITE_LINK_NAME_LENGTH = 60;
+
+/**
+ * Checks the settings requested for a new invite link
+ * @function normalizeInviteLinkOptions
+ * @param {Object} [options={}] - Requested settings
+ * @param {string} [options.name] - Label shown in the invite link list
+ * @param {string} [options.role='viewer'] - Role granted on join: 'developer' or 'viewer'
+ * @param {string|Date} [options.expiresAt] - When the link stops working
+ * @param {number} [options.maxUses] - How many people may join with the link
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} The name, role name, expiry date and usage limit (null when not set)
+ * @throws {Error} When the name is too long
+ * @throws {Error} When the role cannot be granted by a link
+ * @throws {Error} When the expiry date is invalid or not in the future
+ * @throws {Error} When the usage limit is not a whole number in range
+ */
+function normalizeInviteLinkOptions(options = {}, now = new Date()) {
+  const { name, role, expiresAt, maxUses } = options;
+
+  let linkName = 'Invite link';
+  if (name !== undefined && name !== null && name !== '') {
+    if (typeof name !== 'string') {
+      throw new Error('Invite link name must be text');
+    }
+    if (name.trim().length > MAX_INVITE_LINK_NAME_LENGTH) {
+      throw new Error(`Invite link name must be at most ${MAX_INVITE_LINK_NAME_LENGTH} characters`);
+    }
+    linkName = name.trim() || linkName;
+  }
+
+  const roleName = role === undefined || role === null || role === '' ? 'viewer' : role;
+  if (!INVITABLE_ROLE_NAMES.includes(roleName)) {
+    throw new Error('Invite links can only grant the developer or viewer role');
+  }
+
+  let expiryDate = null;
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    expiryDate = new Date(expiresAt);
+    if (Number.isNaN(expiryDate.getTime())) {
+      throw new Error('Invalid expiry date');
+    }
+    if (expiryDate <= now) {
+      throw new Error('Expiry date must be in the future');
+    }
+  }
+
+  let usageLimit = null;
+  if (maxUses !== undefined && maxUses !== null && maxUses !== '') {
+    usageLimit = Number(maxUses);
+    if (!Number.isInteger(usageLimit) || usageLimit < 1 || usageLimit > MAX_INVITE_LINK_USES) {
+      throw new Error(`Maximum uses must be a whole number from 1 to ${MAX_INVITE_LINK_USES}`);
+    }
+  }
+
+  return { name: linkName, roleName, expiresAt: expiryDate, maxUses: usageLimit };
+}
+
+/**
+ * Works out whether an invite link can still be used
+ * @function getInviteLinkStatus
+ * @param {Object} inviteLink - Invite link document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string} 'revoked', 'expired', 'used up' or 'active'
+ */
+function getInviteLinkStatus(inviteLink, now = new Date()) {
+  if (inviteLink.revokedAt) return 'revoked';
+  if (inviteLink.expiresAt && new Date(inviteLink.expiresAt) <= now) return 'expired';
+  if (inviteLink.maxUses && (inviteLink.uses || 0) >= inviteLink.maxUses) return 'used up';
+  return 'active';
+}
+
+/**
+ * Rejects invite links that were revoked, have expired or are used up
+ * @function assertInviteLinkUsable
+ * @param {Object} inviteLink - Invite link document
+ * @throws {Error} When the link was revoked
+ * @throws {Error} When the link has expired
+ * @throws {Error} When the link has reached its usage limit
+ */
+function assertInviteLinkUsable(inviteLink) {
+  const status = getInviteLinkStatus(inviteLink);
+  if (status === 'revoked') {
+    throw new Error('This invite link has been revoked');
+  }
+  if (status === 'expired') {
+    throw new Error('This invite link has expired');
+  }
+  if (status === 'used up') {
+    throw new Error('This invite link has reached its usage limit');
+  }
+}
+
+/**
+ * Counts one use of an invite link, guarding the usage limit against concurrent joins
+ * @async
+ * @function claimInviteLinkUse
+ * @param {Object} inviteLink - Invite link document
+ * @returns {Promise<void>}
+ * @throws {Error} When the last allowed use was taken in the meantime
+ */
+async function claimInviteLinkUse(inviteLink) {
+  const filter = { _id: inviteLink._id, revokedAt: null };
+  if (inviteLink.maxUses) {
+    filter.uses = { $lt: inviteLink.maxUses };
+  }
+
+  const result = await InviteLink.updateOne(filter, {
+    $inc: { uses: 1 },
+    $set: { lastUsedAt: new Date() }
+  });
+  if (inviteLink.maxUses && (!result || result.modifiedCount === 0)) {
+    throw new Error('This invite link has reached its usage limit');
+  }
+}
+
+/**
+ * Builds the summary of an invite link shown to project administrators
+ * @function formatInviteLink
+ * @param {Object} inviteLink - Invite link document
+ * @param {string} [roleName] - Role granted on join, when the role is not populated
+ * @returns {Object} Link details with its role name, usage and status
+ */
+function formatInviteLink(inviteLink, roleName) {
+  const createdBy = inviteLink.createdBy && inviteLink.createdBy.name
+    ? { _id: inviteLink.createdBy._id, name: inviteLink.createdBy.name }
+    : inviteLink.createdBy;
+
+  return {
+    _id: inviteLink._id,
+    token: inviteLink.token,
+    name: inviteLink.name || 'Invite link',
+    role: roleName || (inviteLink.role && inviteLink.role.roleName) || 'viewer',
+    expiresAt: inviteLink.expiresAt || null,
+    maxUses: inviteLink.maxUses || null,
+    uses: inviteLink.uses || 0,
+    lastUsedAt: inviteLink.lastUsedAt || null,
+    revokedAt: inviteLink.revokedAt || null,
+    createdAt: inviteLink.createdAt,
+    createdBy,
+    status: getInviteLinkStatus(inviteLink)
+  };
+}
+
+/**
+ * Loads a project and checks that the user administers it
+ * @async
+ * @function findInviteLinkProject
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user managing invite links
+ * @returns {Promise<Object>} The project with populated member roles
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When user is not an administrator
+ */
+async function findInviteLinkProject(projectId, userId) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  const member = project.projectMembers.find(m => m.user.toString() === userId);
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+  if (!hasPermission(member.role, PERMISSIONS.MANAGE_MEMBERS)) {
+    throw new Error('Only project administrators can manage invite links');
+  }
+  return project;
+}
+
+/**
+ * Lists every invite link of a project, newest first, with usage stats
+ * @async
+ * @function listInviteLinks
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the administrator asking
+ * @returns {Promise<Object[]>} Invite link summaries
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ */
+async function listInviteLinks(projectId, userId) {
+  await findInviteLinkProject(projectId, userId);
+
+  const inviteLinks = await InviteLink.find({ projectId })
+    .populate('role', 'roleName')
+    .populate('createdBy', 'name')
+    .sort({ createdAt: -1 });
+
+  return inviteLinks.map(inviteLink => formatInviteLink(inviteLink));
+}
+
+/**
+ * Revokes one invite link; the link is kept so its usage stays visible
+ * @async
+ * @function revokeInviteLink
+ * @param {string} projectId - ID of the project
+ * @param {string} linkId - ID of the invite link
+ * @param {string} userId - ID of the administrator revoking the link
+ * @returns {Promise<Object>} Summary of the revoked link
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ * @throws {Error} When the link does not belong to the project
+ */
+async function revokeInviteLink(projectId, linkId, userId) {
+  await findInviteLinkProject(projectId, userId);
+
+  const inviteLink = await InviteLink.findOne({ _id: linkId, projectId }).populate('role', 'roleName');
+  if (!inviteLink) {
+    throw new Error('Invite link not found');
+  }
+
+  if (!inviteLink.revokedAt) {
+    inviteLink.revokedAt = new Date();
+    await inviteLink.save();
+  }
+
+  return formatInviteLink(inviteLink);
+}
+
+module.exports = {
+  normalizeInviteLinkOptions,
+  getInviteLinkStatus,
+  assertInviteLinkUsable,
+  claimInviteLinkUse,
+  formatInviteLink,
+  listInviteLinks,
+  revokeInviteLink
+};
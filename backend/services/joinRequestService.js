@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Join request service module for projects that approve new members before they join
+ * @module services/joinRequestService
+ */
+
+const mongoose = require('mongoose');
+const Project = require('../models/project');
+const User = require('../models/user');
+const JoinRequest = require('../models/joinRequest');
+const { claimInviteLinkUse } = require('./inviteLinkService');
+const { findAssignableRole, checkGrantablePermissions } = require('./roleServices');
+const {
+  PERMISSIONS,
+  BUILT_IN_ROLE_NAMES,
+  hasPermission,
+  isBuiltInRole,
+  isAdministratorRole,
+  getRolePermissions,
+  findProjectMember
+} = require('./authorizationService');
+
+/**
+ * Longest allowed rejection reason
+ * @constant {number}
+ */
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Builds the summary of a join request
+ * @function formatJoinRequest
+ * @param {Object} joinRequest - Join request document with populated user and roles
+ * @returns {Object} Request details with role names
+ */
+function formatJoinRequest(joinRequest) {
+  return {
+    _id: joinRequest._id,
+    user: joinRequest.user,
+    requestedRole: (joinRequest.requestedRole && joinRequest.requestedRole.roleName) || 'viewer',
+    grantedRole: (joinRequest.grantedRole && joinRequest.grantedRole.roleName) || null,
+    status: joinRequest.status,
+    reason: joinRequest.reason || '',
+    createdAt: joinRequest.createdAt,
+    reviewedAt: joinRequest.reviewedAt || null
+  };
+}
+
+/**
+ * Finds a user's request that still blocks a new one: a pending or a rejected request
+ * @async
+ * @function findOpenJoinRequest
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user asking to join
+ * @returns {Promise<Object|null>} The latest pending or rejected request, or null
+ */
+async function findOpenJoinRequest(projectId, userId) {
+  return JoinRequest.findOne({
+    projectId,
+    user: userId,
+    status: { $in: ['pending', 'rejected'] }
+  }).sort({ createdAt: -1 });
+}
+
+/**
+ * Records a request to join a project that requires approval, counting one use of the invite link
+ * @async
+ * @function requestToJoin
+ * @param {Object} project - Project document the user wants to join
+ * @param {Object} inviteLink - Invite link document the user followed
+ * @param {string} userId - ID of the user asking to join
+ * @returns {Promise<Object>} The project ID and the 'pending' status
+ * @throws {Error} When an administrator already rejected the user's request
+ * @throws {Error} When the invite link reached its usage limit in the meantime
+ * @description Asking again while a request is pending returns the existing request
+ */
+async function requestToJoin(project, inviteLink, userId) {
+  const existingRequest = await findOpenJoinRequest(project._id, userId);
+  if (existingRequest && existingRequest.status === 'rejected') {
+    throw new Error('Your request to join this project was declined');
+  }
+  if (existingRequest) {
+    return { projectId: project._id, status: 'pending' };
+  }
+
+  await claimInviteLinkUse(inviteLink);
+
+  const joinRequest = new JoinRequest({
+    projectId: project._id,
+    user: userId,
+    inviteLink: inviteLink._id,
+    requestedRole: inviteLink.role || null
+  });
+  await joinRequest.save();
+
+  return { projectId: project._id, status: 'pending' };
+}
+
+/**
+ * Loads a project and checks that the user administers it
+ * @async
+ * @function findReviewProject
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user reviewing requests
+ * @returns {Promise<Object>} The project with populated member roles
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When user is not an administrator
+ */
+async function findReviewProject(projectId, userId) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  const member = project.projectMembers.find(m => m.user.toString() === userId);
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+  if (!hasPermission(member.role, PERMISSIONS.MANAGE_MEMBERS)) {
+    throw new Error('Only project administrators can review join requests');
+  }
+  return project;
+}
+
+/**
+ * Loads a pending join request of a project
+ * @async
+ * @function findPendingJoinRequest
+ * @param {string} projectId - ID of the project
+ * @param {string} requestId - ID of the join request
+ * @returns {Promise<Object>} The join request with its requested role populated
+ * @throws {Error} When the request does not belong to the project
+ * @throws {Error} When the request was already approved or rejected
+ */
+async function findPendingJoinRequest(projectId, requestId) {
+  const joinRequest = await JoinRequest.findOne({ _id: requestId, projectId }).populate('requestedRole', 'roleName project');
+  if (!joinRequest) {
+    throw new Error('Join request not found');
+  }
+  if (joinRequest.status !== 'pending') {
+    throw new Error('This join request has already been reviewed');
+  }
+  return joinRequest;
+}
+
+/**
+ * Lists the pending join requests of a project, oldest first
+ * @async
+ * @function getJoinRequests
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the administrator asking
+ * @returns {Promise<Object[]>} Pending requests with the requester's name and email
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ */
+async function getJoinRequests(projectId, userId) {
+  await findReviewProject(projectId, userId);
+
+  const joinRequests = await JoinRequest.find({ projectId, status: 'pending' })
+    .populate('user', 'name email')
+    .populate('requestedRole', 'roleName')
+    .sort({ createdAt: 1 });
+
+  return joinRequests.map(formatJoinRequest);
+}
+
+/**
+ * Approves a join request and adds the requester to the project with the chosen role
+ * @async
+ * @function approveJoinRequest
+ * @param {string} projectId - ID of the project
+ * @param {string} requestId - ID of the join request
+ * @param {string} userId - ID of the administrator approving
+ * @param {string} [roleName] - Role to grant: the name of a built-in role or the ID of one of the
+ * project's custom roles; defaults to the role the invite link offered
+ * @returns {Promise<Object>} Summary of the approved request
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ * @throws {Error} When the request is not found or was already reviewed
+ * @throws {Error} When the role is not valid or not found
+ * @throws {Error} When someone other than an administrator grants the administrator role
+ * @throws {Error} When a custom role holds permissions the reviewer's role does not
+ */
+async function approveJoinRequest(projectId, requestId, userId, roleName) {
+  const project = await findReviewProject(projectId, userId);
+  const joinRequest = await findPendingJoinRequest(projectId, requestId);
+
+  const requestedRole = joinRequest.requestedRole && joinRequest.requestedRole.roleName ? joinRequest.requestedRole : null;
+  let role = roleName ? null : requestedRole;
+  if (!role) {
+    const grantedRole = roleName || 'viewer';
+    if (!BUILT_IN_ROLE_NAMES.includes(grantedRole) && !mongoose.Types.ObjectId.isValid(grantedRole)) {
+      throw new Error('Invalid role');
+    }
+    role = await findAssignableRole(projectId, grantedRole);
+    if (!role) {
+      throw new Error('Role not found');
+    }
+  }
+
+  // Same rule as assigning roles: only administrators make new administrators
+  const reviewer = findProjectMember(project, userId);
+  if (isAdministratorRole(role) && !isAdministratorRole(reviewer.role)) {
+    throw new Error('Only administrators can grant or remove the administrator role');
+  }
+  if (!isBuiltInRole(role)) {
+    await checkGrantablePermissions(project, userId, getRolePermissions(role));
+  }
+
+  // The requester may have joined through another route since asking
+  const requesterId = joinRequest.user.toString();
+  const isAlreadyMember = project.projectMembers.some(member => member.user.toString() === requesterId);
+  if (!isAlreadyMember) {
+    project.projectMembers.push({ user: joinRequest.user, role: role._id });
+    await project.save();
+    await User.findByIdAndUpdate(joinRequest.user, { $addToSet: { userProjects: project._id } });
+  }
+
+  joinRequest.status = 'approved';
+  joinRequest.grantedRole = role._id;
+  joinRequest.reviewedBy = userId;
+  joinRequest.reviewedAt = new Date();
+  await joinRequest.save();
+
+  return { ...formatJoinRequest(joinRequest), grantedRole: role.roleName };
+}
+
+/**
+ * Rejects a join request with a reason the requester can read
+ * @async
+ * @function rejectJoinRequest
+ * @param {string} projectId - ID of the project
+ * @param {string} requestId - ID of the join request
+ * @param {string} userId - ID of the administrator rejecting
+ * @param {string} reason - Why the request was rejected
+ * @returns {Promise<Object>} Summary of the rejected request
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ * @throws {Error} When the reason is missing or too long
+ * @throws {Error} When the request is not found or was already reviewed
+ */
+async function rejectJoinRequest(projectId, requestId, userId, reason) {
+  await findReviewProject(projectId, userId);
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new Error('A reason is required to reject a join request');
+  }
+  if (reason.trim().length > MAX_REASON_LENGTH) {
+    throw new Error(`Rejection reason must be at most ${MAX_REASON_LENGTH} characters`);
+  }
+
+  const joinRequest = await findPendingJoinRequest(projectId, requestId);
+  joinRequest.status = 'rejected';
+  joinRequest.reason = reason.trim();
+  joinRequest.reviewedBy = userId;
+  joinRequest.reviewedAt = new Date();
+  await joinRequest.save();
+
+  return formatJoinRequest(joinRequest);
+}
+
+module.exports = {
+  findOpenJoinRequest,
+  requestToJoin,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest
+};
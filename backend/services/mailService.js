@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Mail service module that renders email templates and sends them through a pluggable transport
+ * @module services/mailService
+ * @description The transport is picked with MAIL_TRANSPORT: 'smtp' for real delivery, 'file' to write
+ * each message to MAIL_FILE_DIR as an .eml file, or 'console' (the default) to print messages to the log
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const handlebars = require('handlebars');
+const nodemailer = require('nodemailer');
+
+/**
+ * Directory holding the email templates
+ * @constant {string}
+ */
+const TEMPLATE_DIR = path.join(__dirname, '../templates/emails');
+
+/**
+ * Sender address used when MAIL_FROM is not set
+ * @constant {string}
+ */
+const DEFAULT_FROM = 'Project Copilot <no-reply@projectcopilot.local>';
+
+/**
+ * Creates a transport that writes every message to a directory as an .eml file
+ * @function createFileTransport
+ * @param {string} directory - Directory the messages are written to, created when missing
+ * @returns {Object} Transport with a sendMail method
+ */
+function createFileTransport(directory) {
+  const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    async sendMail(message) {
+      const info = await streamTransport.sendMail(message);
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+      const filePath = path.join(directory, fileName);
+      await fs.writeFile(filePath, info.message);
+      return { messageId: info.messageId, envelope: info.envelope, path: filePath };
+    }
+  };
+}
+
+/**
+ * Creates a transport that prints the plain text version of every message to the log
+ * @function createConsoleTransport
+ * @returns {Object} Transport with a sendMail method
+ */
+function createConsoleTransport() {
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(message) {
+      const info = await jsonTransport.sendMail(message);
+      // eslint-disable-next-line no-console
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n\n${message.text}\n`);
+      return { messageId: info.messageId, envelope: info.envelope };
+    }
+  };
+}
+
+/**
+ * Factories for the built-in transports, keyed by the MAIL_TRANSPORT value that selects them
+ * @constant {Object<string, Function>}
+ */
+const transportFactories = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }),
+  file: () => createFileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '../mail-outbox')),
+  console: () => createConsoleTransport()
+};
+
+let activeTransport = null;
+const templateCache = new Map();
+
+/**
+ * Registers an additional transport that MAIL_TRANSPORT can select
+ * @function registerMailTransport
+ * @param {string} name - Value of MAIL_TRANSPORT that selects the transport
+ * @param {Function} factory - Function returning an object with a sendMail(message) method
+ */
+function registerMailTransport(name, factory) {
+  transportFactories[name] = factory;
+  activeTransport = null;
+}
+
+/**
+ * Replaces the transport in use, or goes back to the configured one when given null
+ * @function setMailTransport
+ * @param {Object|null} transport - Object with a sendMail(message) method
+ */
+function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Returns the transport in use, creating the configured one on first use
+ * @function getMailTransport
+ * @returns {Object} Transport with a sendMail method
+ * @throws {Error} When MAIL_TRANSPORT names an unknown transport
+ */
+function getMailTransport() {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+}
+
+/**
+ * Loads and compiles one part of an email template
+ * @async
+ * @function loadTemplate
+ * @param {string} fileName - Template file inside the email template directory
+ * @returns {Promise<Function>} Compiled Handlebars template
+ */
+async function loadTemplate(fileName) {
+  if (!templateCache.has(fileName)) {
+    const content = await fs.readFile(path.join(TEMPLATE_DIR, fileName), 'utf8');
+    templateCache.set(fileName, handlebars.compile(content));
+  }
+  return templateCache.get(fileName);
+}
+
+/**
+ * Renders the HTML and plain text versions of an email template
+ * @async
+ * @function renderTemplate
+ * @param {string} template - Template name, e.g. 'project-invitation'
+ * @param {Object} data - Values the template refers to
+ * @returns {Promise<Object>} The rendered html and text
+ */
+async function renderTemplate(template, data) {
+  const [html, text] = await Promise.all([
+    loadTemplate(`${template}.html.hbs`),
+    loadTemplate(`${template}.text.hbs`)
+  ]);
+  return { html: html(data), text: text(data) };
+}
+
+/**
+ * Renders a template and sends it through the configured transport
+ * @async
+ * @function sendMail
+ * @param {Object} mail - Email to send
+ * @param {string} mail.to - Recipient address
+ * @param {string} mail.subject - Subject line
+ * @param {string} mail.template - Template name, e.g. 'project-invitation'
+ * @param {Object} [mail.data] - Values the template refers to
+ * @returns {Promise<Object>} What the transport reported, including the messageId
+ * @throws {Error} When the template cannot be rendered or the transport fails
+ */
+async function sendMail({ to, subject, template, data = {} }) {
+  const { html, text } = await renderTemplate(template, data);
+  return getMailTransport().sendMail({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    html,
+    text
+  });
+}
+
+module.exports = {
+  createFileTransport,
+  registerMailTransport,
+  setMailTransport,
+  getMailTransport,
+  renderTemplate,
+  sendMail
+};
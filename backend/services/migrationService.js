@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Start-up migrations that bring stored documents up to date with the current schemas
+ * @module services/migrationService
+ */
+
+const Task = require('../models/tasks');
+const Role = require('../models/roles');
+
+/**
+ * Moves single task assignees into the assignee list
+ * @async
+ * @function migrateTaskAssignees
+ * @returns {Promise<number>} Number of tasks migrated
+ * @description Tasks used to store one `taskAssignee`; they now store `taskAssignees`. Runs on the raw
+ * collection because the old field is no longer part of the schema. Safe to run repeatedly.
+ */
+async function migrateTaskAssignees() {
+  const result = await Task.collection.updateMany(
+    { taskAssignee: { $exists: true } },
+    [
+      {
+        $set: {
+          taskAssignees: {
+            $cond: [{ $ifNull: ['$taskAssignee', false] }, ['$taskAssignee'], []]
+          },
+          taskWatchers: { $ifNull: ['$taskWatchers', []] }
+        }
+      },
+      { $unset: 'taskAssignee' }
+    ]
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Drops the old unique index on role names
+ * @async
+ * @function migrateRoleNameIndex
+ * @returns {Promise<boolean>} Whether the index existed and was dropped
+ * @description Role names used to be unique across the whole collection; custom roles only need a
+ * unique name within their project, which the schema's compound index enforces. Safe to run repeatedly.
+ */
+async function migrateRoleNameIndex() {
+  const indexes = await Role.collection.indexes();
+  if (!indexes.some(index => index.name === 'roleName_1')) return false;
+
+  await Role.collection.dropIndex('roleName_1');
+  return true;
+}
+
+/**
+ * Runs every start-up migration in order
+ * @async
+ * @function runMigrations
+ * @returns {Promise<void>}
+ */
+async function runMigrations() {
+  await migrateTaskAssignees();
+  await migrateRoleNameIndex();
+}
+
+module.exports = {
+  migrateTaskAssignees,
+  migrateRoleNameIndex,
+  runMigrations
+};
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Ownership service module for handing a project over to another administrator
+ * @module services/ownershipService
+ * @description A transfer takes two steps: the owner proposes an administrator, who then accepts or
+ * declines. Every step is written to the project activity log.
+ */
+
+const Project = require('../models/project');
+const { recordProjectActivity } = require('./projectActivityService');
+const { isAdministratorRole } = require('./authorizationService');
+
+/**
+ * Returns the user a transfer is waiting on, if any
+ * @function getPendingOwner
+ * @param {Object} project - Project document
+ * @returns {Object|null} ID of the proposed owner, or null when no transfer is pending
+ */
+function getPendingOwner(project) {
+  return (project.pendingOwnershipTransfer && project.pendingOwnershipTransfer.to) || null;
+}
+
+/**
+ * Checks whether a pending transfer is waiting on a user
+ * @function isPendingOwner
+ * @param {Object} project - Project document
+ * @param {string} userId - ID of the user
+ * @returns {boolean} True when the user was proposed as the new owner
+ */
+function isPendingOwner(project, userId) {
+  const pendingOwner = getPendingOwner(project);
+  return !!pendingOwner && pendingOwner.toString() === userId.toString();
+}
+
+/**
+ * Clears the pending transfer of a project without saving it
+ * @function clearPendingOwnershipTransfer
+ * @param {Object} project - Project document
+ */
+function clearPendingOwnershipTransfer(project) {
+  project.pendingOwnershipTransfer = { to: null, requestedAt: null };
+}
+
+/**
+ * Builds the ownership summary returned by every transfer step
+ * @function formatOwnership
+ * @param {Object} project - Project document
+ * @returns {Object} The owner ID and the pending transfer, or null
+ */
+function formatOwnership(project) {
+  const pendingOwner = getPendingOwner(project);
+  return {
+    projectOwner: project.projectOwner,
+    pendingOwnershipTransfer: pendingOwner
+      ? { to: pendingOwner, requestedAt: project.pendingOwnershipTransfer.requestedAt }
+      : null
+  };
+}
+
+/**
+ * Loads a project with populated member roles
+ * @async
+ * @function findOwnershipProject
+ * @param {string} projectId - ID of the project
+ * @returns {Promise<Object>} The project
+ * @throws {Error} When project is not found
+ */
+async function findOwnershipProject(projectId) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  return project;
+}
+
+/**
+ * Checks whether a user is an administrator of a project
+ * @function isAdministrator
+ * @param {Object} project - Project with populated member roles
+ * @param {string} userId - ID of the user
+ * @returns {boolean} True when the user is a member with the administrator role
+ */
+function isAdministrator(project, userId) {
+  const member = project.projectMembers.find(m => m.user.toString() === userId.toString());
+  return !!member && isAdministratorRole(member.role);
+}
+
+/**
+ * Proposes another administrator as the new owner of a project
+ * @async
+ * @function requestOwnershipTransfer
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the current owner
+ * @param {string} newOwnerId - ID of the administrator who should take over
+ * @returns {Promise<Object>} The owner and the pending transfer
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not the project owner
+ * @throws {Error} When no new owner is given, or it is the current owner
+ * @throws {Error} When the new owner is not an administrator of the project
+ * @description Replaces any transfer that is already pending
+ */
+async function requestOwnershipTransfer(projectId, userId, newOwnerId) {
+  const project = await findOwnershipProject(projectId);
+  if (project.projectOwner.toString() !== userId) {
+    throw new Error('Only the project owner can transfer ownership');
+  }
+  if (!newOwnerId) {
+    throw new Error('Choose the administrator who will become the owner');
+  }
+  if (newOwnerId === userId) {
+    throw new Error('You already own this project');
+  }
+  if (!isAdministrator(project, newOwnerId)) {
+    throw new Error('The new owner must be an administrator of this project');
+  }
+
+  project.pendingOwnershipTransfer = { to: newOwnerId, requestedAt: new Date() };
+  await project.save();
+  await recordProjectActivity(project._id, userId, 'ownership_transfer_requested', newOwnerId);
+
+  return formatOwnership(project);
+}
+
+/**
+ * Accepts a pending transfer, making the user the project owner
+ * @async
+ * @function acceptOwnershipTransfer
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the proposed owner
+ * @returns {Promise<Object>} The new owner and no pending transfer
+ * @throws {Error} When project is not found
+ * @throws {Error} When no transfer is waiting for the user
+ * @throws {Error} When the user is no longer an administrator
+ * @description The previous owner stays an administrator and can now leave the project
+ */
+async function acceptOwnershipTransfer(projectId, userId) {
+  const project = await findOwnershipProject(projectId);
+  if (!isPendingOwner(project, userId)) {
+    throw new Error('There is no ownership transfer waiting for you');
+  }
+  if (!isAdministrator(project, userId)) {
+    throw new Error('Only administrators can become the project owner');
+  }
+
+  const previousOwner = project.projectOwner;
+  project.projectOwner = userId;
+  clearPendingOwnershipTransfer(project);
+  await project.save();
+  await recordProjectActivity(project._id, userId, 'ownership_transferred', previousOwner);
+
+  return formatOwnership(project);
+}
+
+/**
+ * Ends a pending transfer: the owner cancels it or the proposed owner declines it
+ * @async
+ * @function cancelOwnershipTransfer
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the owner or the proposed owner
+ * @returns {Promise<Object>} The owner and no pending transfer
+ * @throws {Error} When project is not found
+ * @throws {Error} When no transfer is pending
+ * @throws {Error} When the user is neither the owner nor the proposed owner
+ */
+async function cancelOwnershipTransfer(projectId, userId) {
+  const project = await findOwnershipProject(projectId);
+  const pendingOwner = getPendingOwner(project);
+  if (!pendingOwner) {
+    throw new Error('There is no pending ownership transfer');
+  }
+
+  let action;
+  let targetId;
+  if (project.projectOwner.toString() === userId) {
+    action = 'ownership_transfer_cancelled';
+    targetId = pendingOwner;
+  } else if (pendingOwner.toString() === userId) {
+    action = 'ownership_transfer_declined';
+    targetId = project.projectOwner;
+  } else {
+    throw new Error('Only the project owner or the proposed owner can cancel the transfer');
+  }
+
+  clearPendingOwnershipTransfer(project);
+  await project.save();
+  await recordProjectActivity(project._id, userId, action, targetId);
+
+  return formatOwnership(project);
+}
+
+module.exports = {
+  getPendingOwner,
+  isPendingOwner,
+  clearPendingOwnershipTransfer,
+  requestOwnershipTransfer,
+  acceptOwnershipTransfer,
+  cancelOwnershipTransfer
+};
@@ -8,6 +8,20 @@ const handlebars = require('handlebars');
 const fs = require('fs').promises;
 const path = require('path');
 const Project = require('../models/project');
+const TimeEntry = require('../models/timeEntry');
+const Sprint = require('../models/sprint');
+const { DEFAULT_WORKFLOW, getProjectWorkflow, isDoneStatus } = require('./workflowService');
+const { getTaskWeight } = require('./taskAttributeService');
+
+/**
+ * Lists the IDs of a task's assignees
+ * @function getAssigneeIds
+ * @param {Object} task - Task with populated or unpopulated assignees
+ * @returns {Array<string>} Assignee IDs as strings
+ */
+function getAssigneeIds(task) {
+  return (task.taskAssignees || []).map(assignee => (assignee._id || assignee).toString());
+}
 
 /**
  * Service class for generating PDF reports from project data
@@ -46,13 +60,17 @@ class PDFService {
    * @async
    * @method generateProjectSummaryPDF
    * @param {string} projectId - ID of the project to generate report for
+   * @param {Object} [options] - Report options
+   * @param {boolean} [options.includeArchived=false] - Whether archived tasks are counted too
    * @returns {Promise<Buffer>} PDF buffer containing the project summary
    * @throws {Error} When project data cannot be fetched or PDF generation fails
    * @description Orchestrates the complete PDF generation process from data fetching to final PDF output
    */
-  async generateProjectSummaryPDF(projectId) {
-    const project = await this.fetchProjectData(projectId);
-    const summaryData = this.generateSummaryData(project);
+  async generateProjectSummaryPDF(projectId, { includeArchived = false } = {}) {
+    const project = await this.fetchProjectData(projectId, { includeArchived });
+    const timeEntries = await this.fetchTimeEntries(projectId);
+    const sprints = await this.fetchSprints(projectId);
+    const summaryData = this.generateSummaryData(project, timeEntries, sprints);
     const htmlContent = await this.generateHTMLContent(summaryData);
     
     return await this.generatePDFFromHTML(htmlContent);
@@ -63,21 +81,24 @@ class PDFService {
    * @async
    * @method fetchProjectData
    * @param {string} projectId - ID of the project to fetch data for
+   * @param {Object} [options] - Fetch options
+   * @param {boolean} [options.includeArchived=false] - Whether archived tasks are included; tasks in the trash never are
    * @returns {Promise<Object>} Fully populated project object with owner, members, roles, and tasks
    * @throws {Error} When project is not found or database query fails
    * @description Retrieves project with nested population of related entities for complete reporting data
    */
-  async fetchProjectData(projectId) {
+  async fetchProjectData(projectId, { includeArchived = false } = {}) {
     const project = await Project.findById(projectId)
       .populate('projectOwner', 'name email')
       .populate('projectMembers.user', 'name email')
       .populate('projectMembers.role', 'roleName')
       .populate({
         path: 'projectTasks',
-        select: 'taskName taskDescription taskDeadline taskCreator taskAssignee taskProgress createdAt updatedAt',
+        match: includeArchived ? { deletedAt: null } : { archivedAt: null },
+        select: 'taskName taskDescription taskDeadline taskCreator taskAssignees taskProgress parentTask estimate sprint createdAt updatedAt',
         populate: [
           { path: 'taskCreator', select: 'name email' },
-          { path: 'taskAssignee', select: 'name email' }
+          { path: 'taskAssignees', select: 'name email' }
         ]
       });
 
@@ -88,6 +109,30 @@ class PDFService {
     return project;
   }
 
+  /**
+   * Fetches the finished time entries of a project
+   * @async
+   * @method fetchTimeEntries
+   * @param {string} projectId - ID of the project
+   * @returns {Promise<Array<Object>>} Time entries with their task and duration in minutes
+   */
+  async fetchTimeEntries(projectId) {
+    const entries = await TimeEntry.find({ project: projectId, end: { $ne: null } }).select('task duration');
+    return entries || [];
+  }
+
+  /**
+   * Fetches the sprints and milestones of a project
+   * @async
+   * @method fetchSprints
+   * @param {string} projectId - ID of the project
+   * @returns {Promise<Array<Object>>} Sprints in date order
+   */
+  async fetchSprints(projectId) {
+    const sprints = await Sprint.find({ project: projectId }).sort({ startDate: 1 });
+    return sprints || [];
+  }
+
   /**
    * Converts HTML content to PDF using Puppeteer
    * @async
@@ -139,12 +184,16 @@ class PDFService {
    * Generates comprehensive summary data from project information
    * @method generateSummaryData
    * @param {Object} project - Populated project object from database
+   * @param {Array<Object>} [timeEntries=[]] - Finished time entries of the project
+   * @param {Array<Object>} [sprints=[]] - Sprints and milestones of the project
    * @returns {Object} Structured summary data for PDF template
    * @description Processes raw project data into formatted summary with statistics, timelines, and analysis
    */
-  generateSummaryData(project) {
+  generateSummaryData(project, timeEntries = [], sprints = []) {
     const currentDate = new Date();
     const creationDate = project.createdAt;
+    const workflow = getProjectWorkflow(project);
+    const estimateUnit = project.settings?.estimateUnit === 'hours' ? 'hours' : 'points';
 
     return {
       projectName: project.projectName,
@@ -152,12 +201,15 @@ class PDFService {
       timeline: this.formatTimeline(creationDate, currentDate),
       teamMembers: this.getTeamMembersWithRoles(project),
       totalTasks: project.projectTasks.length,
-      taskDistribution: this.calculateTaskDistribution(project.projectTasks, project.projectMembers),
-      tasksByStatus: this.getTasksByStatus(project.projectTasks),
-      taskCompletionStats: this.calculateTaskCompletionStats(project.projectTasks),
-      missedDeadlines: this.getMissedDeadlineTasks(project.projectTasks),
-      workloadAnalysis: this.calculateWorkloadAnalysis(project.projectTasks, project.projectMembers),
-      activityTimeline: this.generateActivityTimeline(project.projectTasks, creationDate, currentDate),
+      taskDistribution: this.calculateTaskDistribution(project.projectTasks, project.projectMembers, workflow),
+      tasksByStatus: this.getTasksByStatus(project.projectTasks, workflow),
+      taskCompletionStats: this.calculateTaskCompletionStats(project.projectTasks, workflow),
+      missedDeadlines: this.getMissedDeadlineTasks(project.projectTasks, workflow),
+      workloadAnalysis: this.calculateWorkloadAnalysis(project.projectTasks, project.projectMembers, workflow),
+      estimateUnit,
+      timeVsEstimate: this.calculateTimeVsEstimate(project.projectTasks, timeEntries, estimateUnit),
+      sprintSummary: this.calculateSprintSummary(project.projectTasks, sprints, workflow),
+      activityTimeline: this.generateActivityTimeline(project.projectTasks, creationDate, currentDate, workflow),
       generatedDate: this.formatAustralianDate(currentDate)
     };
   }
@@ -211,10 +263,12 @@ class PDFService {
    * @method calculateTaskDistribution
    * @param {Array<Object>} tasks - Array of project tasks
    * @param {Array<Object>} members - Array of project members
+   * @param {Array<Object>} [workflow=DEFAULT_WORKFLOW] - Project workflow used to tell which statuses are done
    * @returns {Object} Task distribution data with assigned/unassigned counts and member statistics
-   * @description Analyzes how tasks are distributed among team members for workload reporting
+   * @description Analyzes how tasks are distributed among team members for workload reporting. A task
+   * with several assignees counts as assigned to each of them, and as shared for each of them.
    */
-  calculateTaskDistribution(tasks, members) {
+  calculateTaskDistribution(tasks, members, workflow = DEFAULT_WORKFLOW) {
     // Initialise distribution for all members
     const distribution = {};
     members.forEach(member => {
@@ -222,6 +276,7 @@ class PDFService {
         distribution[member.user._id.toString()] = {
           name: member.user.name,
           assigned: 0,
+          shared: 0,
           created: 0,
           completed: 0
         };
@@ -230,16 +285,20 @@ class PDFService {
 
     // Count tasks for each member
     tasks.forEach(task => {
-      const assigneeId = task.taskAssignee?._id.toString();
+      const assigneeIds = getAssigneeIds(task);
       const creatorId = task.taskCreator?._id.toString();
 
-      // Tasks assigned to member
-      if (assigneeId && distribution[assigneeId]) {
+      // Tasks assigned to member, alone or together with others
+      assigneeIds.forEach(assigneeId => {
+        if (!distribution[assigneeId]) return;
         distribution[assigneeId].assigned++;
-        if (task.taskProgress === 'Completed') {
+        if (assigneeIds.length > 1) {
+          distribution[assigneeId].shared++;
+        }
+        if (isDoneStatus(workflow, task.taskProgress)) {
           distribution[assigneeId].completed++;
         }
-      }
+      });
 
       // Tasks created by member
       if (creatorId && distribution[creatorId]) {
@@ -251,20 +310,17 @@ class PDFService {
   }
 
   /**
-   * Get tasks grouped by status
+   * Get task counts for each workflow status
    * @param {Array} tasks - Project tasks
-   * @returns {Object} Tasks grouped by status
+   * @param {Array} [workflow=DEFAULT_WORKFLOW] - Ordered project workflow statuses
+   * @returns {Array} Status name, colour and task count in workflow order
    */
-  getTasksByStatus(tasks) {
-    const statusGroups = { 'To Do': 0, 'In Progress': 0, 'Completed': 0 };
-    
-    tasks.forEach(task => {
-      if (task.taskProgress in statusGroups) {
-        statusGroups[task.taskProgress]++;
-      }
-    });
-
-    return statusGroups;
+  getTasksByStatus(tasks, workflow = DEFAULT_WORKFLOW) {
+    return workflow.map(status => ({
+      name: status.name,
+      color: status.color,
+      count: tasks.filter(task => task.taskProgress === status.name).length
+    }));
   }
 
   /**
@@ -276,17 +332,24 @@ class PDFService {
    * Calculates task completion statistics and percentages
    * @method calculateTaskCompletionStats
    * @param {Array<Object>} tasks - Array of project tasks
+   * @param {Array<Object>} [workflow=DEFAULT_WORKFLOW] - Project workflow used to tell which statuses are done
    * @returns {Object} Completion statistics with counts and percentages for each status
-   * @description Analyzes task completion rates for project progress reporting
+   * @description Analyzes task completion rates for project progress reporting. Parent tasks take their
+   * progress from their subtasks, so only tasks without subtasks are counted as units of work.
    */
-  calculateTaskCompletionStats(tasks) {
+  calculateTaskCompletionStats(tasks, workflow = DEFAULT_WORKFLOW) {
     const currentDate = new Date();
     const stats = { onTime: 0, late: 0, incomplete: 0, totalCompleted: 0 };
 
-    tasks.forEach(task => {
+    const parentTaskIds = new Set(
+      tasks.filter(task => task.parentTask).map(task => task.parentTask.toString())
+    );
+    const workItems = tasks.filter(task => !task._id || !parentTaskIds.has(task._id.toString()));
+
+    workItems.forEach(task => {
       const deadline = new Date(task.taskDeadline);
       
-      if (task.taskProgress === 'Completed') {
+      if (isDoneStatus(workflow, task.taskProgress)) {
         stats.totalCompleted++;
         const completionDate = task.updatedAt ? new Date(task.updatedAt) : new Date(task.createdAt);
         
@@ -300,11 +363,12 @@ class PDFService {
       }
     });
 
-    const totalTasks = tasks.length;
+    const totalTasks = workItems.length;
     const completionRate = totalTasks > 0 ? ((stats.totalCompleted / totalTasks) * 100).toFixed(1) : 0;
     const onTimeRate = stats.totalCompleted > 0 ? ((stats.onTime / stats.totalCompleted) * 100).toFixed(1) : 0;
+    const subtaskCount = tasks.filter(task => task.parentTask).length;
 
-    return { ...stats, completionRate, onTimeRate, totalTasks };
+    return { ...stats, completionRate, onTimeRate, totalTasks, parentTaskCount: tasks.length - workItems.length, subtaskCount };
   }
 
   /**
@@ -316,17 +380,19 @@ class PDFService {
    * Identifies tasks that have missed their deadlines
    * @method getMissedDeadlineTasks
    * @param {Array<Object>} tasks - Array of project tasks with deadlines
+   * @param {Array<Object>} [workflow=DEFAULT_WORKFLOW] - Project workflow used to tell which statuses are done
    * @returns {Array<Object>} Array of overdue tasks with formatted deadline information
    * @description Filters and formats tasks that are past due for deadline tracking
    */
-  getMissedDeadlineTasks(tasks) {
+  getMissedDeadlineTasks(tasks, workflow = DEFAULT_WORKFLOW) {
     const currentDate = new Date();
     const missedTasks = [];
 
     tasks.forEach(task => {
       const deadline = new Date(task.taskDeadline);
-      const isOverdue = currentDate > deadline && task.taskProgress !== 'Completed';
-      const isLateCompletion = task.taskProgress === 'Completed' &&
+      const isDone = isDoneStatus(workflow, task.taskProgress);
+      const isOverdue = currentDate > deadline && !isDone;
+      const isLateCompletion = isDone &&
                               task.updatedAt &&
                               new Date(task.updatedAt) > deadline;
 
@@ -337,8 +403,9 @@ class PDFService {
         missedTasks.push({
           taskName: task.taskName,
           deadline: deadline.toLocaleDateString('en-AU', { timeZone: 'Australia/Sydney' }),
-          assignee: task.taskAssignee?.name || 'Unassigned',
+          assignee: (task.taskAssignees || []).map(assignee => assignee.name).join(', ') || 'Unassigned',
           status: task.taskProgress,
+          isDone,
           daysOverdue: daysLate,
           type: isOverdue ? 'Overdue' : 'Late Completion'
         });
@@ -349,12 +416,15 @@ class PDFService {
   }
 
   /**
-   * Calculate workload analysis for team members
+   * Calculate workload analysis for team members, weighted by task estimates
    * @param {Array} tasks - Project tasks
    * @param {Array} members - Project members
-   * @returns {Array} Workload analysis
+   * @param {Array} [workflow=DEFAULT_WORKFLOW] - Project workflow used to tell which statuses are done
+   * @returns {Array} Workload analysis sorted by total estimated work
+   * @description Tasks without an estimate count as one unit of work. A shared task counts towards
+   * every assignee's task totals, while its estimate is split evenly between them.
    */
-  calculateWorkloadAnalysis(tasks, members) {
+  calculateWorkloadAnalysis(tasks, members, workflow = DEFAULT_WORKFLOW) {
     // Initialise workload for all members
     const workload = {};
     members.forEach(member => {
@@ -363,6 +433,8 @@ class PDFService {
           name: member.user.name,
           totalTasks: 0,
           completedTasks: 0,
+          totalEstimate: 0,
+          completedEstimate: 0,
           overdueTasks: 0,
           lateTasks: 0
         };
@@ -373,37 +445,130 @@ class PDFService {
 
     // Calculate workload metrics
     tasks.forEach(task => {
-      const assigneeId = task.taskAssignee?._id.toString();
-      if (!assigneeId || !workload[assigneeId]) return;
-
-      const member = workload[assigneeId];
-      member.totalTasks++;
-      
+      const assigneeIds = getAssigneeIds(task);
+      const weight = getTaskWeight(task) / (assigneeIds.length || 1);
       const deadline = new Date(task.taskDeadline);
-      
-      if (task.taskProgress === 'Completed') {
-        member.completedTasks++;
-        
-        // Check if task was completed late
-        const completionDate = task.updatedAt ? new Date(task.updatedAt) : new Date(task.createdAt);
-        if (completionDate > deadline) {
-          member.lateTasks++;
+
+      assigneeIds.forEach(assigneeId => {
+        const member = workload[assigneeId];
+        if (!member) return;
+
+        member.totalTasks++;
+        member.totalEstimate += weight;
+
+        if (isDoneStatus(workflow, task.taskProgress)) {
+          member.completedTasks++;
+          member.completedEstimate += weight;
+
+          // Check if task was completed late
+          const completionDate = task.updatedAt ? new Date(task.updatedAt) : new Date(task.createdAt);
+          if (completionDate > deadline) {
+            member.lateTasks++;
+          }
+        } else if (currentDate > deadline) {
+          // Task is overdue (not completed and past deadline)
+          member.overdueTasks++;
         }
-      } else if (currentDate > deadline) {
-        // Task is overdue (not completed and past deadline)
-        member.overdueTasks++;
-      }
+      });
     });
 
-    // Calculate completion rates and sort by total tasks
+    // Calculate completion rates by estimated work and sort by total work
     return Object.values(workload)
       .map(member => ({
         ...member,
-        completionRate: member.totalTasks > 0 
-          ? ((member.completedTasks / member.totalTasks) * 100).toFixed(1)
+        // Shares of split estimates are shown to one decimal place
+        totalEstimate: Math.round(member.totalEstimate * 10) / 10,
+        completedEstimate: Math.round(member.completedEstimate * 10) / 10,
+        completionRate: member.totalEstimate > 0
+          ? ((member.completedEstimate / member.totalEstimate) * 100).toFixed(1)
           : 0
       }))
-      .sort((a, b) => b.totalTasks - a.totalTasks);
+      .sort((a, b) => b.totalEstimate - a.totalEstimate);
+  }
+
+  /**
+   * Compares the time logged on each task with its estimate
+   * @method calculateTimeVsEstimate
+   * @param {Array<Object>} tasks - Project tasks
+   * @param {Array<Object>} timeEntries - Finished time entries with task and duration in minutes
+   * @param {string} [estimateUnit='points'] - Unit the project estimates in ('points' or 'hours')
+   * @returns {Object} Per-task rows and totals, in hours
+   * @description Differences against the estimate are only given when the project estimates in hours
+   */
+  calculateTimeVsEstimate(tasks, timeEntries, estimateUnit = 'points') {
+    const minutesByTask = new Map();
+    timeEntries.forEach(entry => {
+      if (!entry.task) return;
+      const taskId = entry.task.toString();
+      minutesByTask.set(taskId, (minutesByTask.get(taskId) || 0) + (entry.duration || 0));
+    });
+
+    const inHours = estimateUnit === 'hours';
+    const toHours = (minutes) => Math.round((minutes / 60) * 10) / 10;
+
+    const rows = tasks
+      .map(task => {
+        const minutes = minutesByTask.get(task._id.toString()) || 0;
+        const estimate = typeof task.estimate === 'number' ? task.estimate : null;
+        const hoursSpent = toHours(minutes);
+        const difference = inHours && estimate !== null
+          ? Math.round((hoursSpent - estimate) * 10) / 10
+          : null;
+        return {
+          taskName: task.taskName,
+          estimate,
+          hoursSpent,
+          minutes,
+          difference,
+          isOver: difference !== null && difference > 0
+        };
+      })
+      .filter(row => row.minutes > 0 || row.estimate !== null)
+      .sort((a, b) => b.minutes - a.minutes);
+
+    const totalMinutes = rows.reduce((sum, row) => sum + row.minutes, 0);
+    return {
+      estimateUnit,
+      showDifference: inHours,
+      tasks: rows,
+      totalHours: toHours(totalMinutes),
+      totalEstimate: rows.reduce((sum, row) => sum + (row.estimate || 0), 0)
+    };
+  }
+
+  /**
+   * Compares what each sprint committed to with what it completed
+   * @method calculateSprintSummary
+   * @param {Array<Object>} tasks - Project tasks
+   * @param {Array<Object>} sprints - Sprints and milestones of the project
+   * @param {Array<Object>} [workflow=DEFAULT_WORKFLOW] - Project workflow used to tell which statuses are done
+   * @returns {Array<Object>} One row per sprint with committed and completed task counts
+   * @description Started sprints use the tasks recorded when they started and closed ones the tasks done when
+   * they closed; planned sprints and running sprints are measured against the tasks currently in them
+   */
+  calculateSprintSummary(tasks, sprints, workflow = DEFAULT_WORKFLOW) {
+    const options = { timeZone: 'Australia/Sydney', year: 'numeric', month: 'short', day: 'numeric' };
+    return sprints.map(sprint => {
+      const sprintId = sprint._id.toString();
+      const currentTasks = tasks.filter(task => task.sprint && task.sprint.toString() === sprintId);
+      const committed = sprint.status === 'planned'
+        ? currentTasks.length
+        : (sprint.committedTasks || []).length;
+      const completed = sprint.status === 'closed'
+        ? (sprint.completedTasks || []).length
+        : currentTasks.filter(task => isDoneStatus(workflow, task.taskProgress)).length;
+
+      return {
+        name: sprint.name,
+        kind: sprint.kind === 'milestone' ? 'Milestone' : 'Sprint',
+        status: sprint.status,
+        goal: sprint.goal,
+        period: `${sprint.startDate.toLocaleDateString('en-AU', options)} - ${sprint.endDate.toLocaleDateString('en-AU', options)}`,
+        committed,
+        completed,
+        completionRate: committed > 0 ? Math.round((completed / committed) * 100) : 0
+      };
+    });
   }
 
   /**
@@ -419,10 +584,11 @@ class PDFService {
    * @param {Array<Object>} tasks - Array of project tasks
    * @param {Date} startDate - Timeline start date
    * @param {Date} endDate - Timeline end date
+   * @param {Array<Object>} [workflow=DEFAULT_WORKFLOW] - Project workflow used to tell which statuses are done
    * @returns {Array<Object>} Weekly activity data with task counts and date ranges
    * @description Creates timeline visualization data for project activity tracking
    */
-  generateActivityTimeline(tasks, startDate, endDate) {
+  generateActivityTimeline(tasks, startDate, endDate, workflow = DEFAULT_WORKFLOW) {
     const timeline = [];
     const dayMs = 1000 * 60 * 60 * 24;
     const totalDays = Math.ceil((endDate - startDate) / dayMs);
@@ -432,7 +598,7 @@ class PDFService {
       const weekStart = new Date(startDate.getTime() + (week * 7 * dayMs));
       const weekEnd = new Date(weekStart.getTime() + (7 * dayMs));
       
-      const { tasksCreated, tasksCompleted } = this.countTasksInWeek(tasks, weekStart, weekEnd);
+      const { tasksCreated, tasksCompleted } = this.countTasksInWeek(tasks, weekStart, weekEnd, workflow);
 
       timeline.push({
         week: `Week ${week + 1}`,
@@ -451,9 +617,10 @@ class PDFService {
    * @param {Array} tasks - Project tasks
    * @param {Date} weekStart - Start of the week
    * @param {Date} weekEnd - End of the week
+   * @param {Array} [workflow=DEFAULT_WORKFLOW] - Project workflow used to tell which statuses are done
    * @returns {Object} Count of tasks created and completed
    */
-  countTasksInWeek(tasks, weekStart, weekEnd) {
+  countTasksInWeek(tasks, weekStart, weekEnd, workflow = DEFAULT_WORKFLOW) {
     let tasksCreated = 0;
     let tasksCompleted = 0;
 
@@ -465,7 +632,7 @@ class PDFService {
       }
 
       // Count tasks completed in this week
-      if (task.taskProgress === 'Completed') {
+      if (isDoneStatus(workflow, task.taskProgress)) {
         const completionDate = task.updatedAt ? new Date(task.updatedAt) : new Date(task.createdAt);
         if (completionDate >= weekStart && completionDate < weekEnd) {
           tasksCompleted++;
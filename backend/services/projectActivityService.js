@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Project activity service module recording project-level events such as ownership changes
+ * @module services/projectActivityService
+ */
+
+const Project = require('../models/project');
+const ProjectActivity = require('../models/projectActivity');
+
+/**
+ * Most entries returned when listing the activity log
+ * @constant {number}
+ */
+const ACTIVITY_LIMIT = 50;
+
+/**
+ * Records one event in a project's activity log
+ * @async
+ * @function recordProjectActivity
+ * @param {string} projectId - ID of the project
+ * @param {string} actorId - ID of the user who acted
+ * @param {string} action - What happened, e.g. 'ownership_transferred'
+ * @param {string} [targetId] - ID of the other user the action concerns
+ * @returns {Promise<Object>} The recorded entry
+ */
+async function recordProjectActivity(projectId, actorId, action, targetId = null) {
+  return await ProjectActivity.create({
+    project: projectId,
+    actor: actorId,
+    target: targetId,
+    action
+  });
+}
+
+/**
+ * Lists the latest events of a project, newest first
+ * @async
+ * @function getProjectActivity
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user requesting the log
+ * @returns {Promise<Array<Object>>} Activity entries with the populated actor and target
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ */
+async function getProjectActivity(projectId, userId) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  if (!project.projectMembers.some(member => member.user.toString() === userId)) {
+    throw new Error('You are not a member of this project');
+  }
+
+  return await ProjectActivity.find({ project: projectId })
+    .populate('actor', 'name email')
+    .populate('target', 'name email')
+    .sort({ timestamp: -1 })
+    .limit(ACTIVITY_LIMIT);
+}
+
+module.exports = {
+  recordProjectActivity,
+  getProjectActivity
+};
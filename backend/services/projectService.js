@@ -8,9 +8,62 @@ const User = require('../models/user');
 const Role = require('../models/roles');
 const Task = require('../models/tasks');
 const InviteLink = require('../models/inviteLink');
+const JoinRequest = require('../models/joinRequest');
+const ProjectInvitation = require('../models/projectInvitation');
+const ProjectActivity = require('../models/projectActivity');
+const TimeEntry = require('../models/timeEntry');
+const TaskHistory = require('../models/taskHistory');
+const Sprint = require('../models/sprint');
+const Template = require('../models/template');
+const Post = require('../models/post');
+const {
+  getProjectWorkflow,
+  findStatus,
+  getStatusCategory,
+  isDoneStatus,
+  getStatusNamesInCategory,
+  getFirstStatusInCategory,
+  getInitialStatus,
+  canTransition,
+  normalizeWorkflow
+} = require('./workflowService');
+const {
+  ESTIMATE_UNITS,
+  normalizePriority,
+  normalizeEstimate,
+  normalizeStartDate,
+  normalizeLabels
+} = require('./taskAttributeService');
+const { normalizeRecurrence, getNextOccurrenceDate } = require('./recurrenceService');
+const { snapshotTaskFields, recordTaskChanges } = require('./taskHistoryService');
+const { deleteCommentsForTasks } = require('./taskCommentService');
+const { resolveTaskSprint } = require('./sprintService');
+const { trashTask, emptyTrash } = require('./trashService');
+const { getTemplateForNewProject, getMembersWithRole, addTemplateDays } = require('./templateService');
+const {
+  normalizeInviteLinkOptions,
+  assertInviteLinkUsable,
+  claimInviteLinkUse,
+  formatInviteLink
+} = require('./inviteLinkService');
+const { findOpenJoinRequest, requestToJoin } = require('./joinRequestService');
+const { isPendingOwner, clearPendingOwnershipTransfer } = require('./ownershipService');
+const {
+  PERMISSIONS,
+  isAdministratorRole,
+  hasPermission,
+  getMemberRole,
+  memberHasPermission
+} = require('./authorizationService');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+/**
+ * Milliseconds in one day
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Creates a new project with the specified user as owner and administrator
  * @async
@@ -18,16 +71,27 @@ const crypto = require('crypto');
  * @param {string} userId - ID of the user creating the project
  * @param {string} projectName - Name of the new project
  * @param {string} projectDescription - Description of the new project
+ * @param {Object} [options={}] - How to seed the project
+ * @param {string} [options.templateId] - ID of one of the user's project templates to copy the tasks of
+ * @param {string|Date} [options.startDate] - Date the template's deadlines count from; defaults to today
  * @returns {Promise<Object>} The created project document
  * @throws {Error} When administrator role is not found in database
- * @description Creates project, assigns creator as owner with admin role, and adds project to user's project list
+ * @throws {Error} When the template is not one of the user's project templates
+ * @throws {Error} When the start date is invalid
+ * @description Creates project, assigns creator as owner with admin role, and adds project to user's project list;
+ * tasks from a template get their dates from the start date and are assigned to the creator when their default role is administrator
  */
-async function createProject(userId, projectName, projectDescription) {
+async function createProject(userId, projectName, projectDescription, options = {}) {
   const adminRole = await Role.findOne({ roleName: 'administrator' });
   if (!adminRole) {
     throw new Error('Administrator role not found');
   }
 
+  const template = options.templateId ? await getTemplateForNewProject(options.templateId, userId) : null;
+  const startDate = options.startDate
+    ? normalizeStartDate(options.startDate)
+    : new Date(new Date().toISOString().slice(0, 10));
+
   const newProject = new Project({
     projectName,
     projectDescription: projectDescription, // Note: keeping the typo to match the model
@@ -42,6 +106,11 @@ async function createProject(userId, projectName, projectDescription) {
 
   const savedProject = await newProject.save();
 
+  if (template) {
+    savedProject.projectTasks = await createTasksFromTemplate(savedProject, template, startDate, userId, adminRole);
+    await Project.findByIdAndUpdate(savedProject._id, { $set: { projectTasks: savedProject.projectTasks } });
+  }
+
   // Add project to user's userProjects
   await User.findByIdAndUpdate(
     userId, 
@@ -51,6 +120,232 @@ async function createProject(userId, projectName, projectDescription) {
   return savedProject;
 }
 
+/**
+ * Creates the tasks of a project template in a new project
+ * @async
+ * @function createTasksFromTemplate
+ * @param {Object} project - The new project
+ * @param {Object} template - Project template to copy
+ * @param {Date} startDate - Date the template's offsets count from
+ * @param {string} userId - ID of the user creating the project
+ * @param {Object} adminRole - The administrator role, held by the creator
+ * @returns {Promise<Array<Object>>} IDs of the created tasks in template order
+ */
+async function createTasksFromTemplate(project, template, startDate, userId, adminRole) {
+  // The creator is the only member so far
+  const members = { projectMembers: [{ user: userId, role: adminRole }] };
+  const initialStatus = getInitialStatus(getProjectWorkflow(project));
+
+  const taskIds = [];
+  for (const templateTask of template.tasks) {
+    const parentId = templateTask.parentIndex !== null && templateTask.parentIndex !== undefined
+      ? taskIds[templateTask.parentIndex] || null
+      : null;
+    const task = await new Task({
+      taskName: templateTask.taskName,
+      taskDescription: templateTask.taskDescription,
+      taskStartDate: addTemplateDays(startDate, templateTask.startOffsetDays),
+      taskDeadline: addTemplateDays(startDate, templateTask.deadlineOffsetDays),
+      taskCreator: userId,
+      taskAssignees: getMembersWithRole(members, templateTask.assigneeRole),
+      taskProgress: initialStatus,
+      parentTask: parentId,
+      priority: templateTask.priority,
+      estimate: templateTask.estimate
+    }).save();
+    taskIds.push(task._id);
+  }
+  return taskIds;
+}
+
+/**
+ * Copies a project's details, settings and open tasks into a new project owned by the caller
+ * @async
+ * @function cloneProject
+ * @param {string} projectId - ID of the project to copy
+ * @param {string} userId - ID of the administrator cloning the project
+ * @param {Object} [options={}] - What to copy and how
+ * @param {string} [options.projectName] - Name of the copy; defaults to the original name followed by "(copy)"
+ * @param {string} [options.projectDescription] - Description of the copy; defaults to the original description
+ * @param {number} [options.deadlineShiftDays=0] - Whole days to move every start date and deadline by
+ * @param {boolean} [options.resetProgress=false] - Put every task back in the workflow's first status and untick checklists
+ * @param {boolean} [options.clearAssignees=false] - Leave every task and checklist item unassigned
+ * @param {boolean} [options.includePinnedPosts=false] - Copy the project's pinned posts
+ * @returns {Promise<Object>} The new project document
+ * @throws {Error} When project is not found or user is not a member
+ * @throws {Error} When user is not a project administrator
+ * @throws {Error} When the name is empty or the deadline shift is not a whole number of days
+ * @throws {Error} When administrator role is not found in database
+ * @description Members, invite links, sprints, archived and deleted tasks, history, time entries, comments and likes are not copied.
+ * The caller becomes the owner and only member, so other people only stay on copied tasks they share with the caller
+ */
+async function cloneProject(projectId, userId, options = {}) {
+  const source = await Project.findById(projectId);
+  if (!source) {
+    throw new Error('Project not found');
+  }
+  const isMember = source.projectMembers.some(
+    member => member.user && member.user.toString() === userId.toString()
+  );
+  if (!isMember) {
+    throw new Error('You are not a member of this project');
+  }
+  if (!(await memberHasPermission(source, userId, PERMISSIONS.MANAGE_PROJECT))) {
+    throw new Error('Only project administrators can clone the project');
+  }
+
+  const projectName = options.projectName === undefined ? `${source.projectName} (copy)` : options.projectName;
+  if (typeof projectName !== 'string' || !projectName.trim()) {
+    throw new Error('Project name is required');
+  }
+  const shiftDays = options.deadlineShiftDays === undefined || options.deadlineShiftDays === null
+    ? 0
+    : options.deadlineShiftDays;
+  if (!Number.isInteger(shiftDays)) {
+    throw new Error('Deadline shift must be a whole number of days');
+  }
+
+  const adminRole = await Role.findOne({ roleName: 'administrator' });
+  if (!adminRole) {
+    throw new Error('Administrator role not found');
+  }
+
+  const settings = source.settings && source.settings.toObject ? source.settings.toObject() : source.settings;
+  const newProject = new Project({
+    projectName: projectName.trim(),
+    projectDescription: options.projectDescription || source.projectDescription,
+    projectOwner: userId,
+    projectMembers: [
+      {
+        user: userId,
+        role: adminRole._id
+      }
+    ],
+    workflow: source.workflow,
+    // Labels keep their IDs so the copied tasks still point at them
+    labels: source.labels,
+    settings
+  });
+  const savedProject = await newProject.save();
+
+  const tasks = (await Task.find({ _id: { $in: source.projectTasks }, archivedAt: null, deletedAt: null })) || [];
+  savedProject.projectTasks = await copyTasksToProject(savedProject, tasks, userId, {
+    shiftMs: shiftDays * DAY_MS,
+    resetProgress: options.resetProgress === true,
+    clearAssignees: options.clearAssignees === true
+  });
+
+  const taskIdMap = new Map(tasks.map((task, index) => [task._id.toString(), savedProject.projectTasks[index]]));
+  savedProject.projectPosts = options.includePinnedPosts === true
+    ? await copyPinnedPosts(source, savedProject, taskIdMap, userId)
+    : [];
+
+  await Project.findByIdAndUpdate(savedProject._id, {
+    $set: { projectTasks: savedProject.projectTasks, projectPosts: savedProject.projectPosts }
+  });
+
+  await User.findByIdAndUpdate(
+    userId,
+    { $push: { userProjects: savedProject._id } }
+  );
+
+  return savedProject;
+}
+
+/**
+ * Creates copies of tasks in a cloned project, keeping their subtask, dependency and recurrence links
+ * @async
+ * @function copyTasksToProject
+ * @param {Object} project - The new project
+ * @param {Array<Object>} tasks - Tasks of the original project
+ * @param {string} userId - ID of the user cloning the project, its only member
+ * @param {Object} copyOptions - How to copy each task
+ * @param {number} copyOptions.shiftMs - Milliseconds to move every date by
+ * @param {boolean} copyOptions.resetProgress - Whether tasks restart in the first status
+ * @param {boolean} copyOptions.clearAssignees - Whether tasks lose their assignees
+ * @returns {Promise<Array<Object>>} IDs of the copies, in the same order as the tasks
+ */
+async function copyTasksToProject(project, tasks, userId, { shiftMs, resetProgress, clearAssignees }) {
+  // IDs are picked up front so links between copied tasks can be set on the first save
+  const newIds = new Map(tasks.map(task => [task._id.toString(), new mongoose.Types.ObjectId()]));
+  const mapId = id => (id && newIds.get(id.toString())) || null;
+  const shift = date => (date ? new Date(new Date(date).getTime() + shiftMs) : date);
+  const keepPeople = ids => (clearAssignees ? [] : (ids || []).filter(id => id && id.toString() === userId.toString()));
+  const initialStatus = getInitialStatus(getProjectWorkflow(project));
+  const copiedAt = new Date();
+
+  for (const task of tasks) {
+    const taskProgress = resetProgress ? initialStatus : task.taskProgress;
+    const recurrence = task.recurrence
+      ? { frequency: task.recurrence.frequency, interval: task.recurrence.interval, endDate: shift(task.recurrence.endDate) }
+      : null;
+    await new Task({
+      _id: newIds.get(task._id.toString()),
+      taskName: task.taskName,
+      taskDescription: task.taskDescription,
+      taskStartDate: shift(task.taskStartDate),
+      taskDeadline: shift(task.taskDeadline),
+      taskCreator: userId,
+      taskAssignees: keepPeople(task.taskAssignees),
+      taskWatchers: keepPeople(task.taskWatchers),
+      parentTask: mapId(task.parentTask),
+      blockedBy: (task.blockedBy || []).map(mapId).filter(Boolean),
+      priority: task.priority,
+      labels: task.labels,
+      estimate: task.estimate,
+      recurrence,
+      checklist: (task.checklist || []).map(item => ({
+        text: item.text,
+        done: resetProgress ? false : item.done,
+        assignee: keepPeople([item.assignee])[0] || null
+      })),
+      nextOccurrence: mapId(task.nextOccurrence),
+      taskProgress,
+      // A copy starts its history when it is made; the original's entries predate it
+      progressHistory: taskProgress === initialStatus
+        ? []
+        : [{ progress: taskProgress, updatedBy: userId, timestamp: copiedAt }],
+      boardRank: task.boardRank
+    }).save();
+  }
+
+  return tasks.map(task => newIds.get(task._id.toString()));
+}
+
+/**
+ * Copies the pinned posts of a project into a cloned project, posted by the user cloning it
+ * @async
+ * @function copyPinnedPosts
+ * @param {Object} source - The original project
+ * @param {Object} project - The new project
+ * @param {Map<string, Object>} taskIdMap - IDs of the copied tasks by the ID of their original
+ * @param {string} userId - ID of the user cloning the project
+ * @returns {Promise<Array<Object>>} IDs of the copied posts
+ * @description Mentions of tasks that were not copied are dropped; comments and likes stay with the original
+ */
+async function copyPinnedPosts(source, project, taskIdMap, userId) {
+  const posts = (await Post.find({ project: source._id, pinned: true, deletedAt: null }).sort({ createdAt: 1 })) || [];
+
+  const postIds = [];
+  for (const post of posts) {
+    const mentionedTasks = (post.mentionedTasks || [])
+      .filter(mention => mention.task && taskIdMap.has(mention.task.toString()))
+      .map(mention => ({ task: taskIdMap.get(mention.task.toString()), mentionText: mention.mentionText }));
+    const copy = await new Post({
+      title: post.title,
+      content: post.content,
+      postType: post.postType,
+      author: userId,
+      project: project._id,
+      mentionedTasks,
+      image: post.image && post.image.data ? { data: post.image.data, contentType: post.image.contentType } : undefined,
+      pinned: true
+    }).save();
+    postIds.push(copy._id);
+  }
+  return postIds;
+}
+
 /**
  * Creates a new task within a project with role-based authorization
  * @async
@@ -60,13 +355,20 @@ async function createProject(userId, projectName, projectDescription) {
  * @param {string} taskName - Name of the new task
  * @param {string} taskDescription - Description of the new task
  * @param {Date} taskDeadline - Deadline for the task completion
+ * @param {string} [parentTaskId=null] - ID of the parent task when creating a subtask
+ * @param {Object} [attributes={}] - Optional start date, priority, labels, estimate, recurrence and sprint for the task
+ * @param {string} [attributes.assigneeRole] - Assigns every member holding this role, as set by a task template
  * @returns {Promise<Object>} The created task document
  * @throws {Error} When project is not found
  * @throws {Error} When user is not a project member
- * @throws {Error} When user has viewer role (insufficient permissions)
+ * @throws {Error} When the user's role does not grant creating tasks
+ * @throws {Error} When parent task is not part of the project
+ * @throws {Error} When the start date, priority, labels, estimate or recurrence are invalid
+ * @throws {Error} When the sprint is not an open sprint of the project
+ * @throws {Error} When the assignee role cannot be assigned tasks
  * @description Creates task with creator assignment and adds it to project's task list
  */
-async function createTask(projectId, userId, taskName, taskDescription, taskDeadline) {
+async function createTask(projectId, userId, taskName, taskDescription, taskDeadline, parentTaskId = null, attributes = {}) {
   const project = await Project.findById(projectId).populate('projectMembers.role');
   if (!project) {
     throw new Error('Project not found');
@@ -80,17 +382,35 @@ async function createTask(projectId, userId, taskName, taskDescription, taskDead
     throw new Error('You are not a member of this project');
   }
 
-  // Viewers cannot create tasks
-  if (userMember.role.roleName === 'viewer') {
-    throw new Error('Viewers are not authorized to create tasks');
+  if (!hasPermission(await getMemberRole(userMember), PERMISSIONS.CREATE_TASKS)) {
+    throw new Error('Your role does not allow creating tasks');
+  }
+
+  if (parentTaskId) {
+    const parentInProject = project.projectTasks.some(
+      id => id.toString() === parentTaskId.toString()
+    );
+    if (!parentInProject) {
+      throw new Error('Parent task not found in this project');
+    }
   }
 
+  const workflow = getProjectWorkflow(project);
   const newTask = new Task({
     taskName,
     taskDescription,
     taskDeadline,
-    taskCreator: userId
+    taskCreator: userId,
+    taskProgress: getInitialStatus(workflow),
+    parentTask: parentTaskId || null
   });
+  applyTaskAttributes(project, newTask, attributes);
+  if (attributes.sprint !== undefined) {
+    newTask.sprint = await resolveTaskSprint(project, attributes.sprint);
+  }
+  if (attributes.assigneeRole !== undefined) {
+    newTask.taskAssignees = getMembersWithRole(project, attributes.assigneeRole);
+  }
 
   const savedTask = await newTask.save();
 
@@ -99,11 +419,600 @@ async function createTask(projectId, userId, taskName, taskDescription, taskDead
     { $push: { projectTasks: savedTask._id } }
   );
 
+  // A new open subtask can reopen a completed parent
+  if (parentTaskId) {
+    await rollUpTaskProgress(parentTaskId, userId, workflow);
+  }
+
+  return savedTask;
+}
+
+/**
+ * Sets the start date, priority, labels and estimate of a task after validating them
+ * @function applyTaskAttributes
+ * @param {Object} project - Project the task belongs to
+ * @param {Object} task - Task document to modify
+ * @param {Object} attributes - Fields to set; undefined fields are left unchanged
+ * @param {string|Date|null} [attributes.taskStartDate] - Day work begins, or null to clear it
+ * @param {string} [attributes.priority] - One of low, medium, high or urgent
+ * @param {Array<string>} [attributes.labels] - IDs of labels defined on the project
+ * @param {number|null} [attributes.estimate] - Non-negative estimate, or null to clear it
+ * @param {Object|null} [attributes.recurrence] - Repeat rule, or null to stop the task repeating
+ * @throws {Error} When the start date, priority, estimate or recurrence is invalid
+ * @throws {Error} When the start date falls after the task's deadline
+ * @throws {Error} When a label is not defined on the project
+ */
+function applyTaskAttributes(project, task, attributes) {
+  if (attributes.taskStartDate !== undefined) {
+    task.taskStartDate = normalizeStartDate(attributes.taskStartDate);
+  }
+  // Checked on every change so moving the deadline cannot leave the start behind it
+  if (task.taskStartDate && task.taskDeadline && new Date(task.taskStartDate) > new Date(task.taskDeadline)) {
+    throw new Error('Start date cannot be after the deadline');
+  }
+  if (attributes.priority !== undefined) {
+    task.priority = normalizePriority(attributes.priority);
+  }
+  if (attributes.estimate !== undefined) {
+    task.estimate = normalizeEstimate(attributes.estimate);
+  }
+  if (attributes.labels !== undefined) {
+    const projectLabelIds = (project.labels || []).map(label => label._id.toString());
+    const labelIds = [...new Set([].concat(attributes.labels).map(String))];
+    if (labelIds.some(id => !projectLabelIds.includes(id))) {
+      throw new Error('Label not found in this project');
+    }
+    task.labels = labelIds;
+  }
+  if (attributes.recurrence !== undefined) {
+    task.recurrence = normalizeRecurrence(attributes.recurrence);
+  }
+}
+
+/**
+ * Retrieves the direct subtasks of a task
+ * @async
+ * @function getSubtasks
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the parent task
+ * @param {string} userId - ID of the user requesting the subtasks
+ * @returns {Promise<Array<Object>>} Subtask documents with populated creator and assignee
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When task is not in the specified project
+ * @description Lists the children of a task ordered by deadline
+ */
+async function getSubtasks(projectId, taskId, userId) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const isMember = project.projectMembers.some(
+    member => member.user && member.user.toString() === userId
+  );
+  if (!isMember) {
+    throw new Error('You are not a member of this project');
+  }
+
+  const taskIsInProject = project.projectTasks.some(
+    id => id.toString() === taskId
+  );
+  if (!taskIsInProject) {
+    throw new Error('Task not found in this project');
+  }
+
+  return Task.find({ parentTask: taskId, archivedAt: null })
+    .populate('taskCreator', 'name email')
+    .populate('taskAssignees', 'name email')
+    .populate('taskWatchers', 'name email')
+    .sort({ taskDeadline: 1 });
+}
+
+/**
+ * Derives a parent task's progress from the progress of its subtasks
+ * @function deriveProgressFromSubtasks
+ * @param {Array<Object>} subtasks - Direct subtasks of the parent
+ * @param {Array<Object>} workflow - The project's workflow statuses
+ * @returns {string} The first 'done' status when all subtasks are done, the first 'todo' status when none
+ * have started, otherwise the first 'active' status
+ */
+function deriveProgressFromSubtasks(subtasks, workflow) {
+  const categories = subtasks.map(subtask => getStatusCategory(workflow, subtask.taskProgress));
+  if (categories.every(category => category === 'done')) {
+    return getFirstStatusInCategory(workflow, 'done');
+  }
+  if (categories.every(category => category === 'todo')) {
+    return getFirstStatusInCategory(workflow, 'todo');
+  }
+  return getFirstStatusInCategory(workflow, 'active');
+}
+
+/**
+ * Recalculates a parent task's progress from its subtasks and propagates upwards
+ * @async
+ * @function rollUpTaskProgress
+ * @param {string} taskId - ID of the parent task to recalculate
+ * @param {string} userId - ID of the user whose change triggered the roll-up
+ * @param {Array<Object>} workflow - The project's workflow statuses
+ * @returns {Promise<void>}
+ * @description Records a progress history entry whenever the derived progress differs from the stored one
+ */
+async function rollUpTaskProgress(taskId, userId, workflow) {
+  const subtasks = await Task.find({ parentTask: taskId, archivedAt: null });
+  if (!subtasks || subtasks.length === 0) return;
+
+  const task = await Task.findById(taskId);
+  if (!task) return;
+
+  const derivedProgress = deriveProgressFromSubtasks(subtasks, workflow);
+  if (task.taskProgress === derivedProgress) return;
+
+  task.taskProgress = derivedProgress;
+  task.progressHistory.push({
+    progress: derivedProgress,
+    updatedBy: userId,
+    timestamp: new Date()
+  });
+  await task.save();
+
+  if (task.parentTask) {
+    await rollUpTaskProgress(task.parentTask, userId, workflow);
+  }
+}
+
+/**
+ * Creates the next occurrence of a recurring task
+ * @async
+ * @function createNextOccurrence
+ * @param {Object} project - Project the task belongs to
+ * @param {Object} task - Task document of the current occurrence
+ * @returns {Promise<Object|null>} The new task, or null when the task does not repeat, was already extended or its series has ended
+ * @description The new occurrence keeps the name, description, lead time from start date to deadline, creator, assignees, watchers, priority, labels, estimate, checklist and rule, and starts in the workflow's initial status with every checklist item open
+ */
+async function createNextOccurrence(project, task) {
+  if (!task.recurrence || !task.recurrence.frequency || task.nextOccurrence) return null;
+
+  const nextDeadline = getNextOccurrenceDate(task.recurrence, task.taskDeadline);
+  if (!nextDeadline) return null;
+
+  const workflow = getProjectWorkflow(project);
+  const occurrence = new Task({
+    taskName: task.taskName,
+    taskDescription: task.taskDescription,
+    // The next occurrence keeps the same lead time between start and deadline
+    taskStartDate: task.taskStartDate
+      ? new Date(nextDeadline.getTime() - (task.taskDeadline.getTime() - task.taskStartDate.getTime()))
+      : null,
+    taskDeadline: nextDeadline,
+    taskCreator: task.taskCreator,
+    taskAssignees: task.taskAssignees,
+    taskWatchers: task.taskWatchers,
+    taskProgress: getInitialStatus(workflow),
+    parentTask: task.parentTask || null,
+    priority: task.priority,
+    labels: task.labels,
+    estimate: task.estimate,
+    checklist: (task.checklist || []).map(item => ({ text: item.text, assignee: item.assignee })),
+    recurrence: {
+      frequency: task.recurrence.frequency,
+      interval: task.recurrence.interval,
+      endDate: task.recurrence.endDate
+    }
+  });
+  const savedOccurrence = await occurrence.save();
+
+  await Project.findByIdAndUpdate(
+    project._id,
+    { $push: { projectTasks: savedOccurrence._id } }
+  );
+
+  task.nextOccurrence = savedOccurrence._id;
+  await task.save();
+
+  if (task.parentTask) {
+    await rollUpTaskProgress(task.parentTask, task.taskCreator, workflow);
+  }
+
+  return savedOccurrence;
+}
+
+/**
+ * Creates the next occurrence of every recurring task whose deadline has passed
+ * @async
+ * @function generateOverdueOccurrences
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} Number of occurrences created
+ * @description Run periodically by the server; completed tasks are extended as soon as they are completed instead
+ */
+async function generateOverdueOccurrences(now = new Date()) {
+  const dueTasks = await Task.find({
+    recurrence: { $ne: null },
+    nextOccurrence: null,
+    archivedAt: null,
+    taskDeadline: { $lt: now }
+  });
+
+  let created = 0;
+  for (const task of dueTasks || []) {
+    const project = await Project.findOne({ projectTasks: task._id });
+    if (!project) continue;
+    if (await createNextOccurrence(project, task)) created += 1;
+  }
+  return created;
+}
+
+/**
+ * Collects the IDs of every descendant of a task
+ * @async
+ * @function collectSubtaskIds
+ * @param {string} taskId - ID of the task whose subtree should be collected
+ * @returns {Promise<Array<Object>>} ObjectIds of all subtasks at any depth
+ */
+async function collectSubtaskIds(taskId) {
+  const subtasks = await Task.find({ parentTask: taskId }).select('_id');
+  const ids = [];
+  for (const subtask of subtasks) {
+    ids.push(subtask._id, ...await collectSubtaskIds(subtask._id));
+  }
+  return ids;
+}
+
+/**
+ * Ensures a status change follows the project's workflow
+ * @function assertValidTransition
+ * @param {Object} project - Project containing the task
+ * @param {Object} task - Task whose progress is changing
+ * @param {string} newProgress - Status the task is moving to
+ * @throws {Error} When the status is not in the workflow or the move is not allowed
+ */
+function assertValidTransition(project, task, newProgress) {
+  const workflow = getProjectWorkflow(project);
+  if (!findStatus(workflow, newProgress)) {
+    throw new Error('Status is not part of this project\'s workflow');
+  }
+  if (!canTransition(workflow, task.taskProgress, newProgress)) {
+    throw new Error(`Cannot move a task from "${task.taskProgress}" to "${newProgress}"`);
+  }
+}
+
+/**
+ * Ensures every task blocking the given task is completed before it moves forward
+ * @async
+ * @function assertBlockersResolved
+ * @param {Object} project - Project containing the task
+ * @param {Object} task - Task whose progress is changing
+ * @param {string} userId - ID of the user changing the progress
+ * @param {string} newProgress - Progress the task is moving to
+ * @param {boolean} [overrideBlockers=false] - Whether an administrator chose to ignore open blockers
+ * @returns {Promise<void>}
+ * @throws {Error} When a blocker is still open and no valid override was given
+ * @throws {Error} When a non-administrator attempts to override blockers
+ */
+async function assertBlockersResolved(project, task, userId, newProgress, overrideBlockers = false) {
+  const workflow = getProjectWorkflow(project);
+  if (getStatusCategory(workflow, newProgress) === 'todo' || !task.blockedBy || task.blockedBy.length === 0) return;
+
+  const openBlockers = await Task.find({
+    _id: { $in: task.blockedBy },
+    archivedAt: null,
+    taskProgress: { $nin: getStatusNamesInCategory(workflow, 'done') }
+  }).select('taskName');
+  if (!openBlockers || openBlockers.length === 0) return;
+
+  if (overrideBlockers) {
+    if (await memberHasPermission(project, userId, PERMISSIONS.OVERRIDE_DEPENDENCIES)) return;
+    throw new Error('Only project administrators can override task dependencies');
+  }
+
+  const blockerNames = openBlockers.map(blocker => blocker.taskName).join(', ');
+  throw new Error(`Task is blocked by unfinished tasks: ${blockerNames}`);
+}
+
+/**
+ * Ensures a task's checklist is finished before it moves to a done status, when the project requires it
+ * @function assertChecklistComplete
+ * @param {Object} project - Project containing the task
+ * @param {Object} task - Task whose progress is changing
+ * @param {string} newProgress - Status the task is moving to
+ * @throws {Error} When the project requires finished checklists and items are still open
+ */
+function assertChecklistComplete(project, task, newProgress) {
+  if (!project.settings || !project.settings.requireChecklistCompletion) return;
+  if (!isDoneStatus(getProjectWorkflow(project), newProgress)) return;
+
+  const openItems = (task.checklist || []).filter(item => !item.done).length;
+  if (openItems > 0) {
+    throw new Error(`Checklist has open items: ${openItems} of ${task.checklist.length} still to do`);
+  }
+}
+
+/**
+ * Checks whether making one task block another would close a dependency loop
+ * @function createsDependencyCycle
+ * @param {Map<string, Array<string>>} blockersByTask - Blocker IDs keyed by task ID
+ * @param {string} taskId - ID of the task that would become blocked
+ * @param {string} blockerTaskId - ID of the task that would block it
+ * @returns {boolean} True when the task is already (transitively) blocking the blocker
+ */
+function createsDependencyCycle(blockersByTask, taskId, blockerTaskId) {
+  const visited = new Set();
+  const stack = [blockerTaskId];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === taskId) return true;
+    if (visited.has(current)) continue;
+    visited.add(current);
+    stack.push(...(blockersByTask.get(current) || []));
+  }
+  return false;
+}
+
+/**
+ * Loads a task and verifies it may have its dependencies changed by the user
+ * @async
+ * @function findTaskForDependencyChange
+ * @param {Object} project - Project containing the task
+ * @param {string} taskId - ID of the task whose dependencies change
+ * @param {string} blockerTaskId - ID of the blocking task
+ * @param {string} userId - ID of the user making the change
+ * @returns {Promise<Object>} The task document
+ * @throws {Error} When either task is not in the project
+ * @throws {Error} When user is not authorized (not project owner, task creator or allowed to edit any task)
+ */
+async function findTaskForDependencyChange(project, taskId, blockerTaskId, userId) {
+  const projectTaskIds = project.projectTasks.map(id => id.toString());
+  if (!projectTaskIds.includes(taskId) || !projectTaskIds.includes(blockerTaskId)) {
+    throw new Error('Task not found in this project');
+  }
+
+  const task = await Task.findById(taskId);
+  if (!task) {
+    throw new Error('Task not found');
+  }
+
+  const isProjectOwner = project.projectOwner.equals(userId);
+  const isTaskCreator = task.taskCreator.equals(userId);
+  if (!isProjectOwner && !isTaskCreator && !(await memberHasPermission(project, userId, PERMISSIONS.EDIT_ANY_TASK))) {
+    throw new Error('You are not authorized to update this task');
+  }
+
+  return task;
+}
+
+/**
+ * Records that one task blocks another
+ * @async
+ * @function addTaskDependency
+ * @param {string} projectId - ID of the project containing both tasks
+ * @param {string} taskId - ID of the task that becomes blocked
+ * @param {string} blockerTaskId - ID of the task that must be completed first
+ * @param {string} userId - ID of the user adding the dependency
+ * @returns {Promise<Object>} The updated blocked task
+ * @throws {Error} When project or either task is not found
+ * @throws {Error} When user is not authorized (not project owner, task creator or allowed to edit any task)
+ * @throws {Error} When a task would block itself, the dependency exists, or it would create a cycle
+ * @description Rejects dependencies that would make tasks wait on each other
+ */
+async function addTaskDependency(projectId, taskId, blockerTaskId, userId) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  if (taskId === blockerTaskId) {
+    throw new Error('A task cannot block itself');
+  }
+
+  const task = await findTaskForDependencyChange(project, taskId, blockerTaskId, userId);
+
+  if (task.blockedBy.some(id => id.toString() === blockerTaskId)) {
+    throw new Error('Dependency already exists');
+  }
+
+  const projectTasks = await Task.find({ _id: { $in: project.projectTasks } }).select('blockedBy');
+  const blockersByTask = new Map(
+    (projectTasks || []).map(projectTask => [
+      projectTask._id.toString(),
+      (projectTask.blockedBy || []).map(id => id.toString())
+    ])
+  );
+  if (createsDependencyCycle(blockersByTask, taskId, blockerTaskId)) {
+    throw new Error('Adding this dependency would create a cycle');
+  }
+
+  task.blockedBy.push(blockerTaskId);
+  return task.save();
+}
+
+/**
+ * Removes a blocking relationship between two tasks
+ * @async
+ * @function removeTaskDependency
+ * @param {string} projectId - ID of the project containing both tasks
+ * @param {string} taskId - ID of the blocked task
+ * @param {string} blockerTaskId - ID of the blocking task to remove
+ * @param {string} userId - ID of the user removing the dependency
+ * @returns {Promise<Object>} The updated task
+ * @throws {Error} When project or either task is not found
+ * @throws {Error} When user is not authorized (not project owner, task creator or allowed to edit any task)
+ * @throws {Error} When the dependency does not exist
+ */
+async function removeTaskDependency(projectId, taskId, blockerTaskId, userId) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const task = await findTaskForDependencyChange(project, taskId, blockerTaskId, userId);
+
+  const remaining = task.blockedBy.filter(id => id.toString() !== blockerTaskId);
+  if (remaining.length === task.blockedBy.length) {
+    throw new Error('Dependency not found');
+  }
+
+  task.blockedBy = remaining;
+  return task.save();
+}
+
+/**
+ * Loads a project and one of its tasks for archiving
+ * @async
+ * @function findTaskForArchive
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @returns {Promise<Object>} The project and task documents
+ * @throws {Error} When project or task is not found, or the task is not in the project
+ */
+async function findTaskForArchive(projectId, taskId) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  if (!project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found in this project');
+  }
+
+  const task = await Task.findById(taskId);
+  if (!task || task.deletedAt) {
+    throw new Error('Task not found');
+  }
+  return { project, task };
+}
+
+/**
+ * Checks that a user may archive or unarchive a task
+ * @async
+ * @function assertCanArchiveTask
+ * @param {Object} project - Project containing the task
+ * @param {Object} task - Task being archived or unarchived
+ * @param {string} userId - ID of the user making the change
+ * @returns {Promise<void>}
+ * @throws {Error} When the user is not the project owner, the task creator or an administrator
+ */
+async function assertCanArchiveTask(project, task, userId) {
+  if (project.projectOwner.equals(userId) || task.taskCreator.equals(userId)) return;
+  if (await memberHasPermission(project, userId, PERMISSIONS.ARCHIVE_ANY_TASK)) return;
+  throw new Error('You are not authorized to archive this task');
+}
+
+/**
+ * Archives a task together with its subtasks
+ * @async
+ * @function archiveTask
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task to archive
+ * @param {string} userId - ID of the user archiving the task
+ * @returns {Promise<Object>} The archived task
+ * @throws {Error} When project or task is not found, or the task is not in the project
+ * @throws {Error} When user is not the project owner, the task creator or an administrator
+ * @throws {Error} When the task is already archived
+ * @description Archived tasks keep their history, comments, time entries and post mentions but
+ * are left out of the project's task list; subtasks share the parent's archive time so they come back together
+ */
+async function archiveTask(projectId, taskId, userId) {
+  const { project, task } = await findTaskForArchive(projectId, taskId);
+  await assertCanArchiveTask(project, task, userId);
+  if (task.archivedAt) {
+    throw new Error('Task is already archived');
+  }
+
+  const archivedAt = new Date();
+  const subtaskIds = await collectSubtaskIds(task._id);
+  if (subtaskIds.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: subtaskIds }, archivedAt: null },
+      { $set: { archivedAt, archivedBy: userId } }
+    );
+  }
+
+  task.archivedAt = archivedAt;
+  task.archivedBy = userId;
+  const savedTask = await task.save();
+
+  // The remaining siblings decide the parent's progress now
+  if (task.parentTask) {
+    await rollUpTaskProgress(task.parentTask, userId, getProjectWorkflow(project));
+  }
   return savedTask;
 }
 
 /**
- * Deletes a task from a project with authorization checks
+ * Restores an archived task and the subtasks archived with it
+ * @async
+ * @function unarchiveTask
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task to restore
+ * @param {string} userId - ID of the user restoring the task
+ * @returns {Promise<Object>} The restored task
+ * @throws {Error} When project or task is not found, or the task is not in the project
+ * @throws {Error} When user is not the project owner, the task creator or an administrator
+ * @throws {Error} When the task is not archived, or its parent task still is
+ */
+async function unarchiveTask(projectId, taskId, userId) {
+  const { project, task } = await findTaskForArchive(projectId, taskId);
+  await assertCanArchiveTask(project, task, userId);
+  if (!task.archivedAt) {
+    throw new Error('Task is not archived');
+  }
+  if (task.parentTask) {
+    const parent = await Task.findById(task.parentTask).select('archivedAt');
+    if (parent && parent.archivedAt) {
+      throw new Error('Unarchive the parent task first');
+    }
+  }
+
+  const subtaskIds = await collectSubtaskIds(task._id);
+  if (subtaskIds.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: subtaskIds }, archivedAt: task.archivedAt },
+      { $set: { archivedAt: null, archivedBy: null } }
+    );
+  }
+
+  task.archivedAt = null;
+  task.archivedBy = null;
+  const savedTask = await task.save();
+
+  if (task.parentTask) {
+    await rollUpTaskProgress(task.parentTask, userId, getProjectWorkflow(project));
+  }
+  return savedTask;
+}
+
+/**
+ * Lists the archived tasks of a project, most recently archived first
+ * @async
+ * @function getArchivedTasks
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user requesting the list
+ * @returns {Promise<Object>} The archived tasks
+ * @throws {Error} When project is not found or user is not a member
+ */
+async function getArchivedTasks(projectId, userId) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  const isMember = project.projectMembers.some(
+    member => member.user && member.user.toString() === userId
+  );
+  if (!isMember) {
+    throw new Error('You are not a member of this project');
+  }
+
+  const tasks = await Task.find({ _id: { $in: project.projectTasks }, archivedAt: { $ne: null }, deletedAt: null })
+    .select('taskName taskDeadline taskProgress taskCreator parentTask archivedAt archivedBy')
+    .populate('taskCreator', 'name email')
+    .populate('archivedBy', 'name email')
+    .sort({ archivedAt: -1 });
+
+  return { tasks: tasks || [] };
+}
+
+/**
+ * Deletes an archived task, moving it and its subtasks to the project's trash
  * @async
  * @function deleteTask
  * @param {string} projectId - ID of the project containing the task
@@ -112,8 +1021,10 @@ async function createTask(projectId, userId, taskName, taskDescription, taskDead
  * @returns {Promise<Object>} Success confirmation object
  * @throws {Error} When project or task is not found
  * @throws {Error} When task is not in the specified project
- * @throws {Error} When user is not authorized (not project owner or task creator)
- * @description Removes task from project and deletes task document with proper authorization
+ * @throws {Error} When user is not a project administrator
+ * @throws {Error} When the task is not archived
+ * @description The tasks, their time entries, history, comments and post mentions are removed for good when the trash is purged;
+ * the trash's retention period is the only wait before that happens
  */
 async function deleteTask(projectId, taskId, userId) {
   const taskObjectId = new mongoose.Types.ObjectId(taskId);
@@ -132,32 +1043,21 @@ async function deleteTask(projectId, taskId, userId) {
   }
 
   const task = await Task.findById(taskObjectId);
-  if (!task) {
+  if (!task || task.deletedAt) {
     throw new Error('Task not found');
   }
 
-  // Only the project owner or the task creator can delete a task. Will be helpful for when multiple people are invited to project.
-  const isProjectOwner = project.projectOwner.equals(userId);
-  const isTaskCreator = task.taskCreator.equals(userId);
-
-  if (!isProjectOwner && !isTaskCreator) {
-    throw new Error('You are not authorized to delete this task');
+  // Deleting is kept for administrators; everyone else archives
+  if (!await memberHasPermission(project, userId, PERMISSIONS.DELETE_TASKS)) {
+    throw new Error('Only project administrators can delete tasks permanently');
   }
-
-  // Remove task from project
-  const updateResult = await Project.updateOne(
-    { _id: projectId },
-    { $pull: { projectTasks: taskObjectId } }
-  );
-  if (updateResult.modifiedCount === 0) {
-    throw new Error('Task was not removed from project');
+  if (!task.archivedAt) {
+    throw new Error('Archive the task before deleting it permanently');
   }
 
-  // Delete task from collection
-  const deleteResult = await Task.deleteOne({ _id: taskObjectId });
-  if (deleteResult.deletedCount === 0) {
-    throw new Error('Task document not found');
-  }
+  // Subtasks go to the trash together with their parent
+  const subtaskIds = await collectSubtaskIds(taskObjectId);
+  await trashTask(task, subtaskIds, projectId, userId);
 
   return { success: true };
 }
@@ -173,17 +1073,34 @@ async function deleteTask(projectId, taskId, userId) {
  * @param {string} [updates.taskName] - New task name
  * @param {string} [updates.taskDescription] - New task description
  * @param {Date} [updates.taskDeadline] - New task deadline
+ * @param {string|null} [updates.taskStartDate] - New start date, or null to clear it
  * @param {string} [updates.taskProgress] - New task progress status
+ * @param {string} [updates.priority] - New task priority
+ * @param {Array<string>} [updates.labels] - IDs of project labels, replacing the current ones
+ * @param {number|null} [updates.estimate] - New estimate, or null to clear it
+ * @param {Object|null} [updates.recurrence] - New repeat rule, or null to stop the task repeating
+ * @param {string|null} [updates.sprint] - ID of an open sprint of the project, or null for the backlog
+ * @param {boolean} [updates.overrideBlockers] - Administrator override for open blocking tasks
  * @returns {Promise<Object>} The updated task document
- * @throws {Error} When project or task is not found
- * @throws {Error} When user is not authorized (not project owner or task creator)
- * @description Updates specified task fields with authorization validation
+ * @throws {Error} When project or task is not found, or the task is not in the project
+ * @throws {Error} When user is not authorized (not project owner, task creator or allowed to edit any task)
+ * @throws {Error} When the task is archived
+ * @throws {Error} When the new status is not in the project's workflow or the move is not allowed
+ * @throws {Error} When the task is blocked by unfinished tasks
+ * @throws {Error} When the project requires finished checklists and the task's checklist has open items
+ * @throws {Error} When the start date is invalid or falls after the deadline
+ * @throws {Error} When the priority, labels, estimate or recurrence are invalid
+ * @throws {Error} When the sprint is not an open sprint of the project
+ * @description Updates specified task fields with authorization validation and records every changed field in the task history; a status change is also added to the progress history used by analytics, and completing a recurring task creates its next occurrence
  */
 async function updateTask(projectId, taskId, userId, updates) {
   const project = await Project.findById(projectId);
   if (!project) {
     throw new Error('Project not found');
   }
+  if (!project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found in this project');
+  }
 
   const task = await Task.findById(taskId);
   if (!task) {
@@ -193,39 +1110,82 @@ async function updateTask(projectId, taskId, userId, updates) {
   // Only the project owner or the task creator can update a task
   const isProjectOwner = project.projectOwner.equals(userId);
   const isTaskCreator = task.taskCreator.equals(userId);
-  if (!isProjectOwner && !isTaskCreator) {
+  if (!isProjectOwner && !isTaskCreator && !(await memberHasPermission(project, userId, PERMISSIONS.EDIT_ANY_TASK))) {
     throw new Error('You are not authorized to update this task');
   }
+  if (task.archivedAt) {
+    throw new Error('Archived tasks cannot be changed');
+  }
+
+  const progressChanged = updates.taskProgress !== undefined && updates.taskProgress !== task.taskProgress;
+  if (progressChanged) {
+    const subtaskCount = await Task.countDocuments({ parentTask: task._id, archivedAt: null });
+    if (subtaskCount > 0) {
+      throw new Error('Progress of a task with subtasks is calculated from its subtasks');
+    }
+    assertValidTransition(project, task, updates.taskProgress);
+    await assertBlockersResolved(project, task, userId, updates.taskProgress, updates.overrideBlockers);
+    assertChecklistComplete(project, task, updates.taskProgress);
+  }
+
+  const before = snapshotTaskFields(task);
 
   // Only update provided fields
   if (updates.taskName !== undefined) task.taskName = updates.taskName;
   if (updates.taskDescription !== undefined) task.taskDescription = updates.taskDescription;
   if (updates.taskDeadline !== undefined) task.taskDeadline = updates.taskDeadline;
-  if (updates.taskProgress !== undefined) task.taskProgress = updates.taskProgress;
+  if (progressChanged) {
+    // A task entering another board column goes to the bottom until the column is reordered
+    task.boardRank = null;
+    task.taskProgress = updates.taskProgress;
+    task.progressHistory.push({
+      progress: updates.taskProgress,
+      updatedBy: userId,
+      timestamp: new Date()
+    });
+  }
+  applyTaskAttributes(project, task, updates);
+  if (updates.sprint !== undefined) {
+    task.sprint = await resolveTaskSprint(project, updates.sprint);
+  }
 
   const updatedTask = await task.save();
+  await recordTaskChanges(projectId, updatedTask, before, userId);
+
+  if (updates.taskProgress !== undefined && task.parentTask) {
+    await rollUpTaskProgress(task.parentTask, userId, getProjectWorkflow(project));
+  }
+
+  if (updates.taskProgress !== undefined && isDoneStatus(getProjectWorkflow(project), updates.taskProgress)) {
+    await createNextOccurrence(project, updatedTask);
+  }
+
   return updatedTask;
 }
 
 /**
- * Assigns a task to a specific project member
+ * Adds a project member to the assignees of a task
  * @async
  * @function assignTask
  * @param {string} projectId - ID of the project containing the task
  * @param {string} taskId - ID of the task to assign
  * @param {string} memberId - ID of the member to assign the task to
  * @param {string} userId - ID of the user making the assignment (must be project owner)
- * @returns {Promise<Object>} The updated task document with populated assignee
- * @throws {Error} When project or task is not found
- * @throws {Error} When specified member is not part of the project
- * @throws {Error} When user is not authorized (not project owner)
- * @description Assigns task to project member with owner authorization requirement
+ * @returns {Promise<Object>} The updated task document with populated assignees
+ * @throws {Error} When project or task is not found, or the task is not in the project
+ * @throws {Error} When specified member is not part of the project or is a viewer
+ * @throws {Error} When user is not authorized (not project owner or allowed to edit any task)
+ * @throws {Error} When the task is archived
+ * @description Assigns task to project member with owner authorization requirement; existing assignees keep the task and the change is recorded in the task history
  */
 async function assignTask(projectId, taskId, memberId, userId) {
   const project = await Project.findById(projectId).populate('projectMembers.user');
   if (!project) {
     throw new Error('Project not found');
   }
+  if (!project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found in this project');
+  }
 
   const task = await Task.findById(taskId);
   if (!task) {
@@ -233,26 +1193,128 @@ async function assignTask(projectId, taskId, memberId, userId) {
   }
 
   // Check if memberId is in projectMembers array (by user._id)
-  const isMember = project.projectMembers.some(member =>
-    member.user && member.user._id.equals(memberId)
+  const member = project.projectMembers.find(m =>
+    m.user && m.user._id.equals(memberId)
   );
-  if (!isMember) {
+  if (!member) {
     throw new Error('Member is not part of this project');
   }
+  if (member.role && !hasPermission(await getMemberRole(member), PERMISSIONS.WORK_ON_TASKS)) {
+    throw new Error('Viewers cannot be assigned to tasks');
+  }
 
-  // Only project owner can assign task
-  if (!project.projectOwner.equals(userId)) {
+  // Only the project owner or members allowed to edit any task can assign it
+  if (!project.projectOwner.equals(userId) && !(await memberHasPermission(project, userId, PERMISSIONS.EDIT_ANY_TASK))) {
     throw new Error('You are not authorized to update this task');
   }
+  if (task.archivedAt) {
+    throw new Error('Archived tasks cannot be changed');
+  }
 
-  task.taskAssignee = memberId;
+  const before = snapshotTaskFields(task, ['taskAssignees']);
+  const assignees = task.taskAssignees || [];
+  if (!assignees.some(id => id.toString() === memberId.toString())) {
+    task.taskAssignees = [...assignees, memberId];
+  }
   await task.save();
+  await recordTaskChanges(projectId, task, before, userId);
 
-  const assignedTask = await Task.findById(task._id).populate('taskAssignee', 'name email');
+  const assignedTask = await Task.findById(task._id).populate('taskAssignees', 'name email');
 
   return assignedTask;
 }
 
+/**
+ * Replaces the assignees of a task
+ * @async
+ * @function updateTaskAssignees
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task to assign
+ * @param {Array<string>} memberIds - IDs of every member who should own the task; empty to unassign it
+ * @param {string} userId - ID of the user making the assignment (must be project owner)
+ * @returns {Promise<Object>} The updated task document with populated assignees
+ * @throws {Error} When the member IDs are not a list
+ * @throws {Error} When project or task is not found, or the task is not in the project
+ * @throws {Error} When user is not authorized (not project owner or allowed to edit any task)
+ * @throws {Error} When an assignee is not part of the project or is a viewer
+ */
+async function updateTaskAssignees(projectId, taskId, memberIds, userId) {
+  if (!Array.isArray(memberIds)) {
+    throw new Error('Assignees must be a list of member IDs');
+  }
+
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  if (!project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found in this project');
+  }
+  if (!project.projectOwner.equals(userId) && !(await memberHasPermission(project, userId, PERMISSIONS.EDIT_ANY_TASK))) {
+    throw new Error('You are not authorized to update this task');
+  }
+
+  const assigneeIds = [...new Set(memberIds.map(String))];
+  for (const memberId of assigneeIds) {
+    const member = project.projectMembers.find(m => m.user.toString() === memberId);
+    if (!member) {
+      throw new Error('Member is not part of this project');
+    }
+    if (member.role && !hasPermission(await getMemberRole(member), PERMISSIONS.WORK_ON_TASKS)) {
+      throw new Error('Viewers cannot be assigned to tasks');
+    }
+  }
+
+  const task = await Task.findById(taskId);
+  if (!task) {
+    throw new Error('Task not found');
+  }
+
+  const before = snapshotTaskFields(task, ['taskAssignees']);
+  task.taskAssignees = assigneeIds;
+  await task.save();
+  await recordTaskChanges(projectId, task, before, userId);
+
+  return await Task.findById(task._id).populate('taskAssignees', 'name email');
+}
+
+/**
+ * Adds or removes the current user from the watchers of a task
+ * @async
+ * @function setTaskWatching
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task to watch
+ * @param {string} userId - ID of the member watching or unwatching
+ * @param {boolean} watching - True to watch the task, false to stop watching it
+ * @returns {Promise<Object>} The updated task document with populated watchers
+ * @throws {Error} When project or task is not found
+ * @throws {Error} When user is not a project member
+ * @description Any member, including viewers, may follow a task they do not own
+ */
+async function setTaskWatching(projectId, taskId, userId, watching) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  if (!project.projectMembers.some(member => member.user.toString() === userId)) {
+    throw new Error('You are not a member of this project');
+  }
+  if (!project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found');
+  }
+
+  const update = watching
+    ? { $addToSet: { taskWatchers: userId } }
+    : { $pull: { taskWatchers: userId } };
+  const task = await Task.findByIdAndUpdate(taskId, update, { new: true })
+    .populate('taskWatchers', 'name email');
+  if (!task) {
+    throw new Error('Task not found');
+  }
+
+  return task;
+}
+
 /**
  * Updates the progress status of a task with history tracking
  * @async
@@ -261,25 +1323,50 @@ async function assignTask(projectId, taskId, memberId, userId) {
  * @param {string} taskId - ID of the task to update progress for
  * @param {string} userId - ID of the user updating progress
  * @param {string} newProgress - New progress status for the task
+ * @param {boolean} [overrideBlockers=false] - Administrator override for open blocking tasks
  * @returns {Promise<Object>} The updated task document
- * @throws {Error} When project or task is not found
- * @throws {Error} When user is not authorized (not project owner or task assignee)
- * @description Updates task progress and maintains history with timestamp and user tracking
+ * @throws {Error} When project or task is not found, or the task is not in the project
+ * @throws {Error} When user is not authorized (not project owner, one of the task assignees or allowed to edit any task)
+ * @throws {Error} When the task is archived
+ * @throws {Error} When the task has subtasks (its progress is derived from them)
+ * @throws {Error} When the new status is not in the project's workflow or the move is not allowed
+ * @throws {Error} When the task is blocked by unfinished tasks and not overridden by an administrator
+ * @throws {Error} When the project requires finished checklists and the task's checklist has open items
+ * @description Updates task progress, maintains history with timestamp and user tracking, records the change in the task history, rolls the change up to parent tasks and creates the next occurrence of a completed recurring task
  */
-async function editTaskProgress(projectId, taskId, userId, newProgress) {
+async function editTaskProgress(projectId, taskId, userId, newProgress, overrideBlockers = false) {
   const project = await Project.findById(projectId).populate('projectMembers.user');
   if (!project) throw new Error('Project not found');
+  if (!project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found in this project');
+  }
 
   const task = await Task.findById(taskId);
   if (!task) throw new Error('Task not found');
 
   const isProjectOwner = project.projectOwner.equals(userId);
-  const isTaskAssignee = task.taskAssignee && task.taskAssignee.equals(userId);
+  const isTaskAssignee = (task.taskAssignees || []).some(assignee => assignee.equals(userId));
 
-  if (!isProjectOwner && !isTaskAssignee) {
+  if (!isProjectOwner && !isTaskAssignee && !(await memberHasPermission(project, userId, PERMISSIONS.EDIT_ANY_TASK))) {
     throw new Error('Only the project owner or assigned member can update task progress');
   }
+  if (task.archivedAt) {
+    throw new Error('Archived tasks cannot be changed');
+  }
+
+  const subtaskCount = await Task.countDocuments({ parentTask: task._id, archivedAt: null });
+  if (subtaskCount > 0) {
+    throw new Error('Progress of a task with subtasks is calculated from its subtasks');
+  }
 
+  assertValidTransition(project, task, newProgress);
+  await assertBlockersResolved(project, task, userId, newProgress, overrideBlockers);
+  assertChecklistComplete(project, task, newProgress);
+
+  const before = snapshotTaskFields(task, ['taskProgress']);
+  if (newProgress !== task.taskProgress) {
+    task.boardRank = null;
+  }
   task.taskProgress = newProgress;
 
   task.progressHistory.push({
@@ -289,22 +1376,39 @@ async function editTaskProgress(projectId, taskId, userId, newProgress) {
   });
 
   const savedTask = await task.save();
+  await recordTaskChanges(projectId, savedTask, before, userId);
+
+  if (task.parentTask) {
+    await rollUpTaskProgress(task.parentTask, userId, getProjectWorkflow(project));
+  }
+
+  if (isDoneStatus(getProjectWorkflow(project), newProgress)) {
+    await createNextOccurrence(project, savedTask);
+  }
+
   return savedTask;
 }
 
 /**
- * Generates a secure invite link for project membership
+ * Creates a new named invite link for project membership
  * @async
  * @function generateInviteLink
  * @param {string} projectId - ID of the project to generate invite for
  * @param {string} userId - ID of the user generating the invite (must be admin)
- * @returns {Promise<Object>} Object containing the invite token
+ * @param {Object} [options={}] - Link settings
+ * @param {string} [options.name] - Label shown in the invite link list
+ * @param {string} [options.role='viewer'] - Role granted on join: 'developer' or 'viewer'
+ * @param {string|Date} [options.expiresAt] - When the link stops working
+ * @param {number} [options.maxUses] - How many people may join with the link
+ * @returns {Promise<Object>} Summary of the new link including its token
  * @throws {Error} When project is not found
  * @throws {Error} When user is not a project member
  * @throws {Error} When user is not an administrator
- * @description Creates or returns existing invite link with secure token generation
+ * @throws {Error} When joining by link is disabled for the project
+ * @throws {Error} When the link settings are invalid
+ * @description Each call creates a separate link with a secure token so links can be revoked one by one
  */
-async function generateInviteLink(projectId, userId) {
+async function generateInviteLink(projectId, userId, options = {}) {
   const project = await Project.findById(projectId).populate('projectMembers.role');
   if (!project) {
     throw new Error('Project not found');
@@ -318,16 +1422,24 @@ async function generateInviteLink(projectId, userId) {
     throw new Error('You are not a member of this project');
   }
 
-  // Check if user has administrator role (project manager)
   const userRole = await Role.findById(userMember.role);
-  if (!userRole || userRole.roleName !== 'administrator') {
+  if (!hasPermission(userRole, PERMISSIONS.MANAGE_MEMBERS)) {
     throw new Error('Only project administrators can generate invite links');
   }
 
-  // Check if there's already an existing invite link for this project
-  const existingInviteLink = await InviteLink.findOne({ projectId });
-  if (existingInviteLink) {
-    return { token: existingInviteLink.token };
+  if (project.settings && project.settings.joinByLinkEnabled === false) {
+    throw new Error('Joining by invite link is disabled for this project');
+  }
+
+  const { name, roleName, expiresAt, maxUses } = normalizeInviteLinkOptions(options);
+
+  // Viewer links leave the role unset, the same as links made before roles could be chosen
+  let role = null;
+  if (roleName !== 'viewer') {
+    role = await Role.findOne({ roleName });
+    if (!role) {
+      throw new Error('Role not found');
+    }
   }
 
   // Generate a secure random token
@@ -337,12 +1449,16 @@ async function generateInviteLink(projectId, userId) {
   const inviteLink = new InviteLink({
     projectId,
     token,
-    createdBy: userId
+    createdBy: userId,
+    name,
+    role: role ? role._id : null,
+    expiresAt,
+    maxUses
   });
 
   const savedInviteLink = await inviteLink.save();
 
-  return { token: savedInviteLink.token };
+  return formatInviteLink(savedInviteLink, roleName);
 }
 
 /**
@@ -351,12 +1467,16 @@ async function generateInviteLink(projectId, userId) {
  * @function joinProjectViaInvite
  * @param {string} token - Invite token for the project
  * @param {string} userId - ID of the user joining the project
- * @returns {Promise<Object>} Object containing the project ID
- * @throws {Error} When invite link is invalid or expired
+ * @returns {Promise<Object>} Object containing the project ID and the status: 'joined', or 'pending' when
+ * the project requires approval
+ * @throws {Error} When invite link is invalid
+ * @throws {Error} When invite link was revoked, has expired or reached its usage limit
  * @throws {Error} When project is not found
  * @throws {Error} When user is already a project member
- * @throws {Error} When viewer role is not found
- * @description Validates invite token and adds user as viewer to project and user's project list
+ * @throws {Error} When the role granted by the link is not found
+ * @throws {Error} When the project requires approval and the user's request was declined
+ * @description Validates invite token, counts the use and adds user to the project with the link's role,
+ * or records a join request for an administrator to review when the project requires approval
  */
 async function joinProjectViaInvite(token, userId) {
   // Find the invite link by token
@@ -364,6 +1484,7 @@ async function joinProjectViaInvite(token, userId) {
   if (!inviteLink) {
     throw new Error('Invalid or expired invite link');
   }
+  assertInviteLinkUsable(inviteLink);
 
   // Get the project
   const project = await Project.findById(inviteLink.projectId);
@@ -379,15 +1500,24 @@ async function joinProjectViaInvite(token, userId) {
     throw new Error('You are already a member of this project');
   }
 
-  const viewerRole = await Role.findOne({ roleName: 'viewer' });
-  if (!viewerRole) {
+  if (project.settings && project.settings.requireJoinApproval) {
+    return requestToJoin(project, inviteLink, userId);
+  }
+
+  // Links without a role grant the viewer role
+  const role = inviteLink.role
+    ? await Role.findById(inviteLink.role)
+    : await Role.findOne({ roleName: 'viewer' });
+  if (!role) {
     throw new Error('Role not found');
   }
 
+  await claimInviteLinkUse(inviteLink);
+
   // Add user to project members
   project.projectMembers.push({
     user: userId,
-    role: viewerRole._id
+    role: role._id
   });
   await project.save();
 
@@ -397,7 +1527,7 @@ async function joinProjectViaInvite(token, userId) {
     { $push: { userProjects: project._id } }
   );
 
-  return { projectId: project._id };
+  return { projectId: project._id, status: 'joined' };
 }
 
 /**
@@ -405,20 +1535,24 @@ async function joinProjectViaInvite(token, userId) {
  * @async
  * @function getProjectDetailsFromInvite
  * @param {string} token - Invite token for the project
- * @returns {Promise<Object>} Object containing project name, description, and inviter info
- * @throws {Error} When invite link is invalid or expired
+ * @param {string} [userId] - ID of the user looking at the invite, to show their join request
+ * @returns {Promise<Object>} Object containing project name, description, inviter info, the role granted on join,
+ * whether joining needs approval and the user's pending or rejected join request
+ * @throws {Error} When invite link is invalid
+ * @throws {Error} When invite link was revoked, has expired or reached its usage limit
  * @throws {Error} When project is not found
  * @description Allows users to preview project details before joining via invite link
  */
-async function getProjectDetailsFromInvite(token) {
+async function getProjectDetailsFromInvite(token, userId) {
   // Find the invite link by token
   const inviteLink = await InviteLink.findOne({ token })
     .populate('createdBy', 'name email')
-    .populate('projectId', 'projectName projectDescription');
+    .populate('projectId', 'projectName projectDescription settings');
   
   if (!inviteLink) {
     throw new Error('Invalid or expired invite link');
   }
+  assertInviteLinkUsable(inviteLink);
 
   // Get the project details
   const project = inviteLink.projectId;
@@ -426,10 +1560,20 @@ async function getProjectDetailsFromInvite(token) {
     throw new Error('Project not found');
   }
 
+  const role = inviteLink.role ? await Role.findById(inviteLink.role) : null;
+
+  const requiresApproval = !!(project.settings && project.settings.requireJoinApproval);
+  const joinRequest = requiresApproval && userId ? await findOpenJoinRequest(project._id, userId) : null;
+
   return {
     projectName: project.projectName,
     projectDescription: project.projectDescription,
-    invitedBy: inviteLink.createdBy.name
+    invitedBy: inviteLink.createdBy.name,
+    role: role ? role.roleName : 'viewer',
+    requiresApproval,
+    joinRequest: joinRequest
+      ? { status: joinRequest.status, reason: joinRequest.reason, createdAt: joinRequest.createdAt }
+      : null
   };
 }
 
@@ -452,9 +1596,9 @@ async function removeMemberFromProject(projectId, userId, targetUserId) {
   const project = await Project.findById(projectId).populate('projectMembers.user').populate('projectMembers.role');
   if (!project) throw new Error('Project not found');
 
-  // Check if requester is an admin
+  // Check if requester may manage members
   const requester = project.projectMembers.find(
-    (member) => member.user._id.toString() === userId && member.role.roleName === 'administrator'
+    (member) => member.user._id.toString() === userId && hasPermission(member.role, PERMISSIONS.MANAGE_MEMBERS)
   );
   if (!requester) throw new Error('Only project administrators can remove members');
 
@@ -471,16 +1615,19 @@ async function removeMemberFromProject(projectId, userId, targetUserId) {
 
   // Check if this would leave the project without any administrators
   const adminCount = project.projectMembers.filter(
-    member => member.role.roleName === 'administrator'
+    member => isAdministratorRole(member.role)
   ).length;
   
   const targetMember = project.projectMembers[targetIndex];
-  if (targetMember.role.roleName === 'administrator' && adminCount <= 1) {
+  if (isAdministratorRole(targetMember.role) && adminCount <= 1) {
     throw new Error('Cannot remove the last administrator from the project');
   }
 
-  // Remove from project
+  // Remove from project, along with an ownership transfer waiting on them
   project.projectMembers.splice(targetIndex, 1);
+  if (isPendingOwner(project, targetUserId)) {
+    clearPendingOwnershipTransfer(project);
+  }
   await project.save();
 
   // Remove project from user's userProjects
@@ -510,9 +1657,8 @@ async function updateProjectDetails(projectId, userId, updateData) {
   const project = await Project.findById(projectId).populate('projectMembers.role');
   if (!project) throw new Error('Project not found');
 
-  // Check if user is an admin
   const userMember = project.projectMembers.find(
-    member => member.user.toString() === userId && member.role.roleName === 'administrator'
+    member => member.user.toString() === userId && hasPermission(member.role, PERMISSIONS.MANAGE_PROJECT)
   );
   if (!userMember) throw new Error('Only project administrators can update project details');
 
@@ -533,18 +1679,22 @@ async function updateProjectDetails(projectId, userId, updateData) {
  * @param {Object} settings - Settings object to update
  * @param {boolean} [settings.joinByLinkEnabled] - Whether invite links are enabled
  * @param {boolean} [settings.pdfGenerationEnabled] - Whether PDF generation is enabled
+ * @param {string} [settings.estimateUnit] - Unit task estimates are in ('points' or 'hours')
+ * @param {boolean} [settings.requireChecklistCompletion] - Whether open checklist items stop a task from being completed
+ * @param {boolean} [settings.requireJoinApproval] - Whether people following an invite link wait for approval
+ * @param {number} [settings.trashRetentionDays] - Days deleted items stay in the trash before they are purged
  * @returns {Promise<Object>} The updated project document
  * @throws {Error} When project is not found
  * @throws {Error} When user is not an administrator
+ * @throws {Error} When the estimate unit is not supported
  * @description Updates project settings and automatically manages invite links based on configuration
  */
 async function updateProjectSettings(projectId, userId, settings) {
   const project = await Project.findById(projectId).populate('projectMembers.role');
   if (!project) throw new Error('Project not found');
 
-  // Check if user is an admin
   const userMember = project.projectMembers.find(
-    member => member.user.toString() === userId && member.role.roleName === 'administrator'
+    member => member.user.toString() === userId && hasPermission(member.role, PERMISSIONS.MANAGE_PROJECT)
   );
   if (!userMember) throw new Error('Only project administrators can update project settings');
 
@@ -570,10 +1720,170 @@ async function updateProjectSettings(projectId, userId, settings) {
     project.settings.pdfGenerationEnabled = settings.pdfGenerationEnabled;
   }
 
+  if (settings.estimateUnit !== undefined) {
+    if (!ESTIMATE_UNITS.includes(settings.estimateUnit)) {
+      throw new Error('Invalid estimate unit');
+    }
+    project.settings.estimateUnit = settings.estimateUnit;
+  }
+
+  if (settings.requireChecklistCompletion !== undefined) {
+    project.settings.requireChecklistCompletion = !!settings.requireChecklistCompletion;
+  }
+
+  if (settings.requireJoinApproval !== undefined) {
+    project.settings.requireJoinApproval = !!settings.requireJoinApproval;
+  }
+
+  if (settings.trashRetentionDays !== undefined) {
+    const days = Number(settings.trashRetentionDays);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      throw new Error('Trash retention must be a whole number of days between 1 and 365');
+    }
+    project.settings.trashRetentionDays = days;
+  }
+
   await project.save();
   return project;
 }
 
+/**
+ * Moves a project's tasks and their progress history from one status name to another
+ * @async
+ * @function renameTaskStatus
+ * @param {Array<string>} taskIds - IDs of the project's tasks
+ * @param {string} previousName - Status name to replace
+ * @param {string} name - New status name
+ * @returns {Promise<void>}
+ */
+async function renameTaskStatus(taskIds, previousName, name) {
+  await Task.updateMany(
+    { _id: { $in: taskIds }, taskProgress: previousName },
+    { $set: { taskProgress: name } }
+  );
+  // Analytics replay the progress history, so past entries follow the rename too
+  await Task.updateMany(
+    { _id: { $in: taskIds }, 'progressHistory.progress': previousName },
+    { $set: { 'progressHistory.$[entry].progress': name } },
+    { arrayFilters: [{ 'entry.progress': previousName }] }
+  );
+}
+
+/**
+ * Replaces the task workflow of a project
+ * @async
+ * @function updateProjectWorkflow
+ * @param {string} projectId - ID of the project to update
+ * @param {string} userId - ID of the user requesting the update (must be admin)
+ * @param {Array<Object>} workflow - Ordered statuses with name, category, color and transitions
+ * @param {string} [workflow[].previousName] - Former name of a renamed status
+ * @returns {Promise<Array<Object>>} The saved workflow
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not an administrator
+ * @throws {Error} When the workflow is invalid or removes a status that tasks still use
+ * @description Renamed statuses are carried over to the project's tasks and their progress history;
+ * statuses may swap names in one update
+ */
+async function updateProjectWorkflow(projectId, userId, workflow) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) throw new Error('Project not found');
+
+  const userMember = project.projectMembers.find(
+    member => member.user.toString() === userId && hasPermission(member.role, PERMISSIONS.MANAGE_PROJECT)
+  );
+  if (!userMember) throw new Error('Only project administrators can update the workflow');
+
+  const statuses = normalizeWorkflow(workflow);
+  const newNames = statuses.map(status => status.name);
+
+  // Map old status names to new ones for statuses the client renamed
+  const renames = new Map();
+  workflow.forEach((status, index) => {
+    if (status.previousName && status.previousName !== statuses[index].name) {
+      renames.set(status.previousName, statuses[index].name);
+    }
+  });
+
+  const removedNames = getProjectWorkflow(project)
+    .map(status => status.name)
+    .filter(name => !newNames.includes(name) && !renames.has(name));
+  if (removedNames.length > 0) {
+    const tasksInRemovedStatuses = await Task.countDocuments({
+      _id: { $in: project.projectTasks },
+      taskProgress: { $in: removedNames }
+    });
+    if (tasksInRemovedStatuses > 0) {
+      throw new Error('Invalid workflow: move tasks out of a status before removing it');
+    }
+  }
+
+  // A status renamed to another renamed status's old name (a swap or a chain) goes through a
+  // temporary name first, so its tasks are not caught up in the other rename
+  const firstSteps = [];
+  const finalSteps = [];
+  for (const [previousName, name] of renames) {
+    if (renames.has(name)) {
+      const temporaryName = `rename-${new mongoose.Types.ObjectId()}`;
+      firstSteps.push([previousName, temporaryName]);
+      finalSteps.push([temporaryName, name]);
+    } else {
+      firstSteps.push([previousName, name]);
+    }
+  }
+  for (const [from, to] of [...firstSteps, ...finalSteps]) {
+    await renameTaskStatus(project.projectTasks, from, to);
+  }
+
+  project.workflow = statuses;
+  await project.save();
+  return getProjectWorkflow(project);
+}
+
+/**
+ * Replaces the task labels of a project
+ * @async
+ * @function updateProjectLabels
+ * @param {string} projectId - ID of the project to update
+ * @param {string} userId - ID of the user requesting the update (administrator or developer)
+ * @param {Array<Object>} labels - Labels with name and color; existing labels keep their _id
+ * @returns {Promise<Array<Object>>} The saved labels
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member or is a viewer
+ * @throws {Error} When the labels are invalid
+ * @description Labels left out of the list are removed from the project's tasks
+ */
+async function updateProjectLabels(projectId, userId, labels) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) throw new Error('Project not found');
+
+  const userMember = project.projectMembers.find(
+    member => member.user.toString() === userId
+  );
+  if (!userMember) throw new Error('You are not a member of this project');
+  if (!hasPermission(userMember.role, PERMISSIONS.MANAGE_LABELS)) {
+    throw new Error('Viewers are not authorized to manage labels');
+  }
+
+  const normalized = normalizeLabels(labels);
+  const existingIds = project.labels.map(label => label._id.toString());
+  if (normalized.some(label => label._id && !existingIds.includes(String(label._id)))) {
+    throw new Error('Invalid labels: unknown label');
+  }
+
+  const keptIds = normalized.filter(label => label._id).map(label => String(label._id));
+  const removedIds = existingIds.filter(id => !keptIds.includes(id));
+  if (removedIds.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: project.projectTasks } },
+      { $pull: { labels: { $in: removedIds } } }
+    );
+  }
+
+  project.labels = normalized;
+  await project.save();
+  return project.labels;
+}
+
 /**
  * Allows a user to leave a project with admin delegation checks
  * @async
@@ -606,7 +1916,7 @@ async function leaveProject(projectId, userId) {
   const userRole = await Role.findById(userMember.role);
 
   // If user is an admin, check if they are the last admin
-  if (userRole && userRole.roleName === 'administrator') {
+  if (isAdministratorRole(userRole)) {
     const adminCount = project.projectMembers.filter(member => 
       member.role.toString() === userRole._id.toString()
     ).length;
@@ -616,8 +1926,11 @@ async function leaveProject(projectId, userId) {
     }
   }
 
-  // Remove user from project
+  // Remove user from project, along with an ownership transfer waiting on them
   project.projectMembers.splice(memberIndex, 1);
+  if (isPendingOwner(project, userId)) {
+    clearPendingOwnershipTransfer(project);
+  }
   await project.save();
 
   // Remove project from user's userProjects
@@ -639,23 +1952,36 @@ async function leaveProject(projectId, userId) {
  * @returns {Promise<Object>} Success confirmation object
  * @throws {Error} When project is not found
  * @throws {Error} When user is not an administrator
- * @description Cascades deletion to tasks, invite links, and user associations
+ * @description Cascades deletion to everything in the trash, tasks and their time entries, history and comments, invite links, and user associations
  */
 async function deleteProject(projectId, userId) {
   const project = await Project.findById(projectId).populate('projectMembers.role');
   if (!project) throw new Error('Project not found');
 
-  // Check if user is an admin
   const userMember = project.projectMembers.find(
-    member => member.user.toString() === userId && member.role.roleName === 'administrator'
+    member => member.user.toString() === userId && hasPermission(member.role, PERMISSIONS.DELETE_PROJECT)
   );
   if (!userMember) throw new Error('Only project administrators can delete projects');
 
-  // Delete all associated tasks
+  // Empty the trash first so trashed posts, comments and tasks go with their entries
+  await emptyTrash(projectId);
+
+  // Delete all associated tasks with the time logged on them and their history, and the project's sprints
   await Task.deleteMany({ _id: { $in: project.projectTasks } });
+  await TimeEntry.deleteMany({ project: projectId });
+  await TaskHistory.deleteMany({ project: projectId });
+  await Sprint.deleteMany({ project: projectId });
+  await deleteCommentsForTasks(project.projectTasks);
+
+  // Task templates only work inside their project; project templates stay with their creator
+  await Template.deleteMany({ project: projectId, kind: 'task' });
 
-  // Delete invite links
+  // Delete invite links, join requests and email invitations
   await InviteLink.deleteMany({ projectId });
+  await JoinRequest.deleteMany({ projectId });
+  await ProjectInvitation.deleteMany({ projectId });
+  await ProjectActivity.deleteMany({ project: projectId });
+  await Role.deleteMany({ project: projectId });
 
   // Remove project from all users' userProjects
   const memberIds = project.projectMembers.map(member => member.user);
@@ -685,9 +2011,8 @@ async function disableProjectInviteLinks(projectId, userId) {
   const project = await Project.findById(projectId).populate('projectMembers.role');
   if (!project) throw new Error('Project not found');
 
-  // Check if user is an admin
   const userMember = project.projectMembers.find(
-    member => member.user.toString() === userId && member.role.roleName === 'administrator'
+    member => member.user.toString() === userId && hasPermission(member.role, PERMISSIONS.MANAGE_MEMBERS)
   );
   if (!userMember) throw new Error('Only project administrators can manage invite links');
 
@@ -702,10 +2027,20 @@ async function disableProjectInviteLinks(projectId, userId) {
 
 module.exports = {
   createProject,
+  cloneProject,
   createTask,
+  getSubtasks,
+  addTaskDependency,
+  removeTaskDependency,
+  archiveTask,
+  unarchiveTask,
+  getArchivedTasks,
   deleteTask,
   updateTask,
+  generateOverdueOccurrences,
   assignTask,
+  updateTaskAssignees,
+  setTaskWatching,
   generateInviteLink,
   editTaskProgress,
   joinProjectViaInvite,
@@ -713,6 +2048,8 @@ module.exports = {
   removeMemberFromProject,
   updateProjectDetails,
   updateProjectSettings,
+  updateProjectWorkflow,
+  updateProjectLabels,
   leaveProject,
   deleteProject,
   disableProjectInviteLinks
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Helpers for recurring task rules and occurrence dates
+ * @module services/recurrenceService
+ */
+
+/**
+ * How often a recurring task repeats
+ * @constant {Array<string>}
+ */
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Validates a recurrence rule, treating empty values as "does not repeat"
+ * @function normalizeRecurrence
+ * @param {Object|null} recurrence - Requested recurrence rule
+ * @param {string} recurrence.frequency - One of RECURRENCE_FREQUENCIES
+ * @param {number} [recurrence.interval=1] - Repeat every N days, weeks or months
+ * @param {string|Date|null} [recurrence.endDate] - Last date an occurrence may fall on
+ * @returns {Object|null} The normalised rule, or null when the task should not repeat
+ * @throws {Error} When the frequency, interval or end date is invalid
+ */
+function normalizeRecurrence(recurrence) {
+  if (recurrence === null || recurrence === '' || (recurrence && !recurrence.frequency)) {
+    return null;
+  }
+  if (typeof recurrence !== 'object' || !RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+    throw new Error('Invalid recurrence: frequency must be daily, weekly or monthly');
+  }
+
+  const interval = recurrence.interval === undefined || recurrence.interval === '' ? 1 : Number(recurrence.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('Invalid recurrence: interval must be a positive whole number');
+  }
+
+  let endDate = null;
+  if (recurrence.endDate) {
+    endDate = new Date(recurrence.endDate);
+    if (isNaN(endDate)) {
+      throw new Error('Invalid recurrence: end date is not a valid date');
+    }
+  }
+
+  return { frequency: recurrence.frequency, interval, endDate };
+}
+
+/**
+ * Moves a date forward by a number of recurrence steps
+ * @function addRecurrenceSteps
+ * @param {Date} date - Deadline of the first occurrence
+ * @param {Object} recurrence - Recurrence rule
+ * @param {number} steps - Number of occurrences to move forward
+ * @returns {Date} The deadline of the later occurrence
+ * @description Monthly steps keep the original day of the month, clamped to shorter months
+ */
+function addRecurrenceSteps(date, recurrence, steps) {
+  const result = new Date(date);
+  const count = recurrence.interval * steps;
+
+  if (recurrence.frequency === 'daily') {
+    result.setUTCDate(result.getUTCDate() + count);
+  } else if (recurrence.frequency === 'weekly') {
+    result.setUTCDate(result.getUTCDate() + count * 7);
+  } else {
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + count);
+    const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, daysInMonth));
+  }
+  return result;
+}
+
+/**
+ * Finds the deadline of the next occurrence of a recurring task
+ * @function getNextOccurrenceDate
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Date} deadline - Deadline of the current occurrence
+ * @param {Date} [after=new Date()] - The next occurrence must fall after this date
+ * @returns {Date|null} The next deadline, or null when the series has ended
+ * @description Occurrences missed while a task was overdue are skipped rather than created in the past
+ */
+function getNextOccurrenceDate(recurrence, deadline, after = new Date()) {
+  const earliest = Math.max(new Date(deadline).getTime(), new Date(after).getTime());
+
+  let steps = 1;
+  let next = addRecurrenceSteps(deadline, recurrence, steps);
+  while (next.getTime() <= earliest) {
+    steps += 1;
+    next = addRecurrenceSteps(deadline, recurrence, steps);
+  }
+
+  if (recurrence.endDate && next > new Date(recurrence.endDate)) {
+    return null;
+  }
+  return next;
+}
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  normalizeRecurrence,
+  addRecurrenceSteps,
+  getNextOccurrenceDate
+};
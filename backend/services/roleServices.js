@@ -3,8 +3,26 @@
  * @module services/roleServices
  */
 
+const mongoose = require('mongoose');
 const Role = require('../models/roles');
 const Project = require('../models/project');
+const {
+  PERMISSIONS,
+  PERMISSION_CATALOG,
+  BUILT_IN_ROLE_NAMES,
+  isBuiltInRole,
+  isAdministratorRole,
+  getRolePermissions,
+  hasPermission,
+  findProjectMember,
+  getMemberRole
+} = require('./authorizationService');
+
+/**
+ * Longest name a custom role may have
+ * @constant {number}
+ */
+const MAX_ROLE_NAME_LENGTH = 40;
 
 /**
  * Seeds the database with default system roles
@@ -14,34 +32,49 @@ const Project = require('../models/project');
  * @description Creates default roles (administrator, developer, viewer) if they don't exist
  */
 async function seedDefaultRoles() {
-  const defaultRoles = ['administrator', 'developer', 'viewer'];
-
-  for (const roleName of defaultRoles) {
-    const exists = await Role.findOne({ roleName });
+  for (const roleName of BUILT_IN_ROLE_NAMES) {
+    const exists = await Role.findOne({ roleName, project: null });
     if (!exists) {
       await Role.create({ roleName });
     }
   }
 }
 
+/**
+ * Finds a role that can be given to a member of a project
+ * @async
+ * @function findAssignableRole
+ * @param {string} projectId - ID of the project
+ * @param {string} role - Name of a built-in role, or ID of one of the project's custom roles
+ * @returns {Promise<Object|null>} The role document, or null when no such role exists
+ */
+async function findAssignableRole(projectId, role) {
+  if (BUILT_IN_ROLE_NAMES.includes(role)) {
+    return Role.findOne({ roleName: role });
+  }
+  return Role.findOne({ _id: role, project: projectId });
+}
+
 /**
  * Assigns a role to a project member with admin authorization and validation
  * @async
  * @function assignRole
  * @param {string} projectId - ID of the project containing the member
  * @param {string} memberId - ID of the member to assign role to
- * @param {string} userId - ID of the user making the assignment (must be admin)
- * @param {string} roleName - Name of the role to assign
+ * @param {string} userId - ID of the user making the assignment (must be allowed to manage members)
+ * @param {string} role - Name of a built-in role, or ID of one of the project's custom roles
  * @returns {Promise<Object>} Updated project document with populated members and roles
  * @throws {Error} When project is not found
  * @throws {Error} When requesting user is not a project member
- * @throws {Error} When requesting user is not an administrator
+ * @throws {Error} When requesting user may not manage members
  * @throws {Error} When target member is not found
+ * @throws {Error} When a non-administrator grants or takes away the administrator role
  * @throws {Error} When trying to demote the last administrator
  * @throws {Error} When specified role is not found
+ * @throws {Error} When a custom role holds permissions the requesting user's role does not
  * @description Manages role assignments with validation to maintain at least one administrator
  */
-async function assignRole(projectId, memberId, userId, roleName) {
+async function assignRole(projectId, memberId, userId, role) {
   const project = await Project.findById(projectId).populate('projectMembers.role');
   if (!project) throw new Error('Project not found');
 
@@ -49,7 +82,7 @@ async function assignRole(projectId, memberId, userId, roleName) {
   const requestingMember = project.projectMembers.find(m => m.user.toString() === userId);
   if (!requestingMember) throw new Error('You are not a member of this project');
   const requestingRole = await Role.findById(requestingMember.role);
-  if (!requestingRole || requestingRole.roleName !== 'administrator') {
+  if (!hasPermission(requestingRole, PERMISSIONS.MANAGE_MEMBERS)) {
     throw new Error('Only administrators can assign roles');
   }
 
@@ -60,7 +93,10 @@ async function assignRole(projectId, memberId, userId, roleName) {
   // If demoting an administrator, ensure at least one remains
   if (member.role) {
     const currentRole = await Role.findById(member.role);
-    if (currentRole && currentRole.roleName === 'administrator' && roleName !== 'administrator') {
+    if (isAdministratorRole(currentRole) && role !== 'administrator') {
+      if (!isAdministratorRole(requestingRole)) {
+        throw new Error('Only administrators can grant or remove the administrator role');
+      }
       // Count administrators
       const adminRole = await Role.findOne({ roleName: 'administrator' });
       const adminCount = project.projectMembers.filter(m => m.role && m.role.equals(adminRole._id)).length;
@@ -69,22 +105,272 @@ async function assignRole(projectId, memberId, userId, roleName) {
       }
     }
   }
+  if (role === 'administrator' && !isAdministratorRole(requestingRole)) {
+    throw new Error('Only administrators can grant or remove the administrator role');
+  }
 
-  // Assign the new role
-  const newRole = await Role.findOne({ roleName });
+  // Assign the new role: built-in roles by name, custom roles by ID
+  const newRole = await findAssignableRole(projectId, role);
   if (!newRole) throw new Error('Role not found');
+  // A custom role may not carry more power than the member handing it out
+  if (!isBuiltInRole(newRole)) {
+    await checkGrantablePermissions(project, userId, getRolePermissions(newRole));
+  }
   member.role = newRole._id;
   await project.save();
 
   // Return updated project with populated members and roles
   const updatedProject = await Project.findById(projectId)
     .populate({ path: 'projectMembers.user', select: 'name email' })
-    .populate({ path: 'projectMembers.role', select: 'roleName' });
+    .populate({ path: 'projectMembers.role', select: 'roleName project permissions' });
   return updatedProject;
 }
 
+/**
+ * Builds the summary of a role shown in the role editor
+ * @function formatRole
+ * @param {Object} role - Role document
+ * @param {Object} project - Project whose members are counted
+ * @returns {Object} Role details with its effective permissions and how many members hold it
+ */
+function formatRole(role, project) {
+  return {
+    _id: role._id,
+    roleName: role.roleName,
+    builtIn: isBuiltInRole(role),
+    permissions: getRolePermissions(role),
+    memberCount: project.projectMembers.filter(
+      member => member.role && (member.role._id || member.role).toString() === role._id.toString()
+    ).length
+  };
+}
+
+/**
+ * Loads a project and checks that the user belongs to it
+ * @async
+ * @function findRoleProject
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user
+ * @param {boolean} [requireManageRoles=false] - Whether the user must be allowed to manage roles
+ * @returns {Promise<Object>} The project
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When the user may not manage roles and that was required
+ */
+async function findRoleProject(projectId, userId, requireManageRoles = false) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  const member = findProjectMember(project, userId);
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+  if (requireManageRoles && !hasPermission(await getMemberRole(member), PERMISSIONS.MANAGE_ROLES)) {
+    throw new Error('You are not allowed to manage roles in this project');
+  }
+  return project;
+}
+
+/**
+ * Validates the name and permissions of a custom role
+ * @async
+ * @function normalizeRoleInput
+ * @param {string} projectId - ID of the project the role belongs to
+ * @param {Object} input - Role details as submitted
+ * @param {string} input.roleName - Name of the role
+ * @param {string[]} input.permissions - Permission keys
+ * @param {string} [roleId] - ID of the role being renamed, which may keep its own name
+ * @returns {Promise<Object>} The trimmed name and the de-duplicated permissions
+ * @throws {Error} When the name is missing, too long or already used by another role
+ * @throws {Error} When the permissions are not a list of known permissions
+ */
+async function normalizeRoleInput(projectId, { roleName, permissions } = {}, roleId = null) {
+  const name = typeof roleName === 'string' ? roleName.trim() : '';
+  if (!name) {
+    throw new Error('Role name is required');
+  }
+  if (name.length > MAX_ROLE_NAME_LENGTH) {
+    throw new Error(`Role name must be ${MAX_ROLE_NAME_LENGTH} characters or fewer`);
+  }
+
+  const nameTaken = BUILT_IN_ROLE_NAMES.includes(name.toLowerCase()) || (await Role.find({ project: projectId }))
+    .some(role => role.roleName.toLowerCase() === name.toLowerCase() && (!roleId || role._id.toString() !== roleId));
+  if (nameTaken) {
+    throw new Error('A role with this name already exists');
+  }
+
+  if (!Array.isArray(permissions)) {
+    throw new Error('Permissions must be a list');
+  }
+  const known = PERMISSION_CATALOG.map(permission => permission.key);
+  const unknown = permissions.find(permission => !known.includes(permission));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown permission: ${unknown}`);
+  }
+
+  return { roleName: name, permissions: known.filter(permission => permissions.includes(permission)) };
+}
+
+/**
+ * Checks that a member only hands out permissions their own role grants
+ * @async
+ * @function checkGrantablePermissions
+ * @param {Object} project - Project document
+ * @param {string} userId - ID of the member creating or editing a role
+ * @param {string[]} permissions - Permission keys the role will hold
+ * @param {string[]} [keptPermissions=[]] - Permissions the role already holds, which may stay
+ * @returns {Promise<void>}
+ * @throws {Error} When a new permission is not granted by the member's own role
+ * @description Administrators may grant anything; everyone else could otherwise build a role with
+ * more power than their own and assign it to themselves.
+ */
+async function checkGrantablePermissions(project, userId, permissions, keptPermissions = []) {
+  const editorRole = await getMemberRole(findProjectMember(project, userId));
+  if (isAdministratorRole(editorRole)) return;
+
+  const notGranted = permissions.find(
+    permission => !keptPermissions.includes(permission) && !hasPermission(editorRole, permission)
+  );
+  if (notGranted) {
+    throw new Error(`You cannot grant a permission your own role does not have: ${notGranted}`);
+  }
+}
+
+/**
+ * Finds one of the project's custom roles
+ * @async
+ * @function findCustomRole
+ * @param {string} projectId - ID of the project
+ * @param {string} roleId - ID of the role
+ * @returns {Promise<Object>} The role document
+ * @throws {Error} When the role is built in
+ * @throws {Error} When the role does not belong to the project
+ */
+async function findCustomRole(projectId, roleId) {
+  if (!mongoose.Types.ObjectId.isValid(roleId)) {
+    throw new Error('Role not found');
+  }
+  const role = await Role.findById(roleId);
+  if (role && isBuiltInRole(role)) {
+    throw new Error('Built-in roles cannot be changed');
+  }
+  if (!role || !role.project || role.project.toString() !== projectId.toString()) {
+    throw new Error('Role not found');
+  }
+  return role;
+}
+
+/**
+ * Lists the roles available in a project together with every permission a role can hold
+ * @async
+ * @function getProjectRoles
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the member asking
+ * @returns {Promise<Object>} The built-in roles followed by the custom roles, and the permission catalog
+ * @throws {Error} When project is not found or user is not a member
+ */
+async function getProjectRoles(projectId, userId) {
+  const project = await findRoleProject(projectId, userId);
+
+  const roles = await Role.find({ project: { $in: [null, project._id] } });
+  const builtIn = BUILT_IN_ROLE_NAMES
+    .map(roleName => roles.find(role => isBuiltInRole(role) && role.roleName === roleName))
+    .filter(Boolean);
+  const custom = roles
+    .filter(role => !isBuiltInRole(role))
+    .sort((a, b) => a.roleName.localeCompare(b.roleName));
+
+  return {
+    roles: [...builtIn, ...custom].map(role => formatRole(role, project)),
+    permissions: PERMISSION_CATALOG
+  };
+}
+
+/**
+ * Creates a custom role in a project
+ * @async
+ * @function createRole
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the member creating the role
+ * @param {Object} input - Role details
+ * @param {string} input.roleName - Name of the role
+ * @param {string[]} input.permissions - Permission keys
+ * @returns {Promise<Object>} Summary of the new role
+ * @throws {Error} When project is not found, user is not a member or may not manage roles
+ * @throws {Error} When the name or permissions are not valid
+ * @throws {Error} When a permission is not granted by the member's own role
+ */
+async function createRole(projectId, userId, input) {
+  const project = await findRoleProject(projectId, userId, true);
+  const { roleName, permissions } = await normalizeRoleInput(project._id, input);
+  await checkGrantablePermissions(project, userId, permissions);
+
+  const role = await Role.create({ roleName, project: project._id, permissions });
+  return formatRole(role, project);
+}
+
+/**
+ * Renames a custom role or changes its permissions
+ * @async
+ * @function updateRole
+ * @param {string} projectId - ID of the project
+ * @param {string} roleId - ID of the role
+ * @param {string} userId - ID of the member editing the role
+ * @param {Object} input - Role details
+ * @param {string} input.roleName - Name of the role
+ * @param {string[]} input.permissions - Permission keys
+ * @returns {Promise<Object>} Summary of the updated role
+ * @throws {Error} When project is not found, user is not a member or may not manage roles
+ * @throws {Error} When the role is built in or not part of the project
+ * @throws {Error} When the name or permissions are not valid
+ * @throws {Error} When an added permission is not granted by the member's own role
+ * @description Members holding the role get the new permissions straight away
+ */
+async function updateRole(projectId, roleId, userId, input) {
+  const project = await findRoleProject(projectId, userId, true);
+  const role = await findCustomRole(project._id, roleId);
+  const { roleName, permissions } = await normalizeRoleInput(project._id, input, roleId);
+  await checkGrantablePermissions(project, userId, permissions, role.permissions || []);
+
+  role.roleName = roleName;
+  role.permissions = permissions;
+  await role.save();
+  return formatRole(role, project);
+}
+
+/**
+ * Deletes a custom role nobody holds any more
+ * @async
+ * @function deleteRole
+ * @param {string} projectId - ID of the project
+ * @param {string} roleId - ID of the role
+ * @param {string} userId - ID of the member deleting the role
+ * @returns {Promise<Object>} Summary of the deleted role
+ * @throws {Error} When project is not found, user is not a member or may not manage roles
+ * @throws {Error} When the role is built in or not part of the project
+ * @throws {Error} When members still hold the role
+ */
+async function deleteRole(projectId, roleId, userId) {
+  const project = await findRoleProject(projectId, userId, true);
+  const role = await findCustomRole(project._id, roleId);
+
+  const summary = formatRole(role, project);
+  if (summary.memberCount > 0) {
+    throw new Error('Reassign the members who hold this role before deleting it');
+  }
+
+  await Role.deleteOne({ _id: role._id });
+  return summary;
+}
+
 module.exports = {
   seedDefaultRoles,
+  findAssignableRole,
   assignRole,
-  
+  checkGrantablePermissions,
+  getProjectRoles,
+  createRole,
+  updateRole,
+  deleteRole
 };
\ No newline at end of file
@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Sprint service module for planning, starting and closing sprints and milestones
+ * @module services/sprintService
+ */
+
+const Project = require('../models/project');
+const Sprint = require('../models/sprint');
+const Task = require('../models/tasks');
+const { getProjectWorkflow, isDoneStatus } = require('./workflowService');
+const { PERMISSIONS, hasPermission } = require('./authorizationService');
+
+/**
+ * Kinds of iteration a project can plan
+ * @constant {Array<string>}
+ */
+const SPRINT_KINDS = ['sprint', 'milestone'];
+
+/**
+ * Loads a project and checks that the user is a member
+ * @async
+ * @function findSprintProject
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user making the request
+ * @returns {Promise<Object>} The project document and the user's membership entry
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ */
+async function findSprintProject(projectId, userId) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const member = project.projectMembers.find(
+    projectMember => projectMember.user.toString() === userId
+  );
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+
+  return { project, member };
+}
+
+/**
+ * Rejects sprint planning by members whose role may not manage sprints
+ * @function assertCanManageSprints
+ * @param {Object} member - Project membership entry with populated role
+ * @throws {Error} When the member's role may not manage sprints
+ */
+function assertCanManageSprints(member) {
+  if (!hasPermission(member.role, PERMISSIONS.MANAGE_SPRINTS)) {
+    throw new Error('Only project administrators can manage sprints');
+  }
+}
+
+/**
+ * Loads a sprint of the project
+ * @async
+ * @function findProjectSprint
+ * @param {Object} project - Project document
+ * @param {string} sprintId - ID of the sprint
+ * @returns {Promise<Object>} The sprint document
+ * @throws {Error} When the sprint does not belong to the project
+ */
+async function findProjectSprint(project, sprintId) {
+  const sprint = await Sprint.findById(sprintId);
+  if (!sprint || sprint.project.toString() !== project._id.toString()) {
+    throw new Error('Sprint not found');
+  }
+  return sprint;
+}
+
+/**
+ * Validates the dates of a sprint
+ * @function normalizeSprintDates
+ * @param {string|Date} startDate - First day of the sprint
+ * @param {string|Date} endDate - Last day of the sprint
+ * @returns {Object} The start and end as dates
+ * @throws {Error} When a date is missing or invalid, or the sprint ends before it starts
+ */
+function normalizeSprintDates(startDate, endDate) {
+  if (!startDate || !endDate) {
+    throw new Error('Sprint start and end dates are required');
+  }
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (isNaN(start) || isNaN(end)) {
+    throw new Error('Invalid sprint dates');
+  }
+  if (end < start) {
+    throw new Error('Sprint cannot end before it starts');
+  }
+  return { start, end };
+}
+
+/**
+ * Lists the sprints and milestones of a project in date order
+ * @async
+ * @function getSprints
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user requesting the sprints
+ * @returns {Promise<Array<Object>>} Sprint documents
+ * @throws {Error} When project is not found or user is not a member
+ */
+async function getSprints(projectId, userId) {
+  await findSprintProject(projectId, userId);
+  return await getProjectSprints(projectId);
+}
+
+/**
+ * Lists the sprints of a project without checking membership
+ * @async
+ * @function getProjectSprints
+ * @param {string} projectId - ID of the project
+ * @returns {Promise<Array<Object>>} Sprint documents in date order
+ */
+async function getProjectSprints(projectId) {
+  const sprints = await Sprint.find({ project: projectId }).sort({ startDate: 1 });
+  return sprints || [];
+}
+
+/**
+ * Plans a new sprint or milestone
+ * @async
+ * @function createSprint
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the administrator planning the sprint
+ * @param {Object} fields - Sprint fields
+ * @param {string} fields.name - Name of the sprint
+ * @param {string} [fields.kind='sprint'] - 'sprint' or 'milestone'
+ * @param {string} [fields.goal] - What the sprint sets out to achieve
+ * @param {string|Date} fields.startDate - First day of the sprint
+ * @param {string|Date} fields.endDate - Last day of the sprint
+ * @returns {Promise<Object>} The created sprint
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ * @throws {Error} When the name, kind or dates are invalid
+ */
+async function createSprint(projectId, userId, { name, kind = 'sprint', goal = '', startDate, endDate }) {
+  const { member } = await findSprintProject(projectId, userId);
+  assertCanManageSprints(member);
+
+  if (!name || !name.trim()) {
+    throw new Error('Sprint name is required');
+  }
+  if (!SPRINT_KINDS.includes(kind)) {
+    throw new Error('Invalid sprint type');
+  }
+  const { start, end } = normalizeSprintDates(startDate, endDate);
+
+  const sprint = new Sprint({
+    project: projectId,
+    name: name.trim(),
+    kind,
+    goal: (goal || '').trim(),
+    startDate: start,
+    endDate: end
+  });
+  return await sprint.save();
+}
+
+/**
+ * Changes the name, goal or dates of a sprint that has not closed
+ * @async
+ * @function updateSprint
+ * @param {string} projectId - ID of the project
+ * @param {string} sprintId - ID of the sprint
+ * @param {string} userId - ID of the administrator making the change
+ * @param {Object} updates - Fields to change; undefined fields are left unchanged
+ * @returns {Promise<Object>} The updated sprint
+ * @throws {Error} When project or sprint is not found, or user is not an administrator
+ * @throws {Error} When the sprint has closed
+ * @throws {Error} When the name or dates are invalid
+ */
+async function updateSprint(projectId, sprintId, userId, updates) {
+  const { project, member } = await findSprintProject(projectId, userId);
+  assertCanManageSprints(member);
+  const sprint = await findProjectSprint(project, sprintId);
+
+  if (sprint.status === 'closed') {
+    throw new Error('Closed sprints cannot be changed');
+  }
+
+  if (updates.name !== undefined) {
+    if (!updates.name || !updates.name.trim()) {
+      throw new Error('Sprint name is required');
+    }
+    sprint.name = updates.name.trim();
+  }
+  if (updates.goal !== undefined) sprint.goal = (updates.goal || '').trim();
+  if (updates.startDate !== undefined || updates.endDate !== undefined) {
+    const { start, end } = normalizeSprintDates(
+      updates.startDate !== undefined ? updates.startDate : sprint.startDate,
+      updates.endDate !== undefined ? updates.endDate : sprint.endDate
+    );
+    sprint.startDate = start;
+    sprint.endDate = end;
+  }
+
+  return await sprint.save();
+}
+
+/**
+ * Deletes a sprint and moves its tasks back to the backlog
+ * @async
+ * @function deleteSprint
+ * @param {string} projectId - ID of the project
+ * @param {string} sprintId - ID of the sprint
+ * @param {string} userId - ID of the administrator deleting the sprint
+ * @returns {Promise<void>}
+ * @throws {Error} When project or sprint is not found, or user is not an administrator
+ */
+async function deleteSprint(projectId, sprintId, userId) {
+  const { project, member } = await findSprintProject(projectId, userId);
+  assertCanManageSprints(member);
+  const sprint = await findProjectSprint(project, sprintId);
+
+  await Task.updateMany({ sprint: sprint._id }, { $set: { sprint: null } });
+  await Sprint.deleteOne({ _id: sprint._id });
+}
+
+/**
+ * Starts a planned sprint and records the tasks it commits to
+ * @async
+ * @function startSprint
+ * @param {string} projectId - ID of the project
+ * @param {string} sprintId - ID of the sprint
+ * @param {string} userId - ID of the administrator starting the sprint
+ * @returns {Promise<Object>} The active sprint
+ * @throws {Error} When project or sprint is not found, or user is not an administrator
+ * @throws {Error} When the sprint is not planned, or another sprint is already running
+ * @description Only one sprint runs at a time; milestones can run alongside it
+ */
+async function startSprint(projectId, sprintId, userId) {
+  const { project, member } = await findSprintProject(projectId, userId);
+  assertCanManageSprints(member);
+  const sprint = await findProjectSprint(project, sprintId);
+
+  if (sprint.status !== 'planned') {
+    throw new Error('Only planned sprints can be started');
+  }
+  if (sprint.kind === 'sprint') {
+    const running = await Sprint.findOne({ project: projectId, kind: 'sprint', status: 'active' });
+    if (running) {
+      throw new Error('Another sprint is already active');
+    }
+  }
+
+  const tasks = await Task.find({ _id: { $in: project.projectTasks }, sprint: sprint._id, archivedAt: null }).select('_id');
+  sprint.status = 'active';
+  sprint.startedAt = new Date();
+  sprint.committedTasks = (tasks || []).map(task => task._id);
+  return await sprint.save();
+}
+
+/**
+ * Closes an active sprint and carries its unfinished tasks forward
+ * @async
+ * @function closeSprint
+ * @param {string} projectId - ID of the project
+ * @param {string} sprintId - ID of the sprint
+ * @param {string} userId - ID of the administrator closing the sprint
+ * @param {string|null} [carryOverTo=null] - Open sprint that receives the unfinished tasks; the backlog when null
+ * @returns {Promise<Object>} The closed sprint and how many tasks were carried over
+ * @throws {Error} When project or sprint is not found, or user is not an administrator
+ * @throws {Error} When the sprint is not active
+ * @throws {Error} When the target sprint is the same sprint, closed, or not part of the project
+ */
+async function closeSprint(projectId, sprintId, userId, carryOverTo = null) {
+  const { project, member } = await findSprintProject(projectId, userId);
+  assertCanManageSprints(member);
+  const sprint = await findProjectSprint(project, sprintId);
+
+  if (sprint.status !== 'active') {
+    throw new Error('Only active sprints can be closed');
+  }
+
+  let target = null;
+  if (carryOverTo) {
+    target = await Sprint.findById(carryOverTo);
+    if (
+      !target ||
+      target.project.toString() !== project._id.toString() ||
+      target._id.toString() === sprint._id.toString() ||
+      target.status === 'closed'
+    ) {
+      throw new Error('Unfinished tasks can only move to another open sprint of this project');
+    }
+  }
+
+  const workflow = getProjectWorkflow(project);
+  const tasks = (await Task.find({ _id: { $in: project.projectTasks }, sprint: sprint._id, archivedAt: null })) || [];
+  const completed = tasks.filter(task => isDoneStatus(workflow, task.taskProgress));
+  const unfinished = tasks.filter(task => !isDoneStatus(workflow, task.taskProgress));
+
+  if (unfinished.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: unfinished.map(task => task._id) } },
+      { $set: { sprint: target ? target._id : null } }
+    );
+  }
+
+  sprint.status = 'closed';
+  sprint.closedAt = new Date();
+  sprint.completedTasks = completed.map(task => task._id);
+  sprint.carriedOverTo = target ? target._id : null;
+  const closedSprint = await sprint.save();
+
+  return { sprint: closedSprint, carriedOver: unfinished.length };
+}
+
+/**
+ * Checks the sprint a task is being planned into
+ * @async
+ * @function resolveTaskSprint
+ * @param {Object} project - Project the task belongs to
+ * @param {string|null} sprintId - ID of the sprint, or null/empty for the backlog
+ * @returns {Promise<Object|null>} The sprint's ID, or null for the backlog
+ * @throws {Error} When the sprint is not part of the project or has closed
+ */
+async function resolveTaskSprint(project, sprintId) {
+  if (!sprintId) return null;
+  const sprint = await Sprint.findById(sprintId);
+  if (!sprint || sprint.project.toString() !== project._id.toString()) {
+    throw new Error('Sprint not found in this project');
+  }
+  if (sprint.status === 'closed') {
+    throw new Error('Tasks cannot be added to a closed sprint');
+  }
+  return sprint._id;
+}
+
+module.exports = {
+  SPRINT_KINDS,
+  getSprints,
+  getProjectSprints,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  closeSprint,
+  resolveTaskSprint
+};
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Helpers for task priority, estimates, start dates and project labels
+ * @module services/taskAttributeService
+ */
+
+/**
+ * Task priorities from least to most urgent
+ * @constant {Array<string>}
+ */
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Units a project can estimate its tasks in
+ * @constant {Array<string>}
+ */
+const ESTIMATE_UNITS = ['points', 'hours'];
+
+/**
+ * Validates a task priority
+ * @function normalizePriority
+ * @param {string} priority - Requested priority
+ * @returns {string} The priority
+ * @throws {Error} When the priority is not one of TASK_PRIORITIES
+ */
+function normalizePriority(priority) {
+  if (!TASK_PRIORITIES.includes(priority)) {
+    throw new Error('Invalid priority');
+  }
+  return priority;
+}
+
+/**
+ * Validates a task estimate, treating empty values as "not estimated"
+ * @function normalizeEstimate
+ * @param {number|string|null} estimate - Requested estimate
+ * @returns {number|null} The estimate as a number, or null when cleared
+ * @throws {Error} When the estimate is not a non-negative number
+ */
+function normalizeEstimate(estimate) {
+  if (estimate === null || estimate === '') return null;
+  const value = Number(estimate);
+  if (typeof estimate === 'boolean' || !Number.isFinite(value) || value < 0) {
+    throw new Error('Estimate must be a non-negative number');
+  }
+  return value;
+}
+
+/**
+ * Validates a task start date, treating empty values as "no start date"
+ * @function normalizeStartDate
+ * @param {string|Date|null} startDate - Requested start date
+ * @returns {Date|null} The start date, or null when cleared
+ * @throws {Error} When the start date is not a valid date
+ */
+function normalizeStartDate(startDate) {
+  if (startDate === null || startDate === '') return null;
+  const date = new Date(startDate);
+  if (typeof startDate === 'boolean' || isNaN(date)) {
+    throw new Error('Invalid start date');
+  }
+  return date;
+}
+
+/**
+ * Returns the workload weight of a task
+ * @function getTaskWeight
+ * @param {Object} task - Task document or plain object
+ * @returns {number} The task's estimate, or 1 when it has not been estimated
+ * @description Unestimated tasks count as one unit so projects without estimates still report workload by task count
+ */
+function getTaskWeight(task) {
+  return typeof task.estimate === 'number' ? task.estimate : 1;
+}
+
+/**
+ * Validates and normalises the labels submitted for a project
+ * @function normalizeLabels
+ * @param {Array<Object>} labels - Labels with name, color and, for existing labels, _id
+ * @returns {Array<Object>} Labels with trimmed names and only known fields
+ * @throws {Error} When the labels are malformed
+ */
+function normalizeLabels(labels) {
+  if (!Array.isArray(labels)) {
+    throw new Error('Invalid labels: a list of labels is required');
+  }
+
+  const normalized = labels.map(label => ({
+    ...(label._id && { _id: label._id }),
+    name: typeof label.name === 'string' ? label.name.trim() : '',
+    color: label.color
+  }));
+
+  const names = normalized.map(label => label.name.toLowerCase());
+  if (names.some(name => !name)) {
+    throw new Error('Invalid labels: every label needs a name');
+  }
+  if (new Set(names).size !== names.length) {
+    throw new Error('Invalid labels: label names must be unique');
+  }
+  for (const label of normalized) {
+    if (typeof label.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(label.color)) {
+      throw new Error(`Invalid labels: label "${label.name}" needs a hex colour like #17a2b8`);
+    }
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  TASK_PRIORITIES,
+  ESTIMATE_UNITS,
+  normalizePriority,
+  normalizeEstimate,
+  normalizeStartDate,
+  getTaskWeight,
+  normalizeLabels
+};
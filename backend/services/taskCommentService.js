@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Task comment service module for discussion threads attached to tasks
+ * @module services/taskCommentService
+ */
+
+const Project = require('../models/project');
+const Comment = require('../models/comment');
+const Like = require('../models/like');
+const { trashComment } = require('./trashService');
+
+/**
+ * Longest comment the Comment model accepts
+ * @constant {number}
+ */
+const MAX_COMMENT_LENGTH = 500;
+
+/**
+ * Checks that a user may take part in the discussion of a task
+ * @async
+ * @function findCommentProject
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object>} The project document
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When the task is not part of the project
+ */
+async function findCommentProject(projectId, taskId, userId) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  if (!project.projectMembers.some(member => member.user.toString() === userId)) {
+    throw new Error('You are not a member of this project');
+  }
+  if (!project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found in this project');
+  }
+  return project;
+}
+
+/**
+ * Loads a comment and checks that it belongs to the task
+ * @async
+ * @function findTaskComment
+ * @param {string} taskId - ID of the task
+ * @param {string} commentId - ID of the comment
+ * @returns {Promise<Object>} The comment document
+ * @throws {Error} When the comment does not exist on the task
+ */
+async function findTaskComment(taskId, commentId) {
+  const comment = await Comment.findById(commentId);
+  if (!comment || comment.deletedAt || !comment.task || comment.task.toString() !== taskId) {
+    throw new Error('Comment not found');
+  }
+  return comment;
+}
+
+/**
+ * Adds like information to comments, as posts do for their comments
+ * @async
+ * @function withLikes
+ * @param {Array<Object>} comments - Comment documents
+ * @param {string} userId - ID of the user viewing the comments
+ * @returns {Promise<Array<Object>>} Plain comments with likesCount and userHasLiked
+ */
+async function withLikes(comments, userId) {
+  return await Promise.all(comments.map(async (comment) => ({
+    ...comment.toObject(),
+    likesCount: await Like.getLikeCount('Comment', comment._id),
+    userHasLiked: await Like.hasUserLiked(userId, 'Comment', comment._id)
+  })));
+}
+
+/**
+ * Lists the comments and replies on a task, oldest first
+ * @async
+ * @function getTaskComments
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} userId - ID of the user requesting the comments
+ * @returns {Promise<Array<Object>>} Comments with populated authors and like information
+ * @throws {Error} When project is not found, user is not a member or the task is not in the project
+ */
+async function getTaskComments(projectId, taskId, userId) {
+  await findCommentProject(projectId, taskId, userId);
+
+  const comments = await Comment.find({ task: taskId, deletedAt: null })
+    .populate('author', 'name')
+    .sort({ createdAt: 1 });
+  return await withLikes(comments || [], userId);
+}
+
+/**
+ * Comments on a task, or replies to a top-level comment on it
+ * @async
+ * @function addTaskComment
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} userId - ID of the comment author
+ * @param {Object} commentData - Comment to add
+ * @param {string} commentData.content - Text of the comment
+ * @param {string} [commentData.parentCommentId] - ID of the comment being replied to
+ * @returns {Promise<Object>} The new comment with its populated author and like information
+ * @throws {Error} When the content is blank or too long
+ * @throws {Error} When the parent comment is not on this task
+ * @throws {Error} When replying to a reply (only one level allowed)
+ */
+async function addTaskComment(projectId, taskId, userId, { content, parentCommentId }) {
+  await findCommentProject(projectId, taskId, userId);
+
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('Comment content is required');
+  }
+  if (content.trim().length > MAX_COMMENT_LENGTH) {
+    throw new Error(`Comments cannot be longer than ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  // Simple one-level nesting check
+  if (parentCommentId) {
+    const parentComment = await Comment.findById(parentCommentId);
+    if (!parentComment || parentComment.deletedAt || !parentComment.task || parentComment.task.toString() !== taskId) {
+      throw new Error('Parent comment not found');
+    }
+    if (parentComment.parentComment) {
+      throw new Error('Cannot reply to nested comments');
+    }
+  }
+
+  const comment = new Comment({
+    content: content.trim(),
+    task: taskId,
+    author: userId,
+    parentComment: parentCommentId || null
+  });
+
+  await comment.save();
+  await comment.populate('author', 'name');
+
+  return { ...comment.toObject(), likesCount: 0, userHasLiked: false };
+}
+
+/**
+ * Moves a task comment and its replies to the project's trash
+ * @async
+ * @function deleteTaskComment
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} commentId - ID of the comment to delete
+ * @param {string} userId - ID of the user deleting the comment
+ * @returns {Promise<void>}
+ * @throws {Error} When the comment is not on this task
+ * @throws {Error} When the user is not the comment's author
+ */
+async function deleteTaskComment(projectId, taskId, commentId, userId) {
+  await findCommentProject(projectId, taskId, userId);
+
+  const comment = await findTaskComment(taskId, commentId);
+  if (comment.author.toString() !== userId) {
+    throw new Error('Not authorized to delete this comment');
+  }
+
+  await trashComment(comment, projectId, userId);
+}
+
+/**
+ * Likes a task comment, or removes the user's like
+ * @async
+ * @function toggleTaskCommentLike
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} commentId - ID of the comment
+ * @param {string} userId - ID of the user liking the comment
+ * @returns {Promise<Object>} The action taken with the updated like count and whether the user now likes the comment
+ * @throws {Error} When the comment is not on this task
+ */
+async function toggleTaskCommentLike(projectId, taskId, commentId, userId) {
+  await findCommentProject(projectId, taskId, userId);
+  await findTaskComment(taskId, commentId);
+
+  const result = await Like.toggleLike(userId, 'Comment', commentId, projectId);
+
+  return {
+    action: result.action,
+    likesCount: await Like.getLikeCount('Comment', commentId),
+    userHasLiked: await Like.hasUserLiked(userId, 'Comment', commentId)
+  };
+}
+
+/**
+ * Removes every comment on the given tasks, along with the comments' likes
+ * @async
+ * @function deleteCommentsForTasks
+ * @param {Array<string>} taskIds - IDs of the deleted tasks
+ * @returns {Promise<void>}
+ */
+async function deleteCommentsForTasks(taskIds) {
+  const comments = await Comment.find({ task: { $in: taskIds } }).select('_id');
+  const commentIds = (comments || []).map(comment => comment._id);
+
+  if (commentIds.length > 0) {
+    await Like.deleteMany({ targetType: 'Comment', targetId: { $in: commentIds } });
+  }
+  await Comment.deleteMany({ task: { $in: taskIds } });
+}
+
+module.exports = {
+  getTaskComments,
+  addTaskComment,
+  deleteTaskComment,
+  toggleTaskCommentLike,
+  deleteCommentsForTasks
+};
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Task history service module recording who changed which task field, and when
+ * @module services/taskHistoryService
+ */
+
+const Project = require('../models/project');
+const TaskHistory = require('../models/taskHistory');
+
+/**
+ * Task fields whose changes are recorded in the task history
+ * @constant {Array<string>}
+ */
+const TRACKED_TASK_FIELDS = [
+  'taskName',
+  'taskDescription',
+  'taskStartDate',
+  'taskDeadline',
+  'taskProgress',
+  'taskAssignees',
+  'priority',
+  'labels',
+  'estimate',
+  'recurrence'
+];
+
+/**
+ * Converts a task field value into the plain form stored in the history
+ * @function toHistoryValue
+ * @param {*} value - Value read from a task document
+ * @returns {*} Null for empty values, ISO strings for dates, ID strings for references and plain objects for subdocuments
+ */
+function toHistoryValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toHistoryValue);
+  if (typeof value !== 'object') return value;
+  if (value._bsontype === 'ObjectId') return value.toString();
+  // Populated references are stored by ID
+  if (value._id) return value._id.toString();
+
+  const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+  return Object.keys(plain).reduce((result, key) => {
+    result[key] = toHistoryValue(plain[key]);
+    return result;
+  }, {});
+}
+
+/**
+ * Captures the tracked fields of a task before it is changed
+ * @function snapshotTaskFields
+ * @param {Object} task - Task document about to change
+ * @param {Array<string>} [fields=TRACKED_TASK_FIELDS] - Fields to capture
+ * @returns {Object} History values keyed by field name
+ */
+function snapshotTaskFields(task, fields = TRACKED_TASK_FIELDS) {
+  return fields.reduce((snapshot, field) => {
+    snapshot[field] = toHistoryValue(task[field]);
+    return snapshot;
+  }, {});
+}
+
+/**
+ * Records every field that differs from an earlier snapshot of a task
+ * @async
+ * @function recordTaskChanges
+ * @param {string} projectId - ID of the project containing the task
+ * @param {Object} task - Task document after the change
+ * @param {Object} before - Snapshot taken with snapshotTaskFields before the change
+ * @param {string} userId - ID of the user who made the change
+ * @returns {Promise<Array<Object>>} The recorded history entries; empty when nothing changed
+ */
+async function recordTaskChanges(projectId, task, before, userId) {
+  const timestamp = new Date();
+  const entries = Object.keys(before)
+    .map(field => ({ field, oldValue: before[field], newValue: toHistoryValue(task[field]) }))
+    .filter(change => JSON.stringify(change.oldValue) !== JSON.stringify(change.newValue))
+    .map(change => ({ ...change, project: projectId, task: task._id, changedBy: userId, timestamp }));
+
+  if (entries.length > 0) {
+    await TaskHistory.insertMany(entries);
+  }
+  return entries;
+}
+
+/**
+ * Lists the recorded changes of a task, newest first
+ * @async
+ * @function getTaskHistory
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} userId - ID of the user requesting the history
+ * @returns {Promise<Array<Object>>} History entries with the populated user who made each change
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When the task is not part of the project
+ */
+async function getTaskHistory(projectId, taskId, userId) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  if (!project.projectMembers.some(member => member.user.toString() === userId)) {
+    throw new Error('You are not a member of this project');
+  }
+  if (!project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found in this project');
+  }
+
+  return await TaskHistory.find({ task: taskId })
+    .populate('changedBy', 'name email')
+    .sort({ timestamp: -1 });
+}
+
+module.exports = {
+  TRACKED_TASK_FIELDS,
+  snapshotTaskFields,
+  recordTaskChanges,
+  getTaskHistory
+};
@@ -0,0 +1,492 @@
+/**
+ * @fileoverview Task import service module for creating a project's tasks from a CSV or JSON backlog
+ * @module services/taskImportService
+ */
+
+const mongoose = require('mongoose');
+const Project = require('../models/project');
+const Task = require('../models/tasks');
+const User = require('../models/user');
+const { getProjectWorkflow, getInitialStatus } = require('./workflowService');
+const { normalizePriority, normalizeEstimate } = require('./taskAttributeService');
+const { PERMISSIONS, hasPermission } = require('./authorizationService');
+
+/**
+ * Most rows a single import may contain
+ * @constant {number}
+ */
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Task fields a column can be mapped to, with the column headers recognised for each
+ * @constant {Object<string, Array<string>>}
+ * @description Headers are compared in lower case with everything but letters and digits removed
+ */
+const FIELD_ALIASES = {
+  taskName: ['taskname', 'name', 'title', 'task', 'summary'],
+  taskDescription: ['taskdescription', 'description', 'details', 'notes'],
+  taskDeadline: ['taskdeadline', 'deadline', 'due', 'duedate', 'enddate'],
+  taskStartDate: ['taskstartdate', 'start', 'startdate'],
+  taskAssignees: ['taskassignees', 'assignees', 'assignee', 'assigneeemail', 'owner', 'email'],
+  priority: ['priority'],
+  labels: ['labels', 'label', 'tags'],
+  estimate: ['estimate', 'points', 'storypoints', 'hours'],
+  taskProgress: ['taskprogress', 'status', 'progress', 'state']
+};
+
+/**
+ * Month numbers by their English name or three-letter abbreviation
+ * @constant {Object<string, number>}
+ */
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december']
+  .reduce((months, name, index) => ({ ...months, [name]: index + 1, [name.slice(0, 3)]: index + 1 }), { sept: 9 });
+
+/**
+ * Lowers a column header or field alias to letters and digits for matching
+ * @function normalizeHeader
+ * @param {string} header - Column header
+ * @returns {string} The simplified header
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Splits CSV text into rows of cells, honouring quoted cells that contain delimiters, quotes or line breaks
+ * @function parseCsv
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows of cells, without blank lines
+ * @throws {Error} When a quoted cell is never closed
+ * @description The delimiter is whichever of comma, semicolon or tab appears most in the header line
+ */
+function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Invalid CSV: a quoted cell is never closed');
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Reads the columns and records of an uploaded backlog
+ * @function parseImportFile
+ * @param {string} format - 'csv' or 'json'
+ * @param {string} content - Text of the file
+ * @returns {Object} The column names and one record per task, keyed by column
+ * @throws {Error} When the format is unknown or the file cannot be read
+ * @throws {Error} When the file has no rows or more than the import limit
+ */
+function parseImportFile(format, content) {
+  if (format !== 'csv' && format !== 'json') {
+    throw new Error('Import format must be csv or json');
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('The file has no rows to import');
+  }
+
+  let columns;
+  let records;
+  if (format === 'csv') {
+    const [header = [], ...rows] = parseCsv(content);
+    columns = header.map(name => name.trim());
+    records = rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+  } else {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (err) {
+      throw new Error('Invalid JSON: the file could not be read');
+    }
+    records = Array.isArray(parsed) ? parsed : parsed && parsed.tasks;
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+      throw new Error('Invalid JSON: expected a list of task objects');
+    }
+    columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  }
+
+  if (records.length === 0) {
+    throw new Error('The file has no rows to import');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Import is limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+  return { columns, records };
+}
+
+/**
+ * Works out which column fills each task field
+ * @function resolveColumnMapping
+ * @param {Array<string>} columns - Columns of the file
+ * @param {Object<string, string>} [mapping={}] - Column chosen for each task field; an empty column leaves the field unmapped
+ * @returns {Object<string, string>} Column for each mapped task field
+ * @throws {Error} When a field or column in the mapping does not exist
+ * @throws {Error} When no column holds the task name or the deadline
+ * @description Fields missing from the mapping are matched to columns by their usual headers
+ */
+function resolveColumnMapping(columns, mapping = {}) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('Column mapping must map task fields to columns');
+  }
+
+  const resolved = {};
+  const used = new Set();
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!FIELD_ALIASES[field]) {
+      throw new Error(`Unknown task field "${field}"`);
+    }
+    if (column === null || column === '') continue;
+    if (!columns.includes(column)) {
+      throw new Error(`Column "${column}" not found in the file`);
+    }
+    resolved[field] = column;
+    used.add(column);
+  }
+
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    if (Object.prototype.hasOwnProperty.call(mapping, field)) continue;
+    const column = columns.find(name => !used.has(name) && aliases.includes(normalizeHeader(name)));
+    if (column) {
+      resolved[field] = column;
+      used.add(column);
+    }
+  }
+
+  if (!resolved.taskName || !resolved.taskDeadline) {
+    throw new Error('Map a column to the task name and the deadline');
+  }
+  return resolved;
+}
+
+/**
+ * Builds a UTC date from its parts when they form a real calendar day
+ * @function toCalendarDate
+ * @param {number} year - Full or two-digit year
+ * @param {number} month - Month from 1 to 12
+ * @param {number} day - Day of the month
+ * @returns {Date|null} Midnight UTC on that day, or null when there is no such day
+ */
+function toCalendarDate(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Reads a date written in one of the formats spreadsheets commonly export
+ * @function parseImportDate
+ * @param {string|number} value - Cell value
+ * @param {string} [dateFormat='DMY'] - Order of day and month in dates like 03/04/2025: 'DMY' or 'MDY'
+ * @returns {Date|null} The date, or null when it cannot be read
+ * @description Accepts ISO dates and times, 2025-09-30, 2025/09/30, 30/09/2025, 30.09.2025, 30-09-25,
+ * 30 Sep 2025, Sep 30, 2025 and spreadsheet day serial numbers
+ */
+function parseImportDate(value, dateFormat = 'DMY') {
+  if (typeof value === 'number') {
+    // Spreadsheet serial numbers count days from 30 December 1899
+    return Number.isFinite(value) && value > 0 && value < 2958466
+      ? new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 24 * 60 * 60 * 1000)
+      : null;
+  }
+  const text = String(value).trim();
+  let match;
+
+  if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) {
+    return toCalendarDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+  if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/))) {
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    return dateFormat === 'MDY' ? toCalendarDate(year, first, second) : toCalendarDate(year, second, first);
+  }
+  if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]+)\.?,?[\s-]+(\d{4})$/i)) && MONTHS[match[2].toLowerCase()]) {
+    return toCalendarDate(Number(match[3]), MONTHS[match[2].toLowerCase()], Number(match[1]));
+  }
+  if ((match = text.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i)) && MONTHS[match[1].toLowerCase()]) {
+    return toCalendarDate(Number(match[3]), MONTHS[match[1].toLowerCase()], Number(match[2]));
+  }
+  return null;
+}
+
+/**
+ * Splits a cell listing several values, such as assignee emails or labels
+ * @function splitList
+ * @param {string|Array} value - Cell value; JSON files may already hold a list
+ * @returns {Array<string>} The trimmed, non-empty values
+ */
+function splitList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(/[,;|]/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Checks whether a cell is empty
+ * @function isBlank
+ * @param {*} value - Cell value
+ * @returns {boolean} True for missing values, empty strings and empty lists
+ */
+function isBlank(value) {
+  return value === undefined || value === null || (Array.isArray(value) ? value.length === 0 : String(value).trim() === '');
+}
+
+/**
+ * Turns one record into task fields, collecting every problem instead of stopping at the first
+ * @function validateImportRow
+ * @param {Object} record - The row, keyed by column
+ * @param {Object<string, string>} mapping - Column for each task field
+ * @param {Object} context - Project data the row is checked against
+ * @param {Map<string, Object>} context.membersByEmail - Members who can be assigned, by lower-case email
+ * @param {Map<string, Object>} context.labelsByName - Project labels by lower-case name
+ * @param {Array<Object>} context.workflow - The project's workflow statuses
+ * @param {string} context.dateFormat - Order of day and month in ambiguous dates
+ * @returns {Object} The task fields and the row's errors
+ */
+function validateImportRow(record, mapping, { membersByEmail, labelsByName, workflow, dateFormat }) {
+  const cell = field => (mapping[field] ? record[mapping[field]] : undefined);
+  const errors = [];
+  const task = {
+    taskName: isBlank(cell('taskName')) ? '' : String(cell('taskName')).trim(),
+    taskDescription: isBlank(cell('taskDescription')) ? '' : String(cell('taskDescription')).trim(),
+    taskDeadline: null,
+    taskStartDate: null,
+    taskAssignees: [],
+    priority: 'medium',
+    labels: [],
+    estimate: null,
+    taskProgress: getInitialStatus(workflow)
+  };
+
+  if (!task.taskName) {
+    errors.push('Task name is required');
+  }
+
+  if (isBlank(cell('taskDeadline'))) {
+    errors.push('Deadline is required');
+  } else {
+    task.taskDeadline = parseImportDate(cell('taskDeadline'), dateFormat);
+    if (!task.taskDeadline) errors.push(`Unrecognised deadline "${cell('taskDeadline')}"`);
+  }
+  if (!isBlank(cell('taskStartDate'))) {
+    task.taskStartDate = parseImportDate(cell('taskStartDate'), dateFormat);
+    if (!task.taskStartDate) {
+      errors.push(`Unrecognised start date "${cell('taskStartDate')}"`);
+    } else if (task.taskDeadline && task.taskStartDate > task.taskDeadline) {
+      errors.push('Start date cannot be after the deadline');
+    }
+  }
+
+  if (!isBlank(cell('taskAssignees'))) {
+    for (const email of splitList(cell('taskAssignees'))) {
+      const member = membersByEmail.get(email.toLowerCase());
+      if (!member) {
+        errors.push(`No project member with email "${email}"`);
+      } else if (!task.taskAssignees.some(assignee => assignee._id.toString() === member._id.toString())) {
+        task.taskAssignees.push(member);
+      }
+    }
+  }
+
+  if (!isBlank(cell('priority'))) {
+    try {
+      task.priority = normalizePriority(String(cell('priority')).trim().toLowerCase());
+    } catch (err) {
+      errors.push(`Invalid priority "${cell('priority')}"`);
+    }
+  }
+
+  if (!isBlank(cell('labels'))) {
+    for (const name of splitList(cell('labels'))) {
+      const label = labelsByName.get(name.toLowerCase());
+      if (!label) {
+        errors.push(`No label named "${name}" in this project`);
+      } else if (!task.labels.includes(label)) {
+        task.labels.push(label);
+      }
+    }
+  }
+
+  if (!isBlank(cell('estimate'))) {
+    try {
+      task.estimate = normalizeEstimate(typeof cell('estimate') === 'number' ? cell('estimate') : String(cell('estimate')).trim());
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  if (!isBlank(cell('taskProgress'))) {
+    const status = workflow.find(s => s.name.toLowerCase() === String(cell('taskProgress')).trim().toLowerCase());
+    if (!status) {
+      errors.push(`Unknown status "${cell('taskProgress')}"`);
+    } else {
+      task.taskProgress = status.name;
+    }
+  }
+
+  return { task, errors };
+}
+
+/**
+ * Loads the project to import into and checks that the user is one of its administrators
+ * @async
+ * @function findImportProject
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user importing tasks
+ * @returns {Promise<Object>} The project with populated member roles
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ */
+async function findImportProject(projectId, userId) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  const member = project.projectMembers.find(m => m.user.toString() === userId);
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+  if (!hasPermission(member.role, PERMISSIONS.IMPORT_TASKS)) {
+    throw new Error('Only project administrators can import tasks');
+  }
+  return project;
+}
+
+/**
+ * Checks a CSV or JSON backlog row by row and, unless previewing, creates all of its tasks
+ * @async
+ * @function importTasks
+ * @param {string} projectId - ID of the project to import into
+ * @param {string} userId - ID of the administrator importing the tasks
+ * @param {Object} file - The backlog and how to read it
+ * @param {string} file.format - 'csv' or 'json'
+ * @param {string} file.content - Text of the file
+ * @param {Object<string, string>} [file.mapping] - Column chosen for each task field
+ * @param {string} [file.dateFormat='DMY'] - Order of day and month in dates like 03/04/2025: 'DMY' or 'MDY'
+ * @param {boolean} [file.dryRun=false] - Only check the rows
+ * @returns {Promise<Object>} The columns, the mapping used, every row with its task and errors,
+ * the number of valid and invalid rows and the IDs of the created tasks
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ * @throws {Error} When the file cannot be read or the mapping is invalid
+ * @description Nothing is created while any row has errors; tasks created before a failed save are removed again.
+ * Assignees are matched to non-viewer members by email and labels to the project's labels by name
+ */
+async function importTasks(projectId, userId, { format, content, mapping, dateFormat = 'DMY', dryRun = false } = {}) {
+  const project = await findImportProject(projectId, userId);
+  if (dateFormat !== 'DMY' && dateFormat !== 'MDY') {
+    throw new Error('Date format must be DMY or MDY');
+  }
+
+  const { columns, records } = parseImportFile(format, content);
+  const columnMapping = resolveColumnMapping(columns, mapping);
+
+  const assignableIds = project.projectMembers
+    .filter(member => !member.role || hasPermission(member.role, PERMISSIONS.WORK_ON_TASKS))
+    .map(member => member.user);
+  const users = (await User.find({ _id: { $in: assignableIds } }).select('name email')) || [];
+  const context = {
+    membersByEmail: new Map(users.filter(user => user.email).map(user => [user.email.toLowerCase(), user])),
+    labelsByName: new Map((project.labels || []).map(label => [label.name.toLowerCase(), label])),
+    workflow: getProjectWorkflow(project),
+    dateFormat
+  };
+
+  const rows = records.map((record, index) => ({ row: index + 1, ...validateImportRow(record, columnMapping, context) }));
+  const invalid = rows.filter(row => row.errors.length > 0).length;
+  const result = {
+    columns,
+    mapping: columnMapping,
+    rows: rows.map(({ row, task, errors }) => ({
+      row,
+      errors,
+      task: {
+        ...task,
+        taskAssignees: task.taskAssignees.map(user => ({ _id: user._id, name: user.name, email: user.email })),
+        labels: task.labels.map(label => ({ _id: label._id, name: label.name, color: label.color }))
+      }
+    })),
+    valid: rows.length - invalid,
+    invalid,
+    created: []
+  };
+  if (dryRun || invalid > 0) {
+    return result;
+  }
+
+  // Tasks imported past the first status start their history there, so analytics replay them correctly
+  const initialStatus = getInitialStatus(context.workflow);
+  const importedAt = new Date();
+  const docs = rows.map(({ task }) => ({
+    _id: new mongoose.Types.ObjectId(),
+    taskName: task.taskName,
+    taskDescription: task.taskDescription,
+    taskStartDate: task.taskStartDate,
+    taskDeadline: task.taskDeadline,
+    taskCreator: userId,
+    taskAssignees: task.taskAssignees.map(user => user._id),
+    priority: task.priority,
+    labels: task.labels.map(label => label._id),
+    estimate: task.estimate,
+    taskProgress: task.taskProgress,
+    progressHistory: task.taskProgress === initialStatus
+      ? []
+      : [{ progress: task.taskProgress, updatedBy: userId, timestamp: importedAt }]
+  }));
+  const taskIds = docs.map(doc => doc._id);
+
+  try {
+    await Task.insertMany(docs);
+    await Project.findByIdAndUpdate(projectId, { $push: { projectTasks: { $each: taskIds } } });
+  } catch (err) {
+    await Task.deleteMany({ _id: { $in: taskIds } });
+    throw err;
+  }
+
+  result.created = taskIds;
+  return result;
+}
+
+module.exports = {
+  importTasks,
+  parseImportDate
+};
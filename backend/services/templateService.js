@@ -0,0 +1,331 @@
+/**
+ * @fileoverview Template service module for saving a project's tasks, or a single task, as a reusable template
+ * @module services/templateService
+ */
+
+const Project = require('../models/project');
+const Task = require('../models/tasks');
+const Template = require('../models/template');
+const { PERMISSIONS, hasPermission } = require('./authorizationService');
+
+/**
+ * Roles a template task can be assigned to by default
+ * @constant {Array<string>}
+ */
+const ASSIGNEE_ROLES = ['administrator', 'developer'];
+
+/**
+ * Milliseconds in one day
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Loads a project with its member roles and checks that the user is a member
+ * @async
+ * @function findTemplateProject
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user making the request
+ * @param {boolean} [requireAdministrator=false] - Whether the user must be an administrator
+ * @returns {Promise<Object>} The project document
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When an administrator is required and user is not one
+ */
+async function findTemplateProject(projectId, userId, requireAdministrator = false) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const member = project.projectMembers.find(
+    projectMember => projectMember.user.toString() === userId
+  );
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+  if (requireAdministrator && !hasPermission(member.role, PERMISSIONS.MANAGE_TEMPLATES)) {
+    throw new Error('Only project administrators can manage templates');
+  }
+
+  return project;
+}
+
+/**
+ * Validates the name of a new template
+ * @function normalizeTemplateName
+ * @param {string} name - Requested name
+ * @returns {string} The trimmed name
+ * @throws {Error} When the name is empty or longer than 100 characters
+ */
+function normalizeTemplateName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > 100) {
+    throw new Error('Template name must be between 1 and 100 characters');
+  }
+  return trimmed;
+}
+
+/**
+ * Returns whole days from one date to another, never less than zero
+ * @function daysBetween
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {number} Number of days
+ */
+function daysBetween(from, to) {
+  return Math.max(0, Math.round((new Date(to) - new Date(from)) / DAY_MS));
+}
+
+/**
+ * Picks the role that should own a task by default from the roles of its current assignees
+ * @function getAssigneeRole
+ * @param {Object} project - Project with populated member roles
+ * @param {Object} task - Task being saved into a template
+ * @returns {string|null} The role of the first assignee who is not a viewer, or null
+ */
+function getAssigneeRole(project, task) {
+  for (const assigneeId of task.taskAssignees || []) {
+    const member = project.projectMembers.find(m => m.user.toString() === assigneeId.toString());
+    const roleName = member && member.role && member.role.roleName;
+    if (ASSIGNEE_ROLES.includes(roleName)) return roleName;
+  }
+  return null;
+}
+
+/**
+ * Converts tasks into template tasks with dates relative to a start date
+ * @function toTemplateTasks
+ * @param {Object} project - Project with populated member roles
+ * @param {Array<Object>} tasks - Tasks to save, parents before their subtasks
+ * @param {Date} startDate - Date the offsets are measured from
+ * @returns {Array<Object>} Template tasks in the same order
+ */
+function toTemplateTasks(project, tasks, startDate) {
+  const indexById = new Map(tasks.map((task, index) => [task._id.toString(), index]));
+  return tasks.map(task => ({
+    taskName: task.taskName,
+    taskDescription: task.taskDescription || '',
+    startOffsetDays: task.taskStartDate ? daysBetween(startDate, task.taskStartDate) : null,
+    deadlineOffsetDays: daysBetween(startDate, task.taskDeadline),
+    assigneeRole: getAssigneeRole(project, task),
+    priority: task.priority || 'medium',
+    estimate: typeof task.estimate === 'number' ? task.estimate : null,
+    parentIndex: task.parentTask && indexById.has(task.parentTask.toString())
+      ? indexById.get(task.parentTask.toString())
+      : null
+  }));
+}
+
+/**
+ * Orders tasks so every parent comes before its subtasks, soonest deadline first among siblings
+ * @function orderTaskTree
+ * @param {Array<Object>} tasks - Tasks of a project
+ * @returns {Array<Object>} The same tasks in tree order
+ */
+function orderTaskTree(tasks) {
+  const ids = new Set(tasks.map(task => task._id.toString()));
+  const byDeadline = (a, b) => new Date(a.taskDeadline) - new Date(b.taskDeadline);
+  const childrenOf = (parentId) => tasks
+    .filter(task => (task.parentTask && ids.has(task.parentTask.toString()) ? task.parentTask.toString() : null) === parentId)
+    .sort(byDeadline);
+
+  const ordered = [];
+  const visit = (parentId) => {
+    for (const task of childrenOf(parentId)) {
+      ordered.push(task);
+      visit(task._id.toString());
+    }
+  };
+  visit(null);
+  return ordered;
+}
+
+/**
+ * Saves the open tasks of a project as a project template
+ * @async
+ * @function saveProjectTemplate
+ * @param {string} projectId - ID of the project to copy the tasks of
+ * @param {string} userId - ID of the administrator saving the template
+ * @param {Object} details - Template details
+ * @param {string} details.name - Name of the template
+ * @param {string} [details.description] - What the template is for
+ * @param {string|Date} [details.startDate] - Date deadlines are measured from; defaults to the project's creation date
+ * @returns {Promise<Object>} The saved template
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ * @throws {Error} When the name or start date is invalid
+ * @throws {Error} When the project has no tasks to save
+ * @description Archived and deleted tasks are left out; labels and sprints belong to the project and are not copied
+ */
+async function saveProjectTemplate(projectId, userId, { name, description, startDate } = {}) {
+  const project = await findTemplateProject(projectId, userId, true);
+  const templateName = normalizeTemplateName(name);
+
+  const baseDate = startDate ? new Date(startDate) : project.createdAt || new Date();
+  if (isNaN(baseDate)) {
+    throw new Error('Invalid start date');
+  }
+
+  const tasks = (await Task.find({ _id: { $in: project.projectTasks }, archivedAt: null, deletedAt: null })) || [];
+  if (tasks.length === 0) {
+    throw new Error('The project has no tasks to save');
+  }
+
+  const template = new Template({
+    name: templateName,
+    description: typeof description === 'string' ? description.trim() : '',
+    kind: 'project',
+    project: project._id,
+    createdBy: userId,
+    tasks: toTemplateTasks(project, orderTaskTree(tasks), baseDate)
+  });
+  return template.save();
+}
+
+/**
+ * Saves one task of a project as a task template for that project
+ * @async
+ * @function saveTaskTemplate
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task to save
+ * @param {string} userId - ID of the administrator saving the template
+ * @param {string} [name] - Name of the template; defaults to the task name
+ * @returns {Promise<Object>} The saved template
+ * @throws {Error} When project is not found, user is not a member or not an administrator
+ * @throws {Error} When the task is not in the project
+ * @throws {Error} When the name is invalid
+ * @description The deadline is stored relative to the task's start date, or to the day it was created
+ */
+async function saveTaskTemplate(projectId, taskId, userId, name) {
+  const project = await findTemplateProject(projectId, userId, true);
+  if (!project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found in this project');
+  }
+
+  const task = await Task.findById(taskId);
+  if (!task || task.deletedAt) {
+    throw new Error('Task not found');
+  }
+
+  const baseDate = task.taskStartDate || task.createdAt || new Date();
+  const [templateTask] = toTemplateTasks(project, [task], baseDate);
+  const template = new Template({
+    name: normalizeTemplateName(name === undefined || name === '' ? task.taskName : name),
+    kind: 'task',
+    project: project._id,
+    createdBy: userId,
+    tasks: [{ ...templateTask, parentIndex: null }]
+  });
+  return template.save();
+}
+
+/**
+ * Lists the project templates a user has saved
+ * @async
+ * @function getProjectTemplates
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array<Object>>} The user's project templates by name
+ */
+async function getProjectTemplates(userId) {
+  const templates = await Template.find({ kind: 'project', createdBy: userId }).sort({ name: 1 });
+  return templates || [];
+}
+
+/**
+ * Lists the task templates of a project
+ * @async
+ * @function getTaskTemplates
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the member requesting the list
+ * @returns {Promise<Array<Object>>} The project's task templates by name
+ * @throws {Error} When project is not found or user is not a member
+ */
+async function getTaskTemplates(projectId, userId) {
+  await findTemplateProject(projectId, userId);
+  const templates = await Template.find({ kind: 'task', project: projectId }).sort({ name: 1 });
+  return templates || [];
+}
+
+/**
+ * Finds a project template its creator wants to start a project from
+ * @async
+ * @function getTemplateForNewProject
+ * @param {string} templateId - ID of the template
+ * @param {string} userId - ID of the user creating the project
+ * @returns {Promise<Object>} The template
+ * @throws {Error} When the template does not exist, is a task template or belongs to someone else
+ */
+async function getTemplateForNewProject(templateId, userId) {
+  const template = await Template.findById(templateId);
+  if (!template || template.kind !== 'project' || template.createdBy.toString() !== userId) {
+    throw new Error('Template not found');
+  }
+  return template;
+}
+
+/**
+ * Deletes a template
+ * @async
+ * @function deleteTemplate
+ * @param {string} templateId - ID of the template
+ * @param {string} userId - ID of the user deleting it
+ * @returns {Promise<void>}
+ * @throws {Error} When the template is not found
+ * @throws {Error} When user is neither its creator nor, for a task template, an administrator of its project
+ */
+async function deleteTemplate(templateId, userId) {
+  const template = await Template.findById(templateId);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+
+  if (template.createdBy.toString() !== userId) {
+    if (template.kind !== 'task') {
+      throw new Error('Template not found');
+    }
+    await findTemplateProject(template.project.toString(), userId, true);
+  }
+
+  await Template.deleteOne({ _id: template._id });
+}
+
+/**
+ * Returns the members of a project who hold a role, for default assignment
+ * @function getMembersWithRole
+ * @param {Object} project - Project with populated member roles
+ * @param {string|null} roleName - Role to look for
+ * @returns {Array<Object>} User IDs of the members holding the role
+ * @throws {Error} When the role cannot be assigned tasks
+ */
+function getMembersWithRole(project, roleName) {
+  if (roleName === null || roleName === undefined || roleName === '') return [];
+  if (!ASSIGNEE_ROLES.includes(roleName)) {
+    throw new Error('Invalid assignee role');
+  }
+  return project.projectMembers
+    .filter(member => member.role && member.role.roleName === roleName)
+    .map(member => member.user);
+}
+
+/**
+ * Returns the date a template offset falls on
+ * @function addTemplateDays
+ * @param {Date} startDate - Date the template is used from
+ * @param {number|null} offsetDays - Days after the start date
+ * @returns {Date|null} The date, or null when the offset is not set
+ */
+function addTemplateDays(startDate, offsetDays) {
+  if (offsetDays === null || offsetDays === undefined) return null;
+  return new Date(new Date(startDate).getTime() + offsetDays * DAY_MS);
+}
+
+module.exports = {
+  saveProjectTemplate,
+  saveTaskTemplate,
+  getProjectTemplates,
+  getTaskTemplates,
+  getTemplateForNewProject,
+  deleteTemplate,
+  getMembersWithRole,
+  addTemplateDays
+};
@@ -97,7 +97,7 @@ async function seedTestData() {
         taskDescription: 'Define project scope, gather requirements, and create project timeline',
         taskDeadline: getTaskDate(6, 3),
         taskCreator: users[0]._id, // Alice (Administrator)
-        taskAssignee: users[0]._id,
+        taskAssignees: [users[0]._id],
         taskProgress: 'Completed',
         createdAt: getTaskDate(6),
         updatedAt: getTaskDate(6, 2) // Completed on time
@@ -107,7 +107,7 @@ async function seedTestData() {
         taskDescription: 'Design and implement the database schema for the student management system',
         taskDeadline: getTaskDate(5, 5),
         taskCreator: users[0]._id, // Alice (Administrator)
-        taskAssignee: users[1]._id, // Bob (Developer)
+        taskAssignees: [users[1]._id], // Bob (Developer)
         taskProgress: 'Completed',
         createdAt: getTaskDate(6),
         updatedAt: getTaskDate(5, 7) // Completed 2 days late
@@ -121,7 +121,7 @@ async function seedTestData() {
         taskDescription: 'Create wireframes and mockups for the user interface',
         taskDeadline: getTaskDate(4, 6),
         taskCreator: users[0]._id, // Alice (Administrator)
-        taskAssignee: users[2]._id, // Carol (Developer)
+        taskAssignees: [users[2]._id], // Carol (Developer)
         taskProgress: 'Completed',
         createdAt: getTaskDate(5),
         updatedAt: getTaskDate(4, 5) // Completed on time
@@ -131,7 +131,7 @@ async function seedTestData() {
         taskDescription: 'Implement JWT-based authentication system',
         taskDeadline: getTaskDate(4, 2),
         taskCreator: users[1]._id, // Bob (Developer)
-        taskAssignee: users[1]._id,
+        taskAssignees: [users[1]._id],
         taskProgress: 'Completed',
         createdAt: getTaskDate(5),
         updatedAt: getTaskDate(4, 1) // Completed on time
@@ -145,7 +145,7 @@ async function seedTestData() {
         taskDescription: 'Build the student registration form and validation',
         taskDeadline: getTaskDate(3, 4),
         taskCreator: users[0]._id, // Alice (Administrator)
-        taskAssignee: users[2]._id, // Carol (Developer)
+        taskAssignees: [users[2]._id], // Carol (Developer)
         taskProgress: 'Completed',
         createdAt: getTaskDate(4),
         updatedAt: getTaskDate(3, 3) // Completed on time
@@ -155,7 +155,7 @@ async function seedTestData() {
         taskDescription: 'Implement CRUD operations for course management',
         taskDeadline: getTaskDate(3, 1),
         taskCreator: users[1]._id, // Bob (Developer)
-        taskAssignee: users[1]._id,
+        taskAssignees: [users[1]._id],
         taskProgress: 'Completed',
         createdAt: getTaskDate(4),
         updatedAt: getTaskDate(2, 6) // Completed 2 days late
@@ -169,7 +169,7 @@ async function seedTestData() {
         taskDescription: 'Create reusable UI components for the dashboard',
         taskDeadline: getTaskDate(2, 5),
         taskCreator: users[2]._id, // Carol (Developer)
-        taskAssignee: users[4]._id, // Emma (Developer)
+        taskAssignees: [users[4]._id], // Emma (Developer)
         taskProgress: 'Completed',
         createdAt: getTaskDate(3),
         updatedAt: getTaskDate(2, 4) // Completed on time
@@ -179,7 +179,7 @@ async function seedTestData() {
         taskDescription: 'Implement grade calculation and reporting features',
         taskDeadline: getTaskDate(2, 2),
         taskCreator: users[0]._id, // Alice (Administrator)
-        taskAssignee: users[1]._id, // Bob (Developer)
+        taskAssignees: [users[1]._id], // Bob (Developer)
         taskProgress: 'In Progress', // Still in progress, overdue
         createdAt: getTaskDate(3),
         updatedAt: getTaskDate(2)
@@ -193,7 +193,7 @@ async function seedTestData() {
         taskDescription: 'Add search and filtering capabilities to student lists',
         taskDeadline: getTaskDate(1, 3),
         taskCreator: users[2]._id, // Carol (Developer)
-        taskAssignee: users[2]._id,
+        taskAssignees: [users[2]._id],
         taskProgress: 'Completed',
         createdAt: getTaskDate(2),
         updatedAt: getTaskDate(1, 2) // Completed on time
@@ -203,7 +203,7 @@ async function seedTestData() {
         taskDescription: 'Implement automated email notifications for important events',
         taskDeadline: getTaskDate(1, 1),
         taskCreator: users[0]._id, // Alice (Administrator)
-        taskAssignee: users[1]._id, // Bob (Developer)
+        taskAssignees: [users[1]._id], // Bob (Developer)
         taskProgress: 'To Do', // Not started, overdue
         createdAt: getTaskDate(2),
         updatedAt: getTaskDate(2)
@@ -217,7 +217,7 @@ async function seedTestData() {
         taskDescription: 'Ensure the application works well on mobile devices',
         taskDeadline: getTaskDate(0, 2),
         taskCreator: users[4]._id, // Emma (Developer)
-        taskAssignee: users[4]._id,
+        taskAssignees: [users[4]._id],
         taskProgress: 'In Progress',
         createdAt: getTaskDate(1),
         updatedAt: getTaskDate(1)
@@ -227,7 +227,7 @@ async function seedTestData() {
         taskDescription: 'Add CSV and PDF export functionality for reports',
         taskDeadline: getTaskDate(-1, 1), // Due tomorrow
         taskCreator: users[0]._id, // Alice (Administrator)
-        taskAssignee: users[2]._id, // Carol (Developer)
+        taskAssignees: [users[2]._id], // Carol (Developer)
         taskProgress: 'In Progress',
         createdAt: getTaskDate(1),
         updatedAt: getTaskDate(0, -1)
@@ -241,7 +241,7 @@ async function seedTestData() {
         taskDescription: 'Write comprehensive unit tests for backend APIs',
         taskDeadline: getTaskDate(-1, 5), // Due in 5 days
         taskCreator: users[1]._id, // Bob (Developer)
-        taskAssignee: users[1]._id,
+        taskAssignees: [users[1]._id],
         taskProgress: 'To Do',
         createdAt: getTaskDate(0, -2),
         updatedAt: getTaskDate(0, -2)
@@ -251,7 +251,7 @@ async function seedTestData() {
         taskDescription: 'Optimize database queries and frontend performance',
         taskDeadline: getTaskDate(-2, 3), // Due next week
         taskCreator: users[0]._id, // Alice (Administrator)
-        taskAssignee: users[4]._id, // Emma (Developer)
+        taskAssignees: [users[4]._id], // Emma (Developer)
         taskProgress: 'To Do',
         createdAt: getTaskDate(0, -1),
         updatedAt: getTaskDate(0, -1)
@@ -261,7 +261,7 @@ async function seedTestData() {
         taskDescription: 'Conduct security review and implement security best practices',
         taskDeadline: getTaskDate(-2, 1), // Due next week
         taskCreator: users[0]._id, // Alice (Administrator)
-        taskAssignee: users[1]._id, // Bob (Developer)
+        taskAssignees: [users[1]._id], // Bob (Developer)
         taskProgress: 'To Do',
         createdAt: currentDate,
         updatedAt: currentDate
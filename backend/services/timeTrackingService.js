@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Time tracking service module for task timers, manual time entries and timesheets
+ * @module services/timeTrackingService
+ */
+
+const Project = require('../models/project');
+const TimeEntry = require('../models/timeEntry');
+const { PERMISSIONS, hasPermission } = require('./authorizationService');
+
+/**
+ * Milliseconds in one day
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Loads a project and checks that the user is a member and the task belongs to it
+ * @async
+ * @function findProjectMember
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user making the request
+ * @param {string} [taskId] - ID of a task that must be part of the project
+ * @returns {Promise<Object>} The project document and the user's membership entry
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When the task is not part of the project
+ */
+async function findProjectMember(projectId, userId, taskId) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const member = project.projectMembers.find(
+    projectMember => projectMember.user.toString() === userId
+  );
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+
+  if (taskId && !project.projectTasks.some(id => id.toString() === taskId)) {
+    throw new Error('Task not found in this project');
+  }
+
+  return { project, member };
+}
+
+/**
+ * Rejects time tracking by members whose role may not work on tasks
+ * @function assertCanTrackTime
+ * @param {Object} member - Project membership entry with populated role
+ * @throws {Error} When the member's role may not work on tasks
+ */
+function assertCanTrackTime(member) {
+  if (member.role && !hasPermission(member.role, PERMISSIONS.WORK_ON_TASKS)) {
+    throw new Error('Viewers are not authorized to track time');
+  }
+}
+
+/**
+ * Whole minutes between two dates
+ * @function minutesBetween
+ * @param {Date} start - Start of the period
+ * @param {Date} end - End of the period
+ * @returns {number} Rounded number of minutes
+ */
+function minutesBetween(start, end) {
+  return Math.round((end.getTime() - start.getTime()) / 60000);
+}
+
+/**
+ * Lists the time logged on a task, newest first
+ * @async
+ * @function getTaskTimeEntries
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} userId - ID of the user requesting the entries
+ * @returns {Promise<Object>} Entries with populated user and the total of finished entries in minutes
+ * @throws {Error} When project is not found, user is not a member or task is not in the project
+ */
+async function getTaskTimeEntries(projectId, taskId, userId) {
+  await findProjectMember(projectId, userId, taskId);
+
+  const entries = await TimeEntry.find({ task: taskId })
+    .populate('user', 'name email')
+    .sort({ start: -1 });
+
+  const totalMinutes = entries.reduce((sum, entry) => sum + (entry.end ? entry.duration : 0), 0);
+  return { entries, totalMinutes };
+}
+
+/**
+ * Starts a timer on a task for the current user
+ * @async
+ * @function startTimer
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task to track time on
+ * @param {string} userId - ID of the user starting the timer
+ * @param {string} [note=''] - Optional note describing the work
+ * @returns {Promise<Object>} The running time entry
+ * @throws {Error} When project is not found, user is not a member or task is not in the project
+ * @throws {Error} When user is a viewer
+ * @throws {Error} When user already has a running timer
+ * @description Each user can only run one timer at a time, across all projects
+ */
+async function startTimer(projectId, taskId, userId, note = '') {
+  const { member } = await findProjectMember(projectId, userId, taskId);
+  assertCanTrackTime(member);
+
+  const runningEntry = await TimeEntry.findOne({ user: userId, end: null });
+  if (runningEntry) {
+    throw new Error('You already have a running timer');
+  }
+
+  const entry = new TimeEntry({
+    project: projectId,
+    task: taskId,
+    user: userId,
+    start: new Date(),
+    note
+  });
+  return await entry.save();
+}
+
+/**
+ * Stops the current user's running timer on a task
+ * @async
+ * @function stopTimer
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task being tracked
+ * @param {string} userId - ID of the user stopping the timer
+ * @returns {Promise<Object>} The finished time entry with its duration
+ * @throws {Error} When project is not found, user is not a member or task is not in the project
+ * @throws {Error} When the user has no running timer on the task
+ */
+async function stopTimer(projectId, taskId, userId) {
+  await findProjectMember(projectId, userId, taskId);
+
+  const entry = await TimeEntry.findOne({ task: taskId, user: userId, end: null });
+  if (!entry) {
+    throw new Error('No running timer on this task');
+  }
+
+  entry.end = new Date();
+  entry.duration = minutesBetween(new Date(entry.start), entry.end);
+  return await entry.save();
+}
+
+/**
+ * Logs time on a task manually
+ * @async
+ * @function addTimeEntry
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} userId - ID of the user logging the time
+ * @param {Object} entryData - Time entry fields
+ * @param {string} entryData.start - Start of the work (ISO date string)
+ * @param {string} entryData.end - End of the work (ISO date string)
+ * @param {string} [entryData.note] - Optional note describing the work
+ * @returns {Promise<Object>} The saved time entry
+ * @throws {Error} When project is not found, user is not a member or task is not in the project
+ * @throws {Error} When user is a viewer
+ * @throws {Error} When the start or end time is missing, invalid, in the future or out of order
+ */
+async function addTimeEntry(projectId, taskId, userId, { start, end, note = '' }) {
+  const { member } = await findProjectMember(projectId, userId, taskId);
+  assertCanTrackTime(member);
+
+  if (!start || !end) {
+    throw new Error('Start and end times are required');
+  }
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  if (isNaN(startDate) || isNaN(endDate)) {
+    throw new Error('Invalid start or end time');
+  }
+  if (endDate <= startDate) {
+    throw new Error('End time must be after start time');
+  }
+  if (endDate > new Date()) {
+    throw new Error('Time entries cannot end in the future');
+  }
+
+  const entry = new TimeEntry({
+    project: projectId,
+    task: taskId,
+    user: userId,
+    start: startDate,
+    end: endDate,
+    duration: minutesBetween(startDate, endDate),
+    note
+  });
+  return await entry.save();
+}
+
+/**
+ * Deletes a time entry from a task
+ * @async
+ * @function deleteTimeEntry
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} taskId - ID of the task
+ * @param {string} entryId - ID of the time entry to delete
+ * @param {string} userId - ID of the user deleting the entry
+ * @returns {Promise<Object>} Success confirmation object
+ * @throws {Error} When project is not found, user is not a member or task is not in the project
+ * @throws {Error} When the time entry is not found on the task
+ * @throws {Error} When user neither logged the time nor owns the project
+ */
+async function deleteTimeEntry(projectId, taskId, entryId, userId) {
+  const { project } = await findProjectMember(projectId, userId, taskId);
+
+  const entry = await TimeEntry.findOne({ _id: entryId, task: taskId });
+  if (!entry) {
+    throw new Error('Time entry not found');
+  }
+
+  const isEntryOwner = entry.user.toString() === userId;
+  const isProjectOwner = project.projectOwner.toString() === userId;
+  if (!isEntryOwner && !isProjectOwner) {
+    throw new Error('You are not authorized to delete this time entry');
+  }
+
+  await TimeEntry.deleteOne({ _id: entryId });
+  return { success: true };
+}
+
+/**
+ * Builds a per-member, per-day timesheet for one week of a project
+ * @async
+ * @function getWeeklyTimesheet
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user requesting the timesheet
+ * @param {string} weekStart - First instant of the week (ISO date string), in the client's timezone
+ * @returns {Promise<Object>} Week bounds, one row per member with minutes per day and per task, and the week total
+ * @throws {Error} When project is not found or user is not a member
+ * @throws {Error} When the week start is not a valid date
+ * @description Entries are counted on the day they started; running timers are left out
+ */
+async function getWeeklyTimesheet(projectId, userId, weekStart) {
+  const startDate = new Date(weekStart);
+  if (!weekStart || isNaN(startDate)) {
+    throw new Error('Invalid week start');
+  }
+  const endDate = new Date(startDate.getTime() + 7 * DAY_MS);
+
+  const project = await Project.findById(projectId).populate('projectMembers.user', 'name email');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  const isMember = project.projectMembers.some(
+    member => member.user && member.user._id.toString() === userId
+  );
+  if (!isMember) {
+    throw new Error('You are not a member of this project');
+  }
+
+  const entries = await TimeEntry.find({
+    project: projectId,
+    end: { $ne: null },
+    start: { $gte: startDate, $lt: endDate }
+  })
+    .populate('user', 'name email')
+    .populate('task', 'taskName');
+
+  // Every current member gets a row, even without logged time
+  const rows = new Map();
+  const addRow = (user) => {
+    const id = user._id.toString();
+    if (!rows.has(id)) {
+      rows.set(id, {
+        user: { _id: id, name: user.name, email: user.email },
+        days: Array(7).fill(0),
+        tasks: [],
+        total: 0
+      });
+    }
+    return rows.get(id);
+  };
+  project.projectMembers.forEach(member => {
+    if (member.user) addRow(member.user);
+  });
+
+  (entries || []).forEach(entry => {
+    if (!entry.user) return;
+    const row = addRow(entry.user);
+    const day = Math.floor((new Date(entry.start).getTime() - startDate.getTime()) / DAY_MS);
+    row.days[day] += entry.duration;
+    row.total += entry.duration;
+
+    const taskId = entry.task ? entry.task._id.toString() : null;
+    let taskRow = row.tasks.find(task => task.taskId === taskId);
+    if (!taskRow) {
+      taskRow = { taskId, taskName: entry.task ? entry.task.taskName : 'Deleted task', minutes: 0 };
+      row.tasks.push(taskRow);
+    }
+    taskRow.minutes += entry.duration;
+  });
+
+  const members = [...rows.values()].sort(
+    (a, b) => b.total - a.total || (a.user.name || '').localeCompare(b.user.name || '')
+  );
+  return {
+    weekStart: startDate,
+    weekEnd: endDate,
+    members,
+    total: members.reduce((sum, row) => sum + row.total, 0)
+  };
+}
+
+module.exports = {
+  getTaskTimeEntries,
+  startTimer,
+  stopTimer,
+  addTimeEntry,
+  deleteTimeEntry,
+  getWeeklyTimesheet
+};
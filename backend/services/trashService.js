@@ -0,0 +1,414 @@
+/**
+ * @fileoverview Trash service module that keeps deleted posts, comments and tasks restorable for a while before purging them
+ * @module services/trashService
+ */
+
+const Project = require('../models/project');
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const Like = require('../models/like');
+const Task = require('../models/tasks');
+const TimeEntry = require('../models/timeEntry');
+const TaskHistory = require('../models/taskHistory');
+const TrashItem = require('../models/trashItem');
+const { PERMISSIONS, hasPermission } = require('./authorizationService');
+
+/**
+ * Days deleted items are kept when the project has no setting
+ * @constant {number}
+ */
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Milliseconds in one day
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns how many days deleted items stay in a project's trash
+ * @function getTrashRetentionDays
+ * @param {Object} project - Project document
+ * @returns {number} Retention period in days
+ */
+function getTrashRetentionDays(project) {
+  const days = project.settings && project.settings.trashRetentionDays;
+  return typeof days === 'number' ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Loads a project and checks that the user administers it
+ * @async
+ * @function findTrashProject
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the user making the request
+ * @returns {Promise<Object>} The project document
+ * @throws {Error} When project is not found
+ * @throws {Error} When user is not a project member
+ * @throws {Error} When user is not an administrator
+ */
+async function findTrashProject(projectId, userId) {
+  const project = await Project.findById(projectId).populate('projectMembers.role');
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  const member = project.projectMembers.find(
+    projectMember => projectMember.user.toString() === userId
+  );
+  if (!member) {
+    throw new Error('You are not a member of this project');
+  }
+  if (!hasPermission(member.role, PERMISSIONS.DELETE_TASKS)) {
+    throw new Error('Only project administrators can manage the trash');
+  }
+
+  return project;
+}
+
+/**
+ * Moves a post and its comments to the project's trash
+ * @async
+ * @function trashPost
+ * @param {Object} post - Post document
+ * @param {string} userId - ID of the user deleting the post
+ * @returns {Promise<Object>} The trash entry
+ * @description Likes stay in place while the post is in the trash, so restoring it brings them back
+ */
+async function trashPost(post, userId) {
+  const deletedAt = new Date();
+  await Comment.updateMany({ post: post._id, deletedAt: null }, { $set: { deletedAt } });
+
+  post.deletedAt = deletedAt;
+  await post.save();
+
+  return await TrashItem.create({
+    project: post.project,
+    itemType: 'Post',
+    item: post._id,
+    label: post.title,
+    deletedBy: userId,
+    deletedAt
+  });
+}
+
+/**
+ * Moves a comment and its replies to the project's trash
+ * @async
+ * @function trashComment
+ * @param {Object} comment - Comment document on a post or a task
+ * @param {string} projectId - ID of the project the comment belongs to
+ * @param {string} userId - ID of the user deleting the comment
+ * @returns {Promise<Object>} The trash entry
+ */
+async function trashComment(comment, projectId, userId) {
+  const deletedAt = new Date();
+  await Comment.updateMany({ parentComment: comment._id, deletedAt: null }, { $set: { deletedAt } });
+
+  comment.deletedAt = deletedAt;
+  await comment.save();
+
+  return await TrashItem.create({
+    project: projectId,
+    itemType: 'Comment',
+    item: comment._id,
+    label: comment.content,
+    deletedBy: userId,
+    deletedAt
+  });
+}
+
+/**
+ * Moves a task and its subtasks to the project's trash
+ * @async
+ * @function trashTask
+ * @param {Object} task - Task document
+ * @param {Array<Object>} subtaskIds - IDs of every subtask below the task
+ * @param {string} projectId - ID of the project containing the task
+ * @param {string} userId - ID of the user deleting the task
+ * @returns {Promise<Object>} The trash entry
+ * @description The tasks stay in the project until they are purged, so post mentions and history survive a restore
+ */
+async function trashTask(task, subtaskIds, projectId, userId) {
+  const deletedAt = new Date();
+  if (subtaskIds.length > 0) {
+    await Task.updateMany({ _id: { $in: subtaskIds }, deletedAt: null }, { $set: { deletedAt } });
+  }
+
+  task.deletedAt = deletedAt;
+  await task.save();
+
+  return await TrashItem.create({
+    project: projectId,
+    itemType: 'Task',
+    item: task._id,
+    label: task.taskName,
+    deletedBy: userId,
+    deletedAt
+  });
+}
+
+/**
+ * Counts the replies, comments or subtasks that were deleted together with a trash entry
+ * @async
+ * @function countTrashedChildren
+ * @param {Object} project - Project the entry belongs to
+ * @param {Object} entry - Trash entry
+ * @returns {Promise<number>} Number of items that a restore brings back along with the entry
+ */
+async function countTrashedChildren(project, entry) {
+  if (entry.itemType === 'Post') {
+    return await Comment.countDocuments({ post: entry.item, deletedAt: entry.deletedAt });
+  }
+  if (entry.itemType === 'Comment') {
+    return await Comment.countDocuments({ parentComment: entry.item, deletedAt: entry.deletedAt });
+  }
+  return await Task.countDocuments({
+    _id: { $in: project.projectTasks, $ne: entry.item },
+    deletedAt: entry.deletedAt
+  });
+}
+
+/**
+ * Lists the contents of a project's trash, most recently deleted first
+ * @async
+ * @function getTrash
+ * @param {string} projectId - ID of the project
+ * @param {string} userId - ID of the administrator requesting the list
+ * @returns {Promise<Object>} Trash entries with their purge dates, and the retention period in days
+ * @throws {Error} When project is not found or user is not an administrator
+ */
+async function getTrash(projectId, userId) {
+  const project = await findTrashProject(projectId, userId);
+  const retentionDays = getTrashRetentionDays(project);
+
+  const entries = await TrashItem.find({ project: projectId })
+    .populate('deletedBy', 'name email')
+    .sort({ deletedAt: -1 });
+
+  const items = await Promise.all((entries || []).map(async (entry) => ({
+    _id: entry._id,
+    itemType: entry.itemType,
+    item: entry.item,
+    label: entry.label,
+    deletedBy: entry.deletedBy,
+    deletedAt: entry.deletedAt,
+    purgeAt: new Date(new Date(entry.deletedAt).getTime() + retentionDays * DAY_MS),
+    childCount: await countTrashedChildren(project, entry)
+  })));
+
+  return { items, retentionDays };
+}
+
+/**
+ * Restores a trashed post, comment or task together with everything deleted along with it
+ * @async
+ * @function restoreTrashItem
+ * @param {string} projectId - ID of the project
+ * @param {string} trashItemId - ID of the trash entry
+ * @param {string} userId - ID of the administrator restoring the item
+ * @returns {Promise<Object>} The restored item's type and ID
+ * @throws {Error} When project is not found or user is not an administrator
+ * @throws {Error} When the entry is not in this project's trash
+ * @throws {Error} When the post, parent comment or parent task is still in the trash
+ */
+async function restoreTrashItem(projectId, trashItemId, userId) {
+  const project = await findTrashProject(projectId, userId);
+
+  const entry = await TrashItem.findById(trashItemId);
+  if (!entry || entry.project.toString() !== projectId) {
+    throw new Error('Trash item not found');
+  }
+  const restore = { $set: { deletedAt: null } };
+
+  if (entry.itemType === 'Post') {
+    const post = await Post.findById(entry.item);
+    if (!post) {
+      throw new Error('Trash item not found');
+    }
+    await Comment.updateMany({ post: post._id, deletedAt: entry.deletedAt }, restore);
+    post.deletedAt = null;
+    await post.save();
+  } else if (entry.itemType === 'Comment') {
+    const comment = await Comment.findById(entry.item);
+    if (!comment) {
+      throw new Error('Trash item not found');
+    }
+    if (comment.post) {
+      const post = await Post.findById(comment.post).select('deletedAt');
+      if (post && post.deletedAt) {
+        throw new Error('Restore the post first');
+      }
+    }
+    if (comment.parentComment) {
+      const parent = await Comment.findById(comment.parentComment).select('deletedAt');
+      if (parent && parent.deletedAt) {
+        throw new Error('Restore the parent comment first');
+      }
+    }
+    await Comment.updateMany({ parentComment: comment._id, deletedAt: entry.deletedAt }, restore);
+    comment.deletedAt = null;
+    await comment.save();
+  } else {
+    const task = await Task.findById(entry.item);
+    if (!task) {
+      throw new Error('Trash item not found');
+    }
+    if (task.parentTask) {
+      const parent = await Task.findById(task.parentTask).select('deletedAt');
+      if (parent && parent.deletedAt) {
+        throw new Error('Restore the parent task first');
+      }
+    }
+    await Task.updateMany({ _id: { $in: project.projectTasks }, deletedAt: entry.deletedAt }, restore);
+    task.deletedAt = null;
+    await task.save();
+  }
+
+  await TrashItem.deleteOne({ _id: entry._id });
+  return { itemType: entry.itemType, item: entry.item };
+}
+
+/**
+ * Permanently removes comments with their likes and trash entries
+ * @async
+ * @function destroyComments
+ * @param {Array<Object>} commentIds - IDs of the comments
+ * @returns {Promise<void>}
+ */
+async function destroyComments(commentIds) {
+  if (commentIds.length === 0) return;
+  await Like.deleteMany({ targetType: 'Comment', targetId: { $in: commentIds } });
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await TrashItem.deleteMany({ item: { $in: commentIds } });
+}
+
+/**
+ * Collects the IDs of a task and every subtask below it
+ * @async
+ * @function collectTaskTree
+ * @param {Object} taskId - ID of the top task
+ * @returns {Promise<Array<Object>>} The task's ID followed by its subtasks' IDs
+ */
+async function collectTaskTree(taskId) {
+  const ids = [taskId];
+  const subtasks = await Task.find({ parentTask: taskId }).select('_id');
+  for (const subtask of subtasks || []) {
+    ids.push(...await collectTaskTree(subtask._id));
+  }
+  return ids;
+}
+
+/**
+ * Permanently removes tasks from a project along with their time entries, history, comments and post mentions
+ * @async
+ * @function destroyTasks
+ * @param {string} projectId - ID of the project containing the tasks
+ * @param {Array<Object>} taskIds - IDs of the tasks
+ * @returns {Promise<void>}
+ */
+async function destroyTasks(projectId, taskIds) {
+  await Project.updateOne(
+    { _id: projectId },
+    { $pull: { projectTasks: { $in: taskIds } } }
+  );
+  await Task.deleteMany({ _id: { $in: taskIds } });
+
+  // Deleted tasks no longer block anything
+  await Task.updateMany(
+    { blockedBy: { $in: taskIds } },
+    { $pull: { blockedBy: { $in: taskIds } } }
+  );
+  await TimeEntry.deleteMany({ task: { $in: taskIds } });
+  await TaskHistory.deleteMany({ task: { $in: taskIds } });
+
+  const comments = await Comment.find({ task: { $in: taskIds } }).select('_id');
+  await destroyComments((comments || []).map(comment => comment._id));
+
+  await Post.updateMany(
+    { 'mentionedTasks.task': { $in: taskIds } },
+    { $pull: { mentionedTasks: { task: { $in: taskIds } } } }
+  );
+  await TrashItem.deleteMany({ item: { $in: taskIds } });
+}
+
+/**
+ * Permanently removes a trashed item and everything that belongs to it
+ * @async
+ * @function destroyTrashItem
+ * @param {Object} entry - Trash entry
+ * @returns {Promise<void>}
+ */
+async function destroyTrashItem(entry) {
+  if (entry.itemType === 'Post') {
+    const comments = await Comment.find({ post: entry.item }).select('_id');
+    await destroyComments((comments || []).map(comment => comment._id));
+    await Like.deleteMany({ targetType: 'Post', targetId: entry.item });
+    await Post.deleteOne({ _id: entry.item });
+  } else if (entry.itemType === 'Comment') {
+    const replies = await Comment.find({ parentComment: entry.item }).select('_id');
+    await destroyComments([entry.item, ...(replies || []).map(reply => reply._id)]);
+  } else {
+    await destroyTasks(entry.project, await collectTaskTree(entry.item));
+  }
+  await TrashItem.deleteOne({ _id: entry._id });
+}
+
+/**
+ * Permanently removes everything in a project's trash
+ * @async
+ * @function emptyTrash
+ * @param {string} projectId - ID of the project
+ * @returns {Promise<number>} Number of trash entries removed
+ * @description Used when the project itself goes away, so the soft-deleted posts, comments and tasks
+ * its entries point to are removed with them rather than left behind
+ */
+async function emptyTrash(projectId) {
+  const entries = (await TrashItem.find({ project: projectId })) || [];
+  for (const entry of entries) {
+    await destroyTrashItem(entry);
+  }
+  return entries.length;
+}
+
+/**
+ * Purges every trashed item that has outlived its project's retention period
+ * @async
+ * @function purgeExpiredTrash
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of trash entries purged
+ * @description Meant to run periodically in the background. The retention period is read when
+ * purging, so changing it applies to items already in the trash. The trash of a project that no
+ * longer exists is emptied in full.
+ */
+async function purgeExpiredTrash(now = new Date()) {
+  let purged = 0;
+  const projectIds = await TrashItem.distinct('project');
+
+  for (const projectId of projectIds || []) {
+    const project = await Project.findById(projectId);
+    if (!project) {
+      purged += await emptyTrash(projectId);
+      continue;
+    }
+
+    const cutoff = new Date(now.getTime() - getTrashRetentionDays(project) * DAY_MS);
+    const expired = await TrashItem.find({ project: projectId, deletedAt: { $lte: cutoff } });
+    for (const entry of expired || []) {
+      await destroyTrashItem(entry);
+      purged++;
+    }
+  }
+
+  return purged;
+}
+
+module.exports = {
+  trashPost,
+  trashComment,
+  trashTask,
+  getTrash,
+  restoreTrashItem,
+  emptyTrash,
+  purgeExpiredTrash
+};
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Workflow helpers for per-project task statuses
+ * @module services/workflowService
+ */
+
+/**
+ * Categories every workflow status belongs to
+ * @constant {Array<string>}
+ */
+const STATUS_CATEGORIES = ['todo', 'active', 'done'];
+
+/**
+ * Workflow used by projects that have not defined their own
+ * @constant {Array<Object>}
+ */
+const DEFAULT_WORKFLOW = [
+  { name: 'To Do', category: 'todo', color: '#dc3545', transitions: ['In Progress', 'Completed'] },
+  { name: 'In Progress', category: 'active', color: '#ffc107', transitions: ['To Do', 'Completed'] },
+  { name: 'Completed', category: 'done', color: '#28a745', transitions: ['To Do', 'In Progress'] }
+];
+
+/**
+ * Returns the ordered statuses a project uses
+ * @function getProjectWorkflow
+ * @param {Object} project - Project document or plain object
+ * @returns {Array<Object>} The project's workflow, or the default workflow when none is defined
+ */
+function getProjectWorkflow(project) {
+  if (project && Array.isArray(project.workflow) && project.workflow.length > 0) {
+    return project.workflow;
+  }
+  return DEFAULT_WORKFLOW;
+}
+
+/**
+ * Finds a status definition by name
+ * @function findStatus
+ * @param {Array<Object>} workflow - Ordered workflow statuses
+ * @param {string} name - Status name to look up
+ * @returns {Object|undefined} The status definition
+ */
+function findStatus(workflow, name) {
+  return workflow.find(status => status.name === name);
+}
+
+/**
+ * Returns the category of a status, treating unknown statuses as not started
+ * @function getStatusCategory
+ * @param {Array<Object>} workflow - Ordered workflow statuses
+ * @param {string} name - Status name
+ * @returns {string} 'todo', 'active' or 'done'
+ */
+function getStatusCategory(workflow, name) {
+  const status = findStatus(workflow, name);
+  return status ? status.category : 'todo';
+}
+
+/**
+ * Checks whether a status counts as finished work
+ * @function isDoneStatus
+ * @param {Array<Object>} workflow - Ordered workflow statuses
+ * @param {string} name - Status name
+ * @returns {boolean} True when the status is in the 'done' category
+ */
+function isDoneStatus(workflow, name) {
+  return getStatusCategory(workflow, name) === 'done';
+}
+
+/**
+ * Names of every status in a category, in workflow order
+ * @function getStatusNamesInCategory
+ * @param {Array<Object>} workflow - Ordered workflow statuses
+ * @param {string} category - 'todo', 'active' or 'done'
+ * @returns {Array<string>} Matching status names
+ */
+function getStatusNamesInCategory(workflow, category) {
+  return workflow.filter(status => status.category === category).map(status => status.name);
+}
+
+/**
+ * Returns the first status of a category, falling back to the first status of the workflow
+ * @function getFirstStatusInCategory
+ * @param {Array<Object>} workflow - Ordered workflow statuses
+ * @param {string} category - 'todo', 'active' or 'done'
+ * @returns {string} Status name
+ */
+function getFirstStatusInCategory(workflow, category) {
+  const status = workflow.find(status => status.category === category);
+  return (status || workflow[0]).name;
+}
+
+/**
+ * Returns the status new tasks start in
+ * @function getInitialStatus
+ * @param {Array<Object>} workflow - Ordered workflow statuses
+ * @returns {string} Name of the first 'todo' status
+ */
+function getInitialStatus(workflow) {
+  return getFirstStatusInCategory(workflow, 'todo');
+}
+
+/**
+ * Checks whether a task may move directly between two statuses
+ * @function canTransition
+ * @param {Array<Object>} workflow - Ordered workflow statuses
+ * @param {string} from - Current status name
+ * @param {string} to - Requested status name
+ * @returns {boolean} True when the move is allowed
+ * @description Tasks in a status that is no longer part of the workflow may move anywhere
+ */
+function canTransition(workflow, from, to) {
+  if (from === to) return true;
+  const current = findStatus(workflow, from);
+  if (!current) return true;
+  return (current.transitions || []).includes(to);
+}
+
+/**
+ * Validates and normalises a workflow submitted by a client
+ * @function normalizeWorkflow
+ * @param {Array<Object>} workflow - Statuses to validate
+ * @returns {Array<Object>} Statuses with trimmed names and only known fields
+ * @throws {Error} When the workflow is malformed
+ */
+function normalizeWorkflow(workflow) {
+  if (!Array.isArray(workflow) || workflow.length === 0) {
+    throw new Error('Invalid workflow: at least one status is required');
+  }
+
+  const statuses = workflow.map(status => ({
+    name: typeof status.name === 'string' ? status.name.trim() : '',
+    category: status.category,
+    color: status.color,
+    transitions: Array.isArray(status.transitions) ? status.transitions : [],
+    wipLimit: status.wipLimit === undefined || status.wipLimit === null || status.wipLimit === ''
+      ? null
+      : Number(status.wipLimit)
+  }));
+
+  const names = statuses.map(status => status.name);
+  if (names.some(name => !name)) {
+    throw new Error('Invalid workflow: every status needs a name');
+  }
+  if (new Set(names).size !== names.length) {
+    throw new Error('Invalid workflow: status names must be unique');
+  }
+
+  for (const status of statuses) {
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      throw new Error(`Invalid workflow: status "${status.name}" has an unknown category`);
+    }
+    if (typeof status.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(status.color)) {
+      throw new Error(`Invalid workflow: status "${status.name}" needs a hex colour like #28a745`);
+    }
+    if (status.transitions.some(target => !names.includes(target) || target === status.name)) {
+      throw new Error(`Invalid workflow: status "${status.name}" has a transition to an unknown status`);
+    }
+    if (status.wipLimit !== null && (!Number.isInteger(status.wipLimit) || status.wipLimit < 1)) {
+      throw new Error(`Invalid workflow: status "${status.name}" needs a WIP limit of at least 1`);
+    }
+  }
+
+  if (!statuses.some(status => status.category === 'todo')) {
+    throw new Error('Invalid workflow: at least one status must be in the todo category');
+  }
+  if (!statuses.some(status => status.category === 'done')) {
+    throw new Error('Invalid workflow: at least one status must be in the done category');
+  }
+
+  return statuses;
+}
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  getProjectWorkflow,
+  findStatus,
+  getStatusCategory,
+  isDoneStatus,
+  getStatusNamesInCategory,
+  getFirstStatusInCategory,
+  getInitialStatus,
+  canTransition,
+  normalizeWorkflow
+};
@@ -0,0 +1,266 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Sprint = require('../models/sprint');
+const Task = require('../models/tasks');
+const TaskHistory = require('../models/taskHistory');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for the burndown, cumulative flow and cycle time analytics route.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockOtherUserId = '507f1f77bcf86cd799439016';
+const sprintId = '507f1f77bcf86cd799439031';
+const buildTaskId = '507f1f77bcf86cd799439041';
+const testTaskId = '507f1f77bcf86cd799439042';
+const otherTaskId = '507f1f77bcf86cd799439043';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const alice = { _id: mockUserId, name: 'Alice', email: 'alice@example.com' };
+const bob = { _id: mockOtherUserId, name: 'Bob', email: 'bob@example.com' };
+
+const mockAnalyticsProject = () => {
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue({
+      _id: mockProjectId,
+      projectMembers: [{ user: alice }, { user: bob }],
+      projectTasks: [buildTaskId, testTaskId, otherTaskId],
+      workflow: []
+    })
+  }));
+};
+
+const mockTasks = (tasks) => {
+  const find = jest.spyOn(Task, 'find').mockImplementation(() => ({
+    select: jest.fn().mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(tasks)
+    }))
+  }));
+  return find;
+};
+
+// Started on Sep 2, done on Sep 4 at noon
+const buildTask = {
+  _id: buildTaskId,
+  taskName: 'Build API',
+  createdAt: new Date('2025-08-30T00:00:00.000Z'),
+  taskAssignees: [alice],
+  estimate: 3,
+  sprint: sprintId,
+  progressHistory: [
+    { progress: 'In Progress', timestamp: new Date('2025-09-02T10:00:00.000Z') },
+    { progress: 'Completed', timestamp: new Date('2025-09-04T12:00:00.000Z') }
+  ]
+};
+
+// Added mid-range and never started
+const testTask = {
+  _id: testTaskId,
+  taskName: 'Write tests',
+  createdAt: new Date('2025-09-03T09:00:00.000Z'),
+  taskAssignees: [],
+  estimate: 2,
+  sprint: null,
+  progressHistory: []
+};
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test project analytics', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Rebuilds daily status counts and the burndown from progress history', async () => {
+    mockAnalyticsProject();
+    mockTasks([buildTask, testTask]);
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/analytics`)
+      .query({ from: '2025-09-01', to: '2025-09-05' })
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.from).toBe('2025-09-01');
+    expect(res.body.to).toBe('2025-09-05');
+    expect(res.body.statuses.map(status => status.name)).toEqual(['To Do', 'In Progress', 'Completed']);
+    expect(res.body.cumulativeFlow.map(day => day.counts)).toEqual([
+      { 'To Do': 1 },
+      { 'In Progress': 1 },
+      { 'In Progress': 1, 'To Do': 1 },
+      { Completed: 1, 'To Do': 1 },
+      { Completed: 1, 'To Do': 1 }
+    ]);
+    expect(res.body.burndown.map(day => day.remaining)).toEqual([1, 1, 2, 1, 1]);
+    expect(res.body.burndown.map(day => day.remainingEstimate)).toEqual([3, 3, 5, 2, 2]);
+    expect(res.body.burndown.map(day => day.ideal)).toEqual([1, 0.8, 0.5, 0.3, 0]);
+  });
+
+  test('Averages cycle and lead time per member', async () => {
+    mockAnalyticsProject();
+    mockTasks([buildTask, testTask]);
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/analytics`)
+      .query({ from: '2025-09-01', to: '2025-09-05' })
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.members).toEqual([
+      { user: alice, completed: 1, averageCycleDays: 2.1, averageLeadDays: 5.5 },
+      { user: bob, completed: 0, averageCycleDays: null, averageLeadDays: null }
+    ]);
+    expect(res.body.averageCycleDays).toBe(2.1);
+    expect(res.body.averageLeadDays).toBe(5.5);
+  });
+
+  test('Leaves days after today empty', async () => {
+    mockAnalyticsProject();
+    mockTasks([buildTask]);
+    const today = new Date();
+    const tomorrow = new Date(today.getTime() + 86400000).toISOString().slice(0, 10);
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/analytics`)
+      .query({ from: today.toISOString().slice(0, 10), to: tomorrow })
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.burndown[0].remaining).toBe(0);
+    expect(res.body.burndown[1]).toMatchObject({ date: tomorrow, remaining: null });
+    expect(res.body.cumulativeFlow[1].counts).toBeNull();
+  });
+
+  test('Counts a status change made through a task update', async () => {
+    const task = new Task({
+      _id: otherTaskId,
+      taskName: 'Deploy',
+      taskCreator: mockUserId,
+      taskProgress: 'To Do',
+      taskAssignees: [],
+      createdAt: new Date('2025-09-01T00:00:00.000Z')
+    });
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(TaskHistory, 'insertMany').mockImplementation(entries => Promise.resolve(entries));
+    jest.spyOn(Project, 'findById').mockResolvedValueOnce({
+      _id: mockProjectId,
+      projectOwner: { equals: (id) => id === mockUserId },
+      projectMembers: [{ user: mockUserId }],
+      projectTasks: [otherTaskId],
+      workflow: []
+    });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+
+    const update = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${otherTaskId}`)
+      .set(validHeaders)
+      .send({ taskProgress: 'In Progress' });
+
+    expect(update.statusCode).toBe(200);
+    expect(task.progressHistory).toHaveLength(1);
+    expect(task.progressHistory[0]).toMatchObject({ progress: 'In Progress' });
+    expect(task.progressHistory[0].updatedBy.toString()).toBe(mockUserId);
+
+    mockAnalyticsProject();
+    mockTasks([task.toObject()]);
+    const today = new Date().toISOString().slice(0, 10);
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/analytics`)
+      .query({ from: today, to: today })
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.cumulativeFlow[0].counts).toEqual({ 'In Progress': 1 });
+  });
+
+  test('Limits a sprint report to the sprint scope and dates', async () => {
+    mockAnalyticsProject();
+    mockTasks([buildTask, testTask]);
+    jest.spyOn(Sprint, 'findById').mockResolvedValue(new Sprint({
+      _id: sprintId,
+      project: mockProjectId,
+      name: 'Sprint 1',
+      startDate: new Date('2025-09-01'),
+      endDate: new Date('2025-09-03'),
+      status: 'closed',
+      committedTasks: [buildTaskId]
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/analytics`)
+      .query({ sprint: sprintId })
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sprint).toMatchObject({ name: 'Sprint 1', status: 'closed' });
+    expect(res.body.burndown.map(day => day.date)).toEqual(['2025-09-01', '2025-09-02', '2025-09-03']);
+    expect(res.body.burndown.map(day => day.remaining)).toEqual([1, 1, 1]);
+  });
+
+  test('Fails for a sprint of another project', async () => {
+    mockAnalyticsProject();
+    jest.spyOn(Sprint, 'findById').mockResolvedValue(new Sprint({
+      _id: sprintId,
+      project: '507f1f77bcf86cd799439099',
+      name: 'Sprint 1',
+      startDate: new Date('2025-09-01'),
+      endDate: new Date('2025-09-03')
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/analytics`)
+      .query({ sprint: sprintId })
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Sprint not found');
+  });
+
+  test('Fails when the range ends before it starts', async () => {
+    mockAnalyticsProject();
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/analytics`)
+      .query({ from: '2025-09-05', to: '2025-09-01' })
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Date range cannot end before it starts');
+  });
+
+  test('Fails when the range is longer than a year', async () => {
+    mockAnalyticsProject();
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/analytics`)
+      .query({ from: '2024-01-01', to: '2025-09-01' })
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Date range cannot exceed one year');
+  });
+
+  test('Fails for a user outside the project', async () => {
+    mockAnalyticsProject();
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/analytics`)
+      .set({ Cookie: `token=${createMockToken('507f1f77bcf86cd799439077')}` });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not a member of this project');
+  });
+});
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Task = require('../models/tasks');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for the Kanban board column order using mockingoose.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockRoleId = '507f1f77bcf86cd799439015';
+const taskA = '507f1f77bcf86cd799439021';
+const taskB = '507f1f77bcf86cd799439022';
+const taskC = '507f1f77bcf86cd799439023';
+const taskD = '507f1f77bcf86cd799439024';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const mockProjectWithRole = (roleName = 'developer') => {
+  const project = {
+    _id: mockProjectId,
+    projectOwner: { equals: (id) => id === mockUserId },
+    projectMembers: [
+      { user: mockUserId, role: { _id: mockRoleId, roleName } }
+    ],
+    projectTasks: [taskA, taskB, taskC, taskD],
+    workflow: []
+  };
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(project)
+  }));
+  return project;
+};
+
+// Tasks of the "In Progress" column: C was ranked first, A second, B never ranked
+const inProgressTasks = [
+  { _id: taskA, taskName: 'A', taskProgress: 'In Progress', boardRank: 1 },
+  { _id: taskB, taskName: 'B', taskProgress: 'In Progress', boardRank: null },
+  { _id: taskC, taskName: 'C', taskProgress: 'In Progress', boardRank: 0 }
+];
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test reordering board columns', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Ranks the listed tasks first and keeps the rest in their order', async () => {
+    mockProjectWithRole();
+    mockingoose(Task).toReturn(inProgressTasks, 'find');
+    const bulkWrite = jest.spyOn(Task, 'bulkWrite').mockResolvedValue({});
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/board/order`)
+      .set(validHeaders)
+      .send({ status: 'In Progress', taskIds: [taskB] });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Board column reordered successfully');
+    expect(res.body.tasks).toEqual([
+      { _id: taskB, boardRank: 0 },
+      { _id: taskC, boardRank: 1 },
+      { _id: taskA, boardRank: 2 }
+    ]);
+    const updates = bulkWrite.mock.calls[0][0].map(op => [op.updateOne.filter._id.toString(), op.updateOne.update.$set.boardRank]);
+    expect(updates).toEqual([[taskB, 0], [taskC, 1], [taskA, 2]]);
+  });
+
+  test('Fails when a task is not in the column', async () => {
+    mockProjectWithRole();
+    mockingoose(Task).toReturn(inProgressTasks, 'find');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/board/order`)
+      .set(validHeaders)
+      .send({ status: 'In Progress', taskIds: [taskA, taskD] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Board order must list tasks of the column at most once');
+  });
+
+  test('Fails for statuses outside the workflow', async () => {
+    mockProjectWithRole();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/board/order`)
+      .set(validHeaders)
+      .send({ status: 'Shipped', taskIds: [] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Status is not part of this project\'s workflow');
+  });
+
+  test('Fails for viewers', async () => {
+    mockProjectWithRole('viewer');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/board/order`)
+      .set(validHeaders)
+      .send({ status: 'In Progress', taskIds: [taskA] });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Viewers are not authorized to reorder tasks');
+  });
+});
+
+describe('Test board rank on status changes', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Moves a task to the bottom of its new column', async () => {
+    mockProjectWithRole();
+    const task = new Task({
+      _id: taskA,
+      taskName: 'A',
+      taskDescription: 'First task',
+      taskDeadline: new Date('2025-09-01'),
+      taskCreator: mockUserId,
+      taskProgress: 'To Do',
+      boardRank: 0
+    });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    mockingoose(Task).toReturn(0, 'countDocuments');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${taskA}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'In Progress' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.task.boardRank).toBeNull();
+  });
+});
@@ -0,0 +1,271 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Task = require('../models/tasks');
+const projectService = require('../services/projectService');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for bulk task changes: validation, per-task permissions and the result report.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockTaskId = '507f1f77bcf86cd799439013';
+const mockOtherTaskId = '507f1f77bcf86cd799439014';
+const mockForeignTaskId = '507f1f77bcf86cd799439015';
+const mockMemberId = '507f1f77bcf86cd799439016';
+const mockLabelId = '507f1f77bcf86cd799439017';
+const mockOldLabelId = '507f1f77bcf86cd799439018';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const mockProject = {
+  _id: mockProjectId,
+  projectOwner: mockUserId,
+  projectMembers: [
+    { user: mockUserId, role: '507f1f77bcf86cd799439021' },
+    { user: mockMemberId, role: '507f1f77bcf86cd799439022' }
+  ],
+  projectTasks: [mockTaskId, mockOtherTaskId]
+};
+
+const mockTasks = [
+  {
+    _id: mockTaskId,
+    taskName: 'Login form',
+    taskDeadline: new Date('2025-09-10T00:00:00.000Z'),
+    taskStartDate: new Date('2025-09-01T00:00:00.000Z'),
+    labels: [mockOldLabelId]
+  },
+  {
+    _id: mockOtherTaskId,
+    taskName: 'Signup form',
+    taskDeadline: new Date('2025-09-20T00:00:00.000Z'),
+    labels: []
+  }
+];
+
+const bulkRequest = (body, userId = mockUserId) => request(app)
+  .post(`/api/projects/${mockProjectId}/tasks/bulk`)
+  .set({ Cookie: `token=${createMockToken(userId)}` })
+  .send(body);
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test bulk task changes', () => {
+  test('Reassigns every task and reports each result', async () => {
+    mockingoose(Project).toReturn(mockProject, 'findOne');
+    mockingoose(Task).toReturn(mockTasks, 'find');
+    const assign = jest.spyOn(projectService, 'updateTaskAssignees').mockResolvedValue({});
+
+    const res = await bulkRequest({ taskIds: [mockTaskId, mockOtherTaskId], changes: { taskAssignees: [mockMemberId] } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      results: [
+        { taskId: mockTaskId, taskName: 'Login form', success: true },
+        { taskId: mockOtherTaskId, taskName: 'Signup form', success: true }
+      ],
+      succeeded: 2,
+      failed: 0
+    });
+    expect(assign).toHaveBeenCalledWith(mockProjectId, mockTaskId, [mockMemberId], mockUserId);
+    expect(assign).toHaveBeenCalledWith(mockProjectId, mockOtherTaskId, [mockMemberId], mockUserId);
+  });
+
+  test('Reports tasks the user may not change without stopping the others', async () => {
+    mockingoose(Project).toReturn(mockProject, 'findOne');
+    mockingoose(Task).toReturn(mockTasks, 'find');
+    jest.spyOn(projectService, 'editTaskProgress').mockImplementation((projectId, taskId) => {
+      if (taskId === mockTaskId) {
+        return Promise.reject(new Error('Only the project owner or assigned member can update task progress'));
+      }
+      return Promise.resolve({});
+    });
+
+    const res = await bulkRequest({ taskIds: [mockTaskId, mockOtherTaskId], changes: { taskProgress: 'Completed' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.succeeded).toBe(1);
+    expect(res.body.failed).toBe(1);
+    expect(res.body.results[0]).toEqual({
+      taskId: mockTaskId,
+      taskName: 'Login form',
+      success: false,
+      message: 'Only the project owner or assigned member can update task progress'
+    });
+  });
+
+  test('Reports a task that failed part-way with the changes already applied', async () => {
+    mockingoose(Project).toReturn(mockProject, 'findOne');
+    mockingoose(Task).toReturn(mockTasks, 'find');
+    jest.spyOn(projectService, 'updateTaskAssignees').mockResolvedValue({});
+    jest.spyOn(projectService, 'editTaskProgress').mockImplementation((projectId, taskId) => {
+      if (taskId === mockTaskId) {
+        return Promise.reject(new Error('Task is blocked by unfinished tasks: Design'));
+      }
+      return Promise.resolve({});
+    });
+
+    const res = await bulkRequest({
+      taskIds: [mockTaskId, mockOtherTaskId],
+      changes: { taskAssignees: [mockMemberId], taskProgress: 'In Progress' }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results).toEqual([
+      {
+        taskId: mockTaskId,
+        taskName: 'Login form',
+        success: false,
+        message: 'Task is blocked by unfinished tasks: Design',
+        partial: true,
+        appliedChanges: ['taskAssignees']
+      },
+      { taskId: mockOtherTaskId, taskName: 'Signup form', success: true }
+    ]);
+    expect(res.body.failed).toBe(1);
+  });
+
+  test('Shifts deadlines and start dates and merges labels in one update per task', async () => {
+    mockingoose(Project).toReturn(mockProject, 'findOne');
+    mockingoose(Task).toReturn(mockTasks, 'find');
+    const update = jest.spyOn(projectService, 'updateTask').mockResolvedValue({});
+
+    const res = await bulkRequest({
+      taskIds: [mockTaskId, mockOtherTaskId],
+      changes: { deadlineShiftDays: 3, labels: { add: [mockLabelId], remove: [mockOldLabelId] } }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update).toHaveBeenCalledWith(mockProjectId, mockTaskId, mockUserId, {
+      taskDeadline: new Date('2025-09-13T00:00:00.000Z'),
+      taskStartDate: new Date('2025-09-04T00:00:00.000Z'),
+      labels: [mockLabelId]
+    });
+    expect(update).toHaveBeenCalledWith(mockProjectId, mockOtherTaskId, mockUserId, {
+      taskDeadline: new Date('2025-09-23T00:00:00.000Z'),
+      labels: [mockLabelId]
+    });
+  });
+
+  test('Reports tasks that are not in the project', async () => {
+    mockingoose(Project).toReturn(mockProject, 'findOne');
+    mockingoose(Task).toReturn([mockTasks[0]], 'find');
+    mockingoose(Task).toReturn({ _id: mockTaskId }, 'findOne');
+    const archive = jest.spyOn(projectService, 'archiveTask').mockResolvedValue({});
+
+    const res = await bulkRequest({ taskIds: [mockTaskId, mockForeignTaskId, mockTaskId], changes: { archive: true } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results).toHaveLength(2);
+    expect(res.body.results[1]).toEqual({
+      taskId: mockForeignTaskId,
+      taskName: null,
+      success: false,
+      message: 'Task not found in this project'
+    });
+    expect(archive).toHaveBeenCalledTimes(1);
+  });
+
+  test('Counts subtasks archived with a selected parent as archived', async () => {
+    mockingoose(Project).toReturn(mockProject, 'findOne');
+    mockingoose(Task).toReturn(mockTasks, 'find');
+    // The parent was archived first and took the subtask with it
+    mockingoose(Task).toReturn((query) => (
+      query.getQuery()._id.toString() === mockOtherTaskId
+        ? { _id: mockOtherTaskId, archivedAt: new Date() }
+        : { _id: mockTaskId, archivedAt: null }
+    ), 'findOne');
+    const archive = jest.spyOn(projectService, 'archiveTask').mockResolvedValue({});
+
+    const res = await bulkRequest({ taskIds: [mockTaskId, mockOtherTaskId], changes: { archive: true } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.succeeded).toBe(2);
+    expect(archive).toHaveBeenCalledTimes(1);
+    expect(archive).toHaveBeenCalledWith(mockProjectId, mockTaskId, mockUserId);
+  });
+
+  test('Moves archived tasks to the trash and reports the ones that fail', async () => {
+    mockingoose(Project).toReturn(mockProject, 'findOne');
+    mockingoose(Task).toReturn(mockTasks.map(task => ({ ...task, archivedAt: new Date() })), 'find');
+    mockingoose(Task).toReturn((query) => ({ _id: query.getQuery()._id, archivedAt: new Date(), deletedAt: null }), 'findOne');
+    jest.spyOn(projectService, 'deleteTask').mockImplementation((projectId, taskId) => (
+      taskId === mockTaskId
+        ? Promise.resolve({ success: true })
+        : Promise.reject(new Error('Only project administrators can delete tasks permanently'))
+    ));
+
+    const res = await bulkRequest({ taskIds: [mockTaskId, mockOtherTaskId], changes: { delete: true } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.succeeded).toBe(1);
+    expect(res.body.results[1].message).toBe('Only project administrators can delete tasks permanently');
+  });
+
+  test('Rejects an empty task list', async () => {
+    const res = await bulkRequest({ taskIds: [], changes: { archive: true } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Select at least one task');
+  });
+
+  test('Rejects more than 100 tasks', async () => {
+    const taskIds = Array.from({ length: 101 }, (_, i) => `507f1f77bcf86cd7994${String(i).padStart(5, '0')}`);
+
+    const res = await bulkRequest({ taskIds, changes: { archive: true } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('At most 100 tasks can be changed at once');
+  });
+
+  test('Rejects a request without changes', async () => {
+    const res = await bulkRequest({ taskIds: [mockTaskId], changes: { labels: { add: [] } } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('No changes requested');
+  });
+
+  test('Rejects archiving combined with other changes', async () => {
+    const res = await bulkRequest({ taskIds: [mockTaskId], changes: { archive: true, taskProgress: 'Completed' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Archive and delete cannot be combined with other changes');
+  });
+
+  test('Rejects a fractional deadline shift', async () => {
+    const res = await bulkRequest({ taskIds: [mockTaskId], changes: { deadlineShiftDays: 1.5 } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Deadline shift must be a non-zero whole number of days');
+  });
+
+  test('Rejects users outside the project', async () => {
+    mockingoose(Project).toReturn(mockProject, 'findOne');
+
+    const res = await bulkRequest({ taskIds: [mockTaskId], changes: { archive: true } }, '507f1f77bcf86cd799439099');
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not a member of this project');
+  });
+
+  test('Returns 404 when the project does not exist', async () => {
+    mockingoose(Project).toReturn(null, 'findOne');
+
+    const res = await bulkRequest({ taskIds: [mockTaskId], changes: { archive: true } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Project not found');
+  });
+});
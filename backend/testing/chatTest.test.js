@@ -2,6 +2,7 @@ const request = require('supertest');
 const app = require('../app');
 const mockingoose = require('mockingoose');
 const Project = require('../models/project');
+const Role = require('../models/roles');
 const jwt = require('jsonwebtoken');
 const aiChatService = require('../services/aiChatService');
 
@@ -34,6 +35,13 @@ describe('Chat API Endpoints', () => {
   const validToken = createValidToken(userId);
 
   describe('POST /api/chat/:projectId/message', () => {
+    const roleId = '507f1f77bcf86cd799439013';
+
+    beforeEach(() => {
+      mockingoose(Project).toReturn({ _id: projectId, projectMembers: [{ user: userId, role: roleId }] }, 'findOne');
+      mockingoose(Role).toReturn({ _id: roleId, roleName: 'viewer' }, 'findOne');
+    });
+
     test('should send message successfully with valid input', async () => {
       const mockResponse = {
         success: true,
@@ -152,6 +160,31 @@ describe('Chat API Endpoints', () => {
       expect(res.body.message).toBe('AI service unavailable');
     });
 
+    test('should reject members whose role may not use the AI assistant', async () => {
+      mockingoose(Role).toReturn({ _id: roleId, roleName: 'Reporter', project: projectId, permissions: ['create_posts'] }, 'findOne');
+
+      const res = await request(app)
+        .post(`/api/chat/${projectId}/message`)
+        .set('Cookie', `token=${validToken}`)
+        .send({ message: 'Summarise the project' });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('You are not allowed to use the AI assistant in this project');
+      expect(aiChatService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should reject users who are not project members', async () => {
+      mockingoose(Project).toReturn({ _id: projectId, projectMembers: [] }, 'findOne');
+
+      const res = await request(app)
+        .post(`/api/chat/${projectId}/message`)
+        .set('Cookie', `token=${validToken}`)
+        .send({ message: 'Summarise the project' });
+
+      expect(res.statusCode).toBe(403);
+      expect(aiChatService.sendMessage).not.toHaveBeenCalled();
+    });
+
     test('should require authentication', async () => {
       const res = await request(app)
         .post(`/api/chat/${projectId}/message`)
@@ -253,14 +286,15 @@ describe('AI Chat Service Unit Tests', () => {
             taskName: 'Setup Environment',
             taskDescription: 'Set up development environment',
             taskProgress: 'In Progress',
-            taskAssignee: { name: 'Alice Smith' },
+            taskAssignees: [{ name: 'Alice Smith' }],
+            taskStartDate: new Date('2025-08-11'),
             taskDeadline: new Date('2025-08-15'),
           },
           {
             taskName: 'Design UI',
             taskDescription: null,
             taskProgress: 'To Do',
-            taskAssignee: null,
+            taskAssignees: [],
             taskDeadline: null,
           },
         ],
@@ -280,6 +314,7 @@ describe('AI Chat Service Unit Tests', () => {
       );
       expect(formatted).toContain('Status: In Progress');
       expect(formatted).toContain('Assigned to: Alice Smith');
+      expect(formatted).toContain('Starts: 11 August 2025');
       expect(formatted).toContain('Due: 15 August 2025');
       expect(formatted).toContain('- Design UI: No description');
       expect(formatted).toContain('Assigned to: Not assigned');
@@ -325,6 +360,128 @@ describe('AI Chat Service Unit Tests', () => {
       expect(formatted).toContain('- Member1 - Role: No role assigned');
       expect(formatted).toContain('- Member2 - Role: No role assigned');
     });
+
+    test('should describe shared ownership and watchers', () => {
+      const realAiChatService = require('../services/aiChatService');
+      const alice = { _id: 'alice', name: 'Alice Smith' };
+      const bob = { _id: 'bob', name: 'Bob Johnson' };
+
+      const projectContext = {
+        projectName: 'Test Project',
+        projectDescription: 'Test description',
+        owner: { name: 'Owner' },
+        members: [
+          { user: alice, role: { roleName: 'developer' } },
+          { user: bob, role: { roleName: 'developer' } },
+        ],
+        tasks: [
+          { taskName: 'Pair on API', taskProgress: 'To Do', taskAssignees: [alice, bob], taskWatchers: [] },
+          { taskName: 'Write docs', taskProgress: 'To Do', taskAssignees: [alice], taskWatchers: [bob] },
+        ],
+      };
+
+      const formatted =
+        realAiChatService.formatProjectContextForAI(projectContext);
+
+      expect(formatted).toContain('- Alice Smith - Role: developer - Assigned tasks: 2 (1 shared)');
+      expect(formatted).toContain('- Bob Johnson - Role: developer - Assigned tasks: 1 (1 shared)');
+      expect(formatted).toContain('Assigned to: Alice Smith, Bob Johnson (shared)');
+      expect(formatted).toContain('Watched by: Bob Johnson');
+    });
+
+    test('should nest subtasks beneath their parent task', () => {
+      const realAiChatService = require('../services/aiChatService');
+
+      const projectContext = {
+        projectName: 'Test Project',
+        projectDescription: 'Test description',
+        owner: { name: 'Owner' },
+        members: [],
+        tasks: [
+          {
+            _id: 'parent1',
+            taskName: 'Launch Website',
+            taskDescription: 'Ship the site',
+            taskProgress: 'In Progress',
+            parentTask: null,
+          },
+          {
+            _id: 'child1',
+            taskName: 'Write Copy',
+            taskDescription: 'Landing page text',
+            taskProgress: 'Completed',
+            parentTask: 'parent1',
+          },
+          {
+            _id: 'child2',
+            taskName: 'Deploy',
+            taskDescription: 'Push to production',
+            taskProgress: 'To Do',
+            parentTask: 'parent1',
+          },
+        ],
+      };
+
+      const formatted =
+        realAiChatService.formatProjectContextForAI(projectContext);
+
+      expect(formatted).toContain('- Launch Website: Ship the site');
+      expect(formatted).toContain('  Subtasks (1/2 completed):');
+      expect(formatted).toContain('    - Write Copy: Landing page text');
+      expect(formatted).toContain('    - Deploy: Push to production');
+      expect(formatted).not.toMatch(/^- Write Copy/m);
+    });
+
+    test('should include the comment threads on each task', () => {
+      const realAiChatService = require('../services/aiChatService');
+
+      const projectContext = {
+        projectName: 'Test Project',
+        projectDescription: 'Test description',
+        owner: { name: 'Owner' },
+        members: [],
+        tasks: [
+          { _id: 'task1', taskName: 'Fix login', taskProgress: 'In Progress', parentTask: null },
+          { _id: 'task2', taskName: 'Write docs', taskProgress: 'To Do', parentTask: null },
+        ],
+        taskComments: [
+          { _id: 'c1', task: 'task1', author: { name: 'Alice Smith' }, content: 'Fails on Safari only', parentComment: null },
+          { _id: 'c2', task: 'task1', author: { name: 'Bob Johnson' }, content: 'I can take it', parentComment: 'c1' },
+        ],
+      };
+
+      const formatted =
+        realAiChatService.formatProjectContextForAI(projectContext);
+
+      expect(formatted).toContain('  Comments:\n    - Alice Smith: Fails on Safari only\n      - Reply from Bob Johnson: I can take it\n');
+      expect(formatted.match(/Comments:/g)).toHaveLength(1);
+    });
+
+    test('should describe the project workflow and count custom done statuses', () => {
+      const realAiChatService = require('../services/aiChatService');
+
+      const projectContext = {
+        projectName: 'Test Project',
+        projectDescription: 'Test description',
+        owner: { name: 'Owner' },
+        members: [],
+        workflow: [
+          { name: 'Backlog', category: 'todo', color: '#6c757d', transitions: ['Shipped'] },
+          { name: 'Shipped', category: 'done', color: '#28a745', transitions: [] },
+        ],
+        tasks: [
+          { _id: 'parent1', taskName: 'Release', taskProgress: 'Backlog', parentTask: null },
+          { _id: 'child1', taskName: 'Build', taskProgress: 'Shipped', parentTask: 'parent1' },
+          { _id: 'child2', taskName: 'Announce', taskProgress: 'Backlog', parentTask: 'parent1' },
+        ],
+      };
+
+      const formatted =
+        realAiChatService.formatProjectContextForAI(projectContext);
+
+      expect(formatted).toContain('Workflow: Backlog (todo) -> Shipped (done)');
+      expect(formatted).toContain('  Subtasks (1/2 completed):');
+    });
   });
 
   describe('getProjectContext', () => {
@@ -362,6 +519,9 @@ describe('AI Chat Service Unit Tests', () => {
       jest.doMock('../models/tasks', () => ({
         find: jest.fn(),
       }));
+      jest.doMock('../models/comment', () => ({
+        find: jest.fn(),
+      }));
 
       let svc, axios;
       jest.isolateModules(() => {
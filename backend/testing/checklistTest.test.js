@@ -0,0 +1,275 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Task = require('../models/tasks');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for task checklist routes and the checklist completion rule using mockingoose.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockTaskId = '507f1f77bcf86cd799439013';
+const mockRoleId = '507f1f77bcf86cd799439014';
+const mockMemberId = '507f1f77bcf86cd799439015';
+const mockViewerId = '507f1f77bcf86cd799439016';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+// Project with a developer, a second developer and a viewer
+const mockProjectForChecklist = (overrides = {}) => {
+  const mockProject = {
+    _id: mockProjectId,
+    projectOwner: { equals: (id) => id === mockUserId },
+    projectMembers: [
+      { user: mockUserId, role: { _id: mockRoleId, roleName: 'developer' } },
+      { user: mockMemberId, role: { _id: mockRoleId, roleName: 'developer' } },
+      { user: mockViewerId, role: { _id: mockRoleId, roleName: 'viewer' } }
+    ],
+    projectTasks: [mockTaskId],
+    ...overrides
+  };
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(mockProject)
+  }));
+  return mockProject;
+};
+
+// Task document with a three item checklist
+const mockTaskWithChecklist = (overrides = {}) => {
+  const task = new Task({
+    _id: mockTaskId,
+    taskName: 'Release',
+    taskDeadline: new Date(Date.now() + 86400000),
+    taskCreator: mockUserId,
+    taskProgress: 'In Progress',
+    checklist: [
+      { text: 'Write changelog', done: true },
+      { text: 'Tag version' },
+      { text: 'Publish package' }
+    ],
+    ...overrides
+  });
+  jest.spyOn(Task, 'findById').mockResolvedValue(task);
+  jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  return task;
+};
+
+const checklistUrl = `/api/projects/${mockProjectId}/task/${mockTaskId}/checklist`;
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+});
+
+describe('Test checklist items', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Successfully adds an assigned item to the end of the checklist', async () => {
+    mockProjectForChecklist();
+    mockTaskWithChecklist();
+
+    const res = await request(app)
+      .post(checklistUrl)
+      .set(validHeaders)
+      .send({ text: '  Announce release  ', assignee: mockMemberId });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Checklist item added successfully');
+    expect(res.body.checklist).toHaveLength(4);
+    expect(res.body.checklist[3]).toMatchObject({ text: 'Announce release', done: false, assignee: mockMemberId });
+  });
+
+  test('Rejects blank items', async () => {
+    mockProjectForChecklist();
+    mockTaskWithChecklist();
+
+    const res = await request(app)
+      .post(checklistUrl)
+      .set(validHeaders)
+      .send({ text: '   ' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Checklist item text is required');
+  });
+
+  test('Rejects viewers as item assignees', async () => {
+    mockProjectForChecklist();
+    mockTaskWithChecklist();
+
+    const res = await request(app)
+      .post(checklistUrl)
+      .set(validHeaders)
+      .send({ text: 'Review', assignee: mockViewerId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Viewers cannot be assigned checklist items');
+  });
+
+  test('Viewers cannot edit checklists', async () => {
+    mockProjectForChecklist();
+
+    const res = await request(app)
+      .post(checklistUrl)
+      .set({ Cookie: `token=${createMockToken(mockViewerId)}` })
+      .send({ text: 'Review' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Viewers are not authorized to edit checklists');
+  });
+
+  test('Fails when the task is not in the project', async () => {
+    mockProjectForChecklist({ projectTasks: [] });
+
+    const res = await request(app)
+      .post(checklistUrl)
+      .set(validHeaders)
+      .send({ text: 'Review' });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Task not found in this project');
+  });
+
+  test('Successfully checks off and reassigns an item', async () => {
+    mockProjectForChecklist();
+    const task = mockTaskWithChecklist();
+    const itemId = task.checklist[1]._id.toString();
+
+    const res = await request(app)
+      .put(`${checklistUrl}/${itemId}`)
+      .set(validHeaders)
+      .send({ done: true, assignee: mockMemberId });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Checklist item updated successfully');
+    expect(res.body.checklist[1]).toMatchObject({ text: 'Tag version', done: true, assignee: mockMemberId });
+  });
+
+  test('Fails to update an unknown item', async () => {
+    mockProjectForChecklist();
+    mockTaskWithChecklist();
+
+    const res = await request(app)
+      .put(`${checklistUrl}/507f1f77bcf86cd799439099`)
+      .set(validHeaders)
+      .send({ done: true });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Checklist item not found');
+  });
+
+  test('Successfully deletes an item', async () => {
+    mockProjectForChecklist();
+    const task = mockTaskWithChecklist();
+    const itemId = task.checklist[0]._id.toString();
+
+    const res = await request(app)
+      .delete(`${checklistUrl}/${itemId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.checklist.map(item => item.text)).toEqual(['Tag version', 'Publish package']);
+  });
+
+  test('Successfully reorders the checklist', async () => {
+    mockProjectForChecklist();
+    const task = mockTaskWithChecklist();
+    const [first, second, third] = task.checklist.map(item => item._id.toString());
+
+    const res = await request(app)
+      .put(`${checklistUrl}/order`)
+      .set(validHeaders)
+      .send({ itemIds: [third, first, second] });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.checklist.map(item => item.text)).toEqual(['Publish package', 'Write changelog', 'Tag version']);
+    expect(res.body.checklist[1].done).toBe(true);
+  });
+
+  test('Rejects an order that leaves out items', async () => {
+    mockProjectForChecklist();
+    const task = mockTaskWithChecklist();
+    const [first, second] = task.checklist.map(item => item._id.toString());
+
+    const res = await request(app)
+      .put(`${checklistUrl}/order`)
+      .set(validHeaders)
+      .send({ itemIds: [second, first, first] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Checklist order must list every item exactly once');
+  });
+});
+
+describe('Test checklist completion rule', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Blocks completing a task with open items when the project requires it', async () => {
+    mockProjectForChecklist({ settings: { requireChecklistCompletion: true } });
+    mockTaskWithChecklist();
+    mockingoose(Task).toReturn(0, 'countDocuments');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Checklist has open items: 2 of 3 still to do');
+  });
+
+  test('Allows completing a task with open items when the setting is off', async () => {
+    mockProjectForChecklist({ settings: { requireChecklistCompletion: false } });
+    mockTaskWithChecklist();
+    mockingoose(Task).toReturn(0, 'countDocuments');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.task.taskProgress).toBe('Completed');
+  });
+
+  test('Allows completing a task once every item is done', async () => {
+    mockProjectForChecklist({ settings: { requireChecklistCompletion: true } });
+    mockTaskWithChecklist({ checklist: [{ text: 'Write changelog', done: true }] });
+    mockingoose(Task).toReturn(0, 'countDocuments');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed' });
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  test('Blocks completing through the task update route too', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({
+      _id: mockProjectId,
+      projectOwner: { equals: (id) => id === mockUserId },
+      projectMembers: [{ user: mockUserId, role: mockRoleId }],
+      projectTasks: [mockTaskId],
+      settings: { requireChecklistCompletion: true }
+    });
+    const task = mockTaskWithChecklist();
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    mockingoose(Task).toReturn(0, 'countDocuments');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ taskProgress: 'Completed' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Checklist has open items: 2 of 3 still to do');
+  });
+});
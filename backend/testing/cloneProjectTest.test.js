@@ -0,0 +1,243 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Role = require('../models/roles');
+const User = require('../models/user');
+const Task = require('../models/tasks');
+const Post = require('../models/post');
+const InviteLink = require('../models/inviteLink');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for cloning a project with its settings, tasks and pinned posts.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockParentTaskId = '507f1f77bcf86cd799439013';
+const mockSubtaskId = '507f1f77bcf86cd799439014';
+const mockDeveloperId = '507f1f77bcf86cd799439015';
+const mockAdminRoleId = '507f1f77bcf86cd799439016';
+const mockDeveloperRoleId = '507f1f77bcf86cd799439017';
+const mockLabelId = '507f1f77bcf86cd799439018';
+const mockPostId = '507f1f77bcf86cd799439019';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const mockSourceProject = {
+  _id: mockProjectId,
+  projectName: 'Course 2025',
+  projectDescription: 'Autumn cohort',
+  projectOwner: mockUserId,
+  projectMembers: [
+    { user: mockUserId, role: mockAdminRoleId },
+    { user: mockDeveloperId, role: mockDeveloperRoleId }
+  ],
+  projectTasks: [mockParentTaskId, mockSubtaskId],
+  projectPosts: [mockPostId],
+  workflow: [],
+  labels: [{ _id: mockLabelId, name: 'Lab', color: '#0d6efd' }],
+  settings: { joinByLinkEnabled: false, estimateUnit: 'hours' }
+};
+
+const mockSourceTasks = [
+  {
+    _id: mockParentTaskId,
+    taskName: 'Assignment 1',
+    taskDescription: 'Hand out the brief',
+    taskStartDate: new Date('2025-09-01T00:00:00.000Z'),
+    taskDeadline: new Date('2025-09-15T00:00:00.000Z'),
+    taskAssignees: [mockUserId, mockDeveloperId],
+    taskWatchers: [mockDeveloperId],
+    labels: [mockLabelId],
+    priority: 'high',
+    estimate: 3,
+    taskProgress: 'Completed',
+    checklist: [{ text: 'Publish brief', done: true, assignee: mockDeveloperId }]
+  },
+  {
+    _id: mockSubtaskId,
+    taskName: 'Mark submissions',
+    taskDeadline: new Date('2025-09-20T00:00:00.000Z'),
+    taskAssignees: [mockDeveloperId],
+    parentTask: mockParentTaskId,
+    blockedBy: [mockParentTaskId],
+    taskProgress: 'In Progress'
+  }
+];
+
+/**
+ * Mocks the lookups and saves of a clone and collects the saved documents
+ * @returns {Object} Saved tasks and posts, and the spy on the project update
+ */
+const mockClone = () => {
+  jest.spyOn(Project, 'findById').mockImplementation((id) => (
+    id === mockProjectId
+      ? Promise.resolve(mockSourceProject)
+      : {
+        populate: jest.fn().mockImplementation(() => ({
+          populate: jest.fn().mockResolvedValue({ _id: id, projectName: 'Course 2026' })
+        }))
+      }
+  ));
+  mockingoose(Role).toReturn({ _id: mockAdminRoleId, roleName: 'administrator' }, 'findOne');
+  mockingoose(Task).toReturn(mockSourceTasks, 'find');
+  mockingoose(User).toReturn({}, 'findOneAndUpdate');
+  const updateProject = jest.spyOn(Project, 'findByIdAndUpdate').mockResolvedValue({});
+
+  const saved = { projects: [], tasks: [], posts: [], inviteLinks: [] };
+  // Every model shares the same save method
+  jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+    if (this instanceof Project) saved.projects.push(this);
+    if (this instanceof Task) saved.tasks.push(this);
+    if (this instanceof Post) saved.posts.push(this);
+    if (this instanceof InviteLink) saved.inviteLinks.push(this);
+    return Promise.resolve(this);
+  });
+  return { saved, updateProject };
+};
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test cloning projects', () => {
+  test('Copies details, settings and tasks into a project owned by the caller', async () => {
+    const { saved, updateProject } = mockClone();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/clone`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({});
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Project cloned successfully');
+
+    const [project] = saved.projects;
+    expect(project.projectName).toBe('Course 2025 (copy)');
+    expect(project.projectDescription).toBe('Autumn cohort');
+    expect(project.projectOwner.toString()).toBe(mockUserId);
+    expect(project.projectMembers).toHaveLength(1);
+    expect(project.projectMembers[0].user.toString()).toBe(mockUserId);
+    expect(project.settings.joinByLinkEnabled).toBe(false);
+    expect(project.settings.estimateUnit).toBe('hours');
+    expect(project.labels[0]._id.toString()).toBe(mockLabelId);
+
+    const [parent, subtask] = saved.tasks;
+    expect(parent._id.toString()).not.toBe(mockParentTaskId);
+    expect(parent.taskDeadline).toEqual(new Date('2025-09-15T00:00:00.000Z'));
+    expect(parent.taskProgress).toBe('Completed');
+    // The kept status is recorded so analytics see the copy in it
+    expect(parent.progressHistory).toHaveLength(1);
+    expect(parent.progressHistory[0].progress).toBe('Completed');
+    expect(parent.progressHistory[0].updatedBy.toString()).toBe(mockUserId);
+    expect(subtask.progressHistory.map(entry => entry.progress)).toEqual(['In Progress']);
+    expect(parent.labels.map(String)).toEqual([mockLabelId]);
+    // Only the caller is a member of the copy
+    expect(parent.taskAssignees.map(String)).toEqual([mockUserId]);
+    expect(parent.taskWatchers).toHaveLength(0);
+    expect(parent.checklist[0].done).toBe(true);
+    expect(parent.checklist[0].assignee).toBeNull();
+    expect(subtask.parentTask).toEqual(parent._id);
+    expect(subtask.blockedBy).toEqual([parent._id]);
+
+    expect(saved.posts).toHaveLength(0);
+    expect(saved.inviteLinks).toHaveLength(0);
+    expect(updateProject).toHaveBeenCalledWith(
+      project._id,
+      { $set: { projectTasks: [parent._id, subtask._id], projectPosts: [] } }
+    );
+  });
+
+  test('Shifts deadlines, resets progress and clears assignees when asked', async () => {
+    const { saved } = mockClone();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/clone`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ projectName: 'Course 2026', deadlineShiftDays: 364, resetProgress: true, clearAssignees: true });
+
+    expect(res.statusCode).toBe(201);
+    expect(saved.projects[0].projectName).toBe('Course 2026');
+    const [parent, subtask] = saved.tasks;
+    expect(parent.taskStartDate).toEqual(new Date('2026-08-31T00:00:00.000Z'));
+    expect(parent.taskDeadline).toEqual(new Date('2026-09-14T00:00:00.000Z'));
+    expect(parent.taskProgress).toBe('To Do');
+    expect(parent.taskAssignees).toHaveLength(0);
+    expect(parent.checklist[0].done).toBe(false);
+    expect(subtask.taskDeadline).toEqual(new Date('2026-09-19T00:00:00.000Z'));
+    expect(subtask.taskProgress).toBe('To Do');
+    expect(parent.progressHistory).toHaveLength(0);
+  });
+
+  test('Copies pinned posts with mentions pointing at the copied tasks', async () => {
+    const { saved, updateProject } = mockClone();
+    mockingoose(Post).toReturn([{
+      _id: mockPostId,
+      title: 'Read me first',
+      content: 'Start with @Assignment1',
+      postType: 'Announcement',
+      author: mockDeveloperId,
+      project: mockProjectId,
+      mentionedTasks: [{ task: mockParentTaskId, mentionText: '@Assignment1' }],
+      pinned: true
+    }], 'find');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/clone`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ includePinnedPosts: true });
+
+    expect(res.statusCode).toBe(201);
+    const [post] = saved.posts;
+    expect(post.title).toBe('Read me first');
+    expect(post.author.toString()).toBe(mockUserId);
+    expect(post.project).toEqual(saved.projects[0]._id);
+    expect(post.pinned).toBe(true);
+    expect(post.mentionedTasks[0].task).toEqual(saved.tasks[0]._id);
+    expect(updateProject.mock.calls[0][1].$set.projectPosts).toEqual([post._id]);
+  });
+
+  test('Only administrators can clone a project', async () => {
+    mockClone();
+    mockingoose(Role).toReturn({ _id: mockDeveloperRoleId, roleName: 'developer' }, 'findOne');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/clone`)
+      .set({ Cookie: `token=${createMockToken(mockDeveloperId)}` })
+      .send({});
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can clone the project');
+  });
+
+  test('Rejects a deadline shift that is not a whole number of days', async () => {
+    mockClone();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/clone`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ deadlineShiftDays: 1.5 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Deadline shift must be a whole number of days');
+  });
+
+  test('Returns 404 for a missing project', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/clone`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({});
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Project not found');
+  });
+});
@@ -0,0 +1,479 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const Project = require('../models/project');
+const Role = require('../models/roles');
+const User = require('../models/user');
+const ProjectInvitation = require('../models/projectInvitation');
+const mailService = require('../services/mailService');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for inviting people to projects by email and the mail service.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockInviteeId = '507f1f77bcf86cd799439013';
+const mockInvitationId = '507f1f77bcf86cd799439014';
+const mockAdminRoleId = '507f1f77bcf86cd799439016';
+const mockDeveloperRoleId = '507f1f77bcf86cd799439017';
+const mockViewerRoleId = '507f1f77bcf86cd799439018';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const adminHeaders = { Cookie: `token=${createMockToken()}` };
+
+// Collects saved invitations; every model shares the same save method
+const collectSavedInvitations = () => {
+  const saved = [];
+  jest.spyOn(ProjectInvitation.prototype, 'save').mockImplementation(function () {
+    if (this instanceof ProjectInvitation) saved.push(this);
+    return Promise.resolve(this);
+  });
+  return saved;
+};
+
+const mockAdminProject = (members) => {
+  const project = {
+    _id: mockProjectId,
+    projectName: 'Capstone',
+    projectDescription: 'Final year project',
+    projectMembers: members || [
+      { user: mockUserId, role: { _id: mockAdminRoleId, roleName: 'administrator' } }
+    ],
+    save: jest.fn().mockResolvedValue(true)
+  };
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(project)
+  }));
+  return project;
+};
+
+const mockInvite = ({ existingUser = null, pendingInvitation = null, sendMail } = {}) => {
+  const project = mockAdminProject();
+  mockingoose(Role).toReturn({ _id: mockDeveloperRoleId, roleName: 'developer' }, 'findOne');
+  jest.spyOn(User, 'findById').mockResolvedValue({ _id: mockUserId, name: 'Ada Admin' });
+  jest.spyOn(User, 'findOne').mockResolvedValue(existingUser);
+  jest.spyOn(ProjectInvitation, 'findOne').mockResolvedValue(pendingInvitation);
+  const userUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+  const sendMailSpy = jest.spyOn(mailService, 'sendMail')
+    .mockImplementation(sendMail || (() => Promise.resolve({ messageId: 'test' })));
+  const saved = collectSavedInvitations();
+  return { project, userUpdateSpy, sendMailSpy, saved };
+};
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test inviting people by email', () => {
+  test('Records a pending invitation and emails a registration link', async () => {
+    const { project, sendMailSpy, saved } = mockInvite();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/invitations`)
+      .set(adminHeaders)
+      .send({ email: '  Jo@Example.com ', role: 'developer' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Invitation sent to jo@example.com');
+    expect(res.body.invitation).toMatchObject({ email: 'jo@example.com', role: 'developer', status: 'pending', emailSent: true });
+    expect(saved).toHaveLength(1);
+    expect(saved[0].role.toString()).toBe(mockDeveloperRoleId);
+    expect(saved[0].invitedBy.toString()).toBe(mockUserId);
+    expect(saved[0].emailSentAt).toBeInstanceOf(Date);
+    expect(saved[0].token).toMatch(/^[0-9a-f]{64}$/);
+    expect(res.body.invitation.token).toBeUndefined();
+    expect(project.save).not.toHaveBeenCalled();
+
+    const mail = sendMailSpy.mock.calls[0][0];
+    expect(mail).toMatchObject({ to: 'jo@example.com', subject: 'You\'re invited to Capstone', template: 'project-invitation' });
+    expect(mail.data).toMatchObject({ projectName: 'Capstone', inviterName: 'Ada Admin', roleName: 'developer', hasAccount: false });
+    expect(mail.data.actionUrl).toMatch(new RegExp(`/register\\?email=jo%40example\\.com&invitation=${saved[0].token}$`));
+  });
+
+  test('Updates the pending invitation when the address is invited again', async () => {
+    const pendingInvitation = new ProjectInvitation({
+      _id: mockInvitationId,
+      projectId: mockProjectId,
+      email: 'jo@example.com',
+      role: mockViewerRoleId,
+      invitedBy: mockInviteeId,
+      token: 'token-from-the-first-email'
+    });
+    const { saved } = mockInvite({ pendingInvitation });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/invitations`)
+      .set(adminHeaders)
+      .send({ email: 'jo@example.com', role: 'developer' });
+
+    expect(res.statusCode).toBe(201);
+    expect(saved).toEqual([pendingInvitation]);
+    expect(pendingInvitation.role.toString()).toBe(mockDeveloperRoleId);
+    expect(pendingInvitation.invitedBy.toString()).toBe(mockUserId);
+    // The link in the earlier email stops working
+    expect(pendingInvitation.token).not.toBe('token-from-the-first-email');
+    expect(ProjectInvitation.findOne).toHaveBeenCalledWith({ projectId: mockProjectId, email: 'jo@example.com', status: 'pending' });
+  });
+
+  test('Sends an address that already has an account an invitation to accept', async () => {
+    const { project, userUpdateSpy, sendMailSpy, saved } = mockInvite({
+      existingUser: { _id: mockInviteeId, name: 'Jo Student', email: 'jo@example.com' }
+    });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/invitations`)
+      .set(adminHeaders)
+      .send({ email: 'jo@example.com', role: 'developer' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Invitation sent to jo@example.com');
+    expect(res.body.invitation.status).toBe('pending');
+    expect(project.projectMembers).toHaveLength(1);
+    expect(project.save).not.toHaveBeenCalled();
+    expect(userUpdateSpy).not.toHaveBeenCalled();
+    expect(saved[0].acceptedBy).toBeNull();
+    const mail = sendMailSpy.mock.calls[0][0];
+    expect(mail).toMatchObject({ template: 'project-invitation', data: { hasAccount: true } });
+    expect(mail.data.actionUrl).toMatch(new RegExp(`/invitations/${saved[0].token}$`));
+  });
+
+  test('Refuses to invite an existing member', async () => {
+    const { saved } = mockInvite({ existingUser: { _id: mockUserId, email: 'ada@example.com' } });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/invitations`)
+      .set(adminHeaders)
+      .send({ email: 'ada@example.com' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('This person is already a member of this project');
+    expect(saved).toHaveLength(0);
+  });
+
+  test('Keeps the invitation when the email cannot be sent', async () => {
+    const { saved } = mockInvite({ sendMail: () => Promise.reject(new Error('Connection refused')) });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/invitations`)
+      .set(adminHeaders)
+      .send({ email: 'jo@example.com' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Invitation saved, but the email to jo@example.com could not be sent');
+    expect(res.body.invitation.emailSent).toBe(false);
+    expect(saved).toHaveLength(1);
+    expect(saved[0].emailSentAt).toBeNull();
+  });
+
+  test('Rejects an invalid address or role', async () => {
+    mockInvite();
+
+    const badEmail = await request(app)
+      .post(`/api/projects/${mockProjectId}/invitations`)
+      .set(adminHeaders)
+      .send({ email: 'not-an-email' });
+    expect(badEmail.statusCode).toBe(400);
+    expect(badEmail.body.message).toBe('Please provide a valid email address');
+
+    const badRole = await request(app)
+      .post(`/api/projects/${mockProjectId}/invitations`)
+      .set(adminHeaders)
+      .send({ email: 'jo@example.com', role: 'administrator' });
+    expect(badRole.statusCode).toBe(400);
+    expect(badRole.body.message).toBe('Invitations can only grant the developer or viewer role');
+  });
+
+  test('Only administrators can invite by email', async () => {
+    mockAdminProject([{ user: mockUserId, role: { _id: mockDeveloperRoleId, roleName: 'developer' } }]);
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/invitations`)
+      .set(adminHeaders)
+      .send({ email: 'jo@example.com' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can invite members by email');
+  });
+});
+
+describe('Test managing pending invitations', () => {
+  test('Lists the pending invitations, newest first', async () => {
+    mockAdminProject();
+    const sort = jest.fn().mockResolvedValue([
+      {
+        _id: mockInvitationId,
+        email: 'jo@example.com',
+        role: { roleName: 'developer' },
+        invitedBy: { name: 'Ada Admin' },
+        status: 'pending',
+        emailSentAt: new Date('2025-09-01T10:00:00.000Z')
+      }
+    ]);
+    const findSpy = jest.spyOn(ProjectInvitation, 'find').mockImplementation(() => ({
+      populate: jest.fn().mockReturnValue({ populate: jest.fn().mockReturnValue({ sort }) })
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/invitations`)
+      .set(adminHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(findSpy).toHaveBeenCalledWith({ projectId: mockProjectId, status: 'pending' });
+    expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(res.body.invitations).toEqual([
+      expect.objectContaining({
+        _id: mockInvitationId,
+        email: 'jo@example.com',
+        role: 'developer',
+        invitedBy: 'Ada Admin',
+        status: 'pending'
+      })
+    ]);
+  });
+
+  test('Revokes a pending invitation', async () => {
+    mockAdminProject();
+    const invitation = new ProjectInvitation({
+      _id: mockInvitationId,
+      projectId: mockProjectId,
+      email: 'jo@example.com',
+      role: mockViewerRoleId,
+      invitedBy: mockUserId
+    });
+    jest.spyOn(ProjectInvitation, 'findOne').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(invitation)
+    }));
+    const saved = collectSavedInvitations();
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/invitations/${mockInvitationId}`)
+      .set(adminHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.invitation.status).toBe('revoked');
+    expect(saved).toEqual([invitation]);
+  });
+
+  test('Cannot revoke an accepted invitation', async () => {
+    mockAdminProject();
+    jest.spyOn(ProjectInvitation, 'findOne').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({ _id: mockInvitationId, status: 'accepted' })
+    }));
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/invitations/${mockInvitationId}`)
+      .set(adminHeaders);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Only pending invitations can be revoked');
+  });
+});
+
+const mockPendingInvitation = (overrides = {}) => ({
+  _id: mockInvitationId,
+  projectId: { _id: mockProjectId, projectName: 'Capstone', projectDescription: 'Final year project' },
+  email: 'jo@example.com',
+  role: { _id: mockDeveloperRoleId, roleName: 'developer' },
+  invitedBy: { _id: mockUserId, name: 'Ada Admin' },
+  status: 'pending',
+  token: 'invitation-token',
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+// Token lookups populate the project, role and inviter before resolving
+const mockInvitationLookup = (invitation) => jest.spyOn(ProjectInvitation, 'findOne').mockImplementation(() => {
+  const query = {
+    populate: jest.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(invitation).then(resolve, reject)
+  };
+  return query;
+});
+
+const mockJoinedProject = () => {
+  const project = {
+    _id: mockProjectId,
+    projectMembers: [{ user: mockUserId, role: mockAdminRoleId }],
+    save: jest.fn().mockResolvedValue(true)
+  };
+  jest.spyOn(Project, 'findById').mockResolvedValue(project);
+  return project;
+};
+
+describe('Test accepting an invitation from its email link', () => {
+  const inviteeHeaders = { Cookie: `token=${createMockToken(mockInviteeId)}` };
+
+  test('Shows the invitation behind a token', async () => {
+    const findSpy = mockInvitationLookup(mockPendingInvitation());
+
+    const res = await request(app)
+      .get('/api/projects/invitations/invitation-token')
+      .set(inviteeHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(findSpy).toHaveBeenCalledWith({ token: 'invitation-token', status: 'pending' });
+    expect(res.body.invitation).toEqual({
+      projectId: mockProjectId,
+      projectName: 'Capstone',
+      projectDescription: 'Final year project',
+      invitedBy: 'Ada Admin',
+      role: 'developer',
+      email: 'jo@example.com'
+    });
+  });
+
+  test('Joins the project and uses up the token', async () => {
+    const invitation = mockPendingInvitation();
+    mockInvitationLookup(invitation);
+    const project = mockJoinedProject();
+    const userUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+
+    const res = await request(app)
+      .post('/api/projects/invitations/invitation-token/accept')
+      .set(inviteeHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ message: 'Invitation accepted', projectId: mockProjectId });
+    expect(project.projectMembers).toHaveLength(2);
+    expect(project.projectMembers[1]).toEqual({ user: mockInviteeId, role: mockDeveloperRoleId });
+    expect(userUpdateSpy).toHaveBeenCalledWith(mockInviteeId, { $addToSet: { userProjects: mockProjectId } });
+    expect(invitation).toMatchObject({ status: 'accepted', token: null, acceptedBy: mockInviteeId });
+    expect(invitation.save).toHaveBeenCalled();
+  });
+
+  test('Refuses a token that is unknown or already used', async () => {
+    mockInvitationLookup(null);
+
+    const res = await request(app)
+      .post('/api/projects/invitations/used-token/accept')
+      .set(inviteeHeaders);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('This invitation is invalid or has already been used');
+  });
+});
+
+describe('Test registering through an invitation', () => {
+  const register = (invitationToken) => request(app)
+    .post('/api/register')
+    .send({ name: 'Jo Student', email: 'Jo@Example.com', password: 'Password123!', invitationToken });
+
+  beforeEach(() => {
+    mockingoose(User).toReturn(null, 'findOne');
+    jest.spyOn(bcrypt, 'hash').mockResolvedValue('hashed-password');
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  test('Joins the project whose invitation token came with the registration', async () => {
+    const invitation = mockPendingInvitation();
+    const findSpy = mockInvitationLookup(invitation);
+    const project = mockJoinedProject();
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+
+    const res = await register('invitation-token');
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.joinedProjects).toEqual([mockProjectId]);
+    expect(findSpy).toHaveBeenCalledWith({ token: 'invitation-token', status: 'pending' });
+    expect(project.projectMembers).toHaveLength(2);
+    expect(project.projectMembers[1].role.toString()).toBe(mockDeveloperRoleId);
+    expect(invitation.status).toBe('accepted');
+    expect(invitation.acceptedAt).toBeInstanceOf(Date);
+  });
+
+  test('Registering with an invited address but no token joins nothing', async () => {
+    const findSpy = jest.spyOn(ProjectInvitation, 'findOne');
+    const listSpy = jest.spyOn(ProjectInvitation, 'find');
+
+    const res = await register();
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.joinedProjects).toEqual([]);
+    expect(findSpy).not.toHaveBeenCalled();
+    expect(listSpy).not.toHaveBeenCalled();
+  });
+
+  test('Still registers the user when the invitation cannot be accepted', async () => {
+    mockInvitationLookup(null);
+
+    const res = await register('used-token');
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.joinedProjects).toEqual([]);
+  });
+});
+
+describe('Test the mail service', () => {
+  afterEach(() => {
+    mailService.setMailTransport(null);
+  });
+
+  test('Renders the invitation template and writes it with the file transport', async () => {
+    const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-outbox-'));
+    mailService.setMailTransport(mailService.createFileTransport(outbox));
+
+    try {
+      const info = await mailService.sendMail({
+        to: 'jo@example.com',
+        subject: 'You\'re invited to Capstone',
+        template: 'project-invitation',
+        data: {
+          projectName: 'Capstone & Co',
+          inviterName: 'Ada Admin',
+          roleName: 'developer',
+          actionUrl: 'http://localhost:3001/register?email=jo%40example.com&invitation=abc'
+        }
+      });
+
+      expect(fs.readdirSync(outbox)).toEqual([path.basename(info.path)]);
+      const message = fs.readFileSync(info.path, 'utf8');
+      expect(message).toContain('To: jo@example.com');
+      expect(message).toContain('Subject: You\'re invited to Capstone');
+      expect(message).toContain('Ada Admin has invited you to join');
+      expect(message).toContain('Content-Type: text/html');
+    } finally {
+      fs.rmSync(outbox, { recursive: true, force: true });
+    }
+  });
+
+  test('Escapes values in the HTML version only', async () => {
+    const { html, text } = await mailService.renderTemplate('project-invitation', {
+      projectName: '<Capstone>',
+      inviterName: 'Ada Admin',
+      roleName: 'viewer',
+      hasAccount: true,
+      actionUrl: 'http://localhost:3001/invitations/1'
+    });
+
+    expect(html).toContain('&lt;Capstone&gt;');
+    expect(text).toContain('"<Capstone>"');
+  });
+
+  test('Refuses an unknown transport', () => {
+    const previous = process.env.MAIL_TRANSPORT;
+    process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+    try {
+      expect(() => mailService.getMailTransport()).toThrow('Unknown mail transport: carrier-pigeon');
+    } finally {
+      if (previous === undefined) {
+        delete process.env.MAIL_TRANSPORT;
+      } else {
+        process.env.MAIL_TRANSPORT = previous;
+      }
+    }
+  });
+});
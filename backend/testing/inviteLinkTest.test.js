@@ -0,0 +1,325 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Role = require('../models/roles');
+const User = require('../models/user');
+const InviteLink = require('../models/inviteLink');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for named invite links with expiry, usage limits and a role granted on join.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockJoinerId = '507f1f77bcf86cd799439013';
+const mockLinkId = '507f1f77bcf86cd799439014';
+const mockAdminRoleId = '507f1f77bcf86cd799439015';
+const mockDeveloperRoleId = '507f1f77bcf86cd799439016';
+const mockInviteToken = 'abc123def456ghi789';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const adminHeaders = { Cookie: `token=${createMockToken()}` };
+const joinerHeaders = { Cookie: `token=${createMockToken(mockJoinerId)}` };
+
+const createMockProject = (overrides = {}) => ({
+  _id: mockProjectId,
+  projectMembers: [
+    { user: mockUserId, role: { _id: mockAdminRoleId, roleName: 'administrator' } }
+  ],
+  settings: { joinByLinkEnabled: true },
+  ...overrides
+});
+
+const createMockInviteLink = (overrides = {}) => ({
+  _id: mockLinkId,
+  projectId: mockProjectId,
+  token: mockInviteToken,
+  createdBy: mockUserId,
+  name: 'Developers',
+  role: mockDeveloperRoleId,
+  expiresAt: new Date(Date.now() + 7 * DAY_MS),
+  maxUses: 3,
+  uses: 1,
+  revokedAt: null,
+  ...overrides
+});
+
+const mockAdminProject = (project = createMockProject()) => {
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(project)
+  }));
+  jest.spyOn(Role, 'findById').mockResolvedValue({ _id: mockAdminRoleId, roleName: 'administrator' });
+};
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test creating invite links', () => {
+  test('Creates a named developer link with an expiry date and a usage limit', async () => {
+    mockAdminProject();
+    mockingoose(Role).toReturn({ _id: mockDeveloperRoleId, roleName: 'developer' }, 'findOne');
+    const saved = [];
+    jest.spyOn(InviteLink.prototype, 'save').mockImplementation(function () {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+    const expiresAt = new Date(Date.now() + 3 * DAY_MS).toISOString();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/invite`)
+      .set(adminHeaders)
+      .send({ name: '  Developers  ', role: 'developer', expiresAt, maxUses: 5 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.inviteLink).toMatchObject({
+      name: 'Developers',
+      role: 'developer',
+      expiresAt,
+      maxUses: 5,
+      uses: 0,
+      status: 'active'
+    });
+    expect(res.body.inviteLink.token).toHaveLength(64);
+    expect(saved).toHaveLength(1);
+    expect(saved[0].role.toString()).toBe(mockDeveloperRoleId);
+  });
+
+  test('Creates a new link on every call instead of reusing the existing one', async () => {
+    mockAdminProject();
+    jest.spyOn(InviteLink.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+
+    const first = await request(app).post(`/api/projects/${mockProjectId}/invite`).set(adminHeaders).send({});
+    const second = await request(app).post(`/api/projects/${mockProjectId}/invite`).set(adminHeaders).send({});
+
+    expect(first.statusCode).toBe(201);
+    expect(second.statusCode).toBe(201);
+    expect(first.body.inviteLink.role).toBe('viewer');
+    expect(first.body.inviteLink.token).not.toBe(second.body.inviteLink.token);
+  });
+
+  test.each([
+    [{ role: 'administrator' }, 'Invite links can only grant the developer or viewer role'],
+    [{ expiresAt: 'soon' }, 'Invalid expiry date'],
+    [{ expiresAt: new Date(Date.now() - DAY_MS).toISOString() }, 'Expiry date must be in the future'],
+    [{ maxUses: 0 }, 'Maximum uses must be a whole number from 1 to 1000'],
+    [{ maxUses: 2.5 }, 'Maximum uses must be a whole number from 1 to 1000'],
+    [{ name: 'x'.repeat(61) }, 'Invite link name must be at most 60 characters']
+  ])('Rejects invalid link settings %j', async (body, message) => {
+    mockAdminProject();
+    const saveSpy = jest.spyOn(InviteLink.prototype, 'save');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/invite`)
+      .set(adminHeaders)
+      .send(body);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(message);
+    expect(saveSpy).not.toHaveBeenCalled();
+  });
+
+  test('Fails when joining by link is disabled', async () => {
+    mockAdminProject(createMockProject({ settings: { joinByLinkEnabled: false } }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/invite`)
+      .set(adminHeaders)
+      .send({});
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Joining by invite link is disabled for this project');
+  });
+});
+
+describe('Test joining with an invite link', () => {
+  const mockJoin = (inviteLink, updateResult = { modifiedCount: 1 }) => {
+    mockingoose(InviteLink).toReturn(inviteLink, 'findOne');
+    const project = {
+      _id: mockProjectId,
+      projectMembers: [{ user: mockUserId, role: mockAdminRoleId }],
+      save: jest.fn().mockResolvedValue(true)
+    };
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+    jest.spyOn(Role, 'findById').mockResolvedValue({ _id: mockDeveloperRoleId, roleName: 'developer' });
+    const updateSpy = jest.spyOn(InviteLink, 'updateOne').mockResolvedValue(updateResult);
+    mockingoose(User).toReturn({ modifiedCount: 1 }, 'findOneAndUpdate');
+    return { project, updateSpy };
+  };
+
+  test('Grants the role of the link and counts the use', async () => {
+    const { project, updateSpy } = mockJoin(createMockInviteLink());
+
+    const res = await request(app)
+      .post('/api/projects/join')
+      .set(joinerHeaders)
+      .send({ token: mockInviteToken });
+
+    expect(res.statusCode).toBe(200);
+    expect(project.projectMembers[1]).toMatchObject({ user: mockJoinerId });
+    expect(project.projectMembers[1].role.toString()).toBe(mockDeveloperRoleId);
+    expect(project.save).toHaveBeenCalled();
+    const [filter, update] = updateSpy.mock.calls[0];
+    expect(filter.uses).toEqual({ $lt: 3 });
+    expect(update.$inc).toEqual({ uses: 1 });
+  });
+
+  test.each([
+    [{ revokedAt: new Date() }, 'This invite link has been revoked'],
+    [{ expiresAt: new Date(Date.now() - DAY_MS) }, 'This invite link has expired'],
+    [{ uses: 3 }, 'This invite link has reached its usage limit']
+  ])('Refuses a link that can no longer be used %j', async (overrides, message) => {
+    const { project, updateSpy } = mockJoin(createMockInviteLink(overrides));
+
+    const res = await request(app)
+      .post('/api/projects/join')
+      .set(joinerHeaders)
+      .send({ token: mockInviteToken });
+
+    expect(res.statusCode).toBe(410);
+    expect(res.body.message).toBe(message);
+    expect(updateSpy).not.toHaveBeenCalled();
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  test('Refuses the join when the last use was taken in the meantime', async () => {
+    const { project } = mockJoin(createMockInviteLink({ uses: 2 }), { modifiedCount: 0 });
+
+    const res = await request(app)
+      .post('/api/projects/join')
+      .set(joinerHeaders)
+      .send({ token: mockInviteToken });
+
+    expect(res.statusCode).toBe(410);
+    expect(res.body.message).toBe('This invite link has reached its usage limit');
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  test('Shows the role granted on join in the invite preview', async () => {
+    const inviteLink = {
+      ...createMockInviteLink(),
+      createdBy: { name: 'Ada Admin' },
+      projectId: { projectName: 'Capstone', projectDescription: 'Final year project' }
+    };
+    jest.spyOn(InviteLink, 'findOne').mockImplementation(() => ({
+      populate: jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue(inviteLink)
+      })
+    }));
+    jest.spyOn(Role, 'findById').mockResolvedValue({ _id: mockDeveloperRoleId, roleName: 'developer' });
+
+    const res = await request(app)
+      .get(`/api/projects/invite/details?token=${mockInviteToken}`)
+      .set(joinerHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.project).toMatchObject({ projectName: 'Capstone', invitedBy: 'Ada Admin', role: 'developer' });
+  });
+
+  test('Refuses to preview an expired link', async () => {
+    const inviteLink = { ...createMockInviteLink({ expiresAt: new Date(Date.now() - DAY_MS) }) };
+    jest.spyOn(InviteLink, 'findOne').mockImplementation(() => ({
+      populate: jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue(inviteLink)
+      })
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/invite/details?token=${mockInviteToken}`)
+      .set(joinerHeaders);
+
+    expect(res.statusCode).toBe(410);
+    expect(res.body.message).toBe('This invite link has expired');
+  });
+});
+
+describe('Test listing and revoking invite links', () => {
+  test('Lists every link with its usage and status', async () => {
+    mockAdminProject();
+    const links = [
+      createMockInviteLink({ role: { _id: mockDeveloperRoleId, roleName: 'developer' }, createdBy: { _id: mockUserId, name: 'Ada Admin' } }),
+      createMockInviteLink({ _id: '507f1f77bcf86cd799439020', name: 'Viewers', role: null, maxUses: 2, uses: 2 }),
+      createMockInviteLink({ _id: '507f1f77bcf86cd799439021', name: 'Old', role: null, revokedAt: new Date() })
+    ];
+    const sort = jest.fn().mockResolvedValue(links);
+    const findSpy = jest.spyOn(InviteLink, 'find').mockImplementation(() => ({
+      populate: jest.fn().mockReturnValue({ populate: jest.fn().mockReturnValue({ sort }) })
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/invite-links`)
+      .set(adminHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(findSpy).toHaveBeenCalledWith({ projectId: mockProjectId });
+    expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(res.body.inviteLinks.map(link => [link.name, link.role, link.uses, link.maxUses, link.status])).toEqual([
+      ['Developers', 'developer', 1, 3, 'active'],
+      ['Viewers', 'viewer', 2, 2, 'used up'],
+      ['Old', 'viewer', 1, 3, 'revoked']
+    ]);
+    expect(res.body.inviteLinks[0].createdBy).toEqual({ _id: mockUserId, name: 'Ada Admin' });
+  });
+
+  test('Only administrators can list invite links', async () => {
+    mockAdminProject(createMockProject({
+      projectMembers: [{ user: mockUserId, role: { _id: mockDeveloperRoleId, roleName: 'developer' } }]
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/invite-links`)
+      .set(adminHeaders);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can manage invite links');
+  });
+
+  test('Revokes a single link and keeps it for its usage stats', async () => {
+    mockAdminProject();
+    const inviteLink = new InviteLink(createMockInviteLink({ role: null }));
+    const findOneSpy = jest.spyOn(InviteLink, 'findOne').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(inviteLink)
+    }));
+    const saveSpy = jest.spyOn(InviteLink.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    const deleteSpy = jest.spyOn(InviteLink, 'deleteMany');
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/invite-links/${mockLinkId}`)
+      .set(adminHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Invite link revoked');
+    expect(res.body.inviteLink.status).toBe('revoked');
+    expect(findOneSpy).toHaveBeenCalledWith({ _id: mockLinkId, projectId: mockProjectId });
+    expect(inviteLink.revokedAt).toBeInstanceOf(Date);
+    expect(saveSpy).toHaveBeenCalled();
+    expect(deleteSpy).not.toHaveBeenCalled();
+  });
+
+  test('Fails when the link is not part of the project', async () => {
+    mockAdminProject();
+    jest.spyOn(InviteLink, 'findOne').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(null)
+    }));
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/invite-links/${mockLinkId}`)
+      .set(adminHeaders);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Invite link not found');
+  });
+});
@@ -0,0 +1,382 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Role = require('../models/roles');
+const User = require('../models/user');
+const InviteLink = require('../models/inviteLink');
+const JoinRequest = require('../models/joinRequest');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for join requests in projects that require administrator approval.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockJoinerId = '507f1f77bcf86cd799439013';
+const mockLinkId = '507f1f77bcf86cd799439014';
+const mockRequestId = '507f1f77bcf86cd799439015';
+const mockAdminRoleId = '507f1f77bcf86cd799439016';
+const mockDeveloperRoleId = '507f1f77bcf86cd799439017';
+const mockViewerRoleId = '507f1f77bcf86cd799439018';
+const mockCustomRoleId = '507f1f77bcf86cd799439019';
+const mockOtherCustomRoleId = '507f1f77bcf86cd79943901a';
+const mockInviteToken = 'abc123def456ghi789';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const adminHeaders = { Cookie: `token=${createMockToken()}` };
+const joinerHeaders = { Cookie: `token=${createMockToken(mockJoinerId)}` };
+
+const createMockInviteLink = (overrides = {}) => ({
+  _id: mockLinkId,
+  projectId: mockProjectId,
+  token: mockInviteToken,
+  createdBy: mockUserId,
+  role: mockDeveloperRoleId,
+  maxUses: null,
+  uses: 0,
+  ...overrides
+});
+
+// Collects saved join requests; every model shares the same save method
+const collectSavedJoinRequests = () => {
+  const saved = [];
+  jest.spyOn(JoinRequest.prototype, 'save').mockImplementation(function () {
+    if (this instanceof JoinRequest) saved.push(this);
+    return Promise.resolve(this);
+  });
+  return saved;
+};
+
+const mockOpenJoinRequest = (joinRequest) => jest.spyOn(JoinRequest, 'findOne').mockImplementation(() => ({
+  sort: jest.fn().mockResolvedValue(joinRequest)
+}));
+
+const mockAdminProject = (members) => {
+  const project = {
+    _id: mockProjectId,
+    projectMembers: members || [
+      { user: mockUserId, role: { _id: mockAdminRoleId, roleName: 'administrator' } }
+    ],
+    save: jest.fn().mockResolvedValue(true)
+  };
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(project)
+  }));
+  return project;
+};
+
+const mockPendingJoinRequest = (overrides = {}) => {
+  const joinRequest = new JoinRequest({
+    _id: mockRequestId,
+    projectId: mockProjectId,
+    user: mockJoinerId,
+    inviteLink: mockLinkId,
+    status: 'pending',
+    ...overrides
+  });
+  jest.spyOn(JoinRequest, 'findOne').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(joinRequest)
+  }));
+  return joinRequest;
+};
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test joining a project that requires approval', () => {
+  const mockJoin = (openJoinRequest = null) => {
+    mockingoose(InviteLink).toReturn(createMockInviteLink(), 'findOne');
+    const project = {
+      _id: mockProjectId,
+      projectMembers: [{ user: mockUserId, role: mockAdminRoleId }],
+      settings: { requireJoinApproval: true },
+      save: jest.fn().mockResolvedValue(true)
+    };
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+    mockOpenJoinRequest(openJoinRequest);
+    const updateSpy = jest.spyOn(InviteLink, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const saved = collectSavedJoinRequests();
+    return { project, updateSpy, saved };
+  };
+
+  test('Creates a pending request instead of adding the member', async () => {
+    const { project, updateSpy, saved } = mockJoin();
+
+    const res = await request(app)
+      .post('/api/projects/join')
+      .set(joinerHeaders)
+      .send({ token: mockInviteToken });
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.message).toBe('Your request to join has been sent to the project administrators');
+    expect(res.body.project).toMatchObject({ projectId: mockProjectId, status: 'pending' });
+    expect(project.projectMembers).toHaveLength(1);
+    expect(project.save).not.toHaveBeenCalled();
+    expect(updateSpy).toHaveBeenCalled();
+    expect(saved).toHaveLength(1);
+    expect(saved[0].user.toString()).toBe(mockJoinerId);
+    expect(saved[0].requestedRole.toString()).toBe(mockDeveloperRoleId);
+    expect(saved[0].status).toBe('pending');
+  });
+
+  test('Does not create a second request while one is pending', async () => {
+    const { updateSpy, saved } = mockJoin({ status: 'pending' });
+
+    const res = await request(app)
+      .post('/api/projects/join')
+      .set(joinerHeaders)
+      .send({ token: mockInviteToken });
+
+    expect(res.statusCode).toBe(202);
+    expect(updateSpy).not.toHaveBeenCalled();
+    expect(saved).toHaveLength(0);
+  });
+
+  test('Refuses a user whose request was declined', async () => {
+    const { saved } = mockJoin({ status: 'rejected', reason: 'Course staff only' });
+
+    const res = await request(app)
+      .post('/api/projects/join')
+      .set(joinerHeaders)
+      .send({ token: mockInviteToken });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Your request to join this project was declined');
+    expect(saved).toHaveLength(0);
+  });
+
+  test('Shows the pending or rejected request in the invite preview', async () => {
+    const inviteLink = {
+      ...createMockInviteLink({ role: null }),
+      createdBy: { name: 'Ada Admin' },
+      projectId: {
+        _id: mockProjectId,
+        projectName: 'Capstone',
+        projectDescription: 'Final year project',
+        settings: { requireJoinApproval: true }
+      }
+    };
+    jest.spyOn(InviteLink, 'findOne').mockImplementation(() => ({
+      populate: jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue(inviteLink)
+      })
+    }));
+    const findOneSpy = mockOpenJoinRequest({ status: 'rejected', reason: 'Course staff only' });
+
+    const res = await request(app)
+      .get(`/api/projects/invite/details?token=${mockInviteToken}`)
+      .set(joinerHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.project).toMatchObject({
+      requiresApproval: true,
+      joinRequest: { status: 'rejected', reason: 'Course staff only' }
+    });
+    expect(findOneSpy).toHaveBeenCalledWith(expect.objectContaining({ projectId: mockProjectId, user: mockJoinerId }));
+  });
+});
+
+describe('Test reviewing join requests', () => {
+  test('Lists the pending requests, oldest first', async () => {
+    mockAdminProject();
+    const sort = jest.fn().mockResolvedValue([
+      {
+        _id: mockRequestId,
+        user: { _id: mockJoinerId, name: 'Jo Student', email: 'jo@example.com' },
+        requestedRole: { roleName: 'developer' },
+        status: 'pending',
+        createdAt: new Date('2025-09-01T10:00:00.000Z')
+      }
+    ]);
+    const findSpy = jest.spyOn(JoinRequest, 'find').mockImplementation(() => ({
+      populate: jest.fn().mockReturnValue({ populate: jest.fn().mockReturnValue({ sort }) })
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/join-requests`)
+      .set(adminHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(findSpy).toHaveBeenCalledWith({ projectId: mockProjectId, status: 'pending' });
+    expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+    expect(res.body.joinRequests).toEqual([
+      expect.objectContaining({
+        _id: mockRequestId,
+        user: { _id: mockJoinerId, name: 'Jo Student', email: 'jo@example.com' },
+        requestedRole: 'developer',
+        status: 'pending'
+      })
+    ]);
+  });
+
+  test('Only administrators can review join requests', async () => {
+    mockAdminProject([{ user: mockUserId, role: { _id: mockDeveloperRoleId, roleName: 'developer' } }]);
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/join-requests`)
+      .set(adminHeaders);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can review join requests');
+  });
+
+  test('Approves a request with the chosen role and adds the member', async () => {
+    const project = mockAdminProject();
+    const joinRequest = mockPendingJoinRequest({ requestedRole: mockViewerRoleId });
+    mockingoose(Role).toReturn({ _id: mockDeveloperRoleId, roleName: 'developer' }, 'findOne');
+    const userUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+    const saved = collectSavedJoinRequests();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/join-requests/${mockRequestId}/approve`)
+      .set(adminHeaders)
+      .send({ role: 'developer' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Join request approved');
+    expect(res.body.joinRequest).toMatchObject({ status: 'approved', grantedRole: 'developer' });
+    expect(project.projectMembers).toHaveLength(2);
+    expect(project.projectMembers[1].user.toString()).toBe(mockJoinerId);
+    expect(project.projectMembers[1].role.toString()).toBe(mockDeveloperRoleId);
+    expect(project.save).toHaveBeenCalled();
+    expect(userUpdateSpy.mock.calls[0][1]).toEqual({ $addToSet: { userProjects: mockProjectId } });
+    expect(saved).toEqual([joinRequest]);
+    expect(joinRequest.reviewedBy.toString()).toBe(mockUserId);
+  });
+
+  test('Cannot approve a request twice', async () => {
+    mockAdminProject();
+    mockPendingJoinRequest({ status: 'approved' });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/join-requests/${mockRequestId}/approve`)
+      .set(adminHeaders)
+      .send({ role: 'developer' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('This join request has already been reviewed');
+  });
+
+  test('Rejects an unknown role', async () => {
+    mockAdminProject();
+    mockPendingJoinRequest();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/join-requests/${mockRequestId}/approve`)
+      .set(adminHeaders)
+      .send({ role: 'owner' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid role');
+  });
+
+  test('A custom role that manages members cannot approve someone as administrator', async () => {
+    const project = mockAdminProject([{
+      user: mockUserId,
+      role: { _id: mockCustomRoleId, roleName: 'Team Lead', project: mockProjectId, permissions: ['manage_members'] }
+    }]);
+    mockPendingJoinRequest();
+    mockingoose(Role).toReturn({ _id: mockAdminRoleId, roleName: 'administrator' }, 'findOne');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/join-requests/${mockRequestId}/approve`)
+      .set(adminHeaders)
+      .send({ role: 'administrator' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only administrators can grant or remove the administrator role');
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  test('A custom role that manages members cannot approve someone with a stronger custom role', async () => {
+    const project = mockAdminProject([{
+      user: mockUserId,
+      role: { _id: mockCustomRoleId, roleName: 'Team Lead', project: mockProjectId, permissions: ['manage_members'] }
+    }]);
+    mockPendingJoinRequest();
+    mockingoose(Role).toReturn({
+      _id: mockOtherCustomRoleId,
+      roleName: 'Co-owner',
+      project: mockProjectId,
+      permissions: ['manage_members', 'delete_project']
+    }, 'findOne');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/join-requests/${mockRequestId}/approve`)
+      .set(adminHeaders)
+      .send({ role: mockOtherCustomRoleId });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You cannot grant a permission your own role does not have: delete_project');
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  test('Approves a request with one of the project\'s custom roles', async () => {
+    const project = mockAdminProject();
+    mockPendingJoinRequest();
+    mockingoose(Role).toReturn({ _id: mockCustomRoleId, roleName: 'QA Lead', project: mockProjectId }, 'findOne');
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+    collectSavedJoinRequests();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/join-requests/${mockRequestId}/approve`)
+      .set(adminHeaders)
+      .send({ role: mockCustomRoleId });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.joinRequest).toMatchObject({ status: 'approved', grantedRole: 'QA Lead' });
+    expect(project.projectMembers[1].role.toString()).toBe(mockCustomRoleId);
+  });
+
+  test('Rejects a request with a reason', async () => {
+    const project = mockAdminProject();
+    const joinRequest = mockPendingJoinRequest();
+    collectSavedJoinRequests();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/join-requests/${mockRequestId}/reject`)
+      .set(adminHeaders)
+      .send({ reason: '  Course staff only  ' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.joinRequest).toMatchObject({ status: 'rejected', reason: 'Course staff only' });
+    expect(joinRequest.status).toBe('rejected');
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  test('Requires a reason to reject a request', async () => {
+    mockAdminProject();
+    mockPendingJoinRequest();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/join-requests/${mockRequestId}/reject`)
+      .set(adminHeaders)
+      .send({ reason: '   ' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('A reason is required to reject a join request');
+  });
+
+  test('Turns join approval on in the project settings', async () => {
+    const project = mockAdminProject();
+    project.settings = { joinByLinkEnabled: true };
+    project.save = jest.fn().mockResolvedValue(project);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/settings`)
+      .set(adminHeaders)
+      .send({ settings: { requireJoinApproval: true } });
+
+    expect(res.statusCode).toBe(200);
+    expect(project.settings.requireJoinApproval).toBe(true);
+  });
+});
@@ -30,7 +30,7 @@ const createMockTask = (overrides = {}) => ({
   taskDescription: 'Test task description',
   taskDeadline: new Date(Date.now() + 86400000), // Tomorrow
   taskCreator: mockUserId,
-  taskAssignee: null,
+  taskAssignees: [],
   taskProgress: 'To Do',
   progressHistory: [],
   createdAt: new Date(),
@@ -450,6 +450,7 @@ describe('Test task assignment', () => {
         { user: { _id: { equals: (id) => id === mockUserId }, name: 'Test User', email: 'test@example.com' } },
         { user: { _id: { equals: (id) => id === mockMemberId }, name: 'Member User', email: 'member@example.com' } }
       ],
+      projectTasks: [mockTaskId],
     };
     jest.spyOn(Project, 'findById').mockImplementation(() => ({
       populate: jest.fn().mockResolvedValue(mockProject)
@@ -458,9 +459,9 @@ describe('Test task assignment', () => {
     // Mock Task.findById to return the task
     const mockTask = {
       ...createMockTask(),
-      taskAssignee: null, // Initially unassigned
+      taskAssignees: [], // Initially unassigned
     };
-    const saveMock = jest.fn().mockResolvedValue({ ...mockTask, taskAssignee: mockMemberId });
+    const saveMock = jest.fn().mockResolvedValue({ ...mockTask, taskAssignees: [mockMemberId] });
     
     // Mock the first Task.findById call (for getting the task)
     const mockTaskWithSave = { ...mockTask, save: saveMock };
@@ -468,11 +469,11 @@ describe('Test task assignment', () => {
     // Mock the second Task.findById call (for getting populated task)
     const mockPopulatedTask = {
       ...createMockTask(),
-      taskAssignee: {
+      taskAssignees: [{
         _id: mockMemberId,
         name: 'Member User',
         email: 'member@example.com'
-      }
+      }]
     };
     
     jest.spyOn(Task, 'findById')
@@ -487,13 +488,14 @@ describe('Test task assignment', () => {
 
     expect(res.statusCode).toBe(200);
     expect(res.body.message).toBe('Task assigned successfully');
+    expect(mockTaskWithSave.taskAssignees).toEqual([mockMemberId]);
     expect(res.body.task).toMatchObject({
       _id: mockTaskId,
-      taskAssignee: expect.objectContaining({
+      taskAssignees: [expect.objectContaining({
         _id: mockMemberId,
         name: 'Member User',
         email: 'member@example.com'
-      })
+      })]
     });
   });
 
@@ -520,6 +522,7 @@ describe('Test task assignment', () => {
         { user: { _id: { equals: (id) => id === mockUserId }, name: 'Test User', email: 'test@example.com' } },
         { user: { _id: { equals: (id) => id === mockMemberId }, name: 'Member User', email: 'member@example.com' } }
       ],
+      projectTasks: [mockTaskId],
     };
     jest.spyOn(Project, 'findById').mockImplementation(() => ({
       populate: jest.fn().mockResolvedValue(mockProject)
@@ -545,6 +548,7 @@ describe('Test task assignment', () => {
         { user: { _id: { equals: (id) => id === mockUserId }, name: 'Test User', email: 'test@example.com' } }
         // mockMemberId is NOT in the projectMembers array
       ],
+      projectTasks: [mockTaskId],
     };
     jest.spyOn(Project, 'findById').mockImplementation(() => ({
       populate: jest.fn().mockResolvedValue(mockProject)
@@ -553,7 +557,7 @@ describe('Test task assignment', () => {
     // Mock Task.findById to return the task
     const mockTask = {
       ...createMockTask(),
-      taskAssignee: null,
+      taskAssignees: [],
     };
     jest.spyOn(Task, 'findById').mockResolvedValue({ ...mockTask, save: jest.fn() });
 
@@ -574,6 +578,7 @@ describe('Test task assignment', () => {
         { user: { _id: { equals: (id) => id === mockUserId }, name: 'Test User', email: 'test@example.com' } },
         { user: { _id: { equals: (id) => id === mockMemberId }, name: 'Member User', email: 'member@example.com' } }
       ],
+      projectTasks: [mockTaskId],
     };
     jest.spyOn(Project, 'findById').mockImplementation(() => ({
       populate: jest.fn().mockResolvedValue(mockProject)
@@ -582,7 +587,7 @@ describe('Test task assignment', () => {
     // Mock Task.findById to return the task
     const mockTask = {
       ...createMockTask(),
-      taskAssignee: null,
+      taskAssignees: [],
     };
     jest.spyOn(Task, 'findById').mockResolvedValue({ ...mockTask, save: jest.fn() });
 
@@ -603,6 +608,7 @@ describe('Test task assignment', () => {
         { user: { _id: { equals: (id) => id === mockUserId }, name: 'Test User', email: 'test@example.com' } },
         { user: { _id: { equals: (id) => id === mockMemberId }, name: 'Member User', email: 'member@example.com' } }
       ],
+      projectTasks: [mockTaskId],
     };
     jest.spyOn(Project, 'findById').mockImplementation(() => ({
       populate: jest.fn().mockResolvedValue(mockProject)
@@ -611,7 +617,7 @@ describe('Test task assignment', () => {
     // Mock Task.findById to return the task, but save() throws an error
     const mockTask = {
       ...createMockTask(),
-      taskAssignee: null,
+      taskAssignees: [],
     };
     const saveMock = jest.fn().mockRejectedValue(new Error('Database error'));
     jest.spyOn(Task, 'findById').mockResolvedValue({ ...mockTask, save: saveMock });
@@ -623,4 +629,259 @@ describe('Test task assignment', () => {
     expect(res.statusCode).toBe(500);
     expect(res.body.message).toBe('Database error');
   });
+
+  const mockAssignableProject = (memberRole) => ({
+    _id: mockProjectId,
+    projectOwner: { equals: (id) => id === mockUserId },
+    projectMembers: [
+      { user: { _id: { equals: (id) => id === mockUserId }, name: 'Test User', email: 'test@example.com' } },
+      {
+        user: { _id: { equals: (id) => id === mockMemberId }, name: 'Member User', email: 'member@example.com' },
+        role: memberRole
+      }
+    ],
+    projectTasks: [mockTaskId]
+  });
+
+  test('Fails when the task belongs to another project', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({ ...mockAssignableProject(), projectTasks: [] })
+    }));
+    const findTask = jest.spyOn(Task, 'findById');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/assign/${mockMemberId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Task not found in this project');
+    expect(findTask).not.toHaveBeenCalled();
+  });
+
+  test('Fails when the task is archived', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(mockAssignableProject())
+    }));
+    const saveMock = jest.fn();
+    jest.spyOn(Task, 'findById').mockResolvedValue({ ...createMockTask({ archivedAt: new Date() }), save: saveMock });
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/assign/${mockMemberId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Archived tasks cannot be changed');
+    expect(saveMock).not.toHaveBeenCalled();
+  });
+
+  test('Fails when the member is a viewer', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(mockAssignableProject({ roleName: 'viewer' }))
+    }));
+    const saveMock = jest.fn();
+    jest.spyOn(Task, 'findById').mockResolvedValue({ ...createMockTask(), save: saveMock });
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/assign/${mockMemberId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Viewers cannot be assigned to tasks');
+    expect(saveMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('Test multiple assignees', () => {
+  const validHeaders = {
+    Cookie: `token=${createMockToken()}`
+  };
+  const mockViewerId = '507f1f77bcf86cd799439018';
+
+  const mockProjectWithRoles = (overrides = {}) => ({
+    _id: mockProjectId,
+    projectOwner: { equals: (id) => id === mockUserId },
+    projectTasks: [mockTaskId],
+    projectMembers: [
+      { user: mockUserId, role: { roleName: 'administrator' } },
+      { user: mockMemberId, role: { roleName: 'developer' } },
+      { user: mockViewerId, role: { roleName: 'viewer' } }
+    ],
+    ...overrides
+  });
+
+  test('Replaces the assignees of a task', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(mockProjectWithRoles())
+    }));
+    const mockTask = { ...createMockTask(), save: jest.fn().mockResolvedValue() };
+    const mockPopulatedTask = {
+      ...createMockTask(),
+      taskAssignees: [
+        { _id: mockUserId, name: 'Test User', email: 'test@example.com' },
+        { _id: mockMemberId, name: 'Member User', email: 'member@example.com' }
+      ]
+    };
+    jest.spyOn(Task, 'findById')
+      .mockResolvedValueOnce(mockTask)
+      .mockImplementationOnce(() => ({
+        populate: jest.fn().mockResolvedValue(mockPopulatedTask)
+      }));
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/assignees`)
+      .set(validHeaders)
+      .send({ assignees: [mockUserId, mockMemberId, mockMemberId] });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Task assignees updated successfully');
+    expect(mockTask.taskAssignees).toEqual([mockUserId, mockMemberId]);
+    expect(mockTask.save).toHaveBeenCalled();
+    expect(res.body.task.taskAssignees).toHaveLength(2);
+  });
+
+  test('Rejects viewers as assignees', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(mockProjectWithRoles())
+    }));
+    const findTask = jest.spyOn(Task, 'findById');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/assignees`)
+      .set(validHeaders)
+      .send({ assignees: [mockMemberId, mockViewerId] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Viewers cannot be assigned to tasks');
+    expect(findTask).not.toHaveBeenCalled();
+  });
+
+  test('Rejects assignees outside the project', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(mockProjectWithRoles())
+    }));
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/assignees`)
+      .set(validHeaders)
+      .send({ assignees: ['507f1f77bcf86cd799439099'] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Member is not part of this project');
+  });
+
+  test('Only the project owner can change assignees', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(mockProjectWithRoles({
+        projectOwner: { equals: (id) => id === mockMemberId }
+      }))
+    }));
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/assignees`)
+      .set(validHeaders)
+      .send({ assignees: [mockMemberId] });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not authorized to update this task');
+  });
+
+  test('Requires a list of assignees', async () => {
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/assignees`)
+      .set(validHeaders)
+      .send({ assignees: mockMemberId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Assignees must be a list of member IDs');
+  });
+
+  test('Fails for a task of another project before checking permissions', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(mockProjectWithRoles({
+        projectOwner: { equals: (id) => id === mockMemberId },
+        projectTasks: []
+      }))
+    }));
+    const findTask = jest.spyOn(Task, 'findById');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/assignees`)
+      .set(validHeaders)
+      .send({ assignees: [mockMemberId] });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Task not found in this project');
+    expect(findTask).not.toHaveBeenCalled();
+  });
+});
+
+describe('Test task watchers', () => {
+  const validHeaders = {
+    Cookie: `token=${createMockToken(mockMemberId)}`
+  };
+
+  const mockProject = {
+    _id: mockProjectId,
+    projectTasks: [mockTaskId],
+    projectMembers: [
+      { user: mockUserId, role: mockRoleId },
+      { user: mockMemberId, role: mockOtherRoleId }
+    ]
+  };
+
+  test('Members can watch a task', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+    const update = jest.spyOn(Task, 'findByIdAndUpdate').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        ...createMockTask(),
+        taskWatchers: [{ _id: mockMemberId, name: 'Member User', email: 'member@example.com' }]
+      })
+    }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/watch`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('You are now watching this task');
+    expect(update).toHaveBeenCalledWith(mockTaskId, { $addToSet: { taskWatchers: mockMemberId } }, { new: true });
+    expect(res.body.task.taskWatchers[0].name).toBe('Member User');
+  });
+
+  test('Members can stop watching a task', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+    const update = jest.spyOn(Task, 'findByIdAndUpdate').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({ ...createMockTask(), taskWatchers: [] })
+    }));
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/task/${mockTaskId}/watch`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('You are no longer watching this task');
+    expect(update).toHaveBeenCalledWith(mockTaskId, { $pull: { taskWatchers: mockMemberId } }, { new: true });
+  });
+
+  test('Non-members cannot watch a task', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({ ...mockProject, projectMembers: [{ user: mockUserId }] });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/watch`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not a member of this project');
+  });
+
+  test('Fails when the task is not in the project', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({ ...mockProject, projectTasks: [] });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/watch`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Task not found');
+  });
 });
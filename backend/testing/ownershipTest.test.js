@@ -0,0 +1,279 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const mongoose = require('mongoose');
+const Project = require('../models/project');
+const Role = require('../models/roles');
+const User = require('../models/user');
+const ProjectActivity = require('../models/projectActivity');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for transferring project ownership and the project activity log.
+ */
+
+const mockOwnerId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockAdminId = '507f1f77bcf86cd799439013';
+const mockDeveloperId = '507f1f77bcf86cd799439014';
+const mockOutsiderId = '507f1f77bcf86cd799439015';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const headersFor = (userId) => ({ Cookie: `token=${createMockToken(userId)}` });
+
+const objectId = (id) => new mongoose.Types.ObjectId(id);
+
+const mockOwnershipProject = (pendingOwner = null) => {
+  const project = {
+    _id: mockProjectId,
+    projectOwner: objectId(mockOwnerId),
+    pendingOwnershipTransfer: { to: pendingOwner ? objectId(pendingOwner) : null, requestedAt: null },
+    projectMembers: [
+      { user: objectId(mockOwnerId), role: { roleName: 'administrator' } },
+      { user: objectId(mockAdminId), role: { roleName: 'administrator' } },
+      { user: objectId(mockDeveloperId), role: { roleName: 'developer' } }
+    ],
+    save: jest.fn().mockResolvedValue(true)
+  };
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(project)
+  }));
+  return project;
+};
+
+const mockActivityLog = () => jest.spyOn(ProjectActivity, 'create').mockImplementation(entry => Promise.resolve(entry));
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test requesting an ownership transfer', () => {
+  test('The owner proposes another administrator', async () => {
+    const project = mockOwnershipProject();
+    const activitySpy = mockActivityLog();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/ownership-transfer`)
+      .set(headersFor(mockOwnerId))
+      .send({ newOwnerId: mockAdminId });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.projectOwner).toBe(mockOwnerId);
+    expect(res.body.pendingOwnershipTransfer.to).toBe(mockAdminId);
+    expect(project.projectOwner.toString()).toBe(mockOwnerId);
+    expect(project.save).toHaveBeenCalled();
+    expect(activitySpy).toHaveBeenCalledWith({
+      project: mockProjectId,
+      actor: mockOwnerId,
+      target: mockAdminId,
+      action: 'ownership_transfer_requested'
+    });
+  });
+
+  test('Only the owner can transfer ownership', async () => {
+    mockOwnershipProject();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/ownership-transfer`)
+      .set(headersFor(mockAdminId))
+      .send({ newOwnerId: mockAdminId });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only the project owner can transfer ownership');
+  });
+
+  test('The new owner must be an administrator', async () => {
+    const project = mockOwnershipProject();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/ownership-transfer`)
+      .set(headersFor(mockOwnerId))
+      .send({ newOwnerId: mockDeveloperId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('The new owner must be an administrator of this project');
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  test('Rejects a missing new owner or the current owner', async () => {
+    mockOwnershipProject();
+
+    const missing = await request(app)
+      .post(`/api/projects/${mockProjectId}/ownership-transfer`)
+      .set(headersFor(mockOwnerId))
+      .send({});
+    expect(missing.statusCode).toBe(400);
+    expect(missing.body.message).toBe('Choose the administrator who will become the owner');
+
+    const self = await request(app)
+      .post(`/api/projects/${mockProjectId}/ownership-transfer`)
+      .set(headersFor(mockOwnerId))
+      .send({ newOwnerId: mockOwnerId });
+    expect(self.statusCode).toBe(400);
+    expect(self.body.message).toBe('You already own this project');
+  });
+});
+
+describe('Test confirming an ownership transfer', () => {
+  test('The proposed administrator accepts and becomes the owner', async () => {
+    const project = mockOwnershipProject(mockAdminId);
+    const activitySpy = mockActivityLog();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/ownership-transfer/accept`)
+      .set(headersFor(mockAdminId));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('You are now the project owner');
+    expect(res.body.pendingOwnershipTransfer).toBeNull();
+    expect(project.projectOwner).toBe(mockAdminId);
+    expect(project.pendingOwnershipTransfer.to).toBeNull();
+    expect(project.save).toHaveBeenCalled();
+    expect(activitySpy.mock.calls[0][0]).toMatchObject({ actor: mockAdminId, action: 'ownership_transferred' });
+    expect(activitySpy.mock.calls[0][0].target.toString()).toBe(mockOwnerId);
+  });
+
+  test('Nobody else can accept the transfer', async () => {
+    const project = mockOwnershipProject(mockAdminId);
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/ownership-transfer/accept`)
+      .set(headersFor(mockDeveloperId));
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('There is no ownership transfer waiting for you');
+    expect(project.projectOwner.toString()).toBe(mockOwnerId);
+  });
+
+  test('A proposed owner who was demoted cannot accept', async () => {
+    const project = mockOwnershipProject(mockDeveloperId);
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/ownership-transfer/accept`)
+      .set(headersFor(mockDeveloperId));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only administrators can become the project owner');
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  test('The proposed owner declines the transfer', async () => {
+    const project = mockOwnershipProject(mockAdminId);
+    const activitySpy = mockActivityLog();
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/ownership-transfer`)
+      .set(headersFor(mockAdminId));
+
+    expect(res.statusCode).toBe(200);
+    expect(project.projectOwner.toString()).toBe(mockOwnerId);
+    expect(project.pendingOwnershipTransfer.to).toBeNull();
+    expect(activitySpy.mock.calls[0][0]).toMatchObject({ actor: mockAdminId, action: 'ownership_transfer_declined' });
+  });
+
+  test('The owner cancels the transfer', async () => {
+    mockOwnershipProject(mockAdminId);
+    const activitySpy = mockActivityLog();
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/ownership-transfer`)
+      .set(headersFor(mockOwnerId));
+
+    expect(res.statusCode).toBe(200);
+    expect(activitySpy.mock.calls[0][0]).toMatchObject({ actor: mockOwnerId, action: 'ownership_transfer_cancelled' });
+    expect(activitySpy.mock.calls[0][0].target.toString()).toBe(mockAdminId);
+  });
+
+  test('Cannot cancel when no transfer is pending', async () => {
+    mockOwnershipProject();
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/ownership-transfer`)
+      .set(headersFor(mockOwnerId));
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('There is no pending ownership transfer');
+  });
+});
+
+describe('Test the project activity log', () => {
+  const mockActivityProject = () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({
+      _id: mockProjectId,
+      projectMembers: [{ user: objectId(mockOwnerId) }, { user: objectId(mockAdminId) }]
+    });
+  };
+
+  test('Lists the latest activity, newest first', async () => {
+    mockActivityProject();
+    const entries = [
+      {
+        _id: 'activity1',
+        actor: { _id: mockAdminId, name: 'Ben Admin' },
+        target: { _id: mockOwnerId, name: 'Olivia Owner' },
+        action: 'ownership_transferred',
+        timestamp: '2025-09-02T10:00:00.000Z'
+      }
+    ];
+    const limit = jest.fn().mockResolvedValue(entries);
+    const sort = jest.fn().mockReturnValue({ limit });
+    const findSpy = jest.spyOn(ProjectActivity, 'find').mockImplementation(() => ({
+      populate: jest.fn().mockReturnValue({ populate: jest.fn().mockReturnValue({ sort }) })
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/activity`)
+      .set(headersFor(mockAdminId));
+
+    expect(res.statusCode).toBe(200);
+    expect(findSpy).toHaveBeenCalledWith({ project: mockProjectId });
+    expect(sort).toHaveBeenCalledWith({ timestamp: -1 });
+    expect(limit).toHaveBeenCalledWith(50);
+    expect(res.body.activity).toEqual(entries);
+  });
+
+  test('Only members can read the activity log', async () => {
+    mockActivityProject();
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/activity`)
+      .set(headersFor(mockOutsiderId));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not a member of this project');
+  });
+});
+
+describe('Test leaving and removal during a pending transfer', () => {
+  test('Leaving as the proposed owner cancels the transfer', async () => {
+    const project = {
+      _id: mockProjectId,
+      projectOwner: objectId(mockOwnerId),
+      pendingOwnershipTransfer: { to: objectId(mockDeveloperId), requestedAt: new Date() },
+      projectMembers: [
+        { user: objectId(mockOwnerId), role: objectId(mockOwnerId) },
+        { user: objectId(mockDeveloperId), role: objectId(mockAdminId) }
+      ],
+      save: jest.fn().mockResolvedValue(true)
+    };
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(project)
+    }));
+    mockingoose(Role).toReturn({ _id: mockAdminId, roleName: 'developer' }, 'findOne');
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/leave`)
+      .set(headersFor(mockDeveloperId));
+
+    expect(res.statusCode).toBe(200);
+    expect(project.projectMembers).toHaveLength(1);
+    expect(project.pendingOwnershipTransfer.to).toBeNull();
+  });
+});
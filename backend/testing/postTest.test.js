@@ -5,6 +5,8 @@ const Post = require('../models/post');
 const Comment = require('../models/comment');
 const Like = require('../models/like');
 const Project = require('../models/project');
+const Role = require('../models/roles');
+const TrashItem = require('../models/trashItem');
 const jwt = require('jsonwebtoken');
 
 /**
@@ -16,6 +18,7 @@ const mockUserId2 = '507f1f77bcf86cd799439014';
 const mockProjectId = '507f1f77bcf86cd799439012';
 const mockPostId = '507f1f77bcf86cd799439013';
 const mockCommentId = '507f1f77bcf86cd799439015';
+const mockRoleId = '507f1f77bcf86cd799439016';
 
 // Helper function to create mock JWT token
 const createMockToken = (userId = mockUserId) => {
@@ -189,17 +192,19 @@ describe('Post System Tests', () => {
   });
 
   describe('DELETE /api/posts/posts/:postId - Delete Post', () => {
-    test('should delete post successfully by author', async () => {
+    test('should move post to the trash when deleted by author', async () => {
       const mockPost = {
         _id: mockPostId,
+        title: 'Design thread',
+        content: 'Test content',
+        postType: 'Discussion',
         author: mockUserId,
         project: mockProjectId
       };
 
       mockingoose(Post).toReturn(mockPost, 'findOne');
-      mockingoose(Comment).toReturn({}, 'deleteMany');
-      mockingoose(Like).toReturn({}, 'deleteMany');
-      mockingoose(Post).toReturn(mockPost, 'findOneAndDelete');
+      mockingoose(Comment).toReturn({ modifiedCount: 2 }, 'updateMany');
+      mockingoose(TrashItem).toReturn({}, 'save');
 
       const token = createMockToken();
       const response = await request(app)
@@ -336,17 +341,18 @@ describe('Post System Tests', () => {
   });
 
   describe('DELETE /api/posts/comments/:commentId - Delete Comment', () => {
-    test('should delete comment successfully by author', async () => {
+    test('should move comment to the trash when deleted by author', async () => {
       const mockComment = {
         _id: mockCommentId,
+        content: 'Test comment',
         author: mockUserId,
         post: mockPostId
       };
 
       mockingoose(Comment).toReturn(mockComment, 'findOne');
-      mockingoose(Comment).toReturn({}, 'deleteMany'); // Delete replies
-      mockingoose(Like).toReturn({}, 'deleteMany'); // Delete likes
-      mockingoose(Comment).toReturn(mockComment, 'findOneAndDelete');
+      mockingoose(Comment).toReturn({ modifiedCount: 1 }, 'updateMany'); // Trash replies
+      mockingoose(Post).toReturn({ _id: mockPostId, project: mockProjectId }, 'findOne');
+      mockingoose(TrashItem).toReturn({}, 'save');
 
       const token = createMockToken();
       const response = await request(app)
@@ -392,9 +398,11 @@ describe('Post System Tests', () => {
     test('should validate required fields when creating post', async () => {
       const mockProject = {
         _id: mockProjectId,
-        projectTasks: []
+        projectTasks: [],
+        projectMembers: [{ user: mockUserId, role: mockRoleId }]
       };
       mockingoose(Project).toReturn(mockProject, 'findOne');
+      mockingoose(Role).toReturn({ _id: mockRoleId, roleName: 'viewer' }, 'findOne');
 
       const invalidPost = {
         content: 'Missing title',
@@ -413,9 +421,11 @@ describe('Post System Tests', () => {
     test('should validate postType enum values', async () => {
       const mockProject = {
         _id: mockProjectId,
-        projectTasks: []
+        projectTasks: [],
+        projectMembers: [{ user: mockUserId, role: mockRoleId }]
       };
       mockingoose(Project).toReturn(mockProject, 'findOne');
+      mockingoose(Role).toReturn({ _id: mockRoleId, roleName: 'viewer' }, 'findOne');
 
       const invalidPost = {
         title: 'Test Post',
@@ -432,4 +442,68 @@ describe('Post System Tests', () => {
       expect(response.status).toBe(500); // Server error due to invalid enum
     });
   });
+
+  describe('PUT /api/posts/posts/:postId/pin - Pin Post', () => {
+    const mockPinProject = (roleName) => {
+      jest.spyOn(Project, 'findById').mockImplementation(() => ({
+        populate: jest.fn().mockResolvedValue({
+          _id: mockProjectId,
+          projectMembers: [{ user: mockUserId, role: { roleName } }]
+        })
+      }));
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should pin a post for a project administrator', async () => {
+      mockingoose(Post).toReturn({
+        _id: mockPostId,
+        title: 'Read me first',
+        content: 'Course rules',
+        postType: 'Announcement',
+        author: mockUserId2,
+        project: mockProjectId
+      }, 'findOne');
+      mockPinProject('administrator');
+      const save = jest.spyOn(Post.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+      jest.spyOn(Post.prototype, 'populate').mockImplementation(function () { return Promise.resolve(this); });
+
+      const token = createMockToken();
+      const response = await request(app)
+        .put(`/api/posts/posts/${mockPostId}/pin`)
+        .set('Cookie', `token=${token}`)
+        .send({ pinned: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.post.pinned).toBe(true);
+      expect(save).toHaveBeenCalled();
+    });
+
+    test('should return 403 for members who are not administrators', async () => {
+      mockingoose(Post).toReturn({ _id: mockPostId, author: mockUserId, project: mockProjectId }, 'findOne');
+      mockPinProject('developer');
+
+      const token = createMockToken();
+      const response = await request(app)
+        .put(`/api/posts/posts/${mockPostId}/pin`)
+        .set('Cookie', `token=${token}`)
+        .send({ pinned: true });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Only project administrators can pin posts');
+    });
+
+    test('should return 400 when pinned is not a boolean', async () => {
+      const token = createMockToken();
+      const response = await request(app)
+        .put(`/api/posts/posts/${mockPostId}/pin`)
+        .set('Cookie', `token=${token}`)
+        .send({ pinned: 'yes' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Pinned must be true or false');
+    });
+  });
 });
\ No newline at end of file
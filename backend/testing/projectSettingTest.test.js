@@ -6,6 +6,8 @@ const Project = require('../models/project');
 const Task = require('../models/tasks');
 const InviteLink = require('../models/inviteLink');
 const User = require('../models/user');
+const Post = require('../models/post');
+const TrashItem = require('../models/trashItem');
 
 /**
  * @fileoverview Jest setup for project settings and deletion routes tests using mockingoose.
@@ -521,6 +523,37 @@ describe('Test deleting project', () => {
     expect(res.body.message).toBe('Project deleted successfully');
   });
 
+  test('Removes the trashed posts and tasks with their trash entries', async () => {
+    const mockTrashedTaskId = '507f1f77bcf86cd799439031';
+    const mockTrashedPostId = '507f1f77bcf86cd799439032';
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectMembers: [{ user: { toString: () => mockUserId }, role: { _id: mockRoleId, roleName: 'administrator' } }],
+        projectTasks: [mockTaskId, mockTrashedTaskId]
+      })
+    }));
+    const findTrash = jest.spyOn(TrashItem, 'find').mockResolvedValue([
+      { _id: 'entry1', project: mockProjectId, itemType: 'Task', item: mockTrashedTaskId },
+      { _id: 'entry2', project: mockProjectId, itemType: 'Post', item: mockTrashedPostId }
+    ]);
+    const deleteTasks = jest.spyOn(Task, 'deleteMany');
+    const deletePost = jest.spyOn(Post, 'deleteOne');
+    const removeEntry = jest.spyOn(TrashItem, 'deleteOne');
+    mockingoose(Project).toReturn({ _id: mockProjectId }, 'findByIdAndDelete');
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(findTrash).toHaveBeenCalledWith({ project: mockProjectId });
+    expect(deleteTasks.mock.calls[0][0]._id.$in.map(String)).toEqual([mockTrashedTaskId]);
+    expect(deletePost).toHaveBeenCalledWith({ _id: mockTrashedPostId });
+    expect(removeEntry).toHaveBeenCalledWith({ _id: 'entry1' });
+    expect(removeEntry).toHaveBeenCalledWith({ _id: 'entry2' });
+  });
+
   test('Fails when project is not found', async () => {
     // Mock Project.findById with populate to return null (project not found)
     jest.spyOn(Project, 'findById').mockImplementation(() => ({
@@ -601,3 +634,295 @@ describe('Test deleting project', () => {
     expect(res.statusCode).toBe(404);
   });
 });
+
+describe('Test updating project workflow', () => {
+  const validHeaders = {
+    Cookie: `token=${createMockToken()}`
+  };
+
+  const reviewWorkflow = [
+    { name: 'Backlog', category: 'todo', color: '#6c757d', transitions: ['Doing'] },
+    { name: 'Doing', category: 'active', color: '#ffc107', transitions: ['In Review', 'Backlog'] },
+    { name: 'In Review', category: 'active', color: '#17a2b8', transitions: ['Doing', 'Done'] },
+    { name: 'Done', category: 'done', color: '#28a745', transitions: [] }
+  ];
+
+  const mockProjectForWorkflow = (roleName = 'administrator') => {
+    const mockProject = {
+      _id: mockProjectId,
+      projectMembers: [
+        {
+          user: { toString: () => mockUserId },
+          role: { _id: mockRoleId, roleName }
+        }
+      ],
+      projectTasks: [mockTaskId],
+      workflow: [],
+      save: jest.fn().mockResolvedValue(true)
+    };
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(mockProject)
+    }));
+    return mockProject;
+  };
+
+  test('Successfully replaces the workflow and renames statuses on tasks', async () => {
+    const mockProject = mockProjectForWorkflow();
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    const updateMany = jest.spyOn(Task, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/workflow`)
+      .set(validHeaders)
+      .send({
+        workflow: [
+          { ...reviewWorkflow[0], previousName: 'To Do' },
+          { ...reviewWorkflow[1], previousName: 'In Progress' },
+          reviewWorkflow[2],
+          { ...reviewWorkflow[3], previousName: 'Completed' }
+        ]
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.workflow.map(status => status.name)).toEqual(['Backlog', 'Doing', 'In Review', 'Done']);
+    expect(mockProject.workflow[0]).not.toHaveProperty('previousName');
+    expect(mockProject.save).toHaveBeenCalled();
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [mockTaskId] }, taskProgress: 'To Do' },
+      { $set: { taskProgress: 'Backlog' } }
+    );
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [mockTaskId] }, 'progressHistory.progress': 'To Do' },
+      { $set: { 'progressHistory.$[entry].progress': 'Backlog' } },
+      { arrayFilters: [{ 'entry.progress': 'To Do' }] }
+    );
+    expect(updateMany).toHaveBeenCalledTimes(6);
+  });
+
+  test('Swaps the names of two statuses without mixing up their tasks', async () => {
+    mockProjectForWorkflow();
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    // Tracks the status of one task in each of the swapped statuses
+    const taskStatuses = ['To Do', 'In Progress'];
+    const updateMany = jest.spyOn(Task, 'updateMany').mockImplementation((filter, update) => {
+      if (filter.taskProgress) {
+        taskStatuses.forEach((status, index) => {
+          if (status === filter.taskProgress) taskStatuses[index] = update.$set.taskProgress;
+        });
+      }
+      return Promise.resolve({ modifiedCount: 1 });
+    });
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/workflow`)
+      .set(validHeaders)
+      .send({
+        workflow: [
+          { name: 'In Progress', category: 'todo', color: '#6c757d', transitions: ['To Do'], previousName: 'To Do' },
+          { name: 'To Do', category: 'active', color: '#ffc107', transitions: ['Completed'], previousName: 'In Progress' },
+          { name: 'Completed', category: 'done', color: '#28a745', transitions: [] }
+        ]
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(taskStatuses).toEqual(['In Progress', 'To Do']);
+    expect(updateMany).toHaveBeenCalledTimes(8);
+  });
+
+  test('Fails when a removed status is still used by tasks', async () => {
+    mockProjectForWorkflow();
+    mockingoose(Task).toReturn(3, 'countDocuments');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/workflow`)
+      .set(validHeaders)
+      .send({ workflow: reviewWorkflow });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid workflow: move tasks out of a status before removing it');
+  });
+
+  test('Fails when the workflow has no done status', async () => {
+    mockProjectForWorkflow();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/workflow`)
+      .set(validHeaders)
+      .send({ workflow: reviewWorkflow.slice(0, 1).map(status => ({ ...status, transitions: [] })) });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid workflow: at least one status must be in the done category');
+  });
+
+  test('Saves WIP limits on statuses', async () => {
+    const mockProject = mockProjectForWorkflow();
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    jest.spyOn(Task, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/workflow`)
+      .set(validHeaders)
+      .send({ workflow: reviewWorkflow.map(status => (status.name === 'Doing' ? { ...status, wipLimit: '3' } : status)) });
+
+    expect(res.statusCode).toBe(200);
+    expect(mockProject.workflow.map(status => status.wipLimit)).toEqual([null, 3, null, null]);
+  });
+
+  test('Fails when a WIP limit is not a positive whole number', async () => {
+    mockProjectForWorkflow();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/workflow`)
+      .set(validHeaders)
+      .send({ workflow: reviewWorkflow.map(status => (status.name === 'Doing' ? { ...status, wipLimit: 0 } : status)) });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid workflow: status "Doing" needs a WIP limit of at least 1');
+  });
+
+  test('Fails when a transition points at an unknown status', async () => {
+    mockProjectForWorkflow();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/workflow`)
+      .set(validHeaders)
+      .send({ workflow: [reviewWorkflow[0], reviewWorkflow[3]] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid workflow: status "Backlog" has a transition to an unknown status');
+  });
+
+  test('Fails when user is not an administrator', async () => {
+    mockProjectForWorkflow('developer');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/workflow`)
+      .set(validHeaders)
+      .send({ workflow: reviewWorkflow });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can update the workflow');
+  });
+});
+
+describe('Test updating project labels', () => {
+  const validHeaders = {
+    Cookie: `token=${createMockToken()}`
+  };
+
+  const bugLabelId = '507f1f77bcf86cd799439021';
+  const docsLabelId = '507f1f77bcf86cd799439022';
+
+  const mockProjectForLabels = (roleName = 'developer') => {
+    const mockProject = {
+      _id: mockProjectId,
+      projectMembers: [
+        {
+          user: { toString: () => mockUserId },
+          role: { _id: mockRoleId, roleName }
+        }
+      ],
+      projectTasks: [mockTaskId],
+      labels: [
+        { _id: bugLabelId, name: 'bug', color: '#dc3545' },
+        { _id: docsLabelId, name: 'docs', color: '#17a2b8' }
+      ],
+      save: jest.fn().mockResolvedValue(true)
+    };
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(mockProject)
+    }));
+    return mockProject;
+  };
+
+  test('Successfully renames, adds and removes labels', async () => {
+    const mockProject = mockProjectForLabels();
+    const updateMany = jest.spyOn(Task, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/labels`)
+      .set(validHeaders)
+      .send({
+        labels: [
+          { _id: bugLabelId, name: ' defect ', color: '#dc3545' },
+          { name: 'frontend', color: '#6f42c1' }
+        ]
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Labels updated successfully');
+    expect(res.body.labels.map(label => label.name)).toEqual(['defect', 'frontend']);
+    expect(mockProject.save).toHaveBeenCalled();
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [mockTaskId] } },
+      { $pull: { labels: { $in: [docsLabelId] } } }
+    );
+  });
+
+  test('Fails when two labels share a name', async () => {
+    mockProjectForLabels();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/labels`)
+      .set(validHeaders)
+      .send({
+        labels: [
+          { name: 'Bug', color: '#dc3545' },
+          { name: 'bug', color: '#28a745' }
+        ]
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid labels: label names must be unique');
+  });
+
+  test('Fails when a label colour is not a hex colour', async () => {
+    mockProjectForLabels();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/labels`)
+      .set(validHeaders)
+      .send({ labels: [{ name: 'urgent', color: 'red' }] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid labels: label "urgent" needs a hex colour like #17a2b8');
+  });
+
+  test('Fails when a viewer manages labels', async () => {
+    mockProjectForLabels('viewer');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/labels`)
+      .set(validHeaders)
+      .send({ labels: [] });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Viewers are not authorized to manage labels');
+  });
+
+  test('Fails to set an unsupported estimate unit', async () => {
+    mockProjectForLabels('administrator').settings = { joinByLinkEnabled: true, pdfGenerationEnabled: true };
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/settings`)
+      .set(validHeaders)
+      .send({ settings: { estimateUnit: 'days' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid estimate unit');
+  });
+
+  test('Successfully requires finished checklists before completion', async () => {
+    const mockProject = mockProjectForLabels('administrator');
+    mockProject.settings = { joinByLinkEnabled: true, pdfGenerationEnabled: true };
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/settings`)
+      .set(validHeaders)
+      .send({ settings: { requireChecklistCompletion: true } });
+
+    expect(res.statusCode).toBe(200);
+    expect(mockProject.settings.requireChecklistCompletion).toBe(true);
+    expect(mockProject.save).toHaveBeenCalled();
+  });
+});
@@ -267,7 +267,7 @@ describe('GET /api/projects/:projectId', () => {
           taskDescription: 'Test task description',
           taskDeadline: new Date(),
           taskCreator: { _id: mockUserId, name: 'Test User', email: 'test@example.com' },
-          taskAssignee: { _id: mockUserId, name: 'Test User', email: 'test@example.com' },
+          taskAssignees: [{ _id: mockUserId, name: 'Test User', email: 'test@example.com' }],
           taskProgress: 50
         }
       ]
@@ -0,0 +1,459 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Role = require('../models/roles');
+const Sprint = require('../models/sprint');
+const jwt = require('jsonwebtoken');
+const {
+  PERMISSIONS,
+  hasPermission,
+  getRolePermissions,
+  isAdministratorRole
+} = require('../services/authorizationService');
+
+/**
+ * @fileoverview Jest setup for custom project roles and the permission matrix.
+ */
+
+const mockAdminId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockDeveloperId = '507f1f77bcf86cd799439013';
+const mockCoordinatorId = '507f1f77bcf86cd799439014';
+const mockOutsiderId = '507f1f77bcf86cd799439015';
+const mockOtherProjectId = '507f1f77bcf86cd799439016';
+const adminRoleId = '507f1f77bcf86cd799439021';
+const developerRoleId = '507f1f77bcf86cd799439022';
+const viewerRoleId = '507f1f77bcf86cd799439023';
+const coordinatorRoleId = '507f1f77bcf86cd799439024';
+const reporterRoleId = '507f1f77bcf86cd799439025';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const headersFor = (userId) => ({ Cookie: `token=${createMockToken(userId)}` });
+
+const adminRole = { _id: adminRoleId, roleName: 'administrator', project: null };
+const developerRole = { _id: developerRoleId, roleName: 'developer', project: null };
+const viewerRole = { _id: viewerRoleId, roleName: 'viewer', project: null };
+const coordinatorRole = {
+  _id: coordinatorRoleId,
+  roleName: 'Coordinator',
+  project: mockProjectId,
+  permissions: ['manage_sprints', 'manage_roles', 'manage_members']
+};
+const reporterRole = {
+  _id: reporterRoleId,
+  roleName: 'Reporter',
+  project: mockProjectId,
+  permissions: ['create_posts']
+};
+
+const mockRoleProject = () => {
+  const project = {
+    _id: mockProjectId,
+    projectOwner: { equals: (id) => id === mockAdminId },
+    projectMembers: [
+      { user: mockAdminId, role: adminRole },
+      { user: mockDeveloperId, role: developerRole },
+      { user: mockCoordinatorId, role: coordinatorRole }
+    ],
+    projectTasks: [],
+    workflow: []
+  };
+  jest.spyOn(Project, 'findById').mockImplementation(() => {
+    const query = Promise.resolve(project);
+    query.populate = jest.fn().mockResolvedValue(project);
+    return query;
+  });
+  return project;
+};
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test the permission matrix', () => {
+  test('Built-in roles keep what they could do before', () => {
+    expect(hasPermission(developerRole, PERMISSIONS.CREATE_TASKS)).toBe(true);
+    expect(hasPermission(developerRole, PERMISSIONS.MANAGE_SPRINTS)).toBe(false);
+    expect(hasPermission(viewerRole, PERMISSIONS.CREATE_TASKS)).toBe(false);
+    expect(hasPermission(viewerRole, PERMISSIONS.EXPORT_PDF)).toBe(true);
+    expect(hasPermission(adminRole, PERMISSIONS.MANAGE_MEMBERS)).toBe(true);
+    // Other people's tasks stay with their creator and the project owner
+    expect(hasPermission(adminRole, PERMISSIONS.EDIT_ANY_TASK)).toBe(false);
+  });
+
+  test('Custom roles grant only the known permissions they store', () => {
+    const role = { roleName: 'QA', project: mockProjectId, permissions: ['use_ai', 'launch_rockets'] };
+
+    expect(getRolePermissions(role)).toEqual(['use_ai']);
+    expect(getRolePermissions(null)).toEqual([]);
+  });
+
+  test('A custom role is never the administrator role', () => {
+    expect(isAdministratorRole(adminRole)).toBe(true);
+    expect(isAdministratorRole({ roleName: 'administrator', project: mockProjectId, permissions: [] })).toBe(false);
+  });
+});
+
+describe('Test listing project roles', () => {
+  test('Lists the built-in roles first, then the custom roles, with the permission catalog', async () => {
+    mockRoleProject();
+    const findSpy = jest.spyOn(Role, 'find').mockResolvedValue([reporterRole, viewerRole, coordinatorRole, adminRole, developerRole]);
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/roles`)
+      .set(headersFor(mockDeveloperId));
+
+    expect(res.statusCode).toBe(200);
+    expect(findSpy).toHaveBeenCalledWith({ project: { $in: [null, mockProjectId] } });
+    expect(res.body.roles.map(role => role.roleName)).toEqual(['administrator', 'developer', 'viewer', 'Coordinator', 'Reporter']);
+    expect(res.body.roles[0]).toMatchObject({ builtIn: true, memberCount: 1 });
+    expect(res.body.roles[3]).toMatchObject({
+      builtIn: false,
+      memberCount: 1,
+      permissions: ['manage_sprints', 'manage_roles', 'manage_members']
+    });
+    expect(res.body.roles[4].memberCount).toBe(0);
+    expect(res.body.permissions).toContainEqual(expect.objectContaining({ key: 'use_ai', group: 'Reports' }));
+  });
+
+  test('Only members can list the roles', async () => {
+    mockRoleProject();
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/roles`)
+      .set(headersFor(mockOutsiderId));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not a member of this project');
+  });
+});
+
+describe('Test creating custom roles', () => {
+  const mockCreate = () => jest.spyOn(Role, 'create').mockImplementation(data => Promise.resolve({ _id: reporterRoleId, ...data }));
+
+  test('An administrator creates a role with permissions from the catalog', async () => {
+    mockRoleProject();
+    jest.spyOn(Role, 'find').mockResolvedValue([coordinatorRole]);
+    const createSpy = mockCreate();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/roles`)
+      .set(headersFor(mockAdminId))
+      .send({ roleName: '  Reporter ', permissions: ['export_pdf', 'create_posts', 'export_pdf'] });
+
+    expect(res.statusCode).toBe(201);
+    expect(createSpy).toHaveBeenCalledWith({
+      roleName: 'Reporter',
+      project: mockProjectId,
+      permissions: ['create_posts', 'export_pdf']
+    });
+    expect(res.body.role).toMatchObject({ roleName: 'Reporter', builtIn: false, memberCount: 0 });
+  });
+
+  test('A custom role allowed to manage roles can create roles too', async () => {
+    mockRoleProject();
+    jest.spyOn(Role, 'find').mockResolvedValue([]);
+    mockCreate();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/roles`)
+      .set(headersFor(mockCoordinatorId))
+      .send({ roleName: 'Reporter', permissions: [] });
+
+    expect(res.statusCode).toBe(201);
+  });
+
+  test('A custom role that manages roles cannot grant delete_project, which it does not hold', async () => {
+    mockRoleProject();
+    jest.spyOn(Role, 'find').mockResolvedValue([]);
+    const createSpy = mockCreate();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/roles`)
+      .set(headersFor(mockCoordinatorId))
+      .send({ roleName: 'Owner In Waiting', permissions: ['manage_roles', 'delete_project'] });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You cannot grant a permission your own role does not have: delete_project');
+    expect(createSpy).not.toHaveBeenCalled();
+  });
+
+  test('A role allowed to manage roles cannot add permissions it does not hold to its own role', async () => {
+    mockRoleProject();
+    const role = { ...coordinatorRole, save: jest.fn().mockResolvedValue(true) };
+    jest.spyOn(Role, 'findById').mockResolvedValue(role);
+    jest.spyOn(Role, 'find').mockResolvedValue([role]);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/roles/${coordinatorRoleId}`)
+      .set(headersFor(mockCoordinatorId))
+      .send({ roleName: 'Coordinator', permissions: [...coordinatorRole.permissions, 'delete_project'] });
+
+    expect(res.statusCode).toBe(403);
+    expect(role.save).not.toHaveBeenCalled();
+  });
+
+  test('Members without the permission cannot create roles', async () => {
+    mockRoleProject();
+    const createSpy = mockCreate();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/roles`)
+      .set(headersFor(mockDeveloperId))
+      .send({ roleName: 'Reporter', permissions: [] });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not allowed to manage roles in this project');
+    expect(createSpy).not.toHaveBeenCalled();
+  });
+
+  test('Rejects names taken by a built-in or another custom role', async () => {
+    mockRoleProject();
+    jest.spyOn(Role, 'find').mockResolvedValue([coordinatorRole]);
+
+    const builtIn = await request(app)
+      .post(`/api/projects/${mockProjectId}/roles`)
+      .set(headersFor(mockAdminId))
+      .send({ roleName: 'Viewer', permissions: [] });
+    expect(builtIn.statusCode).toBe(409);
+    expect(builtIn.body.message).toBe('A role with this name already exists');
+
+    const custom = await request(app)
+      .post(`/api/projects/${mockProjectId}/roles`)
+      .set(headersFor(mockAdminId))
+      .send({ roleName: 'coordinator', permissions: [] });
+    expect(custom.statusCode).toBe(409);
+  });
+
+  test('Rejects a missing name and unknown permissions', async () => {
+    mockRoleProject();
+    jest.spyOn(Role, 'find').mockResolvedValue([]);
+
+    const missing = await request(app)
+      .post(`/api/projects/${mockProjectId}/roles`)
+      .set(headersFor(mockAdminId))
+      .send({ roleName: ' ', permissions: [] });
+    expect(missing.statusCode).toBe(400);
+    expect(missing.body.message).toBe('Role name is required');
+
+    const unknown = await request(app)
+      .post(`/api/projects/${mockProjectId}/roles`)
+      .set(headersFor(mockAdminId))
+      .send({ roleName: 'Reporter', permissions: ['create_posts', 'launch_rockets'] });
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.body.message).toBe('Unknown permission: launch_rockets');
+  });
+});
+
+describe('Test editing and deleting custom roles', () => {
+  test('Renames a role and replaces its permissions', async () => {
+    mockRoleProject();
+    const role = { ...coordinatorRole, save: jest.fn().mockResolvedValue(true) };
+    jest.spyOn(Role, 'findById').mockResolvedValue(role);
+    jest.spyOn(Role, 'find').mockResolvedValue([role]);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/roles/${coordinatorRoleId}`)
+      .set(headersFor(mockAdminId))
+      .send({ roleName: 'Scrum Master', permissions: ['manage_sprints'] });
+
+    expect(res.statusCode).toBe(200);
+    expect(role.save).toHaveBeenCalled();
+    expect(res.body.role).toMatchObject({ roleName: 'Scrum Master', permissions: ['manage_sprints'], memberCount: 1 });
+  });
+
+  test('Built-in roles cannot be changed', async () => {
+    mockRoleProject();
+    jest.spyOn(Role, 'findById').mockResolvedValue(developerRole);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/roles/${developerRoleId}`)
+      .set(headersFor(mockAdminId))
+      .send({ roleName: 'developer', permissions: [] });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Built-in roles cannot be changed');
+  });
+
+  test('Roles of other projects are not found', async () => {
+    mockRoleProject();
+    jest.spyOn(Role, 'findById').mockResolvedValue({ ...reporterRole, project: mockOtherProjectId });
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/roles/${reporterRoleId}`)
+      .set(headersFor(mockAdminId));
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Role not found');
+  });
+
+  test('A role still held by members cannot be deleted', async () => {
+    mockRoleProject();
+    jest.spyOn(Role, 'findById').mockResolvedValue(coordinatorRole);
+    const deleteSpy = jest.spyOn(Role, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/roles/${coordinatorRoleId}`)
+      .set(headersFor(mockAdminId));
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Reassign the members who hold this role before deleting it');
+    expect(deleteSpy).not.toHaveBeenCalled();
+  });
+
+  test('Deletes an unused role', async () => {
+    mockRoleProject();
+    jest.spyOn(Role, 'findById').mockResolvedValue(reporterRole);
+    const deleteSpy = jest.spyOn(Role, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/roles/${reporterRoleId}`)
+      .set(headersFor(mockAdminId));
+
+    expect(res.statusCode).toBe(200);
+    expect(deleteSpy).toHaveBeenCalledWith({ _id: reporterRoleId });
+  });
+});
+
+describe('Test assigning custom roles', () => {
+  const mockAssignProject = (requesterRoleId) => {
+    const project = {
+      _id: mockProjectId,
+      projectMembers: [
+        { user: { toString: () => mockAdminId }, role: requesterRoleId },
+        { user: { toString: () => mockDeveloperId }, role: developerRoleId }
+      ],
+      save: jest.fn().mockResolvedValue(true)
+    };
+    jest.spyOn(Project, 'findById')
+      .mockImplementationOnce(() => ({ populate: jest.fn().mockResolvedValue(project) }))
+      .mockImplementationOnce(() => ({
+        populate: jest.fn().mockImplementation(() => ({ populate: jest.fn().mockResolvedValue(project) }))
+      }));
+    return project;
+  };
+
+  test('Assigns a custom role by its ID', async () => {
+    const project = mockAssignProject(adminRoleId);
+    jest.spyOn(Role, 'findById')
+      .mockResolvedValueOnce(adminRole)
+      .mockResolvedValueOnce(developerRole)
+      .mockResolvedValueOnce(adminRole);
+    const findOneSpy = jest.spyOn(Role, 'findOne').mockResolvedValue(reporterRole);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/members/${mockDeveloperId}/role`)
+      .set(headersFor(mockAdminId))
+      .send({ role: reporterRoleId });
+
+    expect(res.statusCode).toBe(200);
+    expect(findOneSpy).toHaveBeenCalledWith({ _id: reporterRoleId, project: mockProjectId });
+    expect(project.projectMembers[1].role).toBe(reporterRoleId);
+  });
+
+  test('Only administrators can hand out the administrator role', async () => {
+    const project = mockAssignProject(coordinatorRoleId);
+    jest.spyOn(Role, 'findById')
+      .mockResolvedValueOnce(coordinatorRole)
+      .mockResolvedValueOnce(developerRole);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/members/${mockDeveloperId}/role`)
+      .set(headersFor(mockAdminId))
+      .send({ role: 'administrator' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Only administrators can grant or remove the administrator role');
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  test('Refuses to hand out a custom role with permissions the requester lacks', async () => {
+    const project = mockAssignProject(coordinatorRoleId);
+    jest.spyOn(Role, 'findById')
+      .mockResolvedValueOnce(coordinatorRole)
+      .mockResolvedValueOnce(developerRole)
+      .mockResolvedValueOnce(coordinatorRole);
+    jest.spyOn(Role, 'findOne').mockResolvedValue({ ...reporterRole, permissions: ['delete_project'] });
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/members/${mockDeveloperId}/role`)
+      .set(headersFor(mockAdminId))
+      .send({ role: reporterRoleId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('You cannot grant a permission your own role does not have: delete_project');
+    expect(project.projectMembers[1].role).toBe(developerRoleId);
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  test('Refuses to let a member raise their own role above its permissions', async () => {
+    const project = mockAssignProject(coordinatorRoleId);
+    jest.spyOn(Role, 'findById')
+      .mockResolvedValueOnce(coordinatorRole)
+      .mockResolvedValueOnce(coordinatorRole)
+      .mockResolvedValueOnce(coordinatorRole);
+    jest.spyOn(Role, 'findOne').mockResolvedValue({
+      ...reporterRole,
+      permissions: [...coordinatorRole.permissions, 'manage_project']
+    });
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/members/${mockAdminId}/role`)
+      .set(headersFor(mockAdminId))
+      .send({ role: reporterRoleId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('You cannot grant a permission your own role does not have: manage_project');
+    expect(project.projectMembers[0].role).toBe(coordinatorRoleId);
+    expect(project.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('Test custom roles in permission checks', () => {
+  test('A custom role allowed to manage sprints can plan a sprint', async () => {
+    mockRoleProject();
+    jest.spyOn(Sprint.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints`)
+      .set(headersFor(mockCoordinatorId))
+      .send({ name: 'Sprint 1', startDate: '2025-09-01', endDate: '2025-09-14' });
+
+    expect(res.statusCode).toBe(201);
+  });
+
+  test('A built-in developer still cannot plan a sprint', async () => {
+    mockRoleProject();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints`)
+      .set(headersFor(mockDeveloperId))
+      .send({ name: 'Sprint 1', startDate: '2025-09-01', endDate: '2025-09-14' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can manage sprints');
+  });
+
+  test('A custom role without the export permission cannot export the summary', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({
+      _id: mockProjectId,
+      projectMembers: [{ user: mockCoordinatorId, role: reporterRoleId }]
+    });
+    jest.spyOn(Role, 'findById').mockResolvedValue(reporterRole);
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/export-summary`)
+      .set(headersFor(mockCoordinatorId));
+
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,322 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Sprint = require('../models/sprint');
+const Task = require('../models/tasks');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for sprint and milestone routes using mockingoose.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockRoleId = '507f1f77bcf86cd799439015';
+const sprintId = '507f1f77bcf86cd799439031';
+const nextSprintId = '507f1f77bcf86cd799439032';
+const doneTaskId = '507f1f77bcf86cd799439041';
+const openTaskId = '507f1f77bcf86cd799439042';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const mockProjectWithRole = (roleName = 'administrator') => {
+  const project = {
+    _id: mockProjectId,
+    projectOwner: { equals: (id) => id === mockUserId },
+    projectMembers: [
+      { user: mockUserId, role: { _id: mockRoleId, roleName } }
+    ],
+    projectTasks: [doneTaskId, openTaskId],
+    workflow: []
+  };
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(project)
+  }));
+  return project;
+};
+
+const createSprint = (overrides = {}) => new Sprint({
+  _id: sprintId,
+  project: mockProjectId,
+  name: 'Sprint 1',
+  goal: 'Ship the login page',
+  startDate: new Date('2025-09-01'),
+  endDate: new Date('2025-09-14'),
+  ...overrides
+});
+
+// Finds sprints by ID from the given documents
+const mockSprints = (...sprints) => {
+  jest.spyOn(Sprint, 'findById').mockImplementation((id) =>
+    Promise.resolve(sprints.find(sprint => sprint._id.toString() === id.toString()) || null)
+  );
+};
+
+const mockSprintSave = () => jest.spyOn(Sprint.prototype, 'save').mockImplementation(function () {
+  return Promise.resolve(this);
+});
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test planning sprints', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Successfully creates a sprint', async () => {
+    mockProjectWithRole();
+    mockSprintSave();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints`)
+      .set(validHeaders)
+      .send({ name: ' Sprint 1 ', goal: 'Ship the login page', startDate: '2025-09-01', endDate: '2025-09-14' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.sprint).toMatchObject({
+      name: 'Sprint 1',
+      kind: 'sprint',
+      goal: 'Ship the login page',
+      status: 'planned',
+      project: mockProjectId
+    });
+  });
+
+  test('Successfully creates a milestone', async () => {
+    mockProjectWithRole();
+    mockSprintSave();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints`)
+      .set(validHeaders)
+      .send({ name: 'Beta release', kind: 'milestone', startDate: '2025-09-01', endDate: '2025-10-31' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.sprint.kind).toBe('milestone');
+  });
+
+  test('Fails when the sprint ends before it starts', async () => {
+    mockProjectWithRole();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints`)
+      .set(validHeaders)
+      .send({ name: 'Sprint 1', startDate: '2025-09-14', endDate: '2025-09-01' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Sprint cannot end before it starts');
+  });
+
+  test('Fails for members who are not administrators', async () => {
+    mockProjectWithRole('developer');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints`)
+      .set(validHeaders)
+      .send({ name: 'Sprint 1', startDate: '2025-09-01', endDate: '2025-09-14' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can manage sprints');
+  });
+
+  test('Lists the sprints of a project for any member', async () => {
+    mockProjectWithRole('viewer');
+    mockingoose(Sprint).toReturn([createSprint().toObject()], 'find');
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/sprints`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sprints.map(sprint => sprint.name)).toEqual(['Sprint 1']);
+  });
+
+  test('Deleting a sprint moves its tasks back to the backlog', async () => {
+    mockProjectWithRole();
+    mockSprints(createSprint());
+    const updateMany = jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+    const deleteOne = jest.spyOn(Sprint, 'deleteOne').mockResolvedValue({});
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/sprints/${sprintId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(updateMany.mock.calls[0][0].sprint.toString()).toBe(sprintId);
+    expect(updateMany.mock.calls[0][1]).toEqual({ $set: { sprint: null } });
+    expect(deleteOne).toHaveBeenCalled();
+  });
+});
+
+describe('Test starting and closing sprints', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  const sprintTasks = [
+    { _id: doneTaskId, taskName: 'Login form', taskProgress: 'Completed', sprint: sprintId },
+    { _id: openTaskId, taskName: 'Password reset', taskProgress: 'In Progress', sprint: sprintId }
+  ];
+
+  test('Starting a sprint records the tasks it commits to', async () => {
+    mockProjectWithRole();
+    mockSprints(createSprint());
+    jest.spyOn(Sprint, 'findOne').mockResolvedValue(null);
+    mockingoose(Task).toReturn(sprintTasks, 'find');
+    mockSprintSave();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints/${sprintId}/start`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sprint.status).toBe('active');
+    expect(res.body.sprint.startedAt).toBeTruthy();
+    expect(res.body.sprint.committedTasks).toEqual([doneTaskId, openTaskId]);
+  });
+
+  test('Fails to start a sprint while another one is active', async () => {
+    mockProjectWithRole();
+    mockSprints(createSprint());
+    jest.spyOn(Sprint, 'findOne').mockResolvedValue(createSprint({ _id: nextSprintId, status: 'active' }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints/${sprintId}/start`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Another sprint is already active');
+  });
+
+  test('Closing a sprint carries unfinished tasks into the next sprint', async () => {
+    mockProjectWithRole();
+    mockSprints(
+      createSprint({ status: 'active', committedTasks: [doneTaskId, openTaskId] }),
+      createSprint({ _id: nextSprintId, name: 'Sprint 2' })
+    );
+    mockingoose(Task).toReturn(sprintTasks, 'find');
+    const updateMany = jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+    mockSprintSave();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints/${sprintId}/close`)
+      .set(validHeaders)
+      .send({ carryOverTo: nextSprintId });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.carriedOver).toBe(1);
+    expect(res.body.sprint).toMatchObject({
+      status: 'closed',
+      completedTasks: [doneTaskId],
+      carriedOverTo: nextSprintId
+    });
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter._id.$in.map(String)).toEqual([openTaskId]);
+    expect(update.$set.sprint.toString()).toBe(nextSprintId);
+  });
+
+  test('Closing a sprint without a next sprint returns unfinished tasks to the backlog', async () => {
+    mockProjectWithRole();
+    mockSprints(createSprint({ status: 'active' }));
+    mockingoose(Task).toReturn(sprintTasks, 'find');
+    const updateMany = jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+    mockSprintSave();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints/${sprintId}/close`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sprint.carriedOverTo).toBeNull();
+    expect(updateMany.mock.calls[0][1]).toEqual({ $set: { sprint: null } });
+  });
+
+  test('Fails to carry tasks into a closed sprint', async () => {
+    mockProjectWithRole();
+    mockSprints(
+      createSprint({ status: 'active' }),
+      createSprint({ _id: nextSprintId, status: 'closed' })
+    );
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints/${sprintId}/close`)
+      .set(validHeaders)
+      .send({ carryOverTo: nextSprintId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Unfinished tasks can only move to another open sprint of this project');
+  });
+
+  test('Fails to close a sprint that has not started', async () => {
+    mockProjectWithRole();
+    mockSprints(createSprint());
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/sprints/${sprintId}/close`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Only active sprints can be closed');
+  });
+});
+
+describe('Test planning tasks into sprints', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  const mockEditableTask = () => {
+    const task = {
+      _id: openTaskId,
+      taskName: 'Password reset',
+      taskDeadline: new Date('2025-09-10'),
+      taskCreator: { equals: (id) => id === mockUserId },
+      taskProgress: 'To Do',
+      sprint: null,
+      save: jest.fn().mockImplementation(function () { return Promise.resolve(this); })
+    };
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    return task;
+  };
+
+  test('Successfully moves a task into a sprint', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({
+      _id: mockProjectId,
+      projectOwner: { equals: (id) => id === mockUserId },
+      projectMembers: [],
+      projectTasks: [openTaskId]
+    });
+    mockSprints(createSprint());
+    const task = mockEditableTask();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${openTaskId}`)
+      .set(validHeaders)
+      .send({ sprint: sprintId });
+
+    expect(res.statusCode).toBe(200);
+    expect(task.sprint.toString()).toBe(sprintId);
+  });
+
+  test('Fails to move a task into a closed sprint', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({
+      _id: mockProjectId,
+      projectOwner: { equals: (id) => id === mockUserId },
+      projectMembers: [],
+      projectTasks: [openTaskId]
+    });
+    mockSprints(createSprint({ status: 'closed' }));
+    const task = mockEditableTask();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${openTaskId}`)
+      .set(validHeaders)
+      .send({ sprint: sprintId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Tasks cannot be added to a closed sprint');
+    expect(task.save).not.toHaveBeenCalled();
+  });
+});
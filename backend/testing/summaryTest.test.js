@@ -1,6 +1,7 @@
 const request = require('supertest');
 const mockingoose = require('mockingoose');
 const Project = require('../models/project');
+const Role = require('../models/roles');
 const jwt = require('jsonwebtoken');
 
 // Mock only the Puppeteer part of pdfService
@@ -60,6 +61,11 @@ describe('Test exporting project summary', () => {
     Cookie: `token=${createMockToken()}`
   };
 
+  beforeEach(() => {
+    // Members need a role that grants the export permission
+    mockingoose(Role).toReturn({ roleName: 'viewer' }, 'findOne');
+  });
+
   test('Successfully exports project summary as PDF', async () => {
     const mockProject = createMockProject({
       projectMembers: [
@@ -444,11 +450,11 @@ describe('Test exporting project summary', () => {
             name: 'Test User',
             email: 'test@example.com'
           },
-          taskAssignee: {
+          taskAssignees: [{
             _id: mockMemberId,
             name: 'Member User',
             email: 'member@example.com'
-          },
+          }],
           createdAt: new Date(pastDate.getTime() - 2 * 24 * 60 * 60 * 1000),
           updatedAt: pastDate // Completed on time
         },
@@ -463,11 +469,11 @@ describe('Test exporting project summary', () => {
             name: 'Test User',
             email: 'test@example.com'
           },
-          taskAssignee: {
+          taskAssignees: [{
             _id: mockMemberId,
             name: 'Member User',
             email: 'member@example.com'
-          },
+          }],
           createdAt: new Date(pastDate.getTime() - 3 * 24 * 60 * 60 * 1000),
           updatedAt: new Date(pastDate.getTime() - 1 * 24 * 60 * 60 * 1000)
         },
@@ -482,11 +488,11 @@ describe('Test exporting project summary', () => {
             name: 'Test User',
             email: 'test@example.com'
           },
-          taskAssignee: {
+          taskAssignees: [{
             _id: mockMemberId,
             name: 'Member User',
             email: 'member@example.com'
-          },
+          }],
           createdAt: new Date(pastDate.getTime() - 3 * 24 * 60 * 60 * 1000),
           updatedAt: currentDate // Completed late
         },
@@ -501,7 +507,7 @@ describe('Test exporting project summary', () => {
             name: 'Test User',
             email: 'test@example.com'
           },
-          taskAssignee: null, // No assignee
+          taskAssignees: [], // No assignee
           createdAt: currentDate,
           updatedAt: currentDate
         },
@@ -512,11 +518,11 @@ describe('Test exporting project summary', () => {
           taskDeadline: futureDate,
           taskProgress: 'In Progress',
           taskCreator: null, // No creator
-          taskAssignee: {
+          taskAssignees: [{
             _id: mockMemberId,
             name: 'Member User',
             email: 'member@example.com'
-          },
+          }],
           createdAt: currentDate,
           updatedAt: null // No update date
         }
@@ -598,3 +604,207 @@ describe('Test exporting project summary', () => {
     expect(res.headers['content-type']).toBe('application/pdf');
   });
 });
+
+describe('PDFService task hierarchy', () => {
+  test('Counts subtasks in place of their parent task for completion stats', () => {
+    const pdfService = new PDFService();
+    const future = new Date(Date.now() + 86400000);
+    const tasks = [
+      { _id: 'parent1', taskProgress: 'In Progress', taskDeadline: future, parentTask: null },
+      { _id: 'child1', taskProgress: 'Completed', taskDeadline: future, parentTask: 'parent1', updatedAt: new Date() },
+      { _id: 'child2', taskProgress: 'To Do', taskDeadline: future, parentTask: 'parent1' },
+      { _id: 'solo1', taskProgress: 'Completed', taskDeadline: future, parentTask: null, updatedAt: new Date() }
+    ];
+
+    const stats = pdfService.calculateTaskCompletionStats(tasks);
+
+    expect(stats.totalTasks).toBe(3);
+    expect(stats.totalCompleted).toBe(2);
+    expect(stats.completionRate).toBe('66.7');
+    expect(stats.parentTaskCount).toBe(1);
+    expect(stats.subtaskCount).toBe(2);
+  });
+});
+
+describe('PDFService project workflow', () => {
+  const workflow = [
+    { name: 'Backlog', category: 'todo', color: '#6c757d', transitions: [] },
+    { name: 'In Review', category: 'active', color: '#17a2b8', transitions: [] },
+    { name: 'Shipped', category: 'done', color: '#28a745', transitions: [] }
+  ];
+
+  test('Groups tasks by the project workflow statuses in order', () => {
+    const pdfService = new PDFService();
+    const tasks = [
+      { taskProgress: 'Backlog' },
+      { taskProgress: 'In Review' },
+      { taskProgress: 'In Review' }
+    ];
+
+    expect(pdfService.getTasksByStatus(tasks, workflow)).toEqual([
+      { name: 'Backlog', color: '#6c757d', count: 1 },
+      { name: 'In Review', color: '#17a2b8', count: 2 },
+      { name: 'Shipped', color: '#28a745', count: 0 }
+    ]);
+  });
+
+  test('Treats done-category statuses as completed work', () => {
+    const pdfService = new PDFService();
+    const past = new Date(Date.now() - 86400000);
+    const tasks = [
+      { _id: 'a', taskName: 'Shipped late', taskProgress: 'Shipped', taskDeadline: past, updatedAt: new Date() },
+      { _id: 'b', taskName: 'Still reviewing', taskProgress: 'In Review', taskDeadline: past }
+    ];
+
+    const stats = pdfService.calculateTaskCompletionStats(tasks, workflow);
+    expect(stats.totalCompleted).toBe(1);
+    expect(stats.late).toBe(1);
+    expect(stats.incomplete).toBe(1);
+
+    const missed = pdfService.getMissedDeadlineTasks(tasks, workflow);
+    expect(missed.map(task => [task.taskName, task.type, task.isDone])).toEqual(
+      expect.arrayContaining([
+        ['Shipped late', 'Late Completion', true],
+        ['Still reviewing', 'Overdue', false]
+      ])
+    );
+  });
+});
+
+describe('PDFService workload estimates', () => {
+  test('Weights workload by estimate, counting unestimated tasks as one unit', () => {
+    const pdfService = new PDFService();
+    const future = new Date(Date.now() + 86400000);
+    const alice = { _id: 'alice', name: 'Alice' };
+    const bob = { _id: 'bob', name: 'Bob' };
+    const tasks = [
+      { taskAssignees: [alice], taskProgress: 'Completed', taskDeadline: future, estimate: 8, updatedAt: new Date() },
+      { taskAssignees: [bob], taskProgress: 'To Do', taskDeadline: future, estimate: 1 },
+      { taskAssignees: [bob], taskProgress: 'Completed', taskDeadline: future, updatedAt: new Date() },
+      { taskAssignees: [bob], taskProgress: 'In Progress', taskDeadline: future, estimate: 2 }
+    ];
+
+    const workload = pdfService.calculateWorkloadAnalysis(tasks, [{ user: alice }, { user: bob }]);
+
+    expect(workload.map(member => member.name)).toEqual(['Alice', 'Bob']);
+    expect(workload[0]).toMatchObject({ totalTasks: 1, totalEstimate: 8, completedEstimate: 8, completionRate: '100.0' });
+    expect(workload[1]).toMatchObject({ totalTasks: 3, totalEstimate: 4, completedEstimate: 1, completionRate: '25.0' });
+  });
+
+  test('Counts shared tasks for every assignee and splits their estimate', () => {
+    const pdfService = new PDFService();
+    const future = new Date(Date.now() + 86400000);
+    const alice = { _id: 'alice', name: 'Alice' };
+    const bob = { _id: 'bob', name: 'Bob' };
+    const members = [{ user: alice }, { user: bob }];
+    const tasks = [
+      { taskAssignees: [alice, bob], taskProgress: 'Completed', taskDeadline: future, estimate: 3, updatedAt: new Date() },
+      { taskAssignees: [bob], taskProgress: 'To Do', taskDeadline: future, estimate: 2 }
+    ];
+
+    const distribution = pdfService.calculateTaskDistribution(tasks, members);
+    expect(distribution).toEqual([
+      { name: 'Alice', assigned: 1, shared: 1, created: 0, completed: 1 },
+      { name: 'Bob', assigned: 2, shared: 1, created: 0, completed: 1 }
+    ]);
+
+    const workload = pdfService.calculateWorkloadAnalysis(tasks, members);
+    expect(workload.map(member => [member.name, member.totalTasks, member.totalEstimate, member.completedEstimate]))
+      .toEqual([['Bob', 2, 3.5, 1.5], ['Alice', 1, 1.5, 1.5]]);
+  });
+});
+
+describe('PDFService time spent vs estimate', () => {
+  const tasks = [
+    { _id: 'design', taskName: 'Design', estimate: 4 },
+    { _id: 'build', taskName: 'Build', estimate: 2 },
+    { _id: 'docs', taskName: 'Docs', estimate: null },
+    { _id: 'idle', taskName: 'Idle', estimate: null }
+  ];
+  const timeEntries = [
+    { task: 'build', duration: 150 },
+    { task: 'build', duration: 30 },
+    { task: 'design', duration: 90 },
+    { task: 'docs', duration: 45 }
+  ];
+
+  test('Compares hours spent with hour estimates', () => {
+    const pdfService = new PDFService();
+
+    const result = pdfService.calculateTimeVsEstimate(tasks, timeEntries, 'hours');
+
+    expect(result.tasks.map(row => [row.taskName, row.hoursSpent, row.difference, row.isOver])).toEqual([
+      ['Build', 3, 1, true],
+      ['Design', 1.5, -2.5, false],
+      ['Docs', 0.8, null, false]
+    ]);
+    expect(result.totalHours).toBe(5.3);
+    expect(result.totalEstimate).toBe(6);
+  });
+
+  test('Leaves out differences when estimating in story points', () => {
+    const pdfService = new PDFService();
+
+    const result = pdfService.calculateTimeVsEstimate(tasks, timeEntries, 'points');
+
+    expect(result.showDifference).toBe(false);
+    expect(result.tasks.every(row => row.difference === null)).toBe(true);
+  });
+});
+
+describe('PDFService sprint summary', () => {
+  const sprintTasks = [
+    { _id: 'a', taskProgress: 'Completed', sprint: 'active' },
+    { _id: 'b', taskProgress: 'In Progress', sprint: 'active' },
+    { _id: 'c', taskProgress: 'To Do', sprint: 'planned' },
+    { _id: 'd', taskProgress: 'To Do', sprint: null }
+  ];
+  const sprints = [
+    {
+      _id: 'closed',
+      name: 'Sprint 1',
+      kind: 'sprint',
+      status: 'closed',
+      goal: 'Login',
+      startDate: new Date('2025-08-18'),
+      endDate: new Date('2025-08-31'),
+      committedTasks: ['x', 'y', 'z', 'w'],
+      completedTasks: ['x', 'y', 'z']
+    },
+    {
+      _id: 'active',
+      name: 'Sprint 2',
+      kind: 'sprint',
+      status: 'active',
+      goal: '',
+      startDate: new Date('2025-09-01'),
+      endDate: new Date('2025-09-14'),
+      committedTasks: ['a', 'b', 'e'],
+      completedTasks: []
+    },
+    {
+      _id: 'planned',
+      name: 'Beta',
+      kind: 'milestone',
+      status: 'planned',
+      goal: '',
+      startDate: new Date('2025-09-01'),
+      endDate: new Date('2025-10-31'),
+      committedTasks: [],
+      completedTasks: []
+    }
+  ];
+
+  test('Compares committed and completed tasks for each sprint', () => {
+    const pdfService = new PDFService();
+
+    const summary = pdfService.calculateSprintSummary(sprintTasks, sprints);
+
+    expect(summary.map(row => [row.name, row.kind, row.committed, row.completed, row.completionRate])).toEqual([
+      ['Sprint 1', 'Sprint', 4, 3, 75],
+      ['Sprint 2', 'Sprint', 3, 1, 33],
+      ['Beta', 'Milestone', 1, 0, 0]
+    ]);
+    expect(summary[0].period).toBe('18 Aug 2025 - 31 Aug 2025');
+  });
+});
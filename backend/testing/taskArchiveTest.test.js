@@ -0,0 +1,275 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Task = require('../models/tasks');
+const Role = require('../models/roles');
+const Post = require('../models/post');
+const TrashItem = require('../models/trashItem');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const PDFService = require('../services/pdfService');
+
+/**
+ * @fileoverview Jest setup for archiving, restoring and permanently deleting tasks.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockTaskId = '507f1f77bcf86cd799439013';
+const mockRoleId = '507f1f77bcf86cd799439014';
+const mockSubtaskId = '507f1f77bcf86cd799439015';
+const mockParentId = '507f1f77bcf86cd799439016';
+const mockOtherUserId = '507f1f77bcf86cd799439017';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 86400000);
+
+const mockArchiveProject = ({ roleName = 'developer', owner = mockOtherUserId, settings } = {}) => {
+  const project = {
+    _id: mockProjectId,
+    projectOwner: { equals: (id) => id === owner },
+    projectMembers: [{ user: mockUserId, role: mockRoleId }],
+    projectTasks: [mockTaskId, mockSubtaskId, mockParentId].map(id => new mongoose.Types.ObjectId(id)),
+    workflow: [],
+    ...(settings && { settings })
+  };
+  jest.spyOn(Project, 'findById').mockResolvedValue(project);
+  jest.spyOn(Role, 'findById').mockResolvedValue({ _id: mockRoleId, roleName });
+  return project;
+};
+
+const mockArchiveTask = (overrides = {}) => {
+  const task = {
+    _id: mockTaskId,
+    taskName: 'Write docs',
+    taskCreator: { equals: (id) => id === mockUserId },
+    taskAssignees: [],
+    taskProgress: 'To Do',
+    parentTask: null,
+    archivedAt: null,
+    archivedBy: null,
+    progressHistory: [],
+    save: jest.fn().mockImplementation(function () { return Promise.resolve(this); }),
+    ...overrides
+  };
+  jest.spyOn(Task, 'findById').mockImplementation((id) => {
+    if (id.toString() === mockParentId) {
+      return { select: jest.fn().mockResolvedValue({ _id: mockParentId, archivedAt: overrides.parentArchivedAt || null }) };
+    }
+    return Promise.resolve(task);
+  });
+  return task;
+};
+
+// The task has one subtask and the subtask has none
+const mockSubtaskTree = () => jest.spyOn(Task, 'find').mockImplementation((filter) => ({
+  select: jest.fn().mockResolvedValue(
+    filter.parentTask && filter.parentTask.toString() === mockTaskId ? [{ _id: mockSubtaskId }] : []
+  )
+}));
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test archiving tasks', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('The task creator archives a task together with its subtasks', async () => {
+    mockArchiveProject();
+    const task = mockArchiveTask();
+    mockSubtaskTree();
+    const updateMany = jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/archive`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Task archived successfully');
+    expect(task.archivedAt).toBeInstanceOf(Date);
+    expect(task.archivedBy).toBe(mockUserId);
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter._id.$in.map(String)).toEqual([mockSubtaskId]);
+    expect(update.$set.archivedAt).toEqual(task.archivedAt);
+  });
+
+  test('Fails for a developer who did not create the task', async () => {
+    mockArchiveProject();
+    mockArchiveTask({ taskCreator: { equals: (id) => id === mockOtherUserId } });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/archive`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not authorized to archive this task');
+  });
+
+  test('Administrators can archive any task', async () => {
+    mockArchiveProject({ roleName: 'administrator' });
+    const task = mockArchiveTask({ taskCreator: { equals: (id) => id === mockOtherUserId } });
+    mockSubtaskTree();
+    jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/archive`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(task.archivedAt).toBeInstanceOf(Date);
+  });
+
+  test('Fails when the task is already archived', async () => {
+    mockArchiveProject();
+    mockArchiveTask({ archivedAt: daysAgo(1) });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/archive`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Task is already archived');
+  });
+
+  test('Archived tasks cannot be edited', async () => {
+    mockArchiveProject({ owner: mockUserId });
+    mockArchiveTask({ archivedAt: daysAgo(1) });
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ taskName: 'Renamed' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Archived tasks cannot be changed');
+  });
+});
+
+describe('Test restoring archived tasks', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Restores the task and the subtasks archived with it', async () => {
+    mockArchiveProject();
+    const archivedAt = daysAgo(3);
+    const task = mockArchiveTask({ archivedAt, archivedBy: mockUserId });
+    mockSubtaskTree();
+    const updateMany = jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/unarchive`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Task restored successfully');
+    expect(task.archivedAt).toBeNull();
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter.archivedAt).toEqual(archivedAt);
+    expect(update).toEqual({ $set: { archivedAt: null, archivedBy: null } });
+  });
+
+  test('Fails while the parent task is still archived', async () => {
+    mockArchiveProject();
+    mockArchiveTask({ archivedAt: daysAgo(3), parentTask: mockParentId, parentArchivedAt: daysAgo(3) });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/unarchive`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Unarchive the parent task first');
+  });
+
+  test('Fails for a task that is not archived', async () => {
+    mockArchiveProject();
+    mockArchiveTask();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/unarchive`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Task is not archived');
+  });
+
+  test('Lists archived tasks', async () => {
+    mockArchiveProject();
+    const sort = jest.fn().mockResolvedValue([{ _id: mockTaskId, taskName: 'Write docs', archivedAt: daysAgo(2) }]);
+    const find = jest.spyOn(Task, 'find').mockImplementation(() => ({
+      select: jest.fn().mockImplementation(() => ({
+        populate: jest.fn().mockImplementation(() => ({
+          populate: jest.fn().mockImplementation(() => ({ sort }))
+        }))
+      }))
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/tasks/archived`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.tasks.map(task => task.taskName)).toEqual(['Write docs']);
+    expect(find.mock.calls[0][0].archivedAt).toEqual({ $ne: null });
+  });
+});
+
+describe('Test permanently deleting tasks', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Fails for a task that has not been archived', async () => {
+    mockArchiveProject({ roleName: 'administrator' });
+    mockArchiveTask();
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders);
+
+    expect(res.body.message).toBe('Archive the task before deleting it permanently');
+  });
+
+  test('Moves a task to the trash with its subtasks as soon as it is archived', async () => {
+    mockArchiveProject({ roleName: 'administrator' });
+    const task = mockArchiveTask({ archivedAt: new Date() });
+    mockSubtaskTree();
+    const updateMany = jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+    jest.spyOn(TrashItem, 'create').mockImplementation(entry => Promise.resolve(entry));
+    const pullMentions = jest.spyOn(Post, 'updateMany');
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(task.deletedAt).toBeInstanceOf(Date);
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter._id.$in.map(String)).toEqual([mockSubtaskId]);
+    expect(update.$set.deletedAt).toEqual(task.deletedAt);
+    // Mentions survive until the trash is purged
+    expect(pullMentions).not.toHaveBeenCalled();
+  });
+});
+
+describe('Test archive reports', () => {
+  test('PDF reports leave archived tasks out unless asked to include them', async () => {
+    const populate = jest.fn().mockImplementation(() => query);
+    const query = { populate, then: (resolve) => resolve({ _id: mockProjectId }) };
+    jest.spyOn(Project, 'findById').mockImplementation(() => query);
+    const pdfService = new PDFService();
+
+    await pdfService.fetchProjectData(mockProjectId);
+    const taskPopulate = populate.mock.calls.find(([arg]) => arg.path === 'projectTasks')[0];
+    expect(taskPopulate.match).toEqual({ archivedAt: null });
+
+    populate.mockClear();
+    await pdfService.fetchProjectData(mockProjectId, { includeArchived: true });
+    const allTasksPopulate = populate.mock.calls.find(([arg]) => arg.path === 'projectTasks')[0];
+    expect(allTasksPopulate.match).toEqual({ deletedAt: null });
+  });
+});
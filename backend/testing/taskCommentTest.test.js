@@ -0,0 +1,231 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Comment = require('../models/comment');
+const Like = require('../models/like');
+const TrashItem = require('../models/trashItem');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for task comments, replies and comment likes using mockingoose.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockTaskId = '507f1f77bcf86cd799439013';
+const mockMemberId = '507f1f77bcf86cd799439014';
+const mockRoleId = '507f1f77bcf86cd799439015';
+const mockOutsiderId = '507f1f77bcf86cd799439016';
+const mockCommentId = '507f1f77bcf86cd799439017';
+const mockReplyId = '507f1f77bcf86cd799439018';
+const mockOtherTaskId = '507f1f77bcf86cd799439019';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const mockProject = {
+  _id: mockProjectId,
+  projectMembers: [
+    { user: mockUserId, role: mockRoleId },
+    { user: mockMemberId, role: mockRoleId }
+  ],
+  projectTasks: [mockTaskId, mockOtherTaskId]
+};
+
+const mockComment = {
+  _id: mockCommentId,
+  content: 'Which browser does this fail in?',
+  task: mockTaskId,
+  author: mockUserId,
+  parentComment: null
+};
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+});
+
+describe('Test listing task comments', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Returns the comments on a task with their likes', async () => {
+    mockingoose(Comment).toReturn([
+      mockComment,
+      { ...mockComment, _id: mockReplyId, content: 'Safari only', author: mockMemberId, parentComment: mockCommentId }
+    ], 'find');
+    jest.spyOn(Like, 'getLikeCount').mockResolvedValue(2);
+    jest.spyOn(Like, 'hasUserLiked').mockResolvedValue(true);
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.comments).toHaveLength(2);
+    expect(res.body.comments[1]).toMatchObject({ content: 'Safari only', parentComment: mockCommentId });
+    expect(res.body.comments[0]).toMatchObject({ likesCount: 2, userHasLiked: true });
+  });
+
+  test('Fails for users outside the project', async () => {
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments`)
+      .set({ Cookie: `token=${createMockToken(mockOutsiderId)}` });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not a member of this project');
+  });
+});
+
+describe('Test adding task comments', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  beforeEach(() => {
+    jest.spyOn(Comment.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Comment.prototype, 'populate').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  test('Comments on a task', async () => {
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments`)
+      .set(validHeaders)
+      .send({ content: '  Looks good to me  ' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.comment).toMatchObject({
+      content: 'Looks good to me',
+      task: mockTaskId,
+      post: null,
+      author: mockUserId,
+      parentComment: null,
+      likesCount: 0,
+      userHasLiked: false
+    });
+  });
+
+  test('Replies to a comment on the same task', async () => {
+    mockingoose(Comment).toReturn(mockComment, 'findOne');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments`)
+      .set(validHeaders)
+      .send({ content: 'Safari only', parentCommentId: mockCommentId });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.comment.parentComment).toBe(mockCommentId);
+  });
+
+  test('Fails to reply to a reply', async () => {
+    mockingoose(Comment).toReturn({ ...mockComment, _id: mockReplyId, parentComment: mockCommentId }, 'findOne');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments`)
+      .set(validHeaders)
+      .send({ content: 'Me too', parentCommentId: mockReplyId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Cannot reply to nested comments');
+  });
+
+  test('Fails to reply to a comment on another task', async () => {
+    mockingoose(Comment).toReturn({ ...mockComment, task: mockOtherTaskId }, 'findOne');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments`)
+      .set(validHeaders)
+      .send({ content: 'Me too', parentCommentId: mockCommentId });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Parent comment not found');
+  });
+
+  test('Fails for blank or overly long comments', async () => {
+    const blank = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments`)
+      .set(validHeaders)
+      .send({ content: '   ' });
+    const tooLong = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments`)
+      .set(validHeaders)
+      .send({ content: 'a'.repeat(501) });
+
+    expect(blank.statusCode).toBe(400);
+    expect(blank.body.message).toBe('Comment content is required');
+    expect(tooLong.statusCode).toBe(400);
+    expect(tooLong.body.message).toBe('Comments cannot be longer than 500 characters');
+  });
+});
+
+describe('Test deleting task comments', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Moves a comment and its replies to the trash, keeping their likes', async () => {
+    mockingoose(Comment).toReturn(mockComment, 'findOne');
+    const trashReplies = jest.spyOn(Comment, 'updateMany').mockResolvedValue({});
+    const trashed = jest.spyOn(TrashItem, 'create').mockImplementation(entry => Promise.resolve(entry));
+    const deleteLikes = jest.spyOn(Like, 'deleteMany');
+    const deleteComments = jest.spyOn(Comment, 'deleteMany');
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments/${mockCommentId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Comment deleted successfully');
+    const [filter, update] = trashReplies.mock.calls[0];
+    expect(filter.parentComment.toString()).toBe(mockCommentId);
+    expect(trashed.mock.calls[0][0]).toMatchObject({ itemType: 'Comment', label: mockComment.content, deletedBy: mockUserId });
+    expect(update.$set.deletedAt).toEqual(trashed.mock.calls[0][0].deletedAt);
+    expect(deleteComments).not.toHaveBeenCalled();
+    expect(deleteLikes).not.toHaveBeenCalled();
+  });
+
+  test('Fails when the user is not the author', async () => {
+    mockingoose(Comment).toReturn({ ...mockComment, author: mockMemberId }, 'findOne');
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments/${mockCommentId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Not authorized to delete this comment');
+  });
+});
+
+describe('Test liking task comments', () => {
+  const validHeaders = { Cookie: `token=${createMockToken(mockMemberId)}` };
+
+  test('Toggles a like on a comment', async () => {
+    mockingoose(Comment).toReturn(mockComment, 'findOne');
+    const toggleLike = jest.spyOn(Like, 'toggleLike').mockResolvedValue({ action: 'liked', like: {} });
+    jest.spyOn(Like, 'getLikeCount').mockResolvedValue(1);
+    jest.spyOn(Like, 'hasUserLiked').mockResolvedValue(true);
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments/${mockCommentId}/like`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ action: 'liked', likesCount: 1, userHasLiked: true });
+    expect(toggleLike).toHaveBeenCalledWith(mockMemberId, 'Comment', mockCommentId, mockProjectId);
+  });
+
+  test('Fails for comments on another task', async () => {
+    mockingoose(Comment).toReturn({ ...mockComment, task: mockOtherTaskId }, 'findOne');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/comments/${mockCommentId}/like`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Comment not found');
+  });
+});
@@ -0,0 +1,190 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Task = require('../models/tasks');
+const TaskHistory = require('../models/taskHistory');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for the task audit history and its routes using mockingoose.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockTaskId = '507f1f77bcf86cd799439013';
+const mockMemberId = '507f1f77bcf86cd799439014';
+const mockRoleId = '507f1f77bcf86cd799439015';
+const mockOutsiderId = '507f1f77bcf86cd799439016';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const mockProject = {
+  _id: mockProjectId,
+  projectOwner: { equals: (id) => id === mockUserId },
+  projectMembers: [
+    { user: mockUserId, role: mockRoleId },
+    { user: mockMemberId, role: mockRoleId }
+  ],
+  projectTasks: [mockTaskId]
+};
+
+// Task document owned by the current user; saving returns the document itself
+const mockTaskDocument = (overrides = {}) => {
+  const task = new Task({
+    _id: mockTaskId,
+    taskName: 'Write docs',
+    taskDescription: 'User guide',
+    taskDeadline: new Date('2025-09-01T00:00:00.000Z'),
+    taskCreator: mockUserId,
+    taskProgress: 'To Do',
+    priority: 'medium',
+    ...overrides
+  });
+  jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  return task;
+};
+
+// Records the history entries written through the model
+const captureHistory = () => jest.spyOn(TaskHistory, 'insertMany').mockImplementation(entries => Promise.resolve(entries));
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test recording task history', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Records each changed field of a task update with old and new values', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+    jest.spyOn(Task, 'findById').mockResolvedValue(mockTaskDocument());
+    const insertMany = captureHistory();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ taskName: 'Write docs', taskDeadline: '2025-09-15T00:00:00.000Z', priority: 'high' });
+
+    expect(res.statusCode).toBe(200);
+    const entries = insertMany.mock.calls[0][0];
+    expect(entries.map(entry => [entry.field, entry.oldValue, entry.newValue])).toEqual([
+      ['taskDeadline', '2025-09-01T00:00:00.000Z', '2025-09-15T00:00:00.000Z'],
+      ['priority', 'medium', 'high']
+    ]);
+    expect(entries[0]).toMatchObject({ project: mockProjectId, changedBy: mockUserId });
+    expect(entries[0].task.toString()).toBe(mockTaskId);
+    expect(entries[0].timestamp).toBeInstanceOf(Date);
+  });
+
+  test('Records nothing when an update changes no values', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+    jest.spyOn(Task, 'findById').mockResolvedValue(mockTaskDocument());
+    const insertMany = captureHistory();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ taskName: 'Write docs', priority: 'medium' });
+
+    expect(res.statusCode).toBe(200);
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  test('Records assignments', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        ...mockProject,
+        projectMembers: [{ user: { _id: { equals: (id) => id === mockMemberId } } }]
+      })
+    }));
+    const task = mockTaskDocument();
+    jest.spyOn(Task, 'findById')
+      .mockResolvedValueOnce(task)
+      .mockImplementationOnce(() => ({ populate: jest.fn().mockResolvedValue(task) }));
+    const insertMany = captureHistory();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/assign/${mockMemberId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(insertMany.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ field: 'taskAssignees', oldValue: [], newValue: [mockMemberId], changedBy: mockUserId })
+    ]);
+  });
+
+  test('Records progress changes', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(mockProject)
+    }));
+    jest.spyOn(Task, 'findById').mockResolvedValue(mockTaskDocument());
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    const insertMany = captureHistory();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'In Progress' });
+
+    expect(res.statusCode).toBe(200);
+    expect(insertMany.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ field: 'taskProgress', oldValue: 'To Do', newValue: 'In Progress' })
+    ]);
+  });
+});
+
+describe('Test getting task history', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Returns the history of a task', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+    mockingoose(TaskHistory).toReturn([
+      {
+        project: mockProjectId,
+        task: mockTaskId,
+        changedBy: mockUserId,
+        field: 'priority',
+        oldValue: 'medium',
+        newValue: 'high',
+        timestamp: new Date('2025-08-02T10:00:00.000Z')
+      }
+    ], 'find');
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/task/${mockTaskId}/history`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.history).toHaveLength(1);
+    expect(res.body.history[0]).toMatchObject({ field: 'priority', oldValue: 'medium', newValue: 'high' });
+  });
+
+  test('Fails for users outside the project', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/task/${mockTaskId}/history`)
+      .set({ Cookie: `token=${createMockToken(mockOutsiderId)}` });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not a member of this project');
+  });
+
+  test('Fails when the task is not in the project', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({ ...mockProject, projectTasks: [] });
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/task/${mockTaskId}/history`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Task not found in this project');
+  });
+});
@@ -0,0 +1,266 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const User = require('../models/user');
+const Task = require('../models/tasks');
+const jwt = require('jsonwebtoken');
+const { parseImportDate } = require('../services/taskImportService');
+
+/**
+ * @fileoverview Jest setup for importing tasks from CSV and JSON backlogs.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockDeveloperId = '507f1f77bcf86cd799439013';
+const mockViewerId = '507f1f77bcf86cd799439014';
+const mockLabelId = '507f1f77bcf86cd799439015';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const mockImportProject = () => {
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue({
+      _id: mockProjectId,
+      projectMembers: [
+        { user: mockUserId, role: { roleName: 'administrator' } },
+        { user: mockDeveloperId, role: { roleName: 'developer' } },
+        { user: mockViewerId, role: { roleName: 'viewer' } }
+      ],
+      workflow: [],
+      labels: [{ _id: mockLabelId, name: 'Backend', color: '#0d6efd' }]
+    })
+  }));
+  mockingoose(User).toReturn([
+    { _id: mockUserId, name: 'Alice', email: 'alice@example.com' },
+    { _id: mockDeveloperId, name: 'Bob', email: 'Bob@Example.com' }
+  ], 'find');
+};
+
+const csv = [
+  'Title,Description,Due Date,Assignee,Priority,Labels,Points,Status',
+  'Set up CI,"Build, test and deploy",30/09/2025,bob@example.com,High,backend,3,In Progress',
+  '"Write ""getting started"" guide",,2025-10-15,,,,,'
+].join('\r\n');
+
+const sendImport = (body, userId = mockUserId) => request(app)
+  .post(`/api/projects/${mockProjectId}/tasks/import`)
+  .set({ Cookie: `token=${createMockToken(userId)}` })
+  .send(body);
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test importing tasks', () => {
+  test('Previews CSV rows with columns mapped from their headers', async () => {
+    mockImportProject();
+    const insert = jest.spyOn(Task, 'insertMany');
+
+    const res = await sendImport({ format: 'csv', content: csv, dryRun: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.mapping).toEqual({
+      taskName: 'Title',
+      taskDescription: 'Description',
+      taskDeadline: 'Due Date',
+      taskAssignees: 'Assignee',
+      priority: 'Priority',
+      labels: 'Labels',
+      estimate: 'Points',
+      taskProgress: 'Status'
+    });
+    expect(res.body.valid).toBe(2);
+    const [first, second] = res.body.rows;
+    expect(first.task.taskName).toBe('Set up CI');
+    expect(first.task.taskDescription).toBe('Build, test and deploy');
+    expect(first.task.taskDeadline).toBe('2025-09-30T00:00:00.000Z');
+    expect(first.task.taskAssignees.map(user => user._id)).toEqual([mockDeveloperId]);
+    expect(first.task.priority).toBe('high');
+    expect(first.task.labels.map(label => label._id)).toEqual([mockLabelId]);
+    expect(first.task.estimate).toBe(3);
+    expect(first.task.taskProgress).toBe('In Progress');
+    expect(second.task.taskName).toBe('Write "getting started" guide');
+    expect(second.task.taskProgress).toBe('To Do');
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  test('Reports every problem of a row', async () => {
+    mockImportProject();
+    const content = JSON.stringify([
+      { name: '', deadline: '31/02/2025', assignees: ['viewer@example.com'], priority: 'asap', labels: 'Frontend', estimate: -1, status: 'Blocked' },
+      { name: 'Fine', deadline: 'Sep 30, 2025', start: '1 Oct 2025' }
+    ]);
+
+    const res = await sendImport({ format: 'json', content, dryRun: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.invalid).toBe(2);
+    expect(res.body.rows[0].errors).toEqual([
+      'Task name is required',
+      'Unrecognised deadline "31/02/2025"',
+      'No project member with email "viewer@example.com"',
+      'Invalid priority "asap"',
+      'No label named "Frontend" in this project',
+      'Estimate must be a non-negative number',
+      'Unknown status "Blocked"'
+    ]);
+    expect(res.body.rows[1].errors).toEqual(['Start date cannot be after the deadline']);
+  });
+
+  test('Creates every task at once when all rows are valid', async () => {
+    mockImportProject();
+    const insert = jest.spyOn(Task, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+    const updateProject = jest.spyOn(Project, 'findByIdAndUpdate').mockResolvedValue({});
+
+    const res = await sendImport({ format: 'csv', content: csv });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('2 tasks imported');
+    const docs = insert.mock.calls[0][0];
+    expect(docs).toHaveLength(2);
+    expect(docs[0].taskCreator).toBe(mockUserId);
+    expect(docs[0].taskAssignees.map(String)).toEqual([mockDeveloperId]);
+    expect(updateProject).toHaveBeenCalledWith(
+      mockProjectId,
+      { $push: { projectTasks: { $each: docs.map(doc => doc._id) } } }
+    );
+    expect(res.body.created).toHaveLength(2);
+  });
+
+  test('Records the imported status so analytics count the task there', async () => {
+    mockImportProject();
+    const insert = jest.spyOn(Task, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+    jest.spyOn(Project, 'findByIdAndUpdate').mockResolvedValue({});
+
+    const imported = await sendImport({ format: 'csv', content: csv });
+
+    expect(imported.statusCode).toBe(201);
+    const docs = insert.mock.calls[0][0];
+    expect(docs[0].progressHistory).toEqual([
+      { progress: 'In Progress', updatedBy: mockUserId, timestamp: expect.any(Date) }
+    ]);
+    expect(docs[1].progressHistory).toEqual([]);
+
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectMembers: [{ user: { _id: mockUserId, name: 'Alice', email: 'alice@example.com' } }],
+        projectTasks: docs.map(doc => doc._id),
+        workflow: []
+      })
+    }));
+    jest.spyOn(Task, 'find').mockImplementation(() => ({
+      select: jest.fn().mockImplementation(() => ({
+        populate: jest.fn().mockResolvedValue(docs.map(doc => ({ ...doc, createdAt: new Date() })))
+      }))
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/analytics`)
+      .set({ Cookie: `token=${createMockToken()}` });
+
+    expect(res.statusCode).toBe(200);
+    const today = res.body.cumulativeFlow[res.body.cumulativeFlow.length - 1];
+    expect(today.counts).toEqual({ 'In Progress': 1, 'To Do': 1 });
+  });
+
+  test('Imports nothing while any row has errors', async () => {
+    mockImportProject();
+    const insert = jest.spyOn(Task, 'insertMany');
+    const content = 'Title,Deadline\nGood,2025-09-30\nBad,someday\n';
+
+    const res = await sendImport({ format: 'csv', content });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Nothing was imported: 1 row has errors');
+    expect(res.body.rows[1].errors).toEqual(['Unrecognised deadline "someday"']);
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  test('Removes the created tasks again when adding them to the project fails', async () => {
+    mockImportProject();
+    jest.spyOn(Task, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+    jest.spyOn(Project, 'findByIdAndUpdate').mockRejectedValue(new Error('Write conflict'));
+    const remove = jest.spyOn(Task, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+    const res = await sendImport({ format: 'csv', content: csv });
+
+    expect(res.statusCode).toBe(500);
+    expect(remove).toHaveBeenCalledTimes(1);
+    expect(remove.mock.calls[0][0]._id.$in).toHaveLength(2);
+  });
+
+  test('Uses the column mapping chosen by the user', async () => {
+    mockImportProject();
+    const content = 'Item;When;Owner\nShip it;03/04/2025;alice@example.com\n';
+
+    const res = await sendImport({
+      format: 'csv',
+      content,
+      mapping: { taskName: 'Item', taskDeadline: 'When', taskAssignees: '' },
+      dateFormat: 'MDY',
+      dryRun: true
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.mapping).toEqual({ taskName: 'Item', taskDeadline: 'When' });
+    expect(res.body.rows[0].task.taskDeadline).toBe('2025-03-04T00:00:00.000Z');
+    expect(res.body.rows[0].task.taskAssignees).toEqual([]);
+  });
+
+  test('Rejects a file without a deadline column', async () => {
+    mockImportProject();
+
+    const res = await sendImport({ format: 'csv', content: 'Title\nShip it\n', dryRun: true });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Map a column to the task name and the deadline');
+  });
+
+  test('Rejects JSON that is not a list of tasks', async () => {
+    mockImportProject();
+
+    const res = await sendImport({ format: 'json', content: '{"name": "Ship it"}', dryRun: true });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid JSON: expected a list of task objects');
+  });
+
+  test('Only administrators can import tasks', async () => {
+    mockImportProject();
+
+    const res = await sendImport({ format: 'csv', content: csv, dryRun: true }, mockDeveloperId);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can import tasks');
+  });
+});
+
+describe('Test parsing import dates', () => {
+  test('Reads the common date formats', () => {
+    const expected = new Date('2025-09-30T00:00:00.000Z');
+    expect(parseImportDate('2025-09-30')).toEqual(expected);
+    expect(parseImportDate('2025/9/30')).toEqual(expected);
+    expect(parseImportDate('30/09/2025')).toEqual(expected);
+    expect(parseImportDate('30.09.25')).toEqual(expected);
+    expect(parseImportDate('09/30/2025', 'MDY')).toEqual(expected);
+    expect(parseImportDate('30 Sep 2025')).toEqual(expected);
+    expect(parseImportDate('30th September 2025')).toEqual(expected);
+    expect(parseImportDate('Sept 30, 2025')).toEqual(expected);
+    expect(parseImportDate(45930)).toEqual(expected);
+    expect(parseImportDate('2025-09-30T09:30:00.000Z')).toEqual(new Date('2025-09-30T09:30:00.000Z'));
+  });
+
+  test('Rejects days that do not exist', () => {
+    expect(parseImportDate('2025-02-29')).toBeNull();
+    expect(parseImportDate('09/30/2025')).toBeNull();
+    expect(parseImportDate('next week')).toBeNull();
+  });
+});
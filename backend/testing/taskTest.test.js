@@ -3,7 +3,15 @@ const app = require('../app');
 const mockingoose = require('mockingoose');
 const Project = require('../models/project');
 const Task = require('../models/tasks');
+const Role = require('../models/roles');
+const TrashItem = require('../models/trashItem');
 const jwt = require('jsonwebtoken');
+const projectService = require('../services/projectService');
+const {
+  normalizeRecurrence,
+  addRecurrenceSteps,
+  getNextOccurrenceDate
+} = require('../services/recurrenceService');
 
 /**
  * @fileoverview Jest setup for task routes tests using mockingoose.
@@ -26,7 +34,7 @@ const createMockTask = (overrides = {}) => ({
   taskDescription: 'Test task description',
   taskDeadline: new Date(Date.now() + 86400000), // Tomorrow
   taskCreator: mockUserId,
-  taskAssignee: null,
+  taskAssignees: [],
   taskProgress: 'To Do',
   progressHistory: [],
   createdAt: new Date(),
@@ -251,7 +259,32 @@ describe('Test task creation', () => {
       });
 
     expect(res.statusCode).toBe(403);
-    expect(res.body.message).toBe('Viewers are not authorized to create tasks');
+    expect(res.body.message).toBe('Your role does not allow creating tasks');
+  });
+
+  test('Fails for a custom role without the create tasks permission', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectOwner: 'differentUserId',
+        projectMembers: [
+          { user: mockUserId, role: { _id: mockRoleId, roleName: 'Reviewer', project: mockProjectId, permissions: ['work_on_tasks'] } },
+        ],
+        projectTasks: [],
+      }),
+    }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Test Task',
+        taskDescription: 'Test task description',
+        taskDeadline: new Date(Date.now() + 86400000).toISOString(),
+      });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Your role does not allow creating tasks');
   });
 
   test('Fails when database throws an error', async () => {
@@ -305,28 +338,33 @@ describe('Test task deletion', () => {
   const validHeaders = {
     Cookie: `token=${createMockToken()}`,
   };
+  // Archived two months ago
+  const archivedLongAgo = new Date(Date.now() - 60 * 86400000);
 
-  test('Successfully deletes a task', async () => {
+  test('Successfully moves a task to the trash', async () => {
     // Mock Project.findById to return a project where user is owner
     const mockProject = {
       _id: mockProjectId,
       projectOwner: { equals: (id) => id === mockUserId },
+      projectMembers: [{ user: mockUserId, role: mockRoleId }],
       projectTasks: [{ equals: (id) => id.toString() === mockTaskId }], // Task exists in project with equals method
     };
     jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+    jest.spyOn(Role, 'findById').mockResolvedValue({ _id: mockRoleId, roleName: 'administrator' });
 
     // Mock Task.findById to return the task where user is creator
     const mockTask = {
-      ...createMockTask(),
+      ...createMockTask({ archivedAt: archivedLongAgo }),
       taskCreator: { equals: (id) => id === mockUserId },
+      save: jest.fn().mockResolvedValue(),
     };
     jest.spyOn(Task, 'findById').mockResolvedValue(mockTask);
 
-    // Mock Project.updateOne to return success
-    mockingoose(Project).toReturn({ modifiedCount: 1 }, 'updateOne');
+    // Task has no subtasks
+    mockingoose(Task).toReturn([], 'find');
 
-    // Mock Task.deleteOne to return success
-    mockingoose(Task).toReturn({ deletedCount: 1 }, 'deleteOne');
+    const trashed = jest.spyOn(TrashItem, 'create').mockImplementation(entry => Promise.resolve(entry));
+    const deleteOne = jest.spyOn(Task, 'deleteOne');
 
     const res = await request(app)
       .delete(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
@@ -334,6 +372,14 @@ describe('Test task deletion', () => {
 
     expect(res.statusCode).toBe(200);
     expect(res.body.message).toBe('Task deleted successfully');
+    expect(mockTask.deletedAt).toBeInstanceOf(Date);
+    expect(trashed).toHaveBeenCalledWith(expect.objectContaining({
+      itemType: 'Task',
+      label: 'Test Task',
+      deletedBy: mockUserId,
+      deletedAt: mockTask.deletedAt
+    }));
+    expect(deleteOne).not.toHaveBeenCalled();
   });
 
   test('Fails when project is not found', async () => {
@@ -365,19 +411,21 @@ describe('Test task deletion', () => {
     expect(res.body.message).toBe('Task not found in this project');
   });
 
-  test('Fails when user is not authorized to delete task', async () => {
-    // Mock Project.findById to return a project where user is NOT owner
+  test('Fails when user is not an administrator', async () => {
+    // The user is a developer on the project
     const mockProject = {
       _id: mockProjectId,
       projectOwner: { equals: (id) => id === 'differentUserId' }, // Different user is owner
+      projectMembers: [{ user: mockUserId, role: mockRoleId }],
       projectTasks: [{ equals: (id) => id.toString() === mockTaskId }], // Task exists in project
     };
     jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+    jest.spyOn(Role, 'findById').mockResolvedValue({ _id: mockRoleId, roleName: 'developer' });
 
-    // Mock Task.findById to return the task where user is NOT creator
+    // Even the task creator has to archive instead
     const mockTask = {
-      ...createMockTask(),
-      taskCreator: { equals: (id) => id === 'differentUserId' }, // Different user is creator
+      ...createMockTask({ archivedAt: archivedLongAgo }),
+      taskCreator: { equals: (id) => id === mockUserId },
     };
     jest.spyOn(Task, 'findById').mockResolvedValue(mockTask);
 
@@ -386,7 +434,7 @@ describe('Test task deletion', () => {
       .set(validHeaders);
 
     expect(res.statusCode).toBe(500);
-    expect(res.body.message).toBe('You are not authorized to delete this task');
+    expect(res.body.message).toBe('Only project administrators can delete tasks permanently');
   });
 
   test('Fails when database throws an error', async () => {
@@ -394,19 +442,22 @@ describe('Test task deletion', () => {
     const mockProject = {
       _id: mockProjectId,
       projectOwner: { equals: (id) => id === mockUserId },
+      projectMembers: [{ user: mockUserId, role: mockRoleId }],
       projectTasks: [{ equals: (id) => id.toString() === mockTaskId }], // Task exists in project
     };
     jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+    jest.spyOn(Role, 'findById').mockResolvedValue({ _id: mockRoleId, roleName: 'administrator' });
 
     // Mock Task.findById to return the task where user is creator
     const mockTask = {
-      ...createMockTask(),
+      ...createMockTask({ archivedAt: archivedLongAgo }),
       taskCreator: { equals: (id) => id === mockUserId },
     };
     jest.spyOn(Task, 'findById').mockResolvedValue(mockTask);
+    mockingoose(Task).toReturn([], 'find');
 
-    // Mock Project.updateOne to throw error
-    mockingoose(Project).toReturn(new Error('Database error'), 'updateOne');
+    // Mock the task save to throw error
+    mockTask.save = jest.fn().mockRejectedValue(new Error('Database error'));
 
     const res = await request(app)
       .delete(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
@@ -706,6 +757,24 @@ describe('Test task update', () => {
     expect(res.statusCode).toBe(500);
     expect(res.body.message).toBe('Database error');
   });
+  test('Fails to update a task of another project before checking permissions', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({
+      _id: mockProjectId,
+      projectOwner: { equals: (id) => id === mockUserId },
+      projectMembers: [{ user: mockUserId, role: { _id: mockRoleId, roleName: 'administrator' } }],
+      projectTasks: [],
+    });
+    const findTask = jest.spyOn(Task, 'findById');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ taskName: 'Updated Name' });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Task not found in this project');
+    expect(findTask).not.toHaveBeenCalled();
+  });
 });
 
 describe('Test updating task progress', () => {
@@ -718,6 +787,7 @@ describe('Test updating task progress', () => {
     const mockProject = {
       _id: mockProjectId,
       projectOwner: { equals: (id) => id === mockUserId },
+      projectTasks: [mockTaskId],
       projectMembers: [
         {
           user: {
@@ -735,7 +805,7 @@ describe('Test updating task progress', () => {
     // Mock Task.findById to return the task
     const mockTask = {
       ...createMockTask(),
-      taskAssignee: null, // No assignee, so only project owner can update
+      taskAssignees: [], // No assignee, so only project owner can update
     };
     const saveMock = jest.fn().mockResolvedValue({
       ...mockTask,
@@ -769,6 +839,7 @@ describe('Test updating task progress', () => {
     const mockProject = {
       _id: mockProjectId,
       projectOwner: { equals: (id) => id === mockUserId },
+      projectTasks: [mockTaskId],
       projectMembers: [
         {
           user: {
@@ -786,7 +857,7 @@ describe('Test updating task progress', () => {
     // Mock Task.findById to return the task
     const mockTask = {
       ...createMockTask(),
-      taskAssignee: null, // No assignee, so only project owner can update
+      taskAssignees: [], // No assignee, so only project owner can update
     };
     const saveMock = jest.fn().mockResolvedValue({
       ...mockTask,
@@ -842,6 +913,7 @@ describe('Test updating task progress', () => {
     const mockProject = {
       _id: mockProjectId,
       projectOwner: { equals: (id) => id === 'differentUserId' }, // Different user is owner
+      projectTasks: [mockTaskId],
       projectMembers: [
         {
           user: {
@@ -859,7 +931,7 @@ describe('Test updating task progress', () => {
     // Mock Task.findById to return the task where user is NOT assignee
     const mockTask = {
       ...createMockTask(),
-      taskAssignee: { equals: (id) => id === 'differentUserId' }, // Different user is assignee
+      taskAssignees: [{ equals: (id) => id === 'differentUserId' }], // Different user is assignee
     };
     jest.spyOn(Task, 'findById').mockResolvedValue(mockTask);
 
@@ -881,6 +953,7 @@ describe('Test updating task progress', () => {
     const mockProject = {
       _id: mockProjectId,
       projectOwner: { equals: (id) => id === mockUserId },
+      projectTasks: [mockTaskId],
       projectMembers: [
         {
           user: {
@@ -898,7 +971,7 @@ describe('Test updating task progress', () => {
     // Mock Task.findById to return the task
     const mockTask = {
       ...createMockTask(),
-      taskAssignee: null, // No assignee, so only project owner can update
+      taskAssignees: [], // No assignee, so only project owner can update
     };
     const saveMock = jest.fn().mockRejectedValue(new Error('Database error'));
     jest
@@ -915,6 +988,26 @@ describe('Test updating task progress', () => {
     expect(res.statusCode).toBe(500);
     expect(res.body.message).toBe('Database error');
   });
+  test('Fails to update the progress of a task of another project', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectOwner: { equals: (id) => id === mockUserId },
+        projectTasks: [],
+        projectMembers: [],
+      }),
+    }));
+    const findTask = jest.spyOn(Task, 'findById');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'In Progress' });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Task not found in this project');
+    expect(findTask).not.toHaveBeenCalled();
+  });
 });
 
 describe('Test task assignment', () => {
@@ -926,6 +1019,7 @@ describe('Test task assignment', () => {
       _id: mockProjectId,
       projectOwner: { equals: (id) => id === mockUserId }, // requester is owner
       projectMembers: [], // no members, so memberId is not present
+      projectTasks: [mockTaskId],
     };
     jest.spyOn(Project, 'findById').mockImplementation(() => ({
       populate: jest.fn().mockResolvedValue(mockProject),
@@ -951,6 +1045,7 @@ describe('Test task assignment', () => {
       _id: mockProjectId,
       projectOwner: { equals: (id) => id === 'someone-else' }, // not the requester
       projectMembers: [{ user: { _id: { equals: (id) => id === memberId } } }],
+      projectTasks: [mockTaskId],
     };
     jest.spyOn(Project, 'findById').mockImplementation(() => ({
       populate: jest.fn().mockResolvedValue(mockProject),
@@ -975,28 +1070,958 @@ describe('Test task assignment', () => {
 describe('Task deletion edge paths', () => {
   const validHeaders = { Cookie: `token=${createMockToken()}` };
 
-  test('Delete fails when task was not removed from project (modifiedCount = 0)', async () => {
+  test('Delete fails for a task that is already in the trash', async () => {
     const mockProject = {
       _id: mockProjectId,
       projectOwner: { equals: (id) => id === mockUserId },
+      projectMembers: [{ user: mockUserId, role: mockRoleId }],
       projectTasks: [{ equals: (id) => id.toString() === mockTaskId }],
     };
     jest.spyOn(Project, 'findById').mockResolvedValue(mockProject);
+    jest.spyOn(Role, 'findById').mockResolvedValue({ _id: mockRoleId, roleName: 'administrator' });
 
     const mockTask = {
-      ...createMockTask(),
+      ...createMockTask({ archivedAt: new Date(Date.now() - 60 * 86400000), deletedAt: new Date() }),
       taskCreator: { equals: (id) => id === mockUserId },
     };
     jest.spyOn(Task, 'findById').mockResolvedValue(mockTask);
 
-    // $pull did not modify anything
-    mockingoose(Project).toReturn({ modifiedCount: 0 }, 'updateOne');
-
     const res = await request(app)
       .delete(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
       .set(validHeaders);
 
     expect(res.statusCode).toBe(500);
-    expect(res.body.message).toBe('Task was not removed from project');
+    expect(res.body.message).toBe('Task not found');
+  });
+});
+
+describe('Test subtasks', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+  const mockSubtaskId = '507f1f77bcf86cd799439015';
+
+  const createMockProjectWithTask = (roleName = 'administrator') => ({
+    _id: mockProjectId,
+    projectOwner: mockUserId,
+    projectMembers: [
+      {
+        user: mockUserId,
+        role: { _id: mockRoleId, roleName },
+      },
+    ],
+    projectTasks: [mockTaskId],
+  });
+
+  test('Successfully creates a subtask and reopens a completed parent', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(createMockProjectWithTask()),
+    }));
+    mockingoose(Task).toReturn(
+      createMockTask({ _id: mockSubtaskId, taskName: 'Subtask', parentTask: mockTaskId }),
+      'save'
+    );
+    mockingoose(Project).toReturn({ modifiedCount: 1 }, 'findByIdAndUpdate');
+
+    // Roll-up sees the new open subtask next to an already completed one
+    mockingoose(Task).toReturn(
+      [
+        createMockTask({ _id: '507f1f77bcf86cd799439016', parentTask: mockTaskId, taskProgress: 'Completed' }),
+        createMockTask({ _id: mockSubtaskId, parentTask: mockTaskId, taskProgress: 'To Do' }),
+      ],
+      'find'
+    );
+    const parentTask = {
+      ...createMockTask({ taskProgress: 'Completed' }),
+      parentTask: null,
+      progressHistory: [],
+      save: jest.fn().mockResolvedValue(true),
+    };
+    jest.spyOn(Task, 'findById').mockResolvedValue(parentTask);
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/subtasks`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Subtask',
+        taskDescription: 'Subtask description',
+        taskDeadline: new Date(Date.now() + 86400000).toISOString(),
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Subtask created successfully');
+    expect(res.body.task.parentTask).toBe(mockTaskId);
+    expect(parentTask.taskProgress).toBe('In Progress');
+    expect(parentTask.progressHistory).toHaveLength(1);
+    expect(parentTask.save).toHaveBeenCalled();
+  });
+
+  test('Fails when parent task is not in the project', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({ ...createMockProjectWithTask(), projectTasks: [] }),
+    }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/subtasks`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Subtask',
+        taskDescription: 'Subtask description',
+        taskDeadline: new Date(Date.now() + 86400000).toISOString(),
+      });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Parent task not found in this project');
+  });
+
+  test('Fails when subtask name is missing', async () => {
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/subtasks`)
+      .set(validHeaders)
+      .send({
+        taskDescription: 'Subtask description',
+        taskDeadline: new Date(Date.now() + 86400000).toISOString(),
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Task name required!');
+  });
+
+  test('Fails when viewer tries to create a subtask', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(createMockProjectWithTask('viewer')),
+    }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/subtasks`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Subtask',
+        taskDescription: 'Subtask description',
+        taskDeadline: new Date(Date.now() + 86400000).toISOString(),
+      });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Your role does not allow creating tasks');
+  });
+
+  test('Successfully lists subtasks of a task', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(createMockProjectWithTask());
+    mockingoose(Task).toReturn(
+      [createMockTask({ _id: mockSubtaskId, taskName: 'Subtask', parentTask: mockTaskId })],
+      'find'
+    );
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/task/${mockTaskId}/subtasks`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.subtasks).toHaveLength(1);
+    expect(res.body.subtasks[0].taskName).toBe('Subtask');
+  });
+
+  test('Fails to list subtasks for a non-member', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({
+      ...createMockProjectWithTask(),
+      projectMembers: [{ user: 'differentUserId' }],
+    });
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/task/${mockTaskId}/subtasks`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not a member of this project');
+  });
+
+  test('Fails to set progress directly on a task with subtasks', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectOwner: { equals: (id) => id === mockUserId },
+        projectTasks: [mockTaskId],
+        projectMembers: [],
+      }),
+    }));
+    jest.spyOn(Task, 'findById').mockResolvedValue(createMockTask());
+    mockingoose(Task).toReturn(2, 'countDocuments');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed' });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.message).toBe('Progress of a task with subtasks is calculated from its subtasks');
+  });
+
+  test('Completing the last open subtask completes the parent', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectOwner: { equals: (id) => id === mockUserId },
+        projectTasks: [mockTaskId, mockSubtaskId],
+        projectMembers: [],
+      }),
+    }));
+
+    const subtask = {
+      ...createMockTask({ _id: mockSubtaskId, taskAssignees: [] }),
+      parentTask: mockTaskId,
+      progressHistory: [],
+      save: jest.fn().mockImplementation(function () { return Promise.resolve(this); }),
+    };
+    const parentTask = {
+      ...createMockTask({ taskProgress: 'In Progress' }),
+      parentTask: null,
+      progressHistory: [],
+      save: jest.fn().mockResolvedValue(true),
+    };
+    jest.spyOn(Task, 'findById')
+      .mockResolvedValueOnce(subtask)
+      .mockResolvedValueOnce(parentTask);
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    mockingoose(Task).toReturn(
+      [createMockTask({ _id: mockSubtaskId, parentTask: mockTaskId, taskProgress: 'Completed' })],
+      'find'
+    );
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockSubtaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed' });
+
+    expect(res.statusCode).toBe(200);
+    expect(parentTask.taskProgress).toBe('Completed');
+    expect(parentTask.progressHistory[0].progress).toBe('Completed');
+    expect(parentTask.save).toHaveBeenCalled();
+  });
+});
+
+describe('Test task dependencies', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+  const mockBlockerId = '507f1f77bcf86cd799439016';
+  const mockOtherTaskId = '507f1f77bcf86cd799439017';
+
+  const mockDependencyProject = () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue({
+      _id: mockProjectId,
+      projectOwner: { equals: (id) => id === mockUserId },
+      projectMembers: [],
+      projectTasks: [mockTaskId, mockBlockerId, mockOtherTaskId],
+    });
+  };
+
+  const createBlockedTask = (blockedBy = []) => ({
+    ...createMockTask(),
+    taskCreator: { equals: (id) => id === mockUserId },
+    blockedBy,
+    save: jest.fn().mockImplementation(function () { return Promise.resolve(this); }),
+  });
+
+  const mockProgressProject = (memberRole) => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectOwner: { equals: (id) => id === mockUserId },
+        projectTasks: [mockTaskId],
+        projectMembers: [{ user: { _id: mockUserId }, role: mockRoleId }],
+      }),
+    }));
+    if (memberRole) {
+      mockingoose(Role).toReturn({ _id: mockRoleId, roleName: memberRole }, 'findOne');
+    }
+  };
+
+  test('Successfully adds a blocking task', async () => {
+    mockDependencyProject();
+    const task = createBlockedTask();
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    mockingoose(Task).toReturn([
+      { _id: mockTaskId, blockedBy: [] },
+      { _id: mockBlockerId, blockedBy: [] },
+    ], 'find');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/dependencies`)
+      .set(validHeaders)
+      .send({ blockerTaskId: mockBlockerId });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Dependency added successfully');
+    expect(task.blockedBy).toEqual([mockBlockerId]);
+    expect(task.save).toHaveBeenCalled();
+  });
+
+  test('Fails when a task would block itself', async () => {
+    mockDependencyProject();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/dependencies`)
+      .set(validHeaders)
+      .send({ blockerTaskId: mockTaskId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('A task cannot block itself');
+  });
+
+  test('Fails when the blocker already waits on the task', async () => {
+    mockDependencyProject();
+    const task = createBlockedTask();
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    mockingoose(Task).toReturn([
+      { _id: mockTaskId, blockedBy: [] },
+      { _id: mockBlockerId, blockedBy: [mockTaskId] },
+    ], 'find');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/dependencies`)
+      .set(validHeaders)
+      .send({ blockerTaskId: mockBlockerId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Adding this dependency would create a cycle');
+    expect(task.save).not.toHaveBeenCalled();
+  });
+
+  test('Fails when the dependency closes an indirect cycle', async () => {
+    mockDependencyProject();
+    jest.spyOn(Task, 'findById').mockResolvedValue(createBlockedTask());
+    // Blocker waits on the other task, which waits on the task itself
+    mockingoose(Task).toReturn([
+      { _id: mockTaskId, blockedBy: [] },
+      { _id: mockBlockerId, blockedBy: [mockOtherTaskId] },
+      { _id: mockOtherTaskId, blockedBy: [mockTaskId] },
+    ], 'find');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/dependencies`)
+      .set(validHeaders)
+      .send({ blockerTaskId: mockBlockerId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Adding this dependency would create a cycle');
+  });
+
+  test('Fails when the blocking task is not in the project', async () => {
+    mockDependencyProject();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockTaskId}/dependencies`)
+      .set(validHeaders)
+      .send({ blockerTaskId: '507f1f77bcf86cd799439099' });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Task not found in this project');
+  });
+
+  test('Successfully removes a blocking task', async () => {
+    mockDependencyProject();
+    const task = createBlockedTask([mockBlockerId]);
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+
+    const res = await request(app)
+      .delete(`/api/projects/${mockProjectId}/task/${mockTaskId}/dependencies/${mockBlockerId}`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(task.blockedBy).toEqual([]);
+  });
+
+  test('Fails to start a task while a blocker is open', async () => {
+    mockProgressProject();
+    const task = createBlockedTask([mockBlockerId]);
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    mockingoose(Task).toReturn([{ _id: mockBlockerId, taskName: 'Design API' }], 'find');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'In Progress' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Task is blocked by unfinished tasks: Design API');
+    expect(task.save).not.toHaveBeenCalled();
+  });
+
+  test('Administrator can override open blockers', async () => {
+    mockProgressProject('administrator');
+    const task = createBlockedTask([mockBlockerId]);
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    mockingoose(Task).toReturn([{ _id: mockBlockerId, taskName: 'Design API' }], 'find');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed', overrideBlockers: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(task.taskProgress).toBe('Completed');
+  });
+
+  test('Non-administrator cannot override open blockers', async () => {
+    mockProgressProject('developer');
+    jest.spyOn(Task, 'findById').mockResolvedValue(createBlockedTask([mockBlockerId]));
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    mockingoose(Task).toReturn([{ _id: mockBlockerId, taskName: 'Design API' }], 'find');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed', overrideBlockers: true });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can override task dependencies');
+  });
+});
+
+describe('Test task workflow transitions', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  const reviewWorkflow = [
+    { name: 'Backlog', category: 'todo', color: '#6c757d', transitions: ['Doing'] },
+    { name: 'Doing', category: 'active', color: '#ffc107', transitions: ['In Review'] },
+    { name: 'In Review', category: 'active', color: '#17a2b8', transitions: ['Doing', 'Done'] },
+    { name: 'Done', category: 'done', color: '#28a745', transitions: [] }
+  ];
+
+  const mockWorkflowProject = () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectOwner: { equals: (id) => id === mockUserId },
+        projectTasks: [mockTaskId],
+        projectMembers: [],
+        workflow: reviewWorkflow,
+      }),
+    }));
+  };
+
+  const createWorkflowTask = (taskProgress) => ({
+    ...createMockTask({ taskProgress }),
+    progressHistory: [],
+    save: jest.fn().mockImplementation(function () { return Promise.resolve(this); }),
+  });
+
+  test('Moves a task along an allowed transition', async () => {
+    mockWorkflowProject();
+    const task = createWorkflowTask('Doing');
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    mockingoose(Task).toReturn(0, 'countDocuments');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'In Review' });
+
+    expect(res.statusCode).toBe(200);
+    expect(task.taskProgress).toBe('In Review');
+    expect(task.progressHistory[0].progress).toBe('In Review');
+  });
+
+  test('Fails to skip a step the workflow does not allow', async () => {
+    mockWorkflowProject();
+    const task = createWorkflowTask('Backlog');
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    mockingoose(Task).toReturn(0, 'countDocuments');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Done' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Cannot move a task from "Backlog" to "Done"');
+    expect(task.save).not.toHaveBeenCalled();
+  });
+
+  test('Fails to use a status outside the project workflow', async () => {
+    mockWorkflowProject();
+    jest.spyOn(Task, 'findById').mockResolvedValue(createWorkflowTask('Doing'));
+    mockingoose(Task).toReturn(0, 'countDocuments');
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Status is not part of this project\'s workflow');
+  });
+
+  test('New tasks start in the first todo status of the workflow', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectMembers: [{ user: mockUserId, role: { _id: mockRoleId, roleName: 'developer' } }],
+        projectTasks: [],
+        workflow: reviewWorkflow,
+      }),
+    }));
+    const save = jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    mockingoose(Project).toReturn({}, 'findOneAndUpdate');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Workflow Task',
+        taskDescription: 'Starts in the backlog',
+        taskDeadline: new Date(Date.now() + 86400000).toISOString(),
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(save).toHaveBeenCalled();
+    expect(res.body.task.taskProgress).toBe('Backlog');
+  });
+});
+
+describe('Test task priority, labels and estimates', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+  const bugLabelId = '507f1f77bcf86cd799439021';
+
+  const labelledProject = {
+    _id: mockProjectId,
+    projectOwner: { equals: (id) => id === mockUserId },
+    projectMembers: [{ user: mockUserId, role: { _id: mockRoleId, roleName: 'developer' } }],
+    projectTasks: [mockTaskId],
+    labels: [{ _id: bugLabelId, name: 'bug', color: '#dc3545' }],
+  };
+
+  const createEditableTask = (overrides = {}) => ({
+    ...createMockTask(overrides),
+    taskCreator: { equals: (id) => id === mockUserId },
+    save: jest.fn().mockImplementation(function () { return Promise.resolve(this); }),
+  });
+
+  test('Successfully creates a task with priority, labels and an estimate', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(labelledProject),
+    }));
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    mockingoose(Project).toReturn({}, 'findOneAndUpdate');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Fix login',
+        taskDescription: 'Login fails on Safari',
+        taskDeadline: new Date(Date.now() + 86400000).toISOString(),
+        priority: 'urgent',
+        labels: [bugLabelId],
+        estimate: 3,
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.task).toMatchObject({ priority: 'urgent', labels: [bugLabelId], estimate: 3 });
+  });
+
+  test('New tasks default to medium priority without an estimate', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(labelledProject),
+    }));
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    mockingoose(Project).toReturn({}, 'findOneAndUpdate');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Plain task',
+        taskDescription: 'Nothing special',
+        taskDeadline: new Date(Date.now() + 86400000).toISOString(),
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.task).toMatchObject({ priority: 'medium', labels: [], estimate: null });
+  });
+
+  test('Fails to create a task with a label from another project', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(labelledProject),
+    }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Fix login',
+        taskDescription: 'Login fails on Safari',
+        taskDeadline: new Date(Date.now() + 86400000).toISOString(),
+        labels: ['507f1f77bcf86cd799439099'],
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Label not found in this project');
+  });
+
+  test('Successfully updates priority and clears the estimate', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(labelledProject);
+    const task = createEditableTask({ priority: 'low', estimate: 5 });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ priority: 'high', estimate: null });
+
+    expect(res.statusCode).toBe(200);
+    expect(task.priority).toBe('high');
+    expect(task.estimate).toBeNull();
+    expect(task.save).toHaveBeenCalled();
+  });
+
+  test('Fails to update a task with an unknown priority', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(labelledProject);
+    const task = createEditableTask();
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ priority: 'critical' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid priority');
+    expect(task.save).not.toHaveBeenCalled();
+  });
+
+  test('Fails to update a task with a negative estimate', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(labelledProject);
+    jest.spyOn(Task, 'findById').mockResolvedValue(createEditableTask());
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ estimate: -2 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Estimate must be a non-negative number');
+  });
+});
+
+describe('Test task start dates', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+  const dayMs = 86400000;
+
+  const memberProject = {
+    _id: mockProjectId,
+    projectOwner: { equals: (id) => id === mockUserId },
+    projectMembers: [{ user: mockUserId, role: { _id: mockRoleId, roleName: 'developer' } }],
+    projectTasks: [mockTaskId],
+  };
+
+  const createEditableTask = (overrides = {}) => ({
+    ...createMockTask(overrides),
+    taskCreator: { equals: (id) => id === mockUserId },
+    save: jest.fn().mockImplementation(function () { return Promise.resolve(this); }),
+  });
+
+  test('Successfully creates a task with a start date', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(memberProject),
+    }));
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    mockingoose(Project).toReturn({}, 'findOneAndUpdate');
+    const start = new Date(Date.now() + dayMs);
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Write report',
+        taskDescription: 'Quarterly report',
+        taskStartDate: start.toISOString(),
+        taskDeadline: new Date(Date.now() + 5 * dayMs).toISOString(),
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.task.taskStartDate).toBe(start.toISOString());
+  });
+
+  test('Fails to create a task that starts after its deadline', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(memberProject),
+    }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Write report',
+        taskDescription: 'Quarterly report',
+        taskStartDate: new Date(Date.now() + 6 * dayMs).toISOString(),
+        taskDeadline: new Date(Date.now() + 5 * dayMs).toISOString(),
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Start date cannot be after the deadline');
+  });
+
+  test('Successfully reschedules the start and deadline together', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(memberProject);
+    const task = createEditableTask({ taskStartDate: new Date(Date.now() + dayMs) });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    const start = new Date(Date.now() + 8 * dayMs);
+    const deadline = new Date(Date.now() + 10 * dayMs);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ taskStartDate: start.toISOString(), taskDeadline: deadline.toISOString() });
+
+    expect(res.statusCode).toBe(200);
+    expect(task.taskStartDate).toEqual(start);
+    expect(task.save).toHaveBeenCalled();
+  });
+
+  test('Successfully clears the start date', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(memberProject);
+    const task = createEditableTask({ taskStartDate: new Date() });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ taskStartDate: null });
+
+    expect(res.statusCode).toBe(200);
+    expect(task.taskStartDate).toBeNull();
+  });
+
+  test('Fails to move the deadline before the start date', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(memberProject);
+    const task = createEditableTask({ taskStartDate: new Date(Date.now() + 3 * dayMs) });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ taskDeadline: new Date(Date.now() + 2 * dayMs).toISOString() });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Start date cannot be after the deadline');
+    expect(task.save).not.toHaveBeenCalled();
+  });
+
+  test('Fails to update a task with an invalid start date', async () => {
+    jest.spyOn(Project, 'findById').mockResolvedValue(memberProject);
+    jest.spyOn(Task, 'findById').mockResolvedValue(createEditableTask());
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}`)
+      .set(validHeaders)
+      .send({ taskStartDate: 'next week' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid start date');
+  });
+});
+
+describe('Test recurring tasks', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+  const mockAssigneeId = '507f1f77bcf86cd799439031';
+  const dayMs = 86400000;
+
+  const recurringProject = {
+    _id: mockProjectId,
+    projectOwner: { equals: (id) => id === mockUserId },
+    projectMembers: [{ user: mockUserId, role: { _id: mockRoleId, roleName: 'developer' } }],
+    projectTasks: [mockTaskId],
+  };
+
+  // Records every task saved through the model so new occurrences can be inspected
+  const captureSavedTasks = () => {
+    const saved = [];
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+    return saved;
+  };
+
+  test('Successfully creates a task that repeats every two weeks', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(recurringProject),
+    }));
+    captureSavedTasks();
+    mockingoose(Project).toReturn({}, 'findOneAndUpdate');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Standup notes',
+        taskDescription: 'Write up the weekly standup',
+        taskDeadline: new Date(Date.now() + dayMs).toISOString(),
+        recurrence: { frequency: 'weekly', interval: '2' },
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.task.recurrence).toEqual({ frequency: 'weekly', interval: 2, endDate: null });
+    expect(res.body.task.nextOccurrence).toBeNull();
+  });
+
+  test('Fails to create a task with an unknown frequency', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(recurringProject),
+    }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set(validHeaders)
+      .send({
+        taskName: 'Standup notes',
+        taskDescription: 'Write up the weekly standup',
+        taskDeadline: new Date(Date.now() + dayMs).toISOString(),
+        recurrence: { frequency: 'yearly' },
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid recurrence: frequency must be daily, weekly or monthly');
+  });
+
+  test('Completing a recurring task creates the next occurrence', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(recurringProject),
+    }));
+    const deadline = new Date(Date.now() + 2 * dayMs);
+    const task = new Task({
+      ...createMockTask({ taskDeadline: deadline, taskProgress: 'In Progress' }),
+      taskAssignees: [mockUserId],
+      priority: 'high',
+      recurrence: { frequency: 'weekly' },
+    });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    const findByIdAndUpdate = jest.spyOn(Project, 'findByIdAndUpdate').mockResolvedValue({});
+    const saved = captureSavedTasks();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed' });
+
+    expect(res.statusCode).toBe(200);
+    const occurrence = saved.find(doc => doc !== task);
+    expect(occurrence).toMatchObject({
+      taskName: 'Test Task',
+      taskDescription: 'Test task description',
+      taskProgress: 'To Do',
+      priority: 'high',
+    });
+    expect(occurrence.taskAssignees.map(String)).toEqual([mockUserId]);
+    expect(occurrence.taskDeadline.getTime()).toBe(deadline.getTime() + 7 * dayMs);
+    expect(res.body.task.nextOccurrence).toBe(occurrence._id.toString());
+    expect(findByIdAndUpdate).toHaveBeenCalledWith(
+      mockProjectId,
+      { $push: { projectTasks: occurrence._id } }
+    );
+  });
+
+  test('Completing a task whose series has ended does not create another', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(recurringProject),
+    }));
+    const deadline = new Date(Date.now() + 2 * dayMs);
+    const task = new Task({
+      ...createMockTask({ taskDeadline: deadline }),
+      taskAssignees: [mockUserId],
+      recurrence: { frequency: 'daily', endDate: new Date(deadline.getTime() + dayMs / 2) },
+    });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    const saved = captureSavedTasks();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed' });
+
+    expect(res.statusCode).toBe(200);
+    expect(saved).toEqual([task]);
+    expect(task.nextOccurrence).toBeNull();
+  });
+
+  test('The next occurrence keeps the lead time from start to deadline', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue(recurringProject),
+    }));
+    const deadline = new Date(Date.now() + 2 * dayMs);
+    const task = new Task({
+      ...createMockTask({ taskDeadline: deadline, taskProgress: 'In Progress' }),
+      taskStartDate: new Date(deadline.getTime() - 3 * dayMs),
+      recurrence: { frequency: 'weekly' },
+    });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    mockingoose(Task).toReturn(0, 'countDocuments');
+    jest.spyOn(Project, 'findByIdAndUpdate').mockResolvedValue({});
+    const saved = captureSavedTasks();
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/task/${mockTaskId}/progress`)
+      .set(validHeaders)
+      .send({ newProg: 'Completed' });
+
+    expect(res.statusCode).toBe(200);
+    const occurrence = saved.find(doc => doc !== task);
+    expect(occurrence.taskStartDate.getTime()).toBe(deadline.getTime() + 4 * dayMs);
+  });
+
+  test('Overdue recurring tasks get their next occurrence after today', async () => {
+    const deadline = new Date(Date.now() - 10 * dayMs);
+    const overdueTask = new Task({
+      ...createMockTask({ taskDeadline: deadline }),
+      taskAssignees: [mockAssigneeId],
+      recurrence: { frequency: 'weekly' },
+    });
+    jest.spyOn(Task, 'find').mockResolvedValue([overdueTask]);
+    jest.spyOn(Project, 'findOne').mockResolvedValue(recurringProject);
+    jest.spyOn(Project, 'findByIdAndUpdate').mockResolvedValue({});
+    const saved = captureSavedTasks();
+
+    const created = await projectService.generateOverdueOccurrences();
+
+    expect(created).toBe(1);
+    const occurrence = saved.find(doc => doc !== overdueTask);
+    expect(occurrence.taskDeadline.getTime()).toBe(deadline.getTime() + 14 * dayMs);
+    expect(occurrence.taskAssignees.map(String)).toEqual([mockAssigneeId]);
+    expect(overdueTask.nextOccurrence).toEqual(occurrence._id);
+  });
+});
+
+describe('Recurrence rules', () => {
+  test('Monthly occurrences keep the day of the month where it exists', () => {
+    const rule = { frequency: 'monthly', interval: 1, endDate: null };
+    const deadline = new Date('2025-01-31T00:00:00.000Z');
+
+    expect(addRecurrenceSteps(deadline, rule, 1).toISOString()).toBe('2025-02-28T00:00:00.000Z');
+    expect(addRecurrenceSteps(deadline, rule, 2).toISOString()).toBe('2025-03-31T00:00:00.000Z');
+  });
+
+  test('The next occurrence stops at the end date', () => {
+    const rule = normalizeRecurrence({ frequency: 'daily', interval: 3, endDate: '2025-03-05' });
+    const deadline = new Date('2025-03-01T00:00:00.000Z');
+    const after = new Date('2025-02-20T00:00:00.000Z');
+
+    expect(getNextOccurrenceDate(rule, deadline, after).toISOString()).toBe('2025-03-04T00:00:00.000Z');
+    expect(getNextOccurrenceDate(rule, new Date('2025-03-04T00:00:00.000Z'), after)).toBeNull();
+  });
+
+  test('Empty rules mean the task does not repeat', () => {
+    expect(normalizeRecurrence(null)).toBeNull();
+    expect(normalizeRecurrence({ frequency: '' })).toBeNull();
+    expect(() => normalizeRecurrence({ frequency: 'weekly', interval: 0 }))
+      .toThrow('Invalid recurrence: interval must be a positive whole number');
   });
 });
@@ -0,0 +1,322 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Role = require('../models/roles');
+const User = require('../models/user');
+const Task = require('../models/tasks');
+const Template = require('../models/template');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for project and task templates: saving, listing, deleting and creating from them.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockParentTaskId = '507f1f77bcf86cd799439013';
+const mockSubtaskId = '507f1f77bcf86cd799439014';
+const mockDeveloperId = '507f1f77bcf86cd799439015';
+const mockTemplateId = '507f1f77bcf86cd799439016';
+const mockViewerId = '507f1f77bcf86cd799439017';
+const mockRoleId = '507f1f77bcf86cd799439018';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const mockTemplateProject = () => {
+  const project = {
+    _id: mockProjectId,
+    projectOwner: mockUserId,
+    projectMembers: [
+      { user: mockUserId, role: { roleName: 'administrator' } },
+      { user: mockDeveloperId, role: { roleName: 'developer' } },
+      { user: mockViewerId, role: { roleName: 'viewer' } }
+    ],
+    projectTasks: [mockParentTaskId, mockSubtaskId],
+    createdAt: new Date('2025-09-01T00:00:00.000Z')
+  };
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(project)
+  }));
+  return project;
+};
+
+const mockProjectTasks = [
+  {
+    _id: mockSubtaskId,
+    taskName: 'Order laptops',
+    taskDescription: 'For the client team',
+    taskDeadline: new Date('2025-09-06T00:00:00.000Z'),
+    taskAssignees: [mockDeveloperId],
+    parentTask: mockParentTaskId,
+    priority: 'high'
+  },
+  {
+    _id: mockParentTaskId,
+    taskName: 'Onboard client',
+    taskDescription: 'Kick-off and accounts',
+    taskStartDate: new Date('2025-09-02T00:00:00.000Z'),
+    taskDeadline: new Date('2025-09-11T00:00:00.000Z'),
+    taskAssignees: [mockUserId],
+    estimate: 5
+  }
+];
+
+const mockProjectTemplate = {
+  _id: mockTemplateId,
+  name: 'Client setup',
+  kind: 'project',
+  project: mockProjectId,
+  createdBy: mockUserId,
+  tasks: [
+    { taskName: 'Onboard client', taskDescription: 'Kick-off', startOffsetDays: 1, deadlineOffsetDays: 10, assigneeRole: 'administrator', priority: 'medium', estimate: 5, parentIndex: null },
+    { taskName: 'Order laptops', taskDescription: '', startOffsetDays: null, deadlineOffsetDays: 5, assigneeRole: 'developer', priority: 'high', estimate: null, parentIndex: 0 }
+  ]
+};
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test saving templates', () => {
+  test('Saves the project tasks with deadlines relative to the start date', async () => {
+    mockTemplateProject();
+    mockingoose(Task).toReturn(mockProjectTasks, 'find');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/templates`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ name: '  Client setup ', description: 'Fifteen setup tasks', startDate: '2025-09-01' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.template).toMatchObject({ name: 'Client setup', description: 'Fifteen setup tasks', kind: 'project' });
+    expect(res.body.template.tasks).toEqual([
+      expect.objectContaining({
+        taskName: 'Onboard client',
+        startOffsetDays: 1,
+        deadlineOffsetDays: 10,
+        assigneeRole: 'administrator',
+        estimate: 5,
+        parentIndex: null
+      }),
+      expect.objectContaining({
+        taskName: 'Order laptops',
+        startOffsetDays: null,
+        deadlineOffsetDays: 5,
+        assigneeRole: 'developer',
+        priority: 'high',
+        parentIndex: 0
+      })
+    ]);
+  });
+
+  test('Only administrators can save templates', async () => {
+    mockTemplateProject();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/templates`)
+      .set({ Cookie: `token=${createMockToken(mockDeveloperId)}` })
+      .send({ name: 'Client setup' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can manage templates');
+  });
+
+  test('Rejects a project without tasks', async () => {
+    mockTemplateProject();
+    mockingoose(Task).toReturn([], 'find');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/templates`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ name: 'Client setup' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('The project has no tasks to save');
+  });
+
+  test('Rejects a template without a name', async () => {
+    mockTemplateProject();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/templates`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ name: '   ' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Template name must be between 1 and 100 characters');
+  });
+
+  test('Saves a single task as a task template named after it', async () => {
+    mockTemplateProject();
+    mockingoose(Task).toReturn(mockProjectTasks[1], 'findOne');
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/${mockParentTaskId}/template`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({});
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.template).toMatchObject({ name: 'Onboard client', kind: 'task', project: mockProjectId });
+    expect(res.body.template.tasks[0]).toMatchObject({ startOffsetDays: 0, deadlineOffsetDays: 9, assigneeRole: 'administrator' });
+  });
+
+  test('Rejects a task from another project', async () => {
+    mockTemplateProject();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task/507f1f77bcf86cd799439099/template`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({});
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Task not found in this project');
+  });
+});
+
+describe('Test listing and deleting templates', () => {
+  test('Lists the project templates of the user', async () => {
+    mockingoose(Template).toReturn([mockProjectTemplate], 'find');
+
+    const res = await request(app)
+      .get('/api/projects/templates')
+      .set({ Cookie: `token=${createMockToken()}` });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.templates).toHaveLength(1);
+    expect(res.body.templates[0].name).toBe('Client setup');
+  });
+
+  test('Lists task templates to project members only', async () => {
+    mockTemplateProject();
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/templates`)
+      .set({ Cookie: `token=${createMockToken('507f1f77bcf86cd799439099')}` });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not a member of this project');
+  });
+
+  test('Deletes a template for its creator', async () => {
+    mockingoose(Template).toReturn(mockProjectTemplate, 'findOne');
+    const deleteOne = jest.spyOn(Template, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    const res = await request(app)
+      .delete(`/api/projects/templates/${mockTemplateId}`)
+      .set({ Cookie: `token=${createMockToken()}` });
+
+    expect(res.statusCode).toBe(200);
+    expect(deleteOne).toHaveBeenCalled();
+  });
+
+  test('Hides project templates of other users', async () => {
+    mockingoose(Template).toReturn(mockProjectTemplate, 'findOne');
+
+    const res = await request(app)
+      .delete(`/api/projects/templates/${mockTemplateId}`)
+      .set({ Cookie: `token=${createMockToken(mockDeveloperId)}` });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Template not found');
+  });
+
+  test('Lets only administrators delete task templates created by someone else', async () => {
+    mockTemplateProject();
+    mockingoose(Template).toReturn({ ...mockProjectTemplate, kind: 'task', createdBy: mockDeveloperId }, 'findOne');
+
+    const res = await request(app)
+      .delete(`/api/projects/templates/${mockTemplateId}`)
+      .set({ Cookie: `token=${createMockToken(mockViewerId)}` });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can manage templates');
+  });
+});
+
+describe('Test creating from templates', () => {
+  test('Creates a project with the template tasks dated from the start date', async () => {
+    mockingoose(Role).toReturn({ _id: mockRoleId, roleName: 'administrator' }, 'findOne');
+    mockingoose(Template).toReturn(mockProjectTemplate, 'findOne');
+    mockingoose(User).toReturn({}, 'findOneAndUpdate');
+    const updateProject = jest.spyOn(Project, 'findByIdAndUpdate').mockResolvedValue({});
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockImplementation(() => ({
+        populate: jest.fn().mockResolvedValue({ _id: mockProjectId, projectName: 'Acme' })
+      }))
+    }));
+    const createdTasks = [];
+    // Project and task documents share the same save method
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+      if (this instanceof Task) createdTasks.push(this);
+      return Promise.resolve(this);
+    });
+
+    const res = await request(app)
+      .post('/api/projects/create')
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ projectName: 'Acme', projectDescription: 'New client', templateId: mockTemplateId, startDate: '2030-01-01' });
+
+    expect(res.statusCode).toBe(201);
+    expect(createdTasks).toHaveLength(2);
+    const [parent, subtask] = createdTasks;
+    expect(parent.taskName).toBe('Onboard client');
+    expect(parent.taskStartDate).toEqual(new Date('2030-01-02T00:00:00.000Z'));
+    expect(parent.taskDeadline).toEqual(new Date('2030-01-11T00:00:00.000Z'));
+    expect(parent.taskAssignees.map(String)).toEqual([mockUserId]);
+    expect(parent.taskProgress).toBe('To Do');
+    expect(subtask.parentTask).toEqual(parent._id);
+    expect(subtask.taskStartDate).toBeNull();
+    expect(subtask.taskDeadline).toEqual(new Date('2030-01-06T00:00:00.000Z'));
+    // Nobody holds the developer role in a new project yet
+    expect(subtask.taskAssignees).toHaveLength(0);
+    expect(updateProject).toHaveBeenCalledWith(
+      expect.anything(),
+      { $set: { projectTasks: [parent._id, subtask._id] } }
+    );
+  });
+
+  test('Rejects a template that belongs to someone else', async () => {
+    mockingoose(Role).toReturn({ _id: mockRoleId, roleName: 'administrator' }, 'findOne');
+    mockingoose(Template).toReturn({ ...mockProjectTemplate, createdBy: mockDeveloperId }, 'findOne');
+
+    const res = await request(app)
+      .post('/api/projects/create')
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ projectName: 'Acme', projectDescription: 'New client', templateId: mockTemplateId });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Template not found');
+  });
+
+  test('Assigns a task created from a task template to the members of its default role', async () => {
+    mockTemplateProject();
+    jest.spyOn(Project, 'findByIdAndUpdate').mockResolvedValue({});
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ taskName: 'Order laptops', taskDescription: 'For the team', taskDeadline: '2030-01-06', assigneeRole: 'developer' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.task.taskAssignees).toEqual([mockDeveloperId]);
+  });
+
+  test('Rejects an assignee role that cannot own tasks', async () => {
+    mockTemplateProject();
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/task`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ taskName: 'Order laptops', taskDescription: 'For the team', taskDeadline: '2030-01-06', assigneeRole: 'viewer' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid assignee role');
+  });
+});
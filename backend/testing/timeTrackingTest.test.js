@@ -0,0 +1,278 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const TimeEntry = require('../models/timeEntry');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @fileoverview Jest setup for task time tracking and timesheet routes tests using mockingoose.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockTaskId = '507f1f77bcf86cd799439013';
+const mockRoleId = '507f1f77bcf86cd799439014';
+const mockEntryId = '507f1f77bcf86cd799439015';
+const mockOtherUserId = '507f1f77bcf86cd799439016';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+// Project with the current user as a member of the given role
+const mockProjectForTime = (roleName = 'developer', overrides = {}) => {
+  const mockProject = {
+    _id: mockProjectId,
+    projectOwner: mockOtherUserId,
+    projectMembers: [{ user: mockUserId, role: { _id: mockRoleId, roleName } }],
+    projectTasks: [mockTaskId],
+    ...overrides
+  };
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(mockProject)
+  }));
+  return mockProject;
+};
+
+const timeUrl = `/api/projects/${mockProjectId}/task/${mockTaskId}/time`;
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+});
+
+describe('Test task timers', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Successfully starts a timer', async () => {
+    mockProjectForTime();
+    mockingoose(TimeEntry).toReturn(null, 'findOne');
+    jest.spyOn(TimeEntry.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+
+    const res = await request(app)
+      .post(`${timeUrl}/start`)
+      .set(validHeaders)
+      .send({ note: 'Fixing the login form' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Timer started');
+    expect(res.body.entry).toMatchObject({ task: mockTaskId, user: mockUserId, end: null, note: 'Fixing the login form' });
+  });
+
+  test('Fails to start a second timer', async () => {
+    mockProjectForTime();
+    mockingoose(TimeEntry).toReturn({ _id: mockEntryId, user: mockUserId, end: null }, 'findOne');
+
+    const res = await request(app).post(`${timeUrl}/start`).set(validHeaders);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('You already have a running timer');
+  });
+
+  test('Fails when a viewer starts a timer', async () => {
+    mockProjectForTime('viewer');
+
+    const res = await request(app).post(`${timeUrl}/start`).set(validHeaders);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Viewers are not authorized to track time');
+  });
+
+  test('Fails when the task is not part of the project', async () => {
+    mockProjectForTime('developer', { projectTasks: [] });
+
+    const res = await request(app).post(`${timeUrl}/start`).set(validHeaders);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Task not found in this project');
+  });
+
+  test('Successfully stops a running timer and records its duration', async () => {
+    mockProjectForTime();
+    const runningEntry = {
+      _id: mockEntryId,
+      start: new Date(Date.now() - 90 * 60000),
+      end: null,
+      duration: 0,
+      save: jest.fn().mockImplementation(function () { return Promise.resolve(this); })
+    };
+    jest.spyOn(TimeEntry, 'findOne').mockResolvedValue(runningEntry);
+
+    const res = await request(app).post(`${timeUrl}/stop`).set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Timer stopped');
+    expect(runningEntry.end).toBeInstanceOf(Date);
+    expect(runningEntry.duration).toBe(90);
+    expect(runningEntry.save).toHaveBeenCalled();
+  });
+
+  test('Fails to stop when no timer is running on the task', async () => {
+    mockProjectForTime();
+    mockingoose(TimeEntry).toReturn(null, 'findOne');
+
+    const res = await request(app).post(`${timeUrl}/stop`).set(validHeaders);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('No running timer on this task');
+  });
+});
+
+describe('Test manual time entries', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Successfully logs time with a note', async () => {
+    mockProjectForTime();
+    jest.spyOn(TimeEntry.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    const start = new Date(Date.now() - 3 * 3600000);
+    const end = new Date(Date.now() - 3600000);
+
+    const res = await request(app)
+      .post(timeUrl)
+      .set(validHeaders)
+      .send({ start: start.toISOString(), end: end.toISOString(), note: 'Client call' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Time entry added successfully');
+    expect(res.body.entry).toMatchObject({ duration: 120, note: 'Client call', user: mockUserId });
+  });
+
+  test('Fails when the end time is before the start time', async () => {
+    mockProjectForTime();
+
+    const res = await request(app)
+      .post(timeUrl)
+      .set(validHeaders)
+      .send({
+        start: new Date(Date.now() - 3600000).toISOString(),
+        end: new Date(Date.now() - 7200000).toISOString()
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('End time must be after start time');
+  });
+
+  test('Fails when the start or end time is missing', async () => {
+    mockProjectForTime();
+
+    const res = await request(app)
+      .post(timeUrl)
+      .set(validHeaders)
+      .send({ start: new Date().toISOString() });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Start and end times are required');
+  });
+
+  test('Lists time entries with the total of finished entries', async () => {
+    mockProjectForTime();
+    mockingoose(TimeEntry).toReturn([
+      { _id: mockEntryId, user: mockUserId, start: new Date(), end: null, duration: 0 },
+      { user: mockUserId, start: new Date(Date.now() - 7200000), end: new Date(Date.now() - 3600000), duration: 60 },
+      { user: mockUserId, start: new Date(Date.now() - 9000000), end: new Date(Date.now() - 7200000), duration: 30 }
+    ], 'find');
+
+    const res = await request(app).get(timeUrl).set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.entries).toHaveLength(3);
+    expect(res.body.totalMinutes).toBe(90);
+  });
+
+  test('Fails when deleting time logged by someone else', async () => {
+    mockProjectForTime();
+    mockingoose(TimeEntry).toReturn({ _id: mockEntryId, task: mockTaskId, user: mockOtherUserId }, 'findOne');
+
+    const res = await request(app).delete(`${timeUrl}/${mockEntryId}`).set(validHeaders);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not authorized to delete this time entry');
+  });
+
+  test('Successfully deletes own time entry', async () => {
+    mockProjectForTime();
+    mockingoose(TimeEntry).toReturn({ _id: mockEntryId, task: mockTaskId, user: mockUserId }, 'findOne');
+    mockingoose(TimeEntry).toReturn({ deletedCount: 1 }, 'deleteOne');
+
+    const res = await request(app).delete(`${timeUrl}/${mockEntryId}`).set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Time entry deleted successfully');
+  });
+});
+
+describe('Test weekly timesheet', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+  const weekStart = new Date('2025-08-04T00:00:00.000Z');
+  const atDay = (day, hours) => new Date(weekStart.getTime() + day * 86400000 + hours * 3600000);
+
+  test('Totals minutes per member, day and task', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectMembers: [
+          { user: { _id: mockUserId, name: 'Alice', email: 'alice@example.com' } },
+          { user: { _id: mockOtherUserId, name: 'Bob', email: 'bob@example.com' } }
+        ]
+      })
+    }));
+    const alice = { _id: mockUserId, name: 'Alice', email: 'alice@example.com' };
+    const task = { _id: mockTaskId, taskName: 'Build API' };
+    jest.spyOn(TimeEntry, 'find').mockImplementation(() => ({
+      populate: jest.fn().mockImplementation(() => ({
+        populate: jest.fn().mockResolvedValue([
+          { user: alice, task, start: atDay(0, 9), end: atDay(0, 11), duration: 120 },
+          { user: alice, task, start: atDay(2, 13), end: atDay(2, 13.5), duration: 30 },
+          { user: alice, task: null, start: atDay(2, 15), end: atDay(2, 16), duration: 60 }
+        ])
+      }))
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/timesheet`)
+      .query({ weekStart: weekStart.toISOString() })
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.total).toBe(210);
+    expect(res.body.members.map(row => row.user.name)).toEqual(['Alice', 'Bob']);
+    expect(res.body.members[0].days).toEqual([120, 0, 90, 0, 0, 0, 0]);
+    expect(res.body.members[0].tasks).toEqual([
+      { taskId: mockTaskId, taskName: 'Build API', minutes: 150 },
+      { taskId: null, taskName: 'Deleted task', minutes: 60 }
+    ]);
+    expect(res.body.members[1]).toMatchObject({ total: 0, days: [0, 0, 0, 0, 0, 0, 0] });
+  });
+
+  test('Fails when the week start is missing', async () => {
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/timesheet`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid week start');
+  });
+
+  test('Fails for a user outside the project', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectMembers: [{ user: { _id: mockOtherUserId, name: 'Bob' } }]
+      })
+    }));
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/timesheet`)
+      .query({ weekStart: weekStart.toISOString() })
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You are not a member of this project');
+  });
+});
@@ -0,0 +1,286 @@
+const request = require('supertest');
+const app = require('../app');
+const mockingoose = require('mockingoose');
+const Project = require('../models/project');
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const Like = require('../models/like');
+const Task = require('../models/tasks');
+const TrashItem = require('../models/trashItem');
+const jwt = require('jsonwebtoken');
+const { purgeExpiredTrash } = require('../services/trashService');
+
+/**
+ * @fileoverview Jest setup for the project trash: listing, restoring and purging deleted items.
+ */
+
+const mockUserId = '507f1f77bcf86cd799439011';
+const mockProjectId = '507f1f77bcf86cd799439012';
+const mockPostId = '507f1f77bcf86cd799439013';
+const mockCommentId = '507f1f77bcf86cd799439014';
+const mockTaskId = '507f1f77bcf86cd799439015';
+const mockParentTaskId = '507f1f77bcf86cd799439016';
+const mockTrashItemId = '507f1f77bcf86cd799439017';
+const mockMemberId = '507f1f77bcf86cd799439018';
+
+// Helper function to create mock JWT token
+const createMockToken = (userId = mockUserId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET || 'testsecret');
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 86400000);
+
+const mockTrashProject = (settings = {}) => {
+  const project = {
+    _id: mockProjectId,
+    projectMembers: [
+      { user: mockUserId, role: { roleName: 'administrator' } },
+      { user: mockMemberId, role: { roleName: 'developer' } }
+    ],
+    projectTasks: [mockTaskId, mockParentTaskId],
+    settings
+  };
+  jest.spyOn(Project, 'findById').mockImplementation(() => ({
+    populate: jest.fn().mockResolvedValue(project),
+    then: (resolve) => resolve(project)
+  }));
+  return project;
+};
+
+const mockEntry = (overrides = {}) => ({
+  _id: mockTrashItemId,
+  project: { toString: () => mockProjectId },
+  itemType: 'Post',
+  item: mockPostId,
+  label: 'Design thread',
+  deletedAt: daysAgo(2),
+  ...overrides
+});
+
+const saved = (doc) => ({ ...doc, save: jest.fn().mockImplementation(function () { return Promise.resolve(this); }) });
+
+beforeEach(() => {
+  mockingoose.resetAll();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Test listing the trash', () => {
+  test('Lists deleted items with their purge date and what was deleted with them', async () => {
+    mockTrashProject({ trashRetentionDays: 14 });
+    const entry = mockEntry();
+    jest.spyOn(TrashItem, 'find').mockImplementation(() => ({
+      populate: jest.fn().mockImplementation(() => ({ sort: jest.fn().mockResolvedValue([entry]) }))
+    }));
+    const countComments = jest.spyOn(Comment, 'countDocuments').mockResolvedValue(3);
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/trash`)
+      .set({ Cookie: `token=${createMockToken()}` });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.retentionDays).toBe(14);
+    expect(res.body.items).toHaveLength(1);
+    expect(res.body.items[0]).toMatchObject({ itemType: 'Post', label: 'Design thread', childCount: 3 });
+    expect(new Date(res.body.items[0].purgeAt).getTime()).toBe(entry.deletedAt.getTime() + 14 * 86400000);
+    expect(countComments.mock.calls[0][0]).toEqual({ post: mockPostId, deletedAt: entry.deletedAt });
+  });
+
+  test('Fails for members who are not administrators', async () => {
+    mockTrashProject();
+
+    const res = await request(app)
+      .get(`/api/projects/${mockProjectId}/trash`)
+      .set({ Cookie: `token=${createMockToken(mockMemberId)}` });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Only project administrators can manage the trash');
+  });
+});
+
+describe('Test restoring from the trash', () => {
+  const validHeaders = { Cookie: `token=${createMockToken()}` };
+
+  test('Restores a post with the comments deleted along with it', async () => {
+    mockTrashProject();
+    const entry = mockEntry();
+    jest.spyOn(TrashItem, 'findById').mockResolvedValue(entry);
+    const post = saved({ _id: mockPostId, deletedAt: entry.deletedAt });
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    const restoreComments = jest.spyOn(Comment, 'updateMany').mockResolvedValue({});
+    const removeEntry = jest.spyOn(TrashItem, 'deleteOne').mockResolvedValue({});
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/trash/${mockTrashItemId}/restore`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ message: 'Item restored successfully', itemType: 'Post', item: mockPostId });
+    expect(post.deletedAt).toBeNull();
+    // Comments deleted on their own earlier stay in the trash
+    expect(restoreComments).toHaveBeenCalledWith(
+      { post: mockPostId, deletedAt: entry.deletedAt },
+      { $set: { deletedAt: null } }
+    );
+    expect(removeEntry).toHaveBeenCalledWith({ _id: mockTrashItemId });
+  });
+
+  test('Fails to restore a comment while its post is in the trash', async () => {
+    mockTrashProject();
+    jest.spyOn(TrashItem, 'findById').mockResolvedValue(mockEntry({ itemType: 'Comment', item: mockCommentId }));
+    jest.spyOn(Comment, 'findById').mockResolvedValue(saved({ _id: mockCommentId, post: mockPostId, deletedAt: daysAgo(2) }));
+    jest.spyOn(Post, 'findById').mockImplementation(() => ({
+      select: jest.fn().mockResolvedValue({ _id: mockPostId, deletedAt: daysAgo(1) })
+    }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/trash/${mockTrashItemId}/restore`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Restore the post first');
+  });
+
+  test('Restores a task with its subtasks', async () => {
+    mockTrashProject();
+    const entry = mockEntry({ itemType: 'Task', item: mockTaskId, label: 'Write docs' });
+    jest.spyOn(TrashItem, 'findById').mockResolvedValue(entry);
+    const task = saved({ _id: mockTaskId, parentTask: null, deletedAt: entry.deletedAt });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    const restoreTasks = jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+    jest.spyOn(TrashItem, 'deleteOne').mockResolvedValue({});
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/trash/${mockTrashItemId}/restore`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(task.deletedAt).toBeNull();
+    expect(restoreTasks.mock.calls[0][0].deletedAt).toEqual(entry.deletedAt);
+  });
+
+  test('Fails to restore a subtask while its parent is in the trash', async () => {
+    mockTrashProject();
+    jest.spyOn(TrashItem, 'findById').mockResolvedValue(mockEntry({ itemType: 'Task', item: mockTaskId }));
+    jest.spyOn(Task, 'findById').mockImplementation((id) => id === mockTaskId
+      ? Promise.resolve(saved({ _id: mockTaskId, parentTask: mockParentTaskId, deletedAt: daysAgo(2) }))
+      : { select: jest.fn().mockResolvedValue({ _id: mockParentTaskId, deletedAt: daysAgo(1) }) });
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/trash/${mockTrashItemId}/restore`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Restore the parent task first');
+  });
+
+  test('Fails for an entry from another project', async () => {
+    mockTrashProject();
+    jest.spyOn(TrashItem, 'findById').mockResolvedValue(mockEntry({ project: { toString: () => '507f1f77bcf86cd799439099' } }));
+
+    const res = await request(app)
+      .post(`/api/projects/${mockProjectId}/trash/${mockTrashItemId}/restore`)
+      .set(validHeaders);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Trash item not found');
+  });
+});
+
+describe('Test purging the trash', () => {
+  test('Removes posts past the retention period with their comments and likes', async () => {
+    mockTrashProject({ trashRetentionDays: 7 });
+    jest.spyOn(TrashItem, 'distinct').mockResolvedValue([mockProjectId]);
+    const findExpired = jest.spyOn(TrashItem, 'find').mockResolvedValue([mockEntry({ deletedAt: daysAgo(10) })]);
+    jest.spyOn(Comment, 'find').mockImplementation(() => ({
+      select: jest.fn().mockResolvedValue([{ _id: mockCommentId }])
+    }));
+    const deleteLikes = jest.spyOn(Like, 'deleteMany').mockResolvedValue({});
+    const deleteComments = jest.spyOn(Comment, 'deleteMany').mockResolvedValue({});
+    const deletePost = jest.spyOn(Post, 'deleteOne').mockResolvedValue({});
+    const removeEntries = jest.spyOn(TrashItem, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(TrashItem, 'deleteMany').mockResolvedValue({});
+    const now = new Date();
+
+    const purged = await purgeExpiredTrash(now);
+
+    expect(purged).toBe(1);
+    const cutoff = findExpired.mock.calls[0][0].deletedAt.$lte;
+    expect(cutoff.getTime()).toBe(now.getTime() - 7 * 86400000);
+    expect(deleteComments.mock.calls[0][0]._id.$in).toEqual([mockCommentId]);
+    expect(deleteLikes).toHaveBeenCalledWith({ targetType: 'Comment', targetId: { $in: [mockCommentId] } });
+    expect(deleteLikes).toHaveBeenCalledWith({ targetType: 'Post', targetId: mockPostId });
+    expect(deletePost).toHaveBeenCalledWith({ _id: mockPostId });
+    expect(removeEntries).toHaveBeenCalledWith({ _id: mockTrashItemId });
+  });
+
+  test('Removes expired tasks from the project with their subtasks and post mentions', async () => {
+    mockTrashProject();
+    jest.spyOn(TrashItem, 'distinct').mockResolvedValue([mockProjectId]);
+    jest.spyOn(TrashItem, 'find').mockResolvedValue([
+      mockEntry({ itemType: 'Task', item: mockParentTaskId, project: mockProjectId, deletedAt: daysAgo(40) })
+    ]);
+    jest.spyOn(Task, 'find').mockImplementation((filter) => ({
+      select: jest.fn().mockResolvedValue(filter.parentTask === mockParentTaskId ? [{ _id: mockTaskId }] : [])
+    }));
+    jest.spyOn(Comment, 'find').mockImplementation(() => ({ select: jest.fn().mockResolvedValue([]) }));
+    const pullTasks = jest.spyOn(Project, 'updateOne').mockResolvedValue({});
+    const deleteTasks = jest.spyOn(Task, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+    const pullMentions = jest.spyOn(Post, 'updateMany').mockResolvedValue({});
+    jest.spyOn(TrashItem, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(TrashItem, 'deleteOne').mockResolvedValue({});
+
+    await purgeExpiredTrash();
+
+    const destroyed = [mockParentTaskId, mockTaskId];
+    expect(pullTasks).toHaveBeenCalledWith(
+      { _id: mockProjectId },
+      { $pull: { projectTasks: { $in: destroyed } } }
+    );
+    expect(deleteTasks).toHaveBeenCalledWith({ _id: { $in: destroyed } });
+    expect(pullMentions.mock.calls[0][1]).toEqual({ $pull: { mentionedTasks: { task: { $in: destroyed } } } });
+  });
+
+  test('Removes the trashed items of projects that no longer exist, however recent', async () => {
+    jest.spyOn(TrashItem, 'distinct').mockResolvedValue([mockProjectId]);
+    jest.spyOn(Project, 'findById').mockResolvedValue(null);
+    const findEntries = jest.spyOn(TrashItem, 'find').mockResolvedValue([
+      mockEntry({ itemType: 'Task', item: mockTaskId, project: mockProjectId, deletedAt: new Date() })
+    ]);
+    jest.spyOn(Task, 'find').mockImplementation(() => ({ select: jest.fn().mockResolvedValue([]) }));
+    jest.spyOn(Comment, 'find').mockImplementation(() => ({ select: jest.fn().mockResolvedValue([]) }));
+    jest.spyOn(Project, 'updateOne').mockResolvedValue({});
+    const deleteTasks = jest.spyOn(Task, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Post, 'updateMany').mockResolvedValue({});
+    jest.spyOn(TrashItem, 'deleteMany').mockResolvedValue({});
+    const removeEntry = jest.spyOn(TrashItem, 'deleteOne').mockResolvedValue({});
+
+    expect(await purgeExpiredTrash()).toBe(1);
+    expect(findEntries).toHaveBeenCalledWith({ project: mockProjectId });
+    expect(deleteTasks).toHaveBeenCalledWith({ _id: { $in: [mockTaskId] } });
+    expect(removeEntry).toHaveBeenCalledWith({ _id: mockTrashItemId });
+  });
+});
+
+describe('Test trash settings', () => {
+  test('Rejects a retention period shorter than a day', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => ({
+      populate: jest.fn().mockResolvedValue({
+        _id: mockProjectId,
+        projectMembers: [{ user: { toString: () => mockUserId }, role: { roleName: 'administrator' } }],
+        settings: {},
+        save: jest.fn()
+      })
+    }));
+
+    const res = await request(app)
+      .put(`/api/projects/${mockProjectId}/settings`)
+      .set({ Cookie: `token=${createMockToken()}` })
+      .send({ settings: { trashRetentionDays: 0 } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Trash retention must be a whole number of days between 1 and 365');
+  });
+});
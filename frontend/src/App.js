@@ -7,6 +7,7 @@ import Login from './components/Login';
 import Dashboard from './components/Dashboard';
 import ProjectDashboard from './components/ProjectDashboard';
 import ProjectJoin from './components/ProjectJoin';
+import InvitationAccept from './components/InvitationAccept';
 import UserProfile from './components/UserProfile';
 
 // Protected route component for authenticated users
@@ -54,6 +55,7 @@ function App() {
             </ProtectedRoute>
           } />
           <Route path="/join/:inviteToken" element={<ProjectJoin />} />
+          <Route path="/invitations/:token" element={<InvitationAccept />} />
           <Route path="/profile" element={
             <ProtectedRoute>
               <UserProfile />
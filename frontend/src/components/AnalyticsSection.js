@@ -0,0 +1,176 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Row, Col, Form, Table, Spinner, Alert } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import moment from 'moment';
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import ProjectService from '../services/project.service';
+import { getSprintLabel } from '../utils/sprints';
+import { getBurndownSeries, getCumulativeFlowDatasets, hasEstimates, formatDays } from '../utils/analytics';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  interaction: { mode: 'index', intersect: false },
+  plugins: { legend: { position: 'bottom' } }
+};
+
+const stackedOptions = {
+  ...chartOptions,
+  scales: { y: { stacked: true, beginAtZero: true } }
+};
+
+export default function AnalyticsSection({ project, projectId }) {
+  const [sprintId, setSprintId] = useState('');
+  const [from, setFrom] = useState(() => moment().subtract(29, 'days').format('YYYY-MM-DD'));
+  const [to, setTo] = useState(() => moment().format('YYYY-MM-DD'));
+  const [measure, setMeasure] = useState('tasks'); // 'tasks' | 'estimate'
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const sprints = project?.sprints || [];
+
+  const fetchAnalytics = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await ProjectService.getProjectAnalytics(
+        projectId,
+        sprintId ? { sprint: sprintId } : { from, to }
+      );
+      setAnalytics(response.data);
+    } catch (err) {
+      const message = err.response?.data?.message || 'Failed to load analytics';
+      setError(message);
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, sprintId, from, to]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  const labels = (analytics?.burndown || []).map(point => moment(point.date).format('D MMM'));
+  const burndown = getBurndownSeries(analytics?.burndown, measure);
+  const burndownData = {
+    labels,
+    datasets: [
+      {
+        label: measure === 'estimate' ? 'Remaining estimate' : 'Remaining tasks',
+        data: burndown.actual,
+        borderColor: '#0d6efd',
+        backgroundColor: '#0d6efd',
+        tension: 0.1
+      },
+      {
+        label: 'Ideal',
+        data: burndown.ideal,
+        borderColor: '#adb5bd',
+        borderDash: [6, 4],
+        pointRadius: 0
+      }
+    ]
+  };
+  const flowData = {
+    labels,
+    datasets: getCumulativeFlowDatasets(analytics?.statuses, analytics?.cumulativeFlow)
+  };
+
+  return (
+    <Card className="shadow-sm bg-white">
+      <Card.Header className="bg-white border-0">
+        <Row className="g-2 align-items-center">
+          <Col>
+            <h5 className="mb-0">Analytics</h5>
+          </Col>
+          <Col xs="auto">
+            <Form.Select size="sm" value={sprintId} onChange={e => setSprintId(e.target.value)} aria-label="Report on">
+              <option value="">Date range</option>
+              {sprints.map(sprint => (
+                <option key={sprint._id} value={sprint._id}>{getSprintLabel(sprint)}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          {!sprintId && (
+            <>
+              <Col xs="auto">
+                <Form.Control type="date" size="sm" value={from} max={to} onChange={e => setFrom(e.target.value)} aria-label="From" />
+              </Col>
+              <Col xs="auto">
+                <Form.Control type="date" size="sm" value={to} min={from} onChange={e => setTo(e.target.value)} aria-label="To" />
+              </Col>
+            </>
+          )}
+        </Row>
+      </Card.Header>
+      <Card.Body>
+        {loading ? (
+          <div className="text-center py-4"><Spinner animation="border" /></div>
+        ) : error ? (
+          <Alert variant="danger" className="mb-0">{error}</Alert>
+        ) : (
+          <>
+            <Row className="mb-4 text-center">
+              <Col>
+                <div className="text-muted small">Average cycle time</div>
+                <h4 className="mb-0" data-testid="average-cycle-time">{formatDays(analytics.averageCycleDays)}</h4>
+              </Col>
+              <Col>
+                <div className="text-muted small">Average lead time</div>
+                <h4 className="mb-0" data-testid="average-lead-time">{formatDays(analytics.averageLeadDays)}</h4>
+              </Col>
+            </Row>
+
+            <div className="d-flex justify-content-between align-items-center mb-2">
+              <h6 className="mb-0">Burndown</h6>
+              {hasEstimates(analytics.burndown) && (
+                <Form.Select size="sm" className="w-auto" value={measure} onChange={e => setMeasure(e.target.value)} aria-label="Burn down by">
+                  <option value="tasks">Tasks</option>
+                  <option value="estimate">Estimate</option>
+                </Form.Select>
+              )}
+            </div>
+            <div style={{ height: '260px' }} className="mb-4">
+              <Line data={burndownData} options={chartOptions} />
+            </div>
+
+            <h6>Cumulative flow</h6>
+            <div style={{ height: '260px' }} className="mb-4">
+              <Line data={flowData} options={stackedOptions} />
+            </div>
+
+            <h6>Cycle and lead time by member</h6>
+            <p className="text-muted small mb-2">
+              Cycle time runs from when work started to when the task was done; lead time runs from when it was created.
+            </p>
+            <Table responsive hover size="sm" className="mb-0 align-middle">
+              <thead>
+                <tr>
+                  <th>Member</th>
+                  <th className="text-end">Completed</th>
+                  <th className="text-end">Avg cycle time</th>
+                  <th className="text-end">Avg lead time</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.members.map(row => (
+                  <tr key={row.user ? row.user._id : 'unassigned'}>
+                    <td>{row.user ? row.user.name : <span className="text-muted">Unassigned</span>}</td>
+                    <td className="text-end">{row.completed}</td>
+                    <td className="text-end">{formatDays(row.averageCycleDays)}</td>
+                    <td className="text-end">{formatDays(row.averageLeadDays)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
@@ -0,0 +1,126 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ListGroup, Button, Badge, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import moment from 'moment';
+import ProjectService from '../services/project.service';
+
+export default function ArchivedTasks({ projectId, isProjectManager, isViewer, onTasksUpdated }) {
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyTaskId, setBusyTaskId] = useState(null);
+
+  const fetchArchivedTasks = useCallback(async () => {
+    try {
+      const response = await ProjectService.getArchivedTasks(projectId);
+      setTasks(response.data.tasks || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load archived tasks');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchArchivedTasks();
+  }, [fetchArchivedTasks]);
+
+  const run = async (task, action, successMessage, failureMessage) => {
+    setBusyTaskId(task._id);
+    try {
+      await action();
+      toast.success(successMessage);
+      await fetchArchivedTasks();
+      await onTasksUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || failureMessage);
+    } finally {
+      setBusyTaskId(null);
+    }
+  };
+
+  const handleUnarchive = (task) => run(
+    task,
+    () => ProjectService.unarchiveTask(projectId, task._id),
+    'Task restored successfully!',
+    'Failed to restore task.'
+  );
+
+  const handleDelete = (task) => {
+    if (!window.confirm(`Delete the task "${task.taskName}"? It moves to the project's trash, where administrators can restore it until it is purged.`)) {
+      return;
+    }
+    run(
+      task,
+      () => ProjectService.deleteTask(projectId, task._id),
+      'Task moved to the trash!',
+      'Failed to delete task.'
+    );
+  };
+
+  if (loading) {
+    return <div className="text-center py-5"><Spinner animation="border" /></div>;
+  }
+
+  if (tasks.length === 0) {
+    return (
+      <div className="text-center py-5">
+        <h6 className="text-muted">No archived tasks</h6>
+        <p className="text-muted small">Archived tasks are kept here so they can be restored</p>
+      </div>
+    );
+  }
+
+  const archivedIds = new Set(tasks.map(task => task._id));
+
+  return (
+    <>
+      {isProjectManager && (
+        <p className="text-muted small">
+          Deleting an archived task moves it to the project's trash, which purges it after the trash retention period.
+        </p>
+      )}
+      <ListGroup variant="flush">
+        {tasks.map(task => {
+          // Subtasks archived with their parent come back when the parent is restored
+          const withParent = task.parentTask && archivedIds.has(task.parentTask);
+          return (
+            <ListGroup.Item key={task._id} data-testid={`archived-task-${task._id}`}>
+              <div className="d-flex justify-content-between align-items-start">
+                <div className={withParent ? 'ms-4' : ''}>
+                  <strong>{task.taskName}</strong>{' '}
+                  {task.parentTask && <Badge bg="light" text="dark">Subtask</Badge>}
+                  <div className="small text-muted">
+                    Archived {moment(task.archivedAt).format('MMM D, YYYY')}
+                    {task.archivedBy?.name && ` by ${task.archivedBy.name}`}
+                  </div>
+                </div>
+                <div className="d-flex gap-2">
+                  {!isViewer && !withParent && (
+                    <Button
+                      variant="outline-primary"
+                      size="sm"
+                      disabled={busyTaskId === task._id}
+                      onClick={() => handleUnarchive(task)}
+                    >
+                      Unarchive
+                    </Button>
+                  )}
+                  {isProjectManager && (
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      disabled={busyTaskId === task._id}
+                      onClick={() => handleDelete(task)}
+                    >
+                      Delete
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </ListGroup.Item>
+          );
+        })}
+      </ListGroup>
+    </>
+  );
+}
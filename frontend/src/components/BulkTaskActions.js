@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import { Card, Button, Form, Row, Col, ListGroup } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+import { getProjectWorkflow } from '../utils/workflow';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
+
+const UNASSIGNED = '__unassigned__';
+
+// Names of the bulk changes a partially applied task reports as already written
+const CHANGE_NAMES = {
+  deadlineShiftDays: 'deadline',
+  labels: 'labels',
+  taskAssignees: 'assignees',
+  taskProgress: 'status'
+};
+
+export default function BulkTaskActions({ project, projectId, selectedTasks, onSelectionChange, onTasksUpdated }) {
+  const [applying, setApplying] = useState(false);
+  const [shiftDays, setShiftDays] = useState('');
+  const [failures, setFailures] = useState([]);
+  const workflow = getProjectWorkflow(project);
+  const labels = project.labels || [];
+  const assignableMembers = (project.members || []).filter(
+    member => hasPermission(member.role, PERMISSIONS.WORK_ON_TASKS)
+  );
+  const count = selectedTasks.length;
+
+  const applyChanges = async (changes, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+    setApplying(true);
+    try {
+      const response = await ProjectService.bulkUpdateTasks(
+        projectId,
+        selectedTasks.map(task => task._id),
+        changes
+      );
+      const { results, succeeded, failed } = response.data;
+      const failedResults = results.filter(result => !result.success);
+      setFailures(failedResults);
+      if (failed === 0) {
+        toast.success(`${succeeded} task${succeeded === 1 ? '' : 's'} updated`);
+      } else {
+        toast.warning(`${succeeded} task${succeeded === 1 ? '' : 's'} updated, ${failed} failed`);
+      }
+      // Failed tasks stay selected so they can be retried or changed another way
+      onSelectionChange(failedResults.map(result => result.taskId));
+      await onTasksUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update tasks.');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleAssign = (value) => {
+    if (!value) return;
+    applyChanges({ taskAssignees: value === UNASSIGNED ? [] : [value] });
+  };
+
+  const handleStatus = (value) => {
+    if (!value) return;
+    applyChanges({ taskProgress: value });
+  };
+
+  const handleLabel = (value) => {
+    if (!value) return;
+    const [action, labelId] = value.split(':');
+    applyChanges({ labels: { [action]: [labelId] } });
+  };
+
+  const handleShift = () => {
+    const days = Number(shiftDays);
+    if (!Number.isInteger(days) || days === 0) {
+      toast.error('Enter a whole number of days to shift the deadlines by.');
+      return;
+    }
+    applyChanges({ deadlineShiftDays: days });
+    setShiftDays('');
+  };
+
+  const handleArchive = () => applyChanges(
+    { archive: true },
+    `Archive ${count} task${count === 1 ? '' : 's'}? Their subtasks will also be archived. You can restore them from the Archived view.`
+  );
+
+  const clearSelection = () => {
+    onSelectionChange([]);
+    setFailures([]);
+  };
+
+  if (count === 0 && failures.length === 0) return null;
+
+  return (
+    <Card className="mb-3 border-primary" data-testid="bulk-task-actions">
+      <Card.Body className="py-2">
+        <Row className="g-2 align-items-center">
+          <Col xs="auto">
+            <strong>{count} selected</strong>
+          </Col>
+          <Col xs="auto">
+            <Form.Select size="sm" value="" disabled={applying || count === 0} onChange={e => handleAssign(e.target.value)} aria-label="Assign selected tasks">
+              <option value="">Assign to…</option>
+              <option value={UNASSIGNED}>Unassigned</option>
+              {assignableMembers.map(member => (
+                <option key={member.user._id} value={member.user._id}>{member.user.name}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col xs="auto">
+            <Form.Select size="sm" value="" disabled={applying || count === 0} onChange={e => handleStatus(e.target.value)} aria-label="Set status of selected tasks">
+              <option value="">Set status…</option>
+              {workflow.map(status => (
+                <option key={status.name} value={status.name}>{status.name}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          {labels.length > 0 && (
+            <Col xs="auto">
+              <Form.Select size="sm" value="" disabled={applying || count === 0} onChange={e => handleLabel(e.target.value)} aria-label="Change labels of selected tasks">
+                <option value="">Labels…</option>
+                <optgroup label="Add">
+                  {labels.map(label => (
+                    <option key={`add-${label._id}`} value={`add:${label._id}`}>{label.name}</option>
+                  ))}
+                </optgroup>
+                <optgroup label="Remove">
+                  {labels.map(label => (
+                    <option key={`remove-${label._id}`} value={`remove:${label._id}`}>{label.name}</option>
+                  ))}
+                </optgroup>
+              </Form.Select>
+            </Col>
+          )}
+          <Col xs="auto" className="d-flex align-items-center">
+            <Form.Control
+              size="sm"
+              type="number"
+              step="1"
+              style={{ width: '6rem' }}
+              placeholder="± days"
+              value={shiftDays}
+              onChange={e => setShiftDays(e.target.value)}
+              aria-label="Days to shift deadlines by"
+            />
+            <Button variant="outline-secondary" size="sm" className="ms-1" disabled={applying || count === 0 || shiftDays === ''} onClick={handleShift}>
+              Shift deadlines
+            </Button>
+          </Col>
+          <Col xs="auto">
+            <Button variant="outline-danger" size="sm" disabled={applying || count === 0} onClick={handleArchive}>
+              Archive selected
+            </Button>
+          </Col>
+          <Col xs="auto">
+            <Button variant="link" size="sm" onClick={clearSelection}>Clear selection</Button>
+          </Col>
+        </Row>
+        {failures.length > 0 && (
+          <div className="mt-2">
+            <small className="text-danger">Some tasks were not changed, or only partly:</small>
+            <ListGroup variant="flush" className="small">
+              {failures.map(failure => (
+                <ListGroup.Item key={failure.taskId} className="py-1 px-0" data-testid={`bulk-failure-${failure.taskId}`}>
+                  <strong>{failure.taskName || 'Unknown task'}</strong>: {failure.message}
+                  {failure.partial && (
+                    <span className="text-muted">
+                      {' '}(already applied: {failure.appliedChanges.map(change => CHANGE_NAMES[change] || change).join(', ')})
+                    </span>
+                  )}
+                </ListGroup.Item>
+              ))}
+            </ListGroup>
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
@@ -4,6 +4,9 @@ import moment from 'moment';
 import { Card, ButtonGroup, Button } from 'react-bootstrap';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
 import TaskDetailModal from './TaskDetailModal';
+import { getProjectWorkflow, getStatusColor, isLightColor } from '../utils/workflow';
+import { getEstimateUnit } from '../utils/taskAttributes';
+import { getProjectedOccurrences } from '../utils/recurrence';
 
 const localizer = momentLocalizer(moment);
 
@@ -12,28 +15,24 @@ export default function ProjectCalendar({ project, _currentUser, _canEditTask })
   const [date, setDate] = useState(new Date());
   const [showTaskModal, setShowTaskModal] = useState(false);
   const [selectedTask, setSelectedTask] = useState(null);
+  const workflow = getProjectWorkflow(project);
 
   // Convert tasks to calendar events
   const events = useMemo(() => {
     if (!project || !project.tasks) return [];
+
+    const tasksById = new Map(project.tasks.map(task => [task._id, task]));
     
-    return project.tasks.map(task => {
-      let color;
-      switch (task.taskProgress) {
-      case 'Completed':
-        color = '#28a745'; // Green
-        break;
-      case 'In Progress':
-        color = '#ffc107'; // Yellow
-        break;
-      case 'To Do':
-      default:
-        color = '#dc3545'; // Red
-        break;
-      }
+    const taskEvents = project.tasks.map(task => {
+      const color = getStatusColor(workflow, task.taskProgress);
 
       // Use just the date without specific time for all-day events
       const deadlineDate = new Date(task.taskDeadline);
+
+      // Blockers due after this task make its deadline unreachable
+      const lateBlockers = (task.blockedBy || [])
+        .map(blockerId => tasksById.get(blockerId))
+        .filter(blocker => blocker && new Date(blocker.taskDeadline) > deadlineDate);
       
       return {
         id: task._id,
@@ -42,14 +41,40 @@ export default function ProjectCalendar({ project, _currentUser, _canEditTask })
         end: deadlineDate,
         allDay: true, // This makes it an all-day event
         resource: task,
+        lateBlockers,
         style: {
           backgroundColor: color,
-          borderColor: color,
-          color: task.taskProgress === 'In Progress' ? '#000' : '#fff' // Dark text for yellow background
+          borderColor: lateBlockers.length > 0 ? '#000' : color,
+          borderStyle: lateBlockers.length > 0 ? 'dashed' : 'solid',
+          color: isLightColor(color) ? '#000' : '#fff' // Dark text for light backgrounds such as yellow
         }
       };
     });
-  }, [project]);
+
+    // Future occurrences of recurring tasks, up to the end of the visible range
+    const rangeEnd = moment(date).endOf('month').add(2, 'weeks').toDate();
+    const initialColor = workflow[0] ? workflow[0].color : '#6c757d';
+    const projectedEvents = project.tasks.flatMap(task =>
+      getProjectedOccurrences(task, rangeEnd).map(occurrence => ({
+        id: `${task._id}-${occurrence.getTime()}`,
+        title: task.taskName,
+        start: occurrence,
+        end: occurrence,
+        allDay: true,
+        resource: task,
+        lateBlockers: [],
+        projected: true,
+        style: {
+          backgroundColor: '#fff',
+          borderColor: initialColor,
+          borderStyle: 'dashed',
+          color: '#495057'
+        }
+      }))
+    );
+
+    return [...taskEvents, ...projectedEvents];
+  }, [project, workflow, date]);
 
   const handleSelectEvent = (event) => {
     setSelectedTask(event.resource);
@@ -71,7 +96,14 @@ export default function ProjectCalendar({ project, _currentUser, _canEditTask })
 
   // Custom event component
   const EventComponent = ({ event }) => (
-    <div className="text-truncate">
+    <div
+      className="text-truncate"
+      title={event.lateBlockers.length > 0
+        ? `Due before blocking task: ${event.lateBlockers.map(blocker => blocker.taskName).join(', ')}`
+        : event.projected ? 'Projected occurrence' : undefined}
+    >
+      {event.lateBlockers.length > 0 && <span className="me-1">⚠️</span>}
+      {event.projected && <span className="me-1">🔁</span>}
       <strong>{event.title}</strong>
     </div>
   );
@@ -184,17 +216,19 @@ export default function ProjectCalendar({ project, _currentUser, _canEditTask })
         <Card.Body>
           {/* Legend */}
           <div className="d-flex gap-3 mb-3 flex-wrap">
+            {workflow.map(status => (
+              <div key={status.name} className="d-flex align-items-center">
+                <div className="rounded me-2" style={{ width: '16px', height: '16px', backgroundColor: status.color }}></div>
+                <small>{status.name}</small>
+              </div>
+            ))}
             <div className="d-flex align-items-center">
-              <div className="rounded me-2" style={{ width: '16px', height: '16px', backgroundColor: '#dc3545' }}></div>
-              <small>To Do</small>
-            </div>
-            <div className="d-flex align-items-center">
-              <div className="rounded me-2" style={{ width: '16px', height: '16px', backgroundColor: '#ffc107' }}></div>
-              <small>In Progress</small>
+              <span className="me-2">⚠️</span>
+              <small>Due before a blocking task</small>
             </div>
             <div className="d-flex align-items-center">
-              <div className="rounded me-2" style={{ width: '16px', height: '16px', backgroundColor: '#28a745' }}></div>
-              <small>Completed</small>
+              <span className="me-2">🔁</span>
+              <small>Projected occurrence</small>
             </div>
           </div>
 
@@ -247,6 +281,11 @@ export default function ProjectCalendar({ project, _currentUser, _canEditTask })
         show={showTaskModal}
         onHide={handleCloseModal}
         task={selectedTask}
+        tasks={project.tasks}
+        workflow={workflow}
+        labels={project.labels}
+        estimateUnit={getEstimateUnit(project)}
+        members={project.members}
       />
     </>
   );
@@ -0,0 +1,163 @@
+import { useEffect, useState } from 'react';
+import { ListGroup, Form, Button, ProgressBar, InputGroup } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
+
+export default function ChecklistSection({
+  task,
+  projectId,
+  members = [],
+  canEdit,
+  onChecklistUpdated
+}) {
+  const [items, setItems] = useState(task.checklist || []);
+  const [newItemText, setNewItemText] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setItems(task.checklist || []);
+  }, [task]);
+
+  // Only members who work on tasks can own checklist items
+  const assignableMembers = members.filter(member => hasPermission(member.role, PERMISSIONS.WORK_ON_TASKS));
+  const doneCount = items.filter(item => item.done).length;
+
+  const getMemberName = (userId) => {
+    const member = members.find(m => m.user._id === userId);
+    return member ? member.user.name : 'Unknown';
+  };
+
+  // Runs a checklist request and shows the checklist the server sends back
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      const response = await action();
+      setItems(response.data.checklist);
+      if (onChecklistUpdated) await onChecklistUpdated();
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update checklist.');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddItem = async (e) => {
+    e.preventDefault();
+    if (!newItemText.trim()) return;
+    const added = await runAction(() => ProjectService.addChecklistItem(projectId, task._id, newItemText.trim()));
+    if (added) setNewItemText('');
+  };
+
+  const handleMoveItem = (index, offset) => {
+    const itemIds = items.map(item => item._id);
+    [itemIds[index], itemIds[index + offset]] = [itemIds[index + offset], itemIds[index]];
+    runAction(() => ProjectService.reorderChecklist(projectId, task._id, itemIds));
+  };
+
+  if (items.length === 0 && !canEdit) return null;
+
+  return (
+    <div className="mb-3">
+      <div className="d-flex justify-content-between align-items-center mb-1">
+        <strong>Checklist:</strong>
+        {items.length > 0 && <small className="text-muted">{doneCount}/{items.length}</small>}
+      </div>
+      {items.length > 0 && (
+        <ProgressBar
+          now={(doneCount / items.length) * 100}
+          variant="success"
+          style={{ height: '4px' }}
+          className="mb-2"
+        />
+      )}
+      <ListGroup variant="flush">
+        {items.map((item, index) => (
+          <ListGroup.Item key={item._id} className="px-0 py-1 d-flex align-items-center">
+            <Form.Check
+              type="checkbox"
+              id={`checklist-item-${item._id}`}
+              className="flex-grow-1"
+              label={<span className={item.done ? 'text-decoration-line-through text-muted' : ''}>{item.text}</span>}
+              checked={!!item.done}
+              onChange={() => runAction(() => ProjectService.updateChecklistItem(
+                projectId, task._id, item._id, { done: !item.done }
+              ))}
+              disabled={!canEdit || busy}
+            />
+            {canEdit ? (
+              <>
+                <Form.Select
+                  size="sm"
+                  style={{ width: 'auto', fontSize: '0.75rem' }}
+                  className="ms-2"
+                  aria-label={`Assignee for ${item.text}`}
+                  value={item.assignee || ''}
+                  onChange={e => runAction(() => ProjectService.updateChecklistItem(
+                    projectId, task._id, item._id, { assignee: e.target.value || null }
+                  ))}
+                  disabled={busy}
+                >
+                  <option value="">Unassigned</option>
+                  {assignableMembers.map(member => (
+                    <option key={member.user._id} value={member.user._id}>{member.user.name}</option>
+                  ))}
+                </Form.Select>
+                <Button
+                  variant="link"
+                  size="sm"
+                  className="p-0 ms-2 text-decoration-none"
+                  aria-label={`Move ${item.text} up`}
+                  onClick={() => handleMoveItem(index, -1)}
+                  disabled={busy || index === 0}
+                >
+                  ↑
+                </Button>
+                <Button
+                  variant="link"
+                  size="sm"
+                  className="p-0 ms-1 text-decoration-none"
+                  aria-label={`Move ${item.text} down`}
+                  onClick={() => handleMoveItem(index, 1)}
+                  disabled={busy || index === items.length - 1}
+                >
+                  ↓
+                </Button>
+                <Button
+                  variant="link"
+                  size="sm"
+                  className="p-0 ms-2 text-danger text-decoration-none"
+                  aria-label={`Delete ${item.text}`}
+                  onClick={() => runAction(() => ProjectService.deleteChecklistItem(projectId, task._id, item._id))}
+                  disabled={busy}
+                >
+                  ✕
+                </Button>
+              </>
+            ) : (
+              item.assignee && <small className="text-muted ms-2">{getMemberName(item.assignee)}</small>
+            )}
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+      {canEdit && (
+        <Form onSubmit={handleAddItem} className="mt-2">
+          <InputGroup size="sm">
+            <Form.Control
+              placeholder="Add an item"
+              aria-label="New checklist item"
+              value={newItemText}
+              onChange={e => setNewItemText(e.target.value)}
+              disabled={busy}
+            />
+            <Button type="submit" variant="outline-primary" disabled={busy || !newItemText.trim()}>
+              Add
+            </Button>
+          </InputGroup>
+        </Form>
+      )}
+    </div>
+  );
+}
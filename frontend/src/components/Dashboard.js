@@ -13,7 +13,8 @@ export default function Dashboard() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showCreateModal, setShowCreateModal] = useState(false);
-  const [newProject, setNewProject] = useState({ name: '', description: '' });
+  const [newProject, setNewProject] = useState({ name: '', description: '', templateId: '', startDate: '' });
+  const [projectTemplates, setProjectTemplates] = useState([]);
 
   useEffect(() => {
     const fetchUserProfile = async () => {
@@ -32,6 +33,21 @@ export default function Dashboard() {
     fetchUserProfile();
   }, [navigate]);
 
+  useEffect(() => {
+    if (!showCreateModal) return;
+    const fetchProjectTemplates = async () => {
+      try {
+        const response = await ProjectService.getProjectTemplates();
+        setProjectTemplates(response.data.templates || []);
+      } catch (err) {
+        // Templates are optional; the project can still be created from scratch
+        setProjectTemplates([]);
+      }
+    };
+
+    fetchProjectTemplates();
+  }, [showCreateModal]);
+
   const refreshUserProfile = async () => {
     try {
       const response = await AuthService.getUserProfile();
@@ -60,7 +76,12 @@ export default function Dashboard() {
 
     try {
       const promise = toast.promise(
-        ProjectService.createProject(newProject.name, newProject.description),
+        newProject.templateId
+          ? ProjectService.createProject(newProject.name, newProject.description, {
+            templateId: newProject.templateId,
+            ...(newProject.startDate && { startDate: newProject.startDate })
+          })
+          : ProjectService.createProject(newProject.name, newProject.description),
         {
           loading: 'Creating your project...',
           success: 'Project created successfully! 🎉',
@@ -70,7 +91,7 @@ export default function Dashboard() {
 
       await promise;
       setShowCreateModal(false);
-      setNewProject({ name: '', description: '' });
+      setNewProject({ name: '', description: '', templateId: '', startDate: '' });
       refreshUserProfile(); // Refresh the projects list
     } catch (error) {
       // Error already handled by toast.promise
@@ -79,7 +100,7 @@ export default function Dashboard() {
 
   const handleCloseModal = () => {
     setShowCreateModal(false);
-    setNewProject({ name: '', description: '' });
+    setNewProject({ name: '', description: '', templateId: '', startDate: '' });
   };
 
   if (loading) {
@@ -191,6 +212,35 @@ export default function Dashboard() {
                 onChange={(e) => setNewProject({ ...newProject, description: e.target.value })}
               />
             </Form.Group>
+            {projectTemplates.length > 0 && (
+              <>
+                <Form.Group className="mb-3" controlId="projectTemplate">
+                  <Form.Label>Template (optional)</Form.Label>
+                  <Form.Select
+                    value={newProject.templateId}
+                    onChange={(e) => setNewProject({ ...newProject, templateId: e.target.value })}
+                  >
+                    <option value="">Start with no tasks</option>
+                    {projectTemplates.map(template => (
+                      <option key={template._id} value={template._id}>
+                        {template.name} ({template.tasks.length} task{template.tasks.length === 1 ? '' : 's'})
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+                {newProject.templateId && (
+                  <Form.Group className="mb-3" controlId="projectStartDate">
+                    <Form.Label>Start Date</Form.Label>
+                    <Form.Control
+                      type="date"
+                      value={newProject.startDate}
+                      onChange={(e) => setNewProject({ ...newProject, startDate: e.target.value })}
+                    />
+                    <Form.Text muted>Template deadlines count from this day; defaults to today</Form.Text>
+                  </Form.Group>
+                )}
+              </>
+            )}
           </Form>
         </Modal.Body>
         <Modal.Footer>
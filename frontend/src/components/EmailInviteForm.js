@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import { Form, Button, Spinner } from 'react-bootstrap';
+import ProjectService from '../services/project.service';
+import { toast } from 'react-toastify';
+
+export default function EmailInviteForm({ projectId, onInvited }) {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [sending, setSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setSending(true);
+    try {
+      const response = await ProjectService.inviteByEmail(projectId, email.trim(), role);
+      const { message, invitation } = response.data;
+      // The invitation is kept even when the email could not be delivered
+      if (invitation && invitation.emailSent === false) {
+        toast.warning(message);
+      } else {
+        toast.success(message);
+      }
+      setEmail('');
+      if (onInvited) onInvited(invitation);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send invitation.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      <div className="d-flex">
+        <Form.Control
+          type="email"
+          placeholder="name@example.com"
+          aria-label="Email address to invite"
+          value={email}
+          onChange={e => setEmail(e.target.value)}
+          className="me-2"
+          required
+        />
+        <Form.Select
+          aria-label="Invitation role"
+          value={role}
+          onChange={e => setRole(e.target.value)}
+          className="me-2 w-auto"
+        >
+          <option value="viewer">Viewer</option>
+          <option value="developer">Developer</option>
+        </Form.Select>
+        <Button type="submit" variant="primary" disabled={sending || !email.trim()}>
+          {sending ? <Spinner animation="border" size="sm" /> : 'Send Invite'}
+        </Button>
+      </div>
+      <small className="text-muted mt-2 d-block">
+        They join once they follow the link in the email and accept; people without an account register through it.
+      </small>
+    </Form>
+  );
+}
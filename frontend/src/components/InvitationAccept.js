@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { Container, Card, Button, Alert, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+
+// Landing page of the link in an email invitation sent to an address that already has an account
+const InvitationAccept = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const response = await ProjectService.getInvitationDetails(token);
+        setInvitation(response.data.invitation);
+      } catch (err) {
+        if (err.response?.status === 401) {
+          setError('Log in to accept this invitation, then open the link from your email again.');
+        } else if (err.response?.status === 404) {
+          setError('This invitation is invalid or has already been used.');
+        } else {
+          setError('Failed to load the invitation. Please try again.');
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvitation();
+  }, [token]);
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    try {
+      const response = await ProjectService.acceptInvitation(token);
+      toast.success(`You joined ${invitation.projectName}.`);
+      navigate(`/project/${response.data.projectId}`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to accept the invitation.');
+      setAccepting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container className="d-flex justify-content-center align-items-center" style={{ minHeight: '100vh' }}>
+        <div className="text-center">
+          <Spinner animation="border" variant="primary" />
+          <p className="mt-3">Loading invitation...</p>
+        </div>
+      </Container>
+    );
+  }
+
+  if (error) {
+    const needsLogin = error.startsWith('Log in');
+
+    return (
+      <Container className="d-flex justify-content-center align-items-center" style={{ minHeight: '100vh' }}>
+        <Card style={{ maxWidth: '500px', width: '100%' }}>
+          <Card.Body className="text-center">
+            <Alert variant={needsLogin ? 'info' : 'danger'}>{error}</Alert>
+            <Button variant="outline-primary" onClick={() => navigate(needsLogin ? '/login' : '/dashboard')}>
+              {needsLogin ? 'Go to Login' : 'Back to Dashboard'}
+            </Button>
+          </Card.Body>
+        </Card>
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="d-flex justify-content-center align-items-center" style={{ minHeight: '100vh' }}>
+      <Card style={{ maxWidth: '600px', width: '100%' }}>
+        <Card.Header className="bg-primary text-white text-center">
+          <h4 className="mb-0">Project Invitation</h4>
+        </Card.Header>
+        <Card.Body>
+          <h5 className="text-primary">
+            {invitation.invitedBy || 'A project administrator'} invited {invitation.email} to join:
+          </h5>
+          <h3 className="mb-3">{invitation.projectName}</h3>
+          {invitation.projectDescription && (
+            <p className="text-muted">{invitation.projectDescription}</p>
+          )}
+          <div className="mb-4">
+            <strong>You will join as:</strong>
+            <span className="ms-2 text-capitalize">{invitation.role}</span>
+          </div>
+          <div className="d-grid gap-2">
+            <Button variant="success" size="lg" onClick={handleAccept} disabled={accepting}>
+              {accepting ? <Spinner animation="border" size="sm" /> : 'Accept Invitation'}
+            </Button>
+            <Button variant="outline-secondary" onClick={() => navigate('/dashboard')} disabled={accepting}>
+              Back to Dashboard
+            </Button>
+          </div>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default InvitationAccept;
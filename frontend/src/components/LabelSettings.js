@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import { Card, Button, Form, ListGroup, Row, Col, Badge, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+import { getLabelBadgeStyle } from '../utils/taskAttributes';
+
+let nextLabelKey = 0;
+
+// Labels are edited by key so new labels (which have no _id yet) can be told apart
+const toDraft = (labels) => (labels || []).map(label => ({
+  key: `label-${nextLabelKey++}`,
+  _id: label._id,
+  name: label.name,
+  color: label.color
+}));
+
+const fromDraft = (draft) => draft.map(label => ({
+  ...(label._id && { _id: label._id }),
+  name: label.name.trim(),
+  color: label.color
+}));
+
+export default function LabelSettings({ project, projectId, onProjectUpdated }) {
+  const [draft, setDraft] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(toDraft(project?.labels));
+  }, [project]);
+
+  const updateLabel = (key, changes) => {
+    setDraft(draft.map(label => (label.key === key ? { ...label, ...changes } : label)));
+  };
+
+  const addLabel = () => {
+    setDraft([...draft, { key: `label-${nextLabelKey++}`, name: '', color: '#17a2b8' }]);
+  };
+
+  const handleSave = async () => {
+    if (draft.some(label => !label.name.trim())) {
+      toast.error('Every label needs a name');
+      return;
+    }
+    setSaving(true);
+    try {
+      await ProjectService.updateProjectLabels(projectId, fromDraft(draft));
+      toast.success('Labels updated successfully');
+      onProjectUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update labels');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <div>
+          <h5 className="mb-0">Task Labels</h5>
+          <small className="text-muted">Removing a label also removes it from every task</small>
+        </div>
+        <Button variant="outline-primary" size="sm" onClick={addLabel} disabled={saving}>
+          + Add Label
+        </Button>
+      </Card.Header>
+      <Card.Body>
+        {draft.length > 0 ? (
+          <ListGroup className="mb-3">
+            {draft.map(label => (
+              <ListGroup.Item key={label.key}>
+                <Row className="g-2 align-items-center">
+                  <Col md={6}>
+                    <Form.Control
+                      size="sm"
+                      value={label.name}
+                      placeholder="Label name"
+                      aria-label="Label name"
+                      onChange={e => updateLabel(label.key, { name: e.target.value })}
+                    />
+                  </Col>
+                  <Col md={1}>
+                    <Form.Control
+                      type="color"
+                      size="sm"
+                      value={label.color}
+                      title="Label colour"
+                      onChange={e => updateLabel(label.key, { color: e.target.value })}
+                    />
+                  </Col>
+                  <Col md={4}>
+                    <Badge bg="" style={getLabelBadgeStyle(label.color)}>{label.name || 'Preview'}</Badge>
+                  </Col>
+                  <Col md={1} className="text-end">
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="p-0 text-danger"
+                      onClick={() => setDraft(draft.filter(other => other.key !== label.key))}
+                      aria-label={`Remove ${label.name || 'label'}`}
+                    >
+                      ✕
+                    </Button>
+                  </Col>
+                </Row>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        ) : (
+          <p className="text-muted small">No labels yet. Add one to start grouping tasks.</p>
+        )}
+        <div className="d-flex justify-content-end gap-2">
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => setDraft(toDraft(project?.labels))}
+            disabled={saving}
+          >
+            Reset
+          </Button>
+          <Button variant="primary" size="sm" onClick={handleSave} disabled={saving}>
+            {saving ? <Spinner size="sm" /> : 'Save Labels'}
+          </Button>
+        </div>
+      </Card.Body>
+    </Card>
+  );
+}
@@ -1,50 +1,224 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Row, Col, Card, Badge, Button, Alert, Table, Form, Spinner, Modal } from 'react-bootstrap';
 import ProjectService from '../services/project.service';
 import { toast } from 'react-toastify';
+import EmailInviteForm from './EmailInviteForm';
+import { PERMISSIONS, getRoleValue, userCan } from '../utils/permissions';
+
+const EMPTY_INVITE_LINK = { name: '', role: 'viewer', expiresAt: '', maxUses: '' };
+
+const INVITE_LINK_STATUS_VARIANTS = {
+  active: 'success',
+  expired: 'secondary',
+  'used up': 'warning',
+  revoked: 'danger'
+};
+
+const getFullInviteLink = (token) => `${window.location.origin}/join/${token}`;
 
 export default function MembersSection({ project, projectId, currentUser, onMembersUpdated }) {
   const [assigningRole, setAssigningRole] = useState(false);
   const [roleDropdown, setRoleDropdown] = useState({}); // { memberId: boolean }
-  const [selectedRole, setSelectedRole] = useState({}); // { memberId: roleName }
+  const [selectedRole, setSelectedRole] = useState({}); // { memberId: role name or custom role ID }
   const [generatingInviteLink, setGeneratingInviteLink] = useState(false);
   const [showInviteLinkModal, setShowInviteLinkModal] = useState(false);
   const [inviteLink, setInviteLink] = useState('');
   const [showRemoveMemberModal, setShowRemoveMemberModal] = useState(false);
   const [memberToRemove, setMemberToRemove] = useState(null);
   const [removingMember, setRemovingMember] = useState(false);
+  const [inviteLinks, setInviteLinks] = useState([]);
+  const [showCreateLinkModal, setShowCreateLinkModal] = useState(false);
+  const [newLink, setNewLink] = useState(EMPTY_INVITE_LINK);
+  const [revokingLinkId, setRevokingLinkId] = useState(null);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [approvalRoles, setApprovalRoles] = useState({}); // { requestId: role name or custom role ID }
+  const [reviewingRequestId, setReviewingRequestId] = useState(null);
+  const [requestToReject, setRequestToReject] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
+  const [invitations, setInvitations] = useState([]);
+  const [showEmailInviteModal, setShowEmailInviteModal] = useState(false);
+  const [revokingInvitationId, setRevokingInvitationId] = useState(null);
+  const [customRoles, setCustomRoles] = useState([]);
+
+  const isProjectManager = () => userCan(project, currentUser, PERMISSIONS.MANAGE_MEMBERS);
+
+  const isManager = !!isProjectManager();
+  const canManageInviteLinks = isManager && !!project.settings?.joinByLinkEnabled;
+
+  const fetchInviteLinks = useCallback(async () => {
+    try {
+      const response = await ProjectService.getInviteLinks(projectId);
+      setInviteLinks(response.data.inviteLinks || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load invite links.');
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (canManageInviteLinks) {
+      fetchInviteLinks();
+    }
+  }, [canManageInviteLinks, fetchInviteLinks]);
+
+  const fetchJoinRequests = useCallback(async () => {
+    try {
+      const response = await ProjectService.getJoinRequests(projectId);
+      setJoinRequests(response.data.joinRequests || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load join requests.');
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (isManager) {
+      fetchJoinRequests();
+    }
+  }, [isManager, fetchJoinRequests]);
+
+  const fetchCustomRoles = useCallback(async () => {
+    try {
+      const response = await ProjectService.getProjectRoles(projectId);
+      setCustomRoles((response.data.roles || []).filter(role => !role.builtIn));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load project roles.');
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (isManager) {
+      fetchCustomRoles();
+    }
+  }, [isManager, fetchCustomRoles]);
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      const response = await ProjectService.getInvitations(projectId);
+      setInvitations(response.data.invitations || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load invitations.');
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (isManager) {
+      fetchInvitations();
+    }
+  }, [isManager, fetchInvitations]);
 
-  const isProjectManager = () => {
-    if (!currentUser || !project || !project.members) return false;
-    const member = project.members.find(
-      m => m.user._id?.toString() === currentUser._id?.toString()
-    );
-    return member && member.role && member.role.roleName === 'administrator';
+  const handleInvited = async () => {
+    setShowEmailInviteModal(false);
+    await fetchInvitations();
   };
 
-  const handleGenerateInviteLink = async () => {
+  const handleRevokeInvitation = async (invitation) => {
+    setRevokingInvitationId(invitation._id);
+    try {
+      await ProjectService.revokeInvitation(projectId, invitation._id);
+      toast.success(`Invitation for ${invitation.email} revoked.`);
+      await fetchInvitations();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to revoke invitation.');
+    } finally {
+      setRevokingInvitationId(null);
+    }
+  };
+
+  const handleApproveJoinRequest = async (joinRequest) => {
+    setReviewingRequestId(joinRequest._id);
+    try {
+      const role = approvalRoles[joinRequest._id] || joinRequest.requestedRole;
+      const response = await ProjectService.approveJoinRequest(projectId, joinRequest._id, role);
+      const grantedRole = response?.data?.joinRequest?.grantedRole || role;
+      toast.success(`${joinRequest.user.name} joined the project as ${grantedRole}.`);
+      await fetchJoinRequests();
+      if (onMembersUpdated) {
+        await onMembersUpdated();
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to approve join request.');
+    } finally {
+      setReviewingRequestId(null);
+    }
+  };
+
+  const closeRejectModal = () => {
+    setRequestToReject(null);
+    setRejectReason('');
+  };
+
+  const handleRejectJoinRequest = async () => {
+    if (!requestToReject) return;
+    setReviewingRequestId(requestToReject._id);
+    try {
+      await ProjectService.rejectJoinRequest(projectId, requestToReject._id, rejectReason.trim());
+      toast.success('Join request rejected.');
+      closeRejectModal();
+      await fetchJoinRequests();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to reject join request.');
+    } finally {
+      setReviewingRequestId(null);
+    }
+  };
+
+  const createInviteLink = async (...linkOptions) => {
     setGeneratingInviteLink(true);
     try {
-      const response = await ProjectService.generateInviteLink(projectId);
+      const response = await ProjectService.generateInviteLink(projectId, ...linkOptions);
       const token = response.data.inviteLink.token;
-      const fullInviteLink = `${window.location.origin}/join/${token}`;
-      setInviteLink(fullInviteLink);
+      setInviteLink(getFullInviteLink(token));
       setShowInviteLinkModal(true);
+      fetchInviteLinks();
+      return true;
     } catch (err) {
       toast.error(err.response?.data?.message || 'Failed to generate invite link.');
+      return false;
     } finally {
       setGeneratingInviteLink(false);
     }
   };
 
-  const handleCopyInviteLink = () => {
-    navigator.clipboard.writeText(inviteLink).then(() => {
+  // Quick invite: a viewer link with no expiry or usage limit
+  const handleGenerateInviteLink = () => createInviteLink();
+
+  const handleCreateInviteLink = async (e) => {
+    e.preventDefault();
+    const created = await createInviteLink({
+      name: newLink.name.trim() || undefined,
+      role: newLink.role,
+      // The link works until the end of the chosen day
+      expiresAt: newLink.expiresAt ? new Date(`${newLink.expiresAt}T23:59:59`).toISOString() : undefined,
+      maxUses: newLink.maxUses ? Number(newLink.maxUses) : undefined
+    });
+    if (created) {
+      setShowCreateLinkModal(false);
+      setNewLink(EMPTY_INVITE_LINK);
+    }
+  };
+
+  const handleRevokeInviteLink = async (link) => {
+    setRevokingLinkId(link._id);
+    try {
+      await ProjectService.revokeInviteLink(projectId, link._id);
+      toast.success(`Invite link "${link.name}" revoked.`);
+      await fetchInviteLinks();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to revoke invite link.');
+    } finally {
+      setRevokingLinkId(null);
+    }
+  };
+
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text).then(() => {
       toast.success('Invite link copied to clipboard!');
     }).catch(() => {
       toast.error('Failed to copy invite link.');
     });
   };
 
+  const handleCopyInviteLink = () => copyToClipboard(inviteLink);
+
   const closeInviteLinkModal = () => {
     setShowInviteLinkModal(false);
     setInviteLink('');
@@ -129,23 +303,109 @@ export default function MembersSection({ project, projectId, currentUser, onMemb
     <>
       <Row>
         <Col>
+          {isManager && (joinRequests.length > 0 || project.settings?.requireJoinApproval) && (
+            <Card className="shadow-sm mb-4">
+              <Card.Header className="d-flex justify-content-between align-items-center bg-white">
+                <h5 className="mb-0">Join Requests</h5>
+                {joinRequests.length > 0 && <Badge bg="warning" text="dark">{joinRequests.length} pending</Badge>}
+              </Card.Header>
+              <Card.Body>
+                {joinRequests.length > 0 ? (
+                  <Table responsive hover size="sm" className="align-middle mb-0">
+                    <thead className="table-light">
+                      <tr>
+                        <th>Requester</th>
+                        <th>Requested</th>
+                        <th>Role</th>
+                        <th className="text-end">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {joinRequests.map(joinRequest => (
+                        <tr key={joinRequest._id} data-testid={`join-request-${joinRequest._id}`}>
+                          <td>
+                            <div className="fw-medium">{joinRequest.user?.name || 'Unknown User'}</div>
+                            <small className="text-muted">{joinRequest.user?.email}</small>
+                          </td>
+                          <td>{new Date(joinRequest.createdAt).toLocaleDateString()}</td>
+                          <td>
+                            <Form.Select
+                              size="sm"
+                              className="w-auto"
+                              aria-label={`Role for ${joinRequest.user?.name}`}
+                              value={approvalRoles[joinRequest._id] || joinRequest.requestedRole}
+                              onChange={e => setApprovalRoles((prev) => ({ ...prev, [joinRequest._id]: e.target.value }))}
+                              disabled={reviewingRequestId === joinRequest._id}
+                            >
+                              <option value="viewer">Viewer</option>
+                              <option value="developer">Developer</option>
+                              <option value="administrator">Administrator</option>
+                              {customRoles.map(role => (
+                                <option key={role._id} value={role._id}>{role.roleName}</option>
+                              ))}
+                            </Form.Select>
+                          </td>
+                          <td className="text-end">
+                            <Button
+                              variant="success"
+                              size="sm"
+                              className="me-2"
+                              onClick={() => handleApproveJoinRequest(joinRequest)}
+                              disabled={reviewingRequestId === joinRequest._id}
+                            >
+                              Approve
+                            </Button>
+                            <Button
+                              variant="outline-danger"
+                              size="sm"
+                              onClick={() => setRequestToReject(joinRequest)}
+                              disabled={reviewingRequestId === joinRequest._id}
+                            >
+                              Reject
+                            </Button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                ) : (
+                  <p className="text-muted mb-0">
+                    No pending requests. People following an invite link will appear here until you approve or reject them.
+                  </p>
+                )}
+              </Card.Body>
+            </Card>
+          )}
+
           <Card className="shadow-sm mb-4">
             <Card.Header className="d-flex justify-content-between align-items-center bg-white">
               <h5 className="mb-0">Team Members</h5>
-              {isProjectManager() && project.settings?.joinByLinkEnabled && (
-                <Button
-                  variant="primary"
-                  size="sm"
-                  onClick={handleGenerateInviteLink}
-                  disabled={generatingInviteLink}
-                >
-                  {generatingInviteLink ? (
-                    <Spinner animation="border" size="sm" className="me-2" />
-                  ) : (
-                    <span>+ Invite New Member</span>
-                  )}
-                </Button>
-              )}
+              <div>
+                {isManager && (
+                  <Button
+                    variant="outline-primary"
+                    size="sm"
+                    className="me-2"
+                    onClick={() => setShowEmailInviteModal(true)}
+                  >
+                    Invite by Email
+                  </Button>
+                )}
+                {isProjectManager() && project.settings?.joinByLinkEnabled && (
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    onClick={handleGenerateInviteLink}
+                    disabled={generatingInviteLink}
+                  >
+                    {generatingInviteLink ? (
+                      <Spinner animation="border" size="sm" className="me-2" />
+                    ) : (
+                      <span>+ Invite New Member</span>
+                    )}
+                  </Button>
+                )}
+              </div>
             </Card.Header>
             <Card.Body>
               <div className="d-flex justify-content-between mb-4">
@@ -230,7 +490,7 @@ export default function MembersSection({ project, projectId, currentUser, onMemb
                                   setRoleDropdown((prev) => ({ ...prev, [member.user._id]: !prev[member.user._id] }));
                                   setSelectedRole((prev) => {
                                     if (prev[member.user._id]) return prev;
-                                    return { ...prev, [member.user._id]: member.role?.roleName || 'developer' };
+                                    return { ...prev, [member.user._id]: getRoleValue(member.role) || 'developer' };
                                   });
                                 }}
                                 disabled={assigningRole}
@@ -254,13 +514,16 @@ export default function MembersSection({ project, projectId, currentUser, onMemb
                                   <Form.Select
                                     size="sm"
                                     className="w-auto me-2"
-                                    value={selectedRole[member.user._id] || member.role?.roleName || 'developer'}
+                                    value={selectedRole[member.user._id] || getRoleValue(member.role) || 'developer'}
                                     onChange={e => setSelectedRole((prev) => ({ ...prev, [member.user._id]: e.target.value }))}
                                     disabled={assigningRole}
                                   >
                                     <option value="administrator">Administrator</option>
                                     <option value="developer">Developer</option>
                                     <option value="viewer">Viewer</option>
+                                    {customRoles.map(role => (
+                                      <option key={role._id} value={role._id}>{role.roleName}</option>
+                                    ))}
                                   </Form.Select>
                                   
                                   <Button
@@ -307,6 +570,137 @@ export default function MembersSection({ project, projectId, currentUser, onMemb
             </Card.Body>
           </Card>
           
+          {isManager && invitations.length > 0 && (
+            <Card className="shadow-sm mb-4">
+              <Card.Header className="d-flex justify-content-between align-items-center bg-white">
+                <h5 className="mb-0">Email Invitations</h5>
+                <Badge bg="secondary">{invitations.length} pending</Badge>
+              </Card.Header>
+              <Card.Body>
+                <Table responsive hover size="sm" className="align-middle mb-0">
+                  <thead className="table-light">
+                    <tr>
+                      <th>Email</th>
+                      <th>Joins as</th>
+                      <th>Sent</th>
+                      <th className="text-end">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invitations.map(invitation => (
+                      <tr key={invitation._id} data-testid={`invitation-${invitation._id}`}>
+                        <td>
+                          <div className="fw-medium">{invitation.email}</div>
+                          {invitation.invitedBy && (
+                            <small className="text-muted">by {invitation.invitedBy}</small>
+                          )}
+                        </td>
+                        <td>
+                          <Badge bg={invitation.role === 'developer' ? 'success' : 'info'}>{invitation.role}</Badge>
+                        </td>
+                        <td>
+                          {invitation.emailSentAt
+                            ? new Date(invitation.emailSentAt).toLocaleDateString()
+                            : <Badge bg="warning" text="dark">Not delivered</Badge>}
+                        </td>
+                        <td className="text-end">
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleRevokeInvitation(invitation)}
+                            disabled={revokingInvitationId === invitation._id}
+                          >
+                            Revoke
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          )}
+
+          {canManageInviteLinks && (
+            <Card className="shadow-sm mb-4">
+              <Card.Header className="d-flex justify-content-between align-items-center bg-white">
+                <h5 className="mb-0">Invite Links</h5>
+                <Button variant="outline-primary" size="sm" onClick={() => setShowCreateLinkModal(true)}>
+                  + New Link
+                </Button>
+              </Card.Header>
+              <Card.Body>
+                {inviteLinks.length > 0 ? (
+                  <Table responsive hover size="sm" className="align-middle mb-0">
+                    <thead className="table-light">
+                      <tr>
+                        <th>Name</th>
+                        <th>Joins as</th>
+                        <th>Uses</th>
+                        <th>Expires</th>
+                        <th>Status</th>
+                        <th className="text-end">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {inviteLinks.map(link => (
+                        <tr key={link._id} data-testid={`invite-link-${link._id}`}>
+                          <td>
+                            <div className="fw-medium">{link.name}</div>
+                            {link.createdBy?.name && (
+                              <small className="text-muted">by {link.createdBy.name}</small>
+                            )}
+                          </td>
+                          <td>
+                            <Badge bg={link.role === 'developer' ? 'success' : 'info'}>{link.role}</Badge>
+                          </td>
+                          <td>
+                            {link.uses} / {link.maxUses || '∞'}
+                            {link.lastUsedAt && (
+                              <small className="d-block text-muted">
+                                Last used {new Date(link.lastUsedAt).toLocaleDateString()}
+                              </small>
+                            )}
+                          </td>
+                          <td>{link.expiresAt ? new Date(link.expiresAt).toLocaleDateString() : 'Never'}</td>
+                          <td>
+                            <Badge bg={INVITE_LINK_STATUS_VARIANTS[link.status] || 'secondary'}>{link.status}</Badge>
+                          </td>
+                          <td className="text-end">
+                            {link.status === 'active' && (
+                              <Button
+                                variant="outline-secondary"
+                                size="sm"
+                                className="me-2"
+                                onClick={() => copyToClipboard(getFullInviteLink(link.token))}
+                              >
+                                Copy
+                              </Button>
+                            )}
+                            {!link.revokedAt && (
+                              <Button
+                                variant="outline-danger"
+                                size="sm"
+                                onClick={() => handleRevokeInviteLink(link)}
+                                disabled={revokingLinkId === link._id}
+                              >
+                                Revoke
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                ) : (
+                  <p className="text-muted mb-0">
+                    No invite links yet. Create one for each group you invite, with its own role, expiry date and usage limit.
+                  </p>
+                )}
+              </Card.Body>
+            </Card>
+          )}
+
           {isProjectManager() && (
             <Card className="shadow-sm">
               <Card.Header className="bg-white">
@@ -405,6 +799,117 @@ export default function MembersSection({ project, projectId, currentUser, onMemb
         </Modal.Footer>
       </Modal>
 
+      {/* Invite by Email Modal */}
+      <Modal show={showEmailInviteModal} onHide={() => setShowEmailInviteModal(false)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Invite by Email</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p className="mb-3">We'll email them an invitation to join the project:</p>
+          <EmailInviteForm projectId={projectId} onInvited={handleInvited} />
+        </Modal.Body>
+      </Modal>
+
+      {/* Create Invite Link Modal */}
+      <Modal show={showCreateLinkModal} onHide={() => setShowCreateLinkModal(false)} centered>
+        <Form onSubmit={handleCreateInviteLink}>
+          <Modal.Header closeButton>
+            <Modal.Title>New Invite Link</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Form.Group className="mb-3" controlId="inviteLinkName">
+              <Form.Label>Name</Form.Label>
+              <Form.Control
+                type="text"
+                maxLength={60}
+                placeholder="e.g. Lab group B"
+                value={newLink.name}
+                onChange={e => setNewLink({ ...newLink, name: e.target.value })}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3" controlId="inviteLinkRole">
+              <Form.Label>New members join as</Form.Label>
+              <Form.Select
+                value={newLink.role}
+                onChange={e => setNewLink({ ...newLink, role: e.target.value })}
+              >
+                <option value="viewer">Viewer</option>
+                <option value="developer">Developer</option>
+              </Form.Select>
+            </Form.Group>
+            <Row>
+              <Col>
+                <Form.Group className="mb-3" controlId="inviteLinkExpiresAt">
+                  <Form.Label>Expires after</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={newLink.expiresAt}
+                    onChange={e => setNewLink({ ...newLink, expiresAt: e.target.value })}
+                  />
+                  <Form.Text>Leave empty to never expire.</Form.Text>
+                </Form.Group>
+              </Col>
+              <Col>
+                <Form.Group className="mb-3" controlId="inviteLinkMaxUses">
+                  <Form.Label>Maximum uses</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min={1}
+                    max={1000}
+                    step={1}
+                    value={newLink.maxUses}
+                    onChange={e => setNewLink({ ...newLink, maxUses: e.target.value })}
+                  />
+                  <Form.Text>Leave empty for unlimited.</Form.Text>
+                </Form.Group>
+              </Col>
+            </Row>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowCreateLinkModal(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={generatingInviteLink}>
+              {generatingInviteLink ? <Spinner animation="border" size="sm" /> : 'Create Link'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Reject Join Request Modal */}
+      <Modal show={!!requestToReject} onHide={closeRejectModal} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Reject Join Request</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p className="mb-3">
+            <strong>{requestToReject?.user?.name}</strong> will see this reason on the invite page.
+          </p>
+          <Form.Group controlId="joinRequestRejectReason">
+            <Form.Label>Reason</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              maxLength={500}
+              value={rejectReason}
+              onChange={e => setRejectReason(e.target.value)}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closeRejectModal}>
+            Cancel
+          </Button>
+          <Button
+            variant="danger"
+            onClick={handleRejectJoinRequest}
+            disabled={!rejectReason.trim() || reviewingRequestId === requestToReject?._id}
+          >
+            Reject Request
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
       {/* Remove Member Confirmation Modal */}
       <Modal show={showRemoveMemberModal} onHide={closeRemoveMemberModal} centered>
         <Modal.Header closeButton>
@@ -186,7 +186,7 @@ export default function PostComments({ postId, comments, currentUser, onUpdate }
 
   // Handle comment delete
   const handleDeleteComment = async (commentId) => {
-    if (!window.confirm('Are you sure you want to delete this comment? This action cannot be undone.')) return;
+    if (!window.confirm('Are you sure you want to delete this comment? Its replies will be deleted too; administrators can restore them from the trash.')) return;
 
     try {
       await ProjectService.deleteComment(commentId);
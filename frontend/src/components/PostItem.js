@@ -2,10 +2,11 @@ import { useState, useEffect, useRef, useCallback } from 'react';
 import { Card, Button, Collapse, Spinner, Dropdown, Modal, Form } from 'react-bootstrap';
 import { toast } from 'react-toastify';
 import ProjectService from '../services/project.service';
+import { getEstimateUnit } from '../utils/taskAttributes';
 import PostComments from './PostComments';
 import TaskDetailModal from './TaskDetailModal';
 
-export default function PostItem({ post, currentUser, project, onUpdate }) {
+export default function PostItem({ post, currentUser, project, canPin = false, onUpdate }) {
   const [showComments, setShowComments] = useState(false);
   const [likesCount, setLikesCount] = useState(post.likesCount || 0);
   const [userHasLiked, setUserHasLiked] = useState(post.userHasLiked || false);
@@ -286,6 +287,17 @@ export default function PostItem({ post, currentUser, project, onUpdate }) {
     }
   };
 
+  // Pin or unpin the post; the list is refreshed because pinned posts come first
+  const handleTogglePin = async () => {
+    try {
+      await ProjectService.pinPost(localPost._id, !localPost.pinned);
+      toast.success(localPost.pinned ? 'Post unpinned' : 'Post pinned');
+      if (onUpdate) onUpdate();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to pin post');
+    }
+  };
+
   // Cancel post deletion
   const cancelDeletePost = () => {
     setShowDeleteModal(false);
@@ -472,6 +484,11 @@ export default function PostItem({ post, currentUser, project, onUpdate }) {
         {/* Header: Post type badge + title + tagged tasks + date */}
         <div className="d-flex justify-content-between align-items-center mb-3">
           <div className="d-flex align-items-center flex-wrap">
+            {localPost.pinned && (
+              <span className="badge bg-dark me-2" style={{ fontSize: '0.7rem' }}>
+                📌 Pinned
+              </span>
+            )}
             <span 
               className="px-2 py-1 rounded me-2"
               style={{
@@ -617,8 +634,8 @@ export default function PostItem({ post, currentUser, project, onUpdate }) {
             </Button>
           </div>
 
-          {/* Post Owner Actions - Positioned in same row, far right */}
-          {isPostOwner() && (
+          {/* Post Owner and Administrator Actions - Positioned in same row, far right */}
+          {(isPostOwner() || canPin) && (
             <Dropdown align="end">
               <Dropdown.Toggle 
                 variant="link" 
@@ -640,15 +657,24 @@ export default function PostItem({ post, currentUser, project, onUpdate }) {
                 ⋯
               </Dropdown.Toggle>
               <Dropdown.Menu>
-                <Dropdown.Item onClick={handleEditPost}>
-                  Edit Post
-                </Dropdown.Item>
-                <Dropdown.Item 
-                  onClick={handleDeletePost}
-                  className="text-danger"
-                >
-                  Delete Post
-                </Dropdown.Item>
+                {canPin && (
+                  <Dropdown.Item onClick={handleTogglePin}>
+                    {localPost.pinned ? 'Unpin Post' : 'Pin Post'}
+                  </Dropdown.Item>
+                )}
+                {isPostOwner() && (
+                  <>
+                    <Dropdown.Item onClick={handleEditPost}>
+                      Edit Post
+                    </Dropdown.Item>
+                    <Dropdown.Item 
+                      onClick={handleDeletePost}
+                      className="text-danger"
+                    >
+                      Delete Post
+                    </Dropdown.Item>
+                  </>
+                )}
               </Dropdown.Menu>
             </Dropdown>
           )}
@@ -829,6 +855,9 @@ export default function PostItem({ post, currentUser, project, onUpdate }) {
         show={showTaskDetailModal}
         onHide={handleCloseTaskModal}
         task={selectedTask}
+        labels={project?.labels}
+        estimateUnit={getEstimateUnit(project)}
+        members={project?.members}
       />
 
       {/* Delete Confirmation Modal */}
@@ -843,7 +872,7 @@ export default function PostItem({ post, currentUser, project, onUpdate }) {
             </div>
             <h5 className="mb-3">Are you sure you want to delete this post?</h5>
             <p className="text-muted">
-              This action cannot be undone. The post and all its comments will be permanently removed.
+              The post and its comments will move to the project's trash, where administrators can restore them until it is emptied.
             </p>
           </div>
         </Modal.Body>
@@ -4,6 +4,7 @@ import { toast } from 'react-toastify';
 import ProjectService from '../services/project.service';
 import CreatePost from './CreatePost';
 import PostItem from './PostItem';
+import { PERMISSIONS, userCan } from '../utils/permissions';
 
 export default function PostsSection({ project, projectId, currentUser }) {
   const [posts, setPosts] = useState([]);
@@ -45,6 +46,9 @@ export default function PostsSection({ project, projectId, currentUser }) {
     }
   };
 
+  // Members who moderate posts can pin them to the top of the feed
+  const isProjectManager = () => userCan(project, currentUser, PERMISSIONS.MODERATE_POSTS);
+
   const handlePostUpdate = () => {
     // Refresh posts list to handle deletions and other updates that need server data
     fetchPosts();
@@ -142,6 +146,7 @@ export default function PostsSection({ project, projectId, currentUser }) {
                   post={post}
                   currentUser={currentUser}
                   project={project}
+                  canPin={isProjectManager()}
                   onUpdate={handlePostUpdate}
                 />
               ))}
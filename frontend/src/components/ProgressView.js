@@ -1,17 +1,32 @@
-import { Row, Col, Card, Button } from 'react-bootstrap';
+import { useEffect, useState } from 'react';
+import { Row, Col, Card, Button, Form } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+import { DEFAULT_WORKFLOW, isDoneStatus, isLightColor } from '../utils/workflow';
+import { getChecklistProgress } from '../utils/checklist';
+import { sortByBoardRank, isOverWipLimit, formatColumnCount, getSwimlanes } from '../utils/board';
 
-export default function ProgressView({ 
-  tasks, 
+export default function ProgressView({
+  tasks,
   onEditTask,
-  canEditTask
+  canEditTask,
+  workflow = DEFAULT_WORKFLOW,
+  projectId,
+  canMoveTask = () => false,
+  onTasksUpdated
 }) {
-  // Group tasks by status
-  const todoTasks = tasks?.filter(task => task.taskProgress === 'To Do') || [];
-  const inProgressTasks = tasks?.filter(task => task.taskProgress === 'In Progress') || [];
-  const completedTasks = tasks?.filter(task => task.taskProgress === 'Completed') || [];
-  
+  const [boardTasks, setBoardTasks] = useState(sortByBoardRank(tasks || []));
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [dropStatus, setDropStatus] = useState(null);
+  const [swimlaneMode, setSwimlaneMode] = useState('none'); // 'none' | 'assignee'
+
+  // The server's copy wins whenever the project is refreshed
+  useEffect(() => {
+    setBoardTasks(sortByBoardRank(tasks || []));
+  }, [tasks]);
+
   const isDeadlineOverdue = (deadline, taskProgress) => {
-    if (!deadline || taskProgress === 'Completed') return false;
+    if (!deadline || isDoneStatus(workflow, taskProgress)) return false;
     const today = new Date();
     today.setHours(0, 0, 0, 0); // Set to start of day for fair comparison
     const deadlineDate = new Date(deadline);
@@ -27,22 +42,89 @@ export default function ProgressView({
     const year = date.getFullYear();
     return `${day}/${month}/${year}`;
   };
-  
-  const getStatusColor = (status) => {
-    switch (status) {
-    case 'To Do': return '#dc3545'; // Red
-    case 'In Progress': return '#ffc107'; // Yellow
-    case 'Completed': return '#28a745'; // Green
-    default: return '#6c757d'; // Gray
+
+  const getColumnTasks = (statusName) => boardTasks.filter(task => task.taskProgress === statusName);
+
+  // Drops a card into a column before another card, or at the bottom when beforeTaskId is null
+  const moveTask = async (taskId, statusName, beforeTaskId) => {
+    const task = boardTasks.find(t => t._id === taskId);
+    if (!task || taskId === beforeTaskId) return;
+
+    const columnIds = getColumnTasks(statusName).map(t => t._id).filter(id => id !== taskId);
+    const insertAt = beforeTaskId ? columnIds.indexOf(beforeTaskId) : -1;
+    columnIds.splice(insertAt === -1 ? columnIds.length : insertAt, 0, taskId);
+
+    const statusChanged = task.taskProgress !== statusName;
+    const previousTasks = boardTasks;
+
+    // Show the move straight away and bring the board back in line with the server if it refuses
+    setBoardTasks(sortByBoardRank(boardTasks.map(t => {
+      const rank = columnIds.indexOf(t._id);
+      if (rank === -1) return t;
+      return { ...t, taskProgress: statusName, boardRank: rank };
+    })));
+
+    const status = workflow.find(s => s.name === statusName);
+    if (statusChanged && status?.wipLimit && columnIds.length > status.wipLimit) {
+      toast.warning(`${statusName} is over its WIP limit of ${status.wipLimit}`);
+    }
+
+    try {
+      if (statusChanged) {
+        await ProjectService.editTaskProgress(projectId, taskId, statusName);
+      }
+      await ProjectService.reorderBoardColumn(projectId, statusName, columnIds);
+      if (onTasksUpdated) await onTasksUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to move task.');
+      // The status may already be saved when the reorder fails, so reload rather than restore the old board
+      if (onTasksUpdated) {
+        await onTasksUpdated();
+      } else {
+        setBoardTasks(previousTasks);
+      }
     }
   };
 
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task._id);
+    setDraggedTaskId(task._id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedTaskId(null);
+    setDropStatus(null);
+  };
+
+  const handleDragOver = (e, statusName) => {
+    if (!draggedTaskId) return;
+    e.preventDefault();
+    if (dropStatus !== statusName) setDropStatus(statusName);
+  };
+
+  const handleDrop = (e, statusName, beforeTaskId = null) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const taskId = draggedTaskId;
+    handleDragEnd();
+    if (taskId) moveTask(taskId, statusName, beforeTaskId);
+  };
+
   const renderTaskCard = (task) => {
+    const checklist = getChecklistProgress(task);
+    const movable = !!projectId && canMoveTask(task);
     return (
-      <Card 
-        key={task._id} 
+      <Card
+        key={task._id}
         className="mb-2 shadow-sm task-card"
         data-status={task.taskProgress}
+        data-testid={`task-card-${task._id}`}
+        draggable={movable}
+        onDragStart={movable ? e => handleDragStart(e, task) : undefined}
+        onDragEnd={movable ? handleDragEnd : undefined}
+        onDrop={e => handleDrop(e, task.taskProgress, task._id)}
+        style={{ opacity: draggedTaskId === task._id ? 0.5 : 1 }}
       >
         <Card.Body className="p-3">
           <div className="d-flex justify-content-between mb-2">
@@ -63,22 +145,35 @@ export default function ProgressView({
           <p className="small text-muted mb-2">{task.taskDescription}</p>
           <div className="d-flex justify-content-between align-items-center">
             <small>
-              <span 
-                style={{ 
+              <span
+                style={{
                   color: isDeadlineOverdue(task.taskDeadline, task.taskProgress) ? '#dc3545' : '#6c757d',
                   fontWeight: isDeadlineOverdue(task.taskDeadline, task.taskProgress) ? 'bold' : 'normal'
                 }}
               >
                 📅 {formatDate(task.taskDeadline)}
               </span>
+              {checklist.total > 0 && (
+                <span
+                  className={`ms-2 ${checklist.done === checklist.total ? 'text-success' : 'text-muted'}`}
+                  title="Checklist items done"
+                >
+                  ☑ {checklist.done}/{checklist.total}
+                </span>
+              )}
             </small>
-            {task.taskAssignee && (
-              <div 
-                className="rounded-circle bg-primary text-white d-flex align-items-center justify-content-center"
-                style={{ width: '24px', height: '24px', fontSize: '12px' }}
-                title={task.taskAssignee.name}
-              >
-                {task.taskAssignee.name.charAt(0).toUpperCase()}
+            {(task.taskAssignees || []).length > 0 && (
+              <div className="d-flex">
+                {task.taskAssignees.map((assignee, index) => (
+                  <div
+                    key={assignee._id}
+                    className="rounded-circle bg-primary text-white d-flex align-items-center justify-content-center border border-white"
+                    style={{ width: '24px', height: '24px', fontSize: '12px', marginLeft: index > 0 ? '-8px' : 0 }}
+                    title={assignee.name}
+                  >
+                    {assignee.name.charAt(0).toUpperCase()}
+                  </div>
+                ))}
               </div>
             )}
           </div>
@@ -87,34 +182,103 @@ export default function ProgressView({
     );
   };
 
-  const renderColumn = (title, tasks, status) => {
-    const textColor = status === 'In Progress' ? 'text-dark' : 'text-white';
-    
+  // Up to four statuses share the row; longer workflows scroll sideways
+  const columnWidth = workflow.length <= 4 ? 12 / workflow.length : undefined;
+  const rowClassName = `g-3 progress-row${columnWidth ? '' : ' flex-nowrap overflow-auto'}`;
+
+  const renderColumnHeader = (status) => {
+    const count = getColumnTasks(status.name).length;
+    const textColor = isLightColor(status.color) ? 'text-dark' : 'text-white';
     return (
-      <Col md={4} className="progress-column">
-        <div className="kanban-column h-100">
-          <div className="kanban-column-header" style={{ backgroundColor: getStatusColor(status) }}>
-            <h6 className={`mb-0 ${textColor} py-2`}>{title} ({tasks.length})</h6>
-          </div>
-          <div className="kanban-column-body p-2">
-            {tasks.length > 0 ? (
-              tasks.map(task => renderTaskCard(task))
-            ) : (
-              <div className="text-center py-5 my-5">
-                <p className="text-muted mb-0">No tasks</p>
-              </div>
-            )}
-          </div>
-        </div>
-      </Col>
+      <div className="kanban-column-header" style={{ backgroundColor: status.color }}>
+        <h6 className={`mb-0 ${textColor} py-2`}>{status.name} ({formatColumnCount(count, status.wipLimit)})</h6>
+        {isOverWipLimit(count, status.wipLimit) && (
+          <small className={`d-block pb-1 ${textColor}`} role="alert">
+            ⚠️ Over WIP limit
+          </small>
+        )}
+      </div>
     );
   };
 
+  const renderColumnBody = (status, columnTasks) => (
+    <div
+      className={`kanban-column-body p-2${dropStatus === status.name ? ' drop-target' : ''}`}
+      onDragOver={e => handleDragOver(e, status.name)}
+      onDrop={e => handleDrop(e, status.name)}
+      data-testid={`column-${status.name}`}
+    >
+      {columnTasks.length > 0 ? (
+        columnTasks.map(task => renderTaskCard(task))
+      ) : (
+        <div className="text-center py-5 my-5">
+          <p className="text-muted mb-0">No tasks</p>
+        </div>
+      )}
+    </div>
+  );
+
+  const renderColumn = (status, columnTasks, showHeader = true) => (
+    <Col
+      key={status.name}
+      md={columnWidth}
+      className="progress-column"
+      style={columnWidth ? undefined : { minWidth: '240px' }}
+    >
+      <div className={`kanban-column h-100${isOverWipLimit(getColumnTasks(status.name).length, status.wipLimit) ? ' over-wip-limit' : ''}`}>
+        {showHeader && renderColumnHeader(status)}
+        {renderColumnBody(status, columnTasks)}
+      </div>
+    </Col>
+  );
+
+  const renderSwimlanes = () => (
+    <>
+      <Row className={`${rowClassName} kanban-lane-headers`}>
+        {workflow.map(status => (
+          <Col
+            key={status.name}
+            md={columnWidth}
+            style={columnWidth ? undefined : { minWidth: '240px' }}
+          >
+            {renderColumnHeader(status)}
+          </Col>
+        ))}
+      </Row>
+      {getSwimlanes(boardTasks).map(lane => (
+        <div key={lane.key} className="kanban-lane mt-3">
+          <h6 className="text-muted mb-2">{lane.name} ({lane.tasks.length})</h6>
+          <Row className={rowClassName}>
+            {workflow.map(status => renderColumn(
+              status,
+              lane.tasks.filter(task => task.taskProgress === status.name),
+              false
+            ))}
+          </Row>
+        </div>
+      ))}
+    </>
+  );
+
   return (
-    <Row className="g-3 progress-row">
-      {renderColumn('To Do', todoTasks, 'To Do')}
-      {renderColumn('In Progress', inProgressTasks, 'In Progress')}
-      {renderColumn('Completed', completedTasks, 'Completed')}
-    </Row>
+    <>
+      <div className="d-flex justify-content-end mb-2">
+        <Form.Select
+          size="sm"
+          style={{ width: 'auto' }}
+          value={swimlaneMode}
+          onChange={e => setSwimlaneMode(e.target.value)}
+          aria-label="Swimlanes"
+        >
+          <option value="none">No swimlanes</option>
+          <option value="assignee">Swimlanes by assignee</option>
+        </Form.Select>
+      </div>
+      {swimlaneMode === 'assignee' ? renderSwimlanes() : (
+        <Row className={rowClassName}>
+          {workflow.map(status => renderColumn(status, getColumnTasks(status.name)))}
+        </Row>
+      )}
+    </>
   );
-} 
\ No newline at end of file
+}
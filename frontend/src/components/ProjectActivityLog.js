@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { Card, Spinner } from 'react-bootstrap';
+import moment from 'moment';
+import ProjectService from '../services/project.service';
+
+// How each recorded action reads, given the names of the actor and the other user involved
+const ACTION_DESCRIPTIONS = {
+  ownership_transfer_requested: (actor, target) => `${actor} asked ${target} to take over as project owner`,
+  ownership_transfer_cancelled: (actor, target) => `${actor} cancelled the ownership transfer to ${target}`,
+  ownership_transfer_declined: (actor, target) => `${actor} declined to take over ownership from ${target}`,
+  ownership_transferred: (actor, target) => `${actor} took over as project owner from ${target}`
+};
+
+export default function ProjectActivityLog({ project, projectId }) {
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(false);
+
+  // Reload whenever the project changes so new events show up straight away
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(false);
+    ProjectService.getProjectActivity(projectId)
+      .then(response => {
+        if (!cancelled) setActivity(response.data.activity || []);
+      })
+      .catch(() => {
+        if (!cancelled) setError(true);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, project]);
+
+  const describeEntry = (entry) => {
+    const actor = entry.actor?.name || 'Former member';
+    const target = entry.target?.name || 'a former member';
+    const description = ACTION_DESCRIPTIONS[entry.action];
+    return description ? description(actor, target) : `${actor}: ${entry.action}`;
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h5 className="mb-0">Activity Log</h5>
+      </Card.Header>
+      <Card.Body>
+        {loading ? (
+          <Spinner animation="border" size="sm" />
+        ) : error ? (
+          <p className="mb-0 text-muted small">Could not load the activity log.</p>
+        ) : activity.length === 0 ? (
+          <p className="mb-0 text-muted small">No project activity recorded yet.</p>
+        ) : (
+          <ul className="list-unstyled mb-0 ms-1 ps-3 border-start" aria-label="Project activity">
+            {activity.map(entry => (
+              <li key={entry._id} className="mb-2 small">
+                <div>{describeEntry(entry)}</div>
+                <div className="text-muted">{moment(entry.timestamp).format('MMM D, YYYY h:mm A')}</div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
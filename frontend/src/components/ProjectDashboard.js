@@ -10,11 +10,17 @@ import AppNavbar from './AppNavbar';
 import TasksSection from './TasksSection';
 import ProjectNavbar from './ProjectNavbar';
 import MembersSection from './MembersSection';
+import EmailInviteForm from './EmailInviteForm';
 import TasksDashboardSection from './TasksDashboardSection';
 import ProjectCalendar from './Calendar';
 import ProjectSettings from './ProjectSettings';
 import AIChatbot from './AIChatbot';
 import PostsSection from './PostsSection';
+import TimesheetSection from './TimesheetSection';
+import TimelineSection from './TimelineSection';
+import AnalyticsSection from './AnalyticsSection';
+import { getProjectWorkflow, isDoneStatus } from '../utils/workflow';
+import { PERMISSIONS, findMember, isBuiltInRole, userCan } from '../utils/permissions';
 
 // Register Chart.js components
 ChartJS.register(ArcElement, Tooltip, Legend);
@@ -93,40 +99,26 @@ export default function ProjectDashboard() {
     setActiveSection(sectionId);
   };
 
-  const isProjectManager = () => {
-    if (!currentUser || !project || !project.members) return false;
-    const member = project.members.find(
-      m => m.user._id?.toString() === currentUser._id?.toString()
-    );
-    return member && member.role && member.role.roleName === 'administrator';
-  };
+  const can = (permission) => userCan(project, currentUser, permission);
+
+  const isProjectManager = () => can(PERMISSIONS.MANAGE_PROJECT);
 
   const isViewer = () => {
-    if (!currentUser || !project || !project.members) return false;
-    const member = project.members.find(
-      m => m.user._id?.toString() === currentUser._id?.toString()
-    );
-    return member && member.role && member.role.roleName === 'viewer';
+    if (!findMember(project, currentUser)) return false;
+    return !can(PERMISSIONS.WORK_ON_TASKS);
   };
 
   const canEditTask = (task) => {
     if (!currentUser || !project || !project.members) return false;
     
-    // Project managers can edit any task
-    if (isProjectManager()) return true;
-    
-    // Viewers cannot edit any task
-    if (isViewer()) return false;
+    // Members who may edit or archive any task see the controls on every task
+    if (can(PERMISSIONS.EDIT_ANY_TASK) || can(PERMISSIONS.ARCHIVE_ANY_TASK)) return true;
     
-    // Developers can only edit tasks they created
-    const member = project.members.find(
-      m => m.user._id?.toString() === currentUser._id?.toString()
-    );
-    if (member && member.role && member.role.roleName === 'developer') {
-      return task.taskCreator && task.taskCreator._id?.toString() === currentUser._id?.toString();
-    }
+    // Members who cannot create tasks cannot edit any task
+    if (!can(PERMISSIONS.CREATE_TASKS)) return false;
     
-    return false;
+    // Everyone else can only edit tasks they created
+    return !!task.taskCreator && task.taskCreator._id?.toString() === currentUser._id?.toString();
   };
 
   const handleSaveRoleClick = (memberId, memberName, oldRole, newRole) => {
@@ -259,26 +251,19 @@ export default function ProjectDashboard() {
   // Calculate project completion data from tasks
   const tasks = project?.tasks || [];
   const totalTasks = tasks.length;
-  const completedCount = tasks.filter(t => t.taskProgress === 'Completed').length;
-  const inProgressCount = tasks.filter(t => t.taskProgress === 'In Progress').length;
-  const todoCount = tasks.filter(t => t.taskProgress === 'To Do').length;
+  const workflow = getProjectWorkflow(project);
+  const completedCount = tasks.filter(t => isDoneStatus(workflow, t.taskProgress)).length;
   const percentCompleted = totalTasks ? Math.round((completedCount / totalTasks) * 100) : 0;
 
+  // One slice per workflow status, finished statuses first
+  const chartStatuses = [...workflow].reverse();
   const completionData = {
-    labels: ['Completed', 'In Progress', 'To Do'],
+    labels: chartStatuses.map(status => status.name),
     datasets: [
       {
-        data: [completedCount, inProgressCount, todoCount],
-        backgroundColor: [
-          '#28a745', // Green for completed
-          '#ffc107', // Yellow for in progress
-          '#dc3545', // Red for to do
-        ],
-        borderColor: [
-          '#28a745',
-          '#ffc107',
-          '#dc3545',
-        ],
+        data: chartStatuses.map(status => tasks.filter(t => t.taskProgress === status.name).length),
+        backgroundColor: chartStatuses.map(status => status.color),
+        borderColor: chartStatuses.map(status => status.color),
         borderWidth: 2,
       },
     ],
@@ -322,7 +307,7 @@ export default function ProjectDashboard() {
               <Card className="h-100 shadow-sm">
                 <Card.Header className="d-flex justify-content-between align-items-center">
                   <h5 className="mb-0">Project Members</h5>
-                  {isProjectManager() && project.settings?.joinByLinkEnabled && (
+                  {can(PERMISSIONS.MANAGE_MEMBERS) && project.settings?.joinByLinkEnabled && (
                     <Button
                       variant="outline-primary"
                       size="sm"
@@ -360,7 +345,7 @@ export default function ProjectDashboard() {
                                         <div className="text-muted small">{member.role?.roleName || 'No role assigned'}</div>
                                       </div>
                                     </div>
-                                    {isProjectManager() && (
+                                    {can(PERMISSIONS.MANAGE_MEMBERS) && (
                                       <div>
                                         <Button
                                           variant="outline-secondary"
@@ -447,7 +432,7 @@ export default function ProjectDashboard() {
                                         <div className="text-muted small">{member.role?.roleName || 'No role assigned'}</div>
                                       </div>
                                     </div>
-                                    {isProjectManager() && (
+                                    {can(PERMISSIONS.MANAGE_MEMBERS) && (
                                       <div>
                                         <Button
                                           variant="outline-secondary"
@@ -534,7 +519,7 @@ export default function ProjectDashboard() {
                                         <div className="text-muted small">{member.role?.roleName || 'No role assigned'}</div>
                                       </div>
                                     </div>
-                                    {isProjectManager() && (
+                                    {can(PERMISSIONS.MANAGE_MEMBERS) && (
                                       <div>
                                         <Button
                                           variant="outline-secondary"
@@ -600,6 +585,31 @@ export default function ProjectDashboard() {
                           </ListGroup>
                         </div>
                       )}
+
+                      {/* Custom Roles Section (their roles are changed from the Members page) */}
+                      {project.members.filter(member => member.role && !isBuiltInRole(member.role)).length > 0 && (
+                        <div className="mb-4">
+                          <h6 className="text-info mb-3 text-start">Custom Roles</h6>
+                          <ListGroup variant="flush" className="mb-3">
+                            {project.members
+                              .filter(member => member.role && !isBuiltInRole(member.role))
+                              .map((member, index) => (
+                                <ListGroup.Item key={`custom-${index}`} className="px-0">
+                                  <div className="d-flex align-items-center">
+                                    <div className="rounded-circle bg-info text-white d-flex align-items-center justify-content-center me-3"
+                                      style={{ width: '40px', height: '40px', fontSize: '16px' }}>
+                                      {member.user.name ? member.user.name.charAt(0).toUpperCase() : 'U'}
+                                    </div>
+                                    <div className="text-start">
+                                      <div className="fw-medium">{member.user.name || 'Unknown User'}</div>
+                                      <div className="text-muted small">{member.role.roleName}</div>
+                                    </div>
+                                  </div>
+                                </ListGroup.Item>
+                              ))}
+                          </ListGroup>
+                        </div>
+                      )}
                     </div>
                   ) : (
                     <p className="text-muted text-center py-4">No members found</p>
@@ -675,6 +685,23 @@ export default function ProjectDashboard() {
           </Col>
         </Row>
       );
+    case 'timeline':
+      return (
+        <TimelineSection
+          project={project}
+          projectId={projectId}
+          canEditTask={canEditTask}
+          onTasksUpdated={fetchProject}
+        />
+      );
+    case 'timesheet':
+      return (
+        <TimesheetSection projectId={projectId} />
+      );
+    case 'analytics':
+      return (
+        <AnalyticsSection project={project} projectId={projectId} />
+      );
     case 'posts':
       return (
         <PostsSection
@@ -691,6 +718,7 @@ export default function ProjectDashboard() {
           currentUser={currentUser}
           onProjectUpdated={fetchProject}
           onProjectDeleted={() => navigate('/dashboard')}
+          onProjectCloned={(newProjectId) => navigate(`/project/${newProjectId}`)}
         />
       );
     default:
@@ -801,6 +829,9 @@ export default function ProjectDashboard() {
                 <small className="text-muted mt-2 d-block">
                   Anyone with this link can join the project. Keep it secure!
                 </small>
+                <hr />
+                <p className="mb-3">Or send an invitation by email:</p>
+                <EmailInviteForm projectId={projectId} />
               </Modal.Body>
               <Modal.Footer>
                 <Button variant="secondary" onClick={closeInviteLinkModal}>
@@ -23,6 +23,8 @@ const ProjectJoin = () => {
       } catch (error) {
         if (error.response?.status === 404) {
           setError('Invalid or expired invite link.');
+        } else if (error.response?.status === 410) {
+          setError(`${error.response.data.message}.`);
         } else if (error.response?.status === 401) {
           setError('You need to be logged in to join a project.');
         } else {
@@ -46,6 +48,13 @@ const ProjectJoin = () => {
       setJoiningProject(true);
       
       const response = await ProjectService.joinProjectViaInvite(inviteToken);
+
+      // Projects that require approval only record a request
+      if (response.data.project.status === 'pending') {
+        toast.success('Your request has been sent to the project administrators.');
+        setProjectDetails((prev) => ({ ...prev, joinRequest: { status: 'pending' } }));
+        return;
+      }
       
       toast.success('Successfully joined the project!');
       
@@ -54,6 +63,8 @@ const ProjectJoin = () => {
     } catch (error) {
       if (error.response?.status === 404) {
         toast.error('Invalid or expired invite link.');
+      } else if (error.response?.status === 410 || error.response?.status === 403) {
+        toast.error(`${error.response.data.message}.`);
       } else if (error.response?.status === 409) {
         toast.error('You are already a member of this project.');
         navigate('/dashboard');
@@ -68,6 +79,8 @@ const ProjectJoin = () => {
     }
   };
 
+  const joinRequestStatus = projectDetails?.joinRequest?.status;
+
   const handleBackToDashboard = () => {
     navigate('/dashboard');
   };
@@ -132,31 +145,59 @@ const ProjectJoin = () => {
                   <strong>Invited by:</strong>
                   <span className="ms-2 text-primary">{projectDetails.invitedBy}</span>
                 </div>
+
+                {projectDetails.role && (
+                  <div className="mb-4">
+                    <strong>You will join as:</strong>
+                    <span className="ms-2 text-capitalize">{projectDetails.role}</span>
+                  </div>
+                )}
               </div>
               
-              <div className="d-grid gap-2">
-                <Button 
-                  variant="success" 
-                  size="lg"
-                  onClick={handleJoinProject}
-                  disabled={joiningProject}
-                >
-                  {joiningProject ? (
-                    <>
-                      <Spinner
-                        as="span"
-                        animation="border"
-                        size="sm"
-                        role="status"
-                        aria-hidden="true"
-                        className="me-2"
-                      />
-                      Joining...
-                    </>
-                  ) : (
-                    'Join Project'
+              {joinRequestStatus === 'pending' && (
+                <Alert variant="info">
+                  Your request to join is waiting for an administrator&apos;s approval.
+                </Alert>
+              )}
+              {joinRequestStatus === 'rejected' && (
+                <Alert variant="danger">
+                  <div>Your request to join this project was declined.</div>
+                  {projectDetails.joinRequest.reason && (
+                    <div className="mt-2"><strong>Reason:</strong> {projectDetails.joinRequest.reason}</div>
                   )}
-                </Button>
+                </Alert>
+              )}
+              {!joinRequestStatus && projectDetails.requiresApproval && (
+                <p className="text-muted small">
+                  An administrator must approve your request before you can join this project.
+                </p>
+              )}
+
+              <div className="d-grid gap-2">
+                {!joinRequestStatus && (
+                  <Button 
+                    variant="success" 
+                    size="lg"
+                    onClick={handleJoinProject}
+                    disabled={joiningProject}
+                  >
+                    {joiningProject ? (
+                      <>
+                        <Spinner
+                          as="span"
+                          animation="border"
+                          size="sm"
+                          role="status"
+                          aria-hidden="true"
+                          className="me-2"
+                        />
+                        Joining...
+                      </>
+                    ) : (
+                      projectDetails.requiresApproval ? 'Request to Join' : 'Join Project'
+                    )}
+                  </Button>
+                )}
                 <Button 
                   variant="outline-secondary"
                   onClick={handleBackToDashboard}
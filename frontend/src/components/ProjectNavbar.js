@@ -6,6 +6,9 @@ export default function ProjectNavbar({ activeSection, onSectionChange }) {
     { id: 'members', label: 'Members', icon: '👥' },
     { id: 'tasks', label: 'Tasks', icon: '✓' },
     { id: 'calendar', label: 'Calendar', icon: '📅' },
+    { id: 'timeline', label: 'Timeline', icon: '📈' },
+    { id: 'timesheet', label: 'Timesheet', icon: '⏱️' },
+    { id: 'analytics', label: 'Analytics', icon: '📉' },
     { id: 'posts', label: 'Posts', icon: '📝' },
     { id: 'settings', label: 'Settings', icon: '⚙️' }
   ];
@@ -2,25 +2,48 @@ import { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Form, Alert, Modal, Spinner } from 'react-bootstrap';
 import { toast } from 'react-toastify';
 import ProjectService from '../services/project.service';
+import WorkflowSettings from './WorkflowSettings';
+import LabelSettings from './LabelSettings';
+import SprintSettings from './SprintSettings';
+import TrashSettings from './TrashSettings';
+import TemplateSettings from './TemplateSettings';
+import RoleSettings from './RoleSettings';
+import ProjectActivityLog from './ProjectActivityLog';
+import { PERMISSIONS, isAdministratorRole, userCan } from '../utils/permissions';
 
 export default function ProjectSettings({ 
   project, 
   projectId, 
   currentUser, 
   onProjectUpdated,
-  onProjectDeleted 
+  onProjectDeleted,
+  onProjectCloned
 }) {
   const [editingDetails, setEditingDetails] = useState(false);
   const [projectName, setProjectName] = useState('');
   const [projectDescription, setProjectDescription] = useState('');
   const [settings, setSettings] = useState({
     joinByLinkEnabled: true,
-    pdfGenerationEnabled: true
+    pdfGenerationEnabled: true,
+    estimateUnit: 'points',
+    requireChecklistCompletion: false,
+    requireJoinApproval: false,
+    trashRetentionDays: 30
   });
   
   // Modal states
   const [showLeaveModal, setShowLeaveModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showCloneModal, setShowCloneModal] = useState(false);
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [newOwnerId, setNewOwnerId] = useState('');
+  const [cloneOptions, setCloneOptions] = useState({
+    projectName: '',
+    deadlineShiftDays: 0,
+    resetProgress: true,
+    clearAssignees: true,
+    includePinnedPosts: false
+  });
   
   // Loading states
   const [saving, setSaving] = useState(false);
@@ -34,20 +57,30 @@ export default function ProjectSettings({
       setProjectDescription(project.projectDescription || '');
       setSettings({
         joinByLinkEnabled: project.settings?.joinByLinkEnabled ?? true,
-        pdfGenerationEnabled: project.settings?.pdfGenerationEnabled ?? true
+        pdfGenerationEnabled: project.settings?.pdfGenerationEnabled ?? true,
+        estimateUnit: project.settings?.estimateUnit || 'points',
+        requireChecklistCompletion: project.settings?.requireChecklistCompletion ?? false,
+        requireJoinApproval: project.settings?.requireJoinApproval ?? false,
+        trashRetentionDays: project.settings?.trashRetentionDays ?? 30
       });
     }
   }, [project]);
 
-  const isProjectManager = () => {
-    if (!currentUser || !project || !project.members) return false;
-    const member = project.members.find(
-      m => m.user._id?.toString() === currentUser._id?.toString()
-    );
-    return member && member.role && member.role.roleName === 'administrator';
-  };
+  const can = (permission) => userCan(project, currentUser, permission);
 
+  const getMemberName = (userId) => {
+    const member = project?.members?.find(m => m.user._id?.toString() === userId?.toString());
+    return member ? member.user.name : null;
+  };
 
+  const ownerId = project?.projectOwner?._id || project?.projectOwner;
+  const pendingOwnerId = project?.pendingOwnershipTransfer?.to;
+  const isOwner = !!ownerId && ownerId.toString() === currentUser?._id?.toString();
+  const isPendingOwner = !!pendingOwnerId && pendingOwnerId.toString() === currentUser?._id?.toString();
+  // Ownership can only go to another administrator
+  const transferCandidates = (project?.members || []).filter(
+    m => isAdministratorRole(m.role) && m.user._id?.toString() !== ownerId?.toString()
+  );
 
   const handleUpdateDetails = async () => {
     if (!projectName.trim() || !projectDescription.trim()) {
@@ -100,6 +133,96 @@ export default function ProjectSettings({
 
 
 
+  const openCloneModal = () => {
+    setCloneOptions({
+      projectName: `${project.projectName} (copy)`,
+      deadlineShiftDays: 0,
+      resetProgress: true,
+      clearAssignees: true,
+      includePinnedPosts: false
+    });
+    setShowCloneModal(true);
+  };
+
+  const handleCloneProject = async () => {
+    const shift = Number(cloneOptions.deadlineShiftDays);
+    if (!cloneOptions.projectName.trim()) {
+      toast.error('Project name is required');
+      return;
+    }
+    if (!Number.isInteger(shift)) {
+      toast.error('Deadline shift must be a whole number of days');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await ProjectService.cloneProject(projectId, {
+        ...cloneOptions,
+        projectName: cloneOptions.projectName.trim(),
+        deadlineShiftDays: shift
+      });
+      toast.success('Project cloned successfully');
+      setShowCloneModal(false);
+      if (onProjectCloned) onProjectCloned(response.data.project._id);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to clone project');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openTransferModal = () => {
+    setNewOwnerId('');
+    setShowTransferModal(true);
+  };
+
+  const handleRequestTransfer = async () => {
+    if (!newOwnerId) {
+      toast.error('Choose the administrator who will become the owner');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await ProjectService.requestOwnershipTransfer(projectId, newOwnerId);
+      toast.success(`Waiting for ${getMemberName(newOwnerId)} to accept ownership`);
+      setShowTransferModal(false);
+      onProjectUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to transfer ownership');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAcceptTransfer = async () => {
+    setLoading(true);
+    try {
+      await ProjectService.acceptOwnershipTransfer(projectId);
+      toast.success('You are now the project owner');
+      onProjectUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to accept ownership');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Cancels the transfer as the owner, or declines it as the proposed owner
+  const handleCancelTransfer = async () => {
+    setLoading(true);
+    try {
+      await ProjectService.cancelOwnershipTransfer(projectId);
+      toast.success(isOwner ? 'Ownership transfer cancelled' : 'Ownership transfer declined');
+      onProjectUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to cancel the ownership transfer');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleDeleteProject = async () => {
     setLoading(true);
     try {
@@ -128,7 +251,7 @@ export default function ProjectSettings({
           <Card className="mb-4">
             <Card.Header className="d-flex justify-content-between align-items-center">
               <h5 className="mb-0">Project Details</h5>
-              {isProjectManager() && (
+              {can(PERMISSIONS.MANAGE_PROJECT) && (
                 <Button
                   variant={editingDetails ? 'secondary' : 'outline-primary'}
                   size="sm"
@@ -178,7 +301,7 @@ export default function ProjectSettings({
           </Card>
 
           {/* Project Settings */}
-          {isProjectManager() && (
+          {can(PERMISSIONS.MANAGE_PROJECT) && (
             <Card className="mb-4">
               <Card.Header>
                 <h5 className="mb-0">Project Settings</h5>
@@ -201,7 +324,25 @@ export default function ProjectSettings({
                   />
                 </div>
                 
-                <div className="d-flex justify-content-between align-items-center py-3">
+                <div className="d-flex justify-content-between align-items-center py-3 border-bottom">
+                  <div>
+                    <span className="fw-semibold">Require Join Approval</span>
+                    <span className="text-muted small ms-2">- People following an invite link wait for an administrator to approve them</span>
+                  </div>
+                  <Form.Check
+                    type="switch"
+                    id="require-join-approval"
+                    aria-label="Require join approval"
+                    checked={settings.requireJoinApproval}
+                    onChange={(e) => handleUpdateSettings({
+                      ...settings,
+                      requireJoinApproval: e.target.checked
+                    })}
+                    disabled={saving}
+                  />
+                </div>
+
+                <div className="d-flex justify-content-between align-items-center py-3 border-bottom">
                   <div>
                     <span className="fw-semibold">Enable PDF Generation</span>
                     <span className="text-muted small ms-2">- Allow project summary PDF export</span>
@@ -217,10 +358,125 @@ export default function ProjectSettings({
                     disabled={saving}
                   />
                 </div>
+
+                <div className="d-flex justify-content-between align-items-center py-3 border-bottom">
+                  <div>
+                    <span className="fw-semibold">Require Finished Checklists</span>
+                    <span className="text-muted small ms-2">- Tasks cannot be completed while checklist items are open</span>
+                  </div>
+                  <Form.Check
+                    type="switch"
+                    id="require-checklist-completion"
+                    checked={settings.requireChecklistCompletion}
+                    onChange={(e) => handleUpdateSettings({
+                      ...settings,
+                      requireChecklistCompletion: e.target.checked
+                    })}
+                    disabled={saving}
+                  />
+                </div>
+
+                <div className="d-flex justify-content-between align-items-center py-3 border-bottom">
+                  <div>
+                    <span className="fw-semibold">Estimate Unit</span>
+                    <span className="text-muted small ms-2">- Estimate tasks in story points or hours</span>
+                  </div>
+                  <Form.Select
+                    size="sm"
+                    style={{ width: 'auto' }}
+                    value={settings.estimateUnit}
+                    aria-label="Estimate unit"
+                    onChange={(e) => handleUpdateSettings({
+                      ...settings,
+                      estimateUnit: e.target.value
+                    })}
+                    disabled={saving}
+                  >
+                    <option value="points">Story points</option>
+                    <option value="hours">Hours</option>
+                  </Form.Select>
+                </div>
+
+                <div className="d-flex justify-content-between align-items-center py-3">
+                  <div>
+                    <span className="fw-semibold">Trash Retention</span>
+                    <span className="text-muted small ms-2">- Days deleted posts, comments and tasks can be restored before they are purged</span>
+                  </div>
+                  <Form.Control
+                    type="number"
+                    size="sm"
+                    min={1}
+                    max={365}
+                    style={{ width: '6rem' }}
+                    value={settings.trashRetentionDays}
+                    aria-label="Trash retention days"
+                    onChange={(e) => setSettings({ ...settings, trashRetentionDays: e.target.value })}
+                    onBlur={(e) => {
+                      if (Number(e.target.value) !== (project.settings?.trashRetentionDays ?? 30)) {
+                        handleUpdateSettings({ ...settings, trashRetentionDays: Number(e.target.value) });
+                      }
+                    }}
+                    disabled={saving}
+                  />
+                </div>
               </Card.Body>
             </Card>
           )}
 
+          {/* Task Workflow */}
+          {can(PERMISSIONS.MANAGE_PROJECT) && (
+            <WorkflowSettings
+              project={project}
+              projectId={projectId}
+              onProjectUpdated={onProjectUpdated}
+            />
+          )}
+
+          {/* Sprints & Milestones */}
+          {can(PERMISSIONS.MANAGE_SPRINTS) && (
+            <SprintSettings
+              project={project}
+              projectId={projectId}
+              onProjectUpdated={onProjectUpdated}
+            />
+          )}
+
+          {/* Trash */}
+          {can(PERMISSIONS.DELETE_TASKS) && (
+            <TrashSettings
+              project={project}
+              projectId={projectId}
+              onProjectUpdated={onProjectUpdated}
+            />
+          )}
+
+          {/* Templates */}
+          {can(PERMISSIONS.MANAGE_TEMPLATES) && (
+            <TemplateSettings
+              project={project}
+              projectId={projectId}
+            />
+          )}
+
+          {/* Task Labels */}
+          {can(PERMISSIONS.MANAGE_LABELS) && (
+            <LabelSettings
+              project={project}
+              projectId={projectId}
+              onProjectUpdated={onProjectUpdated}
+            />
+          )}
+
+          {/* Roles & Permissions */}
+          {can(PERMISSIONS.MANAGE_ROLES) && (
+            <RoleSettings
+              projectId={projectId}
+              onProjectUpdated={onProjectUpdated}
+            />
+          )}
+
+          {/* Activity Log */}
+          <ProjectActivityLog project={project} projectId={projectId} />
 
           {/* Project Management */}
           <Card className="mb-4">
@@ -228,6 +484,55 @@ export default function ProjectSettings({
               <h5 className="mb-0">Project Management</h5>
             </Card.Header>
             <Card.Body>
+              {isPendingOwner && (
+                <Alert variant="info" className="d-flex justify-content-between align-items-center">
+                  <span>{getMemberName(ownerId) || 'The project owner'} wants to make you the owner of this project.</span>
+                  <div className="d-flex">
+                    <Button variant="primary" size="sm" className="me-2" onClick={handleAcceptTransfer} disabled={loading}>
+                      Accept Ownership
+                    </Button>
+                    <Button variant="outline-secondary" size="sm" onClick={handleCancelTransfer} disabled={loading}>
+                      Decline
+                    </Button>
+                  </div>
+                </Alert>
+              )}
+
+              {ownerId && (
+                <div className="d-flex justify-content-between align-items-center py-3 border-bottom">
+                  <div>
+                    <span className="fw-semibold">Project Owner</span>
+                    <span className="text-muted small ms-2">
+                      - {getMemberName(ownerId) || 'Former member'}
+                      {pendingOwnerId && ` (transfer to ${getMemberName(pendingOwnerId) || 'a former member'} pending)`}
+                    </span>
+                  </div>
+                  {isOwner && !pendingOwnerId && (
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      onClick={openTransferModal}
+                      disabled={loading || transferCandidates.length === 0}
+                      title={transferCandidates.length === 0 ? 'Make another member an administrator first' : undefined}
+                      style={{ minWidth: '80px' }}
+                    >
+                      Transfer
+                    </Button>
+                  )}
+                  {isOwner && pendingOwnerId && (
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      onClick={handleCancelTransfer}
+                      disabled={loading}
+                      style={{ minWidth: '80px' }}
+                    >
+                      Cancel Transfer
+                    </Button>
+                  )}
+                </div>
+              )}
+
               <div className="d-flex justify-content-between align-items-center py-3 border-bottom">
                 <div>
                   <span className="fw-semibold">Leave Project</span>
@@ -244,7 +549,25 @@ export default function ProjectSettings({
                 </Button>
               </div>
 
-              {isProjectManager() && (
+              {can(PERMISSIONS.MANAGE_PROJECT) && (
+                <div className="d-flex justify-content-between align-items-center py-3 border-bottom">
+                  <div>
+                    <span className="fw-semibold">Clone Project</span>
+                    <span className="text-muted small ms-2">- Start a new project with these settings and tasks, without the members</span>
+                  </div>
+                  <Button
+                    variant="outline-secondary"
+                    size="sm"
+                    onClick={openCloneModal}
+                    disabled={loading}
+                    style={{ minWidth: '80px' }}
+                  >
+                    Clone
+                  </Button>
+                </div>
+              )}
+
+              {can(PERMISSIONS.DELETE_PROJECT) && (
                 <div className="d-flex justify-content-between align-items-center py-3">
                   <div>
                     <span className="fw-semibold">Delete Project</span>
@@ -290,6 +613,93 @@ export default function ProjectSettings({
 
 
 
+      {/* Clone Project Modal */}
+      <Modal show={showCloneModal} onHide={() => setShowCloneModal(false)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Clone Project</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p className="text-muted small">
+            You will be the owner and only member of the copy. Invite links, members, sprints and archived tasks are not copied.
+          </p>
+          <Form.Group className="mb-3" controlId="cloneProjectName">
+            <Form.Label>Project Name</Form.Label>
+            <Form.Control
+              type="text"
+              value={cloneOptions.projectName}
+              onChange={(e) => setCloneOptions({ ...cloneOptions, projectName: e.target.value })}
+            />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="cloneDeadlineShift">
+            <Form.Label>Shift deadlines by (days)</Form.Label>
+            <Form.Control
+              type="number"
+              step="1"
+              value={cloneOptions.deadlineShiftDays}
+              onChange={(e) => setCloneOptions({ ...cloneOptions, deadlineShiftDays: e.target.value })}
+            />
+          </Form.Group>
+          <Form.Check
+            type="checkbox"
+            id="cloneResetProgress"
+            label="Reset task progress"
+            checked={cloneOptions.resetProgress}
+            onChange={(e) => setCloneOptions({ ...cloneOptions, resetProgress: e.target.checked })}
+          />
+          <Form.Check
+            type="checkbox"
+            id="cloneClearAssignees"
+            label="Clear assignees"
+            checked={cloneOptions.clearAssignees}
+            onChange={(e) => setCloneOptions({ ...cloneOptions, clearAssignees: e.target.checked })}
+          />
+          <Form.Check
+            type="checkbox"
+            id="cloneIncludePinnedPosts"
+            label="Copy pinned posts"
+            checked={cloneOptions.includePinnedPosts}
+            onChange={(e) => setCloneOptions({ ...cloneOptions, includePinnedPosts: e.target.checked })}
+          />
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowCloneModal(false)}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleCloneProject} disabled={loading}>
+            {loading ? <Spinner size="sm" /> : 'Clone Project'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Transfer Ownership Modal */}
+      <Modal show={showTransferModal} onHide={() => setShowTransferModal(false)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Transfer Ownership</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p className="text-muted small">
+            The new owner has to accept before anything changes. You will stay an administrator and can leave the project afterwards.
+          </p>
+          <Form.Group controlId="transferNewOwner">
+            <Form.Label>New Owner</Form.Label>
+            <Form.Select value={newOwnerId} onChange={(e) => setNewOwnerId(e.target.value)}>
+              <option value="">Choose an administrator</option>
+              {transferCandidates.map(member => (
+                <option key={member.user._id} value={member.user._id}>{member.user.name}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowTransferModal(false)}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleRequestTransfer} disabled={loading || !newOwnerId}>
+            {loading ? <Spinner size="sm" /> : 'Request Transfer'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
       {/* Delete Project Modal */}
       <Modal show={showDeleteModal} onHide={() => setShowDeleteModal(false)}>
         <Modal.Header closeButton>
@@ -3,13 +3,17 @@ import { toast } from 'react-toastify';
 import AuthService from '../services/auth.service';
 import { Form, Button, Container, Row, Col, Card, Alert } from 'react-bootstrap';
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 
 export default function Register() {
+  // Invitation emails link here with the invited address filled in and the invitation's token
+  const [searchParams] = useSearchParams();
+  const invitedEmail = searchParams.get('email') || '';
+  const invitationToken = searchParams.get('invitation');
   const { register, handleSubmit } = useForm({
     defaultValues: {
       name: '',
-      email: '',
+      email: invitedEmail,
       password: '',
       confirmPassword: ''
     },
@@ -24,13 +28,19 @@ export default function Register() {
       return;
     }
     try {
-      const response = await AuthService.register(data.name, data.email, data.password);
+      const response = invitationToken
+        ? await AuthService.register(data.name, data.email, data.password, invitationToken)
+        : await AuthService.register(data.name, data.email, data.password);
       
       // Store user data in localStorage
       localStorage.setItem('user', JSON.stringify(response.data.user));
       
       // Show success toast and navigate
-      toast.success('Account created successfully! Setting up your workspace...', {
+      const joinedCount = response.data.joinedProjects?.length || 0;
+      const joinedMessage = joinedCount > 0
+        ? ` You've been added to ${joinedCount} project${joinedCount === 1 ? '' : 's'} you were invited to.`
+        : '';
+      toast.success(`Account created successfully!${joinedMessage} Setting up your workspace...`, {
         autoClose: 2500,
         onClose: () => navigate('/dashboard')
       });
@@ -51,6 +61,15 @@ export default function Register() {
           <Card>
             <Card.Body>
               <h2 className="mb-4 text-center">Register</h2>
+              {invitationToken ? (
+                <Alert variant="info">
+                  You've been invited to a project. Register to accept the invitation and join it.
+                </Alert>
+              ) : invitedEmail && (
+                <Alert variant="info">
+                  You've been invited to a project. Register with this email address to join it.
+                </Alert>
+              )}
               {passwordError && <Alert variant="danger">{passwordError}</Alert>}
               <Form onSubmit={handleSubmit(onSubmit)}>
                 <Form.Group className="mb-3" controlId="formName">
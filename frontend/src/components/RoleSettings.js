@@ -0,0 +1,220 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Button, Form, Table, Modal, Badge, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+
+const EMPTY_ROLE = { _id: null, roleName: '', permissions: [] };
+
+// Permissions arrive in editor order; keep that order inside each group
+const groupPermissions = (permissions) => permissions.reduce((groups, permission) => {
+  const group = groups.find(other => other.name === permission.group);
+  if (group) {
+    group.permissions.push(permission);
+  } else {
+    groups.push({ name: permission.group, permissions: [permission] });
+  }
+  return groups;
+}, []);
+
+export default function RoleSettings({ projectId, onProjectUpdated }) {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [editingRole, setEditingRole] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      const response = await ProjectService.getProjectRoles(projectId);
+      setRoles(response.data.roles || []);
+      setPermissions(response.data.permissions || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load roles');
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchRoles();
+  }, [fetchRoles]);
+
+  const togglePermission = (key) => {
+    const granted = editingRole.permissions.includes(key);
+    setEditingRole({
+      ...editingRole,
+      permissions: granted
+        ? editingRole.permissions.filter(permission => permission !== key)
+        : [...editingRole.permissions, key]
+    });
+  };
+
+  const handleSave = async () => {
+    if (!editingRole.roleName.trim()) {
+      toast.error('Give the role a name');
+      return;
+    }
+    const role = { roleName: editingRole.roleName.trim(), permissions: editingRole.permissions };
+    setSaving(true);
+    try {
+      if (editingRole._id) {
+        await ProjectService.updateRole(projectId, editingRole._id, role);
+        toast.success('Role updated');
+      } else {
+        await ProjectService.createRole(projectId, role);
+        toast.success('Role created');
+      }
+      setEditingRole(null);
+      await fetchRoles();
+      if (onProjectUpdated) onProjectUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the role "${role.roleName}"?`)) return;
+    setSaving(true);
+    try {
+      await ProjectService.deleteRole(projectId, role._id);
+      toast.success('Role deleted');
+      await fetchRoles();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const groups = groupPermissions(permissions);
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <div>
+          <h5 className="mb-0">Roles & Permissions</h5>
+          <small className="text-muted">Built-in roles are fixed; custom roles grant exactly the permissions you tick</small>
+        </div>
+        <Button
+          variant="outline-primary"
+          size="sm"
+          onClick={() => setEditingRole(EMPTY_ROLE)}
+          disabled={saving}
+        >
+          + New Role
+        </Button>
+      </Card.Header>
+      <Card.Body>
+        {roles.length > 0 ? (
+          <Table responsive size="sm" className="align-middle mb-0" aria-label="Permission matrix">
+            <thead className="table-light">
+              <tr>
+                <th>Permission</th>
+                {roles.map(role => (
+                  <th key={role._id} className="text-center">
+                    <div>{role.roleName}</div>
+                    {role.builtIn ? (
+                      <Badge bg="secondary">Built-in</Badge>
+                    ) : (
+                      <div className="d-flex justify-content-center gap-1">
+                        <Button
+                          variant="link"
+                          size="sm"
+                          className="p-0"
+                          onClick={() => setEditingRole({ _id: role._id, roleName: role.roleName, permissions: role.permissions })}
+                          disabled={saving}
+                          aria-label={`Edit ${role.roleName}`}
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          variant="link"
+                          size="sm"
+                          className="p-0 text-danger"
+                          onClick={() => handleDelete(role)}
+                          disabled={saving}
+                          aria-label={`Delete ${role.roleName}`}
+                        >
+                          Delete
+                        </Button>
+                      </div>
+                    )}
+                    <div className="text-muted small">
+                      {role.memberCount} member{role.memberCount === 1 ? '' : 's'}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map(group => [
+                <tr key={group.name} className="table-secondary">
+                  <td colSpan={roles.length + 1} className="fw-semibold small">{group.name}</td>
+                </tr>,
+                ...group.permissions.map(permission => (
+                  <tr key={permission.key}>
+                    <td className="small">{permission.label}</td>
+                    {roles.map(role => (
+                      <td key={role._id} className="text-center">
+                        {role.permissions.includes(permission.key) ? (
+                          <span className="text-success" title={`${role.roleName} can ${permission.label.toLowerCase()}`}>✓</span>
+                        ) : (
+                          <span className="text-muted">–</span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))
+              ])}
+            </tbody>
+          </Table>
+        ) : (
+          <p className="text-muted small mb-0">Loading roles…</p>
+        )}
+      </Card.Body>
+
+      <Modal show={!!editingRole} onHide={() => setEditingRole(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>{editingRole?._id ? 'Edit Role' : 'New Role'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {editingRole && (
+            <>
+              <Form.Group className="mb-3" controlId="roleName">
+                <Form.Label>Role Name</Form.Label>
+                <Form.Control
+                  value={editingRole.roleName}
+                  maxLength={40}
+                  placeholder="e.g. QA Lead"
+                  onChange={e => setEditingRole({ ...editingRole, roleName: e.target.value })}
+                />
+              </Form.Group>
+              {groups.map(group => (
+                <fieldset key={group.name} className="mb-3">
+                  <legend className="fs-6 fw-semibold">{group.name}</legend>
+                  {group.permissions.map(permission => (
+                    <Form.Check
+                      key={permission.key}
+                      type="checkbox"
+                      id={`permission-${permission.key}`}
+                      label={permission.label}
+                      checked={editingRole.permissions.includes(permission.key)}
+                      onChange={() => togglePermission(permission.key)}
+                    />
+                  ))}
+                </fieldset>
+              ))}
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setEditingRole(null)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSave} disabled={saving}>
+            {saving ? <Spinner size="sm" /> : 'Save Role'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Card>
+  );
+}
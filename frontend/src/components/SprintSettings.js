@@ -0,0 +1,191 @@
+import { useState } from 'react';
+import { Card, Button, Form, ListGroup, Row, Col, Badge, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+import { SPRINT_STATUSES, getOpenSprints, getSprintTasks } from '../utils/sprints';
+import { toDay } from '../utils/timeline';
+
+const EMPTY_SPRINT = { name: '', kind: 'sprint', goal: '', startDate: '', endDate: '' };
+
+export default function SprintSettings({ project, projectId, onProjectUpdated }) {
+  const [form, setForm] = useState(EMPTY_SPRINT);
+  const [carryOver, setCarryOver] = useState({}); // sprint ID -> target sprint ID ('' for the backlog)
+  const [busy, setBusy] = useState(false);
+
+  const sprints = project?.sprints || [];
+  const tasks = project?.tasks || [];
+
+  const run = async (action, successMessage, failureMessage) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      toast.success(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      onProjectUpdated();
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || failureMessage);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || !form.startDate || !form.endDate) {
+      toast.error('Name, start date and end date are required');
+      return;
+    }
+    const created = await run(
+      () => ProjectService.createSprint(projectId, form),
+      `${form.kind === 'milestone' ? 'Milestone' : 'Sprint'} created successfully`,
+      'Failed to create sprint'
+    );
+    if (created) setForm(EMPTY_SPRINT);
+  };
+
+  const handleClose = (sprint) => run(
+    () => ProjectService.closeSprint(projectId, sprint._id, carryOver[sprint._id] || null),
+    (response) => `Sprint closed; ${response?.data?.carriedOver || 0} unfinished task(s) carried over`,
+    'Failed to close sprint'
+  );
+
+  const handleDelete = (sprint) => {
+    if (!window.confirm(`Delete "${sprint.name}"? Its tasks will move back to the backlog.`)) return;
+    run(() => ProjectService.deleteSprint(projectId, sprint._id), 'Sprint deleted successfully', 'Failed to delete sprint');
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h5 className="mb-0">Sprints &amp; Milestones</h5>
+        <small className="text-muted">Unfinished tasks move on when a sprint closes</small>
+      </Card.Header>
+      <Card.Body>
+        {sprints.length > 0 ? (
+          <ListGroup className="mb-3">
+            {sprints.map(sprint => {
+              const status = SPRINT_STATUSES[sprint.status] || SPRINT_STATUSES.planned;
+              const targets = getOpenSprints(sprints).filter(other => other._id !== sprint._id);
+              return (
+                <ListGroup.Item key={sprint._id} data-testid={`sprint-${sprint._id}`}>
+                  <div className="d-flex justify-content-between align-items-start">
+                    <div>
+                      <strong>{sprint.name}</strong>{' '}
+                      <Badge bg="light" text="dark">{sprint.kind === 'milestone' ? 'Milestone' : 'Sprint'}</Badge>{' '}
+                      <Badge bg={status.bg}>{status.label}</Badge>
+                      <div className="small text-muted">
+                        {toDay(sprint.startDate).format('MMM D')} – {toDay(sprint.endDate).format('MMM D, YYYY')}
+                        {' · '}{getSprintTasks(tasks, sprint._id).length} task(s)
+                        {sprint.status === 'closed' && ` · ${(sprint.completedTasks || []).length} of ${(sprint.committedTasks || []).length} committed done`}
+                      </div>
+                      {sprint.goal && <div className="small">{sprint.goal}</div>}
+                    </div>
+                    <div className="d-flex gap-2 align-items-center">
+                      {sprint.status === 'planned' && (
+                        <Button
+                          variant="outline-success"
+                          size="sm"
+                          disabled={busy}
+                          onClick={() => run(() => ProjectService.startSprint(projectId, sprint._id), 'Sprint started', 'Failed to start sprint')}
+                        >
+                          Start
+                        </Button>
+                      )}
+                      {sprint.status === 'active' && (
+                        <>
+                          <Form.Select
+                            size="sm"
+                            value={carryOver[sprint._id] || ''}
+                            onChange={e => setCarryOver({ ...carryOver, [sprint._id]: e.target.value })}
+                            aria-label={`Move unfinished tasks of ${sprint.name} to`}
+                          >
+                            <option value="">Unfinished to backlog</option>
+                            {targets.map(target => (
+                              <option key={target._id} value={target._id}>Unfinished to {target.name}</option>
+                            ))}
+                          </Form.Select>
+                          <Button variant="outline-dark" size="sm" disabled={busy} onClick={() => handleClose(sprint)}>
+                            Close
+                          </Button>
+                        </>
+                      )}
+                      <Button
+                        variant="link"
+                        size="sm"
+                        className="p-0 text-danger"
+                        disabled={busy}
+                        onClick={() => handleDelete(sprint)}
+                        aria-label={`Delete ${sprint.name}`}
+                      >
+                        ✕
+                      </Button>
+                    </div>
+                  </div>
+                </ListGroup.Item>
+              );
+            })}
+          </ListGroup>
+        ) : (
+          <p className="text-muted small">No sprints yet. Plan one to group tasks into iterations.</p>
+        )}
+        <Form onSubmit={handleCreate}>
+          <Row className="g-2 align-items-end">
+            <Col md={3}>
+              <Form.Control
+                size="sm"
+                value={form.name}
+                placeholder="Sprint name"
+                aria-label="Sprint name"
+                onChange={e => setForm({ ...form, name: e.target.value })}
+              />
+            </Col>
+            <Col md={2}>
+              <Form.Select
+                size="sm"
+                value={form.kind}
+                aria-label="Sprint type"
+                onChange={e => setForm({ ...form, kind: e.target.value })}
+              >
+                <option value="sprint">Sprint</option>
+                <option value="milestone">Milestone</option>
+              </Form.Select>
+            </Col>
+            <Col md={2}>
+              <Form.Control
+                type="date"
+                size="sm"
+                value={form.startDate}
+                aria-label="Sprint start date"
+                onChange={e => setForm({ ...form, startDate: e.target.value })}
+              />
+            </Col>
+            <Col md={2}>
+              <Form.Control
+                type="date"
+                size="sm"
+                value={form.endDate}
+                aria-label="Sprint end date"
+                onChange={e => setForm({ ...form, endDate: e.target.value })}
+              />
+            </Col>
+            <Col md={3}>
+              <Form.Control
+                size="sm"
+                value={form.goal}
+                placeholder="Goal (optional)"
+                aria-label="Sprint goal"
+                onChange={e => setForm({ ...form, goal: e.target.value })}
+              />
+            </Col>
+          </Row>
+          <div className="d-flex justify-content-end mt-2">
+            <Button type="submit" variant="primary" size="sm" disabled={busy}>
+              {busy ? <Spinner size="sm" /> : '+ Add Sprint'}
+            </Button>
+          </div>
+        </Form>
+      </Card.Body>
+    </Card>
+  );
+}
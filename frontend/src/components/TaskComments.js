@@ -0,0 +1,194 @@
+import { useEffect, useState } from 'react';
+import { Form, Button, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import moment from 'moment';
+import ProjectService from '../services/project.service';
+
+export default function TaskComments({ projectId, taskId, currentUser }) {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newComment, setNewComment] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [replyContent, setReplyContent] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    ProjectService.getTaskComments(projectId, taskId)
+      .then(response => {
+        if (!cancelled) setComments(response.data.comments || []);
+      })
+      .catch(() => {
+        if (!cancelled) toast.error('Failed to load comments.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, taskId]);
+
+  // Posts a comment, or a reply when parentCommentId is given
+  const submitComment = async (content, parentCommentId = null) => {
+    setSubmitting(true);
+    try {
+      const response = await ProjectService.addTaskComment(projectId, taskId, content.trim(), parentCommentId);
+      setComments(prev => [...prev, response.data.comment]);
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add comment');
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmitComment = async (e) => {
+    e.preventDefault();
+    if (!newComment.trim()) return;
+    if (await submitComment(newComment)) setNewComment('');
+  };
+
+  const handleSubmitReply = async (e, parentCommentId) => {
+    e.preventDefault();
+    if (!replyContent.trim()) return;
+    if (await submitComment(replyContent, parentCommentId)) {
+      setReplyContent('');
+      setReplyingTo(null);
+    }
+  };
+
+  const handleDeleteComment = async (commentId) => {
+    if (!window.confirm('Are you sure you want to delete this comment? Its replies will be deleted too; administrators can restore them from the trash.')) return;
+
+    try {
+      await ProjectService.deleteTaskComment(projectId, taskId, commentId);
+      setComments(prev => prev.filter(comment => comment._id !== commentId && comment.parentComment !== commentId));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  const handleToggleLike = async (commentId) => {
+    try {
+      const response = await ProjectService.toggleTaskCommentLike(projectId, taskId, commentId);
+      const { likesCount, userHasLiked } = response.data;
+      setComments(prev => prev.map(comment => (
+        comment._id === commentId ? { ...comment, likesCount, userHasLiked } : comment
+      )));
+    } catch (err) {
+      toast.error('Failed to update like');
+    }
+  };
+
+  const mainComments = comments.filter(comment => !comment.parentComment);
+  const getReplies = (commentId) => comments.filter(comment => comment.parentComment === commentId);
+
+  const renderComment = (comment, isReply = false) => {
+    const authorName = comment.author?.name || 'Unknown User';
+    const isAuthor = currentUser && comment.author?._id === currentUser._id;
+
+    return (
+      <div key={comment._id} className={isReply ? 'ms-4 mt-2' : 'mb-2'}>
+        <div className="bg-light rounded p-2">
+          <div className="d-flex justify-content-between align-items-start">
+            <div>
+              <strong className="text-primary small">{authorName}</strong>
+              <small className="text-muted ms-2">{moment(comment.createdAt).fromNow()}</small>
+            </div>
+            {isAuthor && (
+              <Button
+                variant="link"
+                size="sm"
+                className="p-0 text-danger text-decoration-none"
+                aria-label={`Delete comment by ${authorName}`}
+                onClick={() => handleDeleteComment(comment._id)}
+              >
+                ✕
+              </Button>
+            )}
+          </div>
+          <p className="mb-0 small" style={{ whiteSpace: 'pre-wrap' }}>{comment.content}</p>
+        </div>
+        <div className="mt-1">
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0 me-3 text-decoration-none"
+            style={{ fontSize: '0.75rem', color: comment.userHasLiked ? '#ef4444' : '#6b7280' }}
+            aria-label={`Like comment by ${authorName}`}
+            aria-pressed={!!comment.userHasLiked}
+            onClick={() => handleToggleLike(comment._id)}
+          >
+            {comment.userHasLiked ? '♥' : '♡'} {comment.likesCount || 0}
+          </Button>
+          {!isReply && (
+            <Button
+              variant="link"
+              size="sm"
+              className="text-muted p-0 text-decoration-none"
+              style={{ fontSize: '0.75rem' }}
+              onClick={() => {
+                setReplyingTo(replyingTo === comment._id ? null : comment._id);
+                setReplyContent('');
+              }}
+            >
+              Reply
+            </Button>
+          )}
+        </div>
+
+        {replyingTo === comment._id && (
+          <Form onSubmit={e => handleSubmitReply(e, comment._id)} className="ms-4 mt-2 d-flex">
+            <Form.Control
+              size="sm"
+              placeholder="Write a reply..."
+              aria-label={`Reply to ${authorName}`}
+              value={replyContent}
+              onChange={e => setReplyContent(e.target.value)}
+              disabled={submitting}
+            />
+            <Button type="submit" size="sm" className="ms-2" disabled={!replyContent.trim() || submitting}>
+              Reply
+            </Button>
+          </Form>
+        )}
+
+        {!isReply && getReplies(comment._id).map(reply => renderComment(reply, true))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="mb-3">
+      <strong>Comments ({comments.length}):</strong>
+      {loading ? (
+        <div className="mt-1"><Spinner animation="border" size="sm" /></div>
+      ) : (
+        <div className="mt-2">
+          {mainComments.length > 0
+            ? mainComments.map(comment => renderComment(comment))
+            : <p className="text-muted small mb-2">No comments yet. Start the discussion!</p>}
+          <Form onSubmit={handleSubmitComment} className="d-flex mt-2">
+            <Form.Control
+              size="sm"
+              as="textarea"
+              rows={1}
+              placeholder="Write a comment..."
+              aria-label="New comment"
+              value={newComment}
+              onChange={e => setNewComment(e.target.value)}
+              disabled={submitting}
+              style={{ resize: 'none' }}
+            />
+            <Button type="submit" size="sm" className="ms-2 text-nowrap" disabled={!newComment.trim() || submitting}>
+              Post
+            </Button>
+          </Form>
+        </div>
+      )}
+    </div>
+  );
+}
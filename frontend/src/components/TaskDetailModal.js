@@ -1,18 +1,79 @@
-import { Modal, Button, Badge } from 'react-bootstrap';
+import { useState } from 'react';
+import { Modal, Button, Badge, ListGroup } from 'react-bootstrap';
 import moment from 'moment';
+import { DEFAULT_WORKFLOW, getStatusBadgeProps, isDoneStatus } from '../utils/workflow';
+import { getPriority, formatEstimate, getTaskLabels, getLabelBadgeStyle } from '../utils/taskAttributes';
+import { hasRecurrence, describeRecurrence } from '../utils/recurrence';
+import ChecklistSection from './ChecklistSection';
+import TaskHistoryTimeline from './TaskHistoryTimeline';
+import TaskComments from './TaskComments';
 
-export default function TaskDetailModal({ show, onHide, task }) {
-  const getStatusBadgeVariant = (status) => {
-    switch (status) {
-    case 'Completed':
-      return 'success';
-    case 'In Progress':
-      return 'warning';
-    case 'To Do':
-    default:
-      return 'danger';
-    }
-  };
+const getSubtasksOf = (task, tasks) => {
+  return (tasks || []).filter(t => t.parentTask && t.parentTask === task._id);
+};
+
+// One node of the collapsible subtask tree
+function SubtaskNode({ task, tasks, workflow }) {
+  const [expanded, setExpanded] = useState(false);
+  const children = getSubtasksOf(task, tasks);
+
+  return (
+    <ListGroup.Item className="px-2 py-1">
+      <div className="d-flex align-items-center">
+        {children.length > 0 ? (
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0 me-2 text-decoration-none"
+            onClick={() => setExpanded(!expanded)}
+            aria-expanded={expanded}
+          >
+            {expanded ? '▾' : '▸'}
+          </Button>
+        ) : (
+          <span className="me-2 text-muted">•</span>
+        )}
+        <span className="flex-grow-1">{task.taskName}</span>
+        <Badge {...getStatusBadgeProps(workflow, task.taskProgress)}>{task.taskProgress}</Badge>
+      </div>
+      {expanded && children.length > 0 && (
+        <ListGroup variant="flush" className="ms-4">
+          {children.map(child => (
+            <SubtaskNode key={child._id} task={child} tasks={tasks} workflow={workflow} />
+          ))}
+        </ListGroup>
+      )}
+    </ListGroup.Item>
+  );
+}
+
+export default function TaskDetailModal({
+  show,
+  onHide,
+  task,
+  tasks,
+  workflow = DEFAULT_WORKFLOW,
+  labels = [],
+  estimateUnit = 'points',
+  projectId,
+  members = [],
+  canEditChecklist = false,
+  onTaskUpdated,
+  currentUser
+}) {
+  const [showSubtasks, setShowSubtasks] = useState(true);
+
+  const subtasks = task ? getSubtasksOf(task, tasks) : [];
+  const parentTask = task?.parentTask
+    ? (tasks || []).find(t => t._id === task.parentTask)
+    : null;
+  const blockers = task
+    ? (tasks || []).filter(t => (task.blockedBy || []).includes(t._id))
+    : [];
+  const taskLabels = getTaskLabels(task, labels);
+  const blockedTasks = task
+    ? (tasks || []).filter(t => (t.blockedBy || []).includes(task._id))
+    : [];
 
   const formatDate = (dateString) => {
     return moment(dateString).format('MMMM Do, YYYY');
@@ -30,11 +91,48 @@ export default function TaskDetailModal({ show, onHide, task }) {
             
             <div className="mb-3">
               <strong>Status:</strong>{' '}
-              <Badge bg={getStatusBadgeVariant(task.taskProgress)}>
+              <Badge {...getStatusBadgeProps(workflow, task.taskProgress)}>
                 {task.taskProgress}
               </Badge>
             </div>
 
+            <div className="mb-3">
+              <strong>Priority:</strong>{' '}
+              <Badge bg={getPriority(task.priority).bg}>{getPriority(task.priority).label}</Badge>
+            </div>
+
+            {taskLabels.length > 0 && (
+              <div className="mb-3">
+                <strong>Labels:</strong>{' '}
+                {taskLabels.map(label => (
+                  <Badge key={label._id} bg="" className="me-1" style={getLabelBadgeStyle(label.color)}>
+                    {label.name}
+                  </Badge>
+                ))}
+              </div>
+            )}
+
+            {formatEstimate(task.estimate, estimateUnit) && (
+              <div className="mb-3">
+                <strong>Estimate:</strong>{' '}
+                <span className="text-muted">{formatEstimate(task.estimate, estimateUnit)}</span>
+              </div>
+            )}
+
+            {hasRecurrence(task) && (
+              <div className="mb-3">
+                <strong>Recurrence:</strong>{' '}
+                <span className="text-muted">{describeRecurrence(task.recurrence)}</span>
+              </div>
+            )}
+
+            {task.taskStartDate && (
+              <div className="mb-3">
+                <strong>Start date:</strong>{' '}
+                <span className="text-muted">{formatDate(task.taskStartDate)}</span>
+              </div>
+            )}
+
             <div className="mb-3">
               <strong>Deadline:</strong>{' '}
               <span className="text-muted">
@@ -49,6 +147,14 @@ export default function TaskDetailModal({ show, onHide, task }) {
               </div>
             )}
 
+            <ChecklistSection
+              task={task}
+              projectId={projectId}
+              members={members}
+              canEdit={canEditChecklist}
+              onChecklistUpdated={onTaskUpdated}
+            />
+
             {task.taskCreator && (
               <div className="mb-3">
                 <strong>Created by:</strong>{' '}
@@ -56,15 +162,99 @@ export default function TaskDetailModal({ show, onHide, task }) {
               </div>
             )}
 
-            {task.taskAssignee && (
+            {(task.taskAssignees || []).length > 0 && (
               <div className="mb-3">
                 <strong>Assigned to:</strong>{' '}
-                <span className="text-muted">{task.taskAssignee.name}</span>
+                <span className="text-muted">{task.taskAssignees.map(assignee => assignee.name).join(', ')}</span>
+              </div>
+            )}
+
+            {(task.taskWatchers || []).length > 0 && (
+              <div className="mb-3">
+                <strong>Watched by:</strong>{' '}
+                <span className="text-muted">{task.taskWatchers.map(watcher => watcher.name).join(', ')}</span>
+              </div>
+            )}
+
+            {parentTask && (
+              <div className="mb-3">
+                <strong>Subtask of:</strong>{' '}
+                <span className="text-muted">{parentTask.taskName}</span>
+              </div>
+            )}
+
+            {blockers.length > 0 && (
+              <div className="mb-3">
+                <strong>Blocked by:</strong>
+                <ListGroup variant="flush" className="mt-1">
+                  {blockers.map(blocker => (
+                    <ListGroup.Item key={blocker._id} className="px-2 py-1 d-flex align-items-center">
+                      <span className="flex-grow-1">{blocker.taskName}</span>
+                      <small className="text-muted me-2">due {formatDate(blocker.taskDeadline)}</small>
+                      <Badge {...getStatusBadgeProps(workflow, blocker.taskProgress)}>{blocker.taskProgress}</Badge>
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+              </div>
+            )}
+
+            {blockedTasks.length > 0 && (
+              <div className="mb-3">
+                <strong>Blocking:</strong>
+                <ListGroup variant="flush" className="mt-1">
+                  {blockedTasks.map(blocked => (
+                    <ListGroup.Item key={blocked._id} className="px-2 py-1 d-flex align-items-center">
+                      <span className="flex-grow-1">{blocked.taskName}</span>
+                      <Badge {...getStatusBadgeProps(workflow, blocked.taskProgress)}>{blocked.taskProgress}</Badge>
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+              </div>
+            )}
+
+            {subtasks.length > 0 && (
+              <div className="mb-3">
+                <Button
+                  variant="link"
+                  className="p-0 text-decoration-none fw-bold text-dark"
+                  onClick={() => setShowSubtasks(!showSubtasks)}
+                  aria-expanded={showSubtasks}
+                >
+                  {showSubtasks ? '▾' : '▸'} Subtasks ({subtasks.filter(t => isDoneStatus(workflow, t.taskProgress)).length}/{subtasks.length} completed)
+                </Button>
+                {showSubtasks && (
+                  <ListGroup variant="flush" className="mt-2">
+                    {subtasks.map(subtask => (
+                      <SubtaskNode key={subtask._id} task={subtask} tasks={tasks} workflow={workflow} />
+                    ))}
+                  </ListGroup>
+                )}
+              </div>
+            )}
+
+            {projectId && (
+              <TaskComments projectId={projectId} taskId={task._id} currentUser={currentUser} />
+            )}
+
+            {projectId && (
+              <TaskHistoryTimeline
+                projectId={projectId}
+                task={task}
+                members={members}
+                labels={labels}
+                estimateUnit={estimateUnit}
+              />
+            )}
+
+            {/* Warn when the task is due before work it depends on */}
+            {blockers.some(blocker => new Date(blocker.taskDeadline) > new Date(task.taskDeadline)) && (
+              <div className="alert alert-warning mb-3">
+                <strong>⚠️ Schedule conflict:</strong> This task is due before a task that blocks it.
               </div>
             )}
 
             {/* Show overdue warning if task is past deadline and not completed */}
-            {task.taskProgress !== 'Completed' && 
+            {!isDoneStatus(workflow, task.taskProgress) && 
              new Date(task.taskDeadline) < new Date() && (
               <div className="alert alert-warning mb-0">
                 <strong>⚠️ Overdue:</strong> This task is past its deadline.
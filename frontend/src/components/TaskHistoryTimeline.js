@@ -0,0 +1,108 @@
+import { useEffect, useState } from 'react';
+import { Spinner } from 'react-bootstrap';
+import moment from 'moment';
+import ProjectService from '../services/project.service';
+import { getPriority, formatEstimate } from '../utils/taskAttributes';
+import { describeRecurrence } from '../utils/recurrence';
+
+const FIELD_LABELS = {
+  taskName: 'Name',
+  taskDescription: 'Description',
+  taskStartDate: 'Start date',
+  taskDeadline: 'Deadline',
+  taskProgress: 'Status',
+  taskAssignees: 'Assignees',
+  priority: 'Priority',
+  labels: 'Labels',
+  estimate: 'Estimate',
+  recurrence: 'Recurrence'
+};
+
+const isEmptyValue = (value) => {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+};
+
+export default function TaskHistoryTimeline({ projectId, task, members = [], labels = [], estimateUnit = 'points' }) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(false);
+
+  // Reload whenever the task changes so new edits show up straight away
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(false);
+    ProjectService.getTaskHistory(projectId, task._id)
+      .then(response => {
+        if (!cancelled) setHistory(response.data.history || []);
+      })
+      .catch(() => {
+        if (!cancelled) setError(true);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, task]);
+
+  const getMemberName = (userId) => {
+    const member = members.find(m => m.user._id === userId);
+    return member ? member.user.name : 'Former member';
+  };
+
+  const getLabelName = (labelId) => {
+    const label = labels.find(l => l._id === labelId);
+    return label ? label.name : 'Deleted label';
+  };
+
+  // Shows a stored value the way the task details show the field
+  const formatValue = (field, value) => {
+    if (isEmptyValue(value)) return 'none';
+    switch (field) {
+    case 'taskStartDate':
+    case 'taskDeadline':
+      return moment(value).format('MMM D, YYYY');
+    case 'taskAssignees':
+      return value.map(getMemberName).join(', ');
+    case 'labels':
+      return value.map(getLabelName).join(', ');
+    case 'priority':
+      return getPriority(value).label;
+    case 'estimate':
+      return formatEstimate(value, estimateUnit);
+    case 'recurrence':
+      return describeRecurrence(value) || 'none';
+    default:
+      return String(value);
+    }
+  };
+
+  return (
+    <div className="mb-3">
+      <strong>History:</strong>
+      {loading ? (
+        <div className="mt-1"><Spinner animation="border" size="sm" /></div>
+      ) : error ? (
+        <p className="mt-1 mb-0 text-muted small">Could not load the task history.</p>
+      ) : history.length === 0 ? (
+        <p className="mt-1 mb-0 text-muted small">No changes recorded yet.</p>
+      ) : (
+        <ul className="list-unstyled mt-2 mb-0 ms-1 ps-3 border-start" aria-label="Task history">
+          {history.map(entry => (
+            <li key={entry._id} className="mb-2 small">
+              <div>
+                <span className="fw-semibold">{entry.changedBy?.name || 'Unknown user'}</span>
+                <span className="text-muted"> · {moment(entry.timestamp).format('MMM D, YYYY h:mm A')}</span>
+              </div>
+              <div className="text-muted">
+                {FIELD_LABELS[entry.field] || entry.field}: {formatValue(entry.field, entry.oldValue)} → {formatValue(entry.field, entry.newValue)}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
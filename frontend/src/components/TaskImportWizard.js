@@ -0,0 +1,249 @@
+import { useState } from 'react';
+import { Modal, Button, Form, Row, Col, Table, Badge, Alert, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import moment from 'moment';
+import ProjectService from '../services/project.service';
+
+// Task fields a column can fill, in the order they are shown
+const IMPORT_FIELDS = [
+  { field: 'taskName', label: 'Task name', required: true },
+  { field: 'taskDeadline', label: 'Deadline', required: true },
+  { field: 'taskDescription', label: 'Description' },
+  { field: 'taskStartDate', label: 'Start date' },
+  { field: 'taskAssignees', label: 'Assignee emails' },
+  { field: 'priority', label: 'Priority' },
+  { field: 'labels', label: 'Labels' },
+  { field: 'estimate', label: 'Estimate' },
+  { field: 'taskProgress', label: 'Status' }
+];
+
+// Imported dates are whole days stored at midnight UTC
+const formatDate = (date) => (date ? moment.utc(date).format('YYYY-MM-DD') : '');
+
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+export default function TaskImportWizard({ show, onHide, projectId, onImported }) {
+  const [format, setFormat] = useState('csv');
+  const [content, setContent] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [dateFormat, setDateFormat] = useState('DMY');
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [working, setWorking] = useState(false);
+
+  const reset = () => {
+    setFormat('csv');
+    setContent('');
+    setFileName('');
+    setDateFormat('DMY');
+    setPreview(null);
+    setMapping({});
+  };
+
+  const handleHide = () => {
+    reset();
+    onHide();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setContent(await readFile(file));
+      setFileName(file.name);
+      setFormat(file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+      setPreview(null);
+      setMapping({});
+    } catch (err) {
+      toast.error('Could not read the file');
+    }
+  };
+
+  const sendImport = (dryRun, fieldMapping) => ProjectService.importTasks(projectId, {
+    format,
+    content,
+    dateFormat,
+    dryRun,
+    ...(fieldMapping ? { mapping: fieldMapping } : {})
+  });
+
+  // Every field is sent once a preview exists so clearing a column is kept
+  const currentMapping = () => (preview
+    ? Object.fromEntries(IMPORT_FIELDS.map(({ field }) => [field, mapping[field] || '']))
+    : null);
+
+  const handlePreview = async () => {
+    if (!content.trim()) {
+      toast.error('Choose a file or paste the tasks to import');
+      return;
+    }
+    setWorking(true);
+    try {
+      const response = await sendImport(true, currentMapping());
+      setPreview(response.data);
+      setMapping(response.data.mapping);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to read the tasks');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    try {
+      const response = await sendImport(false, currentMapping());
+      toast.success(response.data.message);
+      reset();
+      onHide();
+      await onImported();
+    } catch (err) {
+      if (err.response?.data?.rows) {
+        setPreview(err.response.data);
+      }
+      toast.error(err.response?.data?.message || 'Failed to import tasks');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={handleHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Import Tasks</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p className="text-muted small">
+          Upload a CSV or JSON file with one task per row. Assignees are matched to project members by email, and
+          nothing is imported until every row is valid.
+        </p>
+        <Row className="g-3 mb-3">
+          <Col md={5}>
+            <Form.Group controlId="importFile">
+              <Form.Label>File</Form.Label>
+              <Form.Control type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} />
+              {fileName && <Form.Text>{fileName}</Form.Text>}
+            </Form.Group>
+          </Col>
+          <Col md={3}>
+            <Form.Group controlId="importFormat">
+              <Form.Label>Format</Form.Label>
+              <Form.Select value={format} onChange={(e) => { setFormat(e.target.value); setPreview(null); }}>
+                <option value="csv">CSV</option>
+                <option value="json">JSON</option>
+              </Form.Select>
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group controlId="importDateFormat">
+              <Form.Label>Dates like 03/04/2025 are</Form.Label>
+              <Form.Select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+                <option value="DMY">Day / month / year</option>
+                <option value="MDY">Month / day / year</option>
+              </Form.Select>
+            </Form.Group>
+          </Col>
+        </Row>
+        <Form.Group className="mb-3" controlId="importContent">
+          <Form.Label>Or paste the tasks</Form.Label>
+          <Form.Control
+            as="textarea"
+            rows={4}
+            value={content}
+            placeholder={'Title,Deadline,Assignee\nSet up CI,30/09/2025,dev@example.com'}
+            onChange={(e) => { setContent(e.target.value); setFileName(''); setPreview(null); }}
+          />
+        </Form.Group>
+
+        {preview && (
+          <>
+            <h6>Columns</h6>
+            <Row className="g-2 mb-3">
+              {IMPORT_FIELDS.map(({ field, label, required }) => (
+                <Col md={4} key={field}>
+                  <Form.Group controlId={`importMapping-${field}`}>
+                    <Form.Label className="small mb-1">{label}{required && ' *'}</Form.Label>
+                    <Form.Select
+                      size="sm"
+                      value={mapping[field] || ''}
+                      onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })}
+                    >
+                      <option value="">Not imported</option>
+                      {preview.columns.map(column => (
+                        <option key={column} value={column}>{column}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              ))}
+            </Row>
+
+            {preview.invalid > 0 ? (
+              <Alert variant="warning" className="py-2">
+                {preview.invalid} of {preview.rows.length} rows have errors. Fix them in the file or change the columns, then preview again.
+              </Alert>
+            ) : (
+              <Alert variant="success" className="py-2">
+                All {preview.rows.length} rows are ready to import.
+              </Alert>
+            )}
+
+            <div style={{ maxHeight: '320px', overflowY: 'auto' }}>
+              <Table size="sm" bordered className="small mb-0">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Task</th>
+                    <th>Deadline</th>
+                    <th>Assignees</th>
+                    <th>Status</th>
+                    <th>Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(({ row, task, errors }) => (
+                    <tr key={row} data-testid={`import-row-${row}`} className={errors.length > 0 ? 'table-danger' : ''}>
+                      <td>{row}</td>
+                      <td>
+                        {task.taskName}
+                        {task.priority !== 'medium' && <Badge bg="light" text="dark" className="ms-1">{task.priority}</Badge>}
+                      </td>
+                      <td>{formatDate(task.taskDeadline)}</td>
+                      <td>{task.taskAssignees.map(user => user.name).join(', ')}</td>
+                      <td>{task.taskProgress}</td>
+                      <td>
+                        {errors.map(error => (
+                          <div key={error} className="text-danger">{error}</div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={handleHide}>
+          Cancel
+        </Button>
+        <Button variant="outline-primary" onClick={handlePreview} disabled={working}>
+          {preview ? 'Update preview' : 'Preview'}
+        </Button>
+        <Button
+          variant="primary"
+          onClick={handleImport}
+          disabled={working || !preview || preview.invalid > 0}
+        >
+          {working ? <Spinner size="sm" /> : (preview ? `Import ${preview.valid} task${preview.valid === 1 ? '' : 's'}` : 'Import tasks')}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
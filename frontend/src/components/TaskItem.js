@@ -2,24 +2,11 @@ import { useState } from 'react';
 import { ListGroup, Badge, Button, Form } from 'react-bootstrap';
 import { toast } from 'react-toastify';
 import ProjectService from '../services/project.service';
-
-const getStatusVariant = (status) => {
-  switch (status) {
-  case 'To Do': return 'danger'; // red
-  case 'In Progress': return 'warning'; // yellow
-  case 'Completed': return 'success'; // green
-  default: return 'secondary'; // grey, should never happen
-  }
-};
-
-const getStatusColor = (status) => {
-  switch (status) {
-  case 'To Do': return '#dc3545'; // Red
-  case 'In Progress': return '#ffc107'; // Yellow
-  case 'Completed': return '#28a745'; // Green
-  default: return '#6c757d'; // Gray
-  }
-};
+import { getProjectWorkflow, getStatusBadgeProps, getStatusColor, isDoneStatus } from '../utils/workflow';
+import { getPriority, getEstimateUnit, formatEstimate, getTaskLabels, getLabelBadgeStyle } from '../utils/taskAttributes';
+import { hasRecurrence, describeRecurrence } from '../utils/recurrence';
+import { getChecklistProgress } from '../utils/checklist';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 
 export default function TaskItem({ 
   task,
@@ -28,25 +15,54 @@ export default function TaskItem({
   isProjectManager,
   onTaskUpdated,
   onEditTask,
-  canEditTask
+  canEditTask,
+  onAddSubtask,
+  onTrackTime,
+  onViewTask,
+  currentUser,
+  selectedTaskIds,
+  onToggleSelect
 }) {
   const [assigningTask, setAssigningTask] = useState(false);
   const [taskAssignDropdown, setTaskAssignDropdown] = useState(false);
-  const [taskSelectedAssignee, setTaskSelectedAssignee] = useState('');
+  const [taskSelectedAssignees, setTaskSelectedAssignees] = useState([]);
+  const [updatingWatch, setUpdatingWatch] = useState(false);
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  const workflow = getProjectWorkflow(project);
+  const priority = getPriority(task.priority);
+  const taskLabels = getTaskLabels(task, project?.labels);
+  const estimate = formatEstimate(task.estimate, getEstimateUnit(project));
+  const checklist = getChecklistProgress(task);
+
+  // Direct children of this task, soonest deadline first
+  const subtasks = (project?.tasks || [])
+    .filter(t => t.parentTask && t.parentTask === task._id)
+    .sort((a, b) => new Date(a.taskDeadline) - new Date(b.taskDeadline));
+  const completedSubtasks = subtasks.filter(t => isDoneStatus(workflow, t.taskProgress)).length;
 
-  // Get assignable members (exclude viewers)
+  // Blocking tasks that still have to be finished
+  const openBlockers = (project?.tasks || [])
+    .filter(t => (task.blockedBy || []).includes(t._id) && !isDoneStatus(workflow, t.taskProgress));
+
+  // Get assignable members (those whose role lets them work on tasks)
   const getAssignableMembers = () => {
     if (!project?.members) return [];
     return project.members.filter(member => 
-      member.role && member.role.roleName !== 'viewer'
+      hasPermission(member.role, PERMISSIONS.WORK_ON_TASKS)
     );
   };
 
-  const handleInlineTaskAssign = async (taskId, memberId) => {
+  const toggleSelectedAssignee = (memberId) => {
+    setTaskSelectedAssignees(prev => (
+      prev.includes(memberId) ? prev.filter(id => id !== memberId) : [...prev, memberId]
+    ));
+  };
+
+  const handleInlineTaskAssign = async (taskId, memberIds) => {
     setAssigningTask(true);
     try {
-      await ProjectService.assignTask(projectId, taskId, memberId);
-      toast.success('Task assigned successfully!');
+      await ProjectService.updateTaskAssignees(projectId, taskId, memberIds);
+      toast.success('Task assignees updated!');
       setTaskAssignDropdown(false);
       await onTaskUpdated(); // Refresh project data
     } catch (err) {
@@ -56,6 +72,26 @@ export default function TaskItem({
     }
   };
 
+  const isWatching = !!currentUser && (task.taskWatchers || []).some(watcher => watcher._id === currentUser._id);
+
+  const handleToggleWatch = async () => {
+    setUpdatingWatch(true);
+    try {
+      if (isWatching) {
+        await ProjectService.unwatchTask(projectId, task._id);
+        toast.success('You are no longer watching this task.');
+      } else {
+        await ProjectService.watchTask(projectId, task._id);
+        toast.success('You are now watching this task.');
+      }
+      await onTaskUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update watch status.');
+    } finally {
+      setUpdatingWatch(false);
+    }
+  };
+
   const getAssigneeDetails = (taskAssigneeId) => {
     if (!taskAssigneeId || !project?.members) return null;
     const member = project.members.find(m => m.user._id === taskAssigneeId);
@@ -63,7 +99,7 @@ export default function TaskItem({
   };
 
   const isDeadlineOverdue = (deadline, taskProgress) => {
-    if (!deadline || taskProgress === 'Completed') return false;
+    if (!deadline || isDoneStatus(workflow, taskProgress)) return false;
     const today = new Date();
     today.setHours(0, 0, 0, 0); // Set to start of day for fair comparison
     const deadlineDate = new Date(deadline);
@@ -80,180 +116,129 @@ export default function TaskItem({
     return `${day}/${month}/${year}`;
   };
 
-  const handleDeleteTask = async (taskId, taskName) => {
-    if (!window.confirm(`Are you sure you want to delete the task "${taskName}"? This action cannot be undone.`)) {
+  const handleArchiveTask = async (taskId, taskName) => {
+    const subtaskWarning = subtasks.length > 0
+      ? ` Its ${subtasks.length} subtask${subtasks.length === 1 ? '' : 's'} will also be archived.`
+      : '';
+    if (!window.confirm(`Archive the task "${taskName}"?${subtaskWarning} You can restore it from the Archived view.`)) {
       return;
     }
     
     try {
-      await ProjectService.deleteTask(projectId, taskId);
-      toast.success('Task deleted successfully!');
-      await onTaskUpdated(); // Refresh project data to remove deleted task
+      await ProjectService.archiveTask(projectId, taskId);
+      toast.success('Task archived successfully!');
+      await onTaskUpdated(); // Refresh project data to hide the archived task
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Failed to delete task.');
+      toast.error(err.response?.data?.message || 'Failed to archive task.');
     }
   };
 
   // Assignee component - extracted for readability
   const AssigneeComponent = () => {
-    if (task.taskAssignee) {
-      return (
-        <div className="d-flex align-items-center">
+    const assignees = (task.taskAssignees || [])
+      .map(assignee => getAssigneeDetails(assignee._id) || assignee);
+    const assigneeNames = assignees.map(assignee => assignee.name || 'Unknown').join(', ');
+
+    return (
+      <div className="d-flex align-items-center">
+        {assignees.length > 0 ? (
+          <div className="d-flex me-2" style={{ flexShrink: 0 }}>
+            {assignees.slice(0, 3).map((assignee, index) => (
+              <div
+                key={assignee._id}
+                className="rounded-circle bg-primary text-white d-flex align-items-center justify-content-center border border-white"
+                style={{ width: '20px', height: '20px', fontSize: '10px', marginLeft: index > 0 ? '-6px' : 0 }}
+                title={assignee.name}
+              >
+                {assignee.name?.charAt(0).toUpperCase() || 'U'}
+              </div>
+            ))}
+            {assignees.length > 3 && <small className="text-muted ms-1">+{assignees.length - 3}</small>}
+          </div>
+        ) : (
           <div 
-            className="rounded-circle bg-primary text-white d-flex align-items-center justify-content-center me-2"
+            className="rounded-circle bg-secondary text-white d-flex align-items-center justify-content-center me-2"
             style={{ width: '20px', height: '20px', fontSize: '10px', flexShrink: 0 }}
           >
-            {getAssigneeDetails(task.taskAssignee._id)?.name?.charAt(0).toUpperCase() || 'U'}
+            ?
           </div>
-          {isProjectManager && !taskAssignDropdown ? (
+        )}
+        {isProjectManager && !taskAssignDropdown ? (
+          <Button
+            variant="link"
+            size="sm"
+            className={`p-0 text-decoration-none text-start${assignees.length === 0 ? ' text-muted' : ''}`}
+            style={{ 
+              fontSize: '0.875rem', 
+              minWidth: '80px',
+              transition: 'all 0.2s ease',
+              borderRadius: '4px',
+              padding: '2px 6px'
+            }}
+            onMouseEnter={(e) => {
+              e.target.style.backgroundColor = '#e9ecef';
+              e.target.style.color = '#495057';
+            }}
+            onMouseLeave={(e) => {
+              e.target.style.backgroundColor = 'transparent';
+              e.target.style.color = assignees.length === 0 ? '#6c757d' : '';
+            }}
+            onClick={() => {
+              setTaskAssignDropdown(true);
+              setTaskSelectedAssignees(assignees.map(assignee => assignee._id));
+            }}
+            disabled={assigningTask}
+          >
+            {assignees.length > 0 ? assigneeNames : 'Unassigned'}
+          </Button>
+        ) : isProjectManager && taskAssignDropdown ? (
+          <div className="d-flex align-items-start" style={{ minWidth: '200px' }}>
+            <div
+              className="border rounded px-2 py-1 bg-white"
+              style={{ minWidth: 160, maxHeight: 120, overflowY: 'auto', fontSize: '0.75rem' }}
+              role="group"
+              aria-label="Assignees"
+            >
+              {getAssignableMembers().map(member => (
+                <Form.Check
+                  key={member.user._id}
+                  type="checkbox"
+                  id={`assignee-${task._id}-${member.user._id}`}
+                  label={`${member.user.name} (${member.role?.roleName || 'No role'})`}
+                  checked={taskSelectedAssignees.includes(member.user._id)}
+                  onChange={() => toggleSelectedAssignee(member.user._id)}
+                  disabled={assigningTask}
+                />
+              ))}
+            </div>
             <Button
-              variant="link"
+              variant="success"
               size="sm"
-              className="p-0 text-decoration-none text-start"
-              style={{ 
-                fontSize: '0.875rem', 
-                minWidth: '80px',
-                transition: 'all 0.2s ease',
-                borderRadius: '4px',
-                padding: '2px 6px'
-              }}
-              onMouseEnter={(e) => {
-                e.target.style.backgroundColor = '#e9ecef';
-                e.target.style.color = '#495057';
-              }}
-              onMouseLeave={(e) => {
-                e.target.style.backgroundColor = 'transparent';
-                e.target.style.color = '';
-              }}
-              onClick={() => {
-                setTaskAssignDropdown(true);
-                setTaskSelectedAssignee(task.taskAssignee._id);
-              }}
+              className="ms-1"
+              style={{ padding: '0.125rem 0.375rem' }}
+              onClick={() => handleInlineTaskAssign(task._id, taskSelectedAssignees)}
               disabled={assigningTask}
             >
-              {getAssigneeDetails(task.taskAssignee._id)?.name || 'Unknown'}
+              ✓
             </Button>
-          ) : isProjectManager && taskAssignDropdown ? (
-            <div className="d-flex align-items-center" style={{ minWidth: '200px' }}>
-              <Form.Select
-                size="sm"
-                value={taskSelectedAssignee || task.taskAssignee._id}
-                onChange={e => setTaskSelectedAssignee(e.target.value)}
-                style={{ minWidth: 120, fontSize: '0.75rem' }}
-                disabled={assigningTask}
-              >
-                {getAssignableMembers().map(member => (
-                  <option key={member.user._id} value={member.user._id}>
-                    {member.user.name} ({member.role?.roleName || 'No role'})
-                  </option>
-                ))}
-              </Form.Select>
-              <Button
-                variant="success"
-                size="sm"
-                className="ms-1"
-                style={{ padding: '0.125rem 0.375rem' }}
-                onClick={() => handleInlineTaskAssign(task._id, taskSelectedAssignee)}
-                disabled={assigningTask}
-              >
-                ✓
-              </Button>
-              <Button
-                variant="secondary"
-                size="sm"
-                className="ms-1"
-                style={{ padding: '0.125rem 0.375rem' }}
-                onClick={() => setTaskAssignDropdown(false)}
-                disabled={assigningTask}
-              >
-                ✕
-              </Button>
-            </div>
-          ) : (
-            <span style={{ minWidth: '80px' }}>{getAssigneeDetails(task.taskAssignee._id)?.name || 'Unknown'}</span>
-          )}
-        </div>
-      );
-    } else {
-      return (
-        <div className="d-flex align-items-center">
-          <div 
-            className="rounded-circle bg-secondary text-white d-flex align-items-center justify-content-center me-2"
-            style={{ width: '20px', height: '20px', fontSize: '10px', flexShrink: 0 }}
-          >
-            ?
-          </div>
-          {isProjectManager && !taskAssignDropdown ? (
             <Button
-              variant="link"
+              variant="secondary"
               size="sm"
-              className="p-0 text-decoration-none text-muted text-start"
-              style={{ 
-                fontSize: '0.875rem', 
-                minWidth: '80px',
-                transition: 'all 0.2s ease',
-                borderRadius: '4px',
-                padding: '2px 6px'
-              }}
-              onMouseEnter={(e) => {
-                e.target.style.backgroundColor = '#e9ecef';
-                e.target.style.color = '#495057';
-              }}
-              onMouseLeave={(e) => {
-                e.target.style.backgroundColor = 'transparent';
-                e.target.style.color = '#6c757d';
-              }}
-              onClick={() => {
-                setTaskAssignDropdown(true);
-                setTaskSelectedAssignee('');
-              }}
+              className="ms-1"
+              style={{ padding: '0.125rem 0.375rem' }}
+              onClick={() => setTaskAssignDropdown(false)}
               disabled={assigningTask}
             >
-              Unassigned
+              ✕
             </Button>
-          ) : isProjectManager && taskAssignDropdown ? (
-            <div className="d-flex align-items-center" style={{ minWidth: '200px' }}>
-              <Form.Select
-                size="sm"
-                value={taskSelectedAssignee || ''}
-                onChange={e => setTaskSelectedAssignee(e.target.value)}
-                style={{ minWidth: 120, fontSize: '0.75rem' }}
-                disabled={assigningTask}
-              >
-                <option value="">Select member</option>
-                {getAssignableMembers().map(member => (
-                  <option key={member.user._id} value={member.user._id}>
-                    {member.user.name} ({member.role?.roleName || 'No role'})
-                  </option>
-                ))}
-              </Form.Select>
-              <Button
-                variant="success"
-                size="sm"
-                className="ms-1"
-                style={{ padding: '0.125rem 0.375rem' }}
-                onClick={() => handleInlineTaskAssign(task._id, taskSelectedAssignee)}
-                disabled={assigningTask || !taskSelectedAssignee}
-              >
-                ✓
-              </Button>
-              <Button
-                variant="secondary"
-                size="sm"
-                className="ms-1"
-                style={{ padding: '0.125rem 0.375rem' }}
-                onClick={() => setTaskAssignDropdown(false)}
-                disabled={assigningTask}
-              >
-                ✕
-              </Button>
-            </div>
-          ) : (
-            <span className="text-muted" style={{ minWidth: '80px' }}>Unassigned</span>
-          )}
-        </div>
-      );
-    }
+          </div>
+        ) : (
+          <span className={assignees.length === 0 ? 'text-muted' : undefined} style={{ minWidth: '80px' }}>
+            {assignees.length > 0 ? assigneeNames : 'Unassigned'}
+          </span>
+        )}
+      </div>
+    );
   };
 
   return (
@@ -262,7 +247,7 @@ export default function TaskItem({
       style={{
         borderRadius: '8px',
         transition: 'all 0.2s ease',
-        borderLeft: `4px solid ${getStatusColor(task.taskProgress)}`,
+        borderLeft: `4px solid ${getStatusColor(workflow, task.taskProgress)}`,
         backgroundColor: '#fff',
         overflow: 'hidden'
       }}
@@ -277,16 +262,71 @@ export default function TaskItem({
       }}
     >
       <div className="d-flex align-items-start px-3">
+        {onToggleSelect && (
+          <Form.Check
+            type="checkbox"
+            className="me-2"
+            checked={selectedTaskIds.includes(task._id)}
+            onChange={() => onToggleSelect(task)}
+            aria-label={`Select ${task.taskName}`}
+          />
+        )}
         {/* Left Side - Task Name and Description */}
         <div className="flex-grow-1 me-4" style={{ maxWidth: '50%' }}>
-          <div className="fw-bold fs-6 mb-2 text-start">{task.taskName}</div>
+          {onViewTask ? (
+            <Button
+              variant="link"
+              className="p-0 fw-bold fs-6 mb-2 text-start text-decoration-none text-reset d-block"
+              onClick={() => onViewTask(task)}
+            >
+              {task.taskName}
+            </Button>
+          ) : (
+            <div className="fw-bold fs-6 mb-2 text-start">{task.taskName}</div>
+          )}
           <div className="text-muted small text-start text-truncate">{task.taskDescription}</div>
+          <div className="d-flex flex-wrap align-items-center gap-1 mt-1">
+            <Badge bg={priority.bg} title="Priority">{priority.label}</Badge>
+            {taskLabels.map(label => (
+              <Badge key={label._id} bg="" style={getLabelBadgeStyle(label.color)}>{label.name}</Badge>
+            ))}
+            {estimate && <small className="text-muted ms-1" title="Estimate">⏱ {estimate}</small>}
+            {hasRecurrence(task) && <small className="text-muted ms-1" title={describeRecurrence(task.recurrence)}>🔁</small>}
+            {checklist.total > 0 && (
+              <small
+                className={`ms-1 ${checklist.done === checklist.total ? 'text-success' : 'text-muted'}`}
+                title="Checklist items done"
+              >
+                ☑ {checklist.done}/{checklist.total}
+              </small>
+            )}
+          </div>
+          {subtasks.length > 0 && (
+            <Button
+              variant="link"
+              size="sm"
+              className="p-0 mt-1 text-decoration-none d-block text-start"
+              onClick={() => setShowSubtasks(!showSubtasks)}
+              aria-expanded={showSubtasks}
+            >
+              {showSubtasks ? '▾' : '▸'} {subtasks.length} subtask{subtasks.length === 1 ? '' : 's'} ({completedSubtasks}/{subtasks.length} done)
+            </Button>
+          )}
         </div>
         
         {/* Right Side - Status, Deadline, Assignee, Actions */}
         <div className="d-flex flex-column align-items-end" style={{ minWidth: '50%' }}>
           <div className="d-flex align-items-center mb-2 w-100 justify-content-end">
-            <Badge bg={getStatusVariant(task.taskProgress)} className="me-3">{task.taskProgress}</Badge>
+            {openBlockers.length > 0 && (
+              <Badge
+                bg="dark"
+                className="me-2"
+                title={`Blocked by: ${openBlockers.map(t => t.taskName).join(', ')}`}
+              >
+                🔒 Blocked
+              </Badge>
+            )}
+            <Badge {...getStatusBadgeProps(workflow, task.taskProgress)} className="me-3">{task.taskProgress}</Badge>
             <div className="d-flex align-items-center me-3">
               <span className="me-1">📅</span>
               <span 
@@ -303,6 +343,38 @@ export default function TaskItem({
               <AssigneeComponent />
             </div>
             <div className="ms-2">
+              {onAddSubtask && (
+                <Button
+                  variant="outline-primary"
+                  size="sm"
+                  className="me-2"
+                  onClick={() => onAddSubtask(task)}
+                >
+                  + Subtask
+                </Button>
+              )}
+              {currentUser && (
+                <Button
+                  variant={isWatching ? 'secondary' : 'outline-secondary'}
+                  size="sm"
+                  className="me-2"
+                  onClick={handleToggleWatch}
+                  disabled={updatingWatch}
+                  title={isWatching ? 'Stop getting updates about this task' : 'Get updates about this task'}
+                >
+                  {isWatching ? '👁 Unwatch' : '👁 Watch'}
+                </Button>
+              )}
+              {onTrackTime && (
+                <Button
+                  variant="outline-info"
+                  size="sm"
+                  className="me-2"
+                  onClick={() => onTrackTime(task)}
+                >
+                  ⏱ Time
+                </Button>
+              )}
               <Button
                 variant="outline-secondary"
                 size="sm"
@@ -315,15 +387,39 @@ export default function TaskItem({
               <Button
                 variant="outline-danger"
                 size="sm"
-                onClick={() => handleDeleteTask(task._id, task.taskName)}
+                onClick={() => handleArchiveTask(task._id, task.taskName)}
                 disabled={!canEditTask(task)}
               >
-                Delete
+                Archive
               </Button>
             </div>
           </div>
         </div>
       </div>
+
+      {/* Subtask tree */}
+      {showSubtasks && subtasks.length > 0 && (
+        <ListGroup variant="flush" className="mt-3 ms-4 me-3">
+          {subtasks.map(subtask => (
+            <TaskItem
+              key={subtask._id}
+              task={subtask}
+              project={project}
+              projectId={projectId}
+              isProjectManager={isProjectManager}
+              onTaskUpdated={onTaskUpdated}
+              onEditTask={onEditTask}
+              canEditTask={canEditTask}
+              onAddSubtask={onAddSubtask}
+              onTrackTime={onTrackTime}
+              onViewTask={onViewTask}
+              currentUser={currentUser}
+              selectedTaskIds={selectedTaskIds}
+              onToggleSelect={onToggleSelect}
+            />
+          ))}
+        </ListGroup>
+      )}
     </ListGroup.Item>
   );
 }
@@ -1,5 +1,6 @@
 import { Row, Col } from 'react-bootstrap';
 import TasksSection from './TasksSection';
+import { PERMISSIONS, userCan } from '../utils/permissions';
 
 export default function TasksDashboardSection({ 
   project, 
@@ -9,13 +10,7 @@ export default function TasksDashboardSection({
   isViewer,
   canEditTask 
 }) {
-  const isProjectManager = () => {
-    if (!currentUser || !project || !project.members) return false;
-    const member = project.members.find(
-      m => m.user._id?.toString() === currentUser._id?.toString()
-    );
-    return member && member.role && member.role.roleName === 'administrator';
-  };
+  const isProjectManager = () => userCan(project, currentUser, PERMISSIONS.MANAGE_PROJECT);
 
   return (
     <Row>
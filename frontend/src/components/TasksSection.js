@@ -1,9 +1,177 @@
-import { useState } from 'react';
-import { Card, Button, ListGroup, Modal, Form, Spinner, ButtonGroup, Row, Col } from 'react-bootstrap';
+import { useState, useEffect } from 'react';
+import { Card, Button, ListGroup, Modal, Form, Spinner, ButtonGroup, Row, Col, Badge } from 'react-bootstrap';
 import { toast } from 'react-toastify';
+import moment from 'moment';
 import ProjectService from '../services/project.service';
 import TaskItem from './TaskItem';
 import ProgressView from './ProgressView';
+import TimeTrackingModal from './TimeTrackingModal';
+import TaskDetailModal from './TaskDetailModal';
+import ArchivedTasks from './ArchivedTasks';
+import BulkTaskActions from './BulkTaskActions';
+import TaskImportWizard from './TaskImportWizard';
+import { getProjectWorkflow, getInitialStatus, getStatusCategory, getAllowedStatuses } from '../utils/workflow';
+import {
+  TASK_PRIORITIES,
+  DEFAULT_PRIORITY,
+  getPriorityRank,
+  getEstimateUnit,
+  getLabelBadgeStyle
+} from '../utils/taskAttributes';
+import {
+  RECURRENCE_FREQUENCIES,
+  EMPTY_RECURRENCE,
+  toRecurrenceForm,
+  toRecurrencePayload
+} from '../utils/recurrence';
+import { getOpenSprints, getSprintLabel } from '../utils/sprints';
+
+const hasEstimate = (task) => task.estimate !== null && task.estimate !== undefined;
+
+// Template dates are stored as days after the day the template is used
+const daysFromToday = (days) => moment().add(days, 'days').format('YYYY-MM-DD');
+
+const ASSIGNEE_ROLE_LABELS = {
+  administrator: 'administrators',
+  developer: 'developers'
+};
+
+// Priority, label and estimate inputs shared by the create and edit task forms
+function TaskAttributeFields({
+  idPrefix,
+  priority,
+  onPriorityChange,
+  labels,
+  selectedLabels,
+  onLabelsChange,
+  estimate,
+  onEstimateChange,
+  estimateUnit
+}) {
+  const toggleLabel = (labelId) => {
+    onLabelsChange(selectedLabels.includes(labelId)
+      ? selectedLabels.filter(id => id !== labelId)
+      : [...selectedLabels, labelId]);
+  };
+
+  return (
+    <>
+      <Row className="mb-3">
+        <Col>
+          <Form.Group controlId={`${idPrefix}Priority`}>
+            <Form.Label>Priority</Form.Label>
+            <Form.Select value={priority} onChange={e => onPriorityChange(e.target.value)}>
+              {TASK_PRIORITIES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col>
+          <Form.Group controlId={`${idPrefix}Estimate`}>
+            <Form.Label>Estimate ({estimateUnit === 'hours' ? 'hours' : 'story points'})</Form.Label>
+            <Form.Control
+              type="number"
+              min="0"
+              step={estimateUnit === 'hours' ? '0.5' : '1'}
+              value={estimate}
+              onChange={e => onEstimateChange(e.target.value)}
+              placeholder="Not estimated"
+            />
+          </Form.Group>
+        </Col>
+      </Row>
+      <Form.Group className="mb-3">
+        <Form.Label>Labels</Form.Label>
+        {labels.length > 0 ? (
+          <div className="d-flex flex-wrap gap-2">
+            {labels.map(label => (
+              <Form.Check
+                key={label._id}
+                inline
+                type="checkbox"
+                id={`${idPrefix}-label-${label._id}`}
+                checked={selectedLabels.includes(label._id)}
+                onChange={() => toggleLabel(label._id)}
+                label={<Badge bg="" style={getLabelBadgeStyle(label.color)}>{label.name}</Badge>}
+              />
+            ))}
+          </div>
+        ) : (
+          <Form.Text className="d-block text-muted">This project has no labels yet. Add them in Settings.</Form.Text>
+        )}
+      </Form.Group>
+    </>
+  );
+}
+
+// Repeat rule inputs shared by the create and edit task forms
+function RecurrenceFields({ idPrefix, recurrence, onChange }) {
+  const frequency = RECURRENCE_FREQUENCIES.find(option => option.value === recurrence.frequency);
+  const update = (field, value) => onChange({ ...recurrence, [field]: value });
+
+  return (
+    <Row className="mb-3">
+      <Col>
+        <Form.Group controlId={`${idPrefix}RecurrenceFrequency`}>
+          <Form.Label>Repeats</Form.Label>
+          <Form.Select value={recurrence.frequency} onChange={e => update('frequency', e.target.value)}>
+            <option value="">Does not repeat</option>
+            {RECURRENCE_FREQUENCIES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      </Col>
+      {frequency && (
+        <>
+          <Col>
+            <Form.Group controlId={`${idPrefix}RecurrenceInterval`}>
+              <Form.Label>Every ({frequency.unit}s)</Form.Label>
+              <Form.Control
+                type="number"
+                min="1"
+                step="1"
+                value={recurrence.interval}
+                onChange={e => update('interval', e.target.value)}
+              />
+            </Form.Group>
+          </Col>
+          <Col>
+            <Form.Group controlId={`${idPrefix}RecurrenceEndDate`}>
+              <Form.Label>Until</Form.Label>
+              <Form.Control
+                type="date"
+                value={recurrence.endDate}
+                onChange={e => update('endDate', e.target.value)}
+              />
+            </Form.Group>
+          </Col>
+        </>
+      )}
+    </Row>
+  );
+}
+
+// Sprint picker shared by the create and edit task forms; closed sprints only show while a task is still in one
+function SprintField({ idPrefix, sprints, value, onChange }) {
+  const options = sprints.filter(sprint => sprint.status !== 'closed' || sprint._id === value);
+  if (options.length === 0) return null;
+
+  return (
+    <Form.Group className="mb-3" controlId={`${idPrefix}Sprint`}>
+      <Form.Label>Sprint</Form.Label>
+      <Form.Select value={value} onChange={e => onChange(e.target.value)}>
+        <option value="">Backlog</option>
+        {options.map(sprint => (
+          <option key={sprint._id} value={sprint._id} disabled={sprint.status === 'closed'}>
+            {getSprintLabel(sprint)}
+          </option>
+        ))}
+      </Form.Select>
+    </Form.Group>
+  );
+}
 
 export default function TasksSection({ 
   project,
@@ -15,29 +183,123 @@ export default function TasksSection({
   currentUser
 }) {
   const [showTaskModal, setShowTaskModal] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
   const [taskName, setTaskName] = useState('');
   const [taskDescription, setTaskDescription] = useState('');
+  const [taskStartDate, setTaskStartDate] = useState('');
   const [taskDeadline, setTaskDeadline] = useState('');
+  const [taskPriority, setTaskPriority] = useState(DEFAULT_PRIORITY);
+  const [taskLabels, setTaskLabels] = useState([]);
+  const [taskEstimate, setTaskEstimate] = useState('');
+  const [taskRecurrence, setTaskRecurrence] = useState(EMPTY_RECURRENCE);
+  const [taskSprint, setTaskSprint] = useState('');
+  const [taskTemplates, setTaskTemplates] = useState([]);
+  const [taskTemplateId, setTaskTemplateId] = useState('');
+  const [taskAssigneeRole, setTaskAssigneeRole] = useState(null);
   const [creatingTask, setCreatingTask] = useState(false);
+  const [newTaskParent, setNewTaskParent] = useState(null); // parent task when adding a subtask
   const [editTaskModal, setEditTaskModal] = useState(false);
   const [editTask, setEditTask] = useState(null);
   const [editTaskName, setEditTaskName] = useState('');
   const [editTaskDescription, setEditTaskDescription] = useState('');
+  const [editTaskStartDate, setEditTaskStartDate] = useState('');
   const [editTaskDeadline, setEditTaskDeadline] = useState('');
   const [editTaskProgress, setEditTaskProgress] = useState('');
+  const [editTaskPriority, setEditTaskPriority] = useState(DEFAULT_PRIORITY);
+  const [editTaskLabels, setEditTaskLabels] = useState([]);
+  const [editTaskEstimate, setEditTaskEstimate] = useState('');
+  const [editTaskRecurrence, setEditTaskRecurrence] = useState(EMPTY_RECURRENCE);
+  const [editTaskSprint, setEditTaskSprint] = useState('');
   const [updatingTask, setUpdatingTask] = useState(false);
-  const [viewMode, setViewMode] = useState('list'); // 'list' or 'progress'
+  const [newBlockerId, setNewBlockerId] = useState('');
+  const [updatingDependencies, setUpdatingDependencies] = useState(false);
+  const [viewMode, setViewMode] = useState('list'); // 'list', 'progress' or 'archived'
   const [sortOrder, setSortOrder] = useState('asc'); // 'asc' | 'desc'
+  const [sortBy, setSortBy] = useState('deadline'); // 'deadline' | 'priority' | 'estimate'
+  const [filterPriority, setFilterPriority] = useState('');
+  const [filterLabel, setFilterLabel] = useState('');
+  const [filterEstimate, setFilterEstimate] = useState(''); // '' | 'estimated' | 'unestimated'
+  const [filterSprint, setFilterSprint] = useState(''); // '' | 'backlog' | sprint ID
+  const [timeTrackingTask, setTimeTrackingTask] = useState(null);
+  const [detailTaskId, setDetailTaskId] = useState(null);
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const workflow = getProjectWorkflow(project);
+  const labels = project.labels || [];
+  const sprints = project.sprints || [];
+  const estimateUnit = getEstimateUnit(project);
+  // Looked up by ID so the details stay current after the project is refreshed
+  const detailTask = detailTaskId ? (project.tasks || []).find(task => task._id === detailTaskId) : null;
+  // Tasks that were archived or removed since they were selected drop out of the selection
+  const selectedTasks = (project.tasks || []).filter(task => selectedTaskIds.includes(task._id));
+
+  const toggleTaskSelection = (task) => {
+    setSelectedTaskIds(prev => (
+      prev.includes(task._id) ? prev.filter(id => id !== task._id) : [...prev, task._id]
+    ));
+  };
+
+  const changeViewMode = (mode) => {
+    setViewMode(mode);
+    setSelectedTaskIds([]);
+  };
+
+  useEffect(() => {
+    if (!showTaskModal) return;
+    const fetchTaskTemplates = async () => {
+      try {
+        const response = await ProjectService.getTaskTemplates(projectId);
+        setTaskTemplates(response.data.templates || []);
+      } catch (err) {
+        // Templates only prefill the form, so it still works without them
+        setTaskTemplates([]);
+      }
+    };
+
+    fetchTaskTemplates();
+  }, [showTaskModal, projectId]);
+
+  const applyTaskTemplate = (templateId) => {
+    setTaskTemplateId(templateId);
+    const template = taskTemplates.find(t => t._id === templateId);
+    if (!template) {
+      setTaskAssigneeRole(null);
+      return;
+    }
+    const [templateTask] = template.tasks;
+    setTaskName(templateTask.taskName);
+    setTaskDescription(templateTask.taskDescription || '');
+    setTaskStartDate(templateTask.startOffsetDays !== null && templateTask.startOffsetDays !== undefined
+      ? daysFromToday(templateTask.startOffsetDays)
+      : '');
+    setTaskDeadline(daysFromToday(templateTask.deadlineOffsetDays));
+    setTaskPriority(templateTask.priority || DEFAULT_PRIORITY);
+    setTaskEstimate(hasEstimate(templateTask) ? String(templateTask.estimate) : '');
+    setTaskAssigneeRole(templateTask.assigneeRole || null);
+  };
 
   const handleCreateTask = () => {
     setShowTaskModal(true);
   };
 
+  const handleAddSubtask = (parentTask) => {
+    setNewTaskParent(parentTask);
+    setShowTaskModal(true);
+  };
+
   const handleTaskModalClose = () => {
     setShowTaskModal(false);
     setTaskName('');
     setTaskDescription('');
+    setTaskStartDate('');
     setTaskDeadline('');
+    setTaskPriority(DEFAULT_PRIORITY);
+    setTaskLabels([]);
+    setTaskEstimate('');
+    setTaskRecurrence(EMPTY_RECURRENCE);
+    setTaskSprint('');
+    setTaskTemplateId('');
+    setTaskAssigneeRole(null);
+    setNewTaskParent(null);
   };
 
   const handleTaskSubmit = async (e) => {
@@ -47,9 +309,23 @@ export default function TasksSection({
       return;
     }
     setCreatingTask(true);
+    const attributes = {
+      ...(taskStartDate && { taskStartDate }),
+      priority: taskPriority,
+      labels: taskLabels,
+      ...(taskEstimate !== '' && { estimate: Number(taskEstimate) }),
+      ...(taskRecurrence.frequency && { recurrence: toRecurrencePayload(taskRecurrence) }),
+      ...(taskSprint && { sprint: taskSprint }),
+      ...(taskAssigneeRole && { assigneeRole: taskAssigneeRole })
+    };
     try {
-      await ProjectService.createTask(projectId, taskName, taskDescription, taskDeadline);
-      toast.success('Task created successfully!');
+      if (newTaskParent) {
+        await ProjectService.createSubtask(projectId, newTaskParent._id, taskName, taskDescription, taskDeadline, attributes);
+        toast.success('Subtask created successfully!');
+      } else {
+        await ProjectService.createTask(projectId, taskName, taskDescription, taskDeadline, attributes);
+        toast.success('Task created successfully!');
+      }
       handleTaskModalClose();
       await onTasksUpdated(); // Refresh project data to show new task
     } catch (err) {
@@ -63,8 +339,14 @@ export default function TasksSection({
     setEditTask(task);
     setEditTaskName(task.taskName);
     setEditTaskDescription(task.taskDescription);
+    setEditTaskStartDate(task.taskStartDate ? task.taskStartDate.slice(0, 10) : '');
     setEditTaskDeadline(task.taskDeadline ? task.taskDeadline.slice(0, 10) : '');
-    setEditTaskProgress(task.taskProgress || 'To Do');
+    setEditTaskProgress(task.taskProgress || getInitialStatus(workflow));
+    setEditTaskPriority(task.priority || DEFAULT_PRIORITY);
+    setEditTaskLabels(task.labels || []);
+    setEditTaskEstimate(hasEstimate(task) ? String(task.estimate) : '');
+    setEditTaskRecurrence(toRecurrenceForm(task.recurrence));
+    setEditTaskSprint(task.sprint || '');
     setEditTaskModal(true);
   };
 
@@ -73,31 +355,69 @@ export default function TasksSection({
     setEditTask(null);
     setEditTaskName('');
     setEditTaskDescription('');
+    setEditTaskStartDate('');
     setEditTaskDeadline('');
     setEditTaskProgress('');
+    setEditTaskPriority(DEFAULT_PRIORITY);
+    setEditTaskLabels([]);
+    setEditTaskEstimate('');
+    setEditTaskRecurrence(EMPTY_RECURRENCE);
+    setEditTaskSprint('');
+    setNewBlockerId('');
   };
 
   const handleEditTaskSubmit = async (e) => {
     e.preventDefault();
     if (!editTask) return;
+    const startDateChanged = editTaskStartDate !== (editTask.taskStartDate ? editTask.taskStartDate.slice(0, 10) : '');
+    const labelsChanged = [...editTaskLabels].sort().join() !== [...(editTask.labels || [])].sort().join();
+    const estimateChanged = editTaskEstimate !== (hasEstimate(editTask) ? String(editTask.estimate) : '');
+    const recurrenceChanged = JSON.stringify(toRecurrencePayload(editTaskRecurrence)) !==
+      JSON.stringify(toRecurrencePayload(toRecurrenceForm(editTask.recurrence)));
+    const sprintChanged = editTaskSprint !== (editTask.sprint || '');
     // Only allow update if at least one field changed
     if (
       editTaskName === editTask.taskName &&
       editTaskDescription === editTask.taskDescription &&
+      !startDateChanged &&
       editTaskDeadline === (editTask.taskDeadline ? editTask.taskDeadline.slice(0, 10) : '') &&
-      editTaskProgress === (editTask.taskProgress || 'To Do')
+      editTaskProgress === (editTask.taskProgress || getInitialStatus(workflow)) &&
+      editTaskPriority === (editTask.priority || DEFAULT_PRIORITY) &&
+      !labelsChanged &&
+      !estimateChanged &&
+      !recurrenceChanged &&
+      !sprintChanged
     ) {
       toast.error('You must change at least one field to update the task.');
       return;
     }
     setUpdatingTask(true);
+    const updates = {
+      ...(editTaskName !== editTask.taskName && { taskName: editTaskName }),
+      ...(editTaskDescription !== editTask.taskDescription && { taskDescription: editTaskDescription }),
+      ...(startDateChanged && { taskStartDate: editTaskStartDate || null }),
+      ...(editTaskDeadline !== (editTask.taskDeadline ? editTask.taskDeadline.slice(0, 10) : '') && { taskDeadline: editTaskDeadline }),
+      ...(editTaskProgress !== (editTask.taskProgress || getInitialStatus(workflow)) && { taskProgress: editTaskProgress }),
+      ...(editTaskPriority !== (editTask.priority || DEFAULT_PRIORITY) && { priority: editTaskPriority }),
+      ...(labelsChanged && { labels: editTaskLabels }),
+      ...(estimateChanged && { estimate: editTaskEstimate === '' ? null : Number(editTaskEstimate) }),
+      ...(recurrenceChanged && { recurrence: toRecurrencePayload(editTaskRecurrence) }),
+      ...(sprintChanged && { sprint: editTaskSprint || null })
+    };
     try {
-      await ProjectService.updateTask(projectId, editTask._id, {
-        ...(editTaskName !== editTask.taskName && { taskName: editTaskName }),
-        ...(editTaskDescription !== editTask.taskDescription && { taskDescription: editTaskDescription }),
-        ...(editTaskDeadline !== (editTask.taskDeadline ? editTask.taskDeadline.slice(0, 10) : '') && { taskDeadline: editTaskDeadline }),
-        ...(editTaskProgress !== (editTask.taskProgress || 'To Do') && { taskProgress: editTaskProgress })
-      });
+      try {
+        await ProjectService.updateTask(projectId, editTask._id, updates);
+      } catch (err) {
+        // Administrators may push a blocked task forward after confirming
+        if (
+          err.response?.status !== 409 ||
+          !isProjectManager ||
+          !window.confirm(`${err.response.data.message}. Update the status anyway?`)
+        ) {
+          throw err;
+        }
+        await ProjectService.updateTask(projectId, editTask._id, { ...updates, overrideBlockers: true });
+      }
       toast.success('Task updated successfully!');
       closeEditTaskModal();
       await onTasksUpdated();
@@ -108,29 +428,102 @@ export default function TasksSection({
     }
   };
 
+  const hasSubtasks = (task) => {
+    return !!task && (project.tasks || []).some(t => t.parentTask === task._id);
+  };
+
+  // Read blockers from the latest project data so changes show while the modal is open
+  const getBlockers = (task) => {
+    if (!task) return [];
+    const currentTask = (project.tasks || []).find(t => t._id === task._id) || task;
+    return (project.tasks || []).filter(t => (currentTask.blockedBy || []).includes(t._id));
+  };
+
+  const handleAddBlocker = async () => {
+    if (!editTask || !newBlockerId) return;
+    setUpdatingDependencies(true);
+    try {
+      await ProjectService.addTaskDependency(projectId, editTask._id, newBlockerId);
+      toast.success('Dependency added!');
+      setNewBlockerId('');
+      await onTasksUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add dependency.');
+    } finally {
+      setUpdatingDependencies(false);
+    }
+  };
+
+  const handleRemoveBlocker = async (blockerTaskId) => {
+    if (!editTask) return;
+    setUpdatingDependencies(true);
+    try {
+      await ProjectService.removeTaskDependency(projectId, editTask._id, blockerTaskId);
+      toast.success('Dependency removed!');
+      await onTasksUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove dependency.');
+    } finally {
+      setUpdatingDependencies(false);
+    }
+  };
+
   const getSortedTasks = () => {
     if (!project.tasks) return [];
     
     return [...project.tasks].sort((a, b) => {
-      const aValue = new Date(a.taskDeadline);
-      const bValue = new Date(b.taskDeadline);
-      
-      if (sortOrder === 'asc') {
-        return aValue - bValue;
-      } else {
-        return bValue - aValue;
+      const byDeadline = new Date(a.taskDeadline) - new Date(b.taskDeadline);
+      let comparison = byDeadline;
+      if (sortBy === 'priority') {
+        comparison = getPriorityRank(a.priority) - getPriorityRank(b.priority);
+      } else if (sortBy === 'estimate') {
+        // Unestimated tasks stay at the bottom in either direction
+        if (hasEstimate(a) !== hasEstimate(b)) return hasEstimate(a) ? -1 : 1;
+        comparison = hasEstimate(a) ? a.estimate - b.estimate : 0;
       }
+      if (sortOrder === 'desc') comparison = -comparison;
+      // Ties are broken by the soonest deadline
+      return comparison || byDeadline;
     });
   };
 
+  const hasActiveFilters = () => !!(filterPriority || filterLabel || filterEstimate || filterSprint);
+
+  const clearFilters = () => {
+    setFilterPriority('');
+    setFilterLabel('');
+    setFilterEstimate('');
+    setFilterSprint('');
+  };
+
+  const matchesFilters = (task) => {
+    if (filterPriority && (task.priority || DEFAULT_PRIORITY) !== filterPriority) return false;
+    if (filterLabel && !(task.labels || []).includes(filterLabel)) return false;
+    if (filterEstimate === 'estimated' && !hasEstimate(task)) return false;
+    if (filterEstimate === 'unestimated' && hasEstimate(task)) return false;
+    if (filterSprint === 'backlog' && task.sprint) return false;
+    if (filterSprint && filterSprint !== 'backlog' && task.sprint !== filterSprint) return false;
+    return true;
+  };
+
+  const getFilteredTasks = () => getSortedTasks().filter(matchesFilters);
+
   // Helper function to get tasks assigned to the current user
   const getUserTasks = () => {
     if (!project.tasks || !currentUser) return [];
     return getSortedTasks().filter(task => 
-      task.taskAssignee && task.taskAssignee._id === currentUser._id
+      (task.taskAssignees || []).some(assignee => assignee._id === currentUser._id)
     );
   };
 
+  // Board moves follow the server's progress rule: the project owner or an assignee, on tasks without subtasks
+  const canMoveTask = (task) => {
+    if (isViewer || !currentUser) return false;
+    if ((project.tasks || []).some(other => other.parentTask === task._id)) return false;
+    const isOwner = project.projectOwner?.toString() === currentUser._id?.toString();
+    return isOwner || (task.taskAssignees || []).some(assignee => assignee._id === currentUser._id);
+  };
+
   // Helper function to get tasks due this week
   const getTasksDueThisWeek = () => {
     if (!project.tasks) return [];
@@ -154,9 +547,13 @@ export default function TasksSection({
   const renderTaskSummary = () => {
     const tasks = project.tasks || [];
     const totalTasks = tasks.length;
-    const completedTasks = tasks.filter(task => task.taskProgress === 'Completed').length;
-    const inProgressTasks = tasks.filter(task => task.taskProgress === 'In Progress').length;
-    const todoTasks = tasks.filter(task => task.taskProgress === 'To Do').length;
+    // Custom statuses are summarised by their workflow category
+    const countInCategory = (category) => tasks.filter(
+      task => getStatusCategory(workflow, task.taskProgress) === category
+    ).length;
+    const completedTasks = countInCategory('done');
+    const inProgressTasks = countInCategory('active');
+    const todoTasks = countInCategory('todo');
     
     return (
       <Card className="shadow-sm bg-white mb-4">
@@ -237,6 +634,10 @@ export default function TasksSection({
                 onTaskUpdated={onTasksUpdated}
                 onEditTask={openEditTaskModal}
                 canEditTask={canEditTask}
+                onAddSubtask={!isViewer ? handleAddSubtask : undefined}
+                onTrackTime={setTimeTrackingTask}
+                onViewTask={task => setDetailTaskId(task._id)}
+                currentUser={currentUser}
               />
             ))}
           </ListGroup>
@@ -267,6 +668,10 @@ export default function TasksSection({
                 onTaskUpdated={onTasksUpdated}
                 onEditTask={openEditTaskModal}
                 canEditTask={canEditTask}
+                onAddSubtask={!isViewer ? handleAddSubtask : undefined}
+                onTrackTime={setTimeTrackingTask}
+                onViewTask={task => setDetailTaskId(task._id)}
+                currentUser={currentUser}
               />
             ))}
           </ListGroup>
@@ -275,10 +680,87 @@ export default function TasksSection({
     );
   };
 
+  const renderFilters = () => (
+    <Row className="g-2 align-items-center mb-3">
+      <Col xs="auto">
+        <Form.Select size="sm" value={sortBy} onChange={e => setSortBy(e.target.value)} aria-label="Sort tasks by">
+          <option value="deadline">Sort by deadline</option>
+          <option value="priority">Sort by priority</option>
+          <option value="estimate">Sort by estimate</option>
+        </Form.Select>
+      </Col>
+      <Col xs="auto">
+        <Form.Select size="sm" value={filterPriority} onChange={e => setFilterPriority(e.target.value)} aria-label="Filter by priority">
+          <option value="">All priorities</option>
+          {TASK_PRIORITIES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Form.Select>
+      </Col>
+      <Col xs="auto">
+        <Form.Select size="sm" value={filterLabel} onChange={e => setFilterLabel(e.target.value)} aria-label="Filter by label">
+          <option value="">All labels</option>
+          {labels.map(label => (
+            <option key={label._id} value={label._id}>{label.name}</option>
+          ))}
+        </Form.Select>
+      </Col>
+      <Col xs="auto">
+        <Form.Select size="sm" value={filterEstimate} onChange={e => setFilterEstimate(e.target.value)} aria-label="Filter by estimate">
+          <option value="">Any estimate</option>
+          <option value="estimated">Estimated</option>
+          <option value="unestimated">Not estimated</option>
+        </Form.Select>
+      </Col>
+      {sprints.length > 0 && (
+        <Col xs="auto">
+          <Form.Select size="sm" value={filterSprint} onChange={e => setFilterSprint(e.target.value)} aria-label="Filter by sprint">
+            <option value="">All sprints</option>
+            <option value="backlog">Backlog</option>
+            {sprints.map(sprint => (
+              <option key={sprint._id} value={sprint._id}>{getSprintLabel(sprint)}</option>
+            ))}
+          </Form.Select>
+        </Col>
+      )}
+      {hasActiveFilters() && (
+        <Col xs="auto">
+          <Button variant="link" size="sm" onClick={clearFilters}>Clear filters</Button>
+        </Col>
+      )}
+    </Row>
+  );
+
   const renderListView = () => {
-    const sortedTasks = getSortedTasks();
+    const filteredTasks = getFilteredTasks();
+    // Subtasks are shown inside their parent's collapsible tree, unless a filter hides the parent
+    const sortedTasks = filteredTasks.filter(task => !task.parentTask || (
+      hasActiveFilters() && !filteredTasks.some(other => other._id === task.parentTask)
+    ));
+    if (sortedTasks.length === 0 && hasActiveFilters()) {
+      return (
+        <div className="text-center py-5">
+          <h6 className="text-muted">No tasks match the current filters</h6>
+          <Button variant="outline-secondary" size="sm" onClick={clearFilters}>
+            Clear filters
+          </Button>
+        </div>
+      );
+    }
+    const visibleIds = filteredTasks.map(task => task._id);
+    const allVisibleSelected = visibleIds.length > 0 && visibleIds.every(id => selectedTaskIds.includes(id));
     return (
       <>
+        {!isViewer && sortedTasks.length > 0 && (
+          <Form.Check
+            type="checkbox"
+            id="selectAllTasks"
+            className="mb-2 small"
+            label="Select all"
+            checked={allVisibleSelected}
+            onChange={() => setSelectedTaskIds(allVisibleSelected ? [] : visibleIds)}
+          />
+        )}
         {sortedTasks && sortedTasks.length > 0 ? (
           <ListGroup variant="flush">
             {sortedTasks.map((task, idx) => (
@@ -291,6 +773,12 @@ export default function TasksSection({
                 onTaskUpdated={onTasksUpdated}
                 onEditTask={openEditTaskModal}
                 canEditTask={canEditTask}
+                onAddSubtask={!isViewer ? handleAddSubtask : undefined}
+                onTrackTime={setTimeTrackingTask}
+                onViewTask={task => setDetailTaskId(task._id)}
+                currentUser={currentUser}
+                selectedTaskIds={selectedTaskIds}
+                onToggleSelect={!isViewer ? toggleTaskSelection : undefined}
               />
             ))}
           </ListGroup>
@@ -342,17 +830,28 @@ export default function TasksSection({
               <ButtonGroup className="me-3">
                 <Button 
                   variant={viewMode === 'list' ? 'primary' : 'outline-primary'} 
-                  onClick={() => setViewMode('list')}
+                  onClick={() => changeViewMode('list')}
                 >
                   List View
                 </Button>
                 <Button 
                   variant={viewMode === 'progress' ? 'primary' : 'outline-primary'} 
-                  onClick={() => setViewMode('progress')}
+                  onClick={() => changeViewMode('progress')}
                 >
                   Progress View
                 </Button>
+                <Button 
+                  variant={viewMode === 'archived' ? 'secondary' : 'outline-secondary'} 
+                  onClick={() => changeViewMode('archived')}
+                >
+                  Archived
+                </Button>
               </ButtonGroup>
+              {isProjectManager && (
+                <Button variant="outline-primary" size="sm" className="me-2" onClick={() => setShowImportWizard(true)}>
+                  Import
+                </Button>
+              )}
               {!isViewer && (
                 <Button variant="primary" size="sm" onClick={handleCreateTask}>
                   + Create Task
@@ -362,9 +861,37 @@ export default function TasksSection({
           </div>
         </Card.Header>
         <Card.Body className="pt-3 bg-white">
+          {viewMode !== 'archived' && renderFilters()}
+          {viewMode === 'list' && !isViewer && (
+            <BulkTaskActions
+              project={project}
+              projectId={projectId}
+              selectedTasks={selectedTasks}
+              onSelectionChange={setSelectedTaskIds}
+              onTasksUpdated={onTasksUpdated}
+            />
+          )}
+          {viewMode === 'archived' && (
+            <ArchivedTasks
+              projectId={projectId}
+              isProjectManager={isProjectManager}
+              isViewer={isViewer}
+              onTasksUpdated={onTasksUpdated}
+            />
+          )}
           {viewMode === 'progress' 
-            ? <ProgressView tasks={getSortedTasks()} onEditTask={openEditTaskModal} canEditTask={canEditTask} /> 
-            : renderListView()
+            ? (
+              <ProgressView
+                tasks={getFilteredTasks()}
+                onEditTask={openEditTaskModal}
+                canEditTask={canEditTask}
+                workflow={workflow}
+                projectId={projectId}
+                canMoveTask={canMoveTask}
+                onTasksUpdated={onTasksUpdated}
+              />
+            )
+            : viewMode === 'list' && renderListView()
           }
         </Card.Body>
       </Card>
@@ -372,10 +899,26 @@ export default function TasksSection({
       {/* Task Creation Modal */}
       <Modal show={showTaskModal} onHide={handleTaskModalClose} centered>
         <Modal.Header closeButton>
-          <Modal.Title>Create Task</Modal.Title>
+          <Modal.Title>{newTaskParent ? `Add Subtask to "${newTaskParent.taskName}"` : 'Create Task'}</Modal.Title>
         </Modal.Header>
         <Form onSubmit={handleTaskSubmit}>
           <Modal.Body>
+            {taskTemplates.length > 0 && (
+              <Form.Group className="mb-3" controlId="taskTemplate">
+                <Form.Label>Template (optional)</Form.Label>
+                <Form.Select value={taskTemplateId} onChange={e => applyTaskTemplate(e.target.value)}>
+                  <option value="">No template</option>
+                  {taskTemplates.map(template => (
+                    <option key={template._id} value={template._id}>{template.name}</option>
+                  ))}
+                </Form.Select>
+                {taskAssigneeRole && (
+                  <Form.Text muted>
+                    The task will be assigned to the project&apos;s {ASSIGNEE_ROLE_LABELS[taskAssigneeRole] || taskAssigneeRole}
+                  </Form.Text>
+                )}
+              </Form.Group>
+            )}
             <Form.Group className="mb-3" controlId="taskName">
               <Form.Label>Task Name</Form.Label>
               <Form.Control
@@ -397,6 +940,15 @@ export default function TasksSection({
                 placeholder="Enter task description"
               />
             </Form.Group>
+            <Form.Group className="mb-3" controlId="taskStartDate">
+              <Form.Label>Start Date (optional)</Form.Label>
+              <Form.Control
+                type="date"
+                value={taskStartDate}
+                max={taskDeadline || undefined}
+                onChange={e => setTaskStartDate(e.target.value)}
+              />
+            </Form.Group>
             <Form.Group className="mb-3" controlId="taskDeadline">
               <Form.Label>Task Deadline</Form.Label>
               <Form.Control
@@ -406,18 +958,69 @@ export default function TasksSection({
                 required
               />
             </Form.Group>
+            <TaskAttributeFields
+              idPrefix="task"
+              priority={taskPriority}
+              onPriorityChange={setTaskPriority}
+              labels={labels}
+              selectedLabels={taskLabels}
+              onLabelsChange={setTaskLabels}
+              estimate={taskEstimate}
+              onEstimateChange={setTaskEstimate}
+              estimateUnit={estimateUnit}
+            />
+            <RecurrenceFields idPrefix="task" recurrence={taskRecurrence} onChange={setTaskRecurrence} />
+            <SprintField idPrefix="task" sprints={getOpenSprints(sprints)} value={taskSprint} onChange={setTaskSprint} />
           </Modal.Body>
           <Modal.Footer>
             <Button variant="secondary" onClick={handleTaskModalClose} disabled={creatingTask}>
               Cancel
             </Button>
             <Button variant="primary" type="submit" disabled={creatingTask}>
-              {creatingTask ? <Spinner animation="border" size="sm" /> : 'Create Task'}
+              {creatingTask ? <Spinner animation="border" size="sm" /> : (newTaskParent ? 'Create Subtask' : 'Create Task')}
             </Button>
           </Modal.Footer>
         </Form>
       </Modal>
 
+      {/* Task Import Wizard */}
+      {isProjectManager && (
+        <TaskImportWizard
+          show={showImportWizard}
+          onHide={() => setShowImportWizard(false)}
+          projectId={projectId}
+          onImported={onTasksUpdated}
+        />
+      )}
+
+      {/* Time Tracking Modal */}
+      <TimeTrackingModal
+        show={!!timeTrackingTask}
+        onHide={() => setTimeTrackingTask(null)}
+        task={timeTrackingTask}
+        projectId={projectId}
+        currentUser={currentUser}
+        canTrackTime={!isViewer}
+        isProjectOwner={!!currentUser && project.projectOwner?.toString() === currentUser._id?.toString()}
+        estimateUnit={estimateUnit}
+      />
+
+      {/* Task Detail Modal */}
+      <TaskDetailModal
+        show={!!detailTask}
+        onHide={() => setDetailTaskId(null)}
+        task={detailTask}
+        tasks={project.tasks}
+        workflow={workflow}
+        labels={labels}
+        estimateUnit={estimateUnit}
+        projectId={projectId}
+        members={project.members}
+        canEditChecklist={!isViewer}
+        onTaskUpdated={onTasksUpdated}
+        currentUser={currentUser}
+      />
+
       {/* Edit Task Modal */}
       <Modal show={editTaskModal} onHide={closeEditTaskModal} centered>
         <Modal.Header closeButton>
@@ -444,6 +1047,15 @@ export default function TasksSection({
                 required
               />
             </Form.Group>
+            <Form.Group className="mb-3" controlId="editTaskStartDate">
+              <Form.Label>Start Date (optional)</Form.Label>
+              <Form.Control
+                type="date"
+                value={editTaskStartDate}
+                max={editTaskDeadline || undefined}
+                onChange={e => setEditTaskStartDate(e.target.value)}
+              />
+            </Form.Group>
             <Form.Group className="mb-3" controlId="editTaskDeadline">
               <Form.Label>Task Deadline</Form.Label>
               <Form.Control
@@ -453,17 +1065,83 @@ export default function TasksSection({
                 required
               />
             </Form.Group>
+            <TaskAttributeFields
+              idPrefix="editTask"
+              priority={editTaskPriority}
+              onPriorityChange={setEditTaskPriority}
+              labels={labels}
+              selectedLabels={editTaskLabels}
+              onLabelsChange={setEditTaskLabels}
+              estimate={editTaskEstimate}
+              onEstimateChange={setEditTaskEstimate}
+              estimateUnit={estimateUnit}
+            />
+            <RecurrenceFields idPrefix="editTask" recurrence={editTaskRecurrence} onChange={setEditTaskRecurrence} />
+            <SprintField idPrefix="editTask" sprints={sprints} value={editTaskSprint} onChange={setEditTaskSprint} />
             <Form.Group className="mb-3" controlId="editTaskProgress">
               <Form.Label>Status</Form.Label>
               <Form.Select
                 value={editTaskProgress}
                 onChange={e => setEditTaskProgress(e.target.value)}
+                disabled={hasSubtasks(editTask)}
                 required
               >
-                <option value="To Do">To Do</option>
-                <option value="In Progress">In Progress</option>
-                <option value="Completed">Completed</option>
+                {getAllowedStatuses(workflow, editTask?.taskProgress).map(status => (
+                  <option key={status.name} value={status.name}>{status.name}</option>
+                ))}
               </Form.Select>
+              {hasSubtasks(editTask) && (
+                <Form.Text className="text-muted">
+                  Status is calculated from this task&apos;s subtasks.
+                </Form.Text>
+              )}
+            </Form.Group>
+            <Form.Group className="mb-3" controlId="editTaskBlockers">
+              <Form.Label>Blocked by</Form.Label>
+              {getBlockers(editTask).length > 0 ? (
+                <ListGroup className="mb-2">
+                  {getBlockers(editTask).map(blocker => (
+                    <ListGroup.Item key={blocker._id} className="d-flex justify-content-between align-items-center py-1">
+                      <span>{blocker.taskName} <small className="text-muted">({blocker.taskProgress})</small></span>
+                      <Button
+                        variant="link"
+                        size="sm"
+                        className="text-danger p-0"
+                        onClick={() => handleRemoveBlocker(blocker._id)}
+                        disabled={updatingDependencies}
+                        aria-label={`Remove blocker ${blocker.taskName}`}
+                      >
+                        ✕
+                      </Button>
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+              ) : (
+                <Form.Text className="d-block text-muted mb-2">This task is not waiting on any other task.</Form.Text>
+              )}
+              <div className="d-flex gap-2">
+                <Form.Select
+                  size="sm"
+                  value={newBlockerId}
+                  onChange={e => setNewBlockerId(e.target.value)}
+                  disabled={updatingDependencies}
+                >
+                  <option value="">Select a blocking task…</option>
+                  {(project.tasks || [])
+                    .filter(t => editTask && t._id !== editTask._id && !getBlockers(editTask).some(b => b._id === t._id))
+                    .map(t => (
+                      <option key={t._id} value={t._id}>{t.taskName}</option>
+                    ))}
+                </Form.Select>
+                <Button
+                  variant="outline-primary"
+                  size="sm"
+                  onClick={handleAddBlocker}
+                  disabled={!newBlockerId || updatingDependencies}
+                >
+                  Add
+                </Button>
+              </div>
             </Form.Group>
           </Modal.Body>
           <Modal.Footer>
@@ -0,0 +1,195 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Button, Form, ListGroup, Row, Col, Badge } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+
+const describeTemplate = (template) => {
+  const count = template.tasks.length;
+  return `${count} task${count === 1 ? '' : 's'}`;
+};
+
+export default function TemplateSettings({ project, projectId }) {
+  const [projectTemplates, setProjectTemplates] = useState([]);
+  const [taskTemplates, setTaskTemplates] = useState([]);
+  const [templateName, setTemplateName] = useState('');
+  const [templateDescription, setTemplateDescription] = useState('');
+  const [templateStartDate, setTemplateStartDate] = useState('');
+  const [taskId, setTaskId] = useState('');
+  const [taskTemplateName, setTaskTemplateName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const tasks = project?.tasks || [];
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const [projectResponse, taskResponse] = await Promise.all([
+        ProjectService.getProjectTemplates(),
+        ProjectService.getTaskTemplates(projectId)
+      ]);
+      setProjectTemplates(projectResponse.data.templates || []);
+      setTaskTemplates(taskResponse.data.templates || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load templates');
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const run = async (action, successMessage, failureMessage) => {
+    setSaving(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      await fetchTemplates();
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || failureMessage);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveProjectTemplate = async () => {
+    if (!templateName.trim()) {
+      toast.error('Give the template a name');
+      return;
+    }
+    const saved = await run(
+      () => ProjectService.saveProjectTemplate(projectId, templateName.trim(), templateDescription.trim(), templateStartDate),
+      'Project template saved',
+      'Failed to save template'
+    );
+    if (saved) {
+      setTemplateName('');
+      setTemplateDescription('');
+      setTemplateStartDate('');
+    }
+  };
+
+  const handleSaveTaskTemplate = async () => {
+    if (!taskId) {
+      toast.error('Choose a task to save');
+      return;
+    }
+    const saved = await run(
+      () => ProjectService.saveTaskTemplate(projectId, taskId, taskTemplateName.trim()),
+      'Task template saved',
+      'Failed to save template'
+    );
+    if (saved) {
+      setTaskId('');
+      setTaskTemplateName('');
+    }
+  };
+
+  const handleDelete = (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    run(
+      () => ProjectService.deleteTemplate(template._id),
+      'Template deleted',
+      'Failed to delete template'
+    );
+  };
+
+  const renderTemplates = (templates, emptyText) => (
+    templates.length > 0 ? (
+      <ListGroup className="mb-3">
+        {templates.map(template => (
+          <ListGroup.Item key={template._id} data-testid={`template-${template._id}`}>
+            <div className="d-flex justify-content-between align-items-center">
+              <div className="text-truncate me-3">
+                <strong>{template.name}</strong>{' '}
+                <Badge bg="light" text="dark">{describeTemplate(template)}</Badge>
+                {template.description && <div className="small text-muted">{template.description}</div>}
+              </div>
+              <Button variant="outline-danger" size="sm" disabled={saving} onClick={() => handleDelete(template)}>
+                Delete
+              </Button>
+            </div>
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+    ) : (
+      <p className="text-muted small">{emptyText}</p>
+    )
+  );
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h5 className="mb-0">Templates</h5>
+        <small className="text-muted">
+          Reuse this project's tasks when creating a new project, or a single task in the create-task form
+        </small>
+      </Card.Header>
+      <Card.Body>
+        <h6>Project templates</h6>
+        {renderTemplates(projectTemplates, 'You have not saved any project templates.')}
+        <Row className="g-2 align-items-end mb-4">
+          <Col md={4}>
+            <Form.Control
+              size="sm"
+              value={templateName}
+              placeholder="Template name"
+              aria-label="Project template name"
+              onChange={e => setTemplateName(e.target.value)}
+            />
+          </Col>
+          <Col md={4}>
+            <Form.Control
+              size="sm"
+              value={templateDescription}
+              placeholder="Description (optional)"
+              aria-label="Project template description"
+              onChange={e => setTemplateDescription(e.target.value)}
+            />
+          </Col>
+          <Col md={2}>
+            <Form.Control
+              size="sm"
+              type="date"
+              value={templateStartDate}
+              title="Deadlines are saved as days after this date; defaults to when the project was created"
+              aria-label="Template start date"
+              onChange={e => setTemplateStartDate(e.target.value)}
+            />
+          </Col>
+          <Col md={2}>
+            <Button variant="outline-primary" size="sm" className="w-100" disabled={saving || tasks.length === 0} onClick={handleSaveProjectTemplate}>
+              Save tasks
+            </Button>
+          </Col>
+        </Row>
+
+        <h6>Task templates</h6>
+        {renderTemplates(taskTemplates, 'This project has no task templates.')}
+        <Row className="g-2 align-items-end">
+          <Col md={5}>
+            <Form.Select size="sm" value={taskId} aria-label="Task to save as a template" onChange={e => setTaskId(e.target.value)}>
+              <option value="">Choose a task…</option>
+              {tasks.map(task => (
+                <option key={task._id} value={task._id}>{task.taskName}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md={5}>
+            <Form.Control
+              size="sm"
+              value={taskTemplateName}
+              placeholder="Template name (defaults to the task name)"
+              aria-label="Task template name"
+              onChange={e => setTaskTemplateName(e.target.value)}
+            />
+          </Col>
+          <Col md={2}>
+            <Button variant="outline-primary" size="sm" className="w-100" disabled={saving} onClick={handleSaveTaskTemplate}>
+              Save task
+            </Button>
+          </Col>
+        </Row>
+      </Card.Body>
+    </Card>
+  );
+}
@@ -0,0 +1,228 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Modal, Button, Form, ListGroup, Row, Col, Spinner, Badge } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import moment from 'moment';
+import ProjectService from '../services/project.service';
+import { formatMinutes, combineDateAndTime } from '../utils/time';
+import { formatEstimate } from '../utils/taskAttributes';
+
+export default function TimeTrackingModal({
+  show,
+  onHide,
+  task,
+  projectId,
+  currentUser,
+  canTrackTime,
+  isProjectOwner,
+  estimateUnit
+}) {
+  const [entries, setEntries] = useState([]);
+  const [totalMinutes, setTotalMinutes] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [timerNote, setTimerNote] = useState('');
+  const [entryDate, setEntryDate] = useState(moment().format('YYYY-MM-DD'));
+  const [entryStart, setEntryStart] = useState('09:00');
+  const [entryEnd, setEntryEnd] = useState('10:00');
+  const [entryNote, setEntryNote] = useState('');
+  const [now, setNow] = useState(Date.now());
+
+  const loadEntries = useCallback(async () => {
+    if (!task) return;
+    setLoading(true);
+    try {
+      const response = await ProjectService.getTaskTimeEntries(projectId, task._id);
+      setEntries(response.data.entries);
+      setTotalMinutes(response.data.totalMinutes);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load time entries');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, task]);
+
+  useEffect(() => {
+    if (show) loadEntries();
+  }, [show, loadEntries]);
+
+  const runningEntry = entries.find(entry => !entry.end && entry.user?._id === currentUser?._id);
+
+  // Refresh the elapsed time of a running timer every half minute
+  useEffect(() => {
+    if (!runningEntry) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, [runningEntry]);
+
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      await loadEntries();
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update time entries');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartTimer = async () => {
+    const started = await runAction(() => ProjectService.startTaskTimer(projectId, task._id, timerNote), 'Timer started');
+    if (started) setTimerNote('');
+  };
+
+  const handleStopTimer = () => {
+    runAction(() => ProjectService.stopTaskTimer(projectId, task._id), 'Timer stopped');
+  };
+
+  const handleAddEntry = async (e) => {
+    e.preventDefault();
+    if (!entryDate || !entryStart || !entryEnd) {
+      toast.error('Please enter a date, start and end time.');
+      return;
+    }
+    const start = combineDateAndTime(entryDate, entryStart);
+    const end = combineDateAndTime(entryDate, entryEnd);
+    const added = await runAction(
+      () => ProjectService.addTimeEntry(projectId, task._id, start.toISOString(), end.toISOString(), entryNote),
+      'Time logged'
+    );
+    if (added) setEntryNote('');
+  };
+
+  const handleDeleteEntry = (entryId) => {
+    if (!window.confirm('Delete this time entry?')) return;
+    runAction(() => ProjectService.deleteTimeEntry(projectId, task._id, entryId), 'Time entry deleted');
+  };
+
+  const canDeleteEntry = (entry) => isProjectOwner || entry.user?._id === currentUser?._id;
+
+  return (
+    <Modal show={show} onHide={onHide} centered size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Time on &quot;{task?.taskName}&quot;</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <div className="mb-3">
+          <strong>Total logged:</strong> {formatMinutes(totalMinutes)}
+          {task?.estimate !== null && task?.estimate !== undefined && (
+            <span className="text-muted ms-2">(estimate: {formatEstimate(task.estimate, estimateUnit)})</span>
+          )}
+        </div>
+
+        {canTrackTime && (
+          <div className="border rounded p-3 mb-3">
+            {runningEntry ? (
+              <div className="d-flex justify-content-between align-items-center">
+                <span>
+                  <Badge bg="success" className="me-2">Running</Badge>
+                  since {moment(runningEntry.start).format('HH:mm')}
+                  {' '}({formatMinutes((now - new Date(runningEntry.start)) / 60000)})
+                </span>
+                <Button variant="danger" size="sm" onClick={handleStopTimer} disabled={busy}>
+                  Stop Timer
+                </Button>
+              </div>
+            ) : (
+              <div className="d-flex gap-2">
+                <Form.Control
+                  size="sm"
+                  value={timerNote}
+                  onChange={e => setTimerNote(e.target.value)}
+                  placeholder="What are you working on? (optional)"
+                  aria-label="Timer note"
+                />
+                <Button variant="success" size="sm" className="text-nowrap" onClick={handleStartTimer} disabled={busy}>
+                  Start Timer
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {canTrackTime && (
+          <Form onSubmit={handleAddEntry} className="border rounded p-3 mb-3">
+            <Row className="g-2 align-items-end">
+              <Col md={3}>
+                <Form.Group controlId="timeEntryDate">
+                  <Form.Label className="small">Date</Form.Label>
+                  <Form.Control size="sm" type="date" value={entryDate} onChange={e => setEntryDate(e.target.value)} />
+                </Form.Group>
+              </Col>
+              <Col md={2}>
+                <Form.Group controlId="timeEntryStart">
+                  <Form.Label className="small">Start</Form.Label>
+                  <Form.Control size="sm" type="time" value={entryStart} onChange={e => setEntryStart(e.target.value)} />
+                </Form.Group>
+              </Col>
+              <Col md={2}>
+                <Form.Group controlId="timeEntryEnd">
+                  <Form.Label className="small">End</Form.Label>
+                  <Form.Control size="sm" type="time" value={entryEnd} onChange={e => setEntryEnd(e.target.value)} />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group controlId="timeEntryNote">
+                  <Form.Label className="small">Note</Form.Label>
+                  <Form.Control size="sm" value={entryNote} onChange={e => setEntryNote(e.target.value)} />
+                </Form.Group>
+              </Col>
+              <Col md={2}>
+                <Button type="submit" variant="outline-primary" size="sm" className="w-100" disabled={busy}>
+                  Log Time
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        )}
+
+        {loading ? (
+          <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>
+        ) : entries.length > 0 ? (
+          <ListGroup>
+            {entries.map(entry => (
+              <ListGroup.Item key={entry._id} className="d-flex justify-content-between align-items-center">
+                <div>
+                  <div>
+                    <strong>{entry.user?.name || 'Unknown user'}</strong>
+                    <span className="text-muted ms-2 small">
+                      {moment(entry.start).format('D MMM YYYY, HH:mm')}
+                      {entry.end ? ` – ${moment(entry.end).format('HH:mm')}` : ' – now'}
+                    </span>
+                  </div>
+                  {entry.note && <div className="small text-muted">{entry.note}</div>}
+                </div>
+                <div className="d-flex align-items-center">
+                  {entry.end
+                    ? <span className="me-3">{formatMinutes(entry.duration)}</span>
+                    : <Badge bg="success" className="me-3">Running</Badge>}
+                  {canDeleteEntry(entry) && (
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="p-0 text-danger"
+                      onClick={() => handleDeleteEntry(entry._id)}
+                      disabled={busy}
+                      aria-label="Delete time entry"
+                    >
+                      ✕
+                    </Button>
+                  )}
+                </div>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        ) : (
+          <p className="text-muted small mb-0">No time has been logged on this task yet.</p>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>Close</Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
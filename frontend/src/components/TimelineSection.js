@@ -0,0 +1,203 @@
+import { useEffect, useRef, useState } from 'react';
+import { Card, Form } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import moment from 'moment';
+import ProjectService from '../services/project.service';
+import { getProjectWorkflow, getStatusColor } from '../utils/workflow';
+import {
+  getTaskSpan,
+  getTimelineRange,
+  getTimelineGroups,
+  getRescheduleUpdate
+} from '../utils/timeline';
+
+const DAY_WIDTH = 32; // px per day column
+const LABEL_WIDTH = 200; // px for the task name column
+
+export default function TimelineSection({ project, projectId, canEditTask = () => false, onTasksUpdated }) {
+  const [groupBy, setGroupBy] = useState('status'); // 'status' | 'assignee'
+  const [dragPreview, setDragPreview] = useState(null); // { taskId, edge, delta }
+  const [pending, setPending] = useState(null); // { taskId, update } while a reschedule is saved
+  const dragRef = useRef(null);
+  const rescheduleRef = useRef(null);
+  const workflow = getProjectWorkflow(project);
+
+  // Saved changes stay on screen until the refreshed project arrives
+  const tasks = (project.tasks || []).map(task =>
+    pending && pending.taskId === task._id ? { ...task, ...pending.update } : task
+  );
+  const today = moment().startOf('day');
+  const range = getTimelineRange(tasks, today);
+  const days = Array.from({ length: range.days }, (_, index) => range.start.clone().add(index, 'days'));
+  const dayIndex = (day) => day.diff(range.start, 'days');
+
+  const reschedule = async (task, edge, dayDelta) => {
+    const update = getRescheduleUpdate(task, edge, dayDelta);
+    if (!update) return;
+    setPending({ taskId: task._id, update });
+    try {
+      await ProjectService.updateTask(projectId, task._id, update);
+      toast.success('Task rescheduled.');
+      if (onTasksUpdated) await onTasksUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to reschedule task.');
+    } finally {
+      setPending(null);
+    }
+  };
+
+  rescheduleRef.current = reschedule;
+
+  // Listens on the window so the drag keeps working when the pointer leaves the bar
+  const dragging = !!dragPreview;
+  useEffect(() => {
+    if (!dragging) return undefined;
+    const handleMouseMove = (e) => {
+      const delta = Math.round((e.clientX - dragRef.current.startX) / DAY_WIDTH);
+      if (delta !== dragRef.current.delta) {
+        dragRef.current.delta = delta;
+        setDragPreview(prev => ({ ...prev, delta }));
+      }
+    };
+    const handleMouseUp = () => {
+      const { task, edge, delta } = dragRef.current;
+      dragRef.current = null;
+      setDragPreview(null);
+      rescheduleRef.current(task, edge, delta);
+    };
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [dragging]);
+
+  const startDrag = (e, task, edge) => {
+    e.preventDefault();
+    dragRef.current = { task, edge, startX: e.clientX, delta: 0 };
+    setDragPreview({ taskId: task._id, edge, delta: 0 });
+  };
+
+  const handleEdgeKeyDown = (e, task, edge) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      reschedule(task, edge, e.key === 'ArrowLeft' ? -1 : 1);
+    }
+  };
+
+  const renderBar = (task) => {
+    const preview = dragPreview && dragPreview.taskId === task._id
+      ? getRescheduleUpdate(task, dragPreview.edge, dragPreview.delta)
+      : null;
+    const { start, end } = getTaskSpan(preview ? { ...task, ...preview } : task);
+    const color = getStatusColor(workflow, task.taskProgress);
+    const editable = !!projectId && canEditTask(task) && !pending;
+
+    return (
+      <div
+        className={`timeline-bar${editable ? ' editable' : ''}`}
+        style={{
+          left: dayIndex(start) * DAY_WIDTH + 2,
+          width: (end.diff(start, 'days') + 1) * DAY_WIDTH - 4,
+          backgroundColor: color,
+          borderStyle: task.taskStartDate ? 'solid' : 'dashed'
+        }}
+        title={`${task.taskName}: ${start.format('D MMM YYYY')} – ${end.format('D MMM YYYY')}`}
+        data-testid={`timeline-bar-${task._id}`}
+      >
+        {editable && (
+          <>
+            <button
+              type="button"
+              className="timeline-handle start"
+              aria-label={`Change start of ${task.taskName}`}
+              onMouseDown={e => startDrag(e, task, 'start')}
+              onKeyDown={e => handleEdgeKeyDown(e, task, 'start')}
+            />
+            <button
+              type="button"
+              className="timeline-handle end"
+              aria-label={`Change deadline of ${task.taskName}`}
+              onMouseDown={e => startDrag(e, task, 'end')}
+              onKeyDown={e => handleEdgeKeyDown(e, task, 'end')}
+            />
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const groups = getTimelineGroups(tasks, workflow, groupBy);
+  const trackWidth = range.days * DAY_WIDTH;
+
+  return (
+    <Card className="shadow-sm">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">📈 Timeline</h5>
+        <Form.Select
+          size="sm"
+          style={{ width: 'auto' }}
+          value={groupBy}
+          onChange={e => setGroupBy(e.target.value)}
+          aria-label="Group rows by"
+        >
+          <option value="status">Group by status</option>
+          <option value="assignee">Group by assignee</option>
+        </Form.Select>
+      </Card.Header>
+      <Card.Body>
+        {tasks.length === 0 ? (
+          <p className="text-muted text-center my-4">No tasks to show on the timeline yet.</p>
+        ) : (
+          <div className="timeline-scroll">
+            <div className="timeline-grid" style={{ width: LABEL_WIDTH + trackWidth }}>
+              <div
+                className="timeline-today"
+                style={{ left: LABEL_WIDTH + dayIndex(today) * DAY_WIDTH + DAY_WIDTH / 2 }}
+                title="Today"
+                data-testid="timeline-today"
+              />
+              <div className="timeline-row timeline-days">
+                <div className="timeline-label" style={{ width: LABEL_WIDTH }} />
+                {days.map(day => (
+                  <div
+                    key={day.format('YYYY-MM-DD')}
+                    className={`timeline-day${day.day() === 0 || day.day() === 6 ? ' weekend' : ''}`}
+                    style={{ width: DAY_WIDTH }}
+                    title={day.format('ddd D MMM YYYY')}
+                  >
+                    {(day.date() === 1 || dayIndex(day) === 0) && (
+                      <div className="timeline-month">{day.format('MMM')}</div>
+                    )}
+                    {day.date()}
+                  </div>
+                ))}
+              </div>
+              {groups.map(group => (
+                <div key={group.key} className="timeline-group">
+                  <div className="timeline-group-name">
+                    {group.color && (
+                      <span className="timeline-swatch" style={{ backgroundColor: group.color }} />
+                    )}
+                    {group.name} ({group.tasks.length})
+                  </div>
+                  {group.tasks.map(task => (
+                    <div key={task._id} className="timeline-row">
+                      <div className="timeline-label text-truncate" style={{ width: LABEL_WIDTH }} title={task.taskName}>
+                        {task.taskName}
+                      </div>
+                      <div className="timeline-track" style={{ width: trackWidth }}>
+                        {renderBar(task)}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
@@ -0,0 +1,135 @@
+import { useState, useEffect, useCallback, Fragment } from 'react';
+import { Card, Table, Button, ButtonGroup, Spinner, Alert } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import moment from 'moment';
+import ProjectService from '../services/project.service';
+import { formatMinutes, getWeekStart, addDays } from '../utils/time';
+
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export default function TimesheetSection({ projectId }) {
+  const [weekStart, setWeekStart] = useState(() => getWeekStart());
+  const [timesheet, setTimesheet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedMembers, setExpandedMembers] = useState({}); // { userId: boolean }
+
+  const fetchTimesheet = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await ProjectService.getTimesheet(projectId, weekStart);
+      setTimesheet(response.data);
+    } catch (err) {
+      const message = err.response?.data?.message || 'Failed to load timesheet';
+      setError(message);
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, weekStart]);
+
+  useEffect(() => {
+    fetchTimesheet();
+  }, [fetchTimesheet]);
+
+  const toggleMember = (userId) => {
+    setExpandedMembers(prev => ({ ...prev, [userId]: !prev[userId] }));
+  };
+
+  const weekEnd = addDays(weekStart, 6);
+  const isCurrentWeek = weekStart.getTime() === getWeekStart().getTime();
+  const members = timesheet?.members || [];
+  const dayTotals = DAY_NAMES.map((_, day) => members.reduce((sum, row) => sum + row.days[day], 0));
+
+  return (
+    <Card className="shadow-sm bg-white">
+      <Card.Header className="d-flex justify-content-between align-items-center bg-white border-0">
+        <h5 className="mb-0">
+          Timesheet
+          <span className="text-muted fs-6 ms-2">
+            {moment(weekStart).format('D MMM')} – {moment(weekEnd).format('D MMM YYYY')}
+          </span>
+        </h5>
+        <ButtonGroup size="sm">
+          <Button variant="outline-secondary" onClick={() => setWeekStart(addDays(weekStart, -7))} aria-label="Previous week">
+            ‹
+          </Button>
+          <Button variant="outline-secondary" onClick={() => setWeekStart(getWeekStart())} disabled={isCurrentWeek}>
+            This week
+          </Button>
+          <Button variant="outline-secondary" onClick={() => setWeekStart(addDays(weekStart, 7))} aria-label="Next week">
+            ›
+          </Button>
+        </ButtonGroup>
+      </Card.Header>
+      <Card.Body>
+        {loading ? (
+          <div className="text-center py-4"><Spinner animation="border" /></div>
+        ) : error ? (
+          <Alert variant="danger" className="mb-0">{error}</Alert>
+        ) : (
+          <Table responsive hover size="sm" className="mb-0 align-middle">
+            <thead>
+              <tr>
+                <th>Member</th>
+                {DAY_NAMES.map((name, day) => (
+                  <th key={name} className="text-end">
+                    {name}
+                    <div className="small text-muted fw-normal">{moment(addDays(weekStart, day)).format('D/M')}</div>
+                  </th>
+                ))}
+                <th className="text-end">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {members.map(row => (
+                <Fragment key={row.user._id}>
+                  <tr>
+                    <td>
+                      {row.tasks.length > 0 ? (
+                        <Button
+                          variant="link"
+                          size="sm"
+                          className="p-0 me-1 text-decoration-none"
+                          onClick={() => toggleMember(row.user._id)}
+                          aria-label={`Show tasks for ${row.user.name}`}
+                        >
+                          {expandedMembers[row.user._id] ? '▾' : '▸'}
+                        </Button>
+                      ) : (
+                        <span className="me-1 invisible">▸</span>
+                      )}
+                      {row.user.name}
+                    </td>
+                    {row.days.map((minutes, day) => (
+                      <td key={day} className={`text-end ${minutes ? '' : 'text-muted'}`}>
+                        {minutes ? formatMinutes(minutes) : '–'}
+                      </td>
+                    ))}
+                    <td className="text-end fw-bold">{formatMinutes(row.total)}</td>
+                  </tr>
+                  {expandedMembers[row.user._id] && row.tasks.map(task => (
+                    <tr key={`${row.user._id}-${task.taskId}`} className="small text-muted">
+                      <td className="ps-4" colSpan={8}>{task.taskName}</td>
+                      <td className="text-end">{formatMinutes(task.minutes)}</td>
+                    </tr>
+                  ))}
+                </Fragment>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="fw-bold">
+                <td>Total</td>
+                {dayTotals.map((minutes, day) => (
+                  <td key={day} className="text-end">{formatMinutes(minutes)}</td>
+                ))}
+                <td className="text-end">{formatMinutes(timesheet?.total)}</td>
+              </tr>
+            </tfoot>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
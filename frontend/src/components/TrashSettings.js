@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Button, ListGroup, Badge, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import moment from 'moment';
+import ProjectService from '../services/project.service';
+
+// What a restore brings back along with each kind of item
+const CHILD_NOUNS = {
+  Post: 'comment',
+  Comment: 'reply',
+  Task: 'subtask'
+};
+
+const pluralize = (count, noun) => {
+  if (count === 1) return `1 ${noun}`;
+  return `${count} ${noun === 'reply' ? 'replies' : `${noun}s`}`;
+};
+
+export default function TrashSettings({ project, projectId, onProjectUpdated }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const response = await ProjectService.getTrash(projectId);
+      setItems(response.data.items || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load the trash');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const retentionDays = project?.settings?.trashRetentionDays ?? 30;
+
+  const handleRestore = async (item) => {
+    setRestoringId(item._id);
+    try {
+      await ProjectService.restoreTrashItem(projectId, item._id);
+      toast.success(`${item.itemType} restored successfully`);
+      await fetchTrash();
+      onProjectUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to restore item');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h5 className="mb-0">Trash</h5>
+        <small className="text-muted">
+          Deleted posts, comments and tasks are purged {retentionDays} day{retentionDays === 1 ? '' : 's'} after deletion
+        </small>
+      </Card.Header>
+      <Card.Body>
+        {loading ? (
+          <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>
+        ) : items.length > 0 ? (
+          <ListGroup>
+            {items.map(item => (
+              <ListGroup.Item key={item._id} data-testid={`trash-${item._id}`}>
+                <div className="d-flex justify-content-between align-items-start">
+                  <div className="text-truncate me-3">
+                    <Badge bg="light" text="dark">{item.itemType}</Badge>{' '}
+                    <strong>{item.label}</strong>
+                    <div className="small text-muted">
+                      Deleted {moment(item.deletedAt).format('MMM D, YYYY')}
+                      {item.deletedBy?.name && ` by ${item.deletedBy.name}`}
+                      {item.childCount > 0 && ` · with ${pluralize(item.childCount, CHILD_NOUNS[item.itemType])}`}
+                      {` · purged ${moment(item.purgeAt).format('MMM D, YYYY')}`}
+                    </div>
+                  </div>
+                  <Button
+                    variant="outline-primary"
+                    size="sm"
+                    disabled={restoringId === item._id}
+                    onClick={() => handleRestore(item)}
+                  >
+                    Restore
+                  </Button>
+                </div>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        ) : (
+          <p className="text-muted small mb-0">The trash is empty.</p>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
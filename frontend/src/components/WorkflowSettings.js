@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import { Card, Button, Form, ListGroup, Row, Col, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+import { getProjectWorkflow, STATUS_CATEGORIES } from '../utils/workflow';
+
+let nextStatusKey = 0;
+
+// Statuses are edited by key so transitions survive renames
+const toDraft = (workflow) => {
+  const keys = workflow.map(() => `status-${nextStatusKey++}`);
+  return workflow.map((status, index) => ({
+    key: keys[index],
+    name: status.name,
+    previousName: status.name,
+    category: status.category,
+    color: status.color,
+    wipLimit: status.wipLimit ? String(status.wipLimit) : '',
+    transitions: (status.transitions || [])
+      .map(target => keys[workflow.findIndex(other => other.name === target)])
+      .filter(Boolean)
+  }));
+};
+
+const fromDraft = (draft) => draft.map(status => ({
+  name: status.name.trim(),
+  category: status.category,
+  color: status.color,
+  transitions: status.transitions
+    .map(key => draft.find(other => other.key === key))
+    .filter(Boolean)
+    .map(target => target.name.trim()),
+  // Leaving the limit out clears it
+  ...(status.wipLimit !== '' && { wipLimit: Number(status.wipLimit) }),
+  ...(status.previousName && { previousName: status.previousName })
+}));
+
+export default function WorkflowSettings({ project, projectId, onProjectUpdated }) {
+  const [draft, setDraft] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(toDraft(getProjectWorkflow(project)));
+  }, [project]);
+
+  const updateStatus = (key, changes) => {
+    setDraft(draft.map(status => (status.key === key ? { ...status, ...changes } : status)));
+  };
+
+  const toggleTransition = (key, targetKey) => {
+    const status = draft.find(s => s.key === key);
+    const transitions = status.transitions.includes(targetKey)
+      ? status.transitions.filter(k => k !== targetKey)
+      : [...status.transitions, targetKey];
+    updateStatus(key, { transitions });
+  };
+
+  const moveStatus = (index, offset) => {
+    const reordered = [...draft];
+    const [status] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, status);
+    setDraft(reordered);
+  };
+
+  const removeStatus = (key) => {
+    setDraft(draft
+      .filter(status => status.key !== key)
+      .map(status => ({ ...status, transitions: status.transitions.filter(k => k !== key) })));
+  };
+
+  const addStatus = () => {
+    setDraft([
+      ...draft,
+      {
+        key: `status-${nextStatusKey++}`,
+        name: '',
+        previousName: null,
+        category: 'active',
+        color: '#17a2b8',
+        wipLimit: '',
+        transitions: []
+      }
+    ]);
+  };
+
+  const handleSave = async () => {
+    if (draft.some(status => !status.name.trim())) {
+      toast.error('Every status needs a name');
+      return;
+    }
+    setSaving(true);
+    try {
+      await ProjectService.updateProjectWorkflow(projectId, fromDraft(draft));
+      toast.success('Workflow updated successfully');
+      onProjectUpdated();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update workflow');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <div>
+          <h5 className="mb-0">Task Workflow</h5>
+          <small className="text-muted">Statuses in order, with the statuses each one can move to</small>
+        </div>
+        <Button variant="outline-primary" size="sm" onClick={addStatus} disabled={saving}>
+          + Add Status
+        </Button>
+      </Card.Header>
+      <Card.Body>
+        <ListGroup className="mb-3">
+          {draft.map((status, index) => (
+            <ListGroup.Item key={status.key} style={{ borderLeft: `4px solid ${status.color}` }}>
+              <Row className="g-2 align-items-center mb-2">
+                <Col md={5}>
+                  <Form.Control
+                    size="sm"
+                    value={status.name}
+                    placeholder="Status name"
+                    aria-label="Status name"
+                    onChange={e => updateStatus(status.key, { name: e.target.value })}
+                  />
+                </Col>
+                <Col md={3}>
+                  <Form.Select
+                    size="sm"
+                    value={status.category}
+                    aria-label={`Category of ${status.name || 'new status'}`}
+                    onChange={e => updateStatus(status.key, { category: e.target.value })}
+                  >
+                    {STATUS_CATEGORIES.map(category => (
+                      <option key={category.value} value={category.value}>{category.label}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col md={1}>
+                  <Form.Control
+                    type="color"
+                    size="sm"
+                    value={status.color}
+                    title="Status colour"
+                    onChange={e => updateStatus(status.key, { color: e.target.value })}
+                  />
+                </Col>
+                <Col md={3} className="text-end">
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="p-0 me-2"
+                    onClick={() => moveStatus(index, -1)}
+                    disabled={index === 0}
+                    aria-label={`Move ${status.name} up`}
+                  >
+                    ↑
+                  </Button>
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="p-0 me-2"
+                    onClick={() => moveStatus(index, 1)}
+                    disabled={index === draft.length - 1}
+                    aria-label={`Move ${status.name} down`}
+                  >
+                    ↓
+                  </Button>
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="p-0 text-danger"
+                    onClick={() => removeStatus(status.key)}
+                    disabled={draft.length === 1}
+                    aria-label={`Remove ${status.name}`}
+                  >
+                    ✕
+                  </Button>
+                </Col>
+              </Row>
+              <div className="d-flex flex-wrap align-items-center gap-3">
+                <small className="text-muted">WIP limit:</small>
+                <Form.Control
+                  type="number"
+                  size="sm"
+                  min="1"
+                  step="1"
+                  placeholder="None"
+                  style={{ width: '80px' }}
+                  value={status.wipLimit}
+                  aria-label={`WIP limit of ${status.name || 'new status'}`}
+                  onChange={e => updateStatus(status.key, { wipLimit: e.target.value })}
+                />
+                <small className="text-muted">Can move to:</small>
+                {draft.filter(other => other.key !== status.key).map(other => (
+                  <Form.Check
+                    key={other.key}
+                    inline
+                    type="checkbox"
+                    id={`${status.key}-to-${other.key}`}
+                    label={other.name || 'Unnamed'}
+                    checked={status.transitions.includes(other.key)}
+                    onChange={() => toggleTransition(status.key, other.key)}
+                  />
+                ))}
+              </div>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+        <div className="d-flex justify-content-end gap-2">
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => setDraft(toDraft(getProjectWorkflow(project)))}
+            disabled={saving}
+          >
+            Reset
+          </Button>
+          <Button variant="primary" size="sm" onClick={handleSave} disabled={saving}>
+            {saving ? <Spinner size="sm" /> : 'Save Workflow'}
+          </Button>
+        </div>
+      </Card.Body>
+    </Card>
+  );
+}
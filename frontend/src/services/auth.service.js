@@ -2,11 +2,12 @@ import axios from 'axios';
 
 const API_URL = 'http://localhost:3000/api/';
 
-const register = (name, email, password) => {
+const register = (name, email, password, invitationToken) => {
   return axios.post(API_URL + 'register', {
     name,
     email,
-    password
+    password,
+    invitationToken
   }, { withCredentials: true });
 };
 
@@ -2,13 +2,23 @@ import axios from 'axios';
 
 const API_URL = 'http://localhost:3000/api/';
 
-const createProject = (projectName, projectDescription) => {
+const createProject = (projectName, projectDescription, template = {}) => {
   return axios.post(API_URL + 'projects/create', {
     projectName,
-    projectDescription
+    projectDescription,
+    ...template
   }, { withCredentials: true });
 };
 
+// options holds the new name and how to copy the tasks and pinned posts
+const cloneProject = (projectId, options = {}) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/clone`,
+    options,
+    { withCredentials: true }
+  );
+};
+
 const getUserProjects = () => {
   return axios.get(API_URL + 'projects/user-projects', { withCredentials: true });
 };
@@ -17,10 +27,41 @@ const getProjectById = (projectId) => {
   return axios.get(API_URL + `projects/${projectId}`, { withCredentials: true });
 };
 
-const createTask = (projectId, taskName, taskDescription, taskDeadline) => {
+// attributes holds the optional start date, priority, labels and estimate
+const createTask = (projectId, taskName, taskDescription, taskDeadline, attributes = {}) => {
   return axios.post(
     API_URL + `projects/${projectId}/task`,
-    { taskName, taskDescription, taskDeadline },
+    { taskName, taskDescription, taskDeadline, ...attributes },
+    { withCredentials: true }
+  );
+};
+
+const getSubtasks = (projectId, taskId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/task/${taskId}/subtasks`,
+    { withCredentials: true }
+  );
+};
+
+const createSubtask = (projectId, parentTaskId, taskName, taskDescription, taskDeadline, attributes = {}) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${parentTaskId}/subtasks`,
+    { taskName, taskDescription, taskDeadline, ...attributes },
+    { withCredentials: true }
+  );
+};
+
+const addTaskDependency = (projectId, taskId, blockerTaskId) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${taskId}/dependencies`,
+    { blockerTaskId },
+    { withCredentials: true }
+  );
+};
+
+const removeTaskDependency = (projectId, taskId, blockerTaskId) => {
+  return axios.delete(
+    API_URL + `projects/${projectId}/task/${taskId}/dependencies/${blockerTaskId}`,
     { withCredentials: true }
   );
 };
@@ -40,6 +81,274 @@ const deleteTask = (projectId, taskId) => {
   );
 };
 
+const archiveTask = (projectId, taskId) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${taskId}/archive`,
+    {},
+    { withCredentials: true }
+  );
+};
+
+const unarchiveTask = (projectId, taskId) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${taskId}/unarchive`,
+    {},
+    { withCredentials: true }
+  );
+};
+
+const getArchivedTasks = (projectId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/tasks/archived`,
+    { withCredentials: true }
+  );
+};
+
+const bulkUpdateTasks = (projectId, taskIds, changes) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/tasks/bulk`,
+    { taskIds, changes },
+    { withCredentials: true }
+  );
+};
+
+// file holds the format, content, column mapping, date format and whether to only preview
+const importTasks = (projectId, file) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/tasks/import`,
+    file,
+    { withCredentials: true }
+  );
+};
+
+const getProjectTemplates = () => {
+  return axios.get(API_URL + 'projects/templates', { withCredentials: true });
+};
+
+const getTaskTemplates = (projectId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/templates`,
+    { withCredentials: true }
+  );
+};
+
+const saveProjectTemplate = (projectId, name, description, startDate) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/templates`,
+    { name, description, ...(startDate && { startDate }) },
+    { withCredentials: true }
+  );
+};
+
+const saveTaskTemplate = (projectId, taskId, name) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${taskId}/template`,
+    { name },
+    { withCredentials: true }
+  );
+};
+
+const deleteTemplate = (templateId) => {
+  return axios.delete(
+    API_URL + `projects/templates/${templateId}`,
+    { withCredentials: true }
+  );
+};
+
+const getTaskTimeEntries = (projectId, taskId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/task/${taskId}/time`,
+    { withCredentials: true }
+  );
+};
+
+const startTaskTimer = (projectId, taskId, note = '') => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${taskId}/time/start`,
+    { note },
+    { withCredentials: true }
+  );
+};
+
+const stopTaskTimer = (projectId, taskId) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${taskId}/time/stop`,
+    {},
+    { withCredentials: true }
+  );
+};
+
+const addTimeEntry = (projectId, taskId, start, end, note = '') => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${taskId}/time`,
+    { start, end, note },
+    { withCredentials: true }
+  );
+};
+
+const deleteTimeEntry = (projectId, taskId, entryId) => {
+  return axios.delete(
+    API_URL + `projects/${projectId}/task/${taskId}/time/${entryId}`,
+    { withCredentials: true }
+  );
+};
+
+// weekStart is the local midnight the week starts at, so days line up with the user's timezone
+const getTimesheet = (projectId, weekStart) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/timesheet`,
+    { params: { weekStart: weekStart.toISOString() }, withCredentials: true }
+  );
+};
+
+// Pass a sprint ID to report on that sprint, or a from/to range of YYYY-MM-DD days
+const getProjectAnalytics = (projectId, { from, to, sprint } = {}) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/analytics`,
+    { params: { from, to, sprint }, withCredentials: true }
+  );
+};
+
+const getTrash = (projectId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/trash`,
+    { withCredentials: true }
+  );
+};
+
+const restoreTrashItem = (projectId, trashItemId) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/trash/${trashItemId}/restore`,
+    {},
+    { withCredentials: true }
+  );
+};
+
+const addChecklistItem = (projectId, taskId, text, assignee) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${taskId}/checklist`,
+    { text, assignee },
+    { withCredentials: true }
+  );
+};
+
+const updateChecklistItem = (projectId, taskId, itemId, updates) => {
+  return axios.put(
+    API_URL + `projects/${projectId}/task/${taskId}/checklist/${itemId}`,
+    updates,
+    { withCredentials: true }
+  );
+};
+
+const deleteChecklistItem = (projectId, taskId, itemId) => {
+  return axios.delete(
+    API_URL + `projects/${projectId}/task/${taskId}/checklist/${itemId}`,
+    { withCredentials: true }
+  );
+};
+
+const reorderChecklist = (projectId, taskId, itemIds) => {
+  return axios.put(
+    API_URL + `projects/${projectId}/task/${taskId}/checklist/order`,
+    { itemIds },
+    { withCredentials: true }
+  );
+};
+
+const editTaskProgress = (projectId, taskId, newProg) => {
+  return axios.put(
+    API_URL + `projects/${projectId}/task/${taskId}/progress`,
+    { newProg },
+    { withCredentials: true }
+  );
+};
+
+const reorderBoardColumn = (projectId, status, taskIds) => {
+  return axios.put(
+    API_URL + `projects/${projectId}/board/order`,
+    { status, taskIds },
+    { withCredentials: true }
+  );
+};
+
+// sprint holds name, kind ('sprint' or 'milestone'), goal, startDate and endDate
+const createSprint = (projectId, sprint) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/sprints`,
+    sprint,
+    { withCredentials: true }
+  );
+};
+
+const updateSprint = (projectId, sprintId, updates) => {
+  return axios.put(
+    API_URL + `projects/${projectId}/sprints/${sprintId}`,
+    updates,
+    { withCredentials: true }
+  );
+};
+
+const deleteSprint = (projectId, sprintId) => {
+  return axios.delete(
+    API_URL + `projects/${projectId}/sprints/${sprintId}`,
+    { withCredentials: true }
+  );
+};
+
+const startSprint = (projectId, sprintId) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/sprints/${sprintId}/start`,
+    {},
+    { withCredentials: true }
+  );
+};
+
+// Unfinished tasks move to carryOverTo, or back to the backlog when it is null
+const closeSprint = (projectId, sprintId, carryOverTo = null) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/sprints/${sprintId}/close`,
+    { carryOverTo },
+    { withCredentials: true }
+  );
+};
+
+const getTaskHistory = (projectId, taskId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/task/${taskId}/history`,
+    { withCredentials: true }
+  );
+};
+
+const getTaskComments = (projectId, taskId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/task/${taskId}/comments`,
+    { withCredentials: true }
+  );
+};
+
+const addTaskComment = (projectId, taskId, content, parentCommentId = null) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${taskId}/comments`,
+    { content, parentCommentId },
+    { withCredentials: true }
+  );
+};
+
+const deleteTaskComment = (projectId, taskId, commentId) => {
+  return axios.delete(
+    API_URL + `projects/${projectId}/task/${taskId}/comments/${commentId}`,
+    { withCredentials: true }
+  );
+};
+
+const toggleTaskCommentLike = (projectId, taskId, commentId) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/task/${taskId}/comments/${commentId}/like`,
+    {},
+    { withCredentials: true }
+  );
+};
+
 const assignRole = (projectId, memberId, role) => {
   return axios.put(
     API_URL + `projects/${projectId}/members/${memberId}/role`,
@@ -48,6 +357,36 @@ const assignRole = (projectId, memberId, role) => {
   );
 };
 
+const getProjectRoles = (projectId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/roles`,
+    { withCredentials: true }
+  );
+};
+
+const createRole = (projectId, role) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/roles`,
+    role,
+    { withCredentials: true }
+  );
+};
+
+const updateRole = (projectId, roleId, role) => {
+  return axios.put(
+    API_URL + `projects/${projectId}/roles/${roleId}`,
+    role,
+    { withCredentials: true }
+  );
+};
+
+const deleteRole = (projectId, roleId) => {
+  return axios.delete(
+    API_URL + `projects/${projectId}/roles/${roleId}`,
+    { withCredentials: true }
+  );
+};
+
 const assignTask = (projectId, taskId, memberId) => {
   return axios.put(
     API_URL + `projects/${projectId}/task/${taskId}/assign/${memberId}`,
@@ -56,14 +395,96 @@ const assignTask = (projectId, taskId, memberId) => {
   );
 };
 
-const generateInviteLink = (projectId) => {
+const updateTaskAssignees = (projectId, taskId, assignees) => {
+  return axios.put(
+    API_URL + `projects/${projectId}/task/${taskId}/assignees`,
+    { assignees },
+    { withCredentials: true }
+  );
+};
+
+const watchTask = (projectId, taskId) => {
   return axios.post(
-    API_URL + `projects/${projectId}/invite`,
+    API_URL + `projects/${projectId}/task/${taskId}/watch`,
     {},
     { withCredentials: true }
   );
 };
 
+const unwatchTask = (projectId, taskId) => {
+  return axios.delete(
+    API_URL + `projects/${projectId}/task/${taskId}/watch`,
+    { withCredentials: true }
+  );
+};
+
+const generateInviteLink = (projectId, options = {}) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/invite`,
+    options,
+    { withCredentials: true }
+  );
+};
+
+const getInviteLinks = (projectId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/invite-links`,
+    { withCredentials: true }
+  );
+};
+
+const revokeInviteLink = (projectId, linkId) => {
+  return axios.delete(
+    API_URL + `projects/${projectId}/invite-links/${linkId}`,
+    { withCredentials: true }
+  );
+};
+
+const inviteByEmail = (projectId, email, role) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/invitations`,
+    { email, role },
+    { withCredentials: true }
+  );
+};
+
+const getInvitations = (projectId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/invitations`,
+    { withCredentials: true }
+  );
+};
+
+const revokeInvitation = (projectId, invitationId) => {
+  return axios.delete(
+    API_URL + `projects/${projectId}/invitations/${invitationId}`,
+    { withCredentials: true }
+  );
+};
+
+const getJoinRequests = (projectId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/join-requests`,
+    { withCredentials: true }
+  );
+};
+
+const approveJoinRequest = (projectId, requestId, role) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/join-requests/${requestId}/approve`,
+    { role },
+    { withCredentials: true }
+  );
+};
+
+const rejectJoinRequest = (projectId, requestId, reason) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/join-requests/${requestId}/reject`,
+    { reason },
+    { withCredentials: true }
+  );
+};
+
 const getProjectDetailsFromInvite = (inviteToken) => {
   return axios.get(
     API_URL + `projects/invite/details?token=${inviteToken}`,
@@ -79,6 +500,21 @@ const joinProjectViaInvite = (inviteToken) => {
   );
 };
 
+const getInvitationDetails = (token) => {
+  return axios.get(
+    API_URL + `projects/invitations/${token}`,
+    { withCredentials: true }
+  );
+};
+
+const acceptInvitation = (token) => {
+  return axios.post(
+    API_URL + `projects/invitations/${token}/accept`,
+    {},
+    { withCredentials: true }
+  );
+};
+
 const exportProjectSummary = (projectId) => {
   return axios.get(
     API_URL + `projects/${projectId}/export-summary`,
@@ -114,6 +550,52 @@ const updateProjectSettings = (projectId, settings) => {
   );
 };
 
+const updateProjectWorkflow = (projectId, workflow) => {
+  return axios.put(
+    API_URL + `projects/${projectId}/workflow`,
+    { workflow },
+    { withCredentials: true }
+  );
+};
+
+const updateProjectLabels = (projectId, labels) => {
+  return axios.put(
+    API_URL + `projects/${projectId}/labels`,
+    { labels },
+    { withCredentials: true }
+  );
+};
+
+const requestOwnershipTransfer = (projectId, newOwnerId) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/ownership-transfer`,
+    { newOwnerId },
+    { withCredentials: true }
+  );
+};
+
+const acceptOwnershipTransfer = (projectId) => {
+  return axios.post(
+    API_URL + `projects/${projectId}/ownership-transfer/accept`,
+    {},
+    { withCredentials: true }
+  );
+};
+
+const cancelOwnershipTransfer = (projectId) => {
+  return axios.delete(
+    API_URL + `projects/${projectId}/ownership-transfer`,
+    { withCredentials: true }
+  );
+};
+
+const getProjectActivity = (projectId) => {
+  return axios.get(
+    API_URL + `projects/${projectId}/activity`,
+    { withCredentials: true }
+  );
+};
+
 const leaveProject = (projectId) => {
   return axios.post(
     API_URL + `projects/${projectId}/leave`,
@@ -208,6 +690,14 @@ const deletePost = (postId) => {
   );
 };
 
+const pinPost = (postId, pinned) => {
+  return axios.put(
+    API_URL + `posts/posts/${postId}/pin`,
+    { pinned },
+    { withCredentials: true }
+  );
+};
+
 const deleteComment = (commentId) => {
   return axios.delete(
     API_URL + `posts/comments/${commentId}`,
@@ -217,20 +707,83 @@ const deleteComment = (commentId) => {
 
 const ProjectService = {
   createProject,
+  cloneProject,
   getUserProjects,
   getProjectById,
   createTask,
+  getSubtasks,
+  createSubtask,
+  addTaskDependency,
+  removeTaskDependency,
   updateTask,
   deleteTask,
+  archiveTask,
+  unarchiveTask,
+  getArchivedTasks,
+  bulkUpdateTasks,
+  importTasks,
+  getProjectTemplates,
+  getTaskTemplates,
+  saveProjectTemplate,
+  saveTaskTemplate,
+  deleteTemplate,
+  getTaskTimeEntries,
+  startTaskTimer,
+  stopTaskTimer,
+  addTimeEntry,
+  deleteTimeEntry,
+  getTimesheet,
+  getProjectAnalytics,
+  getTrash,
+  restoreTrashItem,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  reorderChecklist,
+  editTaskProgress,
+  reorderBoardColumn,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  closeSprint,
+  getTaskHistory,
+  getTaskComments,
+  addTaskComment,
+  deleteTaskComment,
+  toggleTaskCommentLike,
   assignRole,
+  getProjectRoles,
+  createRole,
+  updateRole,
+  deleteRole,
   assignTask,
+  updateTaskAssignees,
+  watchTask,
+  unwatchTask,
   generateInviteLink,
+  getInviteLinks,
+  revokeInviteLink,
+  inviteByEmail,
+  getInvitations,
+  revokeInvitation,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
   getProjectDetailsFromInvite,
   joinProjectViaInvite,
+  getInvitationDetails,
+  acceptInvitation,
   exportProjectSummary,
   removeMember,
   updateProjectDetails,
   updateProjectSettings,
+  updateProjectWorkflow,
+  updateProjectLabels,
+  requestOwnershipTransfer,
+  acceptOwnershipTransfer,
+  cancelOwnershipTransfer,
+  getProjectActivity,
   leaveProject,
   deleteProject,
   disableProjectInviteLinks,
@@ -240,6 +793,7 @@ const ProjectService = {
   getPost,
   updatePost,
   deletePost,
+  pinPost,
   togglePostLike,
   createComment,
   deleteComment
@@ -0,0 +1,130 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+import AnalyticsSection from '../components/AnalyticsSection';
+import { getBurndownSeries, getCumulativeFlowDatasets } from '../utils/analytics';
+
+let mockGetProjectAnalytics;
+
+jest.mock('../services/project.service', () => ({
+  getProjectAnalytics: (...args) => mockGetProjectAnalytics(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+jest.mock('react-chartjs-2', () => ({
+  Line: ({ data }) => (
+    <div data-testid="line-chart">
+      {data.datasets.map(dataset => (
+        <div key={dataset.label}>{dataset.label}: {JSON.stringify(dataset.data)}</div>
+      ))}
+    </div>
+  )
+}));
+
+const statuses = [
+  { name: 'To Do', category: 'todo', color: '#dc3545' },
+  { name: 'In Progress', category: 'active', color: '#ffc107' },
+  { name: 'Completed', category: 'done', color: '#28a745' }
+];
+
+const mockAnalytics = {
+  from: '2025-09-01',
+  to: '2025-09-03',
+  sprint: null,
+  statuses,
+  cumulativeFlow: [
+    { date: '2025-09-01', counts: { 'To Do': 2 } },
+    { date: '2025-09-02', counts: { 'To Do': 1, 'In Progress': 1 } },
+    { date: '2025-09-03', counts: { 'In Progress': 1, Completed: 1 } }
+  ],
+  burndown: [
+    { date: '2025-09-01', remaining: 2, remainingEstimate: 5, ideal: 2 },
+    { date: '2025-09-02', remaining: 2, remainingEstimate: 5, ideal: 1 },
+    { date: '2025-09-03', remaining: 1, remainingEstimate: 3, ideal: 0 }
+  ],
+  members: [
+    { user: { _id: 'user1', name: 'Alice' }, completed: 1, averageCycleDays: 2.1, averageLeadDays: 5.5 },
+    { user: { _id: 'user2', name: 'Bob' }, completed: 0, averageCycleDays: null, averageLeadDays: null }
+  ],
+  averageCycleDays: 2.1,
+  averageLeadDays: 5.5
+};
+
+const mockProject = {
+  sprints: [{ _id: 'sprint1', name: 'Sprint 1', status: 'active' }]
+};
+
+beforeEach(() => {
+  mockGetProjectAnalytics = jest.fn(() => Promise.resolve({ data: mockAnalytics }));
+});
+
+describe('AnalyticsSection', () => {
+  test('shows the burndown, cumulative flow and member averages', async () => {
+    render(<AnalyticsSection project={mockProject} projectId="project1" />);
+
+    expect(await screen.findByText('Remaining tasks: [2,2,1]')).toBeInTheDocument();
+    expect(screen.getByText('Ideal: [2,1,0]')).toBeInTheDocument();
+    expect(screen.getByText('Completed: [0,0,1]')).toBeInTheDocument();
+    expect(screen.getByTestId('average-cycle-time')).toHaveTextContent('2.1d');
+    expect(screen.getByTestId('average-lead-time')).toHaveTextContent('5.5d');
+    expect(screen.getByText('Alice')).toBeInTheDocument();
+    expect(screen.getAllByText('—')).toHaveLength(2);
+  });
+
+  test('requests the chosen date range', async () => {
+    render(<AnalyticsSection project={mockProject} projectId="project1" />);
+    await screen.findByText('Remaining tasks: [2,2,1]');
+
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2025-09-01' } });
+
+    await waitFor(() => {
+      expect(mockGetProjectAnalytics).toHaveBeenLastCalledWith('project1', expect.objectContaining({ from: '2025-09-01' }));
+    });
+  });
+
+  test('reports on a sprint instead of a date range', async () => {
+    render(<AnalyticsSection project={mockProject} projectId="project1" />);
+    await screen.findByText('Remaining tasks: [2,2,1]');
+
+    fireEvent.change(screen.getByLabelText('Report on'), { target: { value: 'sprint1' } });
+
+    await waitFor(() => {
+      expect(mockGetProjectAnalytics).toHaveBeenLastCalledWith('project1', { sprint: 'sprint1' });
+    });
+    expect(screen.queryByLabelText('From')).not.toBeInTheDocument();
+  });
+
+  test('burns down by estimate when tasks are estimated', async () => {
+    render(<AnalyticsSection project={mockProject} projectId="project1" />);
+    await screen.findByText('Remaining tasks: [2,2,1]');
+
+    fireEvent.change(screen.getByLabelText('Burn down by'), { target: { value: 'estimate' } });
+
+    expect(screen.getByText('Remaining estimate: [5,5,3]')).toBeInTheDocument();
+    expect(screen.getByText('Ideal: [5,2.5,0]')).toBeInTheDocument();
+  });
+
+  test('shows the error from the server', async () => {
+    mockGetProjectAnalytics = jest.fn(() => Promise.reject({ response: { data: { message: 'Date range cannot exceed one year' } } }));
+    render(<AnalyticsSection project={mockProject} projectId="project1" />);
+
+    expect(await screen.findByText('Date range cannot exceed one year')).toBeInTheDocument();
+  });
+});
+
+describe('analytics utils', () => {
+  test('leaves the ideal line empty without data for the first day', () => {
+    expect(getBurndownSeries([{ remaining: null }, { remaining: null }]).ideal).toEqual([null, null]);
+  });
+
+  test('stacks finished work at the bottom and leaves future days empty', () => {
+    const datasets = getCumulativeFlowDatasets(statuses, [{ counts: { 'To Do': 1 } }, { counts: null }]);
+    expect(datasets.map(dataset => dataset.label)).toEqual(['Completed', 'In Progress', 'To Do']);
+    expect(datasets[2].data).toEqual([1, null]);
+  });
+});
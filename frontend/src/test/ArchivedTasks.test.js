@@ -0,0 +1,133 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import ArchivedTasks from '../components/ArchivedTasks';
+
+let mockGetArchivedTasks;
+let mockUnarchiveTask;
+let mockDeleteTask;
+
+jest.mock('../services/project.service', () => ({
+  getArchivedTasks: (...args) => mockGetArchivedTasks(...args),
+  unarchiveTask: (...args) => mockUnarchiveTask(...args),
+  deleteTask: (...args) => mockDeleteTask(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+Object.defineProperty(window, 'confirm', {
+  value: jest.fn(() => true),
+  writable: true,
+});
+
+const daysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString();
+
+const mockArchived = {
+  tasks: [
+    { _id: 'task1', taskName: 'Old spike', archivedAt: daysAgo(40), archivedBy: { _id: 'user1', name: 'John Admin' } },
+    { _id: 'task2', taskName: 'Login form', archivedAt: daysAgo(2), archivedBy: { _id: 'user2', name: 'Jane Dev' } },
+    { _id: 'task3', taskName: 'Login styles', parentTask: 'task2', archivedAt: daysAgo(2) }
+  ]
+};
+
+let mockOnTasksUpdated;
+
+beforeEach(() => {
+  mockGetArchivedTasks = jest.fn(() => Promise.resolve({ data: mockArchived }));
+  mockUnarchiveTask = jest.fn(() => Promise.resolve({ data: {} }));
+  mockDeleteTask = jest.fn(() => Promise.resolve({ data: {} }));
+  mockOnTasksUpdated = jest.fn();
+  window.confirm.mockReturnValue(true);
+  toast.success.mockClear();
+  toast.error.mockClear();
+});
+
+const renderArchived = (props = {}) => render(
+  <ArchivedTasks
+    projectId="test-project-id"
+    isProjectManager={true}
+    isViewer={false}
+    onTasksUpdated={mockOnTasksUpdated}
+    {...props}
+  />
+);
+
+test('lists archived tasks with who archived them', async () => {
+  renderArchived();
+
+  const row = within(await screen.findByTestId('archived-task-task2'));
+  expect(row.getByText('Login form')).toBeInTheDocument();
+  expect(row.getByText(/by Jane Dev/)).toBeInTheDocument();
+  expect(screen.getByText(/moves it to the project's trash/)).toBeInTheDocument();
+  expect(mockGetArchivedTasks).toHaveBeenCalledWith('test-project-id');
+});
+
+test('allows deleting a task as soon as it is archived', async () => {
+  renderArchived();
+
+  const old = within(await screen.findByTestId('archived-task-task1'));
+  const recent = within(screen.getByTestId('archived-task-task2'));
+  expect(old.getByText('Delete')).toBeEnabled();
+  expect(recent.getByText('Delete')).toBeEnabled();
+});
+
+test('moves a task to the trash after confirmation', async () => {
+  renderArchived();
+
+  const old = within(await screen.findByTestId('archived-task-task1'));
+  fireEvent.click(old.getByText('Delete'));
+
+  await waitFor(() => {
+    expect(mockDeleteTask).toHaveBeenCalledWith('test-project-id', 'task1');
+  });
+  expect(window.confirm).toHaveBeenCalledWith(
+    'Delete the task "Old spike"? It moves to the project\'s trash, where administrators can restore it until it is purged.'
+  );
+  await waitFor(() => {
+    expect(mockOnTasksUpdated).toHaveBeenCalled();
+  });
+});
+
+test('restores a task and refreshes the project', async () => {
+  renderArchived();
+
+  const row = within(await screen.findByTestId('archived-task-task2'));
+  fireEvent.click(row.getByText('Unarchive'));
+
+  await waitFor(() => {
+    expect(mockUnarchiveTask).toHaveBeenCalledWith('test-project-id', 'task2');
+  });
+  await waitFor(() => {
+    expect(toast.success).toHaveBeenCalledWith('Task restored successfully!');
+  });
+  expect(mockOnTasksUpdated).toHaveBeenCalled();
+  expect(mockGetArchivedTasks).toHaveBeenCalledTimes(2);
+});
+
+test('subtasks archived with their parent are restored through the parent', async () => {
+  renderArchived();
+
+  const subtask = within(await screen.findByTestId('archived-task-task3'));
+  expect(subtask.getByText('Subtask')).toBeInTheDocument();
+  expect(subtask.queryByText('Unarchive')).not.toBeInTheDocument();
+});
+
+test('hides deletion from non-administrators and restoring from viewers', async () => {
+  renderArchived({ isProjectManager: false, isViewer: true });
+
+  const row = within(await screen.findByTestId('archived-task-task1'));
+  expect(row.queryByText('Delete')).not.toBeInTheDocument();
+  expect(row.queryByText('Unarchive')).not.toBeInTheDocument();
+});
+
+test('shows an empty state when nothing is archived', async () => {
+  mockGetArchivedTasks = jest.fn(() => Promise.resolve({ data: { tasks: [] } }));
+  renderArchived();
+
+  expect(await screen.findByText('No archived tasks')).toBeInTheDocument();
+});
@@ -0,0 +1,202 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import BulkTaskActions from '../components/BulkTaskActions';
+
+let mockBulkUpdateTasks;
+
+jest.mock('../services/project.service', () => ({
+  bulkUpdateTasks: (...args) => mockBulkUpdateTasks(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+Object.defineProperty(window, 'confirm', {
+  value: jest.fn(() => true),
+  writable: true,
+});
+
+const mockProject = {
+  labels: [{ _id: 'label1', name: 'Frontend', color: '#007bff' }],
+  members: [
+    { user: { _id: 'user1', name: 'John Admin' }, role: { roleName: 'administrator' } },
+    { user: { _id: 'user2', name: 'Jane Dev' }, role: { roleName: 'developer' } },
+    { user: { _id: 'user3', name: 'Vic Viewer' }, role: { roleName: 'viewer' } }
+  ]
+};
+
+const mockTasks = [
+  { _id: 'task1', taskName: 'Login form' },
+  { _id: 'task2', taskName: 'Signup form' }
+];
+
+const allSucceeded = {
+  results: [
+    { taskId: 'task1', taskName: 'Login form', success: true },
+    { taskId: 'task2', taskName: 'Signup form', success: true }
+  ],
+  succeeded: 2,
+  failed: 0
+};
+
+let mockOnSelectionChange;
+let mockOnTasksUpdated;
+
+beforeEach(() => {
+  mockBulkUpdateTasks = jest.fn(() => Promise.resolve({ data: allSucceeded }));
+  mockOnSelectionChange = jest.fn();
+  mockOnTasksUpdated = jest.fn();
+  window.confirm.mockReturnValue(true);
+  toast.success.mockClear();
+  toast.warning.mockClear();
+  toast.error.mockClear();
+});
+
+const renderActions = (selectedTasks = mockTasks) => render(
+  <BulkTaskActions
+    project={mockProject}
+    projectId="test-project-id"
+    selectedTasks={selectedTasks}
+    onSelectionChange={mockOnSelectionChange}
+    onTasksUpdated={mockOnTasksUpdated}
+  />
+);
+
+test('stays hidden while nothing is selected', () => {
+  renderActions([]);
+
+  expect(screen.queryByTestId('bulk-task-actions')).not.toBeInTheDocument();
+});
+
+test('assigns every selected task to a member who is not a viewer', async () => {
+  renderActions();
+
+  expect(screen.getByText('2 selected')).toBeInTheDocument();
+  const assign = screen.getByLabelText('Assign selected tasks');
+  expect(within(assign).queryByText('Vic Viewer')).not.toBeInTheDocument();
+  fireEvent.change(assign, { target: { value: 'user2' } });
+
+  await waitFor(() => {
+    expect(mockBulkUpdateTasks).toHaveBeenCalledWith('test-project-id', ['task1', 'task2'], { taskAssignees: ['user2'] });
+  });
+  await waitFor(() => {
+    expect(toast.success).toHaveBeenCalledWith('2 tasks updated');
+  });
+  expect(mockOnSelectionChange).toHaveBeenCalledWith([]);
+  expect(mockOnTasksUpdated).toHaveBeenCalled();
+});
+
+test('sets the status and adds a label', async () => {
+  renderActions();
+
+  fireEvent.change(screen.getByLabelText('Set status of selected tasks'), { target: { value: 'Completed' } });
+  await waitFor(() => {
+    expect(mockBulkUpdateTasks).toHaveBeenCalledWith('test-project-id', ['task1', 'task2'], { taskProgress: 'Completed' });
+  });
+
+  fireEvent.change(screen.getByLabelText('Change labels of selected tasks'), { target: { value: 'add:label1' } });
+  await waitFor(() => {
+    expect(mockBulkUpdateTasks).toHaveBeenCalledWith('test-project-id', ['task1', 'task2'], { labels: { add: ['label1'] } });
+  });
+});
+
+test('shifts deadlines by a number of days', async () => {
+  renderActions();
+
+  fireEvent.change(screen.getByLabelText('Days to shift deadlines by'), { target: { value: '-2' } });
+  fireEvent.click(screen.getByText('Shift deadlines'));
+
+  await waitFor(() => {
+    expect(mockBulkUpdateTasks).toHaveBeenCalledWith('test-project-id', ['task1', 'task2'], { deadlineShiftDays: -2 });
+  });
+});
+
+test('archives the selection after confirmation', async () => {
+  renderActions();
+
+  fireEvent.click(screen.getByText('Archive selected'));
+
+  await waitFor(() => {
+    expect(mockBulkUpdateTasks).toHaveBeenCalledWith('test-project-id', ['task1', 'task2'], { archive: true });
+  });
+  expect(window.confirm).toHaveBeenCalledWith(
+    'Archive 2 tasks? Their subtasks will also be archived. You can restore them from the Archived view.'
+  );
+});
+
+test('lists the tasks that failed and keeps them selected', async () => {
+  mockBulkUpdateTasks = jest.fn(() => Promise.resolve({
+    data: {
+      results: [
+        { taskId: 'task1', taskName: 'Login form', success: true },
+        { taskId: 'task2', taskName: 'Signup form', success: false, message: 'You are not authorized to update this task' }
+      ],
+      succeeded: 1,
+      failed: 1
+    }
+  }));
+  const { rerender } = renderActions();
+
+  fireEvent.change(screen.getByLabelText('Set status of selected tasks'), { target: { value: 'Completed' } });
+
+  await waitFor(() => {
+    expect(toast.warning).toHaveBeenCalledWith('1 task updated, 1 failed');
+  });
+  expect(mockOnSelectionChange).toHaveBeenCalledWith(['task2']);
+
+  rerender(
+    <BulkTaskActions
+      project={mockProject}
+      projectId="test-project-id"
+      selectedTasks={[mockTasks[1]]}
+      onSelectionChange={mockOnSelectionChange}
+      onTasksUpdated={mockOnTasksUpdated}
+    />
+  );
+  const failure = within(screen.getByTestId('bulk-failure-task2'));
+  expect(failure.getByText('Signup form')).toBeInTheDocument();
+  expect(failure.getByText(/You are not authorized to update this task/)).toBeInTheDocument();
+});
+
+test('shows which changes a partly changed task already received', async () => {
+  mockBulkUpdateTasks = jest.fn(() => Promise.resolve({
+    data: {
+      results: [
+        {
+          taskId: 'task2',
+          taskName: 'Signup form',
+          success: false,
+          message: 'Task is blocked by unfinished tasks: Design',
+          partial: true,
+          appliedChanges: ['taskAssignees']
+        }
+      ],
+      succeeded: 0,
+      failed: 1
+    }
+  }));
+  renderActions();
+
+  fireEvent.change(screen.getByLabelText('Set status of selected tasks'), { target: { value: 'Completed' } });
+
+  const failure = within(await screen.findByTestId('bulk-failure-task2'));
+  expect(failure.getByText(/Task is blocked by unfinished tasks: Design/)).toBeInTheDocument();
+  expect(failure.getByText('(already applied: assignees)')).toBeInTheDocument();
+});
+
+test('shows why the whole request was rejected', async () => {
+  mockBulkUpdateTasks = jest.fn(() => Promise.reject({ response: { data: { message: 'At most 100 tasks can be changed at once' } } }));
+  renderActions();
+
+  fireEvent.click(screen.getByText('Archive selected'));
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('At most 100 tasks can be changed at once');
+  });
+});
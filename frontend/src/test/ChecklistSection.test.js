@@ -0,0 +1,129 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import ChecklistSection from '../components/ChecklistSection';
+
+let mockAddChecklistItem;
+let mockUpdateChecklistItem;
+let mockDeleteChecklistItem;
+let mockReorderChecklist;
+
+jest.mock('../services/project.service', () => ({
+  addChecklistItem: (...args) => mockAddChecklistItem(...args),
+  updateChecklistItem: (...args) => mockUpdateChecklistItem(...args),
+  deleteChecklistItem: (...args) => mockDeleteChecklistItem(...args),
+  reorderChecklist: (...args) => mockReorderChecklist(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+const members = [
+  { user: { _id: 'user1', name: 'Alice' }, role: { roleName: 'developer' } },
+  { user: { _id: 'user2', name: 'Bob' }, role: { roleName: 'viewer' } }
+];
+const checklist = [
+  { _id: 'item1', text: 'Write changelog', done: true, assignee: 'user1' },
+  { _id: 'item2', text: 'Tag version', done: false, assignee: null }
+];
+const mockTask = { _id: 'task1', taskName: 'Release', checklist };
+
+const respondWith = (items) => jest.fn(() => Promise.resolve({ data: { checklist: items } }));
+
+beforeEach(() => {
+  mockAddChecklistItem = respondWith([...checklist, { _id: 'item3', text: 'Publish', done: false, assignee: null }]);
+  mockUpdateChecklistItem = respondWith(checklist.map(item => ({ ...item, done: true })));
+  mockDeleteChecklistItem = respondWith([checklist[1]]);
+  mockReorderChecklist = respondWith([checklist[1], checklist[0]]);
+  toast.error.mockClear();
+});
+
+const renderChecklist = (props = {}) => render(
+  <ChecklistSection
+    task={mockTask}
+    projectId="test-project-id"
+    members={members}
+    canEdit
+    onChecklistUpdated={jest.fn()}
+    {...props}
+  />
+);
+
+describe('ChecklistSection', () => {
+  test('shows items with their completion count', () => {
+    renderChecklist();
+
+    expect(screen.getByText('1/2')).toBeInTheDocument();
+    expect(screen.getByLabelText('Write changelog')).toBeChecked();
+    expect(screen.getByLabelText('Tag version')).not.toBeChecked();
+  });
+
+  test('checks off an item', async () => {
+    const onChecklistUpdated = jest.fn();
+    renderChecklist({ onChecklistUpdated });
+
+    fireEvent.click(screen.getByLabelText('Tag version'));
+
+    await waitFor(() => {
+      expect(screen.getByText('2/2')).toBeInTheDocument();
+    });
+    expect(mockUpdateChecklistItem).toHaveBeenCalledWith('test-project-id', 'task1', 'item2', { done: true });
+    expect(onChecklistUpdated).toHaveBeenCalled();
+  });
+
+  test('adds an item', async () => {
+    renderChecklist();
+
+    fireEvent.change(screen.getByLabelText('New checklist item'), { target: { value: 'Publish' } });
+    fireEvent.click(screen.getByText('Add'));
+
+    expect(await screen.findByText('Publish')).toBeInTheDocument();
+    expect(mockAddChecklistItem).toHaveBeenCalledWith('test-project-id', 'task1', 'Publish');
+    expect(screen.getByLabelText('New checklist item')).toHaveValue('');
+  });
+
+  test('moves an item and assigns it to non-viewers only', async () => {
+    renderChecklist();
+
+    const assigneeSelect = screen.getByLabelText('Assignee for Tag version');
+    expect(assigneeSelect).toHaveTextContent('Alice');
+    expect(assigneeSelect).not.toHaveTextContent('Bob');
+
+    fireEvent.change(assigneeSelect, { target: { value: 'user1' } });
+    await waitFor(() => {
+      expect(mockUpdateChecklistItem).toHaveBeenCalledWith('test-project-id', 'task1', 'item2', { assignee: 'user1' });
+    });
+
+    expect(screen.getByLabelText('Move Write changelog up')).toBeDisabled();
+    fireEvent.click(screen.getByLabelText('Move Write changelog down'));
+    await waitFor(() => {
+      expect(mockReorderChecklist).toHaveBeenCalledWith('test-project-id', 'task1', ['item2', 'item1']);
+    });
+  });
+
+  test('shows server errors', async () => {
+    mockDeleteChecklistItem = jest.fn(() => Promise.reject({
+      response: { data: { message: 'Checklist item not found' } }
+    }));
+    renderChecklist();
+
+    fireEvent.click(screen.getByLabelText('Delete Tag version'));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Checklist item not found');
+    });
+  });
+
+  test('is read-only for viewers', () => {
+    renderChecklist({ canEdit: false });
+
+    expect(screen.getByLabelText('Tag version')).toBeDisabled();
+    expect(screen.getByText('Alice')).toBeInTheDocument();
+    expect(screen.queryByLabelText('New checklist item')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Delete Tag version')).not.toBeInTheDocument();
+  });
+});
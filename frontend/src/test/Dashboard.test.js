@@ -95,6 +95,7 @@ describe('Dashboard Component', () => {
     AuthService.getUserProfile.mockResolvedValue({
       data: { user: mockUser },
     });
+    ProjectService.getProjectTemplates.mockResolvedValue({ data: { templates: [] } });
   });
 
   test('renders loading state initially', () => {
@@ -201,6 +202,33 @@ describe('Dashboard Component', () => {
     );
   });
 
+  test('creates a project from a template with a start date', async () => {
+    ProjectService.getProjectTemplates.mockResolvedValue({
+      data: { templates: [{ _id: 'template1', name: 'Client setup', tasks: [{}, {}] }] }
+    });
+    ProjectService.createProject.mockResolvedValue({});
+    toast.promise.mockResolvedValue({});
+
+    renderWithRouter(<Dashboard />);
+
+    await screen.findByText('Welcome, Test User! 👋');
+    fireEvent.click(screen.getByText('+ Create New Project'));
+
+    fireEvent.change(screen.getByPlaceholderText('Enter project name'), { target: { value: 'Acme' } });
+    fireEvent.change(screen.getByPlaceholderText('Enter project description'), { target: { value: 'New client' } });
+    const templateSelect = await screen.findByLabelText('Template (optional)');
+    expect(screen.getByText('Client setup (2 tasks)')).toBeInTheDocument();
+    fireEvent.change(templateSelect, { target: { value: 'template1' } });
+    fireEvent.change(screen.getByLabelText('Start Date'), { target: { value: '2030-01-01' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create Project' }));
+
+    expect(ProjectService.createProject).toHaveBeenCalledWith(
+      'Acme',
+      'New client',
+      { templateId: 'template1', startDate: '2030-01-01' }
+    );
+  });
+
   test('closes modal when cancel button is clicked', async () => {
     renderWithRouter(<Dashboard />);
 
@@ -0,0 +1,138 @@
+/* eslint-disable no-console */
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+
+import InvitationAccept from '../components/InvitationAccept';
+
+let mockNavigate;
+let mockGetInvitationDetails;
+let mockAcceptInvitation;
+let mockToastSuccess;
+let mockToastError;
+
+let originalWarn;
+
+beforeAll(() => {
+  originalWarn = console.warn;
+
+  jest.spyOn(console, 'warn').mockImplementation((...args) => {
+    const msg = args.join(' ');
+    if (msg.includes('React Router Future Flag Warning')) return;
+    return originalWarn(...args);
+  });
+});
+
+jest.mock('react-router-dom', () => {
+  const actual = jest.requireActual('react-router-dom');
+  return {
+    ...actual,
+    useNavigate: () => mockNavigate,
+    useParams: () => ({ token: 'invitation-token' }),
+  };
+});
+
+jest.mock('../services/project.service', () => ({
+  getInvitationDetails: (...args) => mockGetInvitationDetails(...args),
+  acceptInvitation: (...args) => mockAcceptInvitation(...args),
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: (...args) => mockToastSuccess(...args),
+    error: (...args) => mockToastError(...args),
+  },
+}));
+
+afterAll(() => {
+  console.warn.mockRestore();
+});
+
+/* eslint-enable no-console */
+
+beforeEach(() => {
+  mockNavigate = jest.fn();
+  mockGetInvitationDetails = jest.fn(() =>
+    Promise.resolve({
+      data: {
+        invitation: {
+          projectId: 'project-id',
+          projectName: 'Test Project',
+          projectDescription: 'A project to join',
+          invitedBy: 'Alice',
+          role: 'developer',
+          email: 'jo@example.com',
+        },
+      },
+    })
+  );
+  mockAcceptInvitation = jest.fn(() =>
+    Promise.resolve({ data: { message: 'Invitation accepted', projectId: 'project-id' } })
+  );
+  mockToastSuccess = jest.fn();
+  mockToastError = jest.fn();
+});
+
+const renderPage = () => render(
+  <MemoryRouter>
+    <InvitationAccept />
+  </MemoryRouter>
+);
+
+describe('InvitationAccept Component', () => {
+  test('shows the invitation loaded from the token in the link', async () => {
+    renderPage();
+
+    expect(await screen.findByText('Test Project')).toBeInTheDocument();
+    expect(screen.getByText('Alice invited jo@example.com to join:')).toBeInTheDocument();
+    expect(screen.getByText('A project to join')).toBeInTheDocument();
+    expect(screen.getByText('developer')).toBeInTheDocument();
+    expect(mockGetInvitationDetails).toHaveBeenCalledWith('invitation-token');
+    expect(mockAcceptInvitation).not.toHaveBeenCalled();
+  });
+
+  test('joins the project only once the invitation is accepted', async () => {
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /accept invitation/i }));
+
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/project/project-id');
+    });
+    expect(mockAcceptInvitation).toHaveBeenCalledWith('invitation-token');
+    expect(mockToastSuccess).toHaveBeenCalledWith('You joined Test Project.');
+  });
+
+  test('reports a used or unknown token', async () => {
+    mockGetInvitationDetails.mockRejectedValue({ response: { status: 404 } });
+
+    renderPage();
+
+    expect(await screen.findByText('This invitation is invalid or has already been used.')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /accept invitation/i })).not.toBeInTheDocument();
+  });
+
+  test('asks a signed-out visitor to log in first', async () => {
+    mockGetInvitationDetails.mockRejectedValue({ response: { status: 401 } });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /go to login/i }));
+    expect(mockNavigate).toHaveBeenCalledWith('/login');
+  });
+
+  test('keeps the page open when accepting fails', async () => {
+    mockAcceptInvitation.mockRejectedValue({
+      response: { data: { message: 'This invitation is invalid or has already been used' } },
+    });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /accept invitation/i }));
+
+    await waitFor(() => {
+      expect(mockToastError).toHaveBeenCalledWith('This invitation is invalid or has already been used');
+    });
+    expect(mockNavigate).not.toHaveBeenCalled();
+    expect(screen.getByRole('button', { name: /accept invitation/i })).toBeEnabled();
+  });
+});
@@ -0,0 +1,82 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import LabelSettings from '../components/LabelSettings';
+
+let mockUpdateProjectLabels;
+
+jest.mock('../services/project.service', () => ({
+  updateProjectLabels: (...args) => mockUpdateProjectLabels(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+const mockProject = {
+  labels: [
+    { _id: 'label1', name: 'bug', color: '#dc3545' },
+    { _id: 'label2', name: 'docs', color: '#17a2b8' }
+  ]
+};
+
+let mockOnProjectUpdated;
+
+beforeEach(() => {
+  mockUpdateProjectLabels = jest.fn(() => Promise.resolve());
+  mockOnProjectUpdated = jest.fn();
+  toast.error.mockClear();
+});
+
+const renderSettings = () => render(
+  <LabelSettings
+    project={mockProject}
+    projectId="test-project-id"
+    onProjectUpdated={mockOnProjectUpdated}
+  />
+);
+
+test('saves renamed, removed and new labels', async () => {
+  renderSettings();
+
+  fireEvent.change(screen.getAllByPlaceholderText('Label name')[0], { target: { value: 'defect' } });
+  fireEvent.click(screen.getByLabelText('Remove docs'));
+  fireEvent.click(screen.getByText('+ Add Label'));
+  fireEvent.change(screen.getAllByPlaceholderText('Label name')[1], { target: { value: 'frontend' } });
+  fireEvent.click(screen.getByText('Save Labels'));
+
+  await waitFor(() => {
+    expect(mockUpdateProjectLabels).toHaveBeenCalledWith('test-project-id', [
+      { _id: 'label1', name: 'defect', color: '#dc3545' },
+      { name: 'frontend', color: '#17a2b8' }
+    ]);
+  });
+  expect(mockOnProjectUpdated).toHaveBeenCalled();
+});
+
+test('does not save a label without a name', () => {
+  renderSettings();
+
+  fireEvent.click(screen.getByText('+ Add Label'));
+  fireEvent.click(screen.getByText('Save Labels'));
+
+  expect(toast.error).toHaveBeenCalledWith('Every label needs a name');
+  expect(mockUpdateProjectLabels).not.toHaveBeenCalled();
+});
+
+test('shows the server error when saving fails', async () => {
+  mockUpdateProjectLabels = jest.fn(() => Promise.reject({
+    response: { data: { message: 'Invalid labels: label names must be unique' } }
+  }));
+  renderSettings();
+
+  fireEvent.click(screen.getByText('Save Labels'));
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('Invalid labels: label names must be unique');
+  });
+  expect(mockOnProjectUpdated).not.toHaveBeenCalled();
+});
@@ -1,5 +1,5 @@
 // src/test/MembersSection.test.js
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import { MemoryRouter } from 'react-router-dom';
 
 // Import the component after all mocks are set up
@@ -10,6 +10,15 @@ let mockGenerateInviteLink;
 let mockAssignRole;
 let mockRemoveMember;
 let mockOnMembersUpdated;
+let mockGetInviteLinks;
+let mockRevokeInviteLink;
+let mockGetJoinRequests;
+let mockApproveJoinRequest;
+let mockRejectJoinRequest;
+let mockInviteByEmail;
+let mockGetInvitations;
+let mockRevokeInvitation;
+let mockGetProjectRoles;
 
 // Mock ProjectService
 jest.mock('../services/project.service', () => ({
@@ -26,13 +35,23 @@ jest.mock('../services/project.service', () => ({
   removeMember: (...args) => {
     if (!mockRemoveMember) mockRemoveMember = jest.fn(() => Promise.resolve());
     return mockRemoveMember(...args);
-  }
+  },
+  getInviteLinks: (...args) => mockGetInviteLinks(...args),
+  revokeInviteLink: (...args) => mockRevokeInviteLink(...args),
+  getJoinRequests: (...args) => mockGetJoinRequests(...args),
+  approveJoinRequest: (...args) => mockApproveJoinRequest(...args),
+  rejectJoinRequest: (...args) => mockRejectJoinRequest(...args),
+  inviteByEmail: (...args) => mockInviteByEmail(...args),
+  getInvitations: (...args) => mockGetInvitations(...args),
+  revokeInvitation: (...args) => mockRevokeInvitation(...args),
+  getProjectRoles: (...args) => mockGetProjectRoles(...args)
 }));
 
 jest.mock('react-toastify', () => {
   return {
     toast: {
       success: jest.fn(),
+      warning: jest.fn(),
       error: jest.fn(),
     }
   };
@@ -82,6 +101,17 @@ beforeEach(() => {
   mockAssignRole = jest.fn(() => Promise.resolve());
   mockRemoveMember = jest.fn(() => Promise.resolve());
   mockOnMembersUpdated = jest.fn();
+  mockGetInviteLinks = jest.fn(() => Promise.resolve({ data: { inviteLinks: [] } }));
+  mockRevokeInviteLink = jest.fn(() => Promise.resolve());
+  mockGetJoinRequests = jest.fn(() => Promise.resolve({ data: { joinRequests: [] } }));
+  mockApproveJoinRequest = jest.fn(() => Promise.resolve());
+  mockRejectJoinRequest = jest.fn(() => Promise.resolve());
+  mockInviteByEmail = jest.fn(() => Promise.resolve({
+    data: { message: 'Invitation sent to jo@example.com', invitation: { _id: 'invitation1', status: 'pending', emailSent: true } }
+  }));
+  mockGetInvitations = jest.fn(() => Promise.resolve({ data: { invitations: [] } }));
+  mockRevokeInvitation = jest.fn(() => Promise.resolve());
+  mockGetProjectRoles = jest.fn(() => Promise.resolve({ data: { roles: [], permissions: [] } }));
   
   // Reset clipboard mock
   if (navigator.clipboard && navigator.clipboard.writeText) {
@@ -318,6 +348,40 @@ test('assigns role when save is clicked', async () => {
   });
 });
 
+test('assigns a custom role by its ID', async () => {
+  mockGetProjectRoles = jest.fn(() => Promise.resolve({
+    data: {
+      roles: [
+        { _id: 'administrator', roleName: 'administrator', builtIn: true, permissions: [] },
+        { _id: 'role-qa', roleName: 'QA Lead', builtIn: false, permissions: ['work_on_tasks'] }
+      ],
+      permissions: []
+    }
+  }));
+
+  render(
+    <MemoryRouter>
+      <MembersSection 
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserAdmin}
+        onMembersUpdated={mockOnMembersUpdated}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getAllByText('Manage Role')[1]);
+
+  const roleSelect = await screen.findByRole('combobox');
+  expect(await within(roleSelect).findByRole('option', { name: 'QA Lead' })).toBeInTheDocument();
+  fireEvent.change(roleSelect, { target: { value: 'role-qa' } });
+  fireEvent.click(screen.getByText('Save'));
+
+  await waitFor(() => {
+    expect(mockAssignRole).toHaveBeenCalledWith('test-project-id', 'user2', 'role-qa');
+  });
+});
+
 test('opens remove member modal when remove is clicked', async () => {
   render(
     <MemoryRouter>
@@ -511,4 +575,335 @@ test('handles role assignment error', async () => {
   await waitFor(() => {
     expect(toast.error).toHaveBeenCalledWith('There must be at least one administrator in the project.');
   });
-});
\ No newline at end of file
+});
+
+const mockInviteLinks = [
+  {
+    _id: 'link1',
+    token: 'developer-token',
+    name: 'Lab group B',
+    role: 'developer',
+    uses: 2,
+    maxUses: 5,
+    expiresAt: '2030-01-31T12:00:00.000Z',
+    createdBy: { _id: 'user1', name: 'John Admin' },
+    status: 'active'
+  },
+  {
+    _id: 'link2',
+    token: 'old-token',
+    name: 'Open day',
+    role: 'viewer',
+    uses: 7,
+    maxUses: null,
+    expiresAt: null,
+    revokedAt: '2025-01-01T00:00:00.000Z',
+    status: 'revoked'
+  }
+];
+
+test('lists invite links with their role, usage and status', async () => {
+  mockGetInviteLinks.mockResolvedValue({ data: { inviteLinks: mockInviteLinks } });
+
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserAdmin}
+      />
+    </MemoryRouter>
+  );
+
+  const developerLink = await screen.findByTestId('invite-link-link1');
+  expect(mockGetInviteLinks).toHaveBeenCalledWith('test-project-id');
+  expect(within(developerLink).getByText('Lab group B')).toBeInTheDocument();
+  expect(within(developerLink).getByText('by John Admin')).toBeInTheDocument();
+  expect(within(developerLink).getByText('2 / 5')).toBeInTheDocument();
+  expect(within(developerLink).getByText('active')).toBeInTheDocument();
+
+  const revokedLink = screen.getByTestId('invite-link-link2');
+  expect(within(revokedLink).getByText('7 / ∞')).toBeInTheDocument();
+  expect(within(revokedLink).getByText('Never')).toBeInTheDocument();
+  expect(within(revokedLink).getByText('revoked')).toBeInTheDocument();
+  expect(within(revokedLink).queryByText('Revoke')).not.toBeInTheDocument();
+});
+
+test('creates an invite link with a role, expiry date and usage limit', async () => {
+  mockGenerateInviteLink.mockResolvedValue({ data: { inviteLink: { token: 'developer-token' } } });
+
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserAdmin}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(await screen.findByText('+ New Link'));
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Lab group B' } });
+  fireEvent.change(screen.getByLabelText('New members join as'), { target: { value: 'developer' } });
+  fireEvent.change(screen.getByLabelText('Expires after'), { target: { value: '2030-01-31' } });
+  fireEvent.change(screen.getByLabelText('Maximum uses'), { target: { value: '5' } });
+  fireEvent.click(screen.getByText('Create Link'));
+
+  await waitFor(() => {
+    expect(mockGenerateInviteLink).toHaveBeenCalledWith('test-project-id', {
+      name: 'Lab group B',
+      role: 'developer',
+      expiresAt: new Date('2030-01-31T23:59:59').toISOString(),
+      maxUses: 5
+    });
+  });
+  expect(await screen.findByDisplayValue('http://localhost:3000/join/developer-token')).toBeInTheDocument();
+  // The list is reloaded to show the new link
+  expect(mockGetInviteLinks).toHaveBeenCalledTimes(2);
+});
+
+test('revokes a single invite link', async () => {
+  const { toast } = require('react-toastify');
+  mockGetInviteLinks.mockResolvedValue({ data: { inviteLinks: mockInviteLinks } });
+
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserAdmin}
+      />
+    </MemoryRouter>
+  );
+
+  const developerLink = await screen.findByTestId('invite-link-link1');
+  fireEvent.click(within(developerLink).getByText('Revoke'));
+
+  await waitFor(() => {
+    expect(mockRevokeInviteLink).toHaveBeenCalledWith('test-project-id', 'link1');
+  });
+  await waitFor(() => {
+    expect(toast.success).toHaveBeenCalledWith('Invite link "Lab group B" revoked.');
+  });
+  expect(mockGetInviteLinks).toHaveBeenCalledTimes(2);
+});
+
+test('does not load invite links for non-project managers', () => {
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserDeveloper}
+      />
+    </MemoryRouter>
+  );
+
+  expect(screen.queryByText('Invite Links')).not.toBeInTheDocument();
+  expect(mockGetInviteLinks).not.toHaveBeenCalled();
+});
+
+const mockJoinRequests = [
+  {
+    _id: 'request1',
+    user: { _id: 'user4', name: 'Jo Student', email: 'jo@example.com' },
+    requestedRole: 'viewer',
+    status: 'pending',
+    createdAt: '2025-09-01T10:00:00.000Z'
+  }
+];
+
+test('approves a join request with the chosen role', async () => {
+  mockGetJoinRequests.mockResolvedValue({ data: { joinRequests: mockJoinRequests } });
+
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserAdmin}
+        onMembersUpdated={mockOnMembersUpdated}
+      />
+    </MemoryRouter>
+  );
+
+  const row = await screen.findByTestId('join-request-request1');
+  expect(screen.getByText('1 pending')).toBeInTheDocument();
+  expect(within(row).getByText('jo@example.com')).toBeInTheDocument();
+
+  fireEvent.change(within(row).getByLabelText('Role for Jo Student'), { target: { value: 'developer' } });
+  fireEvent.click(within(row).getByText('Approve'));
+
+  await waitFor(() => {
+    expect(mockApproveJoinRequest).toHaveBeenCalledWith('test-project-id', 'request1', 'developer');
+  });
+  await waitFor(() => {
+    expect(mockOnMembersUpdated).toHaveBeenCalled();
+  });
+  expect(mockGetJoinRequests).toHaveBeenCalledTimes(2);
+});
+
+test('rejects a join request with a reason', async () => {
+  mockGetJoinRequests.mockResolvedValue({ data: { joinRequests: mockJoinRequests } });
+
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserAdmin}
+      />
+    </MemoryRouter>
+  );
+
+  const row = await screen.findByTestId('join-request-request1');
+  fireEvent.click(within(row).getByText('Reject'));
+
+  const rejectButton = await screen.findByText('Reject Request');
+  expect(rejectButton).toBeDisabled();
+  fireEvent.change(screen.getByLabelText('Reason'), { target: { value: 'Course staff only' } });
+  fireEvent.click(rejectButton);
+
+  await waitFor(() => {
+    expect(mockRejectJoinRequest).toHaveBeenCalledWith('test-project-id', 'request1', 'Course staff only');
+  });
+  expect(mockApproveJoinRequest).not.toHaveBeenCalled();
+});
+
+test('shows an empty join request queue when approval is required', async () => {
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={{ ...mockProject, settings: { ...mockProject.settings, requireJoinApproval: true } }}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserAdmin}
+      />
+    </MemoryRouter>
+  );
+
+  expect(await screen.findByText('Join Requests')).toBeInTheDocument();
+  expect(screen.getByText(/No pending requests/)).toBeInTheDocument();
+  expect(mockGetJoinRequests).toHaveBeenCalledWith('test-project-id');
+});
+
+const mockInvitations = [
+  {
+    _id: 'invitation1',
+    email: 'jo@example.com',
+    role: 'developer',
+    invitedBy: 'John Admin',
+    status: 'pending',
+    emailSentAt: '2025-09-01T10:00:00.000Z'
+  },
+  {
+    _id: 'invitation2',
+    email: 'sam@example.com',
+    role: 'viewer',
+    invitedBy: 'John Admin',
+    status: 'pending',
+    emailSentAt: null
+  }
+];
+
+test('invites someone by email with a role', async () => {
+  const { toast } = require('react-toastify');
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserAdmin}
+        onMembersUpdated={mockOnMembersUpdated}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('Invite by Email'));
+  fireEvent.change(screen.getByLabelText('Email address to invite'), { target: { value: ' jo@example.com ' } });
+  fireEvent.change(screen.getByLabelText('Invitation role'), { target: { value: 'developer' } });
+  fireEvent.click(screen.getByText('Send Invite'));
+
+  await waitFor(() => {
+    expect(mockInviteByEmail).toHaveBeenCalledWith('test-project-id', 'jo@example.com', 'developer');
+  });
+  await waitFor(() => {
+    expect(mockGetInvitations).toHaveBeenCalledTimes(2);
+  });
+  expect(toast.success).toHaveBeenCalledWith('Invitation sent to jo@example.com');
+  expect(mockOnMembersUpdated).not.toHaveBeenCalled();
+});
+
+test('warns when the invitation email could not be sent', async () => {
+  const { toast } = require('react-toastify');
+  mockInviteByEmail.mockResolvedValue({
+    data: {
+      message: 'Invitation saved, but the email to jo@example.com could not be sent',
+      invitation: { _id: 'invitation1', status: 'pending', emailSent: false }
+    }
+  });
+
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserAdmin}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('Invite by Email'));
+  fireEvent.change(screen.getByLabelText('Email address to invite'), { target: { value: 'jo@example.com' } });
+  fireEvent.click(screen.getByText('Send Invite'));
+
+  await waitFor(() => {
+    expect(toast.warning).toHaveBeenCalledWith('Invitation saved, but the email to jo@example.com could not be sent');
+  });
+  expect(toast.success).not.toHaveBeenCalled();
+});
+
+test('lists pending email invitations and revokes one', async () => {
+  const { toast } = require('react-toastify');
+  mockGetInvitations.mockResolvedValue({ data: { invitations: mockInvitations } });
+
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserAdmin}
+      />
+    </MemoryRouter>
+  );
+
+  const sentRow = await screen.findByTestId('invitation-invitation1');
+  expect(screen.getByText('2 pending')).toBeInTheDocument();
+  expect(within(sentRow).getByText('jo@example.com')).toBeInTheDocument();
+  expect(within(sentRow).getByText('by John Admin')).toBeInTheDocument();
+  expect(within(screen.getByTestId('invitation-invitation2')).getByText('Not delivered')).toBeInTheDocument();
+
+  fireEvent.click(within(sentRow).getByText('Revoke'));
+
+  await waitFor(() => {
+    expect(mockRevokeInvitation).toHaveBeenCalledWith('test-project-id', 'invitation1');
+  });
+  await waitFor(() => {
+    expect(toast.success).toHaveBeenCalledWith('Invitation for jo@example.com revoked.');
+  });
+  expect(mockGetInvitations).toHaveBeenCalledTimes(2);
+});
+
+test('does not load email invitations for non-project managers', () => {
+  render(
+    <MemoryRouter>
+      <MembersSection
+        project={mockProject}
+        projectId="test-project-id"
+        currentUser={mockCurrentUserDeveloper}
+      />
+    </MemoryRouter>
+  );
+
+  expect(screen.queryByText('Invite by Email')).not.toBeInTheDocument();
+  expect(mockGetInvitations).not.toHaveBeenCalled();
+});
@@ -9,6 +9,7 @@ import PostItem from '../components/PostItem';
 let mockTogglePostLike;
 let mockUpdatePost;
 let mockDeletePost;
+let mockPinPost;
 
 // Mock modules before importing the component
 jest.mock('../services/project.service', () => ({
@@ -44,7 +45,8 @@ jest.mock('../services/project.service', () => ({
   deletePost: (...args) => {
     if (!mockDeletePost) mockDeletePost = jest.fn(() => Promise.resolve());
     return mockDeletePost(...args);
-  }
+  },
+  pinPost: (...args) => mockPinPost(...args)
 }));
 
 jest.mock('react-toastify', () => {
@@ -137,6 +139,7 @@ beforeEach(() => {
     } 
   }));
   mockDeletePost = jest.fn(() => Promise.resolve());
+  mockPinPost = jest.fn(() => Promise.resolve({ data: {} }));
 });
 
 const mockPost = {
@@ -310,6 +313,57 @@ test('does not show edit and delete options for non-owner', () => {
   expect(screen.queryByText('⋯')).not.toBeInTheDocument();
 });
 
+test('lets administrators pin posts they did not write', async () => {
+  const { toast } = require('react-toastify');
+  const nonOwnerUser = { _id: 'user2', name: 'Jane Smith', email: 'jane@example.com' };
+
+  render(
+    <MemoryRouter>
+      <PostItem 
+        post={mockPost}
+        currentUser={nonOwnerUser}
+        project={mockProject}
+        canPin={true}
+        onUpdate={mockOnUpdate}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('⋯'));
+  expect(screen.queryByText('Edit Post')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByText('Pin Post'));
+
+  await waitFor(() => {
+    expect(mockPinPost).toHaveBeenCalledWith('1', true);
+  });
+  await waitFor(() => {
+    expect(toast.success).toHaveBeenCalledWith('Post pinned');
+  });
+  expect(mockOnUpdate).toHaveBeenCalled();
+});
+
+test('shows pinned posts with a badge and an unpin option', async () => {
+  render(
+    <MemoryRouter>
+      <PostItem 
+        post={{ ...mockPost, pinned: true }}
+        currentUser={mockCurrentUser}
+        project={mockProject}
+        canPin={true}
+        onUpdate={mockOnUpdate}
+      />
+    </MemoryRouter>
+  );
+
+  expect(screen.getByText('📌 Pinned')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('⋯'));
+  fireEvent.click(screen.getByText('Unpin Post'));
+
+  await waitFor(() => {
+    expect(mockPinPost).toHaveBeenCalledWith('1', false);
+  });
+});
+
 test('opens edit modal when Edit Post is clicked', async () => {
   render(
     <MemoryRouter>
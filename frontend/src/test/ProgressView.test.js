@@ -1,8 +1,20 @@
-import { render, screen, fireEvent } from '@testing-library/react';
+import { useState } from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import { MemoryRouter } from 'react-router-dom';
 
 // Import the component after all mocks are set up
 import ProgressView from '../components/ProgressView';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+
+jest.mock('../services/project.service', () => ({
+  editTaskProgress: jest.fn(),
+  reorderBoardColumn: jest.fn()
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: { error: jest.fn(), warning: jest.fn() }
+}));
 
 // Create mock functions that will be accessible in tests
 let mockOnEditTask;
@@ -33,6 +45,7 @@ beforeEach(() => {
   // Reset mock functions before each test
   mockOnEditTask = jest.fn();
   mockCanEditTask = jest.fn(() => true);
+  jest.clearAllMocks();
 });
 
 // Mock data
@@ -43,11 +56,11 @@ const mockTasks = [
     taskDescription: 'First to do task',
     taskDeadline: '2025-08-15T00:00:00.000Z',
     taskProgress: 'To Do',
-    taskAssignee: {
+    taskAssignees: [{
       _id: 'user1',
       name: 'John Admin',
       email: 'john@example.com'
-    }
+    }]
   },
   {
     _id: 'task2',
@@ -55,7 +68,7 @@ const mockTasks = [
     taskDescription: 'Second to do task',
     taskDeadline: '2025-08-20T00:00:00.000Z',
     taskProgress: 'To Do',
-    taskAssignee: null
+    taskAssignees: []
   },
   {
     _id: 'task3',
@@ -63,11 +76,11 @@ const mockTasks = [
     taskDescription: 'Task being worked on',
     taskDeadline: '2025-08-18T00:00:00.000Z',
     taskProgress: 'In Progress',
-    taskAssignee: {
+    taskAssignees: [{
       _id: 'user2',
       name: 'Jane Developer',
       email: 'jane@example.com'
-    }
+    }]
   },
   {
     _id: 'task4',
@@ -75,11 +88,11 @@ const mockTasks = [
     taskDescription: 'Task that is done',
     taskDeadline: '2025-08-10T00:00:00.000Z',
     taskProgress: 'Completed',
-    taskAssignee: {
+    taskAssignees: [{
       _id: 'user1',
       name: 'John Admin',
       email: 'john@example.com'
-    }
+    }]
   },
   {
     _id: 'task5',
@@ -87,7 +100,7 @@ const mockTasks = [
     taskDescription: 'Task past deadline',
     taskDeadline: '2025-08-01T00:00:00.000Z', // Past date
     taskProgress: 'To Do',
-    taskAssignee: null
+    taskAssignees: []
   }
 ];
 
@@ -440,3 +453,200 @@ test('displays tasks with and without assignees', () => {
   expect(screen.getByText('To Do Task 1')).toBeInTheDocument(); // Has assignee
   expect(screen.getByText('To Do Task 2')).toBeInTheDocument(); // No assignee
 });
+
+test('renders one column per status of a custom workflow', () => {
+  const workflow = [
+    { name: 'Backlog', category: 'todo', color: '#6c757d', transitions: [] },
+    { name: 'In Review', category: 'active', color: '#ffeeba', transitions: [] },
+    { name: 'Shipped', category: 'done', color: '#28a745', transitions: [] }
+  ];
+  const tasks = [
+    { ...mockTasks[4], taskProgress: 'Shipped' },
+    { ...mockTasks[2], taskProgress: 'In Review' }
+  ];
+
+  render(
+    <MemoryRouter>
+      <ProgressView
+        tasks={tasks}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+        workflow={workflow}
+      />
+    </MemoryRouter>
+  );
+
+  expect(screen.getByText('Backlog (0)')).toHaveClass('text-white');
+  expect(screen.getByText('In Review (1)')).toHaveClass('text-dark'); // Light custom colour
+  expect(screen.getByText('Shipped (1)')).toBeInTheDocument();
+  expect(screen.queryByText(/^To Do \(/)).not.toBeInTheDocument();
+
+  // Tasks in a done status are never shown as overdue
+  const shippedDate = screen.getByText((content) => content.includes('01/08/2025'));
+  expect(shippedDate).not.toHaveStyle('font-weight: bold');
+});
+
+test('shows checklist progress on task cards', () => {
+  const tasks = [{
+    ...mockTasks[0],
+    checklist: [
+      { _id: 'item1', text: 'Draft', done: true },
+      { _id: 'item2', text: 'Review', done: true }
+    ]
+  }];
+
+  render(
+    <MemoryRouter>
+      <ProgressView
+        tasks={tasks}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+      />
+    </MemoryRouter>
+  );
+
+  const progress = screen.getByTitle('Checklist items done');
+  expect(progress).toHaveTextContent('☑ 2/2');
+  expect(progress).toHaveClass('text-success');
+});
+
+// Drags a task card and drops it onto another element
+const dragTaskOnto = (taskId, target) => {
+  const card = screen.getByTestId(`task-card-${taskId}`);
+  const dataTransfer = { setData: jest.fn(), effectAllowed: '' };
+  fireEvent.dragStart(card, { dataTransfer });
+  fireEvent.dragOver(target, { dataTransfer });
+  fireEvent.drop(target, { dataTransfer });
+};
+
+const renderBoard = (props = {}) => render(
+  <MemoryRouter>
+    <ProgressView
+      tasks={mockTasks}
+      onEditTask={mockOnEditTask}
+      canEditTask={mockCanEditTask}
+      projectId="project1"
+      canMoveTask={() => true}
+      {...props}
+    />
+  </MemoryRouter>
+);
+
+test('cards can only be dragged when the task may be moved', () => {
+  renderBoard({ canMoveTask: (task) => task._id === 'task1' });
+
+  expect(screen.getByTestId('task-card-task1')).toHaveAttribute('draggable', 'true');
+  expect(screen.getByTestId('task-card-task2')).toHaveAttribute('draggable', 'false');
+});
+
+test('moves a card to another column and saves its status and position', async () => {
+  const mockOnTasksUpdated = jest.fn();
+  ProjectService.editTaskProgress.mockResolvedValue({});
+  ProjectService.reorderBoardColumn.mockResolvedValue({});
+  renderBoard({ onTasksUpdated: mockOnTasksUpdated });
+
+  dragTaskOnto('task2', screen.getByTestId('column-In Progress'));
+
+  expect(screen.getByText('To Do (2)')).toBeInTheDocument();
+  expect(screen.getByText('In Progress (2)')).toBeInTheDocument();
+  await waitFor(() => expect(mockOnTasksUpdated).toHaveBeenCalled());
+  expect(ProjectService.editTaskProgress).toHaveBeenCalledWith('project1', 'task2', 'In Progress');
+  expect(ProjectService.reorderBoardColumn).toHaveBeenCalledWith('project1', 'In Progress', ['task3', 'task2']);
+});
+
+test('reorders cards within a column without changing their status', async () => {
+  ProjectService.reorderBoardColumn.mockResolvedValue({});
+  renderBoard();
+
+  dragTaskOnto('task5', screen.getByTestId('task-card-task1'));
+
+  await waitFor(() => {
+    expect(ProjectService.reorderBoardColumn).toHaveBeenCalledWith('project1', 'To Do', ['task5', 'task1', 'task2']);
+  });
+  expect(ProjectService.editTaskProgress).not.toHaveBeenCalled();
+  const names = within(screen.getByTestId('column-To Do')).getAllByRole('heading').map(h => h.textContent);
+  expect(names).toEqual(['Overdue Task', 'To Do Task 1', 'To Do Task 2']);
+});
+
+test('rolls the move back when the server refuses it', async () => {
+  ProjectService.editTaskProgress.mockRejectedValue({
+    response: { data: { message: 'Cannot move a task from "To Do" to "Completed"' } }
+  });
+  renderBoard();
+
+  dragTaskOnto('task2', screen.getByTestId('column-Completed'));
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('Cannot move a task from "To Do" to "Completed"');
+  });
+  expect(screen.getByText('To Do (3)')).toBeInTheDocument();
+  expect(screen.getByText('Completed (1)')).toBeInTheDocument();
+  expect(ProjectService.reorderBoardColumn).not.toHaveBeenCalled();
+});
+
+test('reloads the tasks when the status is saved but the reorder fails', async () => {
+  ProjectService.editTaskProgress.mockResolvedValue({});
+  ProjectService.reorderBoardColumn.mockRejectedValue({ response: { data: { message: 'Failed to reorder' } } });
+  const savedTasks = mockTasks.map(task => (task._id === 'task2' ? { ...task, taskProgress: 'In Progress' } : task));
+  const mockOnTasksUpdated = jest.fn();
+
+  // Stands in for the dashboard, which passes the refetched tasks back down
+  const RefreshingBoard = () => {
+    const [tasks, setTasks] = useState(mockTasks);
+    return (
+      <ProgressView
+        tasks={tasks}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+        projectId="project1"
+        canMoveTask={() => true}
+        onTasksUpdated={async () => {
+          mockOnTasksUpdated();
+          setTasks(savedTasks);
+        }}
+      />
+    );
+  };
+  render(<MemoryRouter><RefreshingBoard /></MemoryRouter>);
+
+  dragTaskOnto('task2', screen.getByTestId('column-In Progress'));
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('Failed to reorder');
+  });
+  expect(mockOnTasksUpdated).toHaveBeenCalledTimes(1);
+  expect(screen.getByText('To Do (2)')).toBeInTheDocument();
+  expect(screen.getByText('In Progress (2)')).toBeInTheDocument();
+});
+
+test('shows WIP limits and warns when a column goes over its limit', async () => {
+  ProjectService.editTaskProgress.mockResolvedValue({});
+  ProjectService.reorderBoardColumn.mockResolvedValue({});
+  const workflow = [
+    { name: 'To Do', category: 'todo', color: '#dc3545', transitions: [] },
+    { name: 'In Progress', category: 'active', color: '#ffc107', transitions: [], wipLimit: 1 },
+    { name: 'Completed', category: 'done', color: '#28a745', transitions: [] }
+  ];
+  renderBoard({ workflow });
+
+  expect(screen.getByText('In Progress (1/1)')).toBeInTheDocument();
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+  dragTaskOnto('task1', screen.getByTestId('column-In Progress'));
+
+  expect(screen.getByText('In Progress (2/1)')).toBeInTheDocument();
+  expect(screen.getByRole('alert')).toHaveTextContent('Over WIP limit');
+  expect(toast.warning).toHaveBeenCalledWith('In Progress is over its WIP limit of 1');
+  await waitFor(() => expect(ProjectService.reorderBoardColumn).toHaveBeenCalled());
+});
+
+test('groups the board into swimlanes by assignee', () => {
+  renderBoard();
+
+  fireEvent.change(screen.getByLabelText('Swimlanes'), { target: { value: 'assignee' } });
+
+  expect(screen.getByText('Jane Developer (1)')).toBeInTheDocument();
+  expect(screen.getByText('John Admin (2)')).toBeInTheDocument();
+  expect(screen.getByText('Unassigned (2)')).toBeInTheDocument();
+  expect(screen.getAllByText('To Do (3)')).toHaveLength(1);
+});
@@ -0,0 +1,51 @@
+import { render, screen } from '@testing-library/react';
+
+import ProjectActivityLog from '../components/ProjectActivityLog';
+
+let mockGetProjectActivity;
+
+jest.mock('../services/project.service', () => ({
+  getProjectActivity: (...args) => mockGetProjectActivity(...args)
+}));
+
+const mockProject = { _id: 'project1', projectName: 'Course 2025' };
+
+const activity = [
+  {
+    _id: 'activity2',
+    action: 'ownership_transferred',
+    actor: { _id: 'user3', name: 'Carol' },
+    target: { _id: 'user1', name: 'Alice' },
+    timestamp: '2025-09-02T10:00:00.000Z'
+  },
+  {
+    _id: 'activity1',
+    action: 'ownership_transfer_requested',
+    actor: { _id: 'user1', name: 'Alice' },
+    target: null,
+    timestamp: '2025-09-01T10:00:00.000Z'
+  }
+];
+
+test('describes each recorded event, newest first', async () => {
+  mockGetProjectActivity = jest.fn(() => Promise.resolve({ data: { activity } }));
+  render(<ProjectActivityLog project={mockProject} projectId="project1" />);
+
+  const list = await screen.findByLabelText('Project activity');
+  expect(mockGetProjectActivity).toHaveBeenCalledWith('project1');
+  expect(list).toHaveTextContent(/Carol took over as project owner from Alice.*Alice asked a former member to take over as project owner/);
+});
+
+test('shows an empty state when nothing has happened yet', async () => {
+  mockGetProjectActivity = jest.fn(() => Promise.resolve({ data: { activity: [] } }));
+  render(<ProjectActivityLog project={mockProject} projectId="project1" />);
+
+  expect(await screen.findByText('No project activity recorded yet.')).toBeInTheDocument();
+});
+
+test('explains when the activity log cannot be loaded', async () => {
+  mockGetProjectActivity = jest.fn(() => Promise.reject(new Error('Network Error')));
+  render(<ProjectActivityLog project={mockProject} projectId="project1" />);
+
+  expect(await screen.findByText('Could not load the activity log.')).toBeInTheDocument();
+});
@@ -230,6 +230,113 @@ describe('ProjectJoin Component', () => {
     ).toBeInTheDocument();
   });
 
+  test('shows why an invite link can no longer be used', async () => {
+    mockGetProjectDetailsFromInvite = jest.fn(() =>
+      Promise.reject({
+        response: { status: 410, data: { message: 'This invite link has reached its usage limit' } },
+      })
+    );
+
+    render(
+      <MemoryRouter>
+        <ProjectJoin />
+      </MemoryRouter>
+    );
+
+    expect(
+      await screen.findByText('This invite link has reached its usage limit.')
+    ).toBeInTheDocument();
+  });
+
+  test('shows the role granted by the invite link', async () => {
+    mockGetProjectDetailsFromInvite = jest.fn(() =>
+      Promise.resolve({
+        data: {
+          project: {
+            projectName: 'Test Project',
+            projectDescription: 'This is a test project description',
+            invitedBy: 'test@example.com',
+            role: 'developer',
+          },
+        },
+      })
+    );
+
+    render(
+      <MemoryRouter>
+        <ProjectJoin />
+      </MemoryRouter>
+    );
+
+    await screen.findByRole('button', { name: /join project/i });
+    expect(screen.getByText('You will join as:')).toBeInTheDocument();
+    expect(screen.getByText('developer')).toBeInTheDocument();
+  });
+
+  test('sends a join request when the project requires approval', async () => {
+    mockGetProjectDetailsFromInvite = jest.fn(() =>
+      Promise.resolve({
+        data: {
+          project: {
+            projectName: 'Test Project',
+            projectDescription: 'This is a test project description',
+            invitedBy: 'test@example.com',
+            requiresApproval: true,
+            joinRequest: null,
+          },
+        },
+      })
+    );
+    mockJoinProjectViaInvite = jest.fn(() =>
+      Promise.resolve({
+        data: { project: { projectId: 'test-project-id', status: 'pending' } },
+      })
+    );
+
+    render(
+      <MemoryRouter>
+        <ProjectJoin />
+      </MemoryRouter>
+    );
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Request to Join' }));
+
+    expect(
+      await screen.findByText('Your request to join is waiting for an administrator\'s approval.')
+    ).toBeInTheDocument();
+    expect(mockToastSuccess).toHaveBeenCalledWith('Your request has been sent to the project administrators.');
+    expect(mockNavigate).not.toHaveBeenCalled();
+    expect(screen.queryByRole('button', { name: 'Request to Join' })).not.toBeInTheDocument();
+  });
+
+  test('shows why a join request was declined', async () => {
+    mockGetProjectDetailsFromInvite = jest.fn(() =>
+      Promise.resolve({
+        data: {
+          project: {
+            projectName: 'Test Project',
+            projectDescription: 'This is a test project description',
+            invitedBy: 'test@example.com',
+            requiresApproval: true,
+            joinRequest: { status: 'rejected', reason: 'Course staff only' },
+          },
+        },
+      })
+    );
+
+    render(
+      <MemoryRouter>
+        <ProjectJoin />
+      </MemoryRouter>
+    );
+
+    expect(
+      await screen.findByText('Your request to join this project was declined.')
+    ).toBeInTheDocument();
+    expect(screen.getByText('Course staff only')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /join/i })).not.toBeInTheDocument();
+  });
+
   test('handles authentication error when fetching project details', async () => {
     mockGetProjectDetailsFromInvite = jest.fn(() =>
       Promise.reject({
@@ -306,6 +413,27 @@ describe('ProjectJoin Component', () => {
     });
   });
 
+  test('handles join project error - link revoked', async () => {
+    mockJoinProjectViaInvite = jest.fn(() =>
+      Promise.reject({
+        response: { status: 410, data: { message: 'This invite link has been revoked' } },
+      })
+    );
+
+    render(
+      <MemoryRouter>
+        <ProjectJoin />
+      </MemoryRouter>
+    );
+
+    await screen.findByRole('button', { name: /join project/i });
+    fireEvent.click(screen.getByRole('button', { name: /join project/i }));
+
+    await waitFor(() => {
+      expect(mockToastError).toHaveBeenCalledWith('This invite link has been revoked.');
+    });
+  });
+
   test('handles join project error - already a member', async () => {
     mockJoinProjectViaInvite = jest.fn(() =>
       Promise.reject({
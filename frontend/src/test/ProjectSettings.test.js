@@ -0,0 +1,210 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import ProjectSettings from '../components/ProjectSettings';
+
+let mockCloneProject;
+let mockUpdateProjectSettings;
+let mockRequestOwnershipTransfer;
+let mockAcceptOwnershipTransfer;
+let mockCancelOwnershipTransfer;
+
+jest.mock('../services/project.service', () => ({
+  cloneProject: (...args) => mockCloneProject(...args),
+  updateProjectSettings: (...args) => mockUpdateProjectSettings(...args),
+  requestOwnershipTransfer: (...args) => mockRequestOwnershipTransfer(...args),
+  acceptOwnershipTransfer: (...args) => mockAcceptOwnershipTransfer(...args),
+  cancelOwnershipTransfer: (...args) => mockCancelOwnershipTransfer(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+// The settings cards load their own data and have their own tests
+jest.mock('../components/WorkflowSettings', () => () => null);
+jest.mock('../components/LabelSettings', () => () => null);
+jest.mock('../components/SprintSettings', () => () => null);
+jest.mock('../components/TrashSettings', () => () => null);
+jest.mock('../components/TemplateSettings', () => () => null);
+jest.mock('../components/ProjectActivityLog', () => () => null);
+jest.mock('../components/RoleSettings', () => () => null);
+
+const mockAdmin = { _id: 'user1', name: 'Alice' };
+const mockDeveloper = { _id: 'user2', name: 'Bob' };
+const mockSecondAdmin = { _id: 'user3', name: 'Carol' };
+
+const mockProject = {
+  _id: 'project1',
+  projectName: 'Course 2025',
+  projectDescription: 'Autumn cohort',
+  settings: {},
+  members: [
+    { user: { _id: 'user1', name: 'Alice' }, role: { roleName: 'administrator' } },
+    { user: { _id: 'user2', name: 'Bob' }, role: { roleName: 'developer' } }
+  ]
+};
+
+beforeEach(() => {
+  mockCloneProject = jest.fn(() => Promise.resolve({ data: { project: { _id: 'project2' } } }));
+  mockUpdateProjectSettings = jest.fn(() => Promise.resolve({ data: {} }));
+  mockRequestOwnershipTransfer = jest.fn(() => Promise.resolve({ data: {} }));
+  mockAcceptOwnershipTransfer = jest.fn(() => Promise.resolve({ data: {} }));
+  mockCancelOwnershipTransfer = jest.fn(() => Promise.resolve({ data: {} }));
+  toast.success.mockClear();
+  toast.error.mockClear();
+});
+
+const mockOwnedProject = (pendingOwner = null) => ({
+  ...mockProject,
+  projectOwner: 'user1',
+  pendingOwnershipTransfer: pendingOwner ? { to: pendingOwner, requestedAt: '2025-09-01T10:00:00.000Z' } : null,
+  members: [
+    ...mockProject.members,
+    { user: { _id: 'user3', name: 'Carol' }, role: { roleName: 'administrator' } }
+  ]
+});
+
+const renderSettings = (currentUser, onProjectCloned = jest.fn(), project = mockProject, onProjectUpdated = jest.fn()) => render(
+  <ProjectSettings
+    project={project}
+    projectId="project1"
+    currentUser={currentUser}
+    onProjectUpdated={onProjectUpdated}
+    onProjectDeleted={jest.fn()}
+    onProjectCloned={onProjectCloned}
+  />
+);
+
+test('clones the project with the chosen options and opens the copy', async () => {
+  const onProjectCloned = jest.fn();
+  renderSettings(mockAdmin, onProjectCloned);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clone' }));
+  expect(screen.getByLabelText('Project Name')).toHaveValue('Course 2025 (copy)');
+
+  fireEvent.change(screen.getByLabelText('Project Name'), { target: { value: 'Course 2026' } });
+  fireEvent.change(screen.getByLabelText('Shift deadlines by (days)'), { target: { value: '364' } });
+  fireEvent.click(screen.getByLabelText('Clear assignees'));
+  fireEvent.click(screen.getByLabelText('Copy pinned posts'));
+  fireEvent.click(screen.getByRole('button', { name: 'Clone Project' }));
+
+  await waitFor(() => {
+    expect(mockCloneProject).toHaveBeenCalledWith('project1', {
+      projectName: 'Course 2026',
+      deadlineShiftDays: 364,
+      resetProgress: true,
+      clearAssignees: false,
+      includePinnedPosts: true
+    });
+  });
+  expect(toast.success).toHaveBeenCalledWith('Project cloned successfully');
+  expect(onProjectCloned).toHaveBeenCalledWith('project2');
+});
+
+test('rejects a deadline shift that is not a whole number of days', () => {
+  renderSettings(mockAdmin);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clone' }));
+  fireEvent.change(screen.getByLabelText('Shift deadlines by (days)'), { target: { value: '1.5' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Clone Project' }));
+
+  expect(toast.error).toHaveBeenCalledWith('Deadline shift must be a whole number of days');
+  expect(mockCloneProject).not.toHaveBeenCalled();
+});
+
+test('shows why the project could not be cloned', async () => {
+  mockCloneProject = jest.fn(() => Promise.reject({ response: { data: { message: 'Only project administrators can clone the project' } } }));
+  renderSettings(mockAdmin);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clone' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Clone Project' }));
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('Only project administrators can clone the project');
+  });
+});
+
+test('hides cloning from members who are not administrators', () => {
+  renderSettings(mockDeveloper);
+
+  expect(screen.queryByRole('button', { name: 'Clone' })).not.toBeInTheDocument();
+});
+
+test('turns on join approval for invite links', async () => {
+  renderSettings(mockAdmin);
+
+  const approvalSwitch = screen.getByLabelText('Require join approval');
+  expect(approvalSwitch).not.toBeChecked();
+  fireEvent.click(approvalSwitch);
+
+  await waitFor(() => {
+    expect(mockUpdateProjectSettings).toHaveBeenCalledWith(
+      'project1',
+      expect.objectContaining({ requireJoinApproval: true })
+    );
+  });
+  await waitFor(() => {
+    expect(approvalSwitch).toBeChecked();
+  });
+});
+
+test('shows the project owner in the danger zone', () => {
+  renderSettings(mockDeveloper, jest.fn(), mockOwnedProject());
+
+  expect(screen.getByText('Project Owner')).toBeInTheDocument();
+  expect(screen.getByText('- Alice')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Transfer' })).not.toBeInTheDocument();
+});
+
+test('lets the owner hand the project over to another administrator', async () => {
+  const onProjectUpdated = jest.fn();
+  renderSettings(mockAdmin, jest.fn(), mockOwnedProject(), onProjectUpdated);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Transfer' }));
+  const select = screen.getByLabelText('New Owner');
+  // Only other administrators can take over
+  expect(screen.queryByRole('option', { name: 'Bob' })).not.toBeInTheDocument();
+  fireEvent.change(select, { target: { value: 'user3' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Request Transfer' }));
+
+  await waitFor(() => {
+    expect(mockRequestOwnershipTransfer).toHaveBeenCalledWith('project1', 'user3');
+  });
+  expect(toast.success).toHaveBeenCalledWith('Waiting for Carol to accept ownership');
+  expect(onProjectUpdated).toHaveBeenCalled();
+});
+
+test('lets the owner cancel a pending transfer', async () => {
+  renderSettings(mockAdmin, jest.fn(), mockOwnedProject('user3'));
+
+  expect(screen.getByText('- Alice (transfer to Carol pending)')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Cancel Transfer' }));
+
+  await waitFor(() => {
+    expect(mockCancelOwnershipTransfer).toHaveBeenCalledWith('project1');
+  });
+  expect(toast.success).toHaveBeenCalledWith('Ownership transfer cancelled');
+});
+
+test('lets the proposed owner accept or decline the transfer', async () => {
+  const onProjectUpdated = jest.fn();
+  renderSettings(mockSecondAdmin, jest.fn(), mockOwnedProject('user3'), onProjectUpdated);
+
+  expect(screen.getByText('Alice wants to make you the owner of this project.')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Accept Ownership' }));
+  await waitFor(() => {
+    expect(mockAcceptOwnershipTransfer).toHaveBeenCalledWith('project1');
+  });
+  expect(toast.success).toHaveBeenCalledWith('You are now the project owner');
+  expect(onProjectUpdated).toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Decline' }));
+  await waitFor(() => {
+    expect(mockCancelOwnershipTransfer).toHaveBeenCalledWith('project1');
+  });
+  expect(toast.success).toHaveBeenCalledWith('Ownership transfer declined');
+});
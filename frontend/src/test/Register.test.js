@@ -149,4 +149,33 @@ test('submits form and navigates to dashboard on success', async () => {
   await waitFor(() => {
     expect(mockNavigate).toHaveBeenCalledWith('/dashboard');
   }, { timeout: 3000 });
-}); 
\ No newline at end of file
+}); 
+test('prefills the invited email address from the invitation link', () => {
+  render(
+    <MemoryRouter initialEntries={['/register?email=jo%40example.com']}>
+      <Register />
+    </MemoryRouter>
+  );
+
+  expect(screen.getByLabelText(/email address/i)).toHaveValue('jo@example.com');
+  expect(screen.getByText('You\'ve been invited to a project. Register with this email address to join it.')).toBeInTheDocument();
+});
+
+test('sends the invitation token from the link along with the registration', async () => {
+  render(
+    <MemoryRouter initialEntries={['/register?email=jo%40example.com&invitation=invite-token']}>
+      <Register />
+    </MemoryRouter>
+  );
+
+  expect(screen.getByText('You\'ve been invited to a project. Register to accept the invitation and join it.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText(/name/i), { target: { value: 'Jo' } });
+  fireEvent.change(screen.getByLabelText(/^password$/i), { target: { value: 'Password123!' } });
+  fireEvent.change(screen.getByLabelText(/confirm password/i), { target: { value: 'Password123!' } });
+  fireEvent.click(screen.getByRole('button', { name: /register/i }));
+
+  await waitFor(() => {
+    expect(mockRegister).toHaveBeenCalledWith('Jo', 'jo@example.com', 'Password123!', 'invite-token');
+  });
+});
@@ -0,0 +1,108 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+
+import RoleSettings from '../components/RoleSettings';
+
+let mockGetProjectRoles;
+let mockCreateRole;
+let mockUpdateRole;
+let mockDeleteRole;
+
+jest.mock('../services/project.service', () => ({
+  getProjectRoles: (...args) => mockGetProjectRoles(...args),
+  createRole: (...args) => mockCreateRole(...args),
+  updateRole: (...args) => mockUpdateRole(...args),
+  deleteRole: (...args) => mockDeleteRole(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: { success: jest.fn(), error: jest.fn() }
+}));
+
+const permissions = [
+  { key: 'create_tasks', group: 'Tasks', label: 'Create tasks and subtasks' },
+  { key: 'work_on_tasks', group: 'Tasks', label: 'Be assigned tasks, track time, edit checklists and reorder the board' },
+  { key: 'export_pdf', group: 'Reports', label: 'Export the project summary as PDF' }
+];
+
+const roles = [
+  { _id: 'role-viewer', roleName: 'viewer', builtIn: true, permissions: ['export_pdf'], memberCount: 2 },
+  { _id: 'role-qa', roleName: 'QA Lead', builtIn: false, permissions: ['work_on_tasks'], memberCount: 1 }
+];
+
+beforeEach(() => {
+  mockGetProjectRoles = jest.fn(() => Promise.resolve({ data: { roles, permissions } }));
+  mockCreateRole = jest.fn(() => Promise.resolve({ data: {} }));
+  mockUpdateRole = jest.fn(() => Promise.resolve({ data: {} }));
+  mockDeleteRole = jest.fn(() => Promise.resolve({ data: {} }));
+});
+
+test('shows which permissions each role holds', async () => {
+  render(<RoleSettings projectId="project1" />);
+
+  const matrix = await screen.findByRole('table', { name: 'Permission matrix' });
+  expect(mockGetProjectRoles).toHaveBeenCalledWith('project1');
+  expect(within(matrix).getByText('Built-in')).toBeInTheDocument();
+  expect(within(matrix).getByTitle('QA Lead can be assigned tasks, track time, edit checklists and reorder the board')).toBeInTheDocument();
+  expect(within(matrix).getByTitle('viewer can export the project summary as pdf')).toBeInTheDocument();
+  expect(within(matrix).queryByTitle('viewer can create tasks and subtasks')).not.toBeInTheDocument();
+  // Only custom roles can be edited or deleted
+  expect(screen.getAllByRole('button', { name: /^Edit / })).toHaveLength(1);
+});
+
+test('creates a custom role with the ticked permissions', async () => {
+  const onProjectUpdated = jest.fn();
+  render(<RoleSettings projectId="project1" onProjectUpdated={onProjectUpdated} />);
+  await screen.findByRole('table', { name: 'Permission matrix' });
+
+  fireEvent.click(screen.getByText('+ New Role'));
+  fireEvent.change(screen.getByLabelText('Role Name'), { target: { value: ' Reporter ' } });
+  fireEvent.click(screen.getByLabelText('Create tasks and subtasks'));
+  fireEvent.click(screen.getByLabelText('Export the project summary as PDF'));
+  fireEvent.click(screen.getByText('Save Role'));
+
+  await waitFor(() => {
+    expect(mockCreateRole).toHaveBeenCalledWith('project1', {
+      roleName: 'Reporter',
+      permissions: ['create_tasks', 'export_pdf']
+    });
+  });
+  await waitFor(() => expect(onProjectUpdated).toHaveBeenCalled());
+  expect(mockGetProjectRoles).toHaveBeenCalledTimes(2);
+});
+
+test('edits an existing custom role', async () => {
+  render(<RoleSettings projectId="project1" />);
+  await screen.findByRole('table', { name: 'Permission matrix' });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Edit QA Lead' }));
+  expect(screen.getByLabelText('Role Name')).toHaveValue('QA Lead');
+  expect(screen.getByLabelText('Be assigned tasks, track time, edit checklists and reorder the board')).toBeChecked();
+
+  fireEvent.click(screen.getByLabelText('Be assigned tasks, track time, edit checklists and reorder the board'));
+  fireEvent.click(screen.getByLabelText('Create tasks and subtasks'));
+  fireEvent.click(screen.getByText('Save Role'));
+
+  await waitFor(() => {
+    expect(mockUpdateRole).toHaveBeenCalledWith('project1', 'role-qa', {
+      roleName: 'QA Lead',
+      permissions: ['create_tasks']
+    });
+  });
+});
+
+test('reports why a role in use cannot be deleted', async () => {
+  const { toast } = require('react-toastify');
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  mockDeleteRole = jest.fn(() => Promise.reject({
+    response: { data: { message: 'Reassign the members who hold this role before deleting it' } }
+  }));
+  render(<RoleSettings projectId="project1" />);
+  await screen.findByRole('table', { name: 'Permission matrix' });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Delete QA Lead' }));
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('Reassign the members who hold this role before deleting it');
+  });
+  expect(mockDeleteRole).toHaveBeenCalledWith('project1', 'role-qa');
+});
@@ -0,0 +1,131 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import SprintSettings from '../components/SprintSettings';
+
+let mockCreateSprint;
+let mockStartSprint;
+let mockCloseSprint;
+let mockDeleteSprint;
+
+jest.mock('../services/project.service', () => ({
+  createSprint: (...args) => mockCreateSprint(...args),
+  startSprint: (...args) => mockStartSprint(...args),
+  closeSprint: (...args) => mockCloseSprint(...args),
+  deleteSprint: (...args) => mockDeleteSprint(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+const mockProject = {
+  sprints: [
+    { _id: 'sprint1', name: 'Sprint 1', kind: 'sprint', status: 'active', goal: 'Ship login', startDate: '2025-09-01T00:00:00.000Z', endDate: '2025-09-14T00:00:00.000Z' },
+    { _id: 'sprint2', name: 'Sprint 2', kind: 'sprint', status: 'planned', startDate: '2025-09-15T00:00:00.000Z', endDate: '2025-09-28T00:00:00.000Z' }
+  ],
+  tasks: [
+    { _id: 'task1', taskName: 'Login form', sprint: 'sprint1' },
+    { _id: 'task2', taskName: 'Password reset', sprint: 'sprint1' }
+  ]
+};
+
+let mockOnProjectUpdated;
+
+beforeEach(() => {
+  mockCreateSprint = jest.fn(() => Promise.resolve({ data: {} }));
+  mockStartSprint = jest.fn(() => Promise.resolve({ data: {} }));
+  mockCloseSprint = jest.fn(() => Promise.resolve({ data: { carriedOver: 1 } }));
+  mockDeleteSprint = jest.fn(() => Promise.resolve({ data: {} }));
+  mockOnProjectUpdated = jest.fn();
+  toast.success.mockClear();
+  toast.error.mockClear();
+});
+
+const renderSettings = () => render(
+  <SprintSettings
+    project={mockProject}
+    projectId="test-project-id"
+    onProjectUpdated={mockOnProjectUpdated}
+  />
+);
+
+test('lists sprints with their status, goal and task count', () => {
+  renderSettings();
+
+  const active = within(screen.getByTestId('sprint-sprint1'));
+  expect(active.getByText('Active')).toBeInTheDocument();
+  expect(active.getByText('Ship login')).toBeInTheDocument();
+  expect(active.getByText(/2 task\(s\)/)).toBeInTheDocument();
+  expect(within(screen.getByTestId('sprint-sprint2')).getByText('Planned')).toBeInTheDocument();
+});
+
+test('creates a milestone', async () => {
+  renderSettings();
+
+  fireEvent.change(screen.getByLabelText('Sprint name'), { target: { value: 'Beta release' } });
+  fireEvent.change(screen.getByLabelText('Sprint type'), { target: { value: 'milestone' } });
+  fireEvent.change(screen.getByLabelText('Sprint start date'), { target: { value: '2025-09-01' } });
+  fireEvent.change(screen.getByLabelText('Sprint end date'), { target: { value: '2025-10-31' } });
+  fireEvent.click(screen.getByText('+ Add Sprint'));
+
+  await waitFor(() => {
+    expect(mockCreateSprint).toHaveBeenCalledWith('test-project-id', {
+      name: 'Beta release',
+      kind: 'milestone',
+      goal: '',
+      startDate: '2025-09-01',
+      endDate: '2025-10-31'
+    });
+  });
+  expect(toast.success).toHaveBeenCalledWith('Milestone created successfully');
+  expect(mockOnProjectUpdated).toHaveBeenCalled();
+});
+
+test('does not create a sprint without dates', () => {
+  renderSettings();
+
+  fireEvent.change(screen.getByLabelText('Sprint name'), { target: { value: 'Sprint 3' } });
+  fireEvent.click(screen.getByText('+ Add Sprint'));
+
+  expect(mockCreateSprint).not.toHaveBeenCalled();
+  expect(toast.error).toHaveBeenCalledWith('Name, start date and end date are required');
+});
+
+test('starts a planned sprint', async () => {
+  renderSettings();
+
+  fireEvent.click(within(screen.getByTestId('sprint-sprint2')).getByText('Start'));
+
+  await waitFor(() => {
+    expect(mockStartSprint).toHaveBeenCalledWith('test-project-id', 'sprint2');
+  });
+  expect(mockOnProjectUpdated).toHaveBeenCalled();
+});
+
+test('closes the active sprint and carries unfinished tasks into the next one', async () => {
+  renderSettings();
+
+  fireEvent.change(screen.getByLabelText('Move unfinished tasks of Sprint 1 to'), { target: { value: 'sprint2' } });
+  fireEvent.click(screen.getByText('Close'));
+
+  await waitFor(() => {
+    expect(mockCloseSprint).toHaveBeenCalledWith('test-project-id', 'sprint1', 'sprint2');
+  });
+  expect(toast.success).toHaveBeenCalledWith('Sprint closed; 1 unfinished task(s) carried over');
+});
+
+test('shows the server error when an action fails', async () => {
+  mockStartSprint = jest.fn(() => Promise.reject({ response: { data: { message: 'Another sprint is already active' } } }));
+  renderSettings();
+
+  fireEvent.click(screen.getByText('Start'));
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('Another sprint is already active');
+  });
+  expect(mockOnProjectUpdated).not.toHaveBeenCalled();
+});
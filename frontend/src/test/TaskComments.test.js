@@ -0,0 +1,149 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import TaskComments from '../components/TaskComments';
+
+let mockGetTaskComments;
+let mockAddTaskComment;
+let mockDeleteTaskComment;
+let mockToggleTaskCommentLike;
+
+jest.mock('../services/project.service', () => ({
+  getTaskComments: (...args) => mockGetTaskComments(...args),
+  addTaskComment: (...args) => mockAddTaskComment(...args),
+  deleteTaskComment: (...args) => mockDeleteTaskComment(...args),
+  toggleTaskCommentLike: (...args) => mockToggleTaskCommentLike(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+const currentUser = { _id: 'user1', name: 'Alice' };
+const comments = [
+  {
+    _id: 'comment1',
+    content: 'Fails on Safari only',
+    author: { _id: 'user1', name: 'Alice' },
+    parentComment: null,
+    likesCount: 1,
+    userHasLiked: false,
+    createdAt: '2025-08-01T10:00:00.000Z'
+  },
+  {
+    _id: 'comment2',
+    content: 'I can take it',
+    author: { _id: 'user2', name: 'Bob' },
+    parentComment: 'comment1',
+    likesCount: 0,
+    userHasLiked: false,
+    createdAt: '2025-08-01T11:00:00.000Z'
+  }
+];
+
+beforeEach(() => {
+  mockGetTaskComments = jest.fn(() => Promise.resolve({ data: { comments } }));
+  mockAddTaskComment = jest.fn((projectId, taskId, content, parentCommentId) => Promise.resolve({
+    data: {
+      comment: {
+        _id: 'comment3',
+        content,
+        author: currentUser,
+        parentComment: parentCommentId,
+        likesCount: 0,
+        userHasLiked: false,
+        createdAt: new Date().toISOString()
+      }
+    }
+  }));
+  mockDeleteTaskComment = jest.fn(() => Promise.resolve({ data: { message: 'Comment deleted successfully' } }));
+  mockToggleTaskCommentLike = jest.fn(() => Promise.resolve({ data: { likesCount: 2, userHasLiked: true } }));
+  toast.error.mockClear();
+});
+
+const renderComments = () => render(
+  <TaskComments projectId="test-project-id" taskId="task1" currentUser={currentUser} />
+);
+
+describe('TaskComments', () => {
+  test('shows comments with their replies', async () => {
+    renderComments();
+
+    expect(await screen.findByText('Fails on Safari only')).toBeInTheDocument();
+    expect(screen.getByText('I can take it')).toBeInTheDocument();
+    expect(screen.getByText('Comments (2):')).toBeInTheDocument();
+    expect(mockGetTaskComments).toHaveBeenCalledWith('test-project-id', 'task1');
+  });
+
+  test('posts a comment', async () => {
+    renderComments();
+    await screen.findByText('Fails on Safari only');
+
+    fireEvent.change(screen.getByLabelText('New comment'), { target: { value: 'Fixed in the next build' } });
+    fireEvent.click(screen.getByText('Post'));
+
+    expect(await screen.findByText('Fixed in the next build')).toBeInTheDocument();
+    expect(mockAddTaskComment).toHaveBeenCalledWith('test-project-id', 'task1', 'Fixed in the next build', null);
+    expect(screen.getByLabelText('New comment')).toHaveValue('');
+  });
+
+  test('replies only to top-level comments', async () => {
+    renderComments();
+    await screen.findByText('Fails on Safari only');
+
+    expect(screen.getAllByText('Reply')).toHaveLength(1);
+    fireEvent.click(screen.getByText('Reply'));
+    fireEvent.change(screen.getByLabelText('Reply to Alice'), { target: { value: 'Thanks!' } });
+    fireEvent.submit(screen.getByLabelText('Reply to Alice'));
+
+    expect(await screen.findByText('Thanks!')).toBeInTheDocument();
+    expect(mockAddTaskComment).toHaveBeenCalledWith('test-project-id', 'task1', 'Thanks!', 'comment1');
+  });
+
+  test('likes a comment', async () => {
+    renderComments();
+    await screen.findByText('Fails on Safari only');
+
+    fireEvent.click(screen.getByLabelText('Like comment by Alice'));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Like comment by Alice')).toHaveAttribute('aria-pressed', 'true');
+    });
+    expect(screen.getByLabelText('Like comment by Alice')).toHaveTextContent('♥ 2');
+    expect(mockToggleTaskCommentLike).toHaveBeenCalledWith('test-project-id', 'task1', 'comment1');
+  });
+
+  test('lets authors delete their comments with the replies', async () => {
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    renderComments();
+    await screen.findByText('Fails on Safari only');
+
+    expect(screen.queryByLabelText('Delete comment by Bob')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Delete comment by Alice'));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Fails on Safari only')).not.toBeInTheDocument();
+    });
+    expect(screen.queryByText('I can take it')).not.toBeInTheDocument();
+    expect(mockDeleteTaskComment).toHaveBeenCalledWith('test-project-id', 'task1', 'comment1');
+  });
+
+  test('shows server errors', async () => {
+    mockAddTaskComment = jest.fn(() => Promise.reject({
+      response: { data: { message: 'Comment content is required' } }
+    }));
+    renderComments();
+    await screen.findByText('Fails on Safari only');
+
+    fireEvent.change(screen.getByLabelText('New comment'), { target: { value: 'x' } });
+    fireEvent.click(screen.getByText('Post'));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Comment content is required');
+    });
+    expect(screen.getByLabelText('New comment')).toHaveValue('x');
+  });
+});
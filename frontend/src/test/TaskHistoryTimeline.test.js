@@ -0,0 +1,80 @@
+import { render, screen } from '@testing-library/react';
+
+import TaskHistoryTimeline from '../components/TaskHistoryTimeline';
+
+let mockGetTaskHistory;
+
+jest.mock('../services/project.service', () => ({
+  getTaskHistory: (...args) => mockGetTaskHistory(...args)
+}));
+
+const members = [
+  { user: { _id: 'user1', name: 'Alice' }, role: { roleName: 'developer' } },
+  { user: { _id: 'user2', name: 'Bob' }, role: { roleName: 'developer' } }
+];
+const labels = [{ _id: 'label1', name: 'Bug', color: '#dc3545' }];
+const mockTask = { _id: 'task1', taskName: 'Release' };
+
+const history = [
+  {
+    _id: 'entry1',
+    field: 'taskAssignees',
+    oldValue: ['user1'],
+    newValue: ['user1', 'user2'],
+    changedBy: { _id: 'user1', name: 'Alice' },
+    timestamp: '2025-08-03T09:30:00.000Z'
+  },
+  {
+    _id: 'entry2',
+    field: 'priority',
+    oldValue: 'medium',
+    newValue: 'urgent',
+    changedBy: { _id: 'user2', name: 'Bob' },
+    timestamp: '2025-08-02T15:00:00.000Z'
+  },
+  {
+    _id: 'entry3',
+    field: 'labels',
+    oldValue: [],
+    newValue: ['label1'],
+    changedBy: null,
+    timestamp: '2025-08-01T08:00:00.000Z'
+  }
+];
+
+const renderTimeline = () => render(
+  <TaskHistoryTimeline
+    projectId="test-project-id"
+    task={mockTask}
+    members={members}
+    labels={labels}
+  />
+);
+
+describe('TaskHistoryTimeline', () => {
+  test('shows each change with who made it', async () => {
+    mockGetTaskHistory = jest.fn(() => Promise.resolve({ data: { history } }));
+    renderTimeline();
+
+    expect(await screen.findByText('Assignees: Alice → Alice, Bob')).toBeInTheDocument();
+    expect(screen.getByText('Priority: Medium → Urgent')).toBeInTheDocument();
+    expect(screen.getByText('Labels: none → Bug')).toBeInTheDocument();
+    expect(screen.getByText('Bob')).toBeInTheDocument();
+    expect(screen.getByText('Unknown user')).toBeInTheDocument();
+    expect(mockGetTaskHistory).toHaveBeenCalledWith('test-project-id', 'task1');
+  });
+
+  test('says when nothing has changed yet', async () => {
+    mockGetTaskHistory = jest.fn(() => Promise.resolve({ data: { history: [] } }));
+    renderTimeline();
+
+    expect(await screen.findByText('No changes recorded yet.')).toBeInTheDocument();
+  });
+
+  test('shows an error when the history cannot be loaded', async () => {
+    mockGetTaskHistory = jest.fn(() => Promise.reject(new Error('Network Error')));
+    renderTimeline();
+
+    expect(await screen.findByText('Could not load the task history.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,149 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import TaskImportWizard from '../components/TaskImportWizard';
+
+let mockImportTasks;
+
+jest.mock('../services/project.service', () => ({
+  importTasks: (...args) => mockImportTasks(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+const csv = 'Title,Due,Owner\nSet up CI,30/09/2025,bob@example.com\nWrite guide,someday,\n';
+
+const previewWithErrors = {
+  columns: ['Title', 'Due', 'Owner'],
+  mapping: { taskName: 'Title', taskDeadline: 'Due', taskAssignees: 'Owner' },
+  rows: [
+    {
+      row: 1,
+      errors: [],
+      task: { taskName: 'Set up CI', taskDeadline: '2025-09-30T00:00:00.000Z', taskAssignees: [{ _id: 'user2', name: 'Bob' }], priority: 'medium', taskProgress: 'To Do' }
+    },
+    {
+      row: 2,
+      errors: ['Unrecognised deadline "someday"'],
+      task: { taskName: 'Write guide', taskDeadline: null, taskAssignees: [], priority: 'medium', taskProgress: 'To Do' }
+    }
+  ],
+  valid: 1,
+  invalid: 1,
+  created: []
+};
+
+const validPreview = {
+  ...previewWithErrors,
+  rows: [previewWithErrors.rows[0]],
+  valid: 1,
+  invalid: 0
+};
+
+beforeEach(() => {
+  mockImportTasks = jest.fn();
+  toast.success.mockClear();
+  toast.error.mockClear();
+});
+
+const renderWizard = (onImported = jest.fn(), onHide = jest.fn()) => render(
+  <TaskImportWizard show={true} onHide={onHide} projectId="project1" onImported={onImported} />
+);
+
+test('previews the pasted rows with their errors', async () => {
+  mockImportTasks.mockResolvedValue({ data: previewWithErrors });
+  renderWizard();
+
+  fireEvent.change(screen.getByLabelText('Or paste the tasks'), { target: { value: csv } });
+  fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+
+  const invalidRow = within(await screen.findByTestId('import-row-2'));
+  expect(invalidRow.getByText('Unrecognised deadline "someday"')).toBeInTheDocument();
+  expect(within(screen.getByTestId('import-row-1')).getByText('2025-09-30')).toBeInTheDocument();
+  expect(screen.getByText(/1 of 2 rows have errors/)).toBeInTheDocument();
+  expect(screen.getByLabelText('Deadline *')).toHaveValue('Due');
+  expect(screen.getByRole('button', { name: 'Import 1 task' })).toBeDisabled();
+  expect(mockImportTasks).toHaveBeenCalledWith('project1', {
+    format: 'csv',
+    content: csv,
+    dateFormat: 'DMY',
+    dryRun: true
+  });
+});
+
+test('sends the chosen columns when previewing again', async () => {
+  mockImportTasks.mockResolvedValue({ data: previewWithErrors });
+  renderWizard();
+
+  fireEvent.change(screen.getByLabelText('Or paste the tasks'), { target: { value: csv } });
+  fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+  await screen.findByTestId('import-row-1');
+
+  fireEvent.change(screen.getByLabelText('Assignee emails'), { target: { value: '' } });
+  fireEvent.change(screen.getByLabelText('Dates like 03/04/2025 are'), { target: { value: 'MDY' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Update preview' }));
+
+  await waitFor(() => {
+    expect(mockImportTasks).toHaveBeenCalledTimes(2);
+  });
+  const [, file] = mockImportTasks.mock.calls[1];
+  expect(file.dateFormat).toBe('MDY');
+  expect(file.mapping).toEqual(expect.objectContaining({ taskName: 'Title', taskDeadline: 'Due', taskAssignees: '' }));
+});
+
+test('imports the tasks once every row is valid', async () => {
+  const onImported = jest.fn();
+  const onHide = jest.fn();
+  mockImportTasks
+    .mockResolvedValueOnce({ data: validPreview })
+    .mockResolvedValueOnce({ data: { ...validPreview, message: '1 task imported', created: ['task1'] } });
+  renderWizard(onImported, onHide);
+
+  fireEvent.change(screen.getByLabelText('Or paste the tasks'), { target: { value: 'Title,Due\nSet up CI,30/09/2025' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Import 1 task' }));
+
+  await waitFor(() => {
+    expect(toast.success).toHaveBeenCalledWith('1 task imported');
+  });
+  expect(mockImportTasks.mock.calls[1][1].dryRun).toBe(false);
+  expect(onHide).toHaveBeenCalled();
+  expect(onImported).toHaveBeenCalled();
+});
+
+test('reads the format from an uploaded JSON file', async () => {
+  mockImportTasks.mockResolvedValue({ data: validPreview });
+  renderWizard();
+
+  const file = new File(['[{"title":"Set up CI","due":"2025-09-30"}]'], 'backlog.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText('File'), { target: { files: [file] } });
+
+  await waitFor(() => {
+    expect(screen.getByLabelText('Format')).toHaveValue('json');
+  });
+  fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+
+  await waitFor(() => {
+    expect(mockImportTasks).toHaveBeenCalledWith('project1', expect.objectContaining({
+      format: 'json',
+      content: '[{"title":"Set up CI","due":"2025-09-30"}]'
+    }));
+  });
+});
+
+test('shows why the file could not be read', async () => {
+  mockImportTasks.mockRejectedValue({ response: { data: { message: 'Map a column to the task name and the deadline' } } });
+  renderWizard();
+
+  fireEvent.change(screen.getByLabelText('Or paste the tasks'), { target: { value: 'Title\nSet up CI' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('Map a column to the task name and the deadline');
+  });
+});
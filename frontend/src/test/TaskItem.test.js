@@ -5,22 +5,26 @@ import { MemoryRouter } from 'react-router-dom';
 import TaskItem from '../components/TaskItem';
 
 // Create mock functions that will be accessible in tests
-let mockAssignTask;
-let mockDeleteTask;
+let mockUpdateTaskAssignees;
+let mockArchiveTask;
+let mockWatchTask;
+let mockUnwatchTask;
 let mockOnTaskUpdated;
 let mockOnEditTask;
 let mockCanEditTask;
 
 // Mock ProjectService
 jest.mock('../services/project.service', () => ({
-  assignTask: (...args) => {
-    if (!mockAssignTask) mockAssignTask = jest.fn(() => Promise.resolve());
-    return mockAssignTask(...args);
+  updateTaskAssignees: (...args) => {
+    if (!mockUpdateTaskAssignees) mockUpdateTaskAssignees = jest.fn(() => Promise.resolve());
+    return mockUpdateTaskAssignees(...args);
   },
-  deleteTask: (...args) => {
-    if (!mockDeleteTask) mockDeleteTask = jest.fn(() => Promise.resolve());
-    return mockDeleteTask(...args);
-  }
+  archiveTask: (...args) => {
+    if (!mockArchiveTask) mockArchiveTask = jest.fn(() => Promise.resolve());
+    return mockArchiveTask(...args);
+  },
+  watchTask: (...args) => mockWatchTask(...args),
+  unwatchTask: (...args) => mockUnwatchTask(...args)
 }));
 
 jest.mock('react-toastify', () => {
@@ -61,8 +65,10 @@ afterAll(() => {
 
 beforeEach(() => {
   // Reset mock functions before each test
-  mockAssignTask = jest.fn(() => Promise.resolve());
-  mockDeleteTask = jest.fn(() => Promise.resolve());
+  mockUpdateTaskAssignees = jest.fn(() => Promise.resolve());
+  mockArchiveTask = jest.fn(() => Promise.resolve());
+  mockWatchTask = jest.fn(() => Promise.resolve());
+  mockUnwatchTask = jest.fn(() => Promise.resolve());
   mockOnTaskUpdated = jest.fn();
   mockOnEditTask = jest.fn();
   mockCanEditTask = jest.fn(() => true);
@@ -94,11 +100,11 @@ const mockTaskAssigned = {
   taskDescription: 'Task with assignee',
   taskDeadline: '2025-08-15T00:00:00.000Z',
   taskProgress: 'To Do',
-  taskAssignee: {
+  taskAssignees: [{
     _id: 'user1',
     name: 'John Admin',
     email: 'john@example.com'
-  }
+  }]
 };
 
 const mockTaskUnassigned = {
@@ -107,7 +113,7 @@ const mockTaskUnassigned = {
   taskDescription: 'Task without assignee',
   taskDeadline: '2025-08-20T00:00:00.000Z',
   taskProgress: 'In Progress',
-  taskAssignee: null
+  taskAssignees: []
 };
 
 const mockTaskOverdue = {
@@ -116,7 +122,7 @@ const mockTaskOverdue = {
   taskDescription: 'Task past deadline',
   taskDeadline: '2025-08-01T00:00:00.000Z', // Past date
   taskProgress: 'To Do',
-  taskAssignee: null
+  taskAssignees: []
 };
 
 const mockTaskCompleted = {
@@ -125,11 +131,11 @@ const mockTaskCompleted = {
   taskDescription: 'Task that is done',
   taskDeadline: '2025-08-01T00:00:00.000Z', // Past date but completed
   taskProgress: 'Completed',
-  taskAssignee: {
+  taskAssignees: [{
     _id: 'user2',
     name: 'Jane Developer',
     email: 'jane@example.com'
-  }
+  }]
 };
 
 test('renders task item with basic information', () => {
@@ -231,7 +237,7 @@ test('does not show overdue styling for completed tasks', () => {
   expect(dateElement).not.toHaveStyle('font-weight: bold');
 });
 
-test('shows edit and delete buttons when user can edit', () => {
+test('shows edit and archive buttons when user can edit', () => {
   render(
     <MemoryRouter>
       <TaskItem
@@ -247,10 +253,10 @@ test('shows edit and delete buttons when user can edit', () => {
   );
 
   expect(screen.getByText('Edit')).toBeInTheDocument();
-  expect(screen.getByText('Delete')).toBeInTheDocument();
+  expect(screen.getByText('Archive')).toBeInTheDocument();
 });
 
-test('hides edit and delete buttons when user cannot edit', () => {
+test('hides edit and archive buttons when user cannot edit', () => {
   mockCanEditTask.mockReturnValue(false);
   
   render(
@@ -268,10 +274,10 @@ test('hides edit and delete buttons when user cannot edit', () => {
   );
 
   const editButton = screen.getByText('Edit');
-  const deleteButton = screen.getByText('Delete');
+  const archiveButton = screen.getByText('Archive');
   
   expect(editButton).toBeDisabled();
-  expect(deleteButton).toBeDisabled();
+  expect(archiveButton).toBeDisabled();
 });
 
 test('calls onEditTask when edit button is clicked', () => {
@@ -294,7 +300,7 @@ test('calls onEditTask when edit button is clicked', () => {
   expect(mockOnEditTask).toHaveBeenCalledWith(mockTaskAssigned);
 });
 
-test('deletes task when delete button is clicked and confirmed', async () => {
+test('archives task when archive button is clicked and confirmed', async () => {
   render(
     <MemoryRouter>
       <TaskItem
@@ -309,14 +315,14 @@ test('deletes task when delete button is clicked and confirmed', async () => {
     </MemoryRouter>
   );
 
-  fireEvent.click(screen.getByText('Delete'));
+  fireEvent.click(screen.getByText('Archive'));
   
   expect(window.confirm).toHaveBeenCalledWith(
-    'Are you sure you want to delete the task "Assigned Task"? This action cannot be undone.'
+    'Archive the task "Assigned Task"? You can restore it from the Archived view.'
   );
   
   await waitFor(() => {
-    expect(mockDeleteTask).toHaveBeenCalledWith('test-project-id', 'task1');
+    expect(mockArchiveTask).toHaveBeenCalledWith('test-project-id', 'task1');
   });
   
   await waitFor(() => {
@@ -324,7 +330,7 @@ test('deletes task when delete button is clicked and confirmed', async () => {
   });
 });
 
-test('does not delete task when confirmation is cancelled', async () => {
+test('does not archive task when confirmation is cancelled', async () => {
   window.confirm.mockReturnValue(false);
   
   render(
@@ -341,9 +347,9 @@ test('does not delete task when confirmation is cancelled', async () => {
     </MemoryRouter>
   );
 
-  fireEvent.click(screen.getByText('Delete'));
+  fireEvent.click(screen.getByText('Archive'));
   
-  expect(mockDeleteTask).not.toHaveBeenCalled();
+  expect(mockArchiveTask).not.toHaveBeenCalled();
 });
 
 test('opens assignment dropdown when assignee is clicked for project manager', async () => {
@@ -364,7 +370,7 @@ test('opens assignment dropdown when assignee is clicked for project manager', a
   fireEvent.click(screen.getByText('John Admin'));
   
   await waitFor(() => {
-    expect(screen.getByRole('combobox')).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Assignees' })).toBeInTheDocument();
   });
   
   expect(screen.getByText('✓')).toBeInTheDocument();
@@ -389,12 +395,12 @@ test('shows assignable members in dropdown excluding viewers', async () => {
   fireEvent.click(screen.getByText('Unassigned'));
   
   await waitFor(() => {
-    expect(screen.getByRole('combobox')).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Assignees' })).toBeInTheDocument();
   });
   
-  expect(screen.getByText('John Admin (administrator)')).toBeInTheDocument();
-  expect(screen.getByText('Jane Developer (developer)')).toBeInTheDocument();
-  expect(screen.queryByText('Bob Viewer (viewer)')).not.toBeInTheDocument();
+  expect(screen.getByLabelText('John Admin (administrator)')).toBeInTheDocument();
+  expect(screen.getByLabelText('Jane Developer (developer)')).toBeInTheDocument();
+  expect(screen.queryByLabelText('Bob Viewer (viewer)')).not.toBeInTheDocument();
 });
 
 test('assigns task to selected member', async () => {
@@ -415,17 +421,15 @@ test('assigns task to selected member', async () => {
   fireEvent.click(screen.getByText('Unassigned'));
   
   await waitFor(() => {
-    expect(screen.getByRole('combobox')).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Assignees' })).toBeInTheDocument();
   });
   
-  fireEvent.change(screen.getByRole('combobox'), {
-    target: { value: 'user1' }
-  });
+  fireEvent.click(screen.getByLabelText('John Admin (administrator)'));
   
   fireEvent.click(screen.getByText('✓'));
   
   await waitFor(() => {
-    expect(mockAssignTask).toHaveBeenCalledWith('test-project-id', 'task2', 'user1');
+    expect(mockUpdateTaskAssignees).toHaveBeenCalledWith('test-project-id', 'task2', ['user1']);
   });
   
   await waitFor(() => {
@@ -451,16 +455,94 @@ test('cancels assignment when cancel button is clicked', async () => {
   fireEvent.click(screen.getByText('Unassigned'));
   
   await waitFor(() => {
-    expect(screen.getByRole('combobox')).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Assignees' })).toBeInTheDocument();
   });
   
   fireEvent.click(screen.getByText('✕'));
   
   await waitFor(() => {
-    expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+    expect(screen.queryByRole('group', { name: 'Assignees' })).not.toBeInTheDocument();
   });
   
-  expect(mockAssignTask).not.toHaveBeenCalled();
+  expect(mockUpdateTaskAssignees).not.toHaveBeenCalled();
+});
+
+test('shows every assignee and keeps them selected when editing', async () => {
+  const sharedTask = {
+    ...mockTaskAssigned,
+    taskAssignees: [
+      { _id: 'user1', name: 'John Admin' },
+      { _id: 'user2', name: 'Jane Developer' }
+    ]
+  };
+
+  render(
+    <MemoryRouter>
+      <TaskItem
+        task={sharedTask}
+        project={mockProject}
+        projectId="test-project-id"
+        isProjectManager={true}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('John Admin, Jane Developer'));
+
+  expect(screen.getByLabelText('John Admin (administrator)')).toBeChecked();
+  expect(screen.getByLabelText('Jane Developer (developer)')).toBeChecked();
+
+  fireEvent.click(screen.getByLabelText('John Admin (administrator)'));
+  fireEvent.click(screen.getByText('✓'));
+
+  await waitFor(() => {
+    expect(mockUpdateTaskAssignees).toHaveBeenCalledWith('test-project-id', 'task1', ['user2']);
+  });
+});
+
+test('lets members watch and unwatch a task', async () => {
+  const { rerender } = render(
+    <MemoryRouter>
+      <TaskItem
+        task={mockTaskAssigned}
+        project={mockProject}
+        projectId="test-project-id"
+        isProjectManager={false}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+        currentUser={{ _id: 'user3' }}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('👁 Watch'));
+  await waitFor(() => {
+    expect(mockWatchTask).toHaveBeenCalledWith('test-project-id', 'task1');
+  });
+
+  rerender(
+    <MemoryRouter>
+      <TaskItem
+        task={{ ...mockTaskAssigned, taskWatchers: [{ _id: 'user3', name: 'Bob Viewer' }] }}
+        project={mockProject}
+        projectId="test-project-id"
+        isProjectManager={false}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+        currentUser={{ _id: 'user3' }}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('👁 Unwatch'));
+  await waitFor(() => {
+    expect(mockUnwatchTask).toHaveBeenCalledWith('test-project-id', 'task1');
+  });
 });
 
 test('does not show assignment dropdown for non-project managers', () => {
@@ -485,7 +567,7 @@ test('does not show assignment dropdown for non-project managers', () => {
 
 test('handles task assignment error', async () => {
   const { toast } = require('react-toastify');
-  mockAssignTask.mockRejectedValue({
+  mockUpdateTaskAssignees.mockRejectedValue({
     response: { data: { message: 'Failed to assign task' } }
   });
   
@@ -506,12 +588,10 @@ test('handles task assignment error', async () => {
   fireEvent.click(screen.getByText('Unassigned'));
   
   await waitFor(() => {
-    expect(screen.getByRole('combobox')).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Assignees' })).toBeInTheDocument();
   });
   
-  fireEvent.change(screen.getByRole('combobox'), {
-    target: { value: 'user1' }
-  });
+  fireEvent.click(screen.getByLabelText('John Admin (administrator)'));
   
   fireEvent.click(screen.getByText('✓'));
   
@@ -520,10 +600,10 @@ test('handles task assignment error', async () => {
   });
 });
 
-test('handles task deletion error', async () => {
+test('handles task archive error', async () => {
   const { toast } = require('react-toastify');
-  mockDeleteTask.mockRejectedValue({
-    response: { data: { message: 'Failed to delete task' } }
+  mockArchiveTask.mockRejectedValue({
+    response: { data: { message: 'Failed to archive task' } }
   });
   
   render(
@@ -540,10 +620,10 @@ test('handles task deletion error', async () => {
     </MemoryRouter>
   );
 
-  fireEvent.click(screen.getByText('Delete'));
+  fireEvent.click(screen.getByText('Archive'));
   
   await waitFor(() => {
-    expect(toast.error).toHaveBeenCalledWith('Failed to delete task');
+    expect(toast.error).toHaveBeenCalledWith('Failed to archive task');
   });
 });
 
@@ -641,23 +721,21 @@ test('disables assignment buttons when assigning task', async () => {
   fireEvent.click(screen.getByText('Unassigned'));
   
   await waitFor(() => {
-    expect(screen.getByRole('combobox')).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Assignees' })).toBeInTheDocument();
   });
   
-  fireEvent.change(screen.getByRole('combobox'), {
-    target: { value: 'user1' }
-  });
+  fireEvent.click(screen.getByLabelText('John Admin (administrator)'));
   
   // Mock the assignment to take some time
   let resolveAssignment;
-  mockAssignTask.mockReturnValue(new Promise(resolve => {
+  mockUpdateTaskAssignees.mockReturnValue(new Promise(resolve => {
     resolveAssignment = resolve;
   }));
   
   fireEvent.click(screen.getByText('✓'));
   
   // Buttons should be disabled during assignment
-  expect(screen.getByRole('combobox')).toBeDisabled();
+  expect(screen.getByLabelText('John Admin (administrator)')).toBeDisabled();
   expect(screen.getByText('✓')).toBeDisabled();
   expect(screen.getByText('✕')).toBeDisabled();
   
@@ -668,3 +746,243 @@ test('disables assignment buttons when assigning task', async () => {
     expect(mockOnTaskUpdated).toHaveBeenCalled();
   });
 });
+
+test('shows a collapsible subtask tree with completion count', () => {
+  const projectWithSubtasks = {
+    ...mockProject,
+    tasks: [
+      mockTaskAssigned,
+      { ...mockTaskCompleted, _id: 'sub1', taskName: 'First Subtask', parentTask: 'task1' },
+      { ...mockTaskUnassigned, _id: 'sub2', taskName: 'Second Subtask', parentTask: 'task1' }
+    ]
+  };
+
+  render(
+    <MemoryRouter>
+      <TaskItem
+        task={mockTaskAssigned}
+        project={projectWithSubtasks}
+        projectId="test-project-id"
+        isProjectManager={true}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+      />
+    </MemoryRouter>
+  );
+
+  const toggle = screen.getByText(/2 subtasks \(1\/2 done\)/);
+  expect(screen.queryByText('First Subtask')).not.toBeInTheDocument();
+
+  fireEvent.click(toggle);
+  expect(screen.getByText('First Subtask')).toBeInTheDocument();
+  expect(screen.getByText('Second Subtask')).toBeInTheDocument();
+
+  fireEvent.click(toggle);
+  expect(screen.queryByText('First Subtask')).not.toBeInTheDocument();
+});
+
+test('calls onAddSubtask when the add subtask button is clicked', () => {
+  const mockOnAddSubtask = jest.fn();
+
+  render(
+    <MemoryRouter>
+      <TaskItem
+        task={mockTaskAssigned}
+        project={mockProject}
+        projectId="test-project-id"
+        isProjectManager={true}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+        onAddSubtask={mockOnAddSubtask}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('+ Subtask'));
+  expect(mockOnAddSubtask).toHaveBeenCalledWith(mockTaskAssigned);
+});
+
+test('shows a blocked badge only while a blocker is unfinished', () => {
+  const blockedTask = { ...mockTaskAssigned, blockedBy: ['task2'] };
+  const renderWithBlocker = (blockerProgress) => render(
+    <MemoryRouter>
+      <TaskItem
+        task={blockedTask}
+        project={{ ...mockProject, tasks: [blockedTask, { ...mockTaskUnassigned, taskProgress: blockerProgress }] }}
+        projectId="test-project-id"
+        isProjectManager={true}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+      />
+    </MemoryRouter>
+  );
+
+  const { unmount } = renderWithBlocker('In Progress');
+  expect(screen.getByText('🔒 Blocked')).toHaveAttribute('title', 'Blocked by: Unassigned Task');
+  unmount();
+
+  renderWithBlocker('Completed');
+  expect(screen.queryByText('🔒 Blocked')).not.toBeInTheDocument();
+});
+
+test('colours the status badge from the project workflow', () => {
+  const reviewTask = { ...mockTaskUnassigned, taskProgress: 'In Review' };
+  const projectWithWorkflow = {
+    ...mockProject,
+    workflow: [
+      { name: 'To Do', category: 'todo', color: '#dc3545', transitions: [] },
+      { name: 'In Review', category: 'active', color: '#6f42c1', transitions: [] },
+      { name: 'Done', category: 'done', color: '#28a745', transitions: [] }
+    ]
+  };
+
+  render(
+    <MemoryRouter>
+      <TaskItem
+        task={reviewTask}
+        project={projectWithWorkflow}
+        projectId="test-project-id"
+        isProjectManager={true}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+      />
+    </MemoryRouter>
+  );
+
+  const badge = screen.getByText('In Review');
+  expect(badge).not.toHaveClass('bg-primary');
+  expect(badge).toHaveStyle('background-color: #6f42c1');
+});
+
+test('shows the priority, labels and estimate of a task', () => {
+  const labelledTask = { ...mockTaskUnassigned, priority: 'urgent', labels: ['label1'], estimate: 1.5 };
+  const projectWithLabels = {
+    ...mockProject,
+    labels: [
+      { _id: 'label1', name: 'frontend', color: '#6f42c1' },
+      { _id: 'label2', name: 'backend', color: '#17a2b8' }
+    ],
+    settings: { estimateUnit: 'hours' }
+  };
+
+  render(
+    <MemoryRouter>
+      <TaskItem
+        task={labelledTask}
+        project={projectWithLabels}
+        projectId="test-project-id"
+        isProjectManager={true}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+      />
+    </MemoryRouter>
+  );
+
+  expect(screen.getByText('Urgent')).toHaveClass('bg-danger');
+  expect(screen.getByText('frontend')).toHaveStyle('background-color: #6f42c1');
+  expect(screen.queryByText('backend')).not.toBeInTheDocument();
+  expect(screen.getByTitle('Estimate')).toHaveTextContent('1.5h');
+});
+
+test('calls onTrackTime when the time button is clicked', () => {
+  const mockOnTrackTime = jest.fn();
+
+  render(
+    <MemoryRouter>
+      <TaskItem
+        task={mockTaskAssigned}
+        project={mockProject}
+        projectId="test-project-id"
+        isProjectManager={true}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+        onTrackTime={mockOnTrackTime}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('⏱ Time'));
+  expect(mockOnTrackTime).toHaveBeenCalledWith(mockTaskAssigned);
+});
+
+test('marks recurring tasks with their repeat rule', () => {
+  const recurringTask = { ...mockTaskAssigned, recurrence: { frequency: 'weekly', interval: 2, endDate: null } };
+
+  render(
+    <MemoryRouter>
+      <TaskItem
+        task={recurringTask}
+        project={mockProject}
+        projectId="test-project-id"
+        isProjectManager={true}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+      />
+    </MemoryRouter>
+  );
+
+  expect(screen.getByTitle('Repeats every 2 weeks')).toHaveTextContent('🔁');
+});
+
+test('shows checklist progress and opens the task details', () => {
+  const mockOnViewTask = jest.fn();
+  const taskWithChecklist = {
+    ...mockTaskAssigned,
+    checklist: [
+      { _id: 'item1', text: 'Draft', done: true },
+      { _id: 'item2', text: 'Review', done: false }
+    ]
+  };
+
+  render(
+    <MemoryRouter>
+      <TaskItem
+        task={taskWithChecklist}
+        project={mockProject}
+        projectId="test-project-id"
+        isProjectManager={true}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+        onViewTask={mockOnViewTask}
+      />
+    </MemoryRouter>
+  );
+
+  expect(screen.getByTitle('Checklist items done')).toHaveTextContent('☑ 1/2');
+
+  fireEvent.click(screen.getByText('Assigned Task'));
+  expect(mockOnViewTask).toHaveBeenCalledWith(taskWithChecklist);
+});
+
+test('selects the task for bulk changes', () => {
+  const mockOnToggleSelect = jest.fn();
+
+  render(
+    <MemoryRouter>
+      <TaskItem
+        task={mockTaskAssigned}
+        project={mockProject}
+        projectId="test-project-id"
+        isProjectManager={true}
+        onTaskUpdated={mockOnTaskUpdated}
+        onEditTask={mockOnEditTask}
+        canEditTask={mockCanEditTask}
+        selectedTaskIds={['task1']}
+        onToggleSelect={mockOnToggleSelect}
+      />
+    </MemoryRouter>
+  );
+
+  const checkbox = screen.getByLabelText('Select Assigned Task');
+  expect(checkbox).toBeChecked();
+  fireEvent.click(checkbox);
+  expect(mockOnToggleSelect).toHaveBeenCalledWith(mockTaskAssigned);
+});
@@ -1,5 +1,6 @@
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import { MemoryRouter } from 'react-router-dom';
+import ProjectService from '../services/project.service';
 
 // Simple integration test for Tasks functionality
 import TasksSection from '../components/TasksSection';
@@ -9,7 +10,8 @@ jest.mock('../services/project.service', () => ({
   createTask: jest.fn(() => Promise.resolve()),
   updateTask: jest.fn(() => Promise.resolve()),
   deleteTask: jest.fn(() => Promise.resolve()),
-  assignTask: jest.fn(() => Promise.resolve())
+  updateTaskAssignees: jest.fn(() => Promise.resolve()),
+  getTaskTemplates: jest.fn(() => Promise.resolve({ data: { templates: [] } }))
 }));
 
 jest.mock('react-toastify', () => ({
@@ -60,7 +62,7 @@ const mockProject = {
       taskDescription: 'Test Description',
       taskDeadline: '2025-08-15T00:00:00.000Z',
       taskProgress: 'To Do',
-      taskAssignee: null
+      taskAssignees: []
     }
   ]
 };
@@ -145,3 +147,277 @@ test('displays empty state when no tasks', () => {
   expect(screen.getByText('No tasks yet')).toBeInTheDocument();
   expect(screen.getByText('Create your first task to get started')).toBeInTheDocument();
 });
+
+test('filters and sorts tasks by priority, label and estimate', () => {
+  const project = {
+    _id: 'test-project',
+    labels: [{ _id: 'label1', name: 'bug', color: '#dc3545' }],
+    tasks: [
+      { _id: 'a', taskName: 'Low task', taskDeadline: '2025-08-01T00:00:00.000Z', taskProgress: 'To Do', priority: 'low', labels: ['label1'], estimate: 5 },
+      { _id: 'b', taskName: 'Urgent task', taskDeadline: '2025-08-10T00:00:00.000Z', taskProgress: 'To Do', priority: 'urgent', labels: [], estimate: null },
+      { _id: 'c', taskName: 'High task', taskDeadline: '2025-08-05T00:00:00.000Z', taskProgress: 'To Do', priority: 'high', labels: ['label1'], estimate: 2 }
+    ]
+  };
+
+  render(
+    <MemoryRouter>
+      <TasksSection
+        project={project}
+        projectId="test-project"
+        onTasksUpdated={jest.fn()}
+        isProjectManager={true}
+        isViewer={false}
+        canEditTask={() => true}
+        currentUser={mockUser}
+      />
+    </MemoryRouter>
+  );
+
+  const listedTasks = () => screen.queryAllByTestId(/^task-/).map(item => item.textContent);
+
+  expect(listedTasks()).toEqual(['Low task', 'High task', 'Urgent task']);
+
+  fireEvent.change(screen.getByLabelText('Sort tasks by'), { target: { value: 'priority' } });
+  fireEvent.click(screen.getByText('↑☰'));
+  expect(listedTasks()).toEqual(['Urgent task', 'High task', 'Low task']);
+
+  fireEvent.change(screen.getByLabelText('Filter by label'), { target: { value: 'label1' } });
+  expect(listedTasks()).toEqual(['High task', 'Low task']);
+
+  fireEvent.change(screen.getByLabelText('Filter by estimate'), { target: { value: 'unestimated' } });
+  expect(screen.getByText('No tasks match the current filters')).toBeInTheDocument();
+
+  fireEvent.click(screen.getAllByText('Clear filters')[0]);
+  expect(listedTasks()).toHaveLength(3);
+});
+
+test('creates a task that repeats every two weeks', async () => {
+  render(
+    <MemoryRouter>
+      <TasksSection
+        project={mockProject}
+        projectId="test-project"
+        onTasksUpdated={jest.fn()}
+        isProjectManager={true}
+        isViewer={false}
+        canEditTask={() => true}
+        currentUser={mockUser}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('+ Create Task'));
+  fireEvent.change(screen.getByLabelText('Task Name'), { target: { value: 'Standup notes' } });
+  fireEvent.change(screen.getByLabelText('Task Description'), { target: { value: 'Weekly write-up' } });
+  fireEvent.change(screen.getByLabelText('Task Deadline'), { target: { value: '2030-01-04' } });
+  fireEvent.change(screen.getByLabelText('Repeats'), { target: { value: 'weekly' } });
+  fireEvent.change(screen.getByLabelText('Every (weeks)'), { target: { value: '2' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Create Task' }));
+
+  await waitFor(() => {
+    expect(ProjectService.createTask).toHaveBeenCalledWith(
+      'test-project',
+      'Standup notes',
+      'Weekly write-up',
+      '2030-01-04',
+      expect.objectContaining({ recurrence: { frequency: 'weekly', interval: 2, endDate: null } })
+    );
+  });
+});
+
+test('creates a task with a start date', async () => {
+  render(
+    <MemoryRouter>
+      <TasksSection
+        project={mockProject}
+        projectId="test-project"
+        onTasksUpdated={jest.fn()}
+        isProjectManager={true}
+        isViewer={false}
+        canEditTask={() => true}
+        currentUser={mockUser}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('+ Create Task'));
+  fireEvent.change(screen.getByLabelText('Task Name'), { target: { value: 'Write report' } });
+  fireEvent.change(screen.getByLabelText('Task Description'), { target: { value: 'Quarterly report' } });
+  fireEvent.change(screen.getByLabelText('Start Date (optional)'), { target: { value: '2030-01-02' } });
+  fireEvent.change(screen.getByLabelText('Task Deadline'), { target: { value: '2030-01-04' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Create Task' }));
+
+  await waitFor(() => {
+    expect(ProjectService.createTask).toHaveBeenCalledWith(
+      'test-project',
+      'Write report',
+      'Quarterly report',
+      '2030-01-04',
+      expect.objectContaining({ taskStartDate: '2030-01-02' })
+    );
+  });
+});
+
+test('filters tasks by sprint and plans new tasks into one', async () => {
+  const project = {
+    _id: 'test-project',
+    sprints: [
+      { _id: 'sprint1', name: 'Sprint 1', kind: 'sprint', status: 'active', startDate: '2025-08-01T00:00:00.000Z', endDate: '2025-08-14T00:00:00.000Z' },
+      { _id: 'sprint0', name: 'Sprint 0', kind: 'sprint', status: 'closed', startDate: '2025-07-15T00:00:00.000Z', endDate: '2025-07-31T00:00:00.000Z' }
+    ],
+    tasks: [
+      { _id: 'a', taskName: 'Sprint task', taskDeadline: '2025-08-01T00:00:00.000Z', taskProgress: 'To Do', sprint: 'sprint1' },
+      { _id: 'b', taskName: 'Backlog task', taskDeadline: '2025-08-05T00:00:00.000Z', taskProgress: 'To Do', sprint: null }
+    ]
+  };
+
+  render(
+    <MemoryRouter>
+      <TasksSection
+        project={project}
+        projectId="test-project"
+        onTasksUpdated={jest.fn()}
+        isProjectManager={true}
+        isViewer={false}
+        canEditTask={() => true}
+        currentUser={mockUser}
+      />
+    </MemoryRouter>
+  );
+
+  const listedTasks = () => screen.queryAllByTestId(/^task-/).map(item => item.textContent);
+
+  fireEvent.change(screen.getByLabelText('Filter by sprint'), { target: { value: 'sprint1' } });
+  expect(listedTasks()).toEqual(['Sprint task']);
+
+  fireEvent.change(screen.getByLabelText('Filter by sprint'), { target: { value: 'backlog' } });
+  expect(listedTasks()).toEqual(['Backlog task']);
+
+  fireEvent.click(screen.getByText('+ Create Task'));
+  const sprintSelect = screen.getByLabelText('Sprint');
+  expect(within(sprintSelect).queryByText('Sprint 0 (closed)')).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Task Name'), { target: { value: 'Planned task' } });
+  fireEvent.change(screen.getByLabelText('Task Description'), { target: { value: 'Next up' } });
+  fireEvent.change(screen.getByLabelText('Task Deadline'), { target: { value: '2030-01-04' } });
+  fireEvent.change(sprintSelect, { target: { value: 'sprint1' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Create Task' }));
+
+  await waitFor(() => {
+    expect(ProjectService.createTask).toHaveBeenCalledWith(
+      'test-project',
+      'Planned task',
+      'Next up',
+      '2030-01-04',
+      expect.objectContaining({ sprint: 'sprint1' })
+    );
+  });
+});
+
+test('selects every listed task for bulk changes', () => {
+  const project = {
+    _id: 'test-project',
+    tasks: [
+      { _id: 'a', taskName: 'First task', taskDeadline: '2025-08-01T00:00:00.000Z', taskProgress: 'To Do' },
+      { _id: 'b', taskName: 'Second task', taskDeadline: '2025-08-05T00:00:00.000Z', taskProgress: 'To Do' }
+    ]
+  };
+
+  render(
+    <MemoryRouter>
+      <TasksSection
+        project={project}
+        projectId="test-project"
+        onTasksUpdated={jest.fn()}
+        isProjectManager={true}
+        isViewer={false}
+        canEditTask={() => true}
+        currentUser={mockUser}
+      />
+    </MemoryRouter>
+  );
+
+  expect(screen.queryByTestId('bulk-task-actions')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Select all'));
+  expect(screen.getByText('2 selected')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Clear selection'));
+  expect(screen.queryByTestId('bulk-task-actions')).not.toBeInTheDocument();
+});
+
+test('does not offer bulk selection to viewers', () => {
+  render(
+    <MemoryRouter>
+      <TasksSection
+        project={mockProject}
+        projectId="test-project"
+        onTasksUpdated={jest.fn()}
+        isProjectManager={false}
+        isViewer={true}
+        canEditTask={() => false}
+        currentUser={mockUser}
+      />
+    </MemoryRouter>
+  );
+
+  expect(screen.queryByLabelText('Select all')).not.toBeInTheDocument();
+});
+
+test('prefills a new task from a task template', async () => {
+  ProjectService.getTaskTemplates.mockResolvedValueOnce({
+    data: {
+      templates: [{
+        _id: 'template1',
+        name: 'Weekly report',
+        kind: 'task',
+        tasks: [{
+          taskName: 'Send weekly report',
+          taskDescription: 'Summarise the week',
+          startOffsetDays: null,
+          deadlineOffsetDays: 4,
+          assigneeRole: 'developer',
+          priority: 'high',
+          estimate: 2
+        }]
+      }]
+    }
+  });
+
+  render(
+    <MemoryRouter>
+      <TasksSection
+        project={mockProject}
+        projectId="test-project"
+        onTasksUpdated={jest.fn()}
+        isProjectManager={true}
+        isViewer={false}
+        canEditTask={() => true}
+        currentUser={mockUser}
+      />
+    </MemoryRouter>
+  );
+
+  fireEvent.click(screen.getByText('+ Create Task'));
+  fireEvent.change(await screen.findByLabelText('Template (optional)'), { target: { value: 'template1' } });
+
+  expect(screen.getByLabelText('Task Name')).toHaveValue('Send weekly report');
+  expect(screen.getByLabelText('Task Description')).toHaveValue('Summarise the week');
+  expect(screen.getByText(/assigned to the project's developers/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Create Task' }));
+
+  const expectedDeadline = new Date();
+  expectedDeadline.setDate(expectedDeadline.getDate() + 4);
+  await waitFor(() => {
+    expect(ProjectService.createTask).toHaveBeenCalledWith(
+      'test-project',
+      'Send weekly report',
+      'Summarise the week',
+      expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+      expect.objectContaining({ priority: 'high', estimate: 2, assigneeRole: 'developer' })
+    );
+  });
+  expect(ProjectService.createTask.mock.calls.at(-1)[3]).toBe(
+    `${expectedDeadline.getFullYear()}-${String(expectedDeadline.getMonth() + 1).padStart(2, '0')}-${String(expectedDeadline.getDate()).padStart(2, '0')}`
+  );
+});
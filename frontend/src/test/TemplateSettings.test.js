@@ -0,0 +1,139 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import TemplateSettings from '../components/TemplateSettings';
+
+let mockGetProjectTemplates;
+let mockGetTaskTemplates;
+let mockSaveProjectTemplate;
+let mockSaveTaskTemplate;
+let mockDeleteTemplate;
+
+jest.mock('../services/project.service', () => ({
+  getProjectTemplates: (...args) => mockGetProjectTemplates(...args),
+  getTaskTemplates: (...args) => mockGetTaskTemplates(...args),
+  saveProjectTemplate: (...args) => mockSaveProjectTemplate(...args),
+  saveTaskTemplate: (...args) => mockSaveTaskTemplate(...args),
+  deleteTemplate: (...args) => mockDeleteTemplate(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+Object.defineProperty(window, 'confirm', {
+  value: jest.fn(() => true),
+  writable: true,
+});
+
+const mockProject = {
+  tasks: [
+    { _id: 'task1', taskName: 'Kick-off meeting' },
+    { _id: 'task2', taskName: 'Create accounts' }
+  ]
+};
+
+const mockProjectTemplates = [
+  { _id: 'template1', name: 'Client setup', description: 'Fifteen setup tasks', kind: 'project', tasks: [{}, {}, {}] }
+];
+
+const mockTaskTemplates = [
+  { _id: 'template2', name: 'Weekly report', kind: 'task', tasks: [{}] }
+];
+
+beforeEach(() => {
+  mockGetProjectTemplates = jest.fn(() => Promise.resolve({ data: { templates: mockProjectTemplates } }));
+  mockGetTaskTemplates = jest.fn(() => Promise.resolve({ data: { templates: mockTaskTemplates } }));
+  mockSaveProjectTemplate = jest.fn(() => Promise.resolve({ data: {} }));
+  mockSaveTaskTemplate = jest.fn(() => Promise.resolve({ data: {} }));
+  mockDeleteTemplate = jest.fn(() => Promise.resolve({ data: {} }));
+  window.confirm.mockReturnValue(true);
+  toast.success.mockClear();
+  toast.error.mockClear();
+});
+
+const renderTemplates = () => render(
+  <TemplateSettings project={mockProject} projectId="test-project-id" />
+);
+
+test('lists project and task templates', async () => {
+  renderTemplates();
+
+  const projectTemplate = within(await screen.findByTestId('template-template1'));
+  expect(projectTemplate.getByText('Client setup')).toBeInTheDocument();
+  expect(projectTemplate.getByText('3 tasks')).toBeInTheDocument();
+  expect(projectTemplate.getByText('Fifteen setup tasks')).toBeInTheDocument();
+  const taskTemplate = within(screen.getByTestId('template-template2'));
+  expect(taskTemplate.getByText('1 task')).toBeInTheDocument();
+  expect(mockGetTaskTemplates).toHaveBeenCalledWith('test-project-id');
+});
+
+test('saves the project tasks as a template', async () => {
+  renderTemplates();
+  await screen.findByTestId('template-template1');
+
+  fireEvent.change(screen.getByLabelText('Project template name'), { target: { value: 'Agency setup' } });
+  fireEvent.change(screen.getByLabelText('Template start date'), { target: { value: '2025-09-01' } });
+  fireEvent.click(screen.getByText('Save tasks'));
+
+  await waitFor(() => {
+    expect(mockSaveProjectTemplate).toHaveBeenCalledWith('test-project-id', 'Agency setup', '', '2025-09-01');
+  });
+  await waitFor(() => {
+    expect(toast.success).toHaveBeenCalledWith('Project template saved');
+  });
+  expect(mockGetProjectTemplates).toHaveBeenCalledTimes(2);
+});
+
+test('requires a name for a project template', async () => {
+  renderTemplates();
+  await screen.findByTestId('template-template1');
+
+  fireEvent.click(screen.getByText('Save tasks'));
+
+  expect(toast.error).toHaveBeenCalledWith('Give the template a name');
+  expect(mockSaveProjectTemplate).not.toHaveBeenCalled();
+});
+
+test('saves one task as a task template', async () => {
+  renderTemplates();
+  await screen.findByTestId('template-template2');
+
+  fireEvent.change(screen.getByLabelText('Task to save as a template'), { target: { value: 'task2' } });
+  fireEvent.click(screen.getByText('Save task'));
+
+  await waitFor(() => {
+    expect(mockSaveTaskTemplate).toHaveBeenCalledWith('test-project-id', 'task2', '');
+  });
+  await waitFor(() => {
+    expect(toast.success).toHaveBeenCalledWith('Task template saved');
+  });
+});
+
+test('deletes a template after confirmation', async () => {
+  renderTemplates();
+
+  const taskTemplate = within(await screen.findByTestId('template-template2'));
+  fireEvent.click(taskTemplate.getByText('Delete'));
+
+  await waitFor(() => {
+    expect(mockDeleteTemplate).toHaveBeenCalledWith('template2');
+  });
+  expect(window.confirm).toHaveBeenCalledWith('Delete the template "Weekly report"?');
+});
+
+test('shows why a template could not be saved', async () => {
+  mockSaveTaskTemplate = jest.fn(() => Promise.reject({ response: { data: { message: 'Only project administrators can manage templates' } } }));
+  renderTemplates();
+  await screen.findByTestId('template-template2');
+
+  fireEvent.change(screen.getByLabelText('Task to save as a template'), { target: { value: 'task1' } });
+  fireEvent.click(screen.getByText('Save task'));
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('Only project administrators can manage templates');
+  });
+});
@@ -0,0 +1,121 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import TimeTrackingModal from '../components/TimeTrackingModal';
+
+let mockGetTaskTimeEntries;
+let mockStartTaskTimer;
+let mockStopTaskTimer;
+let mockAddTimeEntry;
+
+jest.mock('../services/project.service', () => ({
+  getTaskTimeEntries: (...args) => mockGetTaskTimeEntries(...args),
+  startTaskTimer: (...args) => mockStartTaskTimer(...args),
+  stopTaskTimer: (...args) => mockStopTaskTimer(...args),
+  addTimeEntry: (...args) => mockAddTimeEntry(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+const mockTask = { _id: 'task1', taskName: 'Build API', estimate: 3 };
+const currentUser = { _id: 'user1', name: 'Alice' };
+const finishedEntry = {
+  _id: 'entry1',
+  user: { _id: 'user1', name: 'Alice' },
+  start: '2025-08-04T09:00:00.000Z',
+  end: '2025-08-04T10:30:00.000Z',
+  duration: 90,
+  note: 'Client call'
+};
+
+beforeEach(() => {
+  mockGetTaskTimeEntries = jest.fn(() => Promise.resolve({ data: { entries: [finishedEntry], totalMinutes: 90 } }));
+  mockStartTaskTimer = jest.fn(() => Promise.resolve());
+  mockStopTaskTimer = jest.fn(() => Promise.resolve());
+  mockAddTimeEntry = jest.fn(() => Promise.resolve());
+  toast.error.mockClear();
+});
+
+const renderModal = (props = {}) => render(
+  <TimeTrackingModal
+    show
+    onHide={jest.fn()}
+    task={mockTask}
+    projectId="test-project-id"
+    currentUser={currentUser}
+    canTrackTime
+    isProjectOwner={false}
+    estimateUnit="hours"
+    {...props}
+  />
+);
+
+describe('TimeTrackingModal', () => {
+  test('lists logged time with the total and estimate', async () => {
+    renderModal();
+
+    expect(await screen.findByText('Client call')).toBeInTheDocument();
+    expect(screen.getAllByText('1h 30m')).toHaveLength(2);
+    expect(screen.getByText('(estimate: 3h)')).toBeInTheDocument();
+    expect(screen.getByLabelText('Delete time entry')).toBeInTheDocument();
+  });
+
+  test('starts a timer with a note', async () => {
+    renderModal();
+    await screen.findByText('Client call');
+
+    fireEvent.change(screen.getByLabelText('Timer note'), { target: { value: 'Reviewing PR' } });
+    fireEvent.click(screen.getByText('Start Timer'));
+
+    await waitFor(() => {
+      expect(mockStartTaskTimer).toHaveBeenCalledWith('test-project-id', 'task1', 'Reviewing PR');
+    });
+  });
+
+  test('stops the running timer of the current user', async () => {
+    mockGetTaskTimeEntries = jest.fn(() => Promise.resolve({
+      data: {
+        entries: [{ _id: 'entry2', user: currentUser, start: new Date().toISOString(), end: null, duration: 0 }],
+        totalMinutes: 0
+      }
+    }));
+    renderModal();
+
+    fireEvent.click(await screen.findByText('Stop Timer'));
+
+    await waitFor(() => {
+      expect(mockStopTaskTimer).toHaveBeenCalledWith('test-project-id', 'task1');
+    });
+  });
+
+  test('logs time manually and shows server errors', async () => {
+    mockAddTimeEntry = jest.fn(() => Promise.reject({
+      response: { data: { message: 'Time entries cannot end in the future' } }
+    }));
+    renderModal();
+    await screen.findByText('Client call');
+
+    fireEvent.click(screen.getByText('Log Time'));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Time entries cannot end in the future');
+    });
+    expect(mockAddTimeEntry).toHaveBeenCalledWith(
+      'test-project-id', 'task1', expect.any(String), expect.any(String), ''
+    );
+  });
+
+  test('hides the timer and manual entry for viewers', async () => {
+    renderModal({ canTrackTime: false, currentUser: { _id: 'user2' } });
+    await screen.findByText('Client call');
+
+    expect(screen.queryByText('Start Timer')).not.toBeInTheDocument();
+    expect(screen.queryByText('Log Time')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Delete time entry')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,143 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import moment from 'moment';
+
+import TimelineSection from '../components/TimelineSection';
+import { toast } from 'react-toastify';
+import ProjectService from '../services/project.service';
+
+jest.mock('../services/project.service', () => ({
+  updateTask: jest.fn()
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: { success: jest.fn(), error: jest.fn() }
+}));
+
+// Stored dates are UTC midnight of the given number of days from today
+const daysFromToday = (days) => `${moment().add(days, 'days').format('YYYY-MM-DD')}T00:00:00.000Z`;
+const dayString = (days) => moment().add(days, 'days').format('YYYY-MM-DD');
+
+const alice = { _id: 'user1', name: 'Alice' };
+
+const mockProject = {
+  _id: 'project1',
+  tasks: [
+    {
+      _id: 'taskA',
+      taskName: 'Design',
+      taskStartDate: daysFromToday(1),
+      taskDeadline: daysFromToday(3),
+      taskProgress: 'In Progress',
+      taskAssignees: [alice]
+    },
+    {
+      _id: 'taskB',
+      taskName: 'Launch',
+      taskStartDate: null,
+      taskDeadline: daysFromToday(5),
+      taskProgress: 'To Do',
+      taskAssignees: []
+    }
+  ]
+};
+
+const renderTimeline = (props = {}) => render(
+  <TimelineSection
+    project={mockProject}
+    projectId="project1"
+    canEditTask={() => true}
+    onTasksUpdated={jest.fn()}
+    {...props}
+  />
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+test('draws bars from start date to deadline with a marker for today', () => {
+  renderTimeline();
+
+  // The range starts the day before today, so today is the second column
+  expect(screen.getByTestId('timeline-today')).toHaveStyle('left: 248px');
+  expect(screen.getByTestId('timeline-bar-taskA')).toHaveStyle('left: 66px; width: 92px; border-style: solid');
+  // Without a start date the bar covers the deadline only
+  expect(screen.getByTestId('timeline-bar-taskB')).toHaveStyle('left: 194px; width: 28px; border-style: dashed');
+});
+
+test('groups rows by status or by assignee', () => {
+  renderTimeline();
+
+  expect(screen.getByText('To Do (1)')).toBeInTheDocument();
+  expect(screen.getByText('In Progress (1)')).toBeInTheDocument();
+  expect(screen.queryByText(/^Completed \(/)).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Group rows by'), { target: { value: 'assignee' } });
+
+  expect(screen.getByText('Alice (1)')).toBeInTheDocument();
+  expect(screen.getByText('Unassigned (1)')).toBeInTheDocument();
+  expect(screen.queryByText('To Do (1)')).not.toBeInTheDocument();
+});
+
+test('dragging the end of a bar moves the deadline', async () => {
+  const mockOnTasksUpdated = jest.fn();
+  ProjectService.updateTask.mockResolvedValue({});
+  renderTimeline({ onTasksUpdated: mockOnTasksUpdated });
+
+  fireEvent.mouseDown(screen.getByLabelText('Change deadline of Design'), { clientX: 100 });
+  fireEvent.mouseMove(window, { clientX: 164 });
+  expect(screen.getByTestId('timeline-bar-taskA')).toHaveStyle('width: 156px');
+  fireEvent.mouseUp(window);
+
+  await waitFor(() => expect(mockOnTasksUpdated).toHaveBeenCalled());
+  expect(ProjectService.updateTask).toHaveBeenCalledWith('project1', 'taskA', { taskDeadline: dayString(5) });
+  expect(toast.success).toHaveBeenCalledWith('Task rescheduled.');
+});
+
+test('the start handle gives a task without one a start date from the keyboard', async () => {
+  ProjectService.updateTask.mockResolvedValue({});
+  renderTimeline();
+
+  fireEvent.keyDown(screen.getByLabelText('Change start of Launch'), { key: 'ArrowLeft' });
+
+  await waitFor(() => {
+    expect(ProjectService.updateTask).toHaveBeenCalledWith('project1', 'taskB', { taskStartDate: dayString(4) });
+  });
+});
+
+test('the start cannot be dragged past the deadline', () => {
+  renderTimeline();
+
+  fireEvent.mouseDown(screen.getByLabelText('Change start of Design'), { clientX: 0 });
+  fireEvent.mouseMove(window, { clientX: 320 });
+
+  // The bar shrinks to the deadline day and stops there
+  expect(screen.getByTestId('timeline-bar-taskA')).toHaveStyle('left: 130px; width: 28px');
+});
+
+test('puts the bar back when the server refuses the new dates', async () => {
+  ProjectService.updateTask.mockRejectedValue({
+    response: { data: { message: 'Start date cannot be after the deadline' } }
+  });
+  renderTimeline();
+
+  fireEvent.keyDown(screen.getByLabelText('Change deadline of Design'), { key: 'ArrowRight' });
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('Start date cannot be after the deadline');
+  });
+  expect(screen.getByTestId('timeline-bar-taskA')).toHaveStyle('width: 92px');
+});
+
+test('bars cannot be resized without permission to edit the task', () => {
+  renderTimeline({ canEditTask: (task) => task._id === 'taskB' });
+
+  expect(screen.queryByLabelText('Change deadline of Design')).not.toBeInTheDocument();
+  expect(screen.getByLabelText('Change deadline of Launch')).toBeInTheDocument();
+});
+
+test('shows a message when the project has no tasks', () => {
+  renderTimeline({ project: { _id: 'project1', tasks: [] } });
+
+  expect(screen.getByText('No tasks to show on the timeline yet.')).toBeInTheDocument();
+});
@@ -0,0 +1,71 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+import TimesheetSection from '../components/TimesheetSection';
+import { getWeekStart, addDays } from '../utils/time';
+
+let mockGetTimesheet;
+
+jest.mock('../services/project.service', () => ({
+  getTimesheet: (...args) => mockGetTimesheet(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+const mockTimesheet = {
+  total: 210,
+  members: [
+    {
+      user: { _id: 'user1', name: 'Alice' },
+      days: [120, 0, 90, 0, 0, 0, 0],
+      tasks: [
+        { taskId: 'task1', taskName: 'Build API', minutes: 150 },
+        { taskId: null, taskName: 'Deleted task', minutes: 60 }
+      ],
+      total: 210
+    },
+    { user: { _id: 'user2', name: 'Bob' }, days: [0, 0, 0, 0, 0, 0, 0], tasks: [], total: 0 }
+  ]
+};
+
+beforeEach(() => {
+  mockGetTimesheet = jest.fn(() => Promise.resolve({ data: mockTimesheet }));
+});
+
+describe('TimesheetSection', () => {
+  test('shows minutes per member and day with totals', async () => {
+    render(<TimesheetSection projectId="test-project-id" />);
+
+    expect(await screen.findByText('Alice')).toBeInTheDocument();
+    expect(screen.getByText('Bob')).toBeInTheDocument();
+    expect(screen.getAllByText('2h 00m').length).toBeGreaterThan(0);
+    expect(screen.getAllByText('1h 30m').length).toBeGreaterThan(0);
+    expect(screen.getAllByText('3h 30m')).toHaveLength(2); // Alice's total and the grand total
+    expect(mockGetTimesheet).toHaveBeenCalledWith('test-project-id', getWeekStart());
+  });
+
+  test('expands the per-task breakdown of a member', async () => {
+    render(<TimesheetSection projectId="test-project-id" />);
+
+    fireEvent.click(await screen.findByLabelText('Show tasks for Alice'));
+
+    expect(screen.getByText('Build API')).toBeInTheDocument();
+    expect(screen.getByText('Deleted task')).toBeInTheDocument();
+    expect(screen.getByText('2h 30m')).toBeInTheDocument();
+  });
+
+  test('loads the previous week', async () => {
+    render(<TimesheetSection projectId="test-project-id" />);
+    await screen.findByText('Alice');
+
+    fireEvent.click(screen.getByLabelText('Previous week'));
+
+    await waitFor(() => {
+      expect(mockGetTimesheet).toHaveBeenLastCalledWith('test-project-id', addDays(getWeekStart(), -7));
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { toast } from 'react-toastify';
+
+import TrashSettings from '../components/TrashSettings';
+
+let mockGetTrash;
+let mockRestoreTrashItem;
+
+jest.mock('../services/project.service', () => ({
+  getTrash: (...args) => mockGetTrash(...args),
+  restoreTrashItem: (...args) => mockRestoreTrashItem(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+const mockProject = { settings: { trashRetentionDays: 14 } };
+
+const mockTrash = {
+  items: [
+    {
+      _id: 'trash1',
+      itemType: 'Post',
+      item: 'post1',
+      label: 'Design thread',
+      deletedBy: { _id: 'user1', name: 'John Admin' },
+      deletedAt: '2025-09-01T10:00:00.000Z',
+      purgeAt: '2025-09-15T10:00:00.000Z',
+      childCount: 12
+    },
+    {
+      _id: 'trash2',
+      itemType: 'Comment',
+      item: 'comment1',
+      label: 'Safari only',
+      deletedBy: { _id: 'user2', name: 'Jane Dev' },
+      deletedAt: '2025-09-02T10:00:00.000Z',
+      purgeAt: '2025-09-16T10:00:00.000Z',
+      childCount: 1
+    }
+  ],
+  retentionDays: 14
+};
+
+let mockOnProjectUpdated;
+
+beforeEach(() => {
+  mockGetTrash = jest.fn(() => Promise.resolve({ data: mockTrash }));
+  mockRestoreTrashItem = jest.fn(() => Promise.resolve({ data: {} }));
+  mockOnProjectUpdated = jest.fn();
+  toast.success.mockClear();
+  toast.error.mockClear();
+});
+
+const renderTrash = () => render(
+  <TrashSettings
+    project={mockProject}
+    projectId="test-project-id"
+    onProjectUpdated={mockOnProjectUpdated}
+  />
+);
+
+test('lists deleted items with what comes back on restore', async () => {
+  renderTrash();
+
+  const post = within(await screen.findByTestId('trash-trash1'));
+  expect(post.getByText('Design thread')).toBeInTheDocument();
+  expect(post.getByText(/by John Admin · with 12 comments · purged Sep 15, 2025/)).toBeInTheDocument();
+  const comment = within(screen.getByTestId('trash-trash2'));
+  expect(comment.getByText(/with 1 reply/)).toBeInTheDocument();
+  expect(screen.getByText(/purged 14 days after deletion/)).toBeInTheDocument();
+  expect(mockGetTrash).toHaveBeenCalledWith('test-project-id');
+});
+
+test('restores an item and reloads the trash', async () => {
+  renderTrash();
+
+  const post = within(await screen.findByTestId('trash-trash1'));
+  fireEvent.click(post.getByText('Restore'));
+
+  await waitFor(() => {
+    expect(mockRestoreTrashItem).toHaveBeenCalledWith('test-project-id', 'trash1');
+  });
+  await waitFor(() => {
+    expect(toast.success).toHaveBeenCalledWith('Post restored successfully');
+  });
+  expect(mockGetTrash).toHaveBeenCalledTimes(2);
+  expect(mockOnProjectUpdated).toHaveBeenCalled();
+});
+
+test('shows why an item cannot be restored yet', async () => {
+  mockRestoreTrashItem = jest.fn(() => Promise.reject({ response: { data: { message: 'Restore the post first' } } }));
+  renderTrash();
+
+  const comment = within(await screen.findByTestId('trash-trash2'));
+  fireEvent.click(comment.getByText('Restore'));
+
+  await waitFor(() => {
+    expect(toast.error).toHaveBeenCalledWith('Restore the post first');
+  });
+});
+
+test('shows an empty trash', async () => {
+  mockGetTrash = jest.fn(() => Promise.resolve({ data: { items: [], retentionDays: 14 } }));
+  renderTrash();
+
+  expect(await screen.findByText('The trash is empty.')).toBeInTheDocument();
+});
@@ -0,0 +1,102 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+import WorkflowSettings from '../components/WorkflowSettings';
+
+let mockUpdateProjectWorkflow;
+
+jest.mock('../services/project.service', () => ({
+  updateProjectWorkflow: (...args) => mockUpdateProjectWorkflow(...args)
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  }
+}));
+
+const mockProject = {
+  workflow: [
+    { name: 'To Do', category: 'todo', color: '#dc3545', transitions: ['Done'] },
+    { name: 'Done', category: 'done', color: '#28a745', transitions: ['To Do'] }
+  ]
+};
+
+let mockOnProjectUpdated;
+
+beforeEach(() => {
+  mockUpdateProjectWorkflow = jest.fn(() => Promise.resolve());
+  mockOnProjectUpdated = jest.fn();
+});
+
+const renderSettings = () => render(
+  <WorkflowSettings
+    project={mockProject}
+    projectId="test-project-id"
+    onProjectUpdated={mockOnProjectUpdated}
+  />
+);
+
+test('lists the statuses of the project workflow', () => {
+  renderSettings();
+
+  const nameInputs = screen.getAllByPlaceholderText('Status name');
+  expect(nameInputs.map(input => input.value)).toEqual(['To Do', 'Done']);
+});
+
+test('saves renamed statuses with their previous name and updated transitions', async () => {
+  renderSettings();
+
+  fireEvent.change(screen.getAllByPlaceholderText('Status name')[0], { target: { value: 'Backlog' } });
+  fireEvent.click(screen.getByText('Save Workflow'));
+
+  await waitFor(() => {
+    expect(mockUpdateProjectWorkflow).toHaveBeenCalledWith('test-project-id', [
+      { name: 'Backlog', category: 'todo', color: '#dc3545', transitions: ['Done'], previousName: 'To Do' },
+      { name: 'Done', category: 'done', color: '#28a745', transitions: ['Backlog'], previousName: 'Done' }
+    ]);
+  });
+  expect(mockOnProjectUpdated).toHaveBeenCalled();
+});
+
+test('adds a new status that others can move to', async () => {
+  renderSettings();
+
+  fireEvent.click(screen.getByText('+ Add Status'));
+  const nameInputs = screen.getAllByPlaceholderText('Status name');
+  fireEvent.change(nameInputs[2], { target: { value: 'In Review' } });
+  fireEvent.click(screen.getAllByLabelText('In Review')[0]); // "To Do" can move to "In Review"
+  fireEvent.click(screen.getByText('Save Workflow'));
+
+  await waitFor(() => {
+    expect(mockUpdateProjectWorkflow).toHaveBeenCalled();
+  });
+  const savedWorkflow = mockUpdateProjectWorkflow.mock.calls[0][1];
+  expect(savedWorkflow[0].transitions).toEqual(['Done', 'In Review']);
+  expect(savedWorkflow[2]).toEqual({ name: 'In Review', category: 'active', color: '#17a2b8', transitions: [] });
+});
+
+test('does not save a status without a name', () => {
+  const { toast } = require('react-toastify');
+  renderSettings();
+
+  fireEvent.click(screen.getByText('+ Add Status'));
+  fireEvent.click(screen.getByText('Save Workflow'));
+
+  expect(toast.error).toHaveBeenCalledWith('Every status needs a name');
+  expect(mockUpdateProjectWorkflow).not.toHaveBeenCalled();
+});
+
+test('saves WIP limits and clears empty ones', async () => {
+  renderSettings();
+
+  fireEvent.change(screen.getByLabelText('WIP limit of To Do'), { target: { value: '4' } });
+  fireEvent.click(screen.getByText('Save Workflow'));
+
+  await waitFor(() => {
+    expect(mockUpdateProjectWorkflow).toHaveBeenCalledWith('test-project-id', [
+      { name: 'To Do', category: 'todo', color: '#dc3545', transitions: ['Done'], wipLimit: 4, previousName: 'To Do' },
+      { name: 'Done', category: 'done', color: '#28a745', transitions: ['To Do'], previousName: 'Done' }
+    ]);
+  });
+});
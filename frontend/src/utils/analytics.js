@@ -0,0 +1,29 @@
+// Actual and ideal burndown lines, counting either tasks or their estimates
+export const getBurndownSeries = (burndown, measure = 'tasks') => {
+  const points = burndown || [];
+  const key = measure === 'estimate' ? 'remainingEstimate' : 'remaining';
+  const actual = points.map(point => point[key]);
+  const first = actual[0];
+  const ideal = points.map((_, index) => {
+    if (first === null || first === undefined) return null;
+    const share = points.length > 1 ? 1 - index / (points.length - 1) : 0;
+    return Math.round(first * share * 10) / 10;
+  });
+  return { actual, ideal };
+};
+
+// One stacked band per status, finished work at the bottom as cumulative flow diagrams draw it
+export const getCumulativeFlowDatasets = (statuses, cumulativeFlow) => [...(statuses || [])]
+  .reverse()
+  .map(status => ({
+    label: status.name,
+    data: (cumulativeFlow || []).map(day => (day.counts ? day.counts[status.name] || 0 : null)),
+    borderColor: status.color,
+    backgroundColor: `${status.color}99`,
+    fill: true,
+    pointRadius: 0
+  }));
+
+export const hasEstimates = (burndown) => (burndown || []).some(point => point.remainingEstimate > 0);
+
+export const formatDays = (days) => (days === null || days === undefined ? '—' : `${days}d`);
@@ -0,0 +1,37 @@
+// Ranked tasks first by rank; unranked tasks keep their incoming order after them (mirrors the backend)
+export const sortByBoardRank = (tasks) => {
+  const rankOf = (task) => (task.boardRank === null || task.boardRank === undefined ? Infinity : task.boardRank);
+  return [...(tasks || [])].sort((a, b) => {
+    if (rankOf(a) === rankOf(b)) return 0;
+    return rankOf(a) < rankOf(b) ? -1 : 1;
+  });
+};
+
+export const isOverWipLimit = (count, wipLimit) => !!wipLimit && count > wipLimit;
+
+// "3" without a limit, "3/5" with one
+export const formatColumnCount = (count, wipLimit) => (wipLimit ? `${count}/${wipLimit}` : `${count}`);
+
+// One lane per assignee, alphabetically, then unassigned tasks; shared tasks appear in each of their lanes
+export const getSwimlanes = (tasks) => {
+  const lanes = new Map();
+  const unassigned = [];
+  (tasks || []).forEach(task => {
+    const assignees = task.taskAssignees || [];
+    if (assignees.length === 0) {
+      unassigned.push(task);
+      return;
+    }
+    assignees.forEach(assignee => {
+      if (!lanes.has(assignee._id)) {
+        lanes.set(assignee._id, { key: assignee._id, name: assignee.name, tasks: [] });
+      }
+      lanes.get(assignee._id).tasks.push(task);
+    });
+  });
+
+  const sorted = [...lanes.values()].sort((a, b) => a.name.localeCompare(b.name));
+  return unassigned.length > 0
+    ? [...sorted, { key: 'unassigned', name: 'Unassigned', tasks: unassigned }]
+    : sorted;
+};
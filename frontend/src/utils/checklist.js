@@ -0,0 +1,11 @@
+// Finished and total checklist items of a task
+export const getChecklistProgress = (task) => {
+  const items = (task && task.checklist) || [];
+  return { done: items.filter(item => item.done).length, total: items.length };
+};
+
+// "4/6", or an empty string when the task has no checklist
+export const formatChecklistProgress = (task) => {
+  const { done, total } = getChecklistProgress(task);
+  return total > 0 ? `${done}/${total}` : '';
+};
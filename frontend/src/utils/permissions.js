@@ -0,0 +1,79 @@
+// Permissions a project role can hold (mirrors the backend authorization service)
+export const PERMISSIONS = {
+  CREATE_TASKS: 'create_tasks',
+  EDIT_ANY_TASK: 'edit_any_task',
+  ARCHIVE_ANY_TASK: 'archive_any_task',
+  OVERRIDE_DEPENDENCIES: 'override_dependencies',
+  DELETE_TASKS: 'delete_tasks',
+  WORK_ON_TASKS: 'work_on_tasks',
+  IMPORT_TASKS: 'import_tasks',
+  MANAGE_LABELS: 'manage_labels',
+  MANAGE_SPRINTS: 'manage_sprints',
+  MANAGE_TEMPLATES: 'manage_templates',
+  CREATE_POSTS: 'create_posts',
+  MODERATE_POSTS: 'moderate_posts',
+  EXPORT_PDF: 'export_pdf',
+  USE_AI: 'use_ai',
+  MANAGE_MEMBERS: 'manage_members',
+  MANAGE_ROLES: 'manage_roles',
+  MANAGE_PROJECT: 'manage_project',
+  DELETE_PROJECT: 'delete_project'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+export const BUILT_IN_ROLE_PERMISSIONS = {
+  administrator: ALL_PERMISSIONS.filter(permission => permission !== PERMISSIONS.EDIT_ANY_TASK),
+  developer: [
+    PERMISSIONS.CREATE_TASKS,
+    PERMISSIONS.WORK_ON_TASKS,
+    PERMISSIONS.MANAGE_LABELS,
+    PERMISSIONS.CREATE_POSTS,
+    PERMISSIONS.EXPORT_PDF,
+    PERMISSIONS.USE_AI
+  ],
+  viewer: [
+    PERMISSIONS.CREATE_POSTS,
+    PERMISSIONS.EXPORT_PDF,
+    PERMISSIONS.USE_AI
+  ]
+};
+
+export const BUILT_IN_ROLE_NAMES = Object.keys(BUILT_IN_ROLE_PERMISSIONS);
+
+export const isBuiltInRole = (role) => {
+  return !!role && !role.project && BUILT_IN_ROLE_NAMES.includes(role.roleName);
+};
+
+export const isAdministratorRole = (role) => {
+  return isBuiltInRole(role) && role.roleName === 'administrator';
+};
+
+export const getRolePermissions = (role) => {
+  if (!role) return [];
+  if (isBuiltInRole(role)) return BUILT_IN_ROLE_PERMISSIONS[role.roleName];
+  return role.permissions || [];
+};
+
+export const hasPermission = (role, permission) => {
+  return getRolePermissions(role).includes(permission);
+};
+
+export const findMember = (project, user) => {
+  if (!project || !project.members || !user) return undefined;
+  return project.members.find(
+    member => member.user?._id?.toString() === user._id?.toString()
+  );
+};
+
+// Whether the signed-in user's role in the project grants a permission
+export const userCan = (project, user, permission) => {
+  const member = findMember(project, user);
+  return !!member && hasPermission(member.role, permission);
+};
+
+// Custom roles are picked by ID, built-in roles by name
+export const getRoleValue = (role) => {
+  if (!role) return '';
+  return isBuiltInRole(role) ? role.roleName : role._id;
+};
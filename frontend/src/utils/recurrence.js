@@ -0,0 +1,83 @@
+import moment from 'moment';
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' }
+];
+
+// Form values for a task that does not repeat
+export const EMPTY_RECURRENCE = { frequency: '', interval: '1', endDate: '' };
+
+export const hasRecurrence = (task) => !!(task && task.recurrence && task.recurrence.frequency);
+
+// Converts a task's recurrence rule into form values
+export const toRecurrenceForm = (recurrence) => {
+  if (!recurrence || !recurrence.frequency) return EMPTY_RECURRENCE;
+  return {
+    frequency: recurrence.frequency,
+    interval: String(recurrence.interval || 1),
+    endDate: recurrence.endDate ? recurrence.endDate.slice(0, 10) : ''
+  };
+};
+
+// Converts form values into the rule sent to the API, or null when the task does not repeat
+export const toRecurrencePayload = (form) => {
+  if (!form.frequency) return null;
+  return {
+    frequency: form.frequency,
+    interval: Number(form.interval) || 1,
+    endDate: form.endDate || null
+  };
+};
+
+// "Repeats weekly", "Repeats every 2 months until 5 Mar 2026"
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence || !recurrence.frequency) return '';
+  const frequency = RECURRENCE_FREQUENCIES.find(option => option.value === recurrence.frequency);
+  if (!frequency) return '';
+  const interval = recurrence.interval || 1;
+  const every = interval === 1
+    ? frequency.label.toLowerCase()
+    : `every ${interval} ${frequency.unit}s`;
+  // End dates are stored as UTC midnight, like deadlines picked from a date input
+  const until = recurrence.endDate ? ` until ${moment.utc(recurrence.endDate).format('D MMM YYYY')}` : '';
+  return `Repeats ${every}${until}`;
+};
+
+// Same stepping as the server: monthly steps keep the day of the month, clamped to shorter months
+export const addRecurrenceSteps = (date, recurrence, steps) => {
+  const result = new Date(date);
+  const count = (recurrence.interval || 1) * steps;
+
+  if (recurrence.frequency === 'daily') {
+    result.setUTCDate(result.getUTCDate() + count);
+  } else if (recurrence.frequency === 'weekly') {
+    result.setUTCDate(result.getUTCDate() + count * 7);
+  } else {
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + count);
+    const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, daysInMonth));
+  }
+  return result;
+};
+
+// Future deadlines of a recurring task up to a date. Only the latest task of a series is
+// projected, because earlier ones have already been followed by a real task.
+export const getProjectedOccurrences = (task, until, limit = 100) => {
+  if (!hasRecurrence(task) || task.nextOccurrence || !task.taskDeadline) return [];
+
+  const { recurrence } = task;
+  const endDate = recurrence.endDate ? new Date(recurrence.endDate) : null;
+  const now = new Date();
+  const occurrences = [];
+  for (let steps = 1; occurrences.length < limit; steps += 1) {
+    const next = addRecurrenceSteps(task.taskDeadline, recurrence, steps);
+    if (next > until || (endDate && next > endDate)) break;
+    // Missed occurrences of an overdue task are skipped by the server too
+    if (next > now) occurrences.push(next);
+  }
+  return occurrences;
+};
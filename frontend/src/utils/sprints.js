@@ -0,0 +1,16 @@
+export const SPRINT_STATUSES = {
+  planned: { label: 'Planned', bg: 'secondary' },
+  active: { label: 'Active', bg: 'success' },
+  closed: { label: 'Closed', bg: 'dark' }
+};
+
+// Sprints that can still take tasks (mirrors the backend rule)
+export const getOpenSprints = (sprints) => (sprints || []).filter(sprint => sprint.status !== 'closed');
+
+// "Sprint 3 (active)", or the name alone while planned
+export const getSprintLabel = (sprint) => {
+  if (!sprint) return 'Backlog';
+  return sprint.status === 'planned' ? sprint.name : `${sprint.name} (${sprint.status})`;
+};
+
+export const getSprintTasks = (tasks, sprintId) => (tasks || []).filter(task => task.sprint === sprintId);
@@ -0,0 +1,41 @@
+import { isLightColor } from './workflow';
+
+// Most urgent first, matching the order priorities are offered in forms (mirrors the backend list)
+export const TASK_PRIORITIES = [
+  { value: 'urgent', label: 'Urgent', bg: 'danger' },
+  { value: 'high', label: 'High', bg: 'warning' },
+  { value: 'medium', label: 'Medium', bg: 'info' },
+  { value: 'low', label: 'Low', bg: 'secondary' }
+];
+
+export const DEFAULT_PRIORITY = 'medium';
+
+export const getPriority = (value) => {
+  return TASK_PRIORITIES.find(priority => priority.value === (value || DEFAULT_PRIORITY))
+    || TASK_PRIORITIES.find(priority => priority.value === DEFAULT_PRIORITY);
+};
+
+// Higher rank means more urgent
+export const getPriorityRank = (value) => {
+  return TASK_PRIORITIES.length - TASK_PRIORITIES.indexOf(getPriority(value));
+};
+
+export const getEstimateUnit = (project) => {
+  return project?.settings?.estimateUnit === 'hours' ? 'hours' : 'points';
+};
+
+export const formatEstimate = (estimate, unit) => {
+  if (estimate === null || estimate === undefined || estimate === '') return '';
+  if (unit === 'hours') return `${estimate}h`;
+  return `${estimate} ${Number(estimate) === 1 ? 'pt' : 'pts'}`;
+};
+
+// Project labels attached to a task, in the project's label order
+export const getTaskLabels = (task, labels) => {
+  return (labels || []).filter(label => (task?.labels || []).includes(label._id));
+};
+
+export const getLabelBadgeStyle = (color) => ({
+  backgroundColor: color,
+  color: isLightColor(color) ? '#000' : '#fff'
+});
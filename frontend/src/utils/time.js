@@ -0,0 +1,30 @@
+// Formats a number of minutes as "2h 05m", or "45m" under an hour
+export const formatMinutes = (minutes) => {
+  const total = Math.max(0, Math.round(minutes || 0));
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  if (hours === 0) return `${rest}m`;
+  return `${hours}h ${String(rest).padStart(2, '0')}m`;
+};
+
+// Monday 00:00 local time of the week containing the given date
+export const getWeekStart = (date = new Date()) => {
+  const weekStart = new Date(date);
+  weekStart.setHours(0, 0, 0, 0);
+  const daysSinceMonday = (weekStart.getDay() + 6) % 7;
+  weekStart.setDate(weekStart.getDate() - daysSinceMonday);
+  return weekStart;
+};
+
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Combines a "YYYY-MM-DD" date and an "HH:mm" time from form inputs into a local Date
+export const combineDateAndTime = (date, time) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+};
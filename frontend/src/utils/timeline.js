@@ -0,0 +1,59 @@
+import moment from 'moment';
+import { getSwimlanes } from './board';
+
+// Dates are stored as UTC midnight, so the calendar day is read from the UTC date
+export const toDay = (value) => moment(moment.utc(value).format('YYYY-MM-DD'));
+
+export const formatDay = (day) => day.format('YYYY-MM-DD');
+
+// First and last day of a task's bar; tasks without a start date take up their deadline only
+export const getTaskSpan = (task) => {
+  const end = toDay(task.taskDeadline);
+  const start = task.taskStartDate ? toDay(task.taskStartDate) : end.clone();
+  return { start, end };
+};
+
+// Days shown on the timeline: every task plus today, with a day of margin either side
+export const getTimelineRange = (tasks, today = moment().startOf('day')) => {
+  let first = today.clone();
+  let last = today.clone();
+  (tasks || []).forEach(task => {
+    const { start, end } = getTaskSpan(task);
+    if (start.isBefore(first)) first = start.clone();
+    if (end.isAfter(last)) last = end.clone();
+  });
+  const start = first.subtract(1, 'day');
+  return { start, days: last.add(1, 'day').diff(start, 'days') + 1 };
+};
+
+// Rows grouped by workflow status (in workflow order) or by assignee
+export const getTimelineGroups = (tasks, workflow, groupBy) => {
+  const byStart = [...(tasks || [])].sort((a, b) => getTaskSpan(a).start.diff(getTaskSpan(b).start));
+  if (groupBy === 'assignee') return getSwimlanes(byStart);
+  return workflow
+    .map(status => ({
+      key: status.name,
+      name: status.name,
+      color: status.color,
+      tasks: byStart.filter(task => task.taskProgress === status.name)
+    }))
+    .filter(group => group.tasks.length > 0);
+};
+
+// Update for dragging one edge of a task's bar by a number of days, or null when nothing changes
+export const getRescheduleUpdate = (task, edge, dayDelta) => {
+  if (!dayDelta) return null;
+  const { start, end } = getTaskSpan(task);
+  if (edge === 'start') {
+    // The start can move up to the deadline but not past it
+    const newStart = moment.min(start.clone().add(dayDelta, 'days'), end);
+    if (newStart.isSame(start, 'day')) return null;
+    return { taskStartDate: formatDay(newStart) };
+  }
+  // Without a start date the one-day bar simply moves with its deadline
+  const newEnd = task.taskStartDate
+    ? moment.max(end.clone().add(dayDelta, 'days'), start)
+    : end.clone().add(dayDelta, 'days');
+  if (newEnd.isSame(end, 'day')) return null;
+  return { taskDeadline: formatDay(newEnd) };
+};
@@ -0,0 +1,73 @@
+// Workflow used by projects that have not defined their own (mirrors the backend default)
+export const DEFAULT_WORKFLOW = [
+  { name: 'To Do', category: 'todo', color: '#dc3545', transitions: ['In Progress', 'Completed'] },
+  { name: 'In Progress', category: 'active', color: '#ffc107', transitions: ['To Do', 'Completed'] },
+  { name: 'Completed', category: 'done', color: '#28a745', transitions: ['To Do', 'In Progress'] }
+];
+
+export const STATUS_CATEGORIES = [
+  { value: 'todo', label: 'To Do' },
+  { value: 'active', label: 'In Progress' },
+  { value: 'done', label: 'Done' }
+];
+
+// Theme colours keep their Bootstrap badge styling
+const BADGE_VARIANTS = {
+  '#dc3545': 'danger',
+  '#ffc107': 'warning',
+  '#28a745': 'success',
+  '#007bff': 'primary',
+  '#17a2b8': 'info',
+  '#6c757d': 'secondary',
+  '#343a40': 'dark'
+};
+
+const UNKNOWN_STATUS_COLOR = '#6c757d';
+
+export const getProjectWorkflow = (project) => {
+  return project?.workflow?.length ? project.workflow : DEFAULT_WORKFLOW;
+};
+
+export const findStatus = (workflow, name) => {
+  return (workflow || DEFAULT_WORKFLOW).find(status => status.name === name);
+};
+
+export const getStatusCategory = (workflow, name) => {
+  return findStatus(workflow, name)?.category || 'todo';
+};
+
+export const isDoneStatus = (workflow, name) => getStatusCategory(workflow, name) === 'done';
+
+export const getInitialStatus = (workflow) => {
+  const statuses = workflow || DEFAULT_WORKFLOW;
+  return (statuses.find(status => status.category === 'todo') || statuses[0]).name;
+};
+
+export const getStatusColor = (workflow, name) => {
+  return findStatus(workflow, name)?.color || UNKNOWN_STATUS_COLOR;
+};
+
+// Dark text on light backgrounds such as yellow, white text otherwise
+export const isLightColor = (hex) => {
+  const r = parseInt(hex.slice(1, 3), 16);
+  const g = parseInt(hex.slice(3, 5), 16);
+  const b = parseInt(hex.slice(5, 7), 16);
+  return (r * 299 + g * 587 + b * 114) / 1000 >= 150;
+};
+
+export const getStatusBadgeProps = (workflow, name) => {
+  const color = getStatusColor(workflow, name);
+  const variant = BADGE_VARIANTS[color.toLowerCase()];
+  if (variant) return { bg: variant };
+  return { bg: '', style: { backgroundColor: color, color: isLightColor(color) ? '#000' : '#fff' } };
+};
+
+// Statuses a task may be moved to from its current status, including staying put
+export const getAllowedStatuses = (workflow, currentName) => {
+  const statuses = workflow || DEFAULT_WORKFLOW;
+  const current = findStatus(statuses, currentName);
+  if (!current) return statuses;
+  return statuses.filter(
+    status => status.name === currentName || (current.transitions || []).includes(status.name)
+  );
+};